@@ -26,6 +26,10 @@ const filesToFix = [
     { path: 'src/core/api/endpoints/AuthAPI.js', className: 'AuthAPI' },
     { path: 'src/core/api/endpoints/BusinessAPI.js', className: 'BusinessAPI' },
     { path: 'src/core/api/endpoints/LeadsAPI.js', className: 'LeadsAPI' },
+    { path: 'src/core/api/endpoints/WebhooksAPI.js', className: 'WebhooksAPI' },
+    { path: 'src/core/api/endpoints/CRMAPI.js', className: 'CRMAPI' },
+    { path: 'src/core/api/endpoints/CampaignsAPI.js', className: 'CampaignsAPI' },
+    { path: 'src/core/api/endpoints/MessagesAPI.js', className: 'MessagesAPI' },
     { path: 'src/core/auth/AuthManager.js', className: 'AuthManager' },
     { path: 'src/core/auth/SessionValidator.js', className: 'SessionValidator' },
     { path: 'src/core/auth/TokenRefresher.js', className: 'TokenRefresher' },
@@ -0,0 +1,245 @@
+// =============================================================================
+// MOCK CRM SERVER - Local stand-in for HubSpot / Pipedrive / Salesforce
+// Path: /scripts/mock-crm-server.js
+// Usage: node scripts/mock-crm-server.js [port]   (default 4010)
+// =============================================================================
+
+/**
+ * Emulates just the endpoints the CRM connectors call, with in-memory stores:
+ *
+ *   /hubspot/crm/v3/objects/contacts[/search|/:id]
+ *   /pipedrive/v1/users/me, /pipedrive/v1/persons[/search|/:id]
+ *   /salesforce/services/data/v59.0/{limits,query,sobjects/Lead[/:id]}
+ *
+ * On a development deployment, point a connection's "API base URL override"
+ * at http://localhost:4010/<provider>, or run the CRM connector dev test against it.
+ *
+ *   GET  /__records   dump every store
+ *   POST /__reset     empty every store
+ *
+ * Requests without an Authorization header get a 401, like the real APIs.
+ */
+
+const http = require('http');
+
+const PORT = Number(process.argv[2] || process.env.MOCK_CRM_PORT || 4010);
+const SALESFORCE_BASE = '/services/data/v59.0';
+
+const stores = {
+    hubspot: new Map(),
+    pipedrive: new Map(),
+    salesforce: new Map()
+};
+let nextId = 1;
+
+function createId(provider) {
+    const id = nextId++;
+    if (provider === 'salesforce') return `00Q${String(id).padStart(15, '0')}`;
+    if (provider === 'pipedrive') return id;
+    return String(id);
+}
+
+// =============================================================================
+// HUBSPOT
+// =============================================================================
+
+function handleHubSpot(method, path, body) {
+    const store = stores.hubspot;
+    const basePath = '/crm/v3/objects/contacts';
+
+    if (method === 'GET' && path === basePath) {
+        return [200, { results: [...store.values()].slice(0, 1) }];
+    }
+
+    if (method === 'POST' && path === `${basePath}/search`) {
+        const filters = body?.filterGroups?.[0]?.filters || [];
+        const results = [...store.values()].filter(contact =>
+            filters.every(filter => String(contact.properties[filter.propertyName] ?? '') === String(filter.value))
+        );
+        return [200, { total: results.length, results: results.slice(0, body?.limit || 10) }];
+    }
+
+    if (method === 'POST' && path === basePath) {
+        if (!body?.properties) return [400, { message: 'properties is required' }];
+        const contact = { id: createId('hubspot'), properties: { ...body.properties } };
+        store.set(contact.id, contact);
+        return [201, contact];
+    }
+
+    const match = path.match(/^\/crm\/v3\/objects\/contacts\/([^/]+)$/);
+    if (method === 'PATCH' && match) {
+        const contact = store.get(decodeURIComponent(match[1]));
+        if (!contact) return [404, { message: 'resource not found' }];
+        Object.assign(contact.properties, body?.properties || {});
+        return [200, contact];
+    }
+
+    return null;
+}
+
+// =============================================================================
+// PIPEDRIVE
+// =============================================================================
+
+const PIPEDRIVE_STANDARD_FIELDS = ['name', 'email', 'phone', 'org_id', 'owner_id'];
+
+function handlePipedrive(method, path, body, query) {
+    const store = stores.pipedrive;
+
+    if (method === 'GET' && path === '/v1/users/me') {
+        return [200, { success: true, data: { id: 1, name: 'Mock User' } }];
+    }
+
+    if (method === 'GET' && path === '/v1/persons/search') {
+        const term = query.get('term') || '';
+        const exact = query.get('exact_match') === 'true';
+        const items = [...store.values()]
+            .filter(person => Object.entries(person)
+                .filter(([key]) => !PIPEDRIVE_STANDARD_FIELDS.includes(key) && key !== 'id')
+                .some(([, value]) => exact ? String(value) === term : String(value).includes(term)))
+            .map(person => ({ result_score: 1, item: { id: person.id, name: person.name } }));
+        return [200, { success: true, data: { items } }];
+    }
+
+    if (method === 'POST' && path === '/v1/persons') {
+        if (!body?.name) return [400, { success: false, error: 'Name must be given.' }];
+        const person = { ...body, id: createId('pipedrive') };
+        store.set(person.id, person);
+        return [201, { success: true, data: person }];
+    }
+
+    const match = path.match(/^\/v1\/persons\/(\d+)$/);
+    if (method === 'PUT' && match) {
+        const person = store.get(Number(match[1]));
+        if (!person) return [404, { success: false, error: 'Person not found' }];
+        Object.assign(person, body || {}, { id: person.id });
+        return [200, { success: true, data: person }];
+    }
+
+    return null;
+}
+
+// =============================================================================
+// SALESFORCE
+// =============================================================================
+
+function handleSalesforce(method, path, body, query) {
+    const store = stores.salesforce;
+
+    if (method === 'GET' && path === `${SALESFORCE_BASE}/limits`) {
+        return [200, { DailyApiRequests: { Max: 15000, Remaining: 14999 } }];
+    }
+
+    if (method === 'GET' && path === `${SALESFORCE_BASE}/query`) {
+        // Only the shape the connector sends: SELECT Id FROM Lead WHERE Field = 'value' LIMIT 1
+        const match = (query.get('q') || '').match(/WHERE\s+(\w+)\s*=\s*'((?:[^'\\]|\\.)*)'/i);
+        if (!match) return [400, [{ message: 'Unsupported query', errorCode: 'MALFORMED_QUERY' }]];
+
+        const [, field, escaped] = match;
+        const value = escaped.replace(/\\(.)/g, '$1');
+        const records = [...store.values()]
+            .filter(lead => String(lead[field] ?? '') === value)
+            .map(lead => ({ attributes: { type: 'Lead' }, Id: lead.Id }));
+        return [200, { totalSize: records.length, done: true, records }];
+    }
+
+    if (method === 'POST' && path === `${SALESFORCE_BASE}/sobjects/Lead`) {
+        const missing = ['LastName', 'Company'].filter(field => !body?.[field]);
+        if (missing.length > 0) {
+            return [400, [{ message: `Required fields are missing: [${missing.join(', ')}]`, errorCode: 'REQUIRED_FIELD_MISSING' }]];
+        }
+        const lead = { ...body, Id: createId('salesforce') };
+        store.set(lead.Id, lead);
+        return [201, { id: lead.Id, success: true, errors: [] }];
+    }
+
+    const match = path.match(new RegExp(`^${SALESFORCE_BASE.replace(/\./g, '\\.')}/sobjects/Lead/([^/]+)$`));
+    if (method === 'PATCH' && match) {
+        const lead = store.get(decodeURIComponent(match[1]));
+        if (!lead) return [404, [{ message: 'The requested resource does not exist', errorCode: 'NOT_FOUND' }]];
+        Object.assign(lead, body || {}, { Id: lead.Id });
+        return [204, null];
+    }
+
+    return null;
+}
+
+const HANDLERS = {
+    hubspot: handleHubSpot,
+    pipedrive: handlePipedrive,
+    salesforce: handleSalesforce
+};
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+function send(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS'
+    });
+    res.end(data === null || data === undefined ? '' : JSON.stringify(data));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            if (!raw) return resolve(null);
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const method = req.method.toUpperCase();
+
+    if (method === 'OPTIONS') return send(res, 204, null);
+
+    if (url.pathname === '/__records') {
+        const dump = {};
+        Object.entries(stores).forEach(([provider, store]) => { dump[provider] = [...store.values()]; });
+        return send(res, 200, dump);
+    }
+
+    if (url.pathname === '/__reset' && method === 'POST') {
+        Object.values(stores).forEach(store => store.clear());
+        return send(res, 204, null);
+    }
+
+    const [, provider, ...rest] = url.pathname.split('/');
+    const handler = HANDLERS[provider];
+    if (!handler) return send(res, 404, { message: `Unknown provider: ${provider}` });
+
+    if (!req.headers.authorization) {
+        return send(res, 401, { message: 'Authentication credentials not found' });
+    }
+
+    let body;
+    try {
+        body = await readBody(req);
+    } catch {
+        return send(res, 400, { message: 'Invalid JSON body' });
+    }
+
+    const result = handler(method, `/${rest.join('/')}`, body, url.searchParams);
+    if (!result) return send(res, 404, { message: `No mock route for ${method} ${url.pathname}` });
+
+    const [status, data] = result;
+    console.log(`${method} ${url.pathname} -> ${status}`);
+    send(res, status, data);
+});
+
+server.listen(PORT, () => {
+    console.log(`✅ [MockCRMServer] Listening on http://localhost:${PORT} (hubspot, pipedrive, salesforce)`);
+});
@@ -0,0 +1,320 @@
+// =============================================================================
+// MOCK STRIPE SERVER - Local stand-in for the worker's billing endpoints
+// Path: /scripts/mock-stripe-server.js
+// Usage: node scripts/mock-stripe-server.js [port]   (default 4020)
+// =============================================================================
+
+/**
+ * Emulates the billing routes AuthAPI calls, with one in-memory account per
+ * user_id. Every user starts on Free with no card on file:
+ *
+ *   GET  /v1/subscriptions?user_id=
+ *   GET  /v1/billing/invoices?user_id=&limit=&starting_after=
+ *   GET  /v1/billing/payment-method?user_id=
+ *   POST /v1/billing/preview-change, /v1/billing/change-plan
+ *   POST /v1/billing/cancel, /v1/billing/resume
+ *   POST /billing/create-checkout-session, /billing/create-portal-session
+ *
+ * Checkout and portal sessions return a URL on this server that applies the
+ * change and redirects back, like Stripe's hosted pages.
+ *
+ * On a development deployment, enable it from the browser console:
+ *   localStorage.setItem('oslira:mockStripeUrl', 'http://localhost:4020')
+ *
+ *   GET  /__accounts  dump every account
+ *   POST /__reset     empty every account
+ *
+ * API requests without an Authorization header get a 401, like the worker.
+ */
+
+const http = require('http');
+
+const PORT = Number(process.argv[2] || process.env.MOCK_STRIPE_PORT || 4020);
+const DAY = 24 * 60 * 60;
+
+// BillingService's test-mode prices; amounts in cents
+const PRICES = {
+    price_1SCmaBJzvcRSqGG3RGL3WrRC: { plan: 'starter', name: 'Starter', amount: 1500, credits: 100 },
+    price_1SCmafJzvcRSqGG3tzSaS6o1: { plan: 'professional', name: 'Professional', amount: 3000, credits: 300 },
+    price_1SCmb3JzvcRSqGG3xTcq7w7E: { plan: 'agency', name: 'Agency', amount: 8000, credits: 1000 }
+};
+
+const accounts = new Map();
+const sessions = new Map();
+let nextId = 1;
+
+function createId(prefix) {
+    return `${prefix}_mock${String(nextId++).padStart(8, '0')}`;
+}
+
+function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+function getAccount(userId) {
+    if (!accounts.has(userId)) {
+        accounts.set(userId, {
+            userId,
+            customerId: createId('cus'),
+            subscription: null,
+            paymentMethod: null,
+            invoices: []
+        });
+    }
+    return accounts.get(userId);
+}
+
+// =============================================================================
+// SUBSCRIPTIONS & INVOICES
+// =============================================================================
+
+function toSubscription(account) {
+    const subscription = account.subscription;
+    if (!subscription) {
+        return {
+            status: 'none',
+            plan_type: 'free',
+            credits_remaining: 25,
+            stripe_customer_id: account.customerId
+        };
+    }
+
+    const price = PRICES[subscription.priceId];
+    return {
+        id: subscription.id,
+        status: 'active',
+        plan_type: price.plan,
+        price_id: subscription.priceId,
+        credits_remaining: subscription.creditsRemaining,
+        current_period_start: new Date(subscription.periodStart * 1000).toISOString(),
+        current_period_end: new Date(subscription.periodEnd * 1000).toISOString(),
+        cancel_at_period_end: subscription.cancelAtPeriodEnd,
+        stripe_customer_id: account.customerId
+    };
+}
+
+function addInvoice(account, amount, description) {
+    const id = createId('in');
+    account.invoices.unshift({
+        id,
+        number: `MOCK-${String(account.invoices.length + 1).padStart(4, '0')}`,
+        created: now(),
+        amount_paid: Math.max(0, amount),
+        total: amount,
+        currency: 'usd',
+        status: 'paid',
+        description,
+        invoice_pdf: null,
+        hosted_invoice_url: null
+    });
+}
+
+function startSubscription(account, priceId) {
+    const price = PRICES[priceId];
+    const start = now();
+
+    account.subscription = {
+        id: createId('sub'),
+        priceId,
+        periodStart: start,
+        periodEnd: start + 30 * DAY,
+        cancelAtPeriodEnd: false,
+        creditsRemaining: price.credits
+    };
+    account.paymentMethod = account.paymentMethod || { brand: 'visa', last4: '4242', exp_month: 12, exp_year: new Date().getFullYear() + 3 };
+    addInvoice(account, price.amount, `${price.name} plan`);
+}
+
+/**
+ * Prorates by the unused share of the current period, like Stripe's default
+ */
+function previewChange(account, priceId, prorationDate = now()) {
+    const subscription = account.subscription;
+    const current = PRICES[subscription.priceId];
+    const next = PRICES[priceId];
+
+    const period = subscription.periodEnd - subscription.periodStart;
+    const remaining = Math.max(0, subscription.periodEnd - prorationDate) / period;
+    const lines = [
+        { description: `Unused time on ${current.name}`, amount: -Math.round(current.amount * remaining) },
+        { description: `Remaining time on ${next.name}`, amount: Math.round(next.amount * remaining) }
+    ];
+
+    return {
+        amount_due: lines.reduce((total, line) => total + line.amount, 0),
+        currency: 'usd',
+        proration_date: prorationDate,
+        next_payment_at: new Date(subscription.periodEnd * 1000).toISOString(),
+        lines
+    };
+}
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+function handleBilling(method, path, body, query) {
+    const userId = method === 'GET' ? query.get('user_id') : body?.user_id;
+
+    if (method === 'GET' && path === '/v1/subscriptions') {
+        if (!userId) return [400, { success: false, error: 'user_id is required' }];
+        return [200, { success: true, data: toSubscription(getAccount(userId)) }];
+    }
+
+    if (method === 'GET' && path === '/v1/billing/invoices') {
+        if (!userId) return [400, { success: false, error: 'user_id is required' }];
+        const invoices = getAccount(userId).invoices;
+        const limit = Number(query.get('limit')) || 12;
+        const after = query.get('starting_after');
+        const start = after ? invoices.findIndex(invoice => invoice.id === after) + 1 : 0;
+        const page = invoices.slice(start, start + limit);
+        return [200, { success: true, data: { invoices: page, has_more: start + limit < invoices.length } }];
+    }
+
+    if (method === 'GET' && path === '/v1/billing/payment-method') {
+        if (!userId) return [400, { success: false, error: 'user_id is required' }];
+        return [200, { success: true, data: getAccount(userId).paymentMethod }];
+    }
+
+    if (method === 'POST' && (path === '/v1/billing/preview-change' || path === '/v1/billing/change-plan')) {
+        if (!userId || !PRICES[body?.price_id]) return [400, { success: false, error: 'user_id and a known price_id are required' }];
+        const account = getAccount(userId);
+        if (!account.subscription) return [409, { success: false, error: 'No active subscription - use checkout' }];
+
+        if (path === '/v1/billing/preview-change') {
+            return [200, { success: true, data: previewChange(account, body.price_id) }];
+        }
+
+        const preview = previewChange(account, body.price_id, body.proration_date || now());
+        account.subscription.priceId = body.price_id;
+        account.subscription.cancelAtPeriodEnd = false;
+        account.subscription.creditsRemaining = Math.max(account.subscription.creditsRemaining, PRICES[body.price_id].credits);
+        addInvoice(account, preview.amount_due, `Switch to ${PRICES[body.price_id].name}`);
+        return [200, { success: true, data: toSubscription(account) }];
+    }
+
+    if (method === 'POST' && (path === '/v1/billing/cancel' || path === '/v1/billing/resume')) {
+        if (!userId) return [400, { success: false, error: 'user_id is required' }];
+        const account = getAccount(userId);
+        if (!account.subscription) return [409, { success: false, error: 'No active subscription' }];
+
+        account.subscription.cancelAtPeriodEnd = path === '/v1/billing/cancel';
+        if (body?.reason) console.log(`   cancellation reason: ${body.reason}${body.comment ? ` - ${body.comment}` : ''}`);
+        return [200, { success: true, data: toSubscription(account) }];
+    }
+
+    if (method === 'POST' && path === '/billing/create-checkout-session') {
+        if (!userId || !PRICES[body?.priceId]) return [400, { success: false, error: 'user_id and a known priceId are required' }];
+        const id = createId('cs');
+        sessions.set(id, { type: 'checkout', userId, priceId: body.priceId, successUrl: body.successUrl, cancelUrl: body.cancelUrl });
+        return [200, { success: true, data: { sessionId: id, url: `http://localhost:${PORT}/__checkout/${id}` } }];
+    }
+
+    if (method === 'POST' && path === '/billing/create-portal-session') {
+        const account = [...accounts.values()].find(item => item.customerId === body?.customerId);
+        if (!account) return [404, { success: false, error: 'Unknown customer' }];
+        const id = createId('bps');
+        sessions.set(id, { type: 'portal', userId: account.userId, returnUrl: body.returnUrl });
+        return [200, { success: true, data: { url: `http://localhost:${PORT}/__portal/${id}` } }];
+    }
+
+    return null;
+}
+
+/**
+ * Hosted pages: checkout subscribes, the portal swaps in a new test card
+ */
+function handleHostedPage(path) {
+    const match = path.match(/^\/__(checkout|portal)\/([^/]+)$/);
+    const session = match && sessions.get(match[2]);
+    if (!session || session.type !== match[1]) return null;
+
+    sessions.delete(match[2]);
+    const account = getAccount(session.userId);
+
+    if (session.type === 'checkout') {
+        startSubscription(account, session.priceId);
+        return session.successUrl || session.cancelUrl;
+    }
+
+    account.paymentMethod = { brand: 'mastercard', last4: '4444', exp_month: 6, exp_year: new Date().getFullYear() + 4 };
+    return session.returnUrl;
+}
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+function send(res, status, data, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        ...headers
+    });
+    res.end(data === null || data === undefined ? '' : JSON.stringify(data));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            if (!raw) return resolve(null);
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const method = req.method.toUpperCase();
+
+    if (method === 'OPTIONS') return send(res, 204, null);
+
+    if (url.pathname === '/__accounts') {
+        return send(res, 200, [...accounts.values()]);
+    }
+
+    if (url.pathname === '/__reset' && method === 'POST') {
+        accounts.clear();
+        sessions.clear();
+        return send(res, 204, null);
+    }
+
+    if (method === 'GET' && url.pathname.startsWith('/__')) {
+        const location = handleHostedPage(url.pathname);
+        if (!location) return send(res, 404, { message: 'Unknown or used session' });
+
+        console.log(`GET ${url.pathname} -> 302 ${location}`);
+        return send(res, 302, null, { Location: location });
+    }
+
+    if (!req.headers.authorization) {
+        return send(res, 401, { success: false, error: 'Authentication required' });
+    }
+
+    let body;
+    try {
+        body = await readBody(req);
+    } catch {
+        return send(res, 400, { success: false, error: 'Invalid JSON body' });
+    }
+
+    const result = handleBilling(method, url.pathname, body, url.searchParams);
+    if (!result) return send(res, 404, { success: false, error: `No mock route for ${method} ${url.pathname}` });
+
+    const [status, data] = result;
+    console.log(`${method} ${url.pathname} -> ${status}`);
+    send(res, status, data);
+});
+
+server.listen(PORT, () => {
+    console.log(`✅ [MockStripeServer] Listening on http://localhost:${PORT}`);
+});
@@ -124,8 +124,9 @@ async initialize(dependencies = {}) {
         const cacheKey = customCacheKey || this.generateCacheKey(endpoint, method, body);
         
         try {
-            // 1. Check cache (GET requests only)
-            if (method === 'GET' && cacheEnabled && !skipCache) {
+            // 1. Check cache (GET requests, or query-style POSTs that opt in)
+            const isCacheable = method === 'GET' || (method === 'POST' && cacheEnabled);
+            if (isCacheable && cacheEnabled && !skipCache) {
                 const cachedResponse = this.getFromCache(cacheKey);
                 if (cachedResponse) {
                     this.logger.debug('[ApiClient] Cache hit', { endpoint, cacheKey });
@@ -183,8 +184,8 @@ const requestPromise = this.httpClient.request(fullURL, {
             // 6. Handle rate limiting headers
             this.updateRateLimitInfo(response);
             
-            // 7. Cache successful GET responses
-            if (method === 'GET' && cacheEnabled && response.success) {
+            // 7. Cache successful responses
+            if (isCacheable && cacheEnabled && response.success) {
                 this.setCache(cacheKey, response, ttl);
             }
             
@@ -236,10 +237,10 @@ const requestPromise = this.httpClient.request(fullURL, {
     }
     
     /**
-     * POST request (never cached)
+     * POST request (not cached unless cacheConfig.enabled - for read-only query endpoints)
      */
-    async post(endpoint, body, options = {}) {
-        return this.request(endpoint, { ...options, method: 'POST', body });
+    async post(endpoint, body, options = {}, cacheConfig = {}) {
+        return this.request(endpoint, { ...options, method: 'POST', body }, cacheConfig);
     }
     
     /**
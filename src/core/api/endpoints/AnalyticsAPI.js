@@ -13,7 +13,7 @@
  * - Trend analysis
  * - Performance metrics
  * - Conversion tracking
- * - Custom reports
+ * - Custom reports, saved / scheduled reports and their history
  */
 class AnalyticsAPI {
     constructor() {
@@ -195,16 +195,31 @@ class AnalyticsAPI {
      * @param {string} businessId - Business ID
      * @param {string} metric - Metric to compare
      * @param {string} period - Time period
+     * @param {Object} options - Explicit range ({ startDate, endDate }) - overrides period
      * @returns {Promise<Object>} Comparison data
      */
-    async getComparison(businessId, metric, period = '30d') {
+    async getComparison(businessId, metric, period = '30d', options = {}) {
         if (!businessId) {
             throw new Error('Business ID is required');
         }
         
+        const {
+            startDate = null,
+            endDate = null
+        } = options;
+        
         try {
+            const queryParams = new URLSearchParams({
+                business_id: businessId,
+                metric,
+                period
+            });
+            
+            if (startDate) queryParams.append('start_date', startDate);
+            if (endDate) queryParams.append('end_date', endDate);
+            
             const response = await this.apiClient.get(
-                `/analytics/comparison?business_id=${businessId}&metric=${metric}&period=${period}`,
+                `/analytics/comparison?${queryParams.toString()}`,
                 {},
                 { enabled: true, ttl: 5 * 60 * 1000 }
             );
@@ -475,6 +490,218 @@ class AnalyticsAPI {
         }
     }
     
+    // =========================================================================
+    // SAVED & SCHEDULED REPORTS
+    // =========================================================================
+    
+    /**
+     * List saved report definitions with their schedules
+     * @param {string} businessId - Business ID
+     * @returns {Promise<Array>} Saved reports
+     */
+    async listReports(businessId) {
+        if (!businessId) {
+            throw new Error('Business ID is required');
+        }
+        
+        try {
+            const response = await this.apiClient.get(
+                `/analytics/reports?business_id=${businessId}`,
+                {},
+                { enabled: true, ttl: 60 * 1000 }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch reports');
+            }
+            
+            return response.data || [];
+            
+        } catch (error) {
+            console.error('❌ [AnalyticsAPI] List reports failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Save a report definition
+     * @param {string} businessId - Business ID
+     * @param {Object} report - { name, config, schedule, delivery }
+     * @returns {Promise<Object>} Created report
+     */
+    async createReport(businessId, report) {
+        if (!businessId || !report?.name) {
+            throw new Error('Business ID and report name are required');
+        }
+        
+        try {
+            const response = await this.apiClient.post(
+                '/analytics/reports',
+                {
+                    business_id: businessId,
+                    ...report
+                },
+                { skipCache: true }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to save report');
+            }
+            
+            this.apiClient.clearCachePattern('/analytics/reports');
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [AnalyticsAPI] Create report failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Update a report definition, its schedule or its delivery targets
+     * @param {string} businessId - Business ID
+     * @param {string} reportId - Report ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object>} Updated report
+     */
+    async updateReport(businessId, reportId, updates) {
+        if (!businessId || !reportId) {
+            throw new Error('Business ID and report ID are required');
+        }
+        
+        try {
+            const response = await this.apiClient.patch(
+                `/analytics/reports/${reportId}`,
+                {
+                    business_id: businessId,
+                    ...updates
+                }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to update report');
+            }
+            
+            this.apiClient.clearCachePattern('/analytics/reports');
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [AnalyticsAPI] Update report failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Delete a report definition - generated reports stay in the history
+     * @param {string} businessId - Business ID
+     * @param {string} reportId - Report ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteReport(businessId, reportId) {
+        if (!businessId || !reportId) {
+            throw new Error('Business ID and report ID are required');
+        }
+        
+        try {
+            const response = await this.apiClient.delete(
+                `/analytics/reports/${reportId}?business_id=${businessId}`
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to delete report');
+            }
+            
+            this.apiClient.clearCachePattern('/analytics/reports');
+            
+            return true;
+            
+        } catch (error) {
+            console.error('❌ [AnalyticsAPI] Delete report failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get a page of generated reports (manual and scheduled), newest first
+     * @param {string} businessId - Business ID
+     * @param {Object} options - { reportId, limit, cursor }
+     * @returns {Promise<Object>} { runs, nextCursor, hasMore }
+     */
+    async getReportRuns(businessId, options = {}) {
+        if (!businessId) {
+            throw new Error('Business ID is required');
+        }
+        
+        const { reportId = null, limit = 20, cursor = null } = options;
+        
+        try {
+            const queryParams = new URLSearchParams({
+                business_id: businessId,
+                limit
+            });
+            
+            if (reportId) queryParams.append('report_id', reportId);
+            if (cursor) queryParams.append('cursor', cursor);
+            
+            const response = await this.apiClient.get(
+                `/analytics/reports/runs?${queryParams.toString()}`,
+                {},
+                { enabled: false } // Runs change status while generating
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch report history');
+            }
+            
+            const data = response.data;
+            const runs = Array.isArray(data) ? data : (data?.runs || []);
+            const pagination = data?.pagination || response.pagination || {};
+            const nextCursor = pagination.next_cursor || null;
+            
+            return {
+                runs,
+                nextCursor,
+                hasMore: pagination.has_more ?? !!nextCursor
+            };
+            
+        } catch (error) {
+            console.error('❌ [AnalyticsAPI] Get report runs failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get a short-lived download URL for a generated report
+     * @param {string} businessId - Business ID
+     * @param {string} runId - Report run ID
+     * @returns {Promise<Object>} { url, expires_at }
+     */
+    async getReportDownload(businessId, runId) {
+        if (!businessId || !runId) {
+            throw new Error('Business ID and run ID are required');
+        }
+        
+        try {
+            const response = await this.apiClient.get(
+                `/analytics/reports/runs/${runId}/download?business_id=${businessId}`,
+                {},
+                { enabled: false } // Signed URLs expire
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to get the report download');
+            }
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [AnalyticsAPI] Get report download failed:', error);
+            throw error;
+        }
+    }
+    
     /**
      * Export analytics data
      * @param {string} businessId - Business ID
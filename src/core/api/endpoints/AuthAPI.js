@@ -11,6 +11,7 @@
  * Endpoints:
  * - User profile CRUD
  * - Subscription queries
+ * - Billing (plan changes, invoices, payment method, cancellation)
  * - Onboarding status
  * - Credit management
  * - Session validation
@@ -158,7 +159,8 @@ class AuthAPI {
     /**
      * Delete user account (soft delete)
      * @param {string} userId - User ID
-     * @returns {Promise<Object>} Deletion confirmation
+     * @returns {Promise<Object>} Deletion confirmation: { deleted_at, purge_at } -
+     *   the account can be restored until purge_at
      */
     async deleteUser(userId) {
         if (!userId) {
@@ -184,6 +186,59 @@ class AuthAPI {
         }
     }
     
+    /**
+     * Cancel a scheduled account deletion during its grace period
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Restored user profile
+     */
+    async restoreUser(userId) {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        
+        try {
+            const response = await this.apiClient.post(`/v1/users/${userId}/restore`, {});
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to restore user');
+            }
+            
+            this.apiClient.clearCachePattern(`/v1/users/${userId}`);
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Restore user failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Request an export of everything stored for the user
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} { status, download_url, expires_at } - the link
+     *   is emailed instead when the export isn't ready right away
+     */
+    async requestDataExport(userId) {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        
+        try {
+            const response = await this.apiClient.post(`/v1/users/${userId}/export`, {});
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to request data export');
+            }
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Request data export failed:', error);
+            throw error;
+        }
+    }
+    
     // =========================================================================
     // SUBSCRIPTION MANAGEMENT
     // =========================================================================
@@ -200,7 +255,7 @@ class AuthAPI {
         
         try {
             const response = await this.apiClient.get(
-                `/v1/subscriptions?user_id=${userId}&status=active`,
+                this.billingEndpoint(`/v1/subscriptions?user_id=${userId}&status=active`),
                 {},
                 { enabled: true, ttl: 2 * 60 * 1000 } // Cache for 2 minutes
             );
@@ -252,7 +307,7 @@ class AuthAPI {
             this.apiClient.clearCachePattern(`/v1/subscriptions`);
             
             const response = await this.apiClient.get(
-                `/v1/subscriptions?user_id=${userId}&status=active`,
+                this.billingEndpoint(`/v1/subscriptions?user_id=${userId}&status=active`),
                 {},
                 { enabled: false } // Don't cache this refresh
             );
@@ -269,6 +324,45 @@ class AuthAPI {
         }
     }
     
+    /**
+     * Get one page of the credit ledger, newest first
+     * @param {string} userId - Owner of the credit pool
+     * @param {Object} options - { startDate, endDate } (YYYY-MM-DD, inclusive), businessId, cursor, limit
+     * @returns {Promise<Object>} { entries, nextCursor }
+     */
+    async getCreditLedger(userId, { startDate = null, endDate = null, businessId = null, cursor = null, limit = 500 } = {}) {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        
+        try {
+            const params = new URLSearchParams({ user_id: userId, limit: String(limit) });
+            if (startDate) params.set('from', startDate);
+            if (endDate) params.set('to', endDate);
+            if (businessId) params.set('business_id', businessId);
+            if (cursor) params.set('cursor', cursor);
+            
+            const response = await this.apiClient.get(
+                `/v1/credits/ledger?${params.toString()}`,
+                {},
+                { enabled: true, ttl: 60 * 1000 } // Cache for 1 minute
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch credit ledger');
+            }
+            
+            return {
+                entries: response.data?.entries || [],
+                nextCursor: response.data?.next_cursor || null
+            };
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Get credit ledger failed:', error);
+            throw error;
+        }
+    }
+    
     /**
      * Update subscription details
      * @param {string} subscriptionId - Subscription ID
@@ -301,6 +395,442 @@ class AuthAPI {
         }
     }
     
+    // =========================================================================
+    // BILLING
+    // =========================================================================
+    // Stripe calls go through the worker. On localhost, OsliraEnv can route
+    // them to scripts/mock-stripe-server.js instead (npm run mock:stripe)
+    
+    /**
+     * Billing endpoint on the worker, or on the local Stripe mock when enabled
+     */
+    billingEndpoint(path) {
+        return `${window.OsliraEnv?.MOCK_STRIPE_URL || ''}${path}`;
+    }
+    
+    /**
+     * Get invoice history, newest first
+     * @param {string} userId - User ID
+     * @param {Object} options - { limit, startingAfter } for paging
+     * @returns {Promise<Object>} { invoices, hasMore }
+     */
+    async getInvoices(userId, { limit = 12, startingAfter = null } = {}) {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        
+        try {
+            const params = new URLSearchParams({ user_id: userId, limit: String(limit) });
+            if (startingAfter) {
+                params.set('starting_after', startingAfter);
+            }
+            
+            const response = await this.apiClient.get(
+                this.billingEndpoint(`/v1/billing/invoices?${params.toString()}`),
+                {},
+                { enabled: true, ttl: 5 * 60 * 1000 }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch invoices');
+            }
+            
+            return {
+                invoices: response.data?.invoices || [],
+                hasMore: !!response.data?.has_more
+            };
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Get invoices failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get the default payment method on file
+     * @param {string} userId - User ID
+     * @returns {Promise<Object|null>} { brand, last4, exp_month, exp_year } or null
+     */
+    async getPaymentMethod(userId) {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        
+        try {
+            const response = await this.apiClient.get(
+                this.billingEndpoint(`/v1/billing/payment-method?user_id=${userId}`),
+                {},
+                { enabled: true, ttl: 5 * 60 * 1000 }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch payment method');
+            }
+            
+            return response.data || null;
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Get payment method failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Preview what switching plans costs today, prorated for the rest of the period
+     * @param {string} userId - User ID
+     * @param {string} priceId - Stripe price of the new plan
+     * @returns {Promise<Object>} { amount_due, currency, proration_date, next_payment_at, lines }
+     */
+    async previewPlanChange(userId, priceId) {
+        if (!userId || !priceId) {
+            throw new Error('User ID and price ID are required');
+        }
+        
+        try {
+            const response = await this.apiClient.post(
+                this.billingEndpoint('/v1/billing/preview-change'),
+                { user_id: userId, price_id: priceId },
+                { skipCache: true }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to preview plan change');
+            }
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Preview plan change failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Switch an active subscription to another plan
+     * @param {string} userId - User ID
+     * @param {string} priceId - Stripe price of the new plan
+     * @param {number} prorationDate - Timestamp from the preview, so the charge matches what was shown
+     * @returns {Promise<Object>} Updated subscription
+     */
+    async changePlan(userId, priceId, prorationDate = null) {
+        if (!userId || !priceId) {
+            throw new Error('User ID and price ID are required');
+        }
+        
+        try {
+            const response = await this.apiClient.post(
+                this.billingEndpoint('/v1/billing/change-plan'),
+                { user_id: userId, price_id: priceId, proration_date: prorationDate }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to change plan');
+            }
+            
+            this.clearBillingCache();
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Change plan failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Start Stripe Checkout for a user without a paid subscription
+     * @param {string} userId - User ID
+     * @param {string} priceId - Stripe price of the plan
+     * @param {Object} urls - { successUrl, cancelUrl }
+     * @returns {Promise<Object>} { sessionId, url }
+     */
+    async createCheckoutSession(userId, priceId, { successUrl, cancelUrl } = {}) {
+        if (!userId || !priceId) {
+            throw new Error('User ID and price ID are required');
+        }
+        
+        try {
+            const response = await this.apiClient.post(
+                this.billingEndpoint('/billing/create-checkout-session'),
+                { user_id: userId, priceId, successUrl, cancelUrl }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to create checkout session');
+            }
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Create checkout session failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Open the Stripe customer portal (payment method updates)
+     * @param {string} customerId - Stripe customer ID
+     * @param {string} returnUrl - Where the portal sends the user back to
+     * @returns {Promise<string>} Portal URL
+     */
+    async createPortalSession(customerId, returnUrl) {
+        if (!customerId) {
+            throw new Error('Customer ID is required');
+        }
+        
+        try {
+            const response = await this.apiClient.post(
+                this.billingEndpoint('/billing/create-portal-session'),
+                { customerId, returnUrl }
+            );
+            
+            if (!response.success || !response.data?.url) {
+                throw new Error(response.error || 'Failed to create portal session');
+            }
+            
+            return response.data.url;
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Create portal session failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Cancel at the end of the current period
+     * @param {string} userId - User ID
+     * @param {Object} feedback - { reason, comment } from the retention step
+     * @returns {Promise<Object>} Updated subscription
+     */
+    async cancelSubscription(userId, feedback = {}) {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        
+        try {
+            const response = await this.apiClient.post(
+                this.billingEndpoint('/v1/billing/cancel'),
+                { user_id: userId, reason: feedback.reason || null, comment: feedback.comment || null }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to cancel subscription');
+            }
+            
+            this.clearBillingCache();
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Cancel subscription failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Undo a scheduled cancellation before the period ends
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Updated subscription
+     */
+    async resumeSubscription(userId) {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        
+        try {
+            const response = await this.apiClient.post(
+                this.billingEndpoint('/v1/billing/resume'),
+                { user_id: userId }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to resume subscription');
+            }
+            
+            this.clearBillingCache();
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Resume subscription failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Clear subscription and billing cache after a change
+     */
+    clearBillingCache() {
+        this.apiClient.clearCachePattern('/v1/subscriptions');
+        this.apiClient.clearCachePattern('/v1/billing');
+    }
+    
+    // =========================================================================
+    // CREDIT BUDGETS
+    // =========================================================================
+    // The worker enforces hard-stop budgets on every debit, sends the email and
+    // webhook alerts and runs auto top-ups; the app mirrors the budget check to
+    // fail fast and shows the in-app alerts
+    
+    /**
+     * Get budgets, month-to-date spend, alert settings and auto top-up
+     * @param {string} userId - Owner of the credit pool
+     * @returns {Promise<Object>} { budgets, spend: { business, user }, alerts, auto_top_up, packs }
+     */
+    async getCreditBudgets(userId) {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        
+        try {
+            const response = await this.apiClient.get(
+                `/v1/credits/budgets?user_id=${userId}`,
+                {},
+                { enabled: true, ttl: 60 * 1000 } // Cache for 1 minute
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch credit budgets');
+            }
+            
+            return response.data || {};
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Get credit budgets failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Create or update a monthly budget (updates when budget.id is set)
+     * @param {string} userId - Owner of the credit pool
+     * @param {Object} budget - { id, scope: 'business'|'user', target_id, monthly_limit, mode: 'warn'|'hard_stop' }
+     * @returns {Promise<Object>} Saved budget
+     */
+    async saveCreditBudget(userId, budget) {
+        if (!userId || !budget) {
+            throw new Error('User ID and budget are required');
+        }
+        
+        try {
+            const response = await this.apiClient.post(
+                '/v1/credits/budgets',
+                { user_id: userId, ...budget }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to save credit budget');
+            }
+            
+            this.clearCreditCache();
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Save credit budget failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Delete a monthly budget
+     * @param {string} userId - Owner of the credit pool
+     * @param {string} budgetId - Budget ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteCreditBudget(userId, budgetId) {
+        if (!userId || !budgetId) {
+            throw new Error('User ID and budget ID are required');
+        }
+        
+        try {
+            const response = await this.apiClient.delete(
+                `/v1/credits/budgets/${budgetId}?user_id=${userId}`
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to delete credit budget');
+            }
+            
+            this.clearCreditCache();
+            
+            return true;
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Delete credit budget failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Update where and when credit alerts are sent
+     * @param {string} userId - Owner of the credit pool
+     * @param {Object} alerts - { thresholds: [percent], low_balance, email, webhook_ids } - registry endpoints that get credits.budget_alert events
+     * @returns {Promise<Object>} Saved alert settings
+     */
+    async updateCreditAlerts(userId, alerts) {
+        if (!userId || !alerts) {
+            throw new Error('User ID and alert settings are required');
+        }
+        
+        try {
+            const response = await this.apiClient.put(
+                '/v1/credits/alerts',
+                { user_id: userId, ...alerts }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to update credit alerts');
+            }
+            
+            this.clearCreditCache();
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Update credit alerts failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Turn auto top-up on or off. The pack is charged to the card on file
+     * @param {string} userId - Owner of the credit pool
+     * @param {Object} settings - { enabled, threshold, pack_id }
+     * @returns {Promise<Object>} Saved auto top-up settings
+     */
+    async updateAutoTopUp(userId, settings) {
+        if (!userId || !settings) {
+            throw new Error('User ID and auto top-up settings are required');
+        }
+        
+        try {
+            const response = await this.apiClient.put(
+                '/v1/credits/auto-top-up',
+                { user_id: userId, ...settings }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to update auto top-up');
+            }
+            
+            this.clearCreditCache();
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [AuthAPI] Update auto top-up failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Clear ledger and budget cache so month-to-date spend is current
+     */
+    clearCreditCache() {
+        this.apiClient.clearCachePattern('/v1/credits');
+    }
+    
     // =========================================================================
     // ONBOARDING
     // =========================================================================
@@ -490,6 +1020,8 @@ class AuthAPI {
     clearAuthCache() {
         this.apiClient.clearCachePattern('/v1/users');
         this.apiClient.clearCachePattern('/v1/subscriptions');
+        this.apiClient.clearCachePattern('/v1/billing');
+        this.apiClient.clearCachePattern('/v1/credits');
         this.apiClient.clearCachePattern('/v1/auth');
         
         console.log('🗑️ [AuthAPI] Auth cache cleared');
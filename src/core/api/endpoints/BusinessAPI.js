@@ -454,6 +454,134 @@ class BusinessAPI {
         }
     }
     
+    /**
+     * Change a team member's role
+     * @param {string} businessId - Business ID
+     * @param {string} memberId - Member ID
+     * @param {string} role - 'admin', 'analyst' or 'viewer'
+     * @returns {Promise<Object>} Updated member
+     */
+    async updateTeamMemberRole(businessId, memberId, role) {
+        if (!businessId || !memberId) {
+            throw new Error('Business ID and Member ID are required');
+        }
+        
+        if (!role) {
+            throw new Error('Role is required');
+        }
+        
+        try {
+            const response = await this.apiClient.patch(
+                `/v1/businesses/${businessId}/team/${memberId}`,
+                { role }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to update team member role');
+            }
+            
+            // Clear team cache
+            this.apiClient.clearCachePattern(`/v1/businesses/${businessId}/team`);
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [BusinessAPI] Update team member role failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get invitations that have been sent but not accepted yet
+     * @param {string} businessId - Business ID
+     * @returns {Promise<Array>} Pending invites
+     */
+    async getTeamInvites(businessId) {
+        if (!businessId) {
+            throw new Error('Business ID is required');
+        }
+        
+        try {
+            const response = await this.apiClient.get(
+                `/v1/businesses/${businessId}/team/invites`,
+                {},
+                { enabled: true, ttl: 5 * 60 * 1000 }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch team invites');
+            }
+            
+            return response.data || [];
+            
+        } catch (error) {
+            console.error('❌ [BusinessAPI] Get team invites failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Revoke a pending invitation
+     * @param {string} businessId - Business ID
+     * @param {string} inviteId - Invite ID to revoke
+     * @returns {Promise<Object>} Revocation confirmation
+     */
+    async revokeTeamInvite(businessId, inviteId) {
+        if (!businessId || !inviteId) {
+            throw new Error('Business ID and Invite ID are required');
+        }
+        
+        try {
+            const response = await this.apiClient.delete(
+                `/v1/businesses/${businessId}/team/invites/${inviteId}`
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to revoke invite');
+            }
+            
+            // Clear team cache
+            this.apiClient.clearCachePattern(`/v1/businesses/${businessId}/team`);
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [BusinessAPI] Revoke team invite failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Accept an invitation for the signed-in user
+     * @param {string} token - Token from the invite link
+     * @returns {Promise<Object>} { business_id, role }
+     */
+    async acceptTeamInvite(token) {
+        if (!token) {
+            throw new Error('Invite token is required');
+        }
+        
+        try {
+            const response = await this.apiClient.post(
+                '/v1/team/invites/accept',
+                { token }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to accept invite');
+            }
+            
+            // The new workspace must show up in the business list
+            this.apiClient.clearCachePattern('/v1/businesses?');
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [BusinessAPI] Accept team invite failed:', error);
+            throw error;
+        }
+    }
+    
     // =========================================================================
     // BUSINESS INTEGRATIONS
     // =========================================================================
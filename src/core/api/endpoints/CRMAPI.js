@@ -0,0 +1,317 @@
+// =============================================================================
+// CRM API - CRM Connections & Sync Records
+// Path: /public/core/api/endpoints/CRMAPI.js
+// Dependencies: ApiClient
+// =============================================================================
+
+/**
+ * @class CRMAPI
+ * @description Handles CRM connections (HubSpot, Pipedrive, Salesforce) per business
+ *
+ * Endpoints:
+ * - Connection CRUD and field mapping
+ * - Relay: forwards a provider request with the connection's stored credentials
+ * - Sync records: which CRM record each lead was pushed to
+ *
+ * Credentials never come back to the browser. Provider requests are built by the
+ * dashboard's CRM connectors and sent through the relay, which targets the
+ * provider API - or the connection's base_url, e.g. a local mock CRM server.
+ *
+ * base_url is a development-only override. Outside development the worker must
+ * reject it on create and ignore it on relay, so credentials can't be sent to
+ * arbitrary or internal hosts.
+ */
+class CRMAPI {
+    constructor() {
+        this.apiClient = null;
+        this.isInitialized = false;
+
+        console.log('🔗 [CRMAPI] Instance created');
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    /**
+     * Initialize CRMAPI with ApiClient dependency
+     * @param {Object} dependencies - { apiClient }
+     */
+    async initialize(dependencies = {}) {
+        if (this.isInitialized) {
+            console.log('⚠️ [CRMAPI] Already initialized');
+            return;
+        }
+
+        try {
+            console.log('🔗 [CRMAPI] Initializing...');
+
+            this.apiClient = dependencies.apiClient;
+
+            if (!this.apiClient) {
+                throw new Error('ApiClient dependency missing');
+            }
+
+            this.isInitialized = true;
+            console.log('✅ [CRMAPI] Initialized successfully');
+
+        } catch (error) {
+            console.error('❌ [CRMAPI] Initialization failed:', error);
+
+            if (window.Sentry) {
+                Sentry.captureException(error, {
+                    tags: { component: 'CRMAPI', phase: 'initialization' }
+                });
+            }
+
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // CONNECTIONS
+    // =========================================================================
+
+    /**
+     * List CRM connections for a business
+     * @param {string} businessId - Business ID
+     * @returns {Promise<Array>} Connections (without credentials)
+     */
+    async listConnections(businessId) {
+        if (!businessId) {
+            throw new Error('Business ID is required');
+        }
+
+        try {
+            const response = await this.apiClient.get(
+                `/v1/businesses/${businessId}/crm/connections`,
+                {},
+                { enabled: true, ttl: 60 * 1000 }
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch CRM connections');
+            }
+
+            return response.data || [];
+
+        } catch (error) {
+            console.error('❌ [CRMAPI] List connections failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Connect a CRM
+     * @param {string} businessId - Business ID
+     * @param {Object} connection - { provider, credentials, base_url (development only), field_mapping, field_keys }
+     * @returns {Promise<Object>} Created connection
+     */
+    async createConnection(businessId, connection) {
+        if (!businessId || !connection?.provider) {
+            throw new Error('Business ID and provider are required');
+        }
+
+        try {
+            const response = await this.apiClient.post(
+                `/v1/businesses/${businessId}/crm/connections`,
+                connection
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to connect CRM');
+            }
+
+            this.clearConnectionsCache(businessId);
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [CRMAPI] Create connection failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a connection (field_mapping, field_keys, enabled, is_default, credentials)
+     * @param {string} businessId - Business ID
+     * @param {string} connectionId - Connection ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object>} Updated connection
+     */
+    async updateConnection(businessId, connectionId, updates) {
+        if (!businessId || !connectionId) {
+            throw new Error('Business ID and connection ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.patch(
+                `/v1/businesses/${businessId}/crm/connections/${connectionId}`,
+                updates
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to update CRM connection');
+            }
+
+            this.clearConnectionsCache(businessId);
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [CRMAPI] Update connection failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Disconnect a CRM. Sync records are kept so a reconnect still de-duplicates.
+     * @param {string} businessId - Business ID
+     * @param {string} connectionId - Connection ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteConnection(businessId, connectionId) {
+        if (!businessId || !connectionId) {
+            throw new Error('Business ID and connection ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.delete(
+                `/v1/businesses/${businessId}/crm/connections/${connectionId}`
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to disconnect CRM');
+            }
+
+            this.clearConnectionsCache(businessId);
+
+            return true;
+
+        } catch (error) {
+            console.error('❌ [CRMAPI] Delete connection failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Send a provider request through the backend with the connection's credentials
+     * @param {string} businessId - Business ID
+     * @param {string} connectionId - Connection ID
+     * @param {Object} request - { method, path, query, body }
+     * @returns {Promise<Object>} Provider response { status, data }
+     */
+    async relay(businessId, connectionId, request) {
+        if (!businessId || !connectionId || !request?.path) {
+            throw new Error('Business ID, connection ID and request path are required');
+        }
+
+        const response = await this.apiClient.post(
+            `/v1/businesses/${businessId}/crm/connections/${connectionId}/relay`,
+            request
+        );
+
+        if (!response.success) {
+            throw new Error(response.error || 'CRM request failed');
+        }
+
+        return response.data;
+    }
+
+    // =========================================================================
+    // SYNC RECORDS
+    // =========================================================================
+
+    /**
+     * Sync records for a set of leads, across all connections
+     * @param {string} businessId - Business ID
+     * @param {Array<string>} leadIds - Lead IDs
+     * @returns {Promise<Array>} [{ lead_id, connection_id, provider, external_id, status, error, synced_at }]
+     */
+    async getSyncRecords(businessId, leadIds) {
+        if (!businessId || !Array.isArray(leadIds) || leadIds.length === 0) {
+            return [];
+        }
+
+        try {
+            const response = await this.apiClient.post(
+                `/v1/businesses/${businessId}/crm/sync-records/lookup`,
+                { lead_ids: leadIds }
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch sync records');
+            }
+
+            return response.data || [];
+
+        } catch (error) {
+            console.error('❌ [CRMAPI] Get sync records failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store push results (upsert on lead_id + connection_id)
+     * @param {string} businessId - Business ID
+     * @param {Array<Object>} records - Sync records
+     * @returns {Promise<Array>} Stored records
+     */
+    async saveSyncRecords(businessId, records) {
+        if (!businessId || !Array.isArray(records) || records.length === 0) {
+            return [];
+        }
+
+        try {
+            const response = await this.apiClient.post(
+                `/v1/businesses/${businessId}/crm/sync-records`,
+                { records }
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to save sync records');
+            }
+
+            return response.data || records;
+
+        } catch (error) {
+            console.error('❌ [CRMAPI] Save sync records failed:', error);
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // UTILITIES
+    // =========================================================================
+
+    clearConnectionsCache(businessId) {
+        this.apiClient.clearCachePattern(`/v1/businesses/${businessId}/crm/connections`);
+    }
+
+    /**
+     * Get debug info
+     */
+    getDebugInfo() {
+        return {
+            isInitialized: this.isInitialized,
+            hasApiClient: !!this.apiClient
+        };
+    }
+
+    // =========================================================================
+    // CLEANUP
+    // =========================================================================
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.isInitialized = false;
+        console.log('🗑️ [CRMAPI] Destroyed');
+    }
+}
+
+// =============================================================================
+// ES6 MODULE EXPORT
+// =============================================================================
+export default CRMAPI;
@@ -0,0 +1,389 @@
+// =============================================================================
+// CAMPAIGNS API - Outreach Campaign Endpoints
+// Path: /public/core/api/endpoints/CampaignsAPI.js
+// Dependencies: ApiClient
+// =============================================================================
+
+/**
+ * @class CampaignsAPI
+ * @description Handles outreach campaigns, their follow-up steps and recipients
+ *
+ * Endpoints:
+ * - Campaign CRUD (per business)
+ * - Recipients: add leads, remove, update message / send state
+ * - Per-recipient message generation from the lead's analysis
+ *
+ * Oslira does not send messages itself - recipients are marked sent and
+ * replied by the user, and the backend stores the timestamps follow-ups are
+ * scheduled from.
+ */
+class CampaignsAPI {
+    constructor() {
+        this.apiClient = null;
+        this.isInitialized = false;
+
+        console.log('📣 [CampaignsAPI] Instance created');
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    /**
+     * Initialize CampaignsAPI with ApiClient dependency
+     * @param {Object} dependencies - { apiClient }
+     */
+    async initialize(dependencies = {}) {
+        if (this.isInitialized) {
+            console.log('⚠️ [CampaignsAPI] Already initialized');
+            return;
+        }
+
+        try {
+            console.log('📣 [CampaignsAPI] Initializing...');
+
+            this.apiClient = dependencies.apiClient;
+
+            if (!this.apiClient) {
+                throw new Error('ApiClient dependency missing');
+            }
+
+            this.isInitialized = true;
+            console.log('✅ [CampaignsAPI] Initialized successfully');
+
+        } catch (error) {
+            console.error('❌ [CampaignsAPI] Initialization failed:', error);
+
+            if (window.Sentry) {
+                Sentry.captureException(error, {
+                    tags: { component: 'CampaignsAPI', phase: 'initialization' }
+                });
+            }
+
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // CAMPAIGNS
+    // =========================================================================
+
+    /**
+     * List campaigns for a business, with per-campaign recipient counts
+     * @param {string} businessId - Business ID
+     * @returns {Promise<Array>} Campaigns
+     */
+    async listCampaigns(businessId) {
+        if (!businessId) {
+            throw new Error('Business ID is required');
+        }
+
+        try {
+            const response = await this.apiClient.get(
+                `/v1/businesses/${businessId}/campaigns`,
+                {},
+                { enabled: true, ttl: 30 * 1000 }
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch campaigns');
+            }
+
+            return response.data || [];
+
+        } catch (error) {
+            console.error('❌ [CampaignsAPI] List campaigns failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get one campaign with its steps and recipients
+     * @param {string} businessId - Business ID
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<Object>} Campaign including `recipients`
+     */
+    async getCampaign(businessId, campaignId) {
+        if (!businessId || !campaignId) {
+            throw new Error('Business ID and campaign ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.get(
+                `/v1/businesses/${businessId}/campaigns/${campaignId}`,
+                {},
+                { enabled: false } // Send state changes from other team members
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch campaign');
+            }
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [CampaignsAPI] Get campaign failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a campaign
+     * @param {string} businessId - Business ID
+     * @param {Object} campaign - { name, steps, lead_ids }
+     * @returns {Promise<Object>} Created campaign
+     */
+    async createCampaign(businessId, campaign) {
+        if (!businessId || !campaign?.name) {
+            throw new Error('Business ID and campaign name are required');
+        }
+
+        try {
+            const response = await this.apiClient.post(
+                `/v1/businesses/${businessId}/campaigns`,
+                campaign
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to create campaign');
+            }
+
+            this.clearCampaignsCache(businessId);
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [CampaignsAPI] Create campaign failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a campaign (name, steps, status)
+     * @param {string} businessId - Business ID
+     * @param {string} campaignId - Campaign ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object>} Updated campaign
+     */
+    async updateCampaign(businessId, campaignId, updates) {
+        if (!businessId || !campaignId) {
+            throw new Error('Business ID and campaign ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.patch(
+                `/v1/businesses/${businessId}/campaigns/${campaignId}`,
+                updates
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to update campaign');
+            }
+
+            this.clearCampaignsCache(businessId);
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [CampaignsAPI] Update campaign failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a campaign - the leads themselves are kept
+     * @param {string} businessId - Business ID
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteCampaign(businessId, campaignId) {
+        if (!businessId || !campaignId) {
+            throw new Error('Business ID and campaign ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.delete(
+                `/v1/businesses/${businessId}/campaigns/${campaignId}`
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to delete campaign');
+            }
+
+            this.clearCampaignsCache(businessId);
+
+            return true;
+
+        } catch (error) {
+            console.error('❌ [CampaignsAPI] Delete campaign failed:', error);
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // RECIPIENTS
+    // =========================================================================
+
+    /**
+     * Add leads to a campaign - leads already in it are skipped
+     * @param {string} businessId - Business ID
+     * @param {string} campaignId - Campaign ID
+     * @param {Array<string>} leadIds - Lead IDs
+     * @returns {Promise<Object>} { added, skipped }
+     */
+    async addRecipients(businessId, campaignId, leadIds) {
+        if (!businessId || !campaignId || !leadIds?.length) {
+            throw new Error('Business ID, campaign ID and at least one lead are required');
+        }
+
+        try {
+            const response = await this.apiClient.post(
+                `/v1/businesses/${businessId}/campaigns/${campaignId}/recipients`,
+                { lead_ids: leadIds }
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to add leads to campaign');
+            }
+
+            this.clearCampaignsCache(businessId);
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [CampaignsAPI] Add recipients failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a recipient's draft message, current step or send state
+     * @param {string} businessId - Business ID
+     * @param {string} campaignId - Campaign ID
+     * @param {string} recipientId - Recipient ID
+     * @param {Object} updates - { message, step_index, state, sent_at, replied_at }
+     * @returns {Promise<Object>} Updated recipient
+     */
+    async updateRecipient(businessId, campaignId, recipientId, updates) {
+        if (!businessId || !campaignId || !recipientId) {
+            throw new Error('Business ID, campaign ID and recipient ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.patch(
+                `/v1/businesses/${businessId}/campaigns/${campaignId}/recipients/${recipientId}`,
+                updates
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to update recipient');
+            }
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [CampaignsAPI] Update recipient failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a lead from a campaign
+     * @param {string} businessId - Business ID
+     * @param {string} campaignId - Campaign ID
+     * @param {string} recipientId - Recipient ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async removeRecipient(businessId, campaignId, recipientId) {
+        if (!businessId || !campaignId || !recipientId) {
+            throw new Error('Business ID, campaign ID and recipient ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.delete(
+                `/v1/businesses/${businessId}/campaigns/${campaignId}/recipients/${recipientId}`
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to remove recipient');
+            }
+
+            this.clearCampaignsCache(businessId);
+
+            return true;
+
+        } catch (error) {
+            console.error('❌ [CampaignsAPI] Remove recipient failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Generate a message for a recipient's step from the lead's analysis
+     * @param {string} businessId - Business ID
+     * @param {string} campaignId - Campaign ID
+     * @param {string} recipientId - Recipient ID
+     * @param {Object} options - { stepIndex, instructions }
+     * @returns {Promise<Object>} { message }
+     */
+    async generateMessage(businessId, campaignId, recipientId, options = {}) {
+        if (!businessId || !campaignId || !recipientId) {
+            throw new Error('Business ID, campaign ID and recipient ID are required');
+        }
+
+        const { stepIndex = 0, instructions = '' } = options;
+
+        try {
+            const response = await this.apiClient.post(
+                `/v1/businesses/${businessId}/campaigns/${campaignId}/recipients/${recipientId}/generate`,
+                { step_index: stepIndex, instructions },
+                { skipCache: true }
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to generate message');
+            }
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [CampaignsAPI] Generate message failed:', error);
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // UTILITIES
+    // =========================================================================
+
+    clearCampaignsCache(businessId) {
+        this.apiClient.clearCachePattern(`/v1/businesses/${businessId}/campaigns`);
+    }
+
+    /**
+     * Get debug info
+     */
+    getDebugInfo() {
+        return {
+            isInitialized: this.isInitialized,
+            hasApiClient: !!this.apiClient
+        };
+    }
+
+    // =========================================================================
+    // CLEANUP
+    // =========================================================================
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.isInitialized = false;
+        console.log('🗑️ [CampaignsAPI] Destroyed');
+    }
+}
+
+// =============================================================================
+// ES6 MODULE EXPORT
+// =============================================================================
+export default CampaignsAPI;
@@ -67,10 +67,10 @@ class LeadsAPI {
     // =========================================================================
     
     /**
-     * Fetch all leads for a business
+     * Fetch one page of leads for a business
      * @param {string} businessId - Business ID
-     * @param {Object} options - Query options (limit, offset, sort)
-     * @returns {Promise<Array>} Array of leads
+     * @param {Object} options - Query options (limit, cursor, offset, sort, status, platform, includePayloads)
+     * @returns {Promise<Object>} { leads, nextCursor, total, hasMore }
      */
     async fetchLeads(businessId, options = {}) {
         if (!businessId) {
@@ -79,25 +79,43 @@ class LeadsAPI {
         
         const {
             limit = 100,
+            cursor = null,
             offset = 0,
             sortBy = 'created_at',
             sortOrder = 'desc',
-            status = null
+            status = null,
+            platform = null,
+            includePayloads = false
         } = options;
         
         try {
             const queryParams = new URLSearchParams({
                 business_id: businessId,
                 limit,
-                offset,
                 sort_by: sortBy,
                 sort_order: sortOrder
             });
             
+            // Cursor (keyset) pagination takes precedence over offset
+            if (cursor) {
+                queryParams.append('cursor', cursor);
+            } else if (offset) {
+                queryParams.append('offset', offset);
+            }
+            
             if (status) {
                 queryParams.append('status', status);
             }
             
+            if (platform) {
+                queryParams.append('platform', platform);
+            }
+            
+            // Full analysis payloads are large - only exports ask for them
+            if (includePayloads) {
+                queryParams.append('include', 'payloads');
+            }
+            
             const response = await this.apiClient.get(
                 `/v1/leads?${queryParams.toString()}`,
                 {},
@@ -108,7 +126,7 @@ class LeadsAPI {
                 throw new Error(response.error || 'Failed to fetch leads');
             }
             
-            return response.data || [];
+            return this.toLeadsPage(response);
             
         } catch (error) {
             console.error('❌ [LeadsAPI] Fetch leads failed:', error);
@@ -331,6 +349,58 @@ class LeadsAPI {
         }
     }
     
+    // =========================================================================
+    // LEAD DISCOVERY
+    // =========================================================================
+    
+    /**
+     * Propose candidate profiles from seed hashtags, accounts and keywords
+     * @param {string} businessId - Business ID (used to rank candidates against its target audience)
+     * @param {Object} seeds - { hashtags, accounts, keywords } - arrays of strings
+     * @param {Object} options - Page options (limit, cursor)
+     * @returns {Promise<Object>} { candidates, nextCursor, hasMore }
+     */
+    async discoverLeads(businessId, seeds, options = {}) {
+        if (!businessId) {
+            throw new Error('Business ID is required');
+        }
+        
+        const { limit = 30, cursor = null } = options;
+        
+        try {
+            const response = await this.apiClient.post(
+                '/v1/leads/discover',
+                {
+                    business_id: businessId,
+                    hashtags: seeds?.hashtags || [],
+                    accounts: seeds?.accounts || [],
+                    keywords: seeds?.keywords || [],
+                    limit,
+                    cursor
+                },
+                { skipCache: true }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to discover leads');
+            }
+            
+            const data = response.data || {};
+            const pagination = data.pagination || response.pagination || {};
+            const nextCursor = pagination.next_cursor || null;
+            
+            return {
+                candidates: Array.isArray(data) ? data : (data.candidates || []),
+                nextCursor,
+                hasMore: pagination.has_more ?? !!nextCursor
+            };
+            
+        } catch (error) {
+            console.error('❌ [LeadsAPI] Discover leads failed:', error);
+            throw error;
+        }
+    }
+    
     // =========================================================================
     // LEAD SEARCH & FILTERING
     // =========================================================================
@@ -373,31 +443,47 @@ class LeadsAPI {
     }
     
     /**
-     * Filter leads by criteria
+     * Filter leads by criteria, one page at a time
      * @param {string} businessId - Business ID
      * @param {Object} filters - Filter criteria
-     * @returns {Promise<Array>} Filtered leads
+     * @param {Object} options - Page options (limit, cursor, sortBy, sortOrder, includePayloads)
+     * @returns {Promise<Object>} { leads, nextCursor, total, hasMore }
      */
-    async filterLeads(businessId, filters) {
+    async filterLeads(businessId, filters, options = {}) {
         if (!businessId) {
             throw new Error('Business ID is required');
         }
         
+        const {
+            limit = 100,
+            cursor = null,
+            sortBy = 'created_at',
+            sortOrder = 'desc',
+            includePayloads = false
+        } = options;
+        
         try {
+            // Read-only query, so the page is cached like a GET
             const response = await this.apiClient.post(
                 '/v1/leads/filter',
                 {
                     business_id: businessId,
-                    filters
+                    filters,
+                    limit,
+                    cursor,
+                    sort_by: sortBy,
+                    sort_order: sortOrder,
+                    ...(includePayloads && { include: ['payloads'] })
                 },
-                { skipCache: true }
+                {},
+                { enabled: true, ttl: 2 * 60 * 1000 } // Cache for 2 minutes
             );
             
             if (!response.success) {
                 throw new Error(response.error || 'Failed to filter leads');
             }
             
-            return response.data || [];
+            return this.toLeadsPage(response);
             
         } catch (error) {
             console.error('❌ [LeadsAPI] Filter leads failed:', error);
@@ -697,6 +783,8 @@ async fetchDashboardLeads(businessId, limit = 50) {
                 throw new Error(response.error || 'Failed to add note');
             }
             
+            this.apiClient.clearCachePattern(`/v1/leads/${leadId}/activity`);
+            
             return response.data;
             
         } catch (error) {
@@ -705,10 +793,110 @@ async fetchDashboardLeads(businessId, limit = 50) {
         }
     }
     
+    // =========================================================================
+    // LEAD ACTIVITY
+    // =========================================================================
+    
+    /**
+     * Get a page of lead activity (notes, status changes, message edits, re-analyses)
+     * @param {string} leadId - Lead ID
+     * @param {Object} options - { limit, cursor }
+     * @returns {Promise<Object>} { events, nextCursor, hasMore }
+     */
+    async getLeadActivity(leadId, options = {}) {
+        if (!leadId) {
+            throw new Error('Lead ID is required');
+        }
+        
+        const { limit = 50, cursor = null } = options;
+        
+        try {
+            const queryParams = new URLSearchParams({ limit });
+            if (cursor) {
+                queryParams.append('cursor', cursor);
+            }
+            
+            const response = await this.apiClient.get(
+                `/v1/leads/${leadId}/activity?${queryParams}`,
+                {},
+                { enabled: true, ttl: 60 * 1000 }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch lead activity');
+            }
+            
+            const data = response.data;
+            const events = Array.isArray(data) ? data : (data?.events || []);
+            const pagination = data?.pagination || response.pagination || {};
+            const nextCursor = pagination.next_cursor || null;
+            
+            return {
+                events,
+                nextCursor,
+                hasMore: pagination.has_more ?? !!nextCursor
+            };
+            
+        } catch (error) {
+            console.error('❌ [LeadsAPI] Get lead activity failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Record an activity event for a lead
+     * @param {string} leadId - Lead ID
+     * @param {string} type - 'status_change' | 'message_edit' | 'reanalysis'
+     * @param {Object} details - Event details (e.g. { from, to })
+     * @returns {Promise<Object>} Created event
+     */
+    async logLeadActivity(leadId, type, details = {}) {
+        if (!leadId || !type) {
+            throw new Error('Lead ID and activity type are required');
+        }
+        
+        try {
+            const response = await this.apiClient.post(
+                `/v1/leads/${leadId}/activity`,
+                { type, details }
+            );
+            
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to record activity');
+            }
+            
+            this.apiClient.clearCachePattern(`/v1/leads/${leadId}/activity`);
+            
+            return response.data;
+            
+        } catch (error) {
+            console.error('❌ [LeadsAPI] Log lead activity failed:', error);
+            throw error;
+        }
+    }
+    
     // =========================================================================
     // UTILITIES
     // =========================================================================
     
+    /**
+     * Normalize a paginated response into { leads, nextCursor, total, hasMore }
+     * Accepts data as an array (pagination in response.pagination) or as { leads, pagination }
+     */
+    toLeadsPage(response) {
+        const data = response.data;
+        const leads = Array.isArray(data) ? data : (data?.leads || []);
+        const pagination = data?.pagination || response.pagination || {};
+        const nextCursor = pagination.next_cursor || null;
+        
+        return {
+            leads,
+            nextCursor,
+            total: Number.isFinite(pagination.total) ? pagination.total : null,
+            hasMore: pagination.has_more ?? !!nextCursor
+        };
+    }
+    
     /**
      * Clear all leads cache
      */
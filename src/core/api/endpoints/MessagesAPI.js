@@ -0,0 +1,344 @@
+// =============================================================================
+// MESSAGES API - Outreach Inbox Endpoints
+// Path: /public/core/api/endpoints/MessagesAPI.js
+// Dependencies: ApiClient
+// =============================================================================
+
+/**
+ * @class MessagesAPI
+ * @description Handles the messages center: per-lead threads of outreach and replies
+ *
+ * Endpoints:
+ * - Threads: one per lead that was messaged or has a draft, newest activity first
+ * - Thread detail: every message sent to and received from one lead
+ * - Replies: log a pasted reply, bulk import, classify, delete
+ *
+ * Sent messages come from campaigns (recipients marked sent). Replies are
+ * logged by the user - logging one also marks the lead's campaign recipients
+ * replied, so their follow-ups stop.
+ */
+class MessagesAPI {
+    constructor() {
+        this.apiClient = null;
+        this.isInitialized = false;
+
+        console.log('💬 [MessagesAPI] Instance created');
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    /**
+     * Initialize MessagesAPI with ApiClient dependency
+     * @param {Object} dependencies - { apiClient }
+     */
+    async initialize(dependencies = {}) {
+        if (this.isInitialized) {
+            console.log('⚠️ [MessagesAPI] Already initialized');
+            return;
+        }
+
+        try {
+            console.log('💬 [MessagesAPI] Initializing...');
+
+            this.apiClient = dependencies.apiClient;
+
+            if (!this.apiClient) {
+                throw new Error('ApiClient dependency missing');
+            }
+
+            this.isInitialized = true;
+            console.log('✅ [MessagesAPI] Initialized successfully');
+
+        } catch (error) {
+            console.error('❌ [MessagesAPI] Initialization failed:', error);
+
+            if (window.Sentry) {
+                Sentry.captureException(error, {
+                    tags: { component: 'MessagesAPI', phase: 'initialization' }
+                });
+            }
+
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // THREADS
+    // =========================================================================
+
+    /**
+     * Fetch one page of threads for a business
+     * @param {string} businessId - Business ID
+     * @param {Object} options - { filter, search, limit, cursor }
+     * @returns {Promise<Object>} { threads, nextCursor, hasMore }
+     */
+    async listThreads(businessId, options = {}) {
+        if (!businessId) {
+            throw new Error('Business ID is required');
+        }
+
+        const { filter = 'all', search = '', limit = 50, cursor = null } = options;
+
+        try {
+            const queryParams = new URLSearchParams({ filter, limit });
+            if (search) {
+                queryParams.append('search', search);
+            }
+            if (cursor) {
+                queryParams.append('cursor', cursor);
+            }
+
+            const response = await this.apiClient.get(
+                `/v1/businesses/${businessId}/messages/threads?${queryParams}`,
+                {},
+                { enabled: true, ttl: 30 * 1000 }
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch threads');
+            }
+
+            const data = response.data;
+            const threads = Array.isArray(data) ? data : (data?.threads || []);
+            const pagination = data?.pagination || response.pagination || {};
+            const nextCursor = pagination.next_cursor || null;
+
+            return {
+                threads,
+                nextCursor,
+                hasMore: pagination.has_more ?? !!nextCursor
+            };
+
+        } catch (error) {
+            console.error('❌ [MessagesAPI] List threads failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get one lead's thread
+     * @param {string} businessId - Business ID
+     * @param {string} leadId - Lead ID
+     * @returns {Promise<Object>} { lead, messages }
+     */
+    async getThread(businessId, leadId) {
+        if (!businessId || !leadId) {
+            throw new Error('Business ID and lead ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.get(
+                `/v1/businesses/${businessId}/messages/threads/${leadId}`,
+                {},
+                { enabled: false } // Replies arrive from other team members
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch thread');
+            }
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [MessagesAPI] Get thread failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a thread's replies as read
+     * @param {string} businessId - Business ID
+     * @param {string} leadId - Lead ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async markThreadRead(businessId, leadId) {
+        if (!businessId || !leadId) {
+            throw new Error('Business ID and lead ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.post(
+                `/v1/businesses/${businessId}/messages/threads/${leadId}/read`,
+                {}
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to mark thread read');
+            }
+
+            this.clearMessagesCache(businessId);
+
+            return true;
+
+        } catch (error) {
+            console.error('❌ [MessagesAPI] Mark thread read failed:', error);
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // REPLIES
+    // =========================================================================
+
+    /**
+     * Log a reply from a lead
+     * @param {string} businessId - Business ID
+     * @param {string} leadId - Lead ID
+     * @param {Object} reply - { body, received_at, classification, source }
+     * @returns {Promise<Object>} Created message
+     */
+    async logReply(businessId, leadId, reply) {
+        if (!businessId || !leadId || !reply?.body) {
+            throw new Error('Business ID, lead ID and reply text are required');
+        }
+
+        try {
+            const response = await this.apiClient.post(
+                `/v1/businesses/${businessId}/messages/threads/${leadId}/replies`,
+                reply
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to log reply');
+            }
+
+            this.clearMessagesCache(businessId);
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [MessagesAPI] Log reply failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Import replies for many leads - rows are matched to leads by username
+     * @param {string} businessId - Business ID
+     * @param {Array<Object>} replies - [{ username, body, received_at, classification }]
+     * @returns {Promise<Object>} { imported, duplicates, unmatched, messages } - messages include their lead ({ id, status })
+     */
+    async importReplies(businessId, replies) {
+        if (!businessId || !replies?.length) {
+            throw new Error('Business ID and at least one reply are required');
+        }
+
+        try {
+            const response = await this.apiClient.post(
+                `/v1/businesses/${businessId}/messages/replies/import`,
+                { replies }
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to import replies');
+            }
+
+            this.clearMessagesCache(businessId);
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [MessagesAPI] Import replies failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Classify a reply
+     * @param {string} businessId - Business ID
+     * @param {string} messageId - Message ID
+     * @param {string|null} classification - 'interested' | 'not_now' | 'not_interested', or null to clear
+     * @returns {Promise<Object>} Updated message
+     */
+    async classifyMessage(businessId, messageId, classification) {
+        if (!businessId || !messageId) {
+            throw new Error('Business ID and message ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.patch(
+                `/v1/businesses/${businessId}/messages/${messageId}`,
+                { classification }
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to classify reply');
+            }
+
+            this.clearMessagesCache(businessId);
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [MessagesAPI] Classify message failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a logged reply
+     * @param {string} businessId - Business ID
+     * @param {string} messageId - Message ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteMessage(businessId, messageId) {
+        if (!businessId || !messageId) {
+            throw new Error('Business ID and message ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.delete(
+                `/v1/businesses/${businessId}/messages/${messageId}`
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to delete message');
+            }
+
+            this.clearMessagesCache(businessId);
+
+            return true;
+
+        } catch (error) {
+            console.error('❌ [MessagesAPI] Delete message failed:', error);
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // UTILITIES
+    // =========================================================================
+
+    clearMessagesCache(businessId) {
+        this.apiClient.clearCachePattern(`/v1/businesses/${businessId}/messages`);
+    }
+
+    /**
+     * Get debug info
+     */
+    getDebugInfo() {
+        return {
+            isInitialized: this.isInitialized,
+            hasApiClient: !!this.apiClient
+        };
+    }
+
+    // =========================================================================
+    // CLEANUP
+    // =========================================================================
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.isInitialized = false;
+        console.log('🗑️ [MessagesAPI] Destroyed');
+    }
+}
+
+// =============================================================================
+// ES6 MODULE EXPORT
+// =============================================================================
+export default MessagesAPI;
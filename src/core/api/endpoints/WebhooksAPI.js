@@ -0,0 +1,380 @@
+// =============================================================================
+// WEBHOOKS API - Outbound Webhook Endpoints
+// Path: /public/core/api/endpoints/WebhooksAPI.js
+// Dependencies: ApiClient
+// =============================================================================
+
+/**
+ * @class WebhooksAPI
+ * @description Handles outbound webhook configuration and delivery history
+ *
+ * Endpoints:
+ * - Webhook endpoint CRUD (per business)
+ * - Signing secret rotation
+ * - Delivery log, retry / replay
+ * - Test events
+ *
+ * Delivery and payload signing (HMAC-SHA256) happen on the backend; the
+ * signing secret is only ever returned on create and rotate.
+ */
+class WebhooksAPI {
+    constructor() {
+        this.apiClient = null;
+        this.isInitialized = false;
+
+        console.log('🪝 [WebhooksAPI] Instance created');
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    /**
+     * Initialize WebhooksAPI with ApiClient dependency
+     * @param {Object} dependencies - { apiClient }
+     */
+    async initialize(dependencies = {}) {
+        if (this.isInitialized) {
+            console.log('⚠️ [WebhooksAPI] Already initialized');
+            return;
+        }
+
+        try {
+            console.log('🪝 [WebhooksAPI] Initializing...');
+
+            this.apiClient = dependencies.apiClient;
+
+            if (!this.apiClient) {
+                throw new Error('ApiClient dependency missing');
+            }
+
+            this.isInitialized = true;
+            console.log('✅ [WebhooksAPI] Initialized successfully');
+
+        } catch (error) {
+            console.error('❌ [WebhooksAPI] Initialization failed:', error);
+
+            if (window.Sentry) {
+                Sentry.captureException(error, {
+                    tags: { component: 'WebhooksAPI', phase: 'initialization' }
+                });
+            }
+
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // WEBHOOK ENDPOINTS
+    // =========================================================================
+
+    /**
+     * List webhook endpoints for a business
+     * @param {string} businessId - Business ID
+     * @returns {Promise<Array>} Webhook endpoints (without secrets)
+     */
+    async listWebhooks(businessId) {
+        if (!businessId) {
+            throw new Error('Business ID is required');
+        }
+
+        try {
+            const response = await this.apiClient.get(
+                `/v1/businesses/${businessId}/webhooks`,
+                {},
+                { enabled: true, ttl: 60 * 1000 }
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch webhooks');
+            }
+
+            return response.data || [];
+
+        } catch (error) {
+            console.error('❌ [WebhooksAPI] List webhooks failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Register a webhook endpoint
+     * @param {string} businessId - Business ID
+     * @param {Object} webhook - { url, events, description, enabled }
+     * @returns {Promise<Object>} Created endpoint including its signing secret
+     */
+    async createWebhook(businessId, webhook) {
+        if (!businessId || !webhook?.url) {
+            throw new Error('Business ID and webhook URL are required');
+        }
+
+        try {
+            const response = await this.apiClient.post(
+                `/v1/businesses/${businessId}/webhooks`,
+                webhook
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to create webhook');
+            }
+
+            this.clearWebhooksCache(businessId);
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [WebhooksAPI] Create webhook failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a webhook endpoint (url, events, description, enabled)
+     * @param {string} businessId - Business ID
+     * @param {string} webhookId - Webhook ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object>} Updated endpoint
+     */
+    async updateWebhook(businessId, webhookId, updates) {
+        if (!businessId || !webhookId) {
+            throw new Error('Business ID and webhook ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.patch(
+                `/v1/businesses/${businessId}/webhooks/${webhookId}`,
+                updates
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to update webhook');
+            }
+
+            this.clearWebhooksCache(businessId);
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [WebhooksAPI] Update webhook failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a webhook endpoint
+     * @param {string} businessId - Business ID
+     * @param {string} webhookId - Webhook ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteWebhook(businessId, webhookId) {
+        if (!businessId || !webhookId) {
+            throw new Error('Business ID and webhook ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.delete(
+                `/v1/businesses/${businessId}/webhooks/${webhookId}`
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to delete webhook');
+            }
+
+            this.clearWebhooksCache(businessId);
+
+            return true;
+
+        } catch (error) {
+            console.error('❌ [WebhooksAPI] Delete webhook failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the signing secret - the old one stops working immediately
+     * @param {string} businessId - Business ID
+     * @param {string} webhookId - Webhook ID
+     * @returns {Promise<Object>} { secret }
+     */
+    async rotateSecret(businessId, webhookId) {
+        if (!businessId || !webhookId) {
+            throw new Error('Business ID and webhook ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.post(
+                `/v1/businesses/${businessId}/webhooks/${webhookId}/rotate-secret`,
+                {}
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to rotate secret');
+            }
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [WebhooksAPI] Rotate secret failed:', error);
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // DELIVERIES
+    // =========================================================================
+
+    /**
+     * Send a sample event to an endpoint
+     * @param {string} businessId - Business ID
+     * @param {string} webhookId - Webhook ID
+     * @param {string} eventType - e.g. 'analysis.completed'
+     * @returns {Promise<Object>} The resulting delivery
+     */
+    async sendTestEvent(businessId, webhookId, eventType) {
+        if (!businessId || !webhookId || !eventType) {
+            throw new Error('Business ID, webhook ID and event type are required');
+        }
+
+        try {
+            const response = await this.apiClient.post(
+                `/v1/businesses/${businessId}/webhooks/${webhookId}/test`,
+                { event: eventType }
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to send test event');
+            }
+
+            this.clearDeliveriesCache(businessId, webhookId);
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [WebhooksAPI] Send test event failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a page of delivery attempts, newest first
+     * @param {string} businessId - Business ID
+     * @param {string} webhookId - Webhook ID
+     * @param {Object} options - { limit, cursor, status }
+     * @returns {Promise<Object>} { deliveries, nextCursor, hasMore }
+     */
+    async getDeliveries(businessId, webhookId, options = {}) {
+        if (!businessId || !webhookId) {
+            throw new Error('Business ID and webhook ID are required');
+        }
+
+        const { limit = 25, cursor = null, status = null } = options;
+
+        try {
+            const queryParams = new URLSearchParams({ limit });
+
+            if (cursor) {
+                queryParams.append('cursor', cursor);
+            }
+
+            if (status) {
+                queryParams.append('status', status);
+            }
+
+            const response = await this.apiClient.get(
+                `/v1/businesses/${businessId}/webhooks/${webhookId}/deliveries?${queryParams.toString()}`,
+                {},
+                { enabled: true, ttl: 15 * 1000 }
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to fetch deliveries');
+            }
+
+            const data = response.data;
+            const deliveries = Array.isArray(data) ? data : (data?.deliveries || []);
+            const pagination = data?.pagination || response.pagination || {};
+            const nextCursor = pagination.next_cursor || null;
+
+            return {
+                deliveries,
+                nextCursor,
+                hasMore: pagination.has_more ?? !!nextCursor
+            };
+
+        } catch (error) {
+            console.error('❌ [WebhooksAPI] Get deliveries failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Re-send a delivery with its original payload (retry a failure or replay a success)
+     * @param {string} businessId - Business ID
+     * @param {string} webhookId - Webhook ID
+     * @param {string} deliveryId - Delivery ID
+     * @returns {Promise<Object>} The new delivery attempt
+     */
+    async redeliver(businessId, webhookId, deliveryId) {
+        if (!businessId || !webhookId || !deliveryId) {
+            throw new Error('Business ID, webhook ID and delivery ID are required');
+        }
+
+        try {
+            const response = await this.apiClient.post(
+                `/v1/businesses/${businessId}/webhooks/${webhookId}/deliveries/${deliveryId}/redeliver`,
+                {}
+            );
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to redeliver event');
+            }
+
+            this.clearDeliveriesCache(businessId, webhookId);
+
+            return response.data;
+
+        } catch (error) {
+            console.error('❌ [WebhooksAPI] Redeliver failed:', error);
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // UTILITIES
+    // =========================================================================
+
+    clearWebhooksCache(businessId) {
+        this.apiClient.clearCachePattern(`/v1/businesses/${businessId}/webhooks`);
+    }
+
+    clearDeliveriesCache(businessId, webhookId) {
+        this.apiClient.clearCachePattern(`/v1/businesses/${businessId}/webhooks/${webhookId}/deliveries`);
+    }
+
+    /**
+     * Get debug info
+     */
+    getDebugInfo() {
+        return {
+            isInitialized: this.isInitialized,
+            hasApiClient: !!this.apiClient
+        };
+    }
+
+    // =========================================================================
+    // CLEANUP
+    // =========================================================================
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.isInitialized = false;
+        console.log('🗑️ [WebhooksAPI] Destroyed');
+    }
+}
+
+// =============================================================================
+// ES6 MODULE EXPORT
+// =============================================================================
+export default WebhooksAPI;
@@ -497,7 +497,7 @@ async _getSupabaseKey() {
             const tokens = JSON.parse(atob(base64));
             
             // Clear hash immediately (before any await)
-            history.replaceState(null, '', window.location.pathname);
+            history.replaceState(null, '', window.location.pathname + window.location.search);
             
             // Restore session in Supabase
             const { data, error } = await this.supabase.auth.setSession({
@@ -660,7 +660,7 @@ _enrichUserInBackground() {
             const { data: subscription, error } = await this.supabase
                 .from('subscriptions')
                 .select('plan_type, credits_remaining, status')
-                .eq('user_id', this.user.id)
+                .eq('user_id', this.getCreditPoolUserId())
                 .eq('status', 'active')
                 .maybeSingle();
             
@@ -723,29 +723,80 @@ _enrichUserInBackground() {
         }
         
         try {
-            const { data: businesses, error } = await this.supabase
-                .from('business_profiles')
-                .select('*')
-                .eq('user_id', this.user.id)
-                .order('created_at', { ascending: false });
-            
-            if (error) {
-                console.error('❌ [AuthManager] Businesses load failed:', error);
-                this.businessesLoaded = true;
-                return;
-            }
-            
-            this.businesses = businesses || [];
+            this.businesses = await this.fetchUserBusinesses({ ascending: false });
             this.businessesLoaded = true;
             
             console.log(`📊 [AuthManager] Loaded ${this.businesses.length} businesses`);
             
+            // Subscription was loaded before the businesses were known - switch
+            // to the workspace owner's pool when a shared workspace is selected
+            if (this.getCreditPoolUserId() !== this.user.id) {
+                await this.refreshCredits();
+            }
+            
         } catch (error) {
             console.error('❌ [AuthManager] Businesses load error:', error);
             this.businessesLoaded = true;
         }
     }
     
+    /**
+     * Fetch the businesses the user owns plus the ones they joined by invite
+     * Each business carries the user's role in it ('owner' for their own)
+     * @param {Object} options - { ascending } order by created_at
+     * @returns {Promise<Array>} Businesses
+     */
+    async fetchUserBusinesses({ ascending = true } = {}) {
+        const [owned, memberships] = await Promise.all([
+            this.supabase
+                .from('business_profiles')
+                .select('*')
+                .eq('user_id', this.user.id)
+                .order('created_at', { ascending }),
+            this.supabase
+                .from('business_members')
+                .select('role, business_profiles(*)')
+                .eq('user_id', this.user.id)
+        ]);
+        
+        if (owned.error) {
+            throw owned.error;
+        }
+        
+        // Workspaces shared with the user are optional - never block their own
+        if (memberships.error) {
+            console.warn('⚠️ [AuthManager] Team memberships load failed:', memberships.error);
+        }
+        
+        const businesses = (owned.data || []).map(business => ({ ...business, role: 'owner' }));
+        const ownedIds = new Set(businesses.map(business => business.id));
+        
+        (memberships.data || []).forEach(membership => {
+            const business = membership.business_profiles;
+            if (business && !ownedIds.has(business.id)) {
+                businesses.push({ ...business, role: membership.role });
+            }
+        });
+        
+        return businesses;
+    }
+    
+    /**
+     * Whose subscription pays for analyses: the owner of the selected
+     * business when it is shared with the user, the user otherwise
+     * @returns {string} User ID
+     */
+    getCreditPoolUserId() {
+        const selectedId = this.business?.id || localStorage.getItem('selectedBusinessId');
+        const business = this.businesses.find(item => item.id === selectedId);
+        
+        if (business && business.role && business.role !== 'owner' && business.user_id) {
+            return business.user_id;
+        }
+        
+        return this.user.id;
+    }
+    
     /**
      * Wait for businesses to load (for components that need them)
      */
@@ -1237,8 +1288,8 @@ async navigateToApp(path = '/dashboard') {
         try {
             const { data: subscription, error } = await this.supabase
                 .from('subscriptions')
-                .select('credits_remaining')
-                .eq('user_id', this.user.id)
+                .select('plan_type, credits_remaining')
+                .eq('user_id', this.getCreditPoolUserId())
                 .eq('status', 'active')
                 .maybeSingle();
             
@@ -1250,6 +1301,7 @@ async navigateToApp(path = '/dashboard') {
             if (subscription) {
                 const oldCredits = this.user.credits;
                 this.user.credits = subscription.credits_remaining;
+                this.user.plan_type = subscription.plan_type;
                 
                 console.log('💳 [AuthManager] Credits refreshed:', {
                     old: oldCredits,
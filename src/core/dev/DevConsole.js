@@ -15,6 +15,7 @@ class DevConsole {
         // Test registry (add more tests here)
         this.testModules = {
             'dashboard': '/core/dev/tests/DashboardTest.js',
+            'integrations': '/core/dev/tests/IntegrationsTest.js',
             // Add more pages:
             // 'auth': '/core/dev/tests/AuthTest.js',
             // 'marketing': '/core/dev/tests/MarketingTest.js',
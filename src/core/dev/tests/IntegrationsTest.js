@@ -0,0 +1,138 @@
+// =============================================================================
+// INTEGRATIONS TEST - Integrations Page Diagnostics
+// Path: /public/core/dev/tests/IntegrationsTest.js
+// =============================================================================
+
+/**
+ * Runs every registered CRM connector against the local mock CRM server
+ * (node scripts/mock-crm-server.js) with a direct fetch transport, so the
+ * create / update / de-duplication paths are exercised without a real CRM.
+ *
+ * Override the server with localStorage 'oslira:mockCrmUrl'.
+ */
+class IntegrationsTest {
+    constructor() {
+        this.results = [];
+        this.mockUrl = (localStorage.getItem('oslira:mockCrmUrl') || 'http://localhost:4010').replace(/\/$/, '');
+    }
+
+    async run() {
+        if (!window.CRMConnectorRegistry) {
+            this.fail('CRMConnectorRegistry not loaded', 'Check /pages/app/dashboard/domain/crm/CRMConnector.js');
+            return this.results;
+        }
+
+        this.pass('CRMConnectorRegistry loaded');
+
+        if (!(await this.resetMockServer())) {
+            this.warn(`Mock CRM server not reachable at ${this.mockUrl} - run: node scripts/mock-crm-server.js`);
+            return this.results;
+        }
+
+        for (const provider of window.CRMConnectorRegistry.list()) {
+            await this.testConnector(provider.id);
+        }
+
+        return this.results;
+    }
+
+    // =========================================================================
+    // TESTS
+    // =========================================================================
+
+    async testConnector(providerId) {
+        const connector = window.CRMConnectorRegistry.create(providerId, this.createTransport(providerId));
+        const label = connector.label;
+        const record = {
+            ...this.buildRecord(connector),
+            [connector.dedupeTarget]: `devtest_${providerId}`
+        };
+
+        try {
+            await connector.testConnection();
+            this.pass(`${label}: connection test`);
+
+            const created = await connector.push(record);
+            this.check(created.action === 'created' && created.externalId,
+                `${label}: first push creates a ${connector.objectLabel}`);
+
+            const repushed = await connector.push(record, { externalId: created.externalId });
+            this.check(repushed.action === 'updated' && repushed.externalId === created.externalId,
+                `${label}: re-push with a known id updates it`);
+
+            const deduped = await connector.push(record);
+            this.check(deduped.action === 'updated' && deduped.externalId === created.externalId,
+                `${label}: push without an id finds the existing ${connector.objectLabel}`);
+
+            await this.resetMockServer();
+            const recreated = await connector.push(record, { externalId: created.externalId });
+            this.check(recreated.action === 'created' && recreated.externalId !== created.externalId,
+                `${label}: push after deletion in the CRM recreates it`);
+
+        } catch (error) {
+            this.fail(`${label}: ${error.message}`, `Check ${connector.constructor.name} against scripts/mock-crm-server.js`);
+        }
+    }
+
+    // =========================================================================
+    // HELPERS
+    // =========================================================================
+
+    createTransport(providerId) {
+        return async ({ method, path, query, body }) => {
+            const params = new URLSearchParams();
+            Object.entries(query || {}).forEach(([key, value]) => params.set(key, String(value)));
+            const search = params.toString();
+
+            const response = await fetch(`${this.mockUrl}/${providerId}${path}${search ? `?${search}` : ''}`, {
+                method,
+                headers: { 'Authorization': 'Bearer mock', 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined
+            });
+
+            const text = await response.text();
+            return { status: response.status, data: text ? JSON.parse(text) : null };
+        };
+    }
+
+    /**
+     * Fills every target field so required-field checks pass
+     */
+    buildRecord(connector) {
+        return connector.targetFields.reduce((record, field) => {
+            record[field.key] = field.key === 'name' ? 'Dev Test' : `test ${field.key}`;
+            return record;
+        }, {});
+    }
+
+    async resetMockServer() {
+        try {
+            const response = await fetch(`${this.mockUrl}/__reset`, { method: 'POST' });
+            return response.ok;
+        } catch {
+            return false;
+        }
+    }
+
+    check(condition, message) {
+        if (condition) {
+            this.pass(message);
+        } else {
+            this.fail(message, 'Compare the connector requests with the mock server log');
+        }
+    }
+
+    pass(message) {
+        this.results.push({ status: 'PASS', message });
+    }
+
+    fail(message, fix) {
+        this.results.push({ status: 'FAIL', message, fix });
+    }
+
+    warn(message) {
+        this.results.push({ status: 'WARN', message });
+    }
+}
+
+window.IntegrationsTest = IntegrationsTest;
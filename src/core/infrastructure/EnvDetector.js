@@ -81,6 +81,12 @@ constructor() {
             this.workerUrl = 'https://api.oslira.org';
         }
         
+        // Development only: billing calls go to the local Stripe mock
+        // (npm run mock:stripe) when its URL is saved under this key
+        this.mockStripeUrl = this.isDevelopment
+            ? (localStorage.getItem('oslira:mockStripeUrl') || '').replace(/\/$/, '') || null
+            : null;
+        
         console.log('🔧 [EnvDetector] Environment:', this.environment);
     }
     
@@ -135,6 +141,7 @@ constructor() {
             '/settings/account': 'settings-account',
             '/settings/billing': 'settings-billing',
             '/settings/usage': 'settings-usage',
+            '/settings/team': 'settings-team',
             
             // Auth subdomain
             '/auth': 'auth',
@@ -187,7 +194,7 @@ constructor() {
             AUTH_ONLY: ['auth', 'auth-callback'],
             AUTH_REQUIRED: [
                 'dashboard', 'settings', 'settings-profile', 'settings-account',
-                'settings-billing', 'settings-usage', 'analytics', 'campaigns',
+                'settings-billing', 'settings-usage', 'settings-team', 'analytics', 'campaigns',
                 'leads', 'messages', 'integrations', 'subscription', 'automations'
             ],
             ONBOARDING_REQUIRED: ['onboarding'],
@@ -450,6 +457,7 @@ constructor() {
     get IS_STAGING() { return this.isStaging; }
     get IS_DEVELOPMENT() { return this.isDevelopment; }
     get WORKER_URL() { return this.workerUrl; }
+    get MOCK_STRIPE_URL() { return this.mockStripeUrl; }
     get BASE_URL() { return this.origin; }
     get CURRENT_PAGE() { return this.currentPage; }
     get PAGE_TYPE() { return this.pageType; }
@@ -508,7 +516,8 @@ constructor() {
             currentPage: this.currentPage,
             pageType: this.pageType,
             requiresAuth: this.requiresAuth(),
-            workerUrl: this.workerUrl
+            workerUrl: this.workerUrl,
+            mockStripeUrl: this.mockStripeUrl
         };
     }
 }
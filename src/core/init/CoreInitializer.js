@@ -21,6 +21,10 @@ import AnalyticsAPI from '../api/endpoints/AnalyticsAPI.js';
 import AuthAPI from '../api/endpoints/AuthAPI.js';
 import BusinessAPI from '../api/endpoints/BusinessAPI.js';
 import LeadsAPI from '../api/endpoints/LeadsAPI.js';
+import WebhooksAPI from '../api/endpoints/WebhooksAPI.js';
+import CRMAPI from '../api/endpoints/CRMAPI.js';
+import CampaignsAPI from '../api/endpoints/CampaignsAPI.js';
+import MessagesAPI from '../api/endpoints/MessagesAPI.js';
 
 import AuthManager from '../auth/AuthManager.js';
 import SessionValidator from '../auth/SessionValidator.js';
@@ -155,6 +159,26 @@ export class CoreInitializer {
                 apiClient: this.core.apiClient
             });
             
+            this.core.webhooksAPI = new WebhooksAPI();
+            await this.core.webhooksAPI.initialize({
+                apiClient: this.core.apiClient
+            });
+            
+            this.core.crmAPI = new CRMAPI();
+            await this.core.crmAPI.initialize({
+                apiClient: this.core.apiClient
+            });
+            
+            this.core.campaignsAPI = new CampaignsAPI();
+            await this.core.campaignsAPI.initialize({
+                apiClient: this.core.apiClient
+            });
+            
+            this.core.messagesAPI = new MessagesAPI();
+            await this.core.messagesAPI.initialize({
+                apiClient: this.core.apiClient
+            });
+            
             // ================================================================
             // PHASE 5: Authentication System
             // ================================================================
@@ -251,6 +275,10 @@ export class CoreInitializer {
         window.OsliraAuthAPI = this.core.authAPI;
         window.OsliraBusinessAPI = this.core.businessAPI;
         window.OsliraLeadsAPI = this.core.leadsAPI;
+        window.OsliraWebhooksAPI = this.core.webhooksAPI;
+        window.OsliraCRMAPI = this.core.crmAPI;
+        window.OsliraCampaignsAPI = this.core.campaignsAPI;
+        window.OsliraMessagesAPI = this.core.messagesAPI;
         
         window.OsliraAuth = this.core.authManager;
         window.OsliraSessionValidator = this.core.sessionValidator;
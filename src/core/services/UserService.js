@@ -13,6 +13,7 @@
  * - Preferences management
  * - Subscription management
  * - Credits tracking
+ * - Workspace roles and permissions
  * - Account settings
  */
 class UserService {
@@ -49,6 +50,21 @@ class UserService {
                 await this.loadUserProfile();
             }
             
+            // Credits come from the selected workspace's pool, so switching
+            // business can switch balance
+            this.stateManager.subscribe('business.selected', () => {
+                this.authManager.refreshCredits();
+            });
+            
+            // Every refresh follows spend, so month-to-date budget usage is reloaded with it
+            window.addEventListener('auth:credits-updated', (event) => {
+                this.handleCreditsUpdated(event.detail);
+            });
+            
+            if (user) {
+                this.loadCreditBudgets();
+            }
+            
             this.isInitialized = true;
             this.logger.info('[UserService] Initialized');
             
@@ -130,6 +146,13 @@ class UserService {
             // Update state
             this.stateManager.setState('auth.user', updatedProfile);
             
+            // Keep the session user in step so greetings (DashboardHeader) don't wait for a reload
+            ['full_name', 'signature_name', 'avatar_url', 'timezone'].forEach(key => {
+                if (key in updates) {
+                    user[key] = updatedProfile?.[key] !== undefined ? updatedProfile[key] : updates[key];
+                }
+            });
+            
             this.logger.info('[UserService] User profile updated');
             
             return updatedProfile;
@@ -438,15 +461,178 @@ class UserService {
         return this.getUserCredits() >= required;
     }
     
+    // =========================================================================
+    // CREDIT BUDGETS
+    // =========================================================================
+    
+    /**
+     * Load budgets, month-to-date spend and alert settings for the current credit pool
+     * @param {Object} options - { refresh } to bypass the cache
+     * @returns {Promise<Object|null>} Credit budget settings (null when unavailable)
+     */
+    async loadCreditBudgets({ refresh = false } = {}) {
+        try {
+            if (!this.authManager.getCurrentUser()) {
+                return null;
+            }
+            
+            if (refresh) {
+                this.authAPI.clearCreditCache();
+            }
+            
+            const data = await this.authAPI.getCreditBudgets(this.authManager.getCreditPoolUserId());
+            const settings = this.normalizeCreditBudgets(data);
+            
+            this.stateManager.setState('user.creditBudgets', settings);
+            
+            return settings;
+            
+        } catch (error) {
+            // Budgets are also enforced by the worker, so a failed load never blocks analyses
+            this.logger.warn('[UserService] Load credit budgets failed', error);
+            return this.getCreditBudgets();
+        }
+    }
+    
+    /**
+     * @param {Object} data - Worker response from AuthAPI.getCreditBudgets
+     * @returns {Object} { budgets, spend, alerts, autoTopUp, packs }
+     */
+    normalizeCreditBudgets(data = {}) {
+        return {
+            budgets: (data.budgets || []).map(budget => ({
+                id: budget.id,
+                scope: budget.scope === 'user' ? 'user' : 'business',
+                targetId: budget.target_id,
+                monthlyLimit: Number(budget.monthly_limit) || 0,
+                mode: budget.mode === 'hard_stop' ? 'hard_stop' : 'warn'
+            })),
+            spend: {
+                business: data.spend?.business || {},
+                user: data.spend?.user || {}
+            },
+            alerts: {
+                thresholds: (data.alerts?.thresholds || [80, 100]).map(Number).sort((a, b) => a - b),
+                lowBalance: data.alerts?.low_balance ?? null,
+                email: data.alerts?.email !== false,
+                webhookIds: data.alerts?.webhook_ids || []
+            },
+            autoTopUp: {
+                enabled: !!data.auto_top_up?.enabled,
+                threshold: Number(data.auto_top_up?.threshold) || 0,
+                packId: data.auto_top_up?.pack_id || null
+            },
+            packs: data.packs || []
+        };
+    }
+    
+    /**
+     * Get loaded credit budget settings
+     * @returns {Object|null} Credit budget settings
+     */
+    getCreditBudgets() {
+        return this.stateManager.getState('user.creditBudgets') || null;
+    }
+    
+    /**
+     * Check a spend against the monthly budgets that cover it
+     * @param {number} cost - Credits about to be spent
+     * @param {Object} context - { businessId, pending: { business, user } } where pending
+     *   is credits already committed to queued analyses but not yet in the spend totals
+     * @returns {Object} { allowed, blocked, crossed } - blocked is the first hard-stop budget
+     *   the spend would go over, crossed the alert thresholds it reaches
+     */
+    checkCreditBudget(cost, { businessId = null, pending = {} } = {}) {
+        const result = { allowed: true, blocked: null, crossed: [] };
+        const settings = this.getCreditBudgets();
+        
+        if (!settings) {
+            return result;
+        }
+        
+        const userId = this.authManager.getCurrentUser()?.id;
+        
+        settings.budgets.forEach(budget => {
+            const subjectId = budget.scope === 'business' ? businessId : userId;
+            if (!subjectId || budget.targetId !== subjectId || budget.monthlyLimit <= 0) {
+                return;
+            }
+            
+            const spent = (Number(settings.spend[budget.scope][budget.targetId]) || 0) + (pending[budget.scope] || 0);
+            const status = {
+                budget,
+                label: this.getCreditBudgetLabel(budget),
+                spent,
+                limit: budget.monthlyLimit
+            };
+            
+            if (budget.mode === 'hard_stop' && spent + cost > budget.monthlyLimit) {
+                result.blocked = result.blocked || status;
+                return;
+            }
+            
+            // One alert per budget: the highest threshold this spend reaches
+            const threshold = settings.alerts.thresholds.filter(percent => {
+                const line = budget.monthlyLimit * percent / 100;
+                return spent < line && spent + cost >= line;
+            }).pop();
+            
+            if (threshold) {
+                result.crossed.push({ ...status, threshold });
+            }
+        });
+        
+        result.allowed = !result.blocked;
+        return result;
+    }
+    
+    /**
+     * @param {Object} budget - Normalized budget
+     * @returns {string} e.g. 'the Acme budget' or 'your personal budget'
+     */
+    getCreditBudgetLabel(budget) {
+        if (budget.scope === 'user') {
+            return 'your personal budget';
+        }
+        
+        const business = (this.authManager.businesses || []).find(item => item.id === budget.targetId);
+        return business?.business_name ? `the ${business.business_name} budget` : 'this business\'s budget';
+    }
+    
+    /**
+     * Reload budgets and warn once when the balance drops under the low-balance alert
+     * @param {Object} detail - { credits, previousCredits } from auth:credits-updated
+     */
+    async handleCreditsUpdated({ credits, previousCredits } = {}) {
+        const settings = await this.loadCreditBudgets({ refresh: true });
+        const lowBalance = settings?.alerts.lowBalance;
+        
+        if (lowBalance == null || !(credits < lowBalance) || previousCredits < lowBalance) {
+            return;
+        }
+        
+        const settingsUrl = window.OsliraNav?.getUrl?.('settings-usage');
+        
+        window.Alert?.warning({
+            title: 'Credits running low',
+            message: settings.autoTopUp.enabled
+                ? `${credits} credits left - auto top-up is on and will add a credit pack.`
+                : `${credits} credits left. Top up or adjust your alerts in Usage settings.`,
+            dedupeKey: 'credits-low-balance',
+            actions: settingsUrl ? [{ label: 'Usage settings', action: `redirect:${settingsUrl}` }] : []
+        });
+    }
+    
     // =========================================================================
     // PERMISSIONS
     // =========================================================================
     
     /**
-     * Get user permissions based on plan
+     * Get user permissions based on plan and role in a business
+     * @param {Object} [business] - Business profile (defaults to the selected one)
      * @returns {Object} Permissions
      */
-    getUserPermissions() {
+    getUserPermissions(business) {
         const planType = this.getPlanType() || 'free';
         
         const permissions = {
@@ -458,7 +644,8 @@ class UserService {
                 canManageTeam: false,
                 maxBusinesses: 1,
                 maxLeadsPerMonth: 100,
-                maxAnalysisPerDay: 0
+                maxAnalysisPerDay: 0,
+                maxConcurrentAnalyses: 1
             },
             pro: {
                 canCreateLeads: true,
@@ -468,7 +655,8 @@ class UserService {
                 canManageTeam: false,
                 maxBusinesses: 5,
                 maxLeadsPerMonth: 1000,
-                maxAnalysisPerDay: 50
+                maxAnalysisPerDay: 50,
+                maxConcurrentAnalyses: 3
             },
             enterprise: {
                 canCreateLeads: true,
@@ -478,11 +666,22 @@ class UserService {
                 canManageTeam: true,
                 maxBusinesses: Infinity,
                 maxLeadsPerMonth: Infinity,
-                maxAnalysisPerDay: Infinity
+                maxAnalysisPerDay: Infinity,
+                maxConcurrentAnalyses: 6
             }
         };
         
-        return permissions[planType] || permissions.free;
+        const planPermissions = permissions[planType] || permissions.free;
+        const role = this.getBusinessRole(business);
+        const rolePermissions = this.getRolePermissions(role);
+        
+        return {
+            ...planPermissions,
+            ...rolePermissions,
+            role,
+            // Team management needs both a plan that includes it and a role that allows it
+            canManageTeam: planPermissions.canManageTeam && rolePermissions.canManageTeam
+        };
     }
     
     /**
@@ -495,6 +694,74 @@ class UserService {
         return permissions[action] === true;
     }
     
+    // =========================================================================
+    // WORKSPACE ROLES
+    // =========================================================================
+    
+    /**
+     * Get the user's role in a business
+     * @param {Object} business - Business profile (defaults to the selected one)
+     * @returns {string} 'owner', 'admin', 'analyst' or 'viewer'
+     */
+    getBusinessRole(business = this.stateManager.getState('business.selected')) {
+        // No workspace yet (pre-onboarding) - the user is about to own one
+        if (!business) {
+            return 'owner';
+        }
+        
+        // Memberships are loaded with the role they were granted
+        if (business.role) {
+            return business.role;
+        }
+        
+        const user = this.authManager.getCurrentUser();
+        return !business.user_id || business.user_id === user?.id ? 'owner' : 'viewer';
+    }
+    
+    /**
+     * Get what a workspace role allows
+     * @param {string} role - Role name
+     * @returns {Object} Role permissions
+     */
+    getRolePermissions(role) {
+        const permissions = {
+            owner: {
+                canSpendCredits: true,
+                canEditLeads: true,
+                canDeleteLeads: true,
+                canBulkEdit: true,
+                canManageTeam: true,
+                canManageBilling: true
+            },
+            admin: {
+                canSpendCredits: true,
+                canEditLeads: true,
+                canDeleteLeads: true,
+                canBulkEdit: true,
+                canManageTeam: true,
+                canManageBilling: false
+            },
+            analyst: {
+                canSpendCredits: true,
+                canEditLeads: true,
+                canDeleteLeads: false,
+                canBulkEdit: false,
+                canManageTeam: false,
+                canManageBilling: false
+            },
+            viewer: {
+                canSpendCredits: false,
+                canEditLeads: false,
+                canDeleteLeads: false,
+                canBulkEdit: false,
+                canManageTeam: false,
+                canManageBilling: false
+            }
+        };
+        
+        return permissions[role] || permissions.viewer;
+    }
+    
     // =========================================================================
     // VALIDATION
     // =========================================================================
@@ -519,6 +786,22 @@ class UserService {
             errors.push('Name must be less than 100 characters');
         }
         
+        if ('full_name' in updates && !String(updates.full_name || '').trim()) {
+            errors.push('Name cannot be empty');
+        }
+        
+        if (updates.full_name && updates.full_name.length > 100) {
+            errors.push('Name must be less than 100 characters');
+        }
+        
+        if (updates.signature_name && updates.signature_name.length > 50) {
+            errors.push('Signature name must be less than 50 characters');
+        }
+        
+        if (updates.timezone && !this.isValidTimezone(updates.timezone)) {
+            errors.push('Unknown timezone');
+        }
+        
         if (errors.length > 0) {
             throw new Error('Validation failed: ' + errors.join(', '));
         }
@@ -531,6 +814,18 @@ class UserService {
         return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
     }
     
+    /**
+     * Validate IANA timezone name
+     */
+    isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+    
     // =========================================================================
     // ACCOUNT ACTIONS
     // =========================================================================
@@ -548,6 +843,17 @@ class UserService {
             // Validate password strength
             this.validatePassword(newPassword);
             
+            // Supabase doesn't ask for the old password, so check it first
+            const user = this.authManager.getCurrentUser();
+            const { error: signInError } = await this.authManager.supabase.auth.signInWithPassword({
+                email: user?.email,
+                password: currentPassword
+            });
+            
+            if (signInError) {
+                throw new Error('Current password is incorrect');
+            }
+            
             // Use Supabase to change password
             const { error } = await this.authManager.supabase.auth.updateUser({
                 password: newPassword
@@ -627,6 +933,300 @@ class UserService {
         }
     }
     
+    /**
+     * Change the sign-in email. Supabase emails a confirmation link to the new
+     * address and keeps the old one until it's followed (user.new_email meanwhile)
+     * @param {string} newEmail - New email address
+     * @param {string} redirectUrl - Where the confirmation link lands
+     * @returns {Promise<boolean>} Success
+     */
+    async changeEmail(newEmail, redirectUrl) {
+        try {
+            this.logger.info('[UserService] Changing email');
+            
+            const user = this.authManager.getCurrentUser();
+            const email = String(newEmail || '').trim().toLowerCase();
+            
+            if (!this.isValidEmail(email)) {
+                throw new Error('Invalid email format');
+            }
+            
+            if (email === String(user?.email || '').toLowerCase()) {
+                throw new Error('That is already your email');
+            }
+            
+            const { data, error } = await this.authManager.supabase.auth.updateUser(
+                { email },
+                { emailRedirectTo: redirectUrl }
+            );
+            
+            if (error) {
+                throw error;
+            }
+            
+            if (data?.user) {
+                user.new_email = data.user.new_email || email;
+            }
+            
+            this.logger.info('[UserService] Email change confirmation sent');
+            
+            return true;
+            
+        } catch (error) {
+            this.logger.error('[UserService] Change email failed', error);
+            
+            if (window.Sentry) {
+                window.Sentry.captureException(error, {
+                    tags: { component: 'UserService', action: 'changeEmail' }
+                });
+            }
+            
+            throw error;
+        }
+    }
+    
+    /**
+     * Upload a profile picture to the avatars bucket
+     * @param {File} file - PNG, JPEG or WebP image
+     * @returns {Promise<string>} Public URL, to save as the profile's avatar_url
+     */
+    async uploadAvatar(file) {
+        try {
+            this.logger.info('[UserService] Uploading avatar', { size: file?.size });
+            
+            const user = this.authManager.getCurrentUser();
+            
+            if (!user) {
+                throw new Error('No authenticated user');
+            }
+            
+            const extensions = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+            const extension = extensions[file?.type];
+            
+            if (!extension) {
+                throw new Error('Avatars must be PNG, JPEG or WebP images');
+            }
+            
+            // A new path per upload so browsers and the CDN never serve the old picture
+            const path = `${user.id}/avatar-${Date.now()}.${extension}`;
+            const storage = this.authManager.supabase.storage.from('avatars');
+            
+            const { error } = await storage.upload(path, file, {
+                contentType: file.type,
+                cacheControl: '3600',
+                upsert: false
+            });
+            
+            if (error) {
+                throw error;
+            }
+            
+            const { data } = storage.getPublicUrl(path);
+            
+            this.logger.info('[UserService] Avatar uploaded');
+            
+            return data.publicUrl;
+            
+        } catch (error) {
+            this.logger.error('[UserService] Upload avatar failed', error);
+            
+            if (window.Sentry) {
+                window.Sentry.captureException(error, {
+                    tags: { component: 'UserService', action: 'uploadAvatar' }
+                });
+            }
+            
+            throw error;
+        }
+    }
+    
+    /**
+     * Sign-in methods linked to the account ('email', 'google')
+     * @returns {Promise<Array>} Supabase identities
+     */
+    async getIdentities() {
+        try {
+            const { data, error } = await this.authManager.supabase.auth.getUserIdentities();
+            
+            if (error) {
+                throw error;
+            }
+            
+            return data?.identities || [];
+            
+        } catch (error) {
+            this.logger.error('[UserService] Get identities failed', error);
+            
+            if (window.Sentry) {
+                window.Sentry.captureException(error, {
+                    tags: { component: 'UserService', action: 'getIdentities' }
+                });
+            }
+            
+            throw error;
+        }
+    }
+    
+    /**
+     * Link a Google account. Leaves the page for Google's consent screen and
+     * comes back through /auth/callback
+     * @param {string} redirectUrl - Callback URL
+     * @returns {Promise<boolean>} Success
+     */
+    async linkGoogleIdentity(redirectUrl) {
+        try {
+            this.logger.info('[UserService] Linking Google identity');
+            
+            const { error } = await this.authManager.supabase.auth.linkIdentity({
+                provider: 'google',
+                options: { redirectTo: redirectUrl }
+            });
+            
+            if (error) {
+                throw error;
+            }
+            
+            return true;
+            
+        } catch (error) {
+            this.logger.error('[UserService] Link Google identity failed', error);
+            
+            if (window.Sentry) {
+                window.Sentry.captureException(error, {
+                    tags: { component: 'UserService', action: 'linkGoogleIdentity' }
+                });
+            }
+            
+            throw error;
+        }
+    }
+    
+    /**
+     * Unlink a sign-in method. Supabase refuses to unlink the last one
+     * @param {Object} identity - Identity from getIdentities()
+     * @returns {Promise<boolean>} Success
+     */
+    async unlinkIdentity(identity) {
+        try {
+            this.logger.info('[UserService] Unlinking identity', { provider: identity?.provider });
+            
+            const { error } = await this.authManager.supabase.auth.unlinkIdentity(identity);
+            
+            if (error) {
+                throw error;
+            }
+            
+            return true;
+            
+        } catch (error) {
+            this.logger.error('[UserService] Unlink identity failed', error);
+            
+            if (window.Sentry) {
+                window.Sentry.captureException(error, {
+                    tags: { component: 'UserService', action: 'unlinkIdentity' }
+                });
+            }
+            
+            throw error;
+        }
+    }
+    
+    /**
+     * Request a copy of the user's data
+     * @returns {Promise<Object>} { status, download_url, expires_at }
+     */
+    async requestDataExport() {
+        try {
+            this.logger.info('[UserService] Requesting data export');
+            
+            const user = this.authManager.getCurrentUser();
+            
+            if (!user) {
+                throw new Error('No authenticated user');
+            }
+            
+            return await this.authAPI.requestDataExport(user.id);
+            
+        } catch (error) {
+            this.logger.error('[UserService] Request data export failed', error);
+            
+            if (window.Sentry) {
+                window.Sentry.captureException(error, {
+                    tags: { component: 'UserService', action: 'requestDataExport' }
+                });
+            }
+            
+            throw error;
+        }
+    }
+    
+    /**
+     * Schedule the account for deletion. The worker keeps it restorable until
+     * purge_at, then erases it
+     * @returns {Promise<Object>} { deleted_at, purge_at }
+     */
+    async deleteAccount() {
+        try {
+            this.logger.info('[UserService] Scheduling account deletion');
+            
+            const user = this.authManager.getCurrentUser();
+            
+            if (!user) {
+                throw new Error('No authenticated user');
+            }
+            
+            const result = await this.authAPI.deleteUser(user.id);
+            
+            this.logger.info('[UserService] Account deletion scheduled', { purgeAt: result?.purge_at });
+            
+            return result;
+            
+        } catch (error) {
+            this.logger.error('[UserService] Delete account failed', error);
+            
+            if (window.Sentry) {
+                window.Sentry.captureException(error, {
+                    tags: { component: 'UserService', action: 'deleteAccount' }
+                });
+            }
+            
+            throw error;
+        }
+    }
+    
+    /**
+     * Cancel a scheduled deletion during the grace period
+     * @returns {Promise<Object>} Restored profile
+     */
+    async cancelAccountDeletion() {
+        try {
+            this.logger.info('[UserService] Cancelling account deletion');
+            
+            const user = this.authManager.getCurrentUser();
+            
+            if (!user) {
+                throw new Error('No authenticated user');
+            }
+            
+            const profile = await this.authAPI.restoreUser(user.id);
+            
+            this.stateManager.setState('auth.user', profile);
+            
+            return profile;
+            
+        } catch (error) {
+            this.logger.error('[UserService] Cancel account deletion failed', error);
+            
+            if (window.Sentry) {
+                window.Sentry.captureException(error, {
+                    tags: { component: 'UserService', action: 'cancelAccountDeletion' }
+                });
+            }
+            
+            throw error;
+        }
+    }
+    
     // =========================================================================
     // UTILITIES
     // =========================================================================
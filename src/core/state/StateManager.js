@@ -124,7 +124,8 @@ class StateManager {
             },
             user: {
                 preferences: {},
-                subscription: null
+                subscription: null,
+                creditBudgets: null
             }
         };
         
@@ -126,12 +126,12 @@ class FormValidator {
             if (field.max) rules.max = parseFloat(field.max);
         }
         
-        // Length validation
-        if (field.minLength) {
+        // Length validation (the properties are -1 when the attributes are absent)
+        if (field.minLength > 0) {
             rules.minLength = parseInt(field.minLength);
         }
         
-        if (field.maxLength) {
+        if (field.maxLength > 0) {
             rules.maxLength = parseInt(field.maxLength);
         }
         
@@ -113,6 +113,7 @@ class NavigationHelper {
             ['settings-account', { method: 'getAppUrl', path: '/settings/account', requiresAuth: true }],
             ['settings-billing', { method: 'getAppUrl', path: '/settings/billing', requiresAuth: true }],
             ['settings-usage', { method: 'getAppUrl', path: '/settings/usage', requiresAuth: true }],
+            ['settings-team', { method: 'getAppUrl', path: '/settings/team', requiresAuth: true }],
             
             // Admin targets
             ['admin', { method: 'getAdminUrl', requiresAuth: true, requiresAdmin: true }],
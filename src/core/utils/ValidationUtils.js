@@ -511,14 +511,17 @@ class ValidationUtils {
     }
     
     /**
-     * Escape HTML
+     * Escape HTML - quotes included, so the result is safe in attribute values too
      */
     escapeHTML(value) {
-        if (!value || typeof value !== 'string') return '';
-        
-        const div = document.createElement('div');
-        div.textContent = value;
-        return div.innerHTML;
+        if (value === null || value === undefined) return '';
+        
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
     
     /**
@@ -0,0 +1,111 @@
+// =============================================================================
+// ANALYTICS APP - New Loader.js System Integration
+// Path: /public/pages/app/analytics/AnalyticsApp.js
+// =============================================================================
+
+class AnalyticsApp {
+    constructor() {
+        this.isInitialized = false;
+        this.components = {};
+        console.log('🎯 [AnalyticsApp] Instance created');
+    }
+
+    // =========================================================================
+    // MAIN INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        try {
+            console.log('🚀 [AnalyticsApp] Starting initialization...');
+
+            // Wait for scripts to load
+            window.addEventListener('oslira:scripts:loaded', async () => {
+                await this.initialize();
+            });
+
+        } catch (error) {
+            console.error('❌ [AnalyticsApp] Initialization failed:', error);
+        }
+    }
+
+    async initialize() {
+        console.log('⚙️ [AnalyticsApp] Initializing components...');
+
+        try {
+            // Step 1: Manually render the sidebar (DOMContentLoaded already fired)
+            await this.renderSidebar();
+
+            // Step 2: Date range, KPIs and charts
+            await this.initializeWorkspace();
+
+            // Step 3: Saved, scheduled and generated reports
+            await this.initializeReports();
+
+            // Step 4: Mark as initialized
+            this.isInitialized = true;
+            console.log('✅ [AnalyticsApp] Initialization complete');
+
+        } catch (error) {
+            console.error('❌ [AnalyticsApp] Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // SIDEBAR INITIALIZATION
+    // =========================================================================
+
+    async renderSidebar() {
+        console.log('📱 [AnalyticsApp] Rendering sidebar...');
+
+        // Wait for global sidebarManager instance to be available
+        let attempts = 0;
+        while (!window.sidebarManager && attempts < 50) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            attempts++;
+        }
+
+        if (!window.sidebarManager) {
+            throw new Error('SidebarManager not available');
+        }
+
+        await window.sidebarManager.render('#sidebar-container');
+        this.components.sidebar = window.sidebarManager;
+
+        if (this.components.sidebar.setActiveMenuItem) {
+            this.components.sidebar.setActiveMenuItem('analytics');
+        }
+
+        console.log('✅ [AnalyticsApp] Sidebar rendered');
+    }
+
+    // =========================================================================
+    // WORKSPACE
+    // =========================================================================
+
+    async initializeWorkspace() {
+        console.log('📊 [AnalyticsApp] Initializing analytics workspace...');
+
+        this.components.workspace = new window.AnalyticsManager();
+        await this.components.workspace.init();
+    }
+
+    // =========================================================================
+    // REPORTS
+    // =========================================================================
+
+    async initializeReports() {
+        console.log('📑 [AnalyticsApp] Initializing reports...');
+
+        this.components.reports = new window.ReportManager();
+        await this.components.reports.init();
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.AnalyticsApp = new AnalyticsApp();
+window.AnalyticsApp.init();
+
+console.log('✅ [AnalyticsApp] Loaded and auto-initialized');
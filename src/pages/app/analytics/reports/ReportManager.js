@@ -0,0 +1,506 @@
+// =============================================================================
+// REPORT MANAGER - Orchestration Layer
+// Path: /public/pages/app/analytics/reports/ReportManager.js
+// Dependencies: ReportService, ReportRenderer, AnalyticsAPI, WebhooksAPI, StateManager
+// =============================================================================
+
+/**
+ * @class ReportManager
+ * @description Reports section of the analytics page
+ *
+ * Responsibilities:
+ * - Load and render the business's saved reports (AnalyticsAPI.listReports)
+ * - Build, save, edit and delete reports with their schedule and delivery
+ * - Run a saved report or an unsaved draft on demand (generateCustomReport)
+ * - Show the history of generated reports, poll while any are generating,
+ *   and download finished ones
+ */
+class ReportManager {
+    constructor() {
+        this.reportService = new window.ReportService();
+        this.renderer = new window.ReportRenderer(this.reportService);
+
+        this.reports = [];
+        this.webhooks = [];
+        this.draft = null;
+        this.formErrors = {};
+        this.runningId = null;
+        this.pollTimer = null;
+        this.pollInterval = 5000;
+        this.resetHistory(null);
+
+        console.log('📑 [ReportManager] Instance created');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get analyticsAPI() {
+        return window.OsliraAnalyticsAPI;
+    }
+
+    get businessId() {
+        return window.OsliraStateManager?.getState('business.selected')?.id ||
+            localStorage.getItem('selectedBusinessId');
+    }
+
+    get timezone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        this.exposeGlobalHandlers();
+
+        window.OsliraEventBus?.on?.('business:changed', () => {
+            this.closeBuilder();
+            this.resetHistory(null);
+            this.load();
+        });
+
+        await this.load();
+
+        // Deep link from the dashboard's "Schedule report" action
+        if (new URLSearchParams(window.location.search).get('report') === 'new') {
+            this.openBuilder();
+            document.getElementById('reports-section')?.scrollIntoView({ behavior: 'smooth' });
+        }
+
+        console.log('✅ [ReportManager] Initialized');
+    }
+
+    exposeGlobalHandlers() {
+        window.openReportBuilder = () => this.openBuilder();
+        window.editReport = (reportId) => this.openBuilder(reportId);
+        window.cancelReportBuilder = () => this.closeBuilder();
+        window.onReportFormChange = () => this.refreshBuilder();
+        window.saveReport = () => this.saveReport();
+        window.deleteReport = (reportId) => this.deleteReport(reportId);
+        window.runReport = (reportId) => this.runReport(reportId);
+        window.runReportDraft = () => this.runDraft();
+        window.showReportHistory = (reportId) => this.showHistory(reportId);
+        window.refreshReportHistory = () => this.loadHistory();
+        window.loadMoreReportHistory = () => this.loadMoreHistory();
+        window.downloadReportRun = (runId) => this.downloadRun(runId);
+    }
+
+    // =========================================================================
+    // LOADING
+    // =========================================================================
+
+    async load() {
+        const list = document.getElementById('report-list');
+
+        if (!this.businessId) {
+            this.reports = [];
+            if (list) list.innerHTML = this.renderer.renderError('Select a business to manage its reports.');
+            return;
+        }
+
+        if (list) list.innerHTML = this.renderer.renderLoading('Loading reports…');
+
+        const [reports, webhooks] = await Promise.allSettled([
+            this.analyticsAPI.listReports(this.businessId),
+            window.OsliraWebhooksAPI ? window.OsliraWebhooksAPI.listWebhooks(this.businessId) : []
+        ]);
+
+        // Webhooks are optional delivery targets - the reports still work without them
+        this.webhooks = webhooks.status === 'fulfilled' ? webhooks.value : [];
+
+        if (reports.status === 'rejected') {
+            console.error('❌ [ReportManager] Failed to load reports:', reports.reason);
+            this.reports = [];
+            if (list) list.innerHTML = this.renderer.renderError(`Could not load reports: ${reports.reason.message}`);
+        } else {
+            this.reports = reports.value.map(report => this.reportService.normalizeReport(report));
+            this.renderList();
+        }
+
+        await this.loadHistory();
+    }
+
+    // =========================================================================
+    // SAVED REPORTS
+    // =========================================================================
+
+    findReport(reportId) {
+        return this.reports.find(report => report.id === reportId) || null;
+    }
+
+    renderList() {
+        const list = document.getElementById('report-list');
+        if (!list) return;
+
+        list.innerHTML = this.renderer.renderReportList(this.reports, {
+            webhooks: this.webhooks,
+            runningId: this.runningId
+        });
+    }
+
+    async deleteReport(reportId) {
+        const report = this.findReport(reportId);
+        if (!report || !confirm(`Delete the report "${report.name}"? Reports it already generated stay in the history.`)) return;
+
+        try {
+            await this.analyticsAPI.deleteReport(this.businessId, reportId);
+            this.reports = this.reports.filter(item => item.id !== reportId);
+            if (this.draft?.id === reportId) this.closeBuilder();
+            if (this.history.reportId === reportId) this.showHistory(null);
+            window.OsliraApp?.showMessage?.('Report deleted', 'success');
+
+        } catch (error) {
+            console.error('❌ [ReportManager] Failed to delete report:', error);
+            window.OsliraApp?.showMessage?.(`Could not delete the report: ${error.message}`, 'error');
+        }
+
+        this.renderList();
+    }
+
+    // =========================================================================
+    // BUILDER
+    // =========================================================================
+
+    openBuilder(reportId = null) {
+        const report = reportId ? this.findReport(reportId) : null;
+        if (reportId && !report) return;
+
+        this.draft = report ? { ...report } : this.reportService.getDefaultReport();
+        this.formErrors = {};
+        this.renderBuilder();
+
+        document.getElementById('report-name')?.focus();
+    }
+
+    closeBuilder() {
+        this.draft = null;
+        this.formErrors = {};
+
+        const container = document.getElementById('report-builder');
+        if (container) container.innerHTML = '';
+    }
+
+    renderBuilder() {
+        const container = document.getElementById('report-builder');
+        if (!container || !this.draft) return;
+
+        container.innerHTML = this.renderer.renderBuilder(this.draft, {
+            errors: this.formErrors,
+            webhooks: this.webhooks,
+            statuses: this.getStatusOptions(),
+            timezone: this.timezone,
+            integrationsUrl: window.OsliraEnv?.getAppUrl?.('/integrations') || '/integrations'
+        });
+    }
+
+    /**
+     * Pipeline stages for the status filter, when the pipeline service is loaded
+     */
+    getStatusOptions() {
+        if (!window.LeadPipelineService) return [];
+        return new window.LeadPipelineService().resolveStages().map(stage => ({ key: stage.key, label: stage.label }));
+    }
+
+    readForm() {
+        const value = (id) => document.getElementById(id)?.value ?? '';
+        const checked = (attribute) => Array.from(document.querySelectorAll(`#report-form [${attribute}]`))
+            .filter(input => input.checked)
+            .map(input => input.getAttribute(attribute));
+
+        return {
+            id: value('report-form-id') || null,
+            name: value('report-name'),
+            metrics: checked('data-report-metric'),
+            dimensions: checked('data-report-dimension'),
+            platform: value('report-filter-platform'),
+            analysisType: value('report-filter-analysis'),
+            status: value('report-filter-status'),
+            minScore: value('report-filter-min-score'),
+            period: value('report-period'),
+            startDate: value('report-start-date'),
+            endDate: value('report-end-date'),
+            format: value('report-format'),
+            frequency: value('report-frequency'),
+            day: value('report-day'),
+            hour: value('report-hour'),
+            timezone: value('report-timezone'),
+            emails: value('report-emails'),
+            webhookIds: checked('data-report-webhook')
+        };
+    }
+
+    /**
+     * Turn raw form values back into a draft without dropping anything the
+     * user typed - invalid emails stay in the field until they fix them
+     */
+    toDraft(input, report) {
+        const { invalid } = this.reportService.parseEmails(input.emails);
+
+        return {
+            ...(this.draft || {}),
+            ...report,
+            id: input.id,
+            delivery: { ...report.delivery, emails: [...report.delivery.emails, ...invalid] }
+        };
+    }
+
+    /**
+     * Period and frequency change which fields are shown
+     */
+    refreshBuilder() {
+        const input = this.readForm();
+        this.draft = this.toDraft(input, this.reportService.validateReport(input).report);
+        this.renderBuilder();
+    }
+
+    async saveReport() {
+        const input = this.readForm();
+        const validation = this.reportService.validateReport(input);
+
+        this.draft = this.toDraft(input, validation.report);
+        this.formErrors = validation.errors;
+        if (!validation.valid) {
+            this.renderBuilder();
+            return;
+        }
+
+        const submit = document.getElementById('report-form-submit');
+        if (submit) submit.disabled = true;
+
+        try {
+            if (input.id) {
+                const updated = await this.analyticsAPI.updateReport(this.businessId, input.id, validation.report);
+                const report = this.reportService.normalizeReport({ ...this.findReport(input.id), ...validation.report, ...updated, id: input.id });
+                this.reports = this.reports.map(item => item.id === input.id ? report : item);
+                window.OsliraApp?.showMessage?.('Report updated', 'success');
+
+            } else {
+                const created = await this.analyticsAPI.createReport(this.businessId, validation.report);
+                this.reports = [...this.reports, this.reportService.normalizeReport({ ...validation.report, ...created })];
+                window.OsliraApp?.showMessage?.(
+                    validation.report.schedule ? `Report saved - ${this.reportService.describeSchedule(validation.report.schedule).toLowerCase()}` : 'Report saved',
+                    'success'
+                );
+            }
+
+            this.closeBuilder();
+            this.renderList();
+
+        } catch (error) {
+            console.error('❌ [ReportManager] Failed to save report:', error);
+            this.formErrors = { name: error.message };
+            this.renderBuilder();
+        }
+    }
+
+    // =========================================================================
+    // RUNNING
+    // =========================================================================
+
+    async runReport(reportId) {
+        const report = this.findReport(reportId);
+        if (!report || this.runningId) return;
+
+        this.runningId = reportId;
+        this.renderList();
+
+        await this.generate(report);
+
+        this.runningId = null;
+        this.renderList();
+    }
+
+    /**
+     * Run the builder's current values once - nothing is saved or scheduled
+     */
+    async runDraft() {
+        const input = this.readForm();
+        const validation = this.reportService.validateReport({ ...input, frequency: 'none' });
+
+        // Delivery settings only matter for scheduled runs
+        const errors = { ...validation.errors };
+        delete errors.emails;
+
+        this.draft = this.toDraft(input, { ...validation.report, schedule: this.draft?.schedule || null });
+        this.formErrors = errors;
+        if (Object.keys(errors).length > 0) {
+            this.renderBuilder();
+            return;
+        }
+
+        const button = document.getElementById('report-form-run');
+        if (button) button.disabled = true;
+
+        await this.generate({ ...validation.report, id: input.id });
+
+        if (button) button.disabled = false;
+    }
+
+    async generate(report) {
+        try {
+            const run = await this.analyticsAPI.generateCustomReport(
+                this.businessId,
+                this.reportService.buildReportConfig(report)
+            );
+
+            const inHistory = !this.history.reportId || this.history.reportId === report.id;
+            if (run?.id && inHistory) {
+                this.history.runs = this.reportService.mergeRuns(this.history.runs, [{
+                    trigger: 'manual',
+                    report_id: report.id,
+                    report_name: report.name,
+                    format: report.config.format,
+                    created_at: new Date().toISOString(),
+                    status: 'queued',
+                    ...run
+                }]);
+                this.renderHistory();
+                this.schedulePoll();
+            }
+
+            window.OsliraApp?.showMessage?.(`Generating "${report.name}" - it will appear in the report history`, 'success');
+
+        } catch (error) {
+            console.error('❌ [ReportManager] Failed to generate report:', error);
+            window.OsliraApp?.showMessage?.(`Could not generate the report: ${error.message}`, 'error');
+        }
+    }
+
+    // =========================================================================
+    // HISTORY
+    // =========================================================================
+
+    resetHistory(reportId) {
+        this.stopPolling();
+        this.history = { reportId, runs: [], nextCursor: null, hasMore: false, isLoadingMore: false };
+    }
+
+    showHistory(reportId) {
+        this.resetHistory(reportId);
+        this.loadHistory();
+        document.getElementById('report-history')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    async loadHistory() {
+        const container = document.getElementById('report-history');
+        if (!this.businessId) return;
+
+        const reportId = this.history.reportId;
+        if (container && this.history.runs.length === 0) {
+            container.innerHTML = this.renderer.renderLoading('Loading report history…');
+        }
+
+        try {
+            const page = await this.analyticsAPI.getReportRuns(this.businessId, { reportId });
+            if (reportId !== this.history.reportId) return;
+
+            this.history = { ...this.history, runs: page.runs, nextCursor: page.nextCursor, hasMore: page.hasMore };
+            this.renderHistory();
+            this.schedulePoll();
+
+        } catch (error) {
+            console.error('❌ [ReportManager] Failed to load report history:', error);
+            if (container) container.innerHTML = this.renderer.renderError(`Could not load report history: ${error.message}`);
+        }
+    }
+
+    async loadMoreHistory() {
+        if (!this.history.hasMore || this.history.isLoadingMore) return;
+
+        const reportId = this.history.reportId;
+        this.history.isLoadingMore = true;
+        this.renderHistory();
+
+        try {
+            const page = await this.analyticsAPI.getReportRuns(this.businessId, {
+                reportId,
+                cursor: this.history.nextCursor
+            });
+            if (reportId !== this.history.reportId) return;
+
+            this.history = {
+                ...this.history,
+                runs: this.reportService.mergeRuns(this.history.runs, page.runs),
+                nextCursor: page.nextCursor,
+                hasMore: page.hasMore
+            };
+
+        } catch (error) {
+            console.error('❌ [ReportManager] Failed to load older reports:', error);
+            window.OsliraApp?.showMessage?.(`Could not load older reports: ${error.message}`, 'error');
+        }
+
+        this.history.isLoadingMore = false;
+        this.renderHistory();
+    }
+
+    renderHistory() {
+        const container = document.getElementById('report-history');
+        if (!container) return;
+
+        container.innerHTML = this.renderer.renderHistory(this.history.runs, {
+            report: this.history.reportId ? this.findReport(this.history.reportId) : null,
+            hasMore: this.history.hasMore,
+            isLoadingMore: this.history.isLoadingMore
+        });
+    }
+
+    /**
+     * Refresh the first page while any visible run is still generating
+     */
+    schedulePoll() {
+        this.stopPolling();
+        if (!this.history.runs.some(run => this.reportService.isRunPending(run))) return;
+
+        this.pollTimer = setTimeout(async () => {
+            this.pollTimer = null;
+            const reportId = this.history.reportId;
+
+            try {
+                const page = await this.analyticsAPI.getReportRuns(this.businessId, { reportId });
+                if (reportId !== this.history.reportId) return;
+
+                this.history.runs = this.reportService.mergeRuns(this.history.runs, page.runs);
+                this.renderHistory();
+
+            } catch (error) {
+                console.warn('⚠️ [ReportManager] Report history poll failed:', error);
+            }
+
+            this.schedulePoll();
+        }, this.pollInterval);
+    }
+
+    stopPolling() {
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    async downloadRun(runId) {
+        const run = this.history.runs.find(item => item.id === runId);
+        if (!run) return;
+
+        try {
+            const url = run.file_url || (await this.analyticsAPI.getReportDownload(this.businessId, runId))?.url;
+            if (!url) throw new Error('The file is not available');
+
+            window.open(url, '_blank', 'noopener');
+
+        } catch (error) {
+            console.error('❌ [ReportManager] Failed to download report:', error);
+            window.OsliraApp?.showMessage?.(`Could not download the report: ${error.message}`, 'error');
+        }
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.ReportManager = ReportManager;
+
+console.log('✅ [ReportManager] Loaded');
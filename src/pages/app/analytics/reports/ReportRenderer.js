@@ -0,0 +1,300 @@
+// =============================================================================
+// REPORT RENDERER - Pure HTML Generation
+// Path: /public/pages/app/analytics/reports/ReportRenderer.js
+// Dependencies: ReportService, ValidationUtils
+// =============================================================================
+
+/**
+ * @class ReportRenderer
+ * @description Saved report list, report builder form and report history
+ */
+class ReportRenderer {
+    constructor(reportService) {
+        this.reportService = reportService;
+    }
+
+    // =========================================================================
+    // SAVED REPORTS
+    // =========================================================================
+
+    renderReportList(reports, { webhooks = [], runningId = null } = {}) {
+        if (!reports || reports.length === 0) {
+            return `
+                <div class="text-center py-12 border-2 border-dashed border-gray-200 rounded-2xl">
+                    <p class="text-gray-900 font-medium">No saved reports yet</p>
+                    <p class="text-sm text-gray-500 mt-1">Build a report once, run it whenever you need it or have it emailed every week or month.</p>
+                    <button onclick="window.openReportBuilder()" class="mt-4 px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700">
+                        New report
+                    </button>
+                </div>
+            `;
+        }
+
+        return `<div class="space-y-3">${reports.map(report => this.renderReport(report, webhooks, report.id === runningId)).join('')}</div>`;
+    }
+
+    renderReport(report, webhooks, isRunning) {
+        const nextRun = report.schedule
+            ? (report.next_run_at ? new Date(report.next_run_at) : this.reportService.getNextRun(report.schedule))
+            : null;
+        const delivery = this.reportService.describeDelivery(report.delivery, webhooks);
+
+        return `
+            <div class="p-4 bg-white border border-gray-200 rounded-2xl">
+                <div class="flex items-start justify-between gap-4">
+                    <div class="min-w-0">
+                        <p class="text-sm font-semibold text-gray-900">${window.OsliraValidationUtils.escapeHTML(report.name)}</p>
+                        <p class="text-xs text-gray-500 mt-0.5">${window.OsliraValidationUtils.escapeHTML(this.reportService.describeConfig(report.config))} · ${this.reportService.getLabel(this.reportService.formats, report.config.format)}</p>
+                        <p class="text-xs text-gray-500 mt-1">
+                            ${report.schedule ? '📅' : '▶️'} ${window.OsliraValidationUtils.escapeHTML(this.reportService.describeSchedule(report.schedule))}
+                            ${nextRun ? ` · next ${this.formatTimestamp(nextRun)}` : ''}
+                            ${delivery ? ` · to ${window.OsliraValidationUtils.escapeHTML(delivery)}` : ''}
+                        </p>
+                    </div>
+                    <div class="flex items-center gap-2 shrink-0">
+                        <button onclick="window.runReport('${report.id}')" ${isRunning ? 'disabled' : ''}
+                                class="px-3 py-1.5 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+                            ${isRunning ? 'Starting…' : 'Run now'}
+                        </button>
+                        <button onclick="window.showReportHistory('${report.id}')" class="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900">History</button>
+                        <button onclick="window.editReport('${report.id}')" class="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900">Edit</button>
+                        <button onclick="window.deleteReport('${report.id}')" class="px-3 py-1.5 text-sm text-red-600 hover:text-red-800">Delete</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // BUILDER
+    // =========================================================================
+
+    /**
+     * @param {Object} report - Normalized report (ReportService.normalizeReport)
+     * @param {Object} options - { errors, webhooks, statuses, timezone, integrationsUrl }
+     */
+    renderBuilder(report, { errors = {}, webhooks = [], statuses = [], timezone = 'UTC', integrationsUrl = '/integrations' } = {}) {
+        const service = this.reportService;
+        const { config, schedule, delivery } = report;
+        const frequency = schedule?.frequency || 'none';
+        const isCustom = config.period.preset === 'custom';
+
+        return `
+            <form id="report-form" class="p-5 bg-gray-50 border border-gray-200 rounded-2xl space-y-5" onsubmit="event.preventDefault(); window.saveReport();" novalidate>
+                <input type="hidden" id="report-form-id" value="${window.OsliraValidationUtils.escapeHTML(report.id || '')}">
+                <input type="hidden" id="report-timezone" value="${window.OsliraValidationUtils.escapeHTML(schedule?.timezone || timezone)}">
+
+                <div>
+                    <label for="report-name" class="block text-sm font-medium text-gray-800 mb-1">Report name</label>
+                    <input id="report-name" type="text" maxlength="${service.maxNameLength}" value="${window.OsliraValidationUtils.escapeHTML(report.name)}" placeholder="Weekly pipeline summary"
+                           class="w-full px-3 py-2 text-sm border ${errors.name ? 'border-red-400' : 'border-gray-200'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                    ${this.renderFieldError(errors.name)}
+                </div>
+
+                <fieldset>
+                    <legend class="text-sm font-medium text-gray-800 mb-2">Metrics</legend>
+                    ${this.renderCheckboxes('report-metric', service.metrics, config.metrics)}
+                    ${this.renderFieldError(errors.metrics)}
+                </fieldset>
+
+                <fieldset>
+                    <legend class="text-sm font-medium text-gray-800 mb-2">Group by <span class="font-normal text-gray-500">(up to ${service.maxDimensions})</span></legend>
+                    ${this.renderCheckboxes('report-dimension', service.dimensions, config.dimensions)}
+                    ${this.renderFieldError(errors.dimensions)}
+                </fieldset>
+
+                <fieldset>
+                    <legend class="text-sm font-medium text-gray-800 mb-2">Filters</legend>
+                    <div class="grid grid-cols-2 md:grid-cols-4 gap-3">
+                        ${this.renderSelect('report-filter-platform', 'Platform', [
+                            { key: 'all', label: 'All platforms' },
+                            ...service.platforms.map(key => ({ key, label: this.humanize(key) }))
+                        ], config.filters.platform || 'all')}
+                        ${this.renderSelect('report-filter-analysis', 'Analysis type', [
+                            { key: 'all', label: 'All types' },
+                            ...service.analysisTypes.map(key => ({ key, label: key === 'xray' ? 'X-Ray' : this.humanize(key) }))
+                        ], config.filters.analysis_type || 'all')}
+                        ${this.renderSelect('report-filter-status', 'Pipeline status', [
+                            { key: 'all', label: 'All statuses' },
+                            ...statuses
+                        ], config.filters.status || 'all')}
+                        <label class="text-xs font-medium text-gray-600">
+                            Minimum score
+                            <input id="report-filter-min-score" type="number" min="0" max="100" value="${config.filters.min_score ?? ''}" placeholder="Any"
+                                   class="mt-1 w-full px-3 py-2 text-sm font-normal text-gray-900 border border-gray-200 rounded-lg">
+                        </label>
+                    </div>
+                </fieldset>
+
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <div>
+                        ${this.renderSelect('report-period', 'Period', service.periods, config.period.preset, "window.onReportFormChange()")}
+                        ${isCustom ? `
+                            <div class="flex gap-2 mt-2">
+                                <input id="report-start-date" type="date" value="${window.OsliraValidationUtils.escapeHTML(config.period.start_date || '')}" aria-label="Start date" class="flex-1 px-3 py-2 text-sm border border-gray-200 rounded-lg">
+                                <input id="report-end-date" type="date" value="${window.OsliraValidationUtils.escapeHTML(config.period.end_date || '')}" aria-label="End date" class="flex-1 px-3 py-2 text-sm border border-gray-200 rounded-lg">
+                            </div>
+                        ` : ''}
+                        ${this.renderFieldError(errors.period)}
+                    </div>
+                    ${this.renderSelect('report-format', 'Format', service.formats, config.format)}
+                </div>
+
+                <fieldset class="p-4 bg-white border border-gray-200 rounded-xl space-y-3">
+                    <legend class="px-1 text-sm font-medium text-gray-800">Schedule &amp; delivery</legend>
+                    <div class="grid grid-cols-1 md:grid-cols-3 gap-3">
+                        ${this.renderSelect('report-frequency', 'Frequency', service.frequencies, frequency, "window.onReportFormChange()")}
+                        ${frequency === 'weekly' ? this.renderSelect('report-day', 'Day', service.weekdays.map((label, index) => ({ key: String(index), label })), String(schedule.day)) : ''}
+                        ${frequency === 'monthly' ? this.renderSelect('report-day', 'Day of month', Array.from({ length: 28 }, (_, index) => ({ key: String(index + 1), label: String(index + 1) })), String(schedule.day)) : ''}
+                        ${frequency !== 'none' ? this.renderSelect('report-hour', `Time (${window.OsliraValidationUtils.escapeHTML(schedule?.timezone || timezone)})`, Array.from({ length: 24 }, (_, hour) => ({ key: String(hour), label: `${String(hour).padStart(2, '0')}:00` })), String(schedule.hour)) : ''}
+                    </div>
+
+                    <div>
+                        <label for="report-emails" class="block text-xs font-medium text-gray-600 mb-1">Email to <span class="font-normal text-gray-500">(comma or newline separated)</span></label>
+                        <textarea id="report-emails" rows="2" placeholder="you@company.com, team@company.com"
+                                  class="w-full px-3 py-2 text-sm border ${errors.emails ? 'border-red-400' : 'border-gray-200'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">${window.OsliraValidationUtils.escapeHTML(delivery.emails.join(', '))}</textarea>
+                        ${this.renderFieldError(errors.emails)}
+                    </div>
+
+                    <div>
+                        <p class="text-xs font-medium text-gray-600 mb-1">Send to webhooks <span class="font-normal text-gray-500">(as a <code>report.generated</code> event)</span></p>
+                        ${webhooks.length === 0
+                            ? `<p class="text-xs text-gray-500">No webhook endpoints yet - add one on the <a href="${window.OsliraValidationUtils.escapeHTML(integrationsUrl)}" class="text-indigo-600 hover:underline">integrations page</a>.</p>`
+                            : `<div class="space-y-1">${webhooks.map(webhook => `
+                                <label class="flex items-center gap-2 text-sm text-gray-700">
+                                    <input type="checkbox" data-report-webhook="${window.OsliraValidationUtils.escapeHTML(webhook.id)}" ${delivery.webhook_ids.includes(webhook.id) ? 'checked' : ''} class="w-4 h-4 text-indigo-600 border-gray-300 rounded">
+                                    <span class="truncate">${window.OsliraValidationUtils.escapeHTML(webhook.description || webhook.url)}</span>
+                                    ${webhook.enabled === false ? '<span class="text-xs text-gray-400">paused</span>' : ''}
+                                </label>
+                            `).join('')}</div>`}
+                    </div>
+                </fieldset>
+
+                <div class="flex justify-end gap-2">
+                    <button type="button" onclick="window.cancelReportBuilder()" class="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-xl hover:bg-gray-50">Cancel</button>
+                    <button type="button" id="report-form-run" onclick="window.runReportDraft()" class="px-4 py-2 text-sm font-medium text-indigo-700 bg-indigo-50 rounded-xl hover:bg-indigo-100 disabled:opacity-50">Run without saving</button>
+                    <button type="submit" id="report-form-submit" class="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                        ${report.id ? 'Save changes' : 'Save report'}
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+
+    renderCheckboxes(name, options, selected) {
+        return `
+            <div class="flex flex-wrap gap-2">
+                ${options.map(option => `
+                    <label class="flex items-center gap-2 px-3 py-1.5 bg-white border border-gray-200 rounded-lg cursor-pointer text-sm text-gray-700">
+                        <input type="checkbox" data-${name}="${option.key}" ${selected.includes(option.key) ? 'checked' : ''} class="w-4 h-4 text-indigo-600 border-gray-300 rounded">
+                        ${window.OsliraValidationUtils.escapeHTML(option.label)}
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderSelect(id, label, options, value, onchange = '') {
+        return `
+            <label class="block text-xs font-medium text-gray-600">
+                ${label}
+                <select id="${id}" ${onchange ? `onchange="${onchange}"` : ''} class="mt-1 w-full px-3 py-2 text-sm font-normal text-gray-900 border border-gray-200 rounded-lg bg-white">
+                    ${options.map(option => `<option value="${window.OsliraValidationUtils.escapeHTML(option.key)}" ${option.key === value ? 'selected' : ''}>${window.OsliraValidationUtils.escapeHTML(option.label)}</option>`).join('')}
+                </select>
+            </label>
+        `;
+    }
+
+    renderFieldError(message) {
+        return message ? `<p class="text-xs text-red-600 mt-1" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>` : '';
+    }
+
+    // =========================================================================
+    // HISTORY
+    // =========================================================================
+
+    renderHistory(runs, { report = null, hasMore = false, isLoadingMore = false } = {}) {
+        return `
+            <div class="flex items-center justify-between mb-3">
+                <div>
+                    <h3 class="text-base font-semibold text-gray-900">Report history</h3>
+                    <p class="text-xs text-gray-500">${report ? window.OsliraValidationUtils.escapeHTML(report.name) : 'All reports'}</p>
+                </div>
+                <div class="flex items-center gap-2">
+                    ${report ? '<button onclick="window.showReportHistory(null)" class="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900">Show all</button>' : ''}
+                    <button onclick="window.refreshReportHistory()" class="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900">Refresh</button>
+                </div>
+            </div>
+            ${runs.length === 0
+                ? '<p class="py-8 text-center text-sm text-gray-500">No reports generated yet - run one to see it here.</p>'
+                : `<ul class="divide-y divide-gray-100 border border-gray-200 rounded-2xl bg-white">${runs.map(run => this.renderRun(run)).join('')}</ul>`}
+            ${hasMore ? `
+                <div class="text-center mt-3">
+                    <button onclick="window.loadMoreReportHistory()" ${isLoadingMore ? 'disabled' : ''} class="text-sm text-indigo-600 hover:underline disabled:opacity-50">
+                        ${isLoadingMore ? 'Loading…' : 'Load older reports'}
+                    </button>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    renderRun(run) {
+        const status = this.reportService.getRunStatus(run);
+        const period = run.period_start && run.period_end ? `${run.period_start} – ${run.period_end}` : '';
+
+        return `
+            <li class="px-4 py-3">
+                <div class="flex items-center gap-3">
+                    <span class="px-2 py-0.5 text-xs font-medium rounded-full ${status.className}">${status.label}</span>
+                    <span class="text-sm font-medium text-gray-900 truncate">${window.OsliraValidationUtils.escapeHTML(run.report_name || run.name || 'Ad-hoc report')}</span>
+                    <span class="text-xs text-gray-500">${this.reportService.describeTrigger(run)}${period ? ` · ${window.OsliraValidationUtils.escapeHTML(period)}` : ''}</span>
+                    <span class="flex-1"></span>
+                    <time class="text-xs text-gray-500" datetime="${window.OsliraValidationUtils.escapeHTML(run.created_at || '')}">${this.formatTimestamp(run.created_at)}</time>
+                    ${this.reportService.canDownload(run) ? `
+                        <button onclick="window.downloadReportRun('${run.id}')" class="text-xs font-medium text-indigo-600 hover:underline">
+                            Download ${window.OsliraValidationUtils.escapeHTML((run.format || '').toUpperCase())}
+                        </button>
+                    ` : ''}
+                </div>
+                ${run.status === 'failed' && run.error ? `<p class="text-xs text-red-600 mt-1">${window.OsliraValidationUtils.escapeHTML(run.error)}</p>` : ''}
+                ${run.delivered_to?.length ? `<p class="text-xs text-gray-500 mt-1">Sent to ${window.OsliraValidationUtils.escapeHTML(run.delivered_to.join(', '))}</p>` : ''}
+            </li>
+        `;
+    }
+
+    renderLoading(label = 'Loading…') {
+        return `<p class="py-8 text-center text-sm text-gray-500">${window.OsliraValidationUtils.escapeHTML(label)}</p>`;
+    }
+
+    renderError(message) {
+        return `
+            <div class="p-4 text-sm text-red-700 bg-red-50 border border-red-200 rounded-2xl" role="alert">
+                ${window.OsliraValidationUtils.escapeHTML(message)}
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // UTILITIES
+    // =========================================================================
+
+    humanize(key) {
+        return String(key).charAt(0).toUpperCase() + String(key).slice(1);
+    }
+
+    formatTimestamp(timestamp) {
+        if (!timestamp) return '';
+
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) return '';
+
+        return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.ReportRenderer = ReportRenderer;
+
+console.log('✅ [ReportRenderer] Loaded');
@@ -0,0 +1,376 @@
+// =============================================================================
+// REPORT SERVICE - Pure Business Logic
+// Path: /public/pages/app/analytics/reports/ReportService.js
+// Dependencies: None
+// =============================================================================
+
+/**
+ * @class ReportService
+ * @description Report builder catalogue, validation, reportConfig building,
+ * schedule description and report history formatting
+ *
+ * A saved report is { id, name, config, schedule, delivery }:
+ *   config   - the reportConfig sent to AnalyticsAPI.generateCustomReport
+ *              { metrics, dimensions, filters, period, format }
+ *   schedule - null, or { frequency: 'weekly' | 'monthly', day, hour, timezone }
+ *              where day is 0-6 (Sunday first) for weekly and 1-28 for monthly
+ *   delivery - { emails: [], webhook_ids: [] }
+ *
+ * Scheduled reports always use a relative period so every run covers fresh data.
+ */
+class ReportService {
+    constructor() {
+        this.metrics = [
+            { key: 'leads', label: 'Leads researched' },
+            { key: 'analyses', label: 'Analyses run' },
+            { key: 'average_score', label: 'Average score' },
+            { key: 'high_score_leads', label: 'High-score leads' },
+            { key: 'conversion_rate', label: 'Conversion rate' },
+            { key: 'credits_used', label: 'Credits used' }
+        ];
+
+        // Only one time dimension per report
+        this.dimensions = [
+            { key: 'day', label: 'Day', time: true },
+            { key: 'week', label: 'Week', time: true },
+            { key: 'month', label: 'Month', time: true },
+            { key: 'platform', label: 'Platform' },
+            { key: 'analysis_type', label: 'Analysis type' },
+            { key: 'status', label: 'Pipeline status' },
+            { key: 'score_band', label: 'Score band' }
+        ];
+        this.maxDimensions = 2;
+
+        this.periods = [
+            { key: 'last_7_days', label: 'Last 7 days', relative: true },
+            { key: 'last_30_days', label: 'Last 30 days', relative: true },
+            { key: 'last_week', label: 'Previous calendar week', relative: true },
+            { key: 'last_month', label: 'Previous calendar month', relative: true },
+            { key: 'month_to_date', label: 'Month to date', relative: true },
+            { key: 'last_quarter', label: 'Previous quarter', relative: true },
+            { key: 'custom', label: 'Custom dates', relative: false }
+        ];
+
+        this.platforms = ['instagram', 'twitter', 'linkedin', 'tiktok'];
+        this.analysisTypes = ['light', 'deep', 'xray'];
+
+        this.formats = [
+            { key: 'csv', label: 'CSV' },
+            { key: 'xlsx', label: 'Excel (XLSX)' },
+            { key: 'pdf', label: 'PDF' }
+        ];
+
+        this.frequencies = [
+            { key: 'none', label: 'Not scheduled' },
+            { key: 'weekly', label: 'Weekly' },
+            { key: 'monthly', label: 'Monthly' }
+        ];
+        this.weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+        this.runStatuses = {
+            queued: { label: 'Queued', className: 'bg-gray-100 text-gray-700' },
+            running: { label: 'Generating', className: 'bg-blue-100 text-blue-800' },
+            completed: { label: 'Ready', className: 'bg-green-100 text-green-800' },
+            failed: { label: 'Failed', className: 'bg-red-100 text-red-700' }
+        };
+
+        this.maxNameLength = 80;
+        this.maxEmails = 20;
+    }
+
+    // =========================================================================
+    // CATALOGUE
+    // =========================================================================
+
+    getLabel(list, key) {
+        return list.find(item => item.key === key)?.label || key;
+    }
+
+    getDefaultReport() {
+        return {
+            id: null,
+            name: '',
+            config: {
+                metrics: ['leads', 'average_score'],
+                dimensions: ['week'],
+                filters: {},
+                period: { preset: 'last_30_days', start_date: null, end_date: null },
+                format: 'csv'
+            },
+            schedule: null,
+            delivery: { emails: [], webhook_ids: [] }
+        };
+    }
+
+    /**
+     * Fill gaps in a report loaded from the API so the form always has every field
+     */
+    normalizeReport(report = {}) {
+        const defaults = this.getDefaultReport();
+        const config = report.config || {};
+
+        return {
+            ...report,
+            id: report.id || null,
+            name: report.name || '',
+            config: {
+                metrics: Array.isArray(config.metrics) ? config.metrics : defaults.config.metrics,
+                dimensions: Array.isArray(config.dimensions) ? config.dimensions : defaults.config.dimensions,
+                filters: config.filters || {},
+                period: { ...defaults.config.period, ...(config.period || {}) },
+                format: config.format || defaults.config.format
+            },
+            schedule: report.schedule?.frequency ? report.schedule : null,
+            delivery: {
+                emails: report.delivery?.emails || [],
+                webhook_ids: report.delivery?.webhook_ids || []
+            }
+        };
+    }
+
+    // =========================================================================
+    // VALIDATION
+    // =========================================================================
+
+    /**
+     * Validate the builder form
+     * @param {Object} input - Raw form values (see ReportManager.readForm)
+     * @returns {Object} { valid, errors, report }
+     */
+    validateReport(input = {}, now = new Date()) {
+        const errors = {};
+        const name = (input.name || '').trim();
+        const metrics = (input.metrics || []).filter(key => this.metrics.some(metric => metric.key === key));
+        const dimensions = (input.dimensions || []).filter(key => this.dimensions.some(dimension => dimension.key === key));
+        const period = this.periods.find(item => item.key === input.period) || this.periods[1];
+        const frequency = this.frequencies.some(item => item.key === input.frequency) ? input.frequency : 'none';
+        const { emails, invalid } = this.parseEmails(input.emails);
+        const webhookIds = [...new Set(input.webhookIds || [])];
+
+        if (!name) {
+            errors.name = 'Give the report a name';
+        } else if (name.length > this.maxNameLength) {
+            errors.name = `Keep the name under ${this.maxNameLength} characters`;
+        }
+
+        if (metrics.length === 0) {
+            errors.metrics = 'Choose at least one metric';
+        }
+
+        if (dimensions.length > this.maxDimensions) {
+            errors.dimensions = `Group by at most ${this.maxDimensions} dimensions`;
+        } else if (dimensions.filter(key => this.dimensions.find(dimension => dimension.key === key).time).length > 1) {
+            errors.dimensions = 'Pick only one of day, week or month';
+        }
+
+        if (period.key === 'custom') {
+            const periodError = this.validateCustomPeriod(input.startDate, input.endDate, now);
+            if (periodError) errors.period = periodError;
+            else if (frequency !== 'none') errors.period = 'Scheduled reports need a relative period so each run covers new data';
+        }
+
+        if (invalid.length > 0) {
+            errors.emails = `Not a valid email: ${invalid.join(', ')}`;
+        } else if (emails.length > this.maxEmails) {
+            errors.emails = `Send to at most ${this.maxEmails} addresses`;
+        } else if (frequency !== 'none' && emails.length === 0 && webhookIds.length === 0) {
+            errors.emails = 'Add an email or choose a webhook to deliver scheduled reports to';
+        }
+
+        const schedule = frequency === 'none' ? null : this.buildSchedule(frequency, input.day, input.hour, input.timezone);
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors,
+            report: {
+                name,
+                config: {
+                    metrics,
+                    dimensions,
+                    filters: this.buildFilters(input),
+                    period: {
+                        preset: period.key,
+                        start_date: period.key === 'custom' ? input.startDate : null,
+                        end_date: period.key === 'custom' ? input.endDate : null
+                    },
+                    format: this.formats.some(format => format.key === input.format) ? input.format : 'csv'
+                },
+                schedule,
+                delivery: { emails, webhook_ids: webhookIds }
+            }
+        };
+    }
+
+    validateCustomPeriod(startDate, endDate, now = new Date()) {
+        const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+        if (!isDate(startDate) || !isDate(endDate)) return 'Pick a start and an end date';
+        if (endDate < startDate) return 'The end date is before the start date';
+        if (startDate > now.toISOString().slice(0, 10)) return 'The period starts in the future';
+        return null;
+    }
+
+    /**
+     * Split a free-text list on commas, semicolons and whitespace
+     * @returns {Object} { emails, invalid } - emails lowercased and de-duplicated
+     */
+    parseEmails(value) {
+        const entries = (Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/))
+            .map(entry => entry.trim().toLowerCase())
+            .filter(Boolean);
+
+        const emails = [...new Set(entries)];
+        const invalid = emails.filter(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email));
+
+        return { emails: emails.filter(email => !invalid.includes(email)), invalid };
+    }
+
+    buildFilters(input) {
+        const filters = {};
+        const minScore = Number(input.minScore);
+
+        if (this.platforms.includes(input.platform)) filters.platform = input.platform;
+        if (this.analysisTypes.includes(input.analysisType)) filters.analysis_type = input.analysisType;
+        if (input.status && input.status !== 'all') filters.status = input.status;
+        if (input.minScore !== '' && input.minScore != null && Number.isFinite(minScore)) {
+            filters.min_score = Math.min(Math.max(Math.round(minScore), 0), 100);
+        }
+
+        return filters;
+    }
+
+    // =========================================================================
+    // SCHEDULES
+    // =========================================================================
+
+    buildSchedule(frequency, day, hour, timezone) {
+        const parsedHour = parseInt(hour, 10);
+        const parsedDay = parseInt(day, 10);
+
+        return {
+            frequency,
+            day: frequency === 'weekly'
+                ? (parsedDay >= 0 && parsedDay <= 6 ? parsedDay : 1)
+                : (parsedDay >= 1 && parsedDay <= 28 ? parsedDay : 1),
+            hour: parsedHour >= 0 && parsedHour <= 23 ? parsedHour : 9,
+            timezone: timezone || 'UTC'
+        };
+    }
+
+    describeSchedule(schedule) {
+        if (!schedule) return 'On demand';
+
+        const time = `${String(schedule.hour).padStart(2, '0')}:00`;
+        const zone = schedule.timezone ? ` (${schedule.timezone})` : '';
+
+        if (schedule.frequency === 'weekly') {
+            return `Every ${this.weekdays[schedule.day]} at ${time}${zone}`;
+        }
+
+        return `Monthly on day ${schedule.day} at ${time}${zone}`;
+    }
+
+    /**
+     * Next run in the browser's clock - the backend's next_run_at wins when present
+     */
+    getNextRun(schedule, now = new Date()) {
+        if (!schedule) return null;
+
+        const next = new Date(now);
+        next.setMinutes(0, 0, 0);
+        next.setHours(schedule.hour);
+
+        if (schedule.frequency === 'weekly') {
+            next.setDate(next.getDate() + ((schedule.day - next.getDay() + 7) % 7));
+            if (next <= now) next.setDate(next.getDate() + 7);
+            return next;
+        }
+
+        next.setDate(schedule.day);
+        if (next <= now) next.setMonth(next.getMonth() + 1, schedule.day);
+        return next;
+    }
+
+    describeDelivery(delivery, webhooks = []) {
+        const parts = [];
+        const emails = delivery?.emails || [];
+        const hooks = (delivery?.webhook_ids || []).map(id => webhooks.find(webhook => webhook.id === id)).filter(Boolean);
+
+        if (emails.length === 1) parts.push(emails[0]);
+        else if (emails.length > 1) parts.push(`${emails.length} recipients`);
+
+        if (hooks.length === 1) parts.push(this.getHost(hooks[0].url));
+        else if (hooks.length > 1) parts.push(`${hooks.length} webhooks`);
+
+        return parts.join(' · ');
+    }
+
+    getHost(url) {
+        try {
+            return new URL(url).host;
+        } catch (error) {
+            return url;
+        }
+    }
+
+    describeConfig(config) {
+        const metrics = config.metrics.map(key => this.getLabel(this.metrics, key)).join(', ');
+        const dimensions = config.dimensions.length
+            ? ` by ${config.dimensions.map(key => this.getLabel(this.dimensions, key).toLowerCase()).join(' and ')}`
+            : '';
+        const period = config.period.preset === 'custom'
+            ? `${config.period.start_date} – ${config.period.end_date}`
+            : this.getLabel(this.periods, config.period.preset).toLowerCase();
+
+        return `${metrics}${dimensions}, ${period}`;
+    }
+
+    /**
+     * reportConfig for AnalyticsAPI.generateCustomReport - links the run to
+     * its saved report so it shows up under that report in the history
+     */
+    buildReportConfig(report) {
+        return {
+            name: report.name,
+            report_id: report.id || undefined,
+            ...report.config
+        };
+    }
+
+    // =========================================================================
+    // HISTORY
+    // =========================================================================
+
+    getRunStatus(run) {
+        return this.runStatuses[run?.status] || this.runStatuses.queued;
+    }
+
+    isRunPending(run) {
+        return run?.status === 'queued' || run?.status === 'running';
+    }
+
+    canDownload(run) {
+        return run?.status === 'completed';
+    }
+
+    describeTrigger(run) {
+        return run?.trigger === 'schedule' ? 'Scheduled' : 'On demand';
+    }
+
+    /**
+     * Keep runs newest first without duplicates when a page or a fresh run is merged in
+     */
+    mergeRuns(existing = [], incoming = []) {
+        const byId = new Map(existing.map(run => [run.id, run]));
+        incoming.forEach(run => byId.set(run.id, { ...byId.get(run.id), ...run }));
+
+        return [...byId.values()].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.ReportService = ReportService;
+
+console.log('✅ [ReportService] Loaded');
@@ -0,0 +1,415 @@
+// =============================================================================
+// ANALYTICS MANAGER - Orchestration Layer
+// Path: /public/pages/app/analytics/workspace/AnalyticsManager.js
+// Dependencies: AnalyticsWorkspaceService, ChartRenderer, AnalyticsRenderer, AnalyticsAPI,
+//               LeadViewState, StateManager
+// =============================================================================
+
+/**
+ * @class AnalyticsManager
+ * @description Analytics workspace of the analytics page
+ *
+ * Responsibilities:
+ * - Keep the date range, comparison toggle and trend metric in the URL
+ * - Load KPIs (getComparison) and every chart endpoint independently, so one
+ *   failing endpoint only breaks its own card
+ * - Drill down from a chart segment into the dashboard's filtered leads table
+ * - Export each chart as CSV (its data table) or PNG (its rendered SVG)
+ */
+class AnalyticsManager {
+    constructor() {
+        this.analyticsService = new window.AnalyticsWorkspaceService();
+        this.chartRenderer = new window.ChartRenderer(this.analyticsService);
+        this.renderer = new window.AnalyticsRenderer(this.analyticsService, this.chartRenderer);
+        this.viewState = new window.LeadViewState();
+
+        this.range = this.analyticsService.resolveRange();
+        this.compare = true;
+        this.trendMetric = 'leads';
+        this.rangeError = null;
+
+        this.kpis = {};
+        this.cards = {};
+        this.loadToken = 0;
+
+        this.chartLoaders = {
+            trends: { title: 'Trends', load: () => this.loadTrends() },
+            funnel: { title: 'Conversion funnel', load: () => this.loadFunnel() },
+            sources: { title: 'Conversion by source', load: () => this.loadSources() },
+            scores: { title: 'Lead score distribution', load: () => this.loadScores() },
+            engagement: { title: 'Engagement', load: () => this.loadEngagement() }
+        };
+
+        console.log('📊 [AnalyticsManager] Instance created');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get analyticsAPI() {
+        return window.OsliraAnalyticsAPI;
+    }
+
+    get businessId() {
+        return window.OsliraStateManager?.getState('business.selected')?.id ||
+            localStorage.getItem('selectedBusinessId');
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        this.exposeGlobalHandlers();
+        this.readFromUrl();
+
+        window.OsliraEventBus?.on?.('business:changed', () => this.loadAll());
+        window.addEventListener('popstate', () => {
+            this.readFromUrl();
+            this.loadAll();
+        });
+
+        await this.loadAll();
+        console.log('✅ [AnalyticsManager] Initialized');
+    }
+
+    exposeGlobalHandlers() {
+        window.setAnalyticsRange = (preset) => this.setPreset(preset);
+        window.applyAnalyticsCustomRange = () => this.applyCustomRange();
+        window.toggleAnalyticsComparison = (enabled) => this.setCompare(enabled);
+        window.setAnalyticsTrendMetric = (metric) => this.setTrendMetric(metric);
+        window.reloadAnalyticsChart = (chartId) => this.loadChart(chartId, this.loadToken);
+        window.drillDownAnalytics = (chartId, index) => this.drillDown(chartId, index);
+        window.exportAnalyticsChart = (chartId, format) => this.exportChart(chartId, format);
+    }
+
+    // =========================================================================
+    // URL STATE
+    // =========================================================================
+
+    readFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+
+        this.range = this.analyticsService.resolveRange({
+            preset: params.get('range') || '30d',
+            startDate: params.get('from'),
+            endDate: params.get('to')
+        });
+        this.compare = params.get('compare') !== '0';
+        this.trendMetric = this.analyticsService.trendMetrics.some(metric => metric.key === params.get('metric'))
+            ? params.get('metric')
+            : 'leads';
+        this.rangeError = null;
+    }
+
+    writeToUrl() {
+        const params = new URLSearchParams(window.location.search);
+
+        params.set('range', this.range.preset);
+        if (this.range.preset === 'custom') {
+            params.set('from', this.range.startDate);
+            params.set('to', this.range.endDate);
+        } else {
+            params.delete('from');
+            params.delete('to');
+        }
+        if (this.compare) params.delete('compare'); else params.set('compare', '0');
+        if (this.trendMetric === 'leads') params.delete('metric'); else params.set('metric', this.trendMetric);
+
+        window.history.pushState(null, '', `${window.location.pathname}?${params.toString()}`);
+    }
+
+    // =========================================================================
+    // CONTROLS
+    // =========================================================================
+
+    setPreset(preset) {
+        if (preset === 'custom') {
+            // Start editing from the current range
+            this.range = { ...this.range, preset: 'custom' };
+            this.rangeError = null;
+            this.renderToolbar();
+            return;
+        }
+
+        this.range = this.analyticsService.resolveRange({ preset });
+        this.rangeError = null;
+        this.writeToUrl();
+        this.loadAll();
+    }
+
+    applyCustomRange() {
+        const startDate = document.getElementById('analytics-start-date')?.value;
+        const endDate = document.getElementById('analytics-end-date')?.value;
+
+        this.rangeError = this.analyticsService.validateRange(startDate, endDate);
+        if (this.rangeError) {
+            this.renderToolbar();
+            return;
+        }
+
+        this.range = this.analyticsService.resolveRange({ preset: 'custom', startDate, endDate });
+        this.writeToUrl();
+        this.loadAll();
+    }
+
+    setCompare(enabled) {
+        this.compare = Boolean(enabled);
+        this.writeToUrl();
+        this.renderKpis();
+        this.loadChart('trends', this.loadToken);
+    }
+
+    setTrendMetric(metric) {
+        this.trendMetric = metric;
+        this.writeToUrl();
+        this.loadChart('trends', this.loadToken);
+    }
+
+    // =========================================================================
+    // LOADING
+    // =========================================================================
+
+    async loadAll() {
+        const token = ++this.loadToken;
+        this.kpis = {};
+        this.cards = {};
+
+        this.renderToolbar();
+
+        if (!this.businessId) {
+            const kpis = document.getElementById('analytics-kpis');
+            if (kpis) kpis.innerHTML = this.renderer.renderNoBusiness();
+            return;
+        }
+
+        this.renderKpis();
+        await Promise.allSettled([
+            this.loadKpis(token),
+            ...Object.keys(this.chartLoaders).map(chartId => this.loadChart(chartId, token))
+        ]);
+    }
+
+    async loadKpis(token) {
+        const { startDate, endDate, days } = this.range;
+
+        await Promise.allSettled(this.analyticsService.kpiMetrics.map(async (metric) => {
+            try {
+                const raw = await this.analyticsAPI.getComparison(this.businessId, metric.key, `${days}d`, { startDate, endDate });
+                if (token !== this.loadToken) return;
+                this.kpis[metric.key] = this.analyticsService.normalizeComparison(raw);
+            } catch (error) {
+                if (token !== this.loadToken) return;
+                this.kpis[metric.key] = { error: error.message };
+            }
+            this.renderKpis();
+        }));
+    }
+
+    /**
+     * Ignores results that arrive after the range or business changed
+     */
+    async loadChart(chartId, token) {
+        const loader = this.chartLoaders[chartId];
+        if (!loader || !this.businessId) return;
+
+        this.cards[chartId] = { loading: true };
+        this.renderChart(chartId);
+
+        try {
+            const chart = await loader.load();
+            if (token !== this.loadToken) return;
+            this.cards[chartId] = { chart };
+        } catch (error) {
+            if (token !== this.loadToken) return;
+            console.error(`❌ [AnalyticsManager] Failed to load ${chartId}:`, error);
+            this.cards[chartId] = { error: error.message };
+        }
+
+        this.renderChart(chartId);
+    }
+
+    async loadTrends() {
+        const interval = this.analyticsService.getInterval(this.range);
+        const request = (range) => this.analyticsAPI.getTrends(this.businessId, {
+            metric: this.trendMetric,
+            interval,
+            startDate: range.startDate,
+            endDate: range.endDate
+        });
+
+        const [current, previous] = await Promise.all([
+            request(this.range),
+            this.compare ? request(this.analyticsService.getPreviousRange(this.range)) : null
+        ]);
+
+        return this.analyticsService.buildTrendChart(
+            this.analyticsService.normalizeSeries(current),
+            previous ? this.analyticsService.normalizeSeries(previous) : null,
+            this.trendMetric,
+            this.range
+        );
+    }
+
+    async loadFunnel() {
+        const raw = await this.analyticsAPI.getConversionFunnel(this.businessId, {
+            startDate: this.range.startDate,
+            endDate: this.range.endDate
+        });
+        return this.analyticsService.buildFunnelChart(this.analyticsService.normalizeFunnel(raw));
+    }
+
+    async loadSources() {
+        const raw = await this.analyticsAPI.getConversionBySource(this.businessId);
+        return this.analyticsService.buildSourcesChart(this.analyticsService.normalizeSources(raw));
+    }
+
+    async loadScores() {
+        const raw = await this.analyticsAPI.getLeadScoreDistribution(this.businessId);
+        return this.analyticsService.buildScoreChart(this.analyticsService.normalizeScoreDistribution(raw));
+    }
+
+    async loadEngagement() {
+        const raw = await this.analyticsAPI.getEngagementMetrics(this.businessId, {
+            startDate: this.range.startDate,
+            endDate: this.range.endDate
+        });
+        return this.analyticsService.buildEngagementChart(this.analyticsService.normalizeEngagement(raw));
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+
+    renderToolbar() {
+        const container = document.getElementById('analytics-toolbar');
+        if (!container) return;
+
+        container.innerHTML = this.renderer.renderToolbar({
+            range: this.range,
+            compare: this.compare,
+            rangeError: this.rangeError
+        });
+    }
+
+    renderKpis() {
+        const container = document.getElementById('analytics-kpis');
+        if (!container || !this.businessId) return;
+
+        container.innerHTML = this.renderer.renderKpis(this.kpis, { compare: this.compare });
+    }
+
+    renderChart(chartId) {
+        const container = document.getElementById(`analytics-chart-${chartId}`);
+        if (!container) return;
+
+        container.innerHTML = this.renderer.renderChartCard(chartId, {
+            title: this.chartLoaders[chartId].title,
+            ...this.cards[chartId],
+            headerControls: chartId === 'trends' ? this.renderer.renderTrendMetricSelect(this.trendMetric) : ''
+        });
+    }
+
+    // =========================================================================
+    // DRILL-DOWN
+    // =========================================================================
+
+    drillDown(chartId, index) {
+        const segment = this.cards[chartId]?.chart?.segments?.[index];
+        if (!segment?.drill) return;
+
+        const search = this.viewState.applyToSearch('', {
+            filters: segment.drill.filters,
+            sort: segment.drill.sort || 'date-desc'
+        });
+
+        window.location.href = `${window.OsliraEnv.getAppUrl('/dashboard')}${search}`;
+    }
+
+    // =========================================================================
+    // EXPORT
+    // =========================================================================
+
+    async exportChart(chartId, format) {
+        const chart = this.cards[chartId]?.chart;
+        if (!chart) return;
+
+        try {
+            if (format === 'csv') {
+                // BOM so Excel opens the file as UTF-8
+                this.downloadBlob(
+                    new Blob(['\uFEFF' + this.analyticsService.toCSV(chart)], { type: 'text/csv;charset=utf-8' }),
+                    this.analyticsService.buildFilename(chart, this.range, 'csv')
+                );
+                return;
+            }
+
+            const svg = document.querySelector(`#analytics-chart-${chartId} [data-chart-svg]`);
+            if (!svg) throw new Error('Chart is not rendered');
+
+            this.downloadBlob(
+                await this.rasterize(svg),
+                this.analyticsService.buildFilename(chart, this.range, 'png')
+            );
+        } catch (error) {
+            console.error('❌ [AnalyticsManager] Export failed:', error);
+            window.OsliraApp?.showMessage?.(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Draw the chart's SVG onto a 2x canvas - the charts use inline colors only,
+     * so no stylesheet is needed for them to render the same
+     */
+    rasterize(svg, scale = 2) {
+        const [, , width, height] = svg.getAttribute('viewBox').split(' ').map(Number);
+        const source = new XMLSerializer().serializeToString(svg);
+        const url = URL.createObjectURL(new Blob([source], { type: 'image/svg+xml;charset=utf-8' }));
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width * scale;
+                canvas.height = height * scale;
+
+                const context = canvas.getContext('2d');
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create the image')), 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not render the chart'));
+            };
+
+            image.src = url;
+        });
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.AnalyticsManager = AnalyticsManager;
+
+console.log('✅ [AnalyticsManager] Loaded');
@@ -0,0 +1,179 @@
+// =============================================================================
+// ANALYTICS RENDERER - Pure HTML Generation
+// Path: /public/pages/app/analytics/workspace/AnalyticsRenderer.js
+// Dependencies: AnalyticsWorkspaceService, ChartRenderer, ValidationUtils
+// =============================================================================
+
+/**
+ * @class AnalyticsRenderer
+ * @description Toolbar (date range, comparison, trend metric), KPI cards and
+ * chart cards with their export buttons
+ */
+class AnalyticsRenderer {
+    constructor(analyticsService, chartRenderer) {
+        this.analyticsService = analyticsService;
+        this.chartRenderer = chartRenderer;
+    }
+
+    // =========================================================================
+    // TOOLBAR
+    // =========================================================================
+
+    renderToolbar({ range, compare, rangeError = null }) {
+        const isCustom = range.preset === 'custom';
+
+        return `
+            <div class="flex flex-wrap items-end gap-4">
+                <label class="text-sm text-gray-700">
+                    <span class="block text-xs font-medium text-gray-500 mb-1">Date range</span>
+                    <select onchange="window.setAnalyticsRange(this.value)" class="px-3 py-2 text-sm border border-gray-200 rounded-lg bg-white">
+                        ${this.analyticsService.presets.map(preset => `
+                            <option value="${preset.key}" ${preset.key === range.preset ? 'selected' : ''}>${preset.label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+
+                ${isCustom ? `
+                    <form class="flex items-end gap-2" onsubmit="event.preventDefault(); window.applyAnalyticsCustomRange();" novalidate>
+                        <label class="text-sm text-gray-700">
+                            <span class="block text-xs font-medium text-gray-500 mb-1">From</span>
+                            <input type="date" id="analytics-start-date" value="${range.startDate}" max="${range.endDate}" class="px-3 py-2 text-sm border border-gray-200 rounded-lg">
+                        </label>
+                        <label class="text-sm text-gray-700">
+                            <span class="block text-xs font-medium text-gray-500 mb-1">To</span>
+                            <input type="date" id="analytics-end-date" value="${range.endDate}" class="px-3 py-2 text-sm border border-gray-200 rounded-lg">
+                        </label>
+                        <button type="submit" class="px-3 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700">Apply</button>
+                    </form>
+                ` : ''}
+
+                <label class="flex items-center gap-2 pb-2 text-sm text-gray-700">
+                    <input type="checkbox" ${compare ? 'checked' : ''} onchange="window.toggleAnalyticsComparison(this.checked)" class="w-4 h-4 text-indigo-600 border-gray-300 rounded">
+                    Compare with previous period
+                </label>
+
+                <p class="ml-auto pb-2 text-sm text-gray-500">${window.OsliraValidationUtils.escapeHTML(this.analyticsService.formatRange(range))}</p>
+            </div>
+            ${rangeError ? `<p class="mt-2 text-sm text-red-600" role="alert">${window.OsliraValidationUtils.escapeHTML(rangeError)}</p>` : ''}
+        `;
+    }
+
+    // =========================================================================
+    // KPIS
+    // =========================================================================
+
+    /**
+     * @param {Object} kpis - { [metricKey]: comparison | { error } | null while loading }
+     */
+    renderKpis(kpis, { compare }) {
+        return `
+            <div class="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                ${this.analyticsService.kpiMetrics.map(metric => this.renderKpi(metric, kpis[metric.key], compare)).join('')}
+            </div>
+        `;
+    }
+
+    renderKpi(metric, comparison, compare) {
+        let body;
+
+        if (!comparison) {
+            body = `<div class="h-8 w-20 mt-1 bg-gray-100 rounded animate-pulse"></div>`;
+        } else if (comparison.error) {
+            body = `<p class="mt-1 text-sm text-gray-400" title="${window.OsliraValidationUtils.escapeHTML(comparison.error)}">Unavailable</p>`;
+        } else {
+            const change = comparison.changePercent;
+            const tone = change == null || change === 0 ? 'text-gray-500' : (change > 0 ? 'text-green-600' : 'text-red-600');
+
+            body = `
+                <p class="mt-1 text-2xl font-semibold text-gray-900">${this.analyticsService.formatValue(comparison.current, metric.format)}</p>
+                ${compare ? `
+                    <p class="mt-1 text-xs ${tone}">
+                        ${change == null ? 'No previous data' : `${change > 0 ? '▲' : change < 0 ? '▼' : ''} ${Math.abs(change)}%`}
+                        <span class="text-gray-400">vs ${this.analyticsService.formatValue(comparison.previous, metric.format)}</span>
+                    </p>
+                ` : ''}
+            `;
+        }
+
+        return `
+            <div class="p-4 bg-white border border-gray-200 rounded-xl">
+                <p class="text-xs font-medium text-gray-500">${metric.label}</p>
+                ${body}
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // CHART CARDS
+    // =========================================================================
+
+    /**
+     * @param {Object} card - { title, chart, error, loading, headerControls }
+     */
+    renderChartCard(chartId, { title, chart = null, error = null, loading = false, headerControls = '' }) {
+        let body;
+
+        if (loading) {
+            body = `<div class="h-64 bg-gray-50 rounded-lg animate-pulse"></div>`;
+        } else if (error) {
+            body = `
+                <div class="py-12 text-center">
+                    <p class="text-sm text-gray-600">Could not load this chart</p>
+                    <p class="text-xs text-gray-400 mt-1">${window.OsliraValidationUtils.escapeHTML(error)}</p>
+                    <button onclick="window.reloadAnalyticsChart('${chartId}')" class="mt-3 text-sm font-medium text-indigo-600 hover:text-indigo-800">Retry</button>
+                </div>
+            `;
+        } else {
+            body = this.chartRenderer.render(chart);
+        }
+
+        const hasData = Boolean(chart && chart.segments.length > 0 && !loading && !error);
+        const hasDrill = hasData && chart.segments.some(segment => segment.drill);
+
+        return `
+            <div class="p-5 bg-white border border-gray-200 rounded-xl">
+                <div class="flex flex-wrap items-center justify-between gap-2 mb-4">
+                    <div>
+                        <h3 class="text-base font-semibold text-gray-900">${window.OsliraValidationUtils.escapeHTML(chart?.title || title)}</h3>
+                        ${hasDrill ? '<p class="text-xs text-gray-500">Click a segment to open those leads</p>' : ''}
+                    </div>
+                    <div class="flex items-center gap-2">
+                        ${headerControls}
+                        <button onclick="window.exportAnalyticsChart('${chartId}', 'csv')" ${hasData ? '' : 'disabled'}
+                                class="px-2.5 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-40">CSV</button>
+                        <button onclick="window.exportAnalyticsChart('${chartId}', 'png')" ${hasData ? '' : 'disabled'}
+                                class="px-2.5 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-40">PNG</button>
+                    </div>
+                </div>
+                ${body}
+            </div>
+        `;
+    }
+
+    renderTrendMetricSelect(trendMetric) {
+        return `
+            <select onchange="window.setAnalyticsTrendMetric(this.value)" aria-label="Trend metric"
+                    class="px-2 py-1 text-xs border border-gray-200 rounded-lg bg-white">
+                ${this.analyticsService.trendMetrics.map(metric => `
+                    <option value="${metric.key}" ${metric.key === trendMetric ? 'selected' : ''}>${metric.label}</option>
+                `).join('')}
+            </select>
+        `;
+    }
+
+    renderNoBusiness() {
+        return `
+            <div class="text-center py-16 border-2 border-dashed border-gray-200 rounded-2xl">
+                <p class="text-gray-900 font-medium">No business selected</p>
+                <p class="text-sm text-gray-500 mt-1">Pick a business from the sidebar to see its analytics.</p>
+            </div>
+        `;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.AnalyticsRenderer = AnalyticsRenderer;
+
+console.log('✅ [AnalyticsRenderer] Loaded');
@@ -0,0 +1,438 @@
+// =============================================================================
+// ANALYTICS WORKSPACE SERVICE - Pure Business Logic
+// Path: /public/pages/app/analytics/workspace/AnalyticsWorkspaceService.js
+// Dependencies: LeadExportService (CSV escaping), LeadPipelineService (stage keys)
+// =============================================================================
+
+/**
+ * @class AnalyticsWorkspaceService
+ * @description Date ranges, AnalyticsAPI response normalization, chart models,
+ * drill-down view states and chart exports for the analytics workspace
+ *
+ * AnalyticsAPI responses are normalized defensively: every normalizer accepts
+ * a bare array or the array wrapped in a common envelope key, so the charts
+ * keep working while the backend shapes settle.
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO API calls
+ */
+class AnalyticsWorkspaceService {
+    constructor() {
+        this.exportService = new window.LeadExportService();
+
+        this.presets = [
+            { key: '7d', label: 'Last 7 days', days: 7 },
+            { key: '30d', label: 'Last 30 days', days: 30 },
+            { key: '90d', label: 'Last 90 days', days: 90 },
+            { key: '365d', label: 'Last 12 months', days: 365 },
+            { key: 'custom', label: 'Custom range', days: null }
+        ];
+        this.maxRangeDays = 366;
+
+        this.trendMetrics = [
+            { key: 'leads', label: 'Leads researched', format: 'number' },
+            { key: 'average_score', label: 'Average score', format: 'score' },
+            { key: 'credits_used', label: 'Credits used', format: 'number' }
+        ];
+
+        this.kpiMetrics = [
+            { key: 'leads', label: 'Leads researched', format: 'number' },
+            { key: 'average_score', label: 'Average score', format: 'score' },
+            { key: 'conversion_rate', label: 'Conversion rate', format: 'percent' },
+            { key: 'credits_used', label: 'Credits used', format: 'number' }
+        ];
+
+        // Lowercase source names the leads table can filter on
+        this.platforms = ['instagram', 'twitter', 'linkedin', 'tiktok'];
+    }
+
+    // =========================================================================
+    // DATE RANGES
+    // =========================================================================
+
+    getPreset(key) {
+        return this.presets.find(preset => preset.key === key) || null;
+    }
+
+    toDateString(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    parseDate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+        const date = new Date(`${value}T00:00:00Z`);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * @param {Object} selection - { preset, startDate, endDate } (dates only for 'custom')
+     * @returns {Object} { preset, startDate, endDate, days } with inclusive YYYY-MM-DD dates
+     */
+    resolveRange({ preset = '30d', startDate = null, endDate = null } = {}, now = new Date()) {
+        const today = this.parseDate(this.toDateString(now));
+
+        if (preset === 'custom') {
+            const start = this.parseDate(startDate);
+            const end = this.parseDate(endDate);
+            if (start && end && !this.validateRange(startDate, endDate, now)) {
+                return {
+                    preset,
+                    startDate,
+                    endDate,
+                    days: Math.round((end - start) / 86400000) + 1
+                };
+            }
+        }
+
+        const days = this.getPreset(preset)?.days || 30;
+        const start = new Date(today.getTime() - (days - 1) * 86400000);
+
+        return {
+            preset: preset === 'custom' ? '30d' : (this.getPreset(preset) ? preset : '30d'),
+            startDate: this.toDateString(start),
+            endDate: this.toDateString(today),
+            days
+        };
+    }
+
+    /**
+     * @returns {string|null} Error message, or null when the range is usable
+     */
+    validateRange(startDate, endDate, now = new Date()) {
+        const start = this.parseDate(startDate);
+        const end = this.parseDate(endDate);
+
+        if (!start || !end) return 'Pick a start and an end date';
+        if (end < start) return 'The end date is before the start date';
+        if (startDate > this.toDateString(now)) return 'The range starts in the future';
+        if ((end - start) / 86400000 + 1 > this.maxRangeDays) return 'Ranges are limited to one year';
+        return null;
+    }
+
+    /**
+     * The same number of days immediately before the range
+     */
+    getPreviousRange(range) {
+        const start = this.parseDate(range.startDate);
+        const previousEnd = new Date(start.getTime() - 86400000);
+        const previousStart = new Date(previousEnd.getTime() - (range.days - 1) * 86400000);
+
+        return {
+            startDate: this.toDateString(previousStart),
+            endDate: this.toDateString(previousEnd),
+            days: range.days
+        };
+    }
+
+    /**
+     * Daily buckets up to a month, then weekly, then monthly
+     */
+    getInterval(range) {
+        if (range.days <= 31) return 'day';
+        if (range.days <= 180) return 'week';
+        return 'month';
+    }
+
+    formatRange(range) {
+        const format = (value) => this.parseDate(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+        return `${format(range.startDate)} – ${format(range.endDate)}`;
+    }
+
+    // =========================================================================
+    // NORMALIZATION
+    // =========================================================================
+
+    unwrap(raw, keys) {
+        if (Array.isArray(raw)) return raw;
+        for (const key of keys) {
+            if (Array.isArray(raw?.[key])) return raw[key];
+        }
+        return [];
+    }
+
+    toNumber(value) {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : 0;
+    }
+
+    /**
+     * @returns {Array} [{ date: 'YYYY-MM-DD', value }] sorted by date
+     */
+    normalizeSeries(raw) {
+        return this.unwrap(raw, ['series', 'points', 'data'])
+            .map(point => ({
+                date: String(point?.date || point?.period || point?.bucket || '').slice(0, 10),
+                value: this.toNumber(point?.value ?? point?.count)
+            }))
+            .filter(point => this.parseDate(point.date))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * @returns {Object} { current, previous, changePercent } - changePercent null without a baseline
+     */
+    normalizeComparison(raw) {
+        const current = this.toNumber(raw?.current ?? raw?.current_value ?? raw?.value);
+        const previous = this.toNumber(raw?.previous ?? raw?.previous_value);
+        const reported = raw?.change_percent ?? raw?.changePercent;
+
+        return {
+            current,
+            previous,
+            changePercent: reported != null
+                ? this.toNumber(reported)
+                : (previous === 0 ? null : Math.round(((current - previous) / previous) * 1000) / 10)
+        };
+    }
+
+    /**
+     * @returns {Array} [{ key, label, count, rate }] - rate is relative to the first stage
+     */
+    normalizeFunnel(raw) {
+        const stages = this.unwrap(raw, ['stages', 'funnel', 'data']).map(stage => {
+            const key = String(stage?.key || stage?.stage || stage?.name || '').toLowerCase();
+            return {
+                key,
+                label: stage?.label || this.exportService.humanize(key),
+                count: this.toNumber(stage?.count ?? stage?.value ?? stage?.leads)
+            };
+        });
+
+        const top = stages[0]?.count || 0;
+        return stages.map(stage => ({
+            ...stage,
+            rate: top > 0 ? Math.round((stage.count / top) * 1000) / 10 : 0
+        }));
+    }
+
+    /**
+     * @returns {Array} [{ key, label, leads, conversions, rate }] sorted by lead count
+     */
+    normalizeSources(raw) {
+        return this.unwrap(raw, ['sources', 'data'])
+            .map(source => {
+                const key = String(source?.source || source?.platform || source?.key || 'unknown').toLowerCase();
+                const leads = this.toNumber(source?.leads ?? source?.total ?? source?.count);
+                const conversions = this.toNumber(source?.conversions ?? source?.converted);
+                const reportedRate = source?.conversion_rate ?? source?.rate;
+
+                return {
+                    key,
+                    label: source?.label || this.exportService.humanize(key),
+                    leads,
+                    conversions,
+                    rate: reportedRate != null
+                        ? this.toNumber(reportedRate)
+                        : (leads > 0 ? Math.round((conversions / leads) * 1000) / 10 : 0)
+                };
+            })
+            .sort((a, b) => b.leads - a.leads);
+    }
+
+    /**
+     * Accepts [{ min, max, count }], [{ range: '60-79', count }] or { '60-79': count }
+     * @returns {Array} [{ min, max, label, count }] sorted by min
+     */
+    normalizeScoreDistribution(raw) {
+        let buckets = this.unwrap(raw, ['buckets', 'distribution', 'data']);
+
+        if (buckets.length === 0 && raw && typeof raw === 'object' && !Array.isArray(raw)) {
+            buckets = Object.entries(raw).map(([range, count]) => ({ range, count }));
+        }
+
+        return buckets
+            .map(bucket => {
+                const [rangeMin, rangeMax] = String(bucket?.range || bucket?.label || '').split('-').map(Number);
+                const min = this.toNumber(bucket?.min ?? rangeMin);
+                const max = this.toNumber(bucket?.max ?? rangeMax);
+                return { min, max, label: `${min}–${max}`, count: this.toNumber(bucket?.count ?? bucket?.value) };
+            })
+            .filter(bucket => bucket.max >= bucket.min)
+            .sort((a, b) => a.min - b.min);
+    }
+
+    /**
+     * @returns {Object} { series, metrics: [{ key, label, value }] } - either may be empty
+     */
+    normalizeEngagement(raw) {
+        const series = this.normalizeSeries(raw?.series || raw?.trend || []);
+        const source = raw?.metrics || raw?.summary || raw || {};
+
+        const metrics = Array.isArray(source)
+            ? source.map(metric => ({
+                key: metric?.key || metric?.name,
+                label: metric?.label || this.exportService.humanize(metric?.key || metric?.name || ''),
+                value: this.toNumber(metric?.value)
+            }))
+            : Object.entries(source)
+                .filter(([, value]) => typeof value === 'number' && Number.isFinite(value))
+                .map(([key, value]) => ({ key, label: this.exportService.humanize(key), value }));
+
+        return { series, metrics: metrics.filter(metric => metric.key) };
+    }
+
+    // =========================================================================
+    // CHART MODELS
+    // =========================================================================
+
+    /**
+     * Every chart model carries the table used for CSV export and, per
+     * segment, an optional drill-down view state for the leads table:
+     *   { id, title, kind, format, segments: [{ label, value, drill }], comparison?, table }
+     */
+    buildTrendChart(series, comparisonSeries, metricKey, range) {
+        const metric = this.trendMetrics.find(item => item.key === metricKey) || this.trendMetrics[0];
+        const interval = this.getInterval(range);
+
+        return {
+            id: 'trends',
+            title: metric.label,
+            kind: 'line',
+            format: metric.format,
+            segments: series.map(point => ({
+                label: point.date,
+                value: point.value,
+                // Only whole days map onto the table's "updated on" filter
+                drill: interval === 'day' && metric.key === 'leads'
+                    ? { filters: { date: { enabled: true, operator: 'on', value: point.date } } }
+                    : null
+            })),
+            comparison: comparisonSeries ? comparisonSeries.map(point => ({ label: point.date, value: point.value })) : null,
+            table: {
+                headers: comparisonSeries ? ['Date', metric.label, 'Previous period date', 'Previous period'] : ['Date', metric.label],
+                rows: series.map((point, index) => comparisonSeries
+                    ? [point.date, point.value, comparisonSeries[index]?.date ?? '', comparisonSeries[index]?.value ?? '']
+                    : [point.date, point.value])
+            }
+        };
+    }
+
+    buildFunnelChart(stages) {
+        const statusKeys = window.LeadPipelineService
+            ? new window.LeadPipelineService().resolveStages().map(stage => stage.key)
+            : [];
+
+        return {
+            id: 'funnel',
+            title: 'Conversion funnel',
+            kind: 'funnel',
+            format: 'number',
+            segments: stages.map(stage => ({
+                label: stage.label,
+                value: stage.count,
+                note: `${stage.rate}%`,
+                drill: statusKeys.includes(stage.key)
+                    ? { filters: { status: { enabled: true, value: stage.key } } }
+                    : null
+            })),
+            table: {
+                headers: ['Stage', 'Leads', '% of first stage'],
+                rows: stages.map(stage => [stage.label, stage.count, stage.rate])
+            }
+        };
+    }
+
+    buildSourcesChart(sources) {
+        return {
+            id: 'sources',
+            title: 'Conversion by source',
+            kind: 'bar',
+            format: 'number',
+            segments: sources.map(source => ({
+                label: source.label,
+                value: source.leads,
+                note: `${source.rate}% converted`,
+                drill: this.platforms.includes(source.key)
+                    ? { filters: { platform: { enabled: true, value: source.key } } }
+                    : null
+            })),
+            table: {
+                headers: ['Source', 'Leads', 'Conversions', 'Conversion rate (%)'],
+                rows: sources.map(source => [source.label, source.leads, source.conversions, source.rate])
+            }
+        };
+    }
+
+    buildScoreChart(buckets) {
+        return {
+            id: 'scores',
+            title: 'Lead score distribution',
+            kind: 'bar',
+            format: 'number',
+            segments: buckets.map(bucket => ({
+                label: bucket.label,
+                value: bucket.count,
+                drill: {
+                    filters: { score: { enabled: true, operator: 'between', value: bucket.min, max: bucket.max } },
+                    sort: 'score-desc'
+                }
+            })),
+            table: {
+                headers: ['Score from', 'Score to', 'Leads'],
+                rows: buckets.map(bucket => [bucket.min, bucket.max, bucket.count])
+            }
+        };
+    }
+
+    buildEngagementChart({ series, metrics }) {
+        if (series.length > 0) {
+            return {
+                id: 'engagement',
+                title: 'Engagement',
+                kind: 'line',
+                format: 'number',
+                segments: series.map(point => ({ label: point.date, value: point.value, drill: null })),
+                comparison: null,
+                table: {
+                    headers: ['Date', 'Engagement'],
+                    rows: series.map(point => [point.date, point.value])
+                }
+            };
+        }
+
+        return {
+            id: 'engagement',
+            title: 'Engagement',
+            kind: 'bar',
+            format: 'number',
+            segments: metrics.map(metric => ({ label: metric.label, value: metric.value, drill: null })),
+            table: {
+                headers: ['Metric', 'Value'],
+                rows: metrics.map(metric => [metric.label, metric.value])
+            }
+        };
+    }
+
+    // =========================================================================
+    // FORMATTING
+    // =========================================================================
+
+    formatValue(value, format = 'number') {
+        if (value == null || Number.isNaN(value)) return '–';
+        if (format === 'percent') return `${Math.round(value * 10) / 10}%`;
+        if (format === 'score') return String(Math.round(value));
+        if (Math.abs(value) >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+        if (Math.abs(value) >= 1000) return `${(value / 1000).toFixed(1)}K`;
+        return String(Math.round(value * 10) / 10);
+    }
+
+    // =========================================================================
+    // EXPORT
+    // =========================================================================
+
+    toCSV(chart) {
+        return this.exportService.toCSV(chart.table);
+    }
+
+    buildFilename(chart, range, extension) {
+        return `oslira-${chart.id}-${range.startDate}-to-${range.endDate}.${extension}`;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.AnalyticsWorkspaceService = AnalyticsWorkspaceService;
+
+console.log('✅ [AnalyticsWorkspaceService] Loaded');
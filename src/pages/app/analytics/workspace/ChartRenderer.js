@@ -0,0 +1,215 @@
+// =============================================================================
+// CHART RENDERER - Pure SVG Generation
+// Path: /public/pages/app/analytics/workspace/ChartRenderer.js
+// Dependencies: AnalyticsWorkspaceService (value formatting), ValidationUtils
+// =============================================================================
+
+/**
+ * @class ChartRenderer
+ * @description Line, bar and funnel charts as standalone SVG strings
+ *
+ * Colors and fonts are inline attributes rather than Tailwind classes so a
+ * serialized chart renders identically when rasterized for PNG export.
+ * Segments with a drill-down call window.drillDownAnalytics(chartId, index).
+ */
+class ChartRenderer {
+    constructor(analyticsService) {
+        this.analyticsService = analyticsService;
+
+        this.width = 640;
+        this.height = 260;
+        this.padding = { top: 16, right: 16, bottom: 36, left: 48 };
+        this.colors = {
+            primary: '#4f46e5',
+            primaryHover: '#4338ca',
+            comparison: '#a5b4fc',
+            grid: '#e5e7eb',
+            axis: '#6b7280',
+            text: '#111827'
+        };
+        this.font = 'font-family="Inter, system-ui, sans-serif"';
+    }
+
+    render(chart) {
+        if (!chart.segments || chart.segments.length === 0) {
+            return `<p class="py-12 text-center text-sm text-gray-500">No data for this period</p>`;
+        }
+
+        if (chart.kind === 'line') return this.renderLine(chart);
+        if (chart.kind === 'funnel') return this.renderFunnel(chart);
+        return this.renderBar(chart);
+    }
+
+    // =========================================================================
+    // LINE
+    // =========================================================================
+
+    renderLine(chart) {
+        const { top, right, bottom, left } = this.padding;
+        const plotWidth = this.width - left - right;
+        const plotHeight = this.height - top - bottom;
+        const comparison = chart.comparison || [];
+        const maxValue = this.niceMax(Math.max(...chart.segments.map(s => s.value), ...comparison.map(s => s.value)));
+
+        const count = chart.segments.length;
+        const x = (index) => left + (count === 1 ? plotWidth / 2 : (index / (count - 1)) * plotWidth);
+        const y = (value) => top + plotHeight - (value / maxValue) * plotHeight;
+        const path = (points) => points.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(index).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+
+        const labelEvery = Math.max(1, Math.ceil(count / 8));
+        const xLabels = chart.segments.map((segment, index) => index % labelEvery === 0
+            ? `<text x="${x(index).toFixed(1)}" y="${this.height - 12}" text-anchor="middle" font-size="11" fill="${this.colors.axis}" ${this.font}>${window.OsliraValidationUtils.escapeHTML(this.formatDateLabel(segment.label))}</text>`
+            : '').join('');
+
+        const points = chart.segments.map((segment, index) => {
+            const title = `${segment.label}: ${this.analyticsService.formatValue(segment.value, chart.format)}`;
+            const clickable = Boolean(segment.drill);
+            return `
+                <g ${this.drillAttributes(chart, index, clickable)}>
+                    <title>${window.OsliraValidationUtils.escapeHTML(title)}${clickable ? ' – click to view leads' : ''}</title>
+                    <circle cx="${x(index).toFixed(1)}" cy="${y(segment.value).toFixed(1)}" r="10" fill="transparent"/>
+                    <circle cx="${x(index).toFixed(1)}" cy="${y(segment.value).toFixed(1)}" r="3.5" fill="${this.colors.primary}"/>
+                </g>`;
+        }).join('');
+
+        return this.wrap(chart, `
+            ${this.renderGrid(maxValue, chart.format)}
+            ${comparison.length > 1 ? `<path d="${path(comparison.slice(0, count))}" fill="none" stroke="${this.colors.comparison}" stroke-width="2" stroke-dasharray="5 4"/>` : ''}
+            <path d="${path(chart.segments)}" fill="none" stroke="${this.colors.primary}" stroke-width="2.5" stroke-linejoin="round"/>
+            ${points}
+            ${xLabels}
+            ${comparison.length > 0 ? this.renderLegend() : ''}
+        `);
+    }
+
+    renderLegend() {
+        const x = this.width - this.padding.right - 200;
+        return `
+            <g ${this.font} font-size="11" fill="${this.colors.axis}">
+                <line x1="${x}" y1="8" x2="${x + 18}" y2="8" stroke="${this.colors.primary}" stroke-width="2.5"/>
+                <text x="${x + 24}" y="12">This period</text>
+                <line x1="${x + 100}" y1="8" x2="${x + 118}" y2="8" stroke="${this.colors.comparison}" stroke-width="2" stroke-dasharray="5 4"/>
+                <text x="${x + 124}" y="12">Previous</text>
+            </g>`;
+    }
+
+    // =========================================================================
+    // BAR
+    // =========================================================================
+
+    renderBar(chart) {
+        const { top, right, bottom, left } = this.padding;
+        const plotWidth = this.width - left - right;
+        const plotHeight = this.height - top - bottom;
+        const maxValue = this.niceMax(Math.max(...chart.segments.map(s => s.value)));
+
+        const slot = plotWidth / chart.segments.length;
+        const barWidth = Math.min(56, slot * 0.7);
+
+        const bars = chart.segments.map((segment, index) => {
+            const barHeight = (segment.value / maxValue) * plotHeight;
+            const x = left + slot * index + (slot - barWidth) / 2;
+            const y = top + plotHeight - barHeight;
+            const clickable = Boolean(segment.drill);
+            const title = `${segment.label}: ${this.analyticsService.formatValue(segment.value, chart.format)}${segment.note ? ` (${segment.note})` : ''}`;
+
+            return `
+                <g ${this.drillAttributes(chart, index, clickable)}>
+                    <title>${window.OsliraValidationUtils.escapeHTML(title)}${clickable ? ' – click to view leads' : ''}</title>
+                    <rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${Math.max(barHeight, 1).toFixed(1)}" rx="4" fill="${this.colors.primary}"/>
+                    <text x="${(x + barWidth / 2).toFixed(1)}" y="${(y - 6).toFixed(1)}" text-anchor="middle" font-size="11" fill="${this.colors.text}" ${this.font}>${this.analyticsService.formatValue(segment.value, chart.format)}</text>
+                    <text x="${(x + barWidth / 2).toFixed(1)}" y="${this.height - 12}" text-anchor="middle" font-size="11" fill="${this.colors.axis}" ${this.font}>${window.OsliraValidationUtils.escapeHTML(this.truncate(segment.label, Math.floor(slot / 7)))}</text>
+                </g>`;
+        }).join('');
+
+        return this.wrap(chart, `${this.renderGrid(maxValue, chart.format)}${bars}`);
+    }
+
+    // =========================================================================
+    // FUNNEL
+    // =========================================================================
+
+    renderFunnel(chart) {
+        const rowHeight = 40;
+        const labelWidth = 140;
+        const plotWidth = this.width - labelWidth - 110;
+        const height = chart.segments.length * rowHeight + 8;
+        const maxValue = Math.max(...chart.segments.map(s => s.value), 1);
+
+        const rows = chart.segments.map((segment, index) => {
+            const barWidth = Math.max((segment.value / maxValue) * plotWidth, 2);
+            const x = labelWidth + (plotWidth - barWidth) / 2;
+            const y = index * rowHeight + 4;
+            const clickable = Boolean(segment.drill);
+            const opacity = (1 - index * (0.5 / chart.segments.length)).toFixed(2);
+
+            return `
+                <g ${this.drillAttributes(chart, index, clickable)} ${this.font} font-size="12">
+                    <title>${window.OsliraValidationUtils.escapeHTML(`${segment.label}: ${segment.value} (${segment.note})`)}${clickable ? ' – click to view leads' : ''}</title>
+                    <text x="0" y="${y + 21}" fill="${this.colors.text}">${window.OsliraValidationUtils.escapeHTML(this.truncate(segment.label, 20))}</text>
+                    <rect x="${x.toFixed(1)}" y="${y}" width="${barWidth.toFixed(1)}" height="${rowHeight - 8}" rx="4" fill="${this.colors.primary}" fill-opacity="${opacity}"/>
+                    <text x="${this.width - 100}" y="${y + 21}" fill="${this.colors.text}" font-weight="600">${this.analyticsService.formatValue(segment.value)}</text>
+                    <text x="${this.width - 48}" y="${y + 21}" fill="${this.colors.axis}">${window.OsliraValidationUtils.escapeHTML(segment.note)}</text>
+                </g>`;
+        }).join('');
+
+        return this.wrap(chart, rows, height);
+    }
+
+    // =========================================================================
+    // SHARED
+    // =========================================================================
+
+    wrap(chart, body, height = this.height) {
+        return `
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${this.width} ${height}" width="100%" role="img"
+                 aria-label="${window.OsliraValidationUtils.escapeHTML(chart.title)}" data-chart-svg="${chart.id}" style="max-height: ${height}px">
+                <rect width="${this.width}" height="${height}" fill="#ffffff"/>
+                ${body}
+            </svg>`;
+    }
+
+    renderGrid(maxValue, format) {
+        const { top, right, bottom, left } = this.padding;
+        const plotHeight = this.height - top - bottom;
+
+        return [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+            const y = (top + plotHeight - fraction * plotHeight).toFixed(1);
+            return `
+                <line x1="${left}" y1="${y}" x2="${this.width - right}" y2="${y}" stroke="${this.colors.grid}" stroke-width="1"/>
+                <text x="${left - 8}" y="${Number(y) + 4}" text-anchor="end" font-size="11" fill="${this.colors.axis}" ${this.font}>${this.analyticsService.formatValue(maxValue * fraction, format)}</text>`;
+        }).join('');
+    }
+
+    drillAttributes(chart, index, clickable) {
+        if (!clickable) return '';
+        return `style="cursor: pointer" tabindex="0" role="button" onclick="window.drillDownAnalytics('${chart.id}', ${index})" onkeydown="if (event.key === 'Enter') window.drillDownAnalytics('${chart.id}', ${index})"`;
+    }
+
+    /**
+     * Round the axis maximum up to 1, 2, 2.5 or 5 times a power of ten
+     */
+    niceMax(value) {
+        if (!(value > 0)) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 2.5, 5, 10].find(multiple => multiple * magnitude >= value);
+        return step * magnitude;
+    }
+
+    formatDateLabel(value) {
+        const date = this.analyticsService.parseDate(value);
+        return date ? date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' }) : value;
+    }
+
+    truncate(text, length) {
+        const value = String(text ?? '');
+        return value.length > length ? `${value.slice(0, Math.max(length - 1, 1))}…` : value;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.ChartRenderer = ChartRenderer;
+
+console.log('✅ [ChartRenderer] Loaded');
@@ -0,0 +1,97 @@
+// =============================================================================
+// CAMPAIGNS APP - New Loader.js System Integration
+// Path: /public/pages/app/campaigns/CampaignsApp.js
+// =============================================================================
+
+class CampaignsApp {
+    constructor() {
+        this.isInitialized = false;
+        this.components = {};
+        console.log('🎯 [CampaignsApp] Instance created');
+    }
+
+    // =========================================================================
+    // MAIN INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        try {
+            console.log('🚀 [CampaignsApp] Starting initialization...');
+
+            // Wait for scripts to load
+            window.addEventListener('oslira:scripts:loaded', async () => {
+                await this.initialize();
+            });
+
+        } catch (error) {
+            console.error('❌ [CampaignsApp] Initialization failed:', error);
+        }
+    }
+
+    async initialize() {
+        console.log('⚙️ [CampaignsApp] Initializing components...');
+
+        try {
+            // Step 1: Manually render the sidebar (DOMContentLoaded already fired)
+            await this.renderSidebar();
+
+            // Step 2: Campaign list, editor and detail
+            await this.initializeCampaigns();
+
+            // Step 3: Mark as initialized
+            this.isInitialized = true;
+            console.log('✅ [CampaignsApp] Initialization complete');
+
+        } catch (error) {
+            console.error('❌ [CampaignsApp] Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // SIDEBAR INITIALIZATION
+    // =========================================================================
+
+    async renderSidebar() {
+        console.log('📱 [CampaignsApp] Rendering sidebar...');
+
+        // Wait for global sidebarManager instance to be available
+        let attempts = 0;
+        while (!window.sidebarManager && attempts < 50) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            attempts++;
+        }
+
+        if (!window.sidebarManager) {
+            throw new Error('SidebarManager not available');
+        }
+
+        await window.sidebarManager.render('#sidebar-container');
+        this.components.sidebar = window.sidebarManager;
+
+        if (this.components.sidebar.setActiveMenuItem) {
+            this.components.sidebar.setActiveMenuItem('campaigns');
+        }
+
+        console.log('✅ [CampaignsApp] Sidebar rendered');
+    }
+
+    // =========================================================================
+    // CAMPAIGNS
+    // =========================================================================
+
+    async initializeCampaigns() {
+        console.log('📣 [CampaignsApp] Initializing campaigns...');
+
+        this.components.campaigns = new window.CampaignManager();
+        await this.components.campaigns.init();
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.CampaignsApp = new CampaignsApp();
+window.CampaignsApp.init();
+
+console.log('✅ [CampaignsApp] Loaded and auto-initialized');
@@ -0,0 +1,650 @@
+// =============================================================================
+// CAMPAIGN MANAGER - Orchestration Layer
+// Path: /public/pages/app/campaigns/outreach/CampaignManager.js
+// Dependencies: CampaignService, CampaignRenderer, MessageTemplateService, CampaignsAPI, LeadsAPI, BusinessAPI, StateManager
+// =============================================================================
+
+/**
+ * @class CampaignManager
+ * @description Campaigns page
+ *
+ * Responsibilities:
+ * - Load the business's campaigns (CampaignsAPI.listCampaigns) and open one with its recipients
+ * - Create / edit / pause / archive / delete campaigns and their follow-up sequence
+ * - Draft each lead's message from the analysis, a shared text, a message template or generation
+ * - Track send state per lead (drafted → sent → replied) and draft follow-ups when due
+ * - Move the lead forward in the pipeline and log it on the lead's timeline
+ */
+class CampaignManager {
+    constructor() {
+        this.campaignService = new window.CampaignService();
+        this.renderer = new window.CampaignRenderer(this.campaignService);
+        this.templateService = new window.MessageTemplateService();
+
+        this.templatesKey = 'message_templates';
+        this.templates = [];
+        this.campaigns = [];
+        this.campaign = null;
+        this.filter = 'all';
+        this.busyIds = new Set();
+        this.isPreparing = false;
+        this.loadToken = 0;
+        this.concurrency = 3;
+
+        this.editor = { isOpen: false, campaign: null, errors: {} };
+
+        console.log('📣 [CampaignManager] Instance created');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get campaignsAPI() {
+        return window.OsliraCampaignsAPI;
+    }
+
+    get leadsAPI() {
+        return window.OsliraLeadsAPI;
+    }
+
+    get businessAPI() {
+        return window.OsliraBusinessAPI;
+    }
+
+    get businessId() {
+        return window.OsliraStateManager?.getState('business.selected')?.id ||
+            localStorage.getItem('selectedBusinessId');
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        this.exposeGlobalHandlers();
+
+        window.OsliraEventBus?.on?.('business:changed', () => {
+            this.closeEditor();
+            this.selectCampaign(null);
+            this.loadCampaigns();
+            this.loadTemplates();
+        });
+
+        await Promise.all([this.loadCampaigns(), this.loadTemplates()]);
+
+        // Deep link from the dashboard's "Add to campaign" action
+        const campaignId = new URLSearchParams(window.location.search).get('campaign');
+        if (campaignId && this.findCampaign(campaignId)) {
+            await this.openCampaign(campaignId);
+        }
+
+        console.log('✅ [CampaignManager] Initialized');
+    }
+
+    exposeGlobalHandlers() {
+        window.openCampaignEditor = () => this.openEditor();
+        window.editCampaign = () => this.openEditor(this.campaign);
+        window.cancelCampaignEditor = () => this.closeEditor();
+        window.onCampaignFormChange = () => this.refreshEditor();
+        window.addCampaignStep = () => this.addStep();
+        window.removeCampaignStep = (index) => this.removeStep(index);
+        window.saveCampaign = () => this.saveCampaign();
+        window.openCampaign = (campaignId) => this.openCampaign(campaignId);
+        window.setCampaignStatus = (status) => this.setStatus(status);
+        window.deleteCampaign = () => this.deleteCampaign();
+        window.filterCampaignRecipients = (filter) => this.setFilter(filter);
+        window.prepareCampaignDrafts = () => this.prepareDrafts();
+        window.generateCampaignMessage = (recipientId) => this.generateMessage(recipientId);
+        window.saveCampaignMessage = (recipientId) => this.saveMessage(recipientId);
+        window.sendCampaignMessage = (recipientId) => this.markSent(recipientId);
+        window.markCampaignReplied = (recipientId) => this.markReplied(recipientId);
+        window.advanceCampaignRecipient = (recipientId) => this.advance(recipientId);
+        window.removeCampaignRecipient = (recipientId) => this.removeRecipient(recipientId);
+    }
+
+    // =========================================================================
+    // CAMPAIGN LIST
+    // =========================================================================
+
+    async loadCampaigns() {
+        const list = document.getElementById('campaign-list');
+        if (!list) return;
+
+        if (!this.businessId || !this.campaignsAPI) {
+            this.campaigns = [];
+            list.innerHTML = this.renderer.renderError('Select a business to manage its campaigns.');
+            return;
+        }
+
+        list.innerHTML = this.renderer.renderLoading('Loading campaigns…');
+
+        try {
+            const campaigns = await this.campaignsAPI.listCampaigns(this.businessId);
+            this.campaigns = campaigns.map(campaign => this.campaignService.normalizeCampaign(campaign));
+            this.renderList();
+
+        } catch (error) {
+            console.error('❌ [CampaignManager] Failed to load campaigns:', error);
+            list.innerHTML = this.renderer.renderError(`Could not load campaigns: ${error.message}`);
+        }
+    }
+
+    /**
+     * Message templates are kept in business settings by the dashboard's template library
+     */
+    async loadTemplates() {
+        if (!this.businessId || !this.businessAPI) {
+            this.templates = [];
+            return;
+        }
+
+        try {
+            const settings = await this.businessAPI.getBusinessSettings(this.businessId);
+            this.templates = this.templateService.normalizeTemplates(settings?.[this.templatesKey]);
+        } catch (error) {
+            console.warn('⚠️ [CampaignManager] Could not load message templates:', error);
+            this.templates = [];
+        }
+    }
+
+    /**
+     * Fill in a template step for a lead; handed to CampaignService.resolveStepMessage
+     */
+    renderTemplate(templateId, lead) {
+        const template = this.templates.find(item => item.id === templateId);
+        if (!template) return null;
+
+        const { variant, text, missing } = this.templateService.renderForLead(template, lead, {
+            business: window.OsliraStateManager?.getState('business.selected') || null,
+            sender: window.OsliraAuth?.user || null
+        });
+
+        return {
+            text,
+            missing,
+            variant: variant ? { template_id: template.id, variant_id: variant.id, label: variant.label } : null
+        };
+    }
+
+    renderList() {
+        const list = document.getElementById('campaign-list');
+        if (list) {
+            list.innerHTML = this.renderer.renderCampaignList(this.campaigns, { selectedId: this.campaign?.id });
+        }
+    }
+
+    findCampaign(campaignId) {
+        return this.campaigns.find(campaign => campaign.id === campaignId) || null;
+    }
+
+    /**
+     * Keep the list card's counts in step with the open campaign
+     */
+    syncListEntry() {
+        if (!this.campaign) return;
+
+        const { id, name, status, steps } = this.campaign;
+        const stats = this.campaignService.getStats(this.campaign);
+
+        this.campaigns = this.campaigns.map(item => item.id === id
+            ? { ...item, name, status, steps, counts: { total: stats.total, sent: stats.sent, replied: stats.replied, due: stats.due } }
+            : item);
+        this.renderList();
+    }
+
+    // =========================================================================
+    // CAMPAIGN DETAIL
+    // =========================================================================
+
+    async openCampaign(campaignId) {
+        const container = document.getElementById('campaign-detail');
+        if (!container) return;
+
+        const token = ++this.loadToken;
+        this.closeEditor();
+        this.filter = 'all';
+        this.selectCampaign(this.findCampaign(campaignId));
+        container.innerHTML = this.renderer.renderLoading('Loading campaign…');
+
+        try {
+            const campaign = await this.campaignsAPI.getCampaign(this.businessId, campaignId);
+            if (token !== this.loadToken) return;
+
+            this.campaign = this.campaignService.normalizeCampaign(campaign);
+            this.renderDetail();
+            this.syncListEntry();
+
+        } catch (error) {
+            if (token !== this.loadToken) return;
+
+            console.error('❌ [CampaignManager] Failed to load campaign:', error);
+            container.innerHTML = this.renderer.renderError(`Could not load the campaign: ${error.message}`);
+        }
+    }
+
+    selectCampaign(campaign) {
+        this.campaign = campaign ? this.campaignService.normalizeCampaign(campaign) : null;
+        this.busyIds.clear();
+
+        const url = new URL(window.location.href);
+        if (campaign?.id) url.searchParams.set('campaign', campaign.id);
+        else url.searchParams.delete('campaign');
+        window.history.replaceState(null, '', url);
+
+        if (!campaign) this.renderDetail();
+        this.renderList();
+    }
+
+    renderDetail() {
+        const container = document.getElementById('campaign-detail');
+        if (!container) return;
+
+        container.innerHTML = this.campaign
+            ? this.renderer.renderDetail(this.campaign, { filter: this.filter, busyIds: this.busyIds, isPreparing: this.isPreparing })
+            : '';
+    }
+
+    setFilter(filter) {
+        this.filter = filter;
+        this.renderDetail();
+    }
+
+    async setStatus(status) {
+        if (!this.campaign) return;
+
+        try {
+            await this.campaignsAPI.updateCampaign(this.businessId, this.campaign.id, { status });
+            this.campaign = { ...this.campaign, status };
+            this.renderDetail();
+            this.syncListEntry();
+
+        } catch (error) {
+            console.error('❌ [CampaignManager] Failed to update status:', error);
+            window.OsliraApp?.showMessage?.(`Could not update the campaign: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteCampaign() {
+        const campaign = this.campaign;
+        if (!campaign || !confirm(`Delete the campaign "${campaign.name}"? Its send history is removed; the leads stay on your dashboard.`)) return;
+
+        try {
+            await this.campaignsAPI.deleteCampaign(this.businessId, campaign.id);
+            this.campaigns = this.campaigns.filter(item => item.id !== campaign.id);
+            this.selectCampaign(null);
+            window.OsliraApp?.showMessage?.('Campaign deleted', 'success');
+
+        } catch (error) {
+            console.error('❌ [CampaignManager] Failed to delete campaign:', error);
+            window.OsliraApp?.showMessage?.(`Could not delete the campaign: ${error.message}`, 'error');
+        }
+    }
+
+    // =========================================================================
+    // EDITOR
+    // =========================================================================
+
+    openEditor(campaign = null) {
+        this.editor = {
+            isOpen: true,
+            campaign: campaign ? { ...campaign, steps: campaign.steps.map(step => ({ ...step })) } : this.campaignService.getDefaultCampaign(),
+            errors: {}
+        };
+        this.renderEditor();
+        document.getElementById('campaign-name')?.focus();
+    }
+
+    closeEditor() {
+        this.editor = { isOpen: false, campaign: null, errors: {} };
+        this.renderEditor();
+    }
+
+    renderEditor() {
+        const container = document.getElementById('campaign-editor');
+        if (!container) return;
+
+        container.innerHTML = this.editor.isOpen
+            ? this.renderer.renderEditor(this.editor.campaign, this.editor.errors, this.templates)
+            : '';
+    }
+
+    readForm() {
+        return {
+            id: document.getElementById('campaign-form-id')?.value || null,
+            name: document.getElementById('campaign-name')?.value || '',
+            steps: Array.from(document.querySelectorAll('[data-campaign-step]')).map(row => ({
+                delay_days: row.querySelector('[data-step-field="delay_days"]')?.value ?? 0,
+                source: row.querySelector('[data-step-field="source"]')?.value,
+                body: row.querySelector('[data-step-field="body"]')?.value || '',
+                template_id: row.querySelector('[data-step-field="template_id"]')?.value || null
+            }))
+        };
+    }
+
+    /**
+     * Re-render from the current form values (source changes show / hide the message text)
+     */
+    refreshEditor() {
+        const input = this.readForm();
+        this.editor.campaign = { ...this.editor.campaign, name: input.name, steps: input.steps };
+        this.renderEditor();
+    }
+
+    addStep() {
+        this.refreshEditor();
+
+        const steps = this.editor.campaign.steps;
+        if (steps.length >= this.campaignService.maxSteps) return;
+
+        this.editor.campaign.steps = [...steps, { delay_days: 3, source: 'generate', body: '' }];
+        this.renderEditor();
+    }
+
+    removeStep(index) {
+        this.refreshEditor();
+        this.editor.campaign.steps = this.editor.campaign.steps.filter((step, position) => position !== index);
+        this.renderEditor();
+    }
+
+    async saveCampaign() {
+        const input = this.readForm();
+        const validation = this.campaignService.validateCampaign(input);
+
+        this.editor.errors = validation.errors;
+        this.editor.campaign = { ...this.editor.campaign, name: input.name, steps: input.steps };
+        if (!validation.valid) {
+            this.renderEditor();
+            return;
+        }
+
+        const submit = document.getElementById('campaign-form-submit');
+        if (submit) submit.disabled = true;
+
+        try {
+            if (input.id) {
+                const updated = await this.campaignsAPI.updateCampaign(this.businessId, input.id, validation.campaign);
+                this.campaign = this.campaignService.normalizeCampaign({ ...this.campaign, ...validation.campaign, ...updated, recipients: this.campaign?.recipients });
+                this.closeEditor();
+                this.renderDetail();
+                this.syncListEntry();
+                window.OsliraApp?.showMessage?.('Campaign updated', 'success');
+
+            } else {
+                const created = await this.campaignsAPI.createCampaign(this.businessId, { ...validation.campaign, status: 'active' });
+                this.campaigns = [this.campaignService.normalizeCampaign({ ...validation.campaign, status: 'active', ...created }), ...this.campaigns];
+                this.closeEditor();
+                await this.openCampaign(created.id);
+            }
+
+        } catch (error) {
+            console.error('❌ [CampaignManager] Failed to save campaign:', error);
+            this.editor.errors = { name: error.message };
+            this.renderEditor();
+        }
+    }
+
+    // =========================================================================
+    // MESSAGES
+    // =========================================================================
+
+    findRecipient(recipientId) {
+        return this.campaign?.recipients.find(recipient => recipient.id === recipientId) || null;
+    }
+
+    replaceRecipient(recipientId, updates) {
+        this.campaign.recipients = this.campaign.recipients.map(recipient => recipient.id === recipientId
+            ? this.campaignService.normalizeRecipient({ ...recipient, ...updates })
+            : recipient);
+    }
+
+    /**
+     * Persist recipient fields and keep the view in step; returns false on failure
+     */
+    async updateRecipient(recipientId, updates, errorLabel) {
+        const campaignId = this.campaign.id;
+
+        try {
+            const updated = await this.campaignsAPI.updateRecipient(this.businessId, campaignId, recipientId, updates);
+            if (this.campaign?.id !== campaignId) return false;
+
+            this.replaceRecipient(recipientId, { ...updates, ...(updated || {}) });
+            return true;
+
+        } catch (error) {
+            console.error(`❌ [CampaignManager] Failed to ${errorLabel}:`, error);
+            window.OsliraApp?.showMessage?.(`Could not ${errorLabel}: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    readMessage(recipientId) {
+        const textarea = document.getElementById(`campaign-message-${recipientId}`);
+        return textarea ? textarea.value : (this.findRecipient(recipientId)?.message || '');
+    }
+
+    async saveMessage(recipientId) {
+        const recipient = this.findRecipient(recipientId);
+        if (!recipient) return;
+
+        const message = this.readMessage(recipientId).trim();
+        if (message === recipient.message) return;
+
+        await this.updateRecipient(recipientId, { message, state: message ? 'drafted' : 'pending' }, 'save the message');
+        this.renderDetail();
+    }
+
+    /**
+     * Draft the current step's message for one recipient, generating it when
+     * the step's source has nothing for this lead
+     */
+    async draftRecipient(recipient, { regenerate = false } = {}) {
+        const step = this.campaign.steps[recipient.step_index];
+        let { message, needsGeneration, variant } = this.campaignService.resolveStepMessage(step, recipient.lead, this.renderTemplate.bind(this));
+
+        if (needsGeneration || regenerate) {
+            const generated = await this.campaignsAPI.generateMessage(this.businessId, this.campaign.id, recipient.id, {
+                stepIndex: recipient.step_index
+            });
+            message = generated?.message || '';
+            variant = null;
+        }
+
+        if (!message) throw new Error('No message was generated');
+
+        const updates = {
+            message,
+            state: 'drafted',
+            variants: this.campaignService.buildVariants(recipient, recipient.step_index, variant)
+        };
+        await this.campaignsAPI.updateRecipient(this.businessId, this.campaign.id, recipient.id, updates);
+        this.replaceRecipient(recipient.id, updates);
+    }
+
+    async generateMessage(recipientId) {
+        const recipient = this.findRecipient(recipientId);
+        if (!recipient || this.busyIds.has(recipientId)) return;
+
+        this.busyIds.add(recipientId);
+        this.renderDetail();
+
+        try {
+            await this.draftRecipient(recipient, { regenerate: true });
+
+        } catch (error) {
+            console.error('❌ [CampaignManager] Failed to generate message:', error);
+            window.OsliraApp?.showMessage?.(`Could not generate a message: ${error.message}`, 'error');
+        }
+
+        this.busyIds.delete(recipientId);
+        this.renderDetail();
+    }
+
+    async prepareDrafts() {
+        if (!this.campaign || this.isPreparing) return;
+
+        const pending = this.campaignService.getPendingRecipients(this.campaign);
+        if (pending.length === 0) return;
+
+        const campaignId = this.campaign.id;
+        this.isPreparing = true;
+        pending.forEach(recipient => this.busyIds.add(recipient.id));
+        this.renderDetail();
+
+        const results = await this.runPool(pending, async (recipient) => {
+            try {
+                if (this.campaign?.id !== campaignId) return false;
+                await this.draftRecipient(recipient);
+                return true;
+            } catch (error) {
+                console.warn(`⚠️ [CampaignManager] Draft failed for ${recipient.id}:`, error.message);
+                return false;
+            } finally {
+                this.busyIds.delete(recipient.id);
+            }
+        });
+
+        this.isPreparing = false;
+        if (this.campaign?.id !== campaignId) return;
+
+        const failed = results.filter(ok => !ok).length;
+        window.OsliraApp?.showMessage?.(
+            failed > 0
+                ? `Drafted ${results.length - failed} of ${results.length} messages - retry the rest one by one`
+                : `Drafted ${results.length} message${results.length !== 1 ? 's' : ''}`,
+            failed > 0 ? 'warning' : 'success'
+        );
+
+        this.renderDetail();
+    }
+
+    async runPool(items, task) {
+        const results = new Array(items.length);
+        let index = 0;
+
+        const worker = async () => {
+            while (index < items.length) {
+                const position = index++;
+                results[position] = await task(items[position]);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, worker));
+        return results;
+    }
+
+    // =========================================================================
+    // SEND STATE
+    // =========================================================================
+
+    async markSent(recipientId) {
+        const recipient = this.findRecipient(recipientId);
+        if (!recipient || this.busyIds.has(recipientId)) return;
+
+        const message = this.readMessage(recipientId).trim();
+        const messageError = this.campaignService.validateMessage(message);
+        if (messageError) {
+            window.OsliraApp?.showMessage?.(messageError, 'error');
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(message);
+        } catch (error) {
+            window.OsliraApp?.showMessage?.('Copy failed - select the message and copy it manually', 'warning');
+        }
+
+        await this.changeState(recipient, this.campaignService.buildSent(message));
+    }
+
+    async markReplied(recipientId) {
+        const recipient = this.findRecipient(recipientId);
+        if (!recipient || this.busyIds.has(recipientId) || !this.campaignService.canMarkReplied(recipient)) return;
+
+        await this.changeState(recipient, this.campaignService.buildReply(recipient));
+    }
+
+    async changeState(recipient, updates) {
+        this.busyIds.add(recipient.id);
+        this.renderDetail();
+
+        const saved = await this.updateRecipient(recipient.id, updates, `mark the message ${updates.state}`);
+        this.busyIds.delete(recipient.id);
+
+        if (saved) {
+            await this.syncLead(this.findRecipient(recipient.id), updates.state);
+            this.syncListEntry();
+        }
+
+        this.renderDetail();
+    }
+
+    async advance(recipientId) {
+        const recipient = this.findRecipient(recipientId);
+        if (!recipient || this.busyIds.has(recipientId) || !this.campaignService.hasNextStep(this.campaign, recipient)) return;
+
+        this.busyIds.add(recipientId);
+        this.renderDetail();
+
+        const advance = this.campaignService.buildAdvance(this.campaign, recipient, this.renderTemplate.bind(this));
+        const saved = await this.updateRecipient(recipientId, advance, 'start the follow-up');
+        this.busyIds.delete(recipientId);
+
+        // Generated follow-ups are written straight away so the draft is ready to review
+        if (saved && advance.state === 'pending') {
+            await this.generateMessage(recipientId);
+        }
+
+        this.syncListEntry();
+        this.renderDetail();
+    }
+
+    /**
+     * Move the lead forward in the pipeline and put the send on its timeline.
+     * The recipient is already saved, so failures here only warn.
+     */
+    async syncLead(recipient, state) {
+        if (!recipient?.lead_id || !this.leadsAPI) return;
+
+        const status = this.campaignService.getLeadStatusUpdate(recipient.lead?.status, state);
+
+        const [statusResult] = await Promise.allSettled([
+            status ? this.leadsAPI.updateLead(recipient.lead_id, { status }) : null,
+            this.leadsAPI.logLeadActivity(recipient.lead_id, `campaign_${state}`, {
+                campaign_id: this.campaign.id,
+                campaign_name: this.campaign.name,
+                step: recipient.step_index + 1,
+                state
+            })
+        ]);
+
+        if (status && statusResult.status === 'fulfilled') {
+            this.replaceRecipient(recipient.id, { lead: { ...recipient.lead, status } });
+        } else if (status) {
+            console.warn('⚠️ [CampaignManager] Lead status update failed:', statusResult.reason?.message);
+        }
+    }
+
+    async removeRecipient(recipientId) {
+        const recipient = this.findRecipient(recipientId);
+        if (!recipient || !confirm(`Remove @${recipient.lead?.username || 'this lead'} from the campaign?`)) return;
+
+        try {
+            await this.campaignsAPI.removeRecipient(this.businessId, this.campaign.id, recipientId);
+            this.campaign.recipients = this.campaign.recipients.filter(item => item.id !== recipientId);
+            this.syncListEntry();
+            this.renderDetail();
+
+        } catch (error) {
+            console.error('❌ [CampaignManager] Failed to remove recipient:', error);
+            window.OsliraApp?.showMessage?.(`Could not remove the lead: ${error.message}`, 'error');
+        }
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.CampaignManager = CampaignManager;
+
+console.log('✅ [CampaignManager] Loaded');
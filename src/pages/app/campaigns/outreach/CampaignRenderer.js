@@ -0,0 +1,379 @@
+// =============================================================================
+// CAMPAIGN RENDERER - Pure HTML Generation
+// Path: /public/pages/app/campaigns/outreach/CampaignRenderer.js
+// Dependencies: CampaignService, ValidationUtils
+// =============================================================================
+
+/**
+ * @class CampaignRenderer
+ * @description Campaign list, campaign editor and the campaign detail view
+ * with reply-rate stats, due follow-ups and per-lead messages
+ */
+class CampaignRenderer {
+    constructor(campaignService) {
+        this.campaignService = campaignService;
+
+        this.recipientFilters = [
+            { key: 'all', label: 'All' },
+            { key: 'due', label: 'Follow-up due' },
+            { key: 'pending', label: 'Needs message' },
+            { key: 'drafted', label: 'Drafted' },
+            { key: 'sent', label: 'Sent' },
+            { key: 'replied', label: 'Replied' }
+        ];
+    }
+
+    // =========================================================================
+    // CAMPAIGN LIST
+    // =========================================================================
+
+    renderCampaignList(campaigns, { selectedId = null } = {}) {
+        if (!campaigns || campaigns.length === 0) {
+            return `
+                <div class="text-center py-12 border-2 border-dashed border-gray-200 rounded-2xl">
+                    <p class="text-gray-900 font-medium">No campaigns yet</p>
+                    <p class="text-sm text-gray-500 mt-1">Select leads on the dashboard and add them to a campaign, or start one here and add leads later.</p>
+                    <button onclick="window.openCampaignEditor()" class="mt-4 px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700">
+                        New campaign
+                    </button>
+                </div>
+            `;
+        }
+
+        return `<div class="space-y-3">${campaigns.map(campaign => this.renderCampaign(campaign, campaign.id === selectedId)).join('')}</div>`;
+    }
+
+    renderCampaign(campaign, isSelected) {
+        const stats = this.campaignService.getSummaryStats(campaign);
+
+        return `
+            <button onclick="window.openCampaign('${campaign.id}')"
+                    class="w-full p-4 text-left bg-white border ${isSelected ? 'border-indigo-400 ring-1 ring-indigo-200' : 'border-gray-200'} rounded-2xl hover:border-indigo-300">
+                <div class="flex items-start justify-between gap-4">
+                    <div class="min-w-0">
+                        <p class="text-sm font-semibold text-gray-900 truncate">${window.OsliraValidationUtils.escapeHTML(campaign.name)}</p>
+                        <p class="text-xs text-gray-500 mt-0.5">${window.OsliraValidationUtils.escapeHTML(this.campaignService.describeSteps(campaign.steps))}</p>
+                    </div>
+                    ${this.renderStatusBadge(campaign.status)}
+                </div>
+                <div class="flex flex-wrap gap-x-4 gap-y-1 mt-3 text-xs text-gray-600">
+                    <span>${stats.total} lead${stats.total !== 1 ? 's' : ''}</span>
+                    <span>${stats.sent} sent</span>
+                    <span>${stats.replied} replied</span>
+                    <span class="font-semibold text-gray-900">${this.campaignService.formatRate(stats.replyRate)} reply rate</span>
+                    ${stats.due > 0 ? `<span class="font-medium text-amber-700">${stats.due} follow-up${stats.due !== 1 ? 's' : ''} due</span>` : ''}
+                </div>
+            </button>
+        `;
+    }
+
+    renderStatusBadge(status) {
+        const config = this.campaignService.statuses[status] || this.campaignService.statuses.active;
+        return `<span class="px-2 py-0.5 text-xs font-medium rounded-full shrink-0 ${config.className}">${config.label}</span>`;
+    }
+
+    // =========================================================================
+    // EDITOR
+    // =========================================================================
+
+    /**
+     * @param {Array} templates - The business's message templates, for template steps
+     */
+    renderEditor(campaign, errors = {}, templates = []) {
+        const steps = campaign.steps.length > 0 ? campaign.steps : this.campaignService.getDefaultSteps();
+
+        return `
+            <form id="campaign-form" class="p-5 bg-gray-50 border border-gray-200 rounded-2xl space-y-4" onsubmit="event.preventDefault(); window.saveCampaign();" novalidate>
+                <input type="hidden" id="campaign-form-id" value="${window.OsliraValidationUtils.escapeHTML(campaign.id || '')}">
+                <div>
+                    <label for="campaign-name" class="block text-sm font-medium text-gray-800 mb-1">Campaign name</label>
+                    <input id="campaign-name" type="text" maxlength="${this.campaignService.maxNameLength}" value="${window.OsliraValidationUtils.escapeHTML(campaign.name)}" placeholder="Spring creator outreach"
+                           class="w-full px-3 py-2 text-sm border ${errors.name ? 'border-red-400' : 'border-gray-200'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                    ${this.renderFieldError(errors.name)}
+                </div>
+                <fieldset>
+                    <legend class="text-sm font-medium text-gray-800 mb-2">Sequence</legend>
+                    <ol class="space-y-3">
+                        ${steps.map((step, index) => this.renderStepFields(step, index, steps.length, errors[`step-${index}`], templates)).join('')}
+                    </ol>
+                    ${this.renderFieldError(errors.steps)}
+                    ${steps.length < this.campaignService.maxSteps ? `
+                        <button type="button" onclick="window.addCampaignStep()" class="mt-3 text-sm font-medium text-indigo-600 hover:underline">+ Add follow-up</button>
+                    ` : ''}
+                </fieldset>
+                <p class="text-xs text-gray-500">Follow-ups only go to leads that haven't replied. Changing the sequence doesn't touch messages already drafted.</p>
+                <div class="flex justify-end gap-2">
+                    <button type="button" onclick="window.cancelCampaignEditor()" class="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-xl hover:bg-gray-50">Cancel</button>
+                    <button type="submit" id="campaign-form-submit" class="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                        ${campaign.id ? 'Save changes' : 'Create campaign'}
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+
+    renderStepFields(step, index, count, error, templates = []) {
+        return `
+            <li class="p-4 bg-white border ${error ? 'border-red-300' : 'border-gray-200'} rounded-xl space-y-3" data-campaign-step="${index}">
+                <div class="flex items-center justify-between gap-3">
+                    <span class="text-sm font-semibold text-gray-900">${this.campaignService.getStepLabel(index)}</span>
+                    <div class="flex items-center gap-2 text-sm text-gray-600">
+                        ${index > 0 ? `
+                            <label for="campaign-step-delay-${index}">Wait</label>
+                            <input id="campaign-step-delay-${index}" data-step-field="delay_days" type="number" min="1" max="${this.campaignService.maxDelayDays}" value="${step.delay_days}"
+                                   class="w-16 px-2 py-1 border border-gray-200 rounded-lg">
+                            <span>days without a reply</span>
+                        ` : '<span>Sent first</span>'}
+                        ${index > 0 && index === count - 1 ? `
+                            <button type="button" onclick="window.removeCampaignStep(${index})" class="ml-2 text-red-600 hover:text-red-700" aria-label="Remove ${this.campaignService.getStepLabel(index)}">Remove</button>
+                        ` : ''}
+                    </div>
+                </div>
+                <select data-step-field="source" onchange="window.onCampaignFormChange()" aria-label="Message for ${this.campaignService.getStepLabel(index)}" class="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg">
+                    ${this.campaignService.sources.map(source => `
+                        <option value="${source.key}" ${source.key === step.source ? 'selected' : ''}>${window.OsliraValidationUtils.escapeHTML(source.label)}</option>
+                    `).join('')}
+                </select>
+                <textarea data-step-field="body" rows="3" maxlength="${this.campaignService.maxMessageLength}" placeholder="Message text"
+                          aria-label="Message text for ${this.campaignService.getStepLabel(index)}"
+                          class="${step.source === 'custom' ? '' : 'hidden'} w-full px-3 py-2 text-sm border border-gray-200 rounded-lg">${window.OsliraValidationUtils.escapeHTML(step.body)}</textarea>
+                ${step.source === 'template' ? this.renderTemplateSelect(step, index, templates) : ''}
+                ${this.renderFieldError(error)}
+            </li>
+        `;
+    }
+
+    renderTemplateSelect(step, index, templates) {
+        if (templates.length === 0) {
+            return '<p class="text-xs text-gray-500">No message templates yet - create them from "Apply template" on the dashboard.</p>';
+        }
+
+        return `
+            <select data-step-field="template_id" aria-label="Template for ${this.campaignService.getStepLabel(index)}" class="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg">
+                <option value="">Choose a template</option>
+                ${templates.map(template => `
+                    <option value="${window.OsliraValidationUtils.escapeHTML(template.id)}" ${template.id === step.template_id ? 'selected' : ''}>
+                        ${window.OsliraValidationUtils.escapeHTML(template.name)}${template.variants.length > 1 ? ` (${template.variants.length} variants)` : ''}
+                    </option>
+                `).join('')}
+            </select>
+        `;
+    }
+
+    renderFieldError(message) {
+        return message ? `<p class="text-xs text-red-600 mt-1" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>` : '';
+    }
+
+    // =========================================================================
+    // DETAIL
+    // =========================================================================
+
+    renderDetail(campaign, { filter = 'all', busyIds = new Set(), isPreparing = false, now = new Date() } = {}) {
+        const stats = this.campaignService.getStats(campaign, now);
+        const recipients = this.filterRecipients(campaign, filter, now);
+        const pendingCount = this.campaignService.getPendingRecipients(campaign).length;
+        const isActive = campaign.status === 'active';
+
+        return `
+            <div class="space-y-4">
+                <div class="flex flex-wrap items-start justify-between gap-4">
+                    <div class="min-w-0">
+                        <div class="flex items-center gap-2">
+                            <h2 class="text-xl font-semibold text-gray-900 truncate">${window.OsliraValidationUtils.escapeHTML(campaign.name)}</h2>
+                            ${this.renderStatusBadge(campaign.status)}
+                        </div>
+                        <p class="text-sm text-gray-500 mt-0.5">${window.OsliraValidationUtils.escapeHTML(this.campaignService.describeSteps(campaign.steps))}</p>
+                    </div>
+                    <div class="flex flex-wrap items-center gap-2 text-sm">
+                        <button onclick="window.prepareCampaignDrafts()" ${pendingCount === 0 || isPreparing ? 'disabled' : ''}
+                                class="px-3 py-1.5 font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+                            ${isPreparing ? 'Preparing…' : `Prepare ${pendingCount || ''} draft${pendingCount !== 1 ? 's' : ''}`}
+                        </button>
+                        ${campaign.status !== 'archived' ? `
+                            <button onclick="window.setCampaignStatus('${isActive ? 'paused' : 'active'}')" class="px-3 py-1.5 font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200">
+                                ${isActive ? 'Pause follow-ups' : 'Resume'}
+                            </button>
+                        ` : ''}
+                        <button onclick="window.editCampaign()" class="px-3 py-1.5 text-gray-600 hover:text-gray-900">Edit</button>
+                        ${campaign.status !== 'archived' ? `
+                            <button onclick="window.setCampaignStatus('archived')" class="px-3 py-1.5 text-gray-600 hover:text-gray-900">Archive</button>
+                        ` : ''}
+                        <button onclick="window.deleteCampaign()" class="px-3 py-1.5 text-red-600 hover:text-red-700">Delete</button>
+                    </div>
+                </div>
+
+                ${this.renderStats(stats)}
+
+                <div class="flex flex-wrap gap-2" role="tablist" aria-label="Filter leads">
+                    ${this.recipientFilters.map(option => {
+                        const count = this.filterRecipients(campaign, option.key, now).length;
+                        return `
+                            <button role="tab" aria-selected="${option.key === filter}" onclick="window.filterCampaignRecipients('${option.key}')"
+                                    class="px-3 py-1 text-sm rounded-full border ${option.key === filter ? 'border-indigo-400 bg-indigo-50 text-indigo-700' : 'border-gray-200 text-gray-600 hover:bg-gray-50'}">
+                                ${option.label} <span class="text-xs text-gray-500">${count}</span>
+                            </button>
+                        `;
+                    }).join('')}
+                </div>
+
+                ${recipients.length === 0
+                    ? `<p class="py-8 text-center text-sm text-gray-500">${campaign.recipients.length === 0 ? 'No leads in this campaign yet - select leads on the dashboard and choose "Add to campaign".' : 'No leads match this filter.'}</p>`
+                    : `<ul class="space-y-3">${recipients.map(recipient => this.renderRecipient(campaign, recipient, busyIds.has(recipient.id), now)).join('')}</ul>`}
+            </div>
+        `;
+    }
+
+    renderStats(stats) {
+        const tile = (label, value) => `
+            <div class="p-3 bg-white border border-gray-200 rounded-xl">
+                <p class="text-xs text-gray-500">${label}</p>
+                <p class="text-lg font-semibold text-gray-900">${value}</p>
+            </div>
+        `;
+
+        return `
+            <div class="grid grid-cols-2 md:grid-cols-5 gap-3">
+                ${tile('Leads', stats.total)}
+                ${tile('Contacted', stats.sent)}
+                ${tile('Replied', stats.replied)}
+                ${tile('Reply rate', this.campaignService.formatRate(stats.replyRate))}
+                ${tile('Follow-ups due', stats.due)}
+            </div>
+            ${stats.steps.length > 1 || stats.steps.some(step => step.variants.length > 1) ? `
+                <table class="w-full text-sm">
+                    <caption class="sr-only">Replies per step</caption>
+                    <thead>
+                        <tr class="text-left text-xs text-gray-500">
+                            <th class="py-1 font-medium">Step</th>
+                            <th class="py-1 font-medium text-right">Sent</th>
+                            <th class="py-1 font-medium text-right">Replies</th>
+                            <th class="py-1 font-medium text-right">Reply rate</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-100">
+                        ${stats.steps.map(step => `
+                            <tr>
+                                <td class="py-1.5 text-gray-900">${step.label}</td>
+                                <td class="py-1.5 text-right text-gray-700">${step.sent}</td>
+                                <td class="py-1.5 text-right text-gray-700">${step.replied}</td>
+                                <td class="py-1.5 text-right font-medium text-gray-900">${this.campaignService.formatRate(step.replyRate)}</td>
+                            </tr>
+                            ${step.variants.length > 1 ? step.variants.map(variant => `
+                                <tr class="text-xs">
+                                    <td class="py-1 pl-4 text-gray-600">Variant ${window.OsliraValidationUtils.escapeHTML(variant.label)}</td>
+                                    <td class="py-1 text-right text-gray-600">${variant.sent}</td>
+                                    <td class="py-1 text-right text-gray-600">${variant.replied}</td>
+                                    <td class="py-1 text-right text-gray-700">${this.campaignService.formatRate(variant.replyRate)}</td>
+                                </tr>
+                            `).join('') : ''}
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+        `;
+    }
+
+    filterRecipients(campaign, filter, now = new Date()) {
+        if (filter === 'due') return this.campaignService.getDueFollowUps(campaign, now);
+        if (filter === 'all') return campaign.recipients;
+        return campaign.recipients.filter(recipient => recipient.state === filter);
+    }
+
+    renderRecipient(campaign, recipient, isBusy, now) {
+        const lead = recipient.lead || {};
+        const state = this.campaignService.getState(recipient);
+        const profileUrl = this.campaignService.getProfileUrl(lead);
+        const dueAt = this.campaignService.getFollowUpDueAt(campaign, recipient);
+        const isDue = this.campaignService.isFollowUpDue(campaign, recipient, now);
+        const isEditable = recipient.state === 'pending' || recipient.state === 'drafted';
+
+        return `
+            <li class="p-4 bg-white border ${isDue ? 'border-amber-300' : 'border-gray-200'} rounded-2xl" data-recipient-id="${window.OsliraValidationUtils.escapeHTML(recipient.id)}">
+                <div class="flex items-start justify-between gap-4">
+                    <div class="flex items-center gap-3 min-w-0">
+                        ${lead.profile_pic_url
+                            ? `<img src="${window.OsliraValidationUtils.escapeHTML(lead.profile_pic_url)}" alt="" class="w-9 h-9 rounded-full object-cover" loading="lazy" referrerpolicy="no-referrer">`
+                            : '<span class="w-9 h-9 rounded-full bg-gray-100" aria-hidden="true"></span>'}
+                        <div class="min-w-0">
+                            <p class="text-sm font-semibold text-gray-900 truncate">
+                                ${profileUrl ? `<a href="${window.OsliraValidationUtils.escapeHTML(profileUrl)}" target="_blank" rel="noopener" class="hover:underline">@${window.OsliraValidationUtils.escapeHTML(lead.username)}</a>` : `@${window.OsliraValidationUtils.escapeHTML(lead.username || 'unknown')}`}
+                                ${lead.full_name ? `<span class="font-normal text-gray-500">${window.OsliraValidationUtils.escapeHTML(lead.full_name)}</span>` : ''}
+                            </p>
+                            <p class="text-xs text-gray-500">
+                                ${this.campaignService.getStepLabel(recipient.step_index)}
+                                ${lead.score ? ` · score ${lead.score}` : ''}
+                                ${recipient.sent_at ? ` · sent ${this.formatTimestamp(recipient.sent_at)}` : ''}
+                                ${dueAt && campaign.status === 'active' ? ` · next ${this.campaignService.formatDue(dueAt, now)}` : ''}
+                            </p>
+                        </div>
+                    </div>
+                    <span class="px-2 py-0.5 text-xs font-medium rounded-full shrink-0 ${state.className}">${state.label}</span>
+                </div>
+
+                ${isEditable ? `
+                    <textarea id="campaign-message-${recipient.id}" rows="3" maxlength="${this.campaignService.maxMessageLength}"
+                              aria-label="Message to @${window.OsliraValidationUtils.escapeHTML(lead.username)}" placeholder="No message yet - generate one or type it here"
+                              onchange="window.saveCampaignMessage('${recipient.id}')"
+                              class="mt-3 w-full px-3 py-2 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">${window.OsliraValidationUtils.escapeHTML(recipient.message)}</textarea>
+                ` : recipient.message ? `
+                    <p class="mt-3 px-3 py-2 text-sm text-gray-700 bg-gray-50 rounded-lg whitespace-pre-line">${window.OsliraValidationUtils.escapeHTML(recipient.message)}</p>
+                ` : ''}
+
+                <div class="flex flex-wrap items-center gap-2 mt-3 text-sm">
+                    ${isEditable ? `
+                        <button onclick="window.sendCampaignMessage('${recipient.id}')" ${isBusy ? 'disabled' : ''}
+                                class="px-3 py-1.5 font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50">Copy &amp; mark sent</button>
+                        <button onclick="window.generateCampaignMessage('${recipient.id}')" ${isBusy ? 'disabled' : ''}
+                                class="px-3 py-1.5 font-medium text-indigo-700 bg-indigo-50 rounded-lg hover:bg-indigo-100 disabled:opacity-50">${isBusy ? 'Working…' : recipient.message ? 'Regenerate' : 'Generate'}</button>
+                    ` : ''}
+                    ${this.campaignService.canMarkReplied(recipient) ? `
+                        <button onclick="window.markCampaignReplied('${recipient.id}')" ${isBusy ? 'disabled' : ''}
+                                class="px-3 py-1.5 font-semibold text-green-700 bg-green-50 rounded-lg hover:bg-green-100 disabled:opacity-50">Mark replied</button>
+                    ` : ''}
+                    ${recipient.state === 'sent' ? `
+                        ${this.campaignService.hasNextStep(campaign, recipient) ? `
+                            <button onclick="window.advanceCampaignRecipient('${recipient.id}')" ${isBusy ? 'disabled' : ''}
+                                    class="px-3 py-1.5 font-medium ${isDue ? 'text-amber-800 bg-amber-50 hover:bg-amber-100' : 'text-gray-700 bg-gray-100 hover:bg-gray-200'} rounded-lg disabled:opacity-50">
+                                Draft ${this.campaignService.getStepLabel(recipient.step_index + 1).toLowerCase()}${isDue ? '' : ' early'}
+                            </button>
+                        ` : ''}
+                    ` : ''}
+                    <span class="flex-1"></span>
+                    <button onclick="window.removeCampaignRecipient('${recipient.id}')" class="px-3 py-1.5 text-gray-500 hover:text-red-600">Remove</button>
+                </div>
+            </li>
+        `;
+    }
+
+    renderLoading(label = 'Loading…') {
+        return `<p class="py-8 text-center text-sm text-gray-500">${window.OsliraValidationUtils.escapeHTML(label)}</p>`;
+    }
+
+    renderError(message) {
+        return `
+            <div class="p-4 text-sm text-red-700 bg-red-50 border border-red-200 rounded-2xl" role="alert">
+                ${window.OsliraValidationUtils.escapeHTML(message)}
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // UTILITIES
+    // =========================================================================
+
+    formatTimestamp(timestamp) {
+        if (!timestamp) return '';
+
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) return '';
+
+        return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.CampaignRenderer = CampaignRenderer;
+
+console.log('✅ [CampaignRenderer] Loaded');
@@ -0,0 +1,427 @@
+// =============================================================================
+// CAMPAIGN SERVICE - Pure Business Logic
+// Path: /public/pages/app/campaigns/outreach/CampaignService.js
+// Dependencies: None
+// =============================================================================
+
+/**
+ * @class CampaignService
+ * @description Campaign validation, per-step message resolution, follow-up
+ * scheduling, reply-rate stats and the lead status a send state implies
+ *
+ * A campaign is { id, name, status, steps, recipients }:
+ *   steps      - [{ delay_days, source, body, template_id }], step 0 is the first message and
+ *                every later step is a follow-up sent delay_days after the previous one
+ *   recipients - [{ id, lead_id, lead, step_index, state, message, sent_at, replied_at, variants }]
+ *                where state is the send state of the recipient's current step and
+ *                variants maps a step index to the template variant its message came from
+ *
+ * Messages are sent by the user outside Oslira; marking a recipient sent
+ * starts the clock for its next follow-up and a reply stops the sequence.
+ */
+class CampaignService {
+    constructor() {
+        this.statuses = {
+            active: { label: 'Active', className: 'bg-green-100 text-green-800' },
+            paused: { label: 'Paused', className: 'bg-amber-100 text-amber-800' },
+            archived: { label: 'Archived', className: 'bg-gray-100 text-gray-600' }
+        };
+
+        this.states = {
+            pending: { label: 'Needs message', className: 'bg-gray-100 text-gray-700' },
+            drafted: { label: 'Drafted', className: 'bg-blue-100 text-blue-800' },
+            sent: { label: 'Sent', className: 'bg-indigo-100 text-indigo-800' },
+            replied: { label: 'Replied', className: 'bg-green-100 text-green-800' }
+        };
+
+        this.sources = [
+            { key: 'analysis', label: 'Outreach message from the analysis', description: 'Falls back to a generated message when the lead has none' },
+            { key: 'generate', label: 'Generate per lead', description: 'Written from each lead\'s analysis when you prepare drafts' },
+            { key: 'custom', label: 'Same text for everyone', description: 'Type the message below' },
+            { key: 'template', label: 'Message template', description: 'Filled in per lead - A/B variants are split across leads and reported separately' }
+        ];
+
+        // Pipeline order from LeadPipelineService - campaigns only ever move a lead forward
+        this.statusOrder = ['new', 'contacted', 'replied', 'booked', 'won', 'lost'];
+        this.leadStatusByState = { sent: 'contacted', replied: 'replied' };
+
+        this.maxNameLength = 80;
+        this.maxSteps = 5;
+        this.maxDelayDays = 60;
+        this.maxMessageLength = 1000;
+        this.dayMs = 24 * 60 * 60 * 1000;
+    }
+
+    // =========================================================================
+    // CAMPAIGNS
+    // =========================================================================
+
+    getDefaultSteps() {
+        return [
+            { delay_days: 0, source: 'analysis', body: '' },
+            { delay_days: 3, source: 'generate', body: '' }
+        ];
+    }
+
+    getDefaultCampaign() {
+        return { id: null, name: '', status: 'active', steps: this.getDefaultSteps(), recipients: [] };
+    }
+
+    /**
+     * Fill gaps in a campaign loaded from the API
+     */
+    normalizeCampaign(campaign = {}) {
+        const steps = Array.isArray(campaign.steps) && campaign.steps.length > 0
+            ? campaign.steps
+            : this.getDefaultSteps();
+
+        return {
+            ...campaign,
+            id: campaign.id || null,
+            name: campaign.name || '',
+            status: this.statuses[campaign.status] ? campaign.status : 'active',
+            steps: steps.map((step, index) => this.normalizeStep(step, index)),
+            recipients: (campaign.recipients || []).map(recipient => this.normalizeRecipient(recipient))
+        };
+    }
+
+    normalizeStep(step = {}, index = 0) {
+        return {
+            delay_days: index === 0 ? 0 : Math.max(1, parseInt(step.delay_days, 10) || 1),
+            source: this.sources.some(source => source.key === step.source) ? step.source : 'generate',
+            body: step.body || '',
+            template_id: step.template_id || null
+        };
+    }
+
+    normalizeRecipient(recipient = {}) {
+        return {
+            ...recipient,
+            lead: recipient.lead || {},
+            step_index: Math.max(0, parseInt(recipient.step_index, 10) || 0),
+            state: this.states[recipient.state] ? recipient.state : 'pending',
+            message: recipient.message || '',
+            variants: recipient.variants && typeof recipient.variants === 'object' ? recipient.variants : {}
+        };
+    }
+
+    /**
+     * Validate the campaign editor form
+     * @param {Object} input - { name, steps: [{ delay_days, source, body, template_id }] }
+     * @returns {Object} { valid, errors, campaign } - step errors are keyed `step-<index>`
+     */
+    validateCampaign(input = {}) {
+        const errors = {};
+        const name = (input.name || '').trim();
+        const steps = (input.steps || []).map((step, index) => ({
+            delay_days: index === 0 ? 0 : parseInt(step.delay_days, 10),
+            source: step.source,
+            body: (step.body || '').trim(),
+            template_id: step.source === 'template' ? (step.template_id || null) : null
+        }));
+
+        if (!name) {
+            errors.name = 'Give the campaign a name';
+        } else if (name.length > this.maxNameLength) {
+            errors.name = `Keep the name under ${this.maxNameLength} characters`;
+        }
+
+        if (steps.length === 0) {
+            errors.steps = 'Add a first message';
+        } else if (steps.length > this.maxSteps) {
+            errors.steps = `Use at most ${this.maxSteps} steps`;
+        }
+
+        steps.forEach((step, index) => {
+            if (!this.sources.some(source => source.key === step.source)) {
+                errors[`step-${index}`] = 'Choose where the message comes from';
+            } else if (index > 0 && (!Number.isInteger(step.delay_days) || step.delay_days < 1 || step.delay_days > this.maxDelayDays)) {
+                errors[`step-${index}`] = `Wait between 1 and ${this.maxDelayDays} days`;
+            } else if (step.source === 'custom' && !step.body) {
+                errors[`step-${index}`] = 'Type the message to send';
+            } else if (step.source === 'template' && !step.template_id) {
+                errors[`step-${index}`] = 'Choose a template';
+            } else if (step.body.length > this.maxMessageLength) {
+                errors[`step-${index}`] = `Keep the message under ${this.maxMessageLength} characters`;
+            }
+        });
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors,
+            campaign: { name, steps: steps.map(step => ({ ...step, body: step.source === 'custom' ? step.body : '' })) }
+        };
+    }
+
+    getStepLabel(index) {
+        return index === 0 ? 'First message' : `Follow-up ${index}`;
+    }
+
+    describeSteps(steps = []) {
+        return steps.map((step, index) => index === 0
+            ? this.getStepLabel(0)
+            : `+${step.delay_days}d`).join(' → ');
+    }
+
+    // =========================================================================
+    // MESSAGES
+    // =========================================================================
+
+    /**
+     * Message a recipient starts from for a step
+     * @param {Function} renderTemplate - (templateId, lead) => { text, missing, variant } for template steps
+     * @returns {Object} { message, needsGeneration, variant } - variant is set when the message came from a template
+     */
+    resolveStepMessage(step, lead = {}, renderTemplate = null) {
+        if (!step) return { message: '', needsGeneration: false };
+
+        if (step.source === 'custom') {
+            return { message: step.body, needsGeneration: false };
+        }
+
+        // A template with a value missing for this lead falls back to generation
+        if (step.source === 'template') {
+            const rendered = renderTemplate?.(step.template_id, lead);
+            if (rendered?.text && rendered.missing.length === 0) {
+                return { message: rendered.text, needsGeneration: false, variant: rendered.variant };
+            }
+            return { message: '', needsGeneration: true };
+        }
+
+        if (step.source === 'analysis' && lead.outreach_message) {
+            return { message: lead.outreach_message, needsGeneration: false };
+        }
+
+        return { message: '', needsGeneration: true };
+    }
+
+    validateMessage(message) {
+        const value = (message || '').trim();
+        if (!value) return 'The message is empty';
+        if (value.length > this.maxMessageLength) return `Keep the message under ${this.maxMessageLength} characters`;
+        return null;
+    }
+
+    // =========================================================================
+    // SEND STATE
+    // =========================================================================
+
+    getState(recipient) {
+        return this.states[recipient?.state] || this.states.pending;
+    }
+
+    hasNextStep(campaign, recipient) {
+        return recipient.step_index < campaign.steps.length - 1;
+    }
+
+    /**
+     * When the recipient's next follow-up should go out, or null if the
+     * sequence is finished, waiting on a send, or stopped by a reply
+     */
+    getFollowUpDueAt(campaign, recipient) {
+        if (recipient.state !== 'sent' || !recipient.sent_at || !this.hasNextStep(campaign, recipient)) {
+            return null;
+        }
+
+        const sentAt = new Date(recipient.sent_at).getTime();
+        if (Number.isNaN(sentAt)) return null;
+
+        return new Date(sentAt + campaign.steps[recipient.step_index + 1].delay_days * this.dayMs);
+    }
+
+    isFollowUpDue(campaign, recipient, now = new Date()) {
+        if (campaign.status !== 'active') return false;
+
+        const dueAt = this.getFollowUpDueAt(campaign, recipient);
+        return !!dueAt && dueAt <= now;
+    }
+
+    /**
+     * Recipients whose next step is ready to be drafted, longest-waiting first
+     */
+    getDueFollowUps(campaign, now = new Date()) {
+        return campaign.recipients
+            .filter(recipient => this.isFollowUpDue(campaign, recipient, now))
+            .sort((a, b) => this.getFollowUpDueAt(campaign, a) - this.getFollowUpDueAt(campaign, b));
+    }
+
+    /**
+     * Recipients that need a message drafted for their current step
+     */
+    getPendingRecipients(campaign) {
+        return campaign.recipients.filter(recipient => recipient.state === 'pending');
+    }
+
+    /**
+     * Recipient `variants` with the step's entry set to the template variant
+     * the message came from, or cleared when it came from anywhere else
+     */
+    buildVariants(recipient, stepIndex, variant = null) {
+        const variants = { ...(recipient.variants || {}) };
+
+        if (variant) variants[stepIndex] = variant;
+        else delete variants[stepIndex];
+
+        return variants;
+    }
+
+    /**
+     * Recipient fields for moving to the next step of the sequence
+     */
+    buildAdvance(campaign, recipient, renderTemplate = null) {
+        const stepIndex = recipient.step_index + 1;
+        const { message, variant } = this.resolveStepMessage(campaign.steps[stepIndex], recipient.lead, renderTemplate);
+
+        return {
+            step_index: stepIndex,
+            state: message ? 'drafted' : 'pending',
+            message,
+            sent_at: null,
+            variants: this.buildVariants(recipient, stepIndex, variant)
+        };
+    }
+
+    /**
+     * Recipient fields for marking the current step sent
+     */
+    buildSent(message, now = new Date()) {
+        return { message, state: 'sent', sent_at: now.toISOString() };
+    }
+
+    /**
+     * A lead can reply once anything was sent - including while the next
+     * follow-up is still a draft, in which case the reply belongs to the step before
+     */
+    canMarkReplied(recipient) {
+        return recipient.state === 'sent' || (recipient.state !== 'replied' && recipient.step_index > 0);
+    }
+
+    buildReply(recipient, now = new Date()) {
+        return {
+            state: 'replied',
+            replied_at: now.toISOString(),
+            step_index: recipient.state === 'sent' ? recipient.step_index : recipient.step_index - 1
+        };
+    }
+
+    /**
+     * Lead status a send state implies, or null when the lead is already at or past it
+     */
+    getLeadStatusUpdate(currentStatus, state) {
+        const target = this.leadStatusByState[state];
+        if (!target) return null;
+
+        const currentIndex = this.statusOrder.indexOf(String(currentStatus || 'new').toLowerCase());
+        return this.statusOrder.indexOf(target) > Math.max(currentIndex, 0) ? target : null;
+    }
+
+    // =========================================================================
+    // STATS
+    // =========================================================================
+
+    /**
+     * A recipient counts as sent for every step before its current one, and for
+     * its current one once sent; a reply belongs to the step it came after.
+     * Template steps also count per variant, for comparing A/B reply rates.
+     * @returns {Object} { total, sent, replied, replyRate, due, steps: [{ label, sent, replied, replyRate, variants }] }
+     */
+    getStats(campaign, now = new Date()) {
+        const steps = campaign.steps.map((step, index) => ({ label: this.getStepLabel(index), sent: 0, replied: 0, replyRate: null, variants: [] }));
+        const getVariantStats = (step, variant) => {
+            let stats = step.variants.find(item => item.id === variant.variant_id);
+            if (!stats) {
+                stats = { id: variant.variant_id, label: variant.label, sent: 0, replied: 0, replyRate: null };
+                step.variants.push(stats);
+            }
+            return stats;
+        };
+        let sent = 0;
+        let replied = 0;
+
+        campaign.recipients.forEach(recipient => {
+            const reachedSent = recipient.state === 'sent' || recipient.state === 'replied';
+            const lastSentStep = reachedSent ? recipient.step_index : recipient.step_index - 1;
+
+            if (lastSentStep >= 0) sent++;
+            for (let index = 0; index <= Math.min(lastSentStep, steps.length - 1); index++) {
+                steps[index].sent++;
+                if (recipient.variants[index]) getVariantStats(steps[index], recipient.variants[index]).sent++;
+            }
+
+            if (recipient.state === 'replied') {
+                replied++;
+                const step = steps[recipient.step_index];
+                if (step) {
+                    step.replied++;
+                    const variant = recipient.variants[recipient.step_index];
+                    if (variant) getVariantStats(step, variant).replied++;
+                }
+            }
+        });
+
+        steps.forEach(step => {
+            step.replyRate = this.calculateRate(step.replied, step.sent);
+            step.variants.sort((a, b) => String(a.label).localeCompare(String(b.label)));
+            step.variants.forEach(variant => {
+                variant.replyRate = this.calculateRate(variant.replied, variant.sent);
+            });
+        });
+
+        return {
+            total: campaign.recipients.length,
+            sent,
+            replied,
+            replyRate: this.calculateRate(replied, sent),
+            due: this.getDueFollowUps(campaign, now).length,
+            steps
+        };
+    }
+
+    /**
+     * Stats from the counts the campaign list endpoint returns
+     */
+    getSummaryStats(campaign) {
+        const counts = campaign.counts || {};
+        return {
+            total: counts.total || 0,
+            sent: counts.sent || 0,
+            replied: counts.replied || 0,
+            replyRate: this.calculateRate(counts.replied || 0, counts.sent || 0),
+            due: counts.due || 0
+        };
+    }
+
+    calculateRate(part, total) {
+        return total > 0 ? Math.round((part / total) * 1000) / 10 : null;
+    }
+
+    formatRate(rate) {
+        return rate === null || rate === undefined ? '–' : `${rate}%`;
+    }
+
+    // =========================================================================
+    // FORMATTING
+    // =========================================================================
+
+    formatDue(date, now = new Date()) {
+        if (!date) return '';
+
+        const days = Math.round((date - now) / this.dayMs);
+        if (days < -1) return `due ${-days} days ago`;
+        if (days === -1) return 'due yesterday';
+        if (days === 0) return 'due today';
+        if (days === 1) return 'due tomorrow';
+        return `due in ${days} days`;
+    }
+
+    getProfileUrl(lead = {}) {
+        return lead.profile_url || (lead.username ? `https://instagram.com/${lead.username}` : null);
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.CampaignService = CampaignService;
+
+console.log('✅ [CampaignService] Loaded');
@@ -0,0 +1,182 @@
+// =============================================================================
+// CAMPAIGN ASSIGN USE CASE - Orchestration Layer
+// Path: /public/pages/app/dashboard/application/campaigns/CampaignAssignUseCase.js
+// Dependencies: CampaignPickerModal, CampaignsAPI, StateManager, EventBus
+// =============================================================================
+
+/**
+ * @class CampaignAssignUseCase
+ * @description Add leads from the dashboard to an outreach campaign
+ *
+ * Responsibilities:
+ * - Open the campaign picker for the selection (bulk actions bar) or one lead (lead modal)
+ * - Add the leads to an existing campaign or create a new one with them
+ * - Link through to the campaign on the Campaigns page, where messages are drafted and sent
+ */
+class CampaignAssignUseCase {
+    constructor() {
+        // Core dependencies
+        this.eventBus = window.OsliraEventBus;
+        this.stateManager = window.OsliraStateManager;
+
+        // Injected services
+        this.modal = new window.CampaignPickerModal();
+
+        if (!this.eventBus || !this.stateManager) {
+            throw new Error('[CampaignAssignUseCase] Missing required Core dependencies');
+        }
+
+        this.campaigns = null;
+        this.leadIds = [];
+        this.isAdding = false;
+        this.maxLeads = 500;
+
+        console.log('🚀 [CampaignAssignUseCase] Initialized');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get campaignsAPI() {
+        return window.OsliraCampaignsAPI;
+    }
+
+    get businessId() {
+        return this.stateManager.getState('business.selected')?.id ||
+            this.stateManager.getState('selectedBusiness')?.id ||
+            localStorage.getItem('selectedBusinessId');
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        try {
+            this.setupEventListeners();
+            this.exposeGlobalHandlers();
+
+            // Make available globally for the table and modal
+            window.campaignAssign = this;
+
+            console.log('✅ [CampaignAssignUseCase] Event listeners initialized');
+            return true;
+
+        } catch (error) {
+            console.error('❌ [CampaignAssignUseCase] Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    setupEventListeners() {
+        // Campaigns are per business - reload on next open
+        this.eventBus.on(window.DASHBOARD_EVENTS.BUSINESS_CHANGED, () => {
+            this.campaigns = null;
+        });
+    }
+
+    exposeGlobalHandlers() {
+        window.addLeadToCampaign = (leadId) => this.open([leadId]);
+        window.addSelectedLeadsToCampaign = () => {
+            const selected = this.stateManager.getState('selectedLeads') || new Set();
+            return this.open(Array.from(selected));
+        };
+        window.closeCampaignPicker = () => this.modal.close();
+        window.confirmCampaignPicker = () => this.add();
+    }
+
+    // =========================================================================
+    // DIALOG
+    // =========================================================================
+
+    async open(leadIds) {
+        if (!this.campaignsAPI || !this.businessId) {
+            window.OsliraApp?.showMessage?.('Campaigns are not available right now', 'error');
+            return;
+        }
+
+        if (leadIds.length === 0) {
+            window.OsliraApp?.showMessage?.('Select leads to add to a campaign', 'warning');
+            return;
+        }
+
+        if (leadIds.length > this.maxLeads) {
+            window.OsliraApp?.showMessage?.(`Add at most ${this.maxLeads} leads to a campaign at a time`, 'warning');
+            return;
+        }
+
+        try {
+            if (!this.campaigns) {
+                this.campaigns = await this.campaignsAPI.listCampaigns(this.businessId);
+            }
+        } catch (error) {
+            console.error('❌ [CampaignAssignUseCase] Failed to load campaigns:', error);
+            window.OsliraApp?.showMessage?.(`Could not load campaigns: ${error.message}`, 'error');
+            return;
+        }
+
+        this.leadIds = leadIds;
+        this.modal.open({ campaigns: this.campaigns, leadCount: leadIds.length });
+    }
+
+    async add() {
+        if (this.isAdding || this.leadIds.length === 0) return;
+
+        const { campaignId, name } = this.modal.readSelection();
+        if (campaignId === 'new' && !name) {
+            this.modal.showError('Name the new campaign');
+            return;
+        }
+
+        this.isAdding = true;
+        this.modal.setBusy(true);
+        this.modal.showError('');
+
+        try {
+            let campaign;
+            let added = this.leadIds.length;
+
+            if (campaignId === 'new') {
+                campaign = await this.campaignsAPI.createCampaign(this.businessId, {
+                    name,
+                    status: 'active',
+                    lead_ids: this.leadIds
+                });
+            } else {
+                campaign = this.campaigns.find(item => item.id === campaignId);
+                const result = await this.campaignsAPI.addRecipients(this.businessId, campaignId, this.leadIds);
+                added = result?.added ?? added;
+            }
+
+            // Counts changed - reload on next open
+            this.campaigns = null;
+            this.modal.close();
+
+            const skipped = this.leadIds.length - added;
+            window.OsliraApp?.showMessage?.(
+                `Added ${added} lead${added !== 1 ? 's' : ''} to "${campaign.name}"${skipped > 0 ? ` (${skipped} already in it)` : ''}`,
+                'success'
+            );
+
+            if (confirm(`Open "${campaign.name}" to draft the messages now?`)) {
+                window.location.href = `${window.OsliraEnv.getAppUrl('/campaigns')}?campaign=${encodeURIComponent(campaign.id)}`;
+            }
+
+        } catch (error) {
+            console.error('❌ [CampaignAssignUseCase] Failed to add leads:', error);
+            this.modal.showError(error.message);
+
+        } finally {
+            this.isAdding = false;
+            this.modal.setBusy(false);
+        }
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.CampaignAssignUseCase = CampaignAssignUseCase;
+
+console.log('✅ [CampaignAssignUseCase] Loaded');
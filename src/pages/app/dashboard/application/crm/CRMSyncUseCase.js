@@ -0,0 +1,412 @@
+// =============================================================================
+// CRM SYNC USE CASE - Orchestration Layer
+// Path: /public/pages/app/dashboard/application/crm/CRMSyncUseCase.js
+// Dependencies: CRMSyncService, CRMConnectorRegistry, CRMAPI, LeadManager, StateManager, EventBus
+// =============================================================================
+
+/**
+ * @class CRMSyncUseCase
+ * @description Push leads to the business's CRM and keep the table's sync badges current
+ *
+ * Responsibilities:
+ * - Load the business's CRM connections (CRMAPI.listConnections)
+ * - Push one lead (lead modal) or the selection (bulk actions bar) to the default connection
+ * - Re-pushes update the CRM record the lead was pushed to before (sync records)
+ * - Look up sync records for leads as they are loaded and patch crm_sync onto them
+ */
+class CRMSyncUseCase {
+    constructor() {
+        // Core dependencies
+        this.eventBus = window.OsliraEventBus;
+        this.stateManager = window.OsliraStateManager;
+
+        // Injected services
+        this.syncService = new window.CRMSyncService();
+
+        if (!this.eventBus || !this.stateManager) {
+            throw new Error('[CRMSyncUseCase] Missing required Core dependencies');
+        }
+
+        this.connections = [];
+        this.recordsByLead = new Map();
+        this.pushingLeadIds = new Set();
+        this.concurrency = 3;
+        this.lookupChunkSize = 200;
+
+        console.log('🚀 [CRMSyncUseCase] Initialized');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get crmAPI() {
+        return window.OsliraCRMAPI;
+    }
+
+    get businessId() {
+        return this.stateManager.getState('business.selected')?.id ||
+            this.stateManager.getState('selectedBusiness')?.id ||
+            localStorage.getItem('selectedBusinessId');
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        try {
+            this.setupEventListeners();
+            this.exposeGlobalHandlers();
+
+            // Make available globally for the table and modal
+            window.crmSync = this;
+
+            await this.loadConnections();
+
+            console.log('✅ [CRMSyncUseCase] Event listeners initialized');
+            return true;
+
+        } catch (error) {
+            console.error('❌ [CRMSyncUseCase] Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    setupEventListeners() {
+        this.eventBus.on(window.DASHBOARD_EVENTS.BUSINESS_CHANGED, () => {
+            this.recordsByLead.clear();
+            this.loadConnections();
+        });
+
+        // Badges follow whatever the table currently holds
+        this.stateManager.subscribe('leads', (leads) => this.refreshSyncStatus(leads));
+        this.stateManager.subscribe('visibleLeads', (leads) => this.refreshSyncStatus(leads));
+    }
+
+    exposeGlobalHandlers() {
+        window.pushLeadToCRM = (leadId) => this.pushLeads([leadId], { source: 'modal' });
+        window.pushSelectedLeadsToCRM = () => {
+            const selected = this.stateManager.getState('selectedLeads') || new Set();
+            return this.pushLeads(Array.from(selected), { source: 'bulk' });
+        };
+    }
+
+    // =========================================================================
+    // CONNECTIONS
+    // =========================================================================
+
+    async loadConnections() {
+        if (!this.businessId || !this.crmAPI) return;
+
+        try {
+            this.connections = await this.crmAPI.listConnections(this.businessId);
+        } catch (error) {
+            console.warn('⚠️ [CRMSyncUseCase] Could not load CRM connections:', error.message);
+            this.connections = [];
+        }
+
+        this.eventBus.emit(window.DASHBOARD_EVENTS.CRM_CONNECTIONS_LOADED, {
+            count: this.connections.length,
+            defaultConnection: this.getDefaultConnection()
+        });
+
+        // Refresh the bulk bar label now that the target is known
+        const selected = this.stateManager.getState('selectedLeads') || new Set();
+        window.LeadsTable?.updateBulkActionsBar?.(selected.size);
+
+        this.refreshSyncStatus(this.stateManager.getState('visibleLeads') || this.stateManager.getState('leads'));
+    }
+
+    getDefaultConnection() {
+        return this.syncService.getDefaultConnection(this.connections);
+    }
+
+    getDefaultConnectionLabel() {
+        const connection = this.getDefaultConnection();
+        return connection ? this.syncService.getProviderLabel(connection.provider) : null;
+    }
+
+    createConnector(connection) {
+        const transport = (request) => this.crmAPI.relay(this.businessId, connection.id, request);
+        return window.CRMConnectorRegistry.create(connection.provider, transport, {
+            fieldKeys: connection.field_keys || {}
+        });
+    }
+
+    // =========================================================================
+    // PUSH
+    // =========================================================================
+
+    async pushLeads(leadIds, { source = 'bulk' } = {}) {
+        const connection = this.getDefaultConnection();
+        if (!connection) {
+            window.OsliraApp?.showMessage?.('Connect a CRM on the Integrations page first', 'warning');
+            return null;
+        }
+
+        const ids = leadIds.filter(leadId => !this.pushingLeadIds.has(leadId));
+        if (ids.length === 0) return null;
+
+        const connector = this.createConnector(connection);
+        const mapping = this.syncService.resolveMapping(connector, connection.field_mapping);
+        const mappingCheck = this.syncService.validateMapping(connector, mapping);
+
+        if (!mappingCheck.valid) {
+            window.OsliraApp?.showMessage?.(`${connector.label} field mapping is incomplete. ${mappingCheck.error}`, 'error');
+            return null;
+        }
+
+        ids.forEach(leadId => this.pushingLeadIds.add(leadId));
+        this.setModalStatus(ids, `Pushing to ${connector.label}…`);
+
+        try {
+            let leads = this.getLeads(ids);
+            if (leads.length === 0) {
+                throw new Error('Lead is no longer loaded - refresh and try again');
+            }
+
+            if (this.syncService.needsPayload(mapping)) {
+                leads = await this.enrichWithPayloads(leads);
+            }
+
+            const results = await this.runPool(leads, lead => this.pushOne(lead, connection, connector, mapping));
+            const syncRecords = results.map(({ lead, result }) => this.syncService.buildSyncRecord(lead, connection, result));
+
+            await this.storeSyncRecords(syncRecords);
+
+            const summary = {
+                created: results.filter(({ result }) => result.action === 'created').length,
+                updated: results.filter(({ result }) => result.action === 'updated').length,
+                failed: results.filter(({ result }) => result.error)
+            };
+
+            this.eventBus.emit(window.DASHBOARD_EVENTS.LEAD_CRM_SYNCED, {
+                leadIds: ids,
+                connectionId: connection.id,
+                provider: connection.provider,
+                source,
+                created: summary.created,
+                updated: summary.updated,
+                failed: summary.failed.length
+            });
+
+            this.reportResult(connector, summary, leads.length);
+            return summary;
+
+        } catch (error) {
+            console.error('❌ [CRMSyncUseCase] Push failed:', error);
+            window.OsliraApp?.showMessage?.(`Push to ${connector.label} failed: ${error.message}`, 'error');
+            return null;
+
+        } finally {
+            ids.forEach(leadId => this.pushingLeadIds.delete(leadId));
+            this.setModalStatus(ids, null);
+        }
+    }
+
+    /**
+     * One lead; failures are returned, not thrown, so a bulk push carries on
+     */
+    async pushOne(lead, connection, connector, mapping) {
+        const externalId = this.syncService.getExternalId(this.recordsByLead.get(lead.id) || [], connection.id);
+        const record = this.syncService.buildRecord(lead, mapping);
+        const missing = this.syncService.getMissingFields(connector, record);
+
+        if (missing.length > 0) {
+            return { lead, result: { externalId, error: `Missing ${missing.join(', ')}` } };
+        }
+
+        try {
+            return { lead, result: await connector.push(record, { externalId }) };
+        } catch (error) {
+            console.warn(`⚠️ [CRMSyncUseCase] @${lead.username} not pushed:`, error.message);
+            return { lead, result: { externalId, error: error.message } };
+        }
+    }
+
+    /**
+     * Run task over items with limited concurrency; results keep input order
+     */
+    async runPool(items, task) {
+        const results = new Array(items.length);
+        let index = 0;
+
+        const worker = async () => {
+            while (index < items.length) {
+                const position = index++;
+                results[position] = await task(items[position]);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, worker));
+        return results;
+    }
+
+    async storeSyncRecords(syncRecords) {
+        syncRecords.forEach(record => {
+            const others = (this.recordsByLead.get(record.lead_id) || []).filter(item => item.connection_id !== record.connection_id);
+            this.recordsByLead.set(record.lead_id, [...others, record]);
+        });
+
+        this.applyBadges(syncRecords.map(record => record.lead_id));
+
+        try {
+            await this.crmAPI.saveSyncRecords(this.businessId, syncRecords);
+        } catch (error) {
+            // The CRM already has the records - only de-duplication by id is lost,
+            // and the dedupe search still finds them on the next push
+            console.warn('⚠️ [CRMSyncUseCase] Sync records not saved:', error.message);
+        }
+    }
+
+    reportResult(connector, summary, total) {
+        const pushed = summary.created + summary.updated;
+
+        if (summary.failed.length === 0) {
+            window.OsliraApp?.showMessage?.(
+                total === 1
+                    ? `Lead ${summary.created ? 'added to' : 'updated in'} ${connector.label}`
+                    : `${pushed} leads pushed to ${connector.label} (${summary.created} new, ${summary.updated} updated)`,
+                'success'
+            );
+            return;
+        }
+
+        const firstError = summary.failed[0].result.error;
+        window.OsliraApp?.showMessage?.(
+            total === 1
+                ? `Push to ${connector.label} failed: ${firstError}`
+                : `${pushed} of ${total} leads pushed to ${connector.label}; ${summary.failed.length} failed (${firstError})`,
+            pushed > 0 ? 'warning' : 'error'
+        );
+    }
+
+    // =========================================================================
+    // LEADS
+    // =========================================================================
+
+    getLeads(leadIds) {
+        const wanted = new Set(leadIds);
+        const pools = [
+            this.stateManager.getState('visibleLeads') || [],
+            this.stateManager.getState('leads') || []
+        ];
+
+        const found = new Map();
+        pools.forEach(pool => pool.forEach(lead => {
+            if (wanted.has(lead.id) && !found.has(lead.id)) found.set(lead.id, lead);
+        }));
+
+        return leadIds.map(leadId => found.get(leadId)).filter(Boolean);
+    }
+
+    /**
+     * Analysis payload fields live on the lead's runs, which list rows do not carry
+     */
+    async enrichWithPayloads(leads) {
+        if (!window.LeadManager?.viewLead) return leads;
+
+        const exportService = this.syncService.exportService;
+        return this.runPool(leads, async (lead) => {
+            if (exportService.getPayload(lead)) return lead;
+
+            try {
+                const { lead: details } = await window.LeadManager.viewLead(lead.id);
+                return { ...lead, runs: details.runs || lead.runs };
+            } catch (error) {
+                console.warn(`⚠️ [CRMSyncUseCase] No analysis payload for @${lead.username}:`, error.message);
+                return lead;
+            }
+        });
+    }
+
+    // =========================================================================
+    // SYNC STATUS
+    // =========================================================================
+
+    /**
+     * Look up sync records for leads not seen yet, then patch badges.
+     * Runs on every leads change; patches only when a badge actually differs.
+     */
+    async refreshSyncStatus(leads) {
+        if (!Array.isArray(leads) || leads.length === 0 || !this.businessId || !this.crmAPI) return;
+        if (this.connections.length === 0) return;
+
+        const unknown = leads.map(lead => lead.id).filter(leadId => leadId && !this.recordsByLead.has(leadId));
+
+        if (unknown.length > 0) {
+            // Mark as requested so overlapping state changes do not refetch
+            unknown.forEach(leadId => this.recordsByLead.set(leadId, []));
+
+            try {
+                for (let i = 0; i < unknown.length; i += this.lookupChunkSize) {
+                    const records = await this.crmAPI.getSyncRecords(this.businessId, unknown.slice(i, i + this.lookupChunkSize));
+                    records.forEach(record => {
+                        this.recordsByLead.set(record.lead_id, [...(this.recordsByLead.get(record.lead_id) || []), record]);
+                    });
+                }
+            } catch (error) {
+                unknown.forEach(leadId => this.recordsByLead.delete(leadId));
+                console.warn('⚠️ [CRMSyncUseCase] Sync status lookup failed:', error.message);
+                return;
+            }
+        }
+
+        this.applyBadges(leads.map(lead => lead.id));
+    }
+
+    applyBadges(leadIds) {
+        const connectionsById = Object.fromEntries(this.connections.map(connection => [connection.id, connection]));
+        const leads = this.getLeads(leadIds);
+        const patches = {};
+
+        leads.forEach(lead => {
+            const summary = this.syncService.summarize(lead, this.recordsByLead.get(lead.id) || [], connectionsById);
+            const current = lead.crm_sync || null;
+
+            if ((current?.status || null) !== (summary?.status || null) || current?.synced_at !== summary?.synced_at) {
+                patches[lead.id] = { crm_sync: summary };
+            }
+        });
+
+        if (Object.keys(patches).length > 0 && window.LeadManager?.patchLeads) {
+            window.LeadManager.patchLeads(patches);
+        }
+    }
+
+    // =========================================================================
+    // MODAL
+    // =========================================================================
+
+    setModalStatus(leadIds, message) {
+        const container = document.getElementById('lead-crm-push');
+        if (!container || !leadIds.includes(container.dataset.leadId)) return;
+
+        const button = container.querySelector('button');
+        const status = container.querySelector('[data-crm-status]');
+
+        if (button) button.disabled = !!message;
+        if (status) {
+            const summary = this.getLeads([container.dataset.leadId])[0]?.crm_sync;
+            status.textContent = message || summary?.title || '';
+        }
+    }
+
+    // =========================================================================
+    // CLEANUP
+    // =========================================================================
+
+    cleanup() {
+        this.recordsByLead.clear();
+        this.pushingLeadIds.clear();
+        console.log('🧹 [CRMSyncUseCase] Cleanup completed');
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.CRMSyncUseCase = CRMSyncUseCase;
+
+console.log('✅ [CRMSyncUseCase] Loaded');
@@ -0,0 +1,365 @@
+// =============================================================================
+// LEAD ACTIVITY USE CASE - Orchestration Layer
+// Path: /public/pages/app/dashboard/application/leads/LeadActivityUseCase.js
+// Dependencies: LeadActivityService, LeadActivityRenderer, LeadService, LeadsAPI, UserService, EventBus
+// =============================================================================
+
+/**
+ * @class LeadActivityUseCase
+ * @description Per-lead timeline shown in the lead modal's Activity tab
+ *
+ * Responsibilities:
+ * - Load activity pages when the Activity tab is opened (LeadsAPI.getLeadActivity)
+ * - Merge them with the lead's analysis runs into one timeline
+ * - Add notes (LeadsAPI.addLeadNote) and trigger re-analyses (LeadsAPI.reanalyzeLead)
+ * - Record status moves and outreach message edits as activity, with the acting user
+ */
+class LeadActivityUseCase {
+    constructor() {
+        // Core dependencies
+        this.eventBus = window.OsliraEventBus;
+        this.stateManager = window.OsliraStateManager;
+
+        // Injected services
+        this.activityService = new window.LeadActivityService();
+        this.renderer = new window.LeadActivityRenderer(this.activityService, new window.LeadService());
+
+        if (!this.eventBus || !this.stateManager) {
+            throw new Error('[LeadActivityUseCase] Missing required Core dependencies');
+        }
+
+        this.pageSize = 50;
+        this.resetTimeline(null);
+
+        console.log('🚀 [LeadActivityUseCase] Initialized');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get leadsAPI() {
+        return window.OsliraLeadsAPI;
+    }
+
+    get currentUserId() {
+        return window.OsliraUserService?.getUserId?.() || window.OsliraAuth?.user?.id || null;
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        try {
+            this.setupEventListeners();
+            this.exposeGlobalHandlers();
+
+            // Make available globally for the modal
+            window.leadActivity = this;
+
+            console.log('✅ [LeadActivityUseCase] Event listeners initialized');
+            return true;
+
+        } catch (error) {
+            console.error('❌ [LeadActivityUseCase] Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    setupEventListeners() {
+        // The tab loads lazily - most modal opens never look at activity
+        this.eventBus.on('modal:tab-changed', ({ tabId, lead }) => {
+            if (tabId === 'activity' && lead) this.open(lead);
+        });
+
+        this.eventBus.on(window.DASHBOARD_EVENTS.LEAD_STATUS_CHANGED, ({ leadId, status, previousStatus }) => {
+            this.record(leadId, 'status_change', { from: previousStatus || null, to: status });
+        });
+
+        this.eventBus.on(window.DASHBOARD_EVENTS.LEAD_MESSAGE_UPDATED, ({ leadId, message, template }) => {
+            this.record(leadId, 'message_edit', {
+                length: (message || '').length,
+                ...(template ? { template_name: template.template_name, variant: template.variant_label } : {})
+            });
+        });
+    }
+
+    exposeGlobalHandlers() {
+        window.submitLeadNote = (leadId) => this.addNote(leadId);
+        window.reanalyzeLeadFromActivity = (leadId) => this.reanalyze(leadId);
+        window.loadMoreLeadActivity = () => this.loadMore();
+        window.refreshLeadActivity = () => this.refresh();
+    }
+
+    // =========================================================================
+    // LOADING
+    // =========================================================================
+
+    resetTimeline(lead) {
+        this.lead = lead;
+        this.events = [];
+        this.pending = [];
+        this.nextCursor = null;
+        this.hasMore = false;
+        this.isLoadingMore = false;
+        this.error = null;
+        this.requestId = (this.requestId || 0) + 1;
+    }
+
+    getLeadId() {
+        return this.lead?.id || this.lead?.lead_id || null;
+    }
+
+    async open(lead) {
+        const leadId = lead.id || lead.lead_id;
+
+        // Switching back to the tab keeps what is already loaded
+        if (leadId === this.getLeadId() && this.events.length > 0 && this.getContainer()) {
+            this.render();
+            return;
+        }
+
+        this.resetTimeline(lead);
+        await this.loadPage();
+    }
+
+    refresh() {
+        if (!this.lead) return;
+        this.resetTimeline(this.lead);
+        return this.loadPage();
+    }
+
+    async loadPage({ append = false } = {}) {
+        const leadId = this.getLeadId();
+        if (!leadId || !this.leadsAPI) return;
+
+        const requestId = this.requestId;
+        const container = this.getContainer();
+        if (!append && container) {
+            container.innerHTML = this.renderer.renderLoading();
+        }
+
+        try {
+            const page = await this.leadsAPI.getLeadActivity(leadId, {
+                limit: this.pageSize,
+                cursor: append ? this.nextCursor : null
+            });
+
+            if (requestId !== this.requestId) return;
+
+            this.events = append ? [...this.events, ...page.events] : page.events;
+            this.nextCursor = page.nextCursor;
+            this.hasMore = page.hasMore;
+            this.error = null;
+
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            this.error = error.message;
+
+        } finally {
+            if (requestId === this.requestId) {
+                this.isLoadingMore = false;
+                this.render();
+            }
+        }
+    }
+
+    loadMore() {
+        if (!this.hasMore || this.isLoadingMore) return;
+
+        this.isLoadingMore = true;
+        this.render();
+        return this.loadPage({ append: true });
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+
+    getContainer() {
+        const container = document.getElementById('lead-activity-timeline');
+        const panel = document.getElementById('lead-activity-panel');
+
+        // The modal may have been rebuilt for another lead
+        if (!container || panel?.dataset.leadId !== String(this.getLeadId())) return null;
+        return container;
+    }
+
+    getTimeline() {
+        return this.activityService.buildTimeline({
+            runs: this.lead?.runs || [],
+            events: this.events,
+            pending: this.pending,
+            currentUserId: this.currentUserId
+        });
+    }
+
+    render() {
+        const container = this.getContainer();
+        if (!container) return;
+
+        // Runs still make a useful timeline when the activity endpoint fails
+        if (this.error && this.getTimeline().length === 0) {
+            container.innerHTML = this.renderer.renderError(this.error);
+            return;
+        }
+
+        container.innerHTML = this.renderer.renderTimeline(this.getTimeline(), {
+            hasMore: this.hasMore,
+            isLoadingMore: this.isLoadingMore
+        });
+    }
+
+    // =========================================================================
+    // ACTIONS
+    // =========================================================================
+
+    async addNote(leadId) {
+        const input = document.getElementById('lead-note-input');
+        const errorElement = document.getElementById('lead-note-error');
+        const submitButton = document.getElementById('lead-note-submit');
+
+        try {
+            window.LeadManager.assertCanEditLeads();
+        } catch (error) {
+            if (errorElement) errorElement.textContent = error.message;
+            return;
+        }
+
+        const validation = this.activityService.validateNote(input?.value);
+        if (errorElement) errorElement.textContent = validation.valid ? '' : validation.error;
+        if (!validation.valid) return;
+
+        // Show the note straight away; the API response replaces it
+        const pendingNote = this.activityService.createPendingNote(validation.note, this.currentUserId);
+        this.pending = [...this.pending, pendingNote];
+        this.render();
+
+        if (input) input.value = '';
+        if (submitButton) submitButton.disabled = true;
+
+        try {
+            const saved = await this.leadsAPI.addLeadNote(leadId, validation.note);
+
+            if (leadId === this.getLeadId()) {
+                this.events = [{
+                    type: 'note',
+                    note: validation.note,
+                    created_at: pendingNote.timestamp,
+                    actor_id: this.currentUserId,
+                    ...saved
+                }, ...this.events];
+            }
+
+            this.eventBus.emit(window.DASHBOARD_EVENTS.LEAD_ACTIVITY_ADDED, { leadId, type: 'note' });
+
+        } catch (error) {
+            console.error('❌ [LeadActivityUseCase] Failed to add note:', error);
+
+            if (input && !input.value) input.value = validation.note;
+            if (errorElement) errorElement.textContent = 'Could not save the note. Please try again.';
+
+        } finally {
+            this.pending = this.pending.filter(item => item.id !== pendingNote.id);
+            if (submitButton) submitButton.disabled = false;
+            this.render();
+        }
+    }
+
+    async reanalyze(leadId) {
+        try {
+            window.AnalysisQueue?.assertCanReanalyze([this.lead], this.lead?.business_id ||
+                this.stateManager.getState('business.selected')?.id || null);
+        } catch (error) {
+            window.OsliraApp?.showMessage?.(error.message, 'error');
+            return;
+        }
+
+        const username = this.lead?.username ? `@${this.lead.username}` : 'this lead';
+        if (!confirm(`Re-analyze ${username}? A re-analysis uses credits.`)) return;
+
+        const button = document.getElementById('lead-activity-reanalyze');
+        if (button) button.disabled = true;
+
+        try {
+            const result = await this.leadsAPI.reanalyzeLead(leadId);
+
+            window.LeadManager?.patchLeads?.({
+                [leadId]: {
+                    last_updated_at: new Date().toISOString(),
+                    ...(result?.score != null ? { score: result.score } : {})
+                }
+            });
+
+            // The new run belongs on the timeline the user is looking at
+            await this.reloadRuns(leadId);
+
+            await this.record(leadId, 'reanalysis', {
+                run_id: result?.run_id || null,
+                analysis_type: result?.analysis_type || this.lead?.analysis_type || null
+            });
+
+            window.OsliraApp?.showMessage?.('Re-analysis complete', 'success');
+
+        } catch (error) {
+            console.error('❌ [LeadActivityUseCase] Re-analysis failed:', error);
+            window.OsliraApp?.showMessage?.(`Re-analysis failed: ${error.message}`, 'error');
+
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    async reloadRuns(leadId) {
+        if (leadId !== this.getLeadId() || !window.LeadManager?.viewLead) return;
+
+        try {
+            const { lead } = await window.LeadManager.viewLead(leadId);
+
+            if (leadId === this.getLeadId()) {
+                this.lead = { ...this.lead, runs: lead.runs || [], score: lead.score };
+                this.render();
+            }
+
+        } catch (error) {
+            console.warn(`⚠️ [LeadActivityUseCase] Could not reload runs for lead ${leadId}:`, error);
+        }
+    }
+
+    /**
+     * Record an event with the acting user. Recording is best-effort - the
+     * underlying change already succeeded, so a failure here only warns.
+     */
+    async record(leadId, type, details) {
+        if (!leadId || !this.leadsAPI?.logLeadActivity) return;
+
+        try {
+            await this.leadsAPI.logLeadActivity(leadId, type, details);
+            this.eventBus.emit(window.DASHBOARD_EVENTS.LEAD_ACTIVITY_ADDED, { leadId, type });
+
+            if (leadId === this.getLeadId() && this.getContainer()) {
+                await this.refresh();
+            }
+
+        } catch (error) {
+            console.warn(`⚠️ [LeadActivityUseCase] Could not record ${type} for lead ${leadId}:`, error);
+        }
+    }
+
+    // =========================================================================
+    // CLEANUP
+    // =========================================================================
+
+    cleanup() {
+        this.resetTimeline(null);
+        console.log('🧹 [LeadActivityUseCase] Cleanup completed');
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadActivityUseCase = LeadActivityUseCase;
+
+console.log('✅ [LeadActivityUseCase] Loaded');
@@ -1,7 +1,7 @@
 // =============================================================================
 // LEAD DISPLAY USE CASE - Orchestration Layer
 // Path: /public/pages/app/dashboard/application/leads/LeadDisplayUseCase.js
-// Dependencies: LeadService, LeadsTableRenderer, StateManager, EventBus
+// Dependencies: LeadService, LeadsTableRenderer, VirtualListService, StateManager, EventBus
 // =============================================================================
 
 /**
@@ -26,6 +26,7 @@ class LeadDisplayUseCase {
         // Injected services
         this.leadService = new window.LeadService();
         this.renderer = new window.LeadsTableRenderer(this.leadService);
+        this.virtualList = new window.VirtualListService();
         
         // Validate dependencies
         if (!this.eventBus || !this.stateManager || !this.osliraAuth) {
@@ -41,6 +42,13 @@ class LeadDisplayUseCase {
         this.currentPage = 1;
         this.leadsPerPage = 10;
         
+        // Virtual window state - rowLeads is the full list the window slides over
+        this.rowLeads = [];
+        this.isVirtual = false;
+        this.rowHeight = 81;
+        this.scrollFrame = null;
+        this.handleScroll = this.handleScroll.bind(this);
+        
         // Debounce timers
         this.renderTimeout = null;
         this.cleanupInterval = null;
@@ -180,11 +188,14 @@ class LeadDisplayUseCase {
         const renderStartTime = performance.now();
         
         try {
-            // Determine leads to display
-            const leadsToDisplay = leads || 
-                                  this.stateManager.getState('visibleLeads') || 
-                                  this.stateManager.getState('filteredLeads') || 
-                                  this.stateManager.getState('leads') || [];
+            // Determine leads to display - in server mode the current page is the only source
+            const serverPagination = this.getServerPagination();
+            const leadsToDisplay = serverPagination
+                ? (this.stateManager.getState('visibleLeads') || [])
+                : leads || 
+                  this.stateManager.getState('visibleLeads') || 
+                  this.stateManager.getState('filteredLeads') || 
+                  this.stateManager.getState('leads') || [];
             
             let tableBody = document.getElementById('leads-table-body');
             const selectedLeads = this.stateManager.getState('selectedLeads') || new Set();
@@ -206,7 +217,7 @@ class LeadDisplayUseCase {
             }
             
             // Handle loading state
-            if (this.stateManager.getState('isLoading')) {
+            if (this.stateManager.getState('isLoading') || (serverPagination?.isLoading && leadsToDisplay.length === 0)) {
                 this.renderLoadingState(tableBody);
                 return;
             }
@@ -220,19 +231,15 @@ class LeadDisplayUseCase {
             }
             
             // Calculate pagination
-            const pagination = this.calculatePagination(leadsToDisplay);
+            const pagination = serverPagination
+                ? this.calculateServerPagination(leadsToDisplay, serverPagination)
+                : this.calculatePagination(leadsToDisplay);
             
             // Store current scroll position
             const currentScroll = window.scrollY;
             
-            // Render paginated leads using renderer
-            const html = this.renderer.render(
-                pagination.paginatedLeads,
-                selectedLeads,
-                this.renderCache,
-                this.dateFormatCache
-            );
-            tableBody.innerHTML = html;
+            // Patch only changed rows, and only those inside the visible window
+            this.setRows(pagination.paginatedLeads);
             
             // Render pagination controls
             this.renderPagination(pagination.totalLeads, pagination.totalPages);
@@ -243,7 +250,7 @@ class LeadDisplayUseCase {
             });
             
             // Update UI elements
-            this.updateLeadCounts(leadsToDisplay.length, selectedLeads.size);
+            this.updateLeadCounts(pagination.totalLeads, selectedLeads.size);
             this.updateBulkActionsVisibility(selectedLeads.size > 0);
             
             // Emit completion event
@@ -282,13 +289,34 @@ class LeadDisplayUseCase {
         };
     }
     
+    /**
+     * The server already returned exactly one page - only the totals come from metadata
+     */
+    calculateServerPagination(pageLeads, serverPagination) {
+        const startIndex = (this.currentPage - 1) * this.leadsPerPage;
+        
+        return {
+            // Without a reported total, count what has been paged through so far
+            totalLeads: serverPagination.total ?? startIndex + pageLeads.length,
+            totalPages: serverPagination.totalPages,
+            startIndex,
+            endIndex: startIndex + pageLeads.length,
+            paginatedLeads: pageLeads
+        };
+    }
+    
+    getServerPagination() {
+        if (!window.leadPagination?.isServerMode()) return null;
+        return this.stateManager.getState('leadsPagination') || null;
+    }
+    
     // =========================================================================
     // UI UPDATES
     // =========================================================================
     
     updateLeadCounts(visibleCount, selectedCount) {
         const allLeads = this.stateManager.getState('leads') || [];
-        const actualTotal = allLeads.length;
+        const actualTotal = this.getServerPagination()?.total ?? allLeads.length;
         
         const resultsCount = document.getElementById('results-count');
         const totalCountEl = document.getElementById('total-count');
@@ -317,11 +345,175 @@ class LeadDisplayUseCase {
     }
     
     updateSelectionUI() {
+        // Row signatures include selection, so only rows whose state flipped are re-rendered
+        if (this.rowLeads.length > 0) {
+            this.renderWindow();
+        }
+    }
+    
+    // =========================================================================
+    // VIRTUAL ROWS
+    // =========================================================================
+    
+    setRows(leads) {
+        this.rowLeads = leads;
+        this.isVirtual = this.virtualList.shouldVirtualize(leads.length);
+        this.configureScrollContainer();
+        this.renderWindow();
+    }
+    
+    resetRows() {
+        this.rowLeads = [];
+        this.isVirtual = false;
+        this.configureScrollContainer();
+    }
+    
+    /**
+     * Virtual mode scrolls inside the table container so the window can track it
+     */
+    configureScrollContainer() {
+        const container = document.querySelector('.leads-table-container');
+        if (!container) return;
+        
+        if (this.isVirtual) {
+            container.style.maxHeight = '70vh';
+            container.style.overflowY = 'auto';
+            container.addEventListener('scroll', this.handleScroll, { passive: true });
+        } else {
+            container.style.maxHeight = '';
+            container.style.overflowY = '';
+            container.removeEventListener('scroll', this.handleScroll);
+        }
+    }
+    
+    handleScroll() {
+        if (this.scrollFrame) return;
+        
+        this.scrollFrame = requestAnimationFrame(() => {
+            this.scrollFrame = null;
+            this.renderWindow();
+        });
+    }
+    
+    renderWindow() {
+        const tableBody = document.getElementById('leads-table-body');
+        const container = document.querySelector('.leads-table-container');
+        if (!tableBody) return;
+        
+        const total = this.rowLeads.length;
+        let range = { start: 0, end: total, paddingTop: 0, paddingBottom: 0 };
+        
+        if (this.isVirtual && container) {
+            range = this.virtualList.calculateWindow({
+                scrollTop: container.scrollTop,
+                viewportHeight: container.clientHeight || window.innerHeight,
+                rowHeight: this.rowHeight,
+                totalRows: total
+            });
+        }
+        
         const selectedLeads = this.stateManager.getState('selectedLeads') || new Set();
-        const checkboxes = document.querySelectorAll('.lead-checkbox');
+        this.patchRows(tableBody, this.rowLeads.slice(range.start, range.end), range.start, selectedLeads);
+        this.updateSpacers(tableBody, range.paddingTop, range.paddingBottom);
+        
+        // Calibrate the row height from a real row once it is in the DOM
+        const measuredHeight = tableBody.querySelector('tr[data-lead-id]')?.offsetHeight;
+        if (measuredHeight > 0) {
+            this.rowHeight = measuredHeight;
+        }
+    }
+    
+    /**
+     * Keyed reconciliation: reuse rows with an unchanged signature, re-render
+     * changed ones, drop rows that left the window, and fix the order in place
+     */
+    patchRows(tableBody, windowLeads, offset, selectedLeads) {
+        const existingRows = new Map();
+        tableBody.querySelectorAll(':scope > tr[data-lead-id]').forEach(row => {
+            existingRows.set(row.dataset.leadId, row);
+        });
+        
+        // Drop loading / empty / error rows left from a previous state
+        Array.from(tableBody.children).forEach(child => {
+            if (!child.dataset.leadId && !child.dataset.spacer) child.remove();
+        });
+        
+        const currentSignatures = new Map(
+            Array.from(existingRows, ([leadId, row]) => [leadId, row.dataset.rowSignature])
+        );
+        const nextRows = windowLeads.map(lead => ({
+            key: lead.id,
+            signature: this.renderer.getRowSignature(lead, selectedLeads.has(lead.id))
+        }));
+        const { render, remove } = this.virtualList.diffRows(currentSignatures, nextRows);
+        
+        remove.forEach(leadId => existingRows.get(leadId).remove());
+        
+        // Remember focus so a re-rendered row does not steal it
+        const activeElement = document.activeElement;
+        const focusedRow = activeElement?.closest?.('#leads-table-body tr[data-lead-id]');
+        const focusedLeadId = focusedRow?.dataset.leadId;
+        const focusedSelector = activeElement?.matches?.('input') ? 'input' : 'button';
         
-        checkboxes.forEach(checkbox => {
-            checkbox.checked = selectedLeads.has(checkbox.dataset.leadId);
+        let cursor = tableBody.firstElementChild;
+        if (cursor?.dataset.spacer === 'top') cursor = cursor.nextElementSibling;
+        
+        windowLeads.forEach((lead, i) => {
+            let row = existingRows.get(lead.id);
+            
+            if (render.has(lead.id)) {
+                const freshRow = this.createRowElement(lead, selectedLeads);
+                if (row && row.parentNode) row.replaceWith(freshRow);
+                if (row === cursor) cursor = freshRow;
+                row = freshRow;
+            }
+            
+            row.dataset.rowIndex = offset + i;
+            
+            if (row === cursor) {
+                cursor = cursor.nextElementSibling;
+            } else {
+                tableBody.insertBefore(row, cursor);
+            }
+        });
+        
+        if (focusedLeadId && render.has(focusedLeadId)) {
+            tableBody.querySelector(`tr[data-lead-id="${focusedLeadId}"] ${focusedSelector}`)?.focus();
+        }
+        
+        if (render.size > 0) {
+            console.log(`🧩 [LeadDisplayUseCase] Patched ${render.size} row(s), kept ${windowLeads.length - render.size}`);
+        }
+    }
+    
+    createRowElement(lead, selectedLeads) {
+        const template = document.createElement('template');
+        template.innerHTML = this.renderer.renderRow(lead, selectedLeads, this.renderCache, this.dateFormatCache).trim();
+        return template.content.firstElementChild;
+    }
+    
+    updateSpacers(tableBody, paddingTop, paddingBottom) {
+        [['top', paddingTop], ['bottom', paddingBottom]].forEach(([position, height]) => {
+            let spacer = tableBody.querySelector(`:scope > tr[data-spacer="${position}"]`);
+            
+            if (!this.isVirtual || height <= 0) {
+                spacer?.remove();
+                return;
+            }
+            
+            if (spacer) {
+                spacer.firstElementChild.style.height = `${height}px`;
+            } else {
+                const template = document.createElement('template');
+                template.innerHTML = this.renderer.renderSpacerRow(position, height).trim();
+                spacer = template.content.firstElementChild;
+            }
+            
+            if (position === 'top' && tableBody.firstElementChild !== spacer) {
+                tableBody.prepend(spacer);
+            } else if (position === 'bottom' && tableBody.lastElementChild !== spacer) {
+                tableBody.append(spacer);
+            }
         });
     }
     
@@ -352,7 +544,30 @@ class LeadDisplayUseCase {
         paginationControls.innerHTML = paginationHTML;
     }
     
+    setPageSize(pageSize, { render = true } = {}) {
+        if (!Number.isFinite(pageSize) || pageSize < 1 || pageSize === this.leadsPerPage) return;
+        
+        this.leadsPerPage = pageSize;
+        this.currentPage = 1;
+        
+        const pageSizeSelect = document.getElementById('page-size-select');
+        if (pageSizeSelect) pageSizeSelect.value = String(pageSize);
+        
+        if (render) {
+            if (window.leadPagination?.isServerMode()) {
+                window.leadPagination.setQuery({ pageSize });
+            } else {
+                this.displayLeads();
+            }
+        }
+    }
+    
     goToPage(pageNumber) {
+        if (window.leadPagination?.isServerMode()) {
+            window.leadPagination.goToPage(pageNumber);
+            return;
+        }
+        
         const leadsToDisplay = this.stateManager.getState('visibleLeads') || 
                               this.stateManager.getState('filteredLeads') || 
                               this.stateManager.getState('leads') || [];
@@ -376,11 +591,13 @@ class LeadDisplayUseCase {
     // =========================================================================
     
     renderLoadingState(tableBody) {
+        this.resetRows();
         const html = this.renderer.renderLoadingState();
         tableBody.innerHTML = html;
     }
     
     renderEmptyState(tableBody) {
+        this.resetRows();
         const html = this.renderer.renderEmptyState();
         tableBody.innerHTML = html;
     }
@@ -389,6 +606,7 @@ class LeadDisplayUseCase {
         const tableBody = document.getElementById('leads-table-body');
         if (!tableBody) return;
         
+        this.resetRows();
         const html = this.renderer.renderErrorState();
         tableBody.innerHTML = html;
     }
@@ -411,18 +629,26 @@ class LeadDisplayUseCase {
     
     handleKeyboardNavigation(event) {
         const { key, target } = event;
-        const currentRow = target.closest('tr');
+        const currentRow = target.closest('tr[data-lead-id]');
         if (!currentRow) return;
         
         switch (key) {
             case 'ArrowDown':
-                event.preventDefault();
-                currentRow.nextElementSibling?.querySelector('input, button')?.focus();
-                break;
             case 'ArrowUp':
+            case 'PageDown':
+            case 'PageUp':
+            case 'Home':
+            case 'End': {
+                // Navigate by list index, not DOM sibling, so it crosses the virtual window
+                const index = parseInt(currentRow.dataset.rowIndex, 10);
+                const pageStep = Math.max(1, Math.floor((document.querySelector('.leads-table-container')?.clientHeight || 0) / this.rowHeight));
+                const targetIndex = this.virtualList.getNavigationTarget(index, key, this.rowLeads.length, pageStep);
+                if (Number.isNaN(index) || targetIndex === null) return;
+                
                 event.preventDefault();
-                currentRow.previousElementSibling?.querySelector('input, button')?.focus();
+                this.focusRow(targetIndex, target.matches('input') ? 'input' : 'button');
                 break;
+            }
             case 'Space':
                 if (target.type === 'checkbox') {
                     event.preventDefault();
@@ -433,6 +659,27 @@ class LeadDisplayUseCase {
         }
     }
     
+    focusRow(index, selector = 'input') {
+        const container = document.querySelector('.leads-table-container');
+        
+        if (this.isVirtual && container) {
+            const scrollTop = this.virtualList.getScrollTopForRow({
+                index,
+                scrollTop: container.scrollTop,
+                viewportHeight: container.clientHeight,
+                rowHeight: this.rowHeight
+            });
+            
+            if (scrollTop !== null) {
+                container.scrollTop = scrollTop;
+                this.renderWindow();
+            }
+        }
+        
+        const row = document.querySelector(`#leads-table-body tr[data-row-index="${index}"]`);
+        (row?.querySelector(selector) || row?.querySelector('input, button'))?.focus();
+    }
+    
     // =========================================================================
     // CLEANUP
     // =========================================================================
@@ -444,7 +691,11 @@ class LeadDisplayUseCase {
         if (this.renderTimeout) {
             clearTimeout(this.renderTimeout);
         }
+        if (this.scrollFrame) {
+            cancelAnimationFrame(this.scrollFrame);
+        }
         
+        document.querySelector('.leads-table-container')?.removeEventListener('scroll', this.handleScroll);
         this.renderCache.clear();
         this.dateFormatCache.clear();
         
@@ -0,0 +1,516 @@
+// =============================================================================
+// LEAD EXPORT USE CASE - Orchestration Layer
+// Path: /public/pages/app/dashboard/application/leads/LeadExportUseCase.js
+// Dependencies: LeadExportService, LeadQueryService, ExportModal, LeadsAPI, BusinessAPI, LeadManager, StateManager, EventBus
+// =============================================================================
+
+/**
+ * @class LeadExportUseCase
+ * @description Export dialog for leads
+ *
+ * Responsibilities:
+ * - Collect the leads for a scope: selected, loaded rows, or everything matching the current filter
+ * - Fetch full analysis payloads when nested analysis columns are picked
+ * - Write CSV, XLSX, JSON Lines or a per-lead PDF dossier
+ * - Store column presets per business in business settings (`lead_export_presets`)
+ */
+class LeadExportUseCase {
+    constructor() {
+        // Core dependencies
+        this.eventBus = window.OsliraEventBus;
+        this.stateManager = window.OsliraStateManager;
+
+        // Injected services
+        this.exportService = new window.LeadExportService();
+        this.queryService = new window.LeadQueryService();
+        this.modal = new window.ExportModal(this.exportService);
+
+        if (!this.eventBus || !this.stateManager) {
+            throw new Error('[LeadExportUseCase] Missing required Core dependencies');
+        }
+
+        this.settingsKey = 'lead_export_presets';
+        this.pageSize = 100;
+        this.maxRows = 5000;
+        this.maxDossierLeads = 200;
+        this.payloadConcurrency = 4;
+
+        this.libraries = {
+            XLSX: 'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js',
+            jspdf: 'https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js'
+        };
+        this.libraryPromises = {};
+
+        this.presets = null;
+        this.lastSelection = { format: 'csv', columns: this.exportService.getDefaultColumnKeys() };
+        this.isExporting = false;
+
+        console.log('🚀 [LeadExportUseCase] Initialized');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get leadsAPI() {
+        return window.OsliraLeadsAPI;
+    }
+
+    get businessAPI() {
+        return window.OsliraBusinessAPI;
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        try {
+            this.setupEventListeners();
+            this.exposeGlobalHandlers();
+
+            // Make available globally for the leads table
+            window.leadExport = this;
+
+            console.log('✅ [LeadExportUseCase] Event listeners initialized');
+            return true;
+
+        } catch (error) {
+            console.error('❌ [LeadExportUseCase] Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    setupEventListeners() {
+        // Presets are per business - reload on next open
+        this.eventBus.on(window.DASHBOARD_EVENTS.BUSINESS_CHANGED, () => {
+            this.presets = null;
+        });
+    }
+
+    exposeGlobalHandlers() {
+        window.openExportModal = (scope) => this.open(scope);
+        window.closeExportModal = () => this.modal.close();
+        window.runLeadExport = () => this.run();
+        window.applyExportPreset = (presetId) => this.applyPreset(presetId);
+        window.saveExportPreset = () => this.savePresetFromModal();
+        window.deleteExportPreset = (presetId) => this.deletePreset(presetId);
+    }
+
+    getBusinessId() {
+        return this.stateManager.getState('business.selected')?.id ||
+               this.stateManager.getState('selectedBusiness')?.id ||
+               localStorage.getItem('selectedBusinessId');
+    }
+
+    // =========================================================================
+    // DIALOG
+    // =========================================================================
+
+    async open(scope = 'filter') {
+        await this.loadPresets();
+
+        const selectedCount = (this.stateManager.getState('selectedLeads') || new Set()).size;
+
+        this.modal.open({
+            scope: scope === 'selected' && selectedCount === 0 ? 'filter' : scope,
+            counts: {
+                selected: selectedCount,
+                loaded: this.getLoadedLeads().length,
+                filter: window.leadPagination?.isServerMode() ? window.leadPagination.total : null
+            },
+            presets: this.presets,
+            format: this.lastSelection.format,
+            columns: this.lastSelection.columns
+        });
+    }
+
+    applyPreset(presetId) {
+        const preset = (this.presets || []).find(p => p.id === presetId);
+        if (!preset) return;
+
+        this.modal.setSelection({ format: preset.format, columns: preset.columns });
+    }
+
+    // =========================================================================
+    // EXPORT
+    // =========================================================================
+
+    async run() {
+        if (this.isExporting) return;
+
+        const { scope, format, columns } = this.modal.readSelection();
+        if (columns.length === 0) {
+            this.modal.showError('Pick at least one column to export');
+            return;
+        }
+
+        this.isExporting = true;
+        this.lastSelection = { format, columns };
+        this.modal.setBusy(true, 'Collecting leads…');
+
+        try {
+            const needsPayload = this.exportService.needsPayload(columns);
+            let leads = await this.collectLeads(scope, { includePayloads: needsPayload });
+
+            if (leads.length === 0) {
+                throw new Error('No leads match this export');
+            }
+
+            if (format === 'pdf' && leads.length > this.maxDossierLeads) {
+                throw new Error(`PDF dossiers are limited to ${this.maxDossierLeads} leads - narrow the filter or pick another format`);
+            }
+
+            if (needsPayload) {
+                leads = await this.enrichWithPayloads(leads);
+            }
+
+            this.modal.setBusy(true, `Writing ${leads.length} leads…`);
+            const filename = this.exportService.buildFilename(scope, format);
+            await this.writeFile(format, leads, columns, filename);
+
+            this.modal.close();
+            this.eventBus.emit('leads:exported', { scope, format, count: leads.length, columns });
+            window.OsliraApp?.showMessage?.(`Exported ${leads.length} lead${leads.length !== 1 ? 's' : ''} as ${this.exportService.formats[format].label}`, 'success');
+
+            console.log(`✅ [LeadExportUseCase] Exported ${leads.length} leads (${scope}, ${format})`);
+
+        } catch (error) {
+            console.error('❌ [LeadExportUseCase] Export failed:', error);
+            this.modal.setBusy(false);
+            this.modal.showError(error.message);
+
+        } finally {
+            this.isExporting = false;
+        }
+    }
+
+    // =========================================================================
+    // COLLECTING LEADS
+    // =========================================================================
+
+    getLoadedLeads() {
+        if (window.leadPagination?.isServerMode()) {
+            return this.stateManager.getState('visibleLeads') || [];
+        }
+
+        const filteredLeads = this.stateManager.getState('filteredLeads');
+        return filteredLeads || this.stateManager.getState('leads') || [];
+    }
+
+    getSelectedLeads() {
+        const selectedLeads = this.stateManager.getState('selectedLeads') || new Set();
+        const byId = new Map();
+
+        [...(this.stateManager.getState('leads') || []), ...(this.stateManager.getState('visibleLeads') || [])]
+            .forEach(lead => byId.set(lead.id, lead));
+
+        return Array.from(selectedLeads).map(id => byId.get(id)).filter(Boolean);
+    }
+
+    async collectLeads(scope, { includePayloads = false } = {}) {
+        switch (scope) {
+            case 'selected':
+                return this.getSelectedLeads();
+            case 'loaded':
+                return this.getLoadedLeads();
+            case 'filter':
+                return this.fetchAllMatching({ includePayloads });
+            default:
+                throw new Error(`Unknown export scope: ${scope}`);
+        }
+    }
+
+    /**
+     * Page through every lead matching the table's current query -
+     * not only the rows that happen to be loaded
+     */
+    async fetchAllMatching({ includePayloads = false } = {}) {
+        const businessId = this.getBusinessId();
+        if (!businessId) throw new Error('No business selected');
+
+        const leadsTable = window.LeadsTable;
+        const query = window.leadPagination?.query || {
+            sort: leadsTable?.currentSort,
+            platform: leadsTable?.currentPlatform,
+            filters: window.FilterModal?.getFilters?.() || {}
+        };
+        const request = this.queryService.buildRequest(query);
+
+        const leads = [];
+        let cursor = null;
+
+        do {
+            const options = {
+                limit: this.pageSize,
+                cursor,
+                sortBy: request.sortBy,
+                sortOrder: request.sortOrder,
+                includePayloads
+            };
+
+            const page = request.hasFilters
+                ? await this.leadsAPI.filterLeads(businessId, request.filters, options)
+                : await this.leadsAPI.fetchLeads(businessId, options);
+
+            leads.push(...page.leads);
+            cursor = page.hasMore ? page.nextCursor : null;
+
+            this.modal.setBusy(true, `Collecting leads… ${leads.length}${page.total !== null ? ` of ${page.total}` : ''}`);
+
+        } while (cursor && leads.length < this.maxRows);
+
+        if (cursor) {
+            console.warn(`⚠️ [LeadExportUseCase] Export capped at ${this.maxRows} leads`);
+            window.OsliraApp?.showMessage?.(`Only the first ${this.maxRows} matching leads were exported`, 'warning');
+        }
+
+        const capped = leads.slice(0, this.maxRows);
+        return window.LeadManager?.processLeadData ? window.LeadManager.processLeadData(capped) : capped;
+    }
+
+    /**
+     * Table rows only carry run scores; load the full lead for any row whose
+     * payload is missing
+     */
+    async enrichWithPayloads(leads) {
+        const missing = leads.filter(lead => !this.exportService.getPayload(lead));
+        if (missing.length === 0 || !window.LeadManager?.viewLead) return leads;
+
+        const enriched = new Map();
+        let done = 0;
+        let index = 0;
+
+        const worker = async () => {
+            while (index < missing.length) {
+                const lead = missing[index++];
+                try {
+                    const { lead: details } = await window.LeadManager.viewLead(lead.id);
+                    enriched.set(lead.id, { ...lead, runs: details.runs || lead.runs });
+                } catch (error) {
+                    console.warn(`⚠️ [LeadExportUseCase] No analysis payload for @${lead.username}:`, error.message);
+                }
+                done++;
+                this.modal.setBusy(true, `Loading analysis details… ${done} of ${missing.length}`);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.payloadConcurrency, missing.length) }, worker));
+
+        return leads.map(lead => enriched.get(lead.id) || lead);
+    }
+
+    // =========================================================================
+    // FILE WRITERS
+    // =========================================================================
+
+    async writeFile(format, leads, columns, filename) {
+        const mimeType = this.exportService.formats[format].mimeType;
+
+        switch (format) {
+            case 'csv':
+                // BOM so Excel opens UTF-8 names and bios correctly
+                this.downloadFile('\uFEFF' + this.exportService.toCSV(this.exportService.buildTable(leads, columns)), filename, mimeType);
+                break;
+            case 'jsonl':
+                this.downloadFile(this.exportService.toJSONLines(leads, columns), filename, mimeType);
+                break;
+            case 'xlsx':
+                await this.writeXlsx(leads, columns, filename);
+                break;
+            case 'pdf':
+                await this.writePdf(leads, columns, filename);
+                break;
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+
+    async writeXlsx(leads, columns, filename) {
+        const XLSX = await this.loadLibrary('XLSX');
+        const { headers, rows } = this.exportService.buildTable(leads, columns);
+
+        const sheet = XLSX.utils.aoa_to_sheet([headers, ...rows]);
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, sheet, 'Leads');
+        XLSX.writeFile(workbook, filename);
+    }
+
+    async writePdf(leads, columns, filename) {
+        const { jsPDF } = await this.loadLibrary('jspdf');
+        const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+
+        const margin = 48;
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const textWidth = pageWidth - margin * 2;
+        let y = margin;
+
+        const ensureSpace = (height) => {
+            if (y + height > pageHeight - margin) {
+                doc.addPage();
+                y = margin;
+            }
+        };
+
+        leads.forEach((lead, index) => {
+            if (index > 0) {
+                doc.addPage();
+                y = margin;
+            }
+
+            const dossier = this.exportService.buildDossier(lead, columns);
+
+            doc.setFont('helvetica', 'bold').setFontSize(20).setTextColor(17, 24, 39);
+            doc.text(dossier.title, margin, y);
+            y += 20;
+
+            if (dossier.subtitle) {
+                doc.setFont('helvetica', 'normal').setFontSize(11).setTextColor(107, 114, 128);
+                doc.text(dossier.subtitle, margin, y);
+                y += 16;
+            }
+            y += 12;
+
+            dossier.sections.forEach(section => {
+                ensureSpace(40);
+                doc.setFont('helvetica', 'bold').setFontSize(13).setTextColor(79, 70, 229);
+                doc.text(section.heading, margin, y);
+                y += 18;
+
+                section.fields.forEach(field => {
+                    const lines = doc.splitTextToSize(field.value, textWidth);
+                    ensureSpace(14 + Math.min(lines.length, 3) * 13);
+
+                    doc.setFont('helvetica', 'bold').setFontSize(9).setTextColor(107, 114, 128);
+                    doc.text(field.label.toUpperCase(), margin, y);
+                    y += 13;
+
+                    doc.setFont('helvetica', 'normal').setFontSize(10).setTextColor(31, 41, 55);
+                    lines.forEach(line => {
+                        ensureSpace(13);
+                        doc.text(line, margin, y);
+                        y += 13;
+                    });
+                    y += 6;
+                });
+
+                y += 10;
+            });
+        });
+
+        doc.save(filename);
+    }
+
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * SheetJS and jsPDF are only fetched the first time someone exports that format
+     */
+    loadLibrary(globalName) {
+        if (window[globalName]) return Promise.resolve(window[globalName]);
+
+        if (!this.libraryPromises[globalName]) {
+            this.libraryPromises[globalName] = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.libraries[globalName];
+                script.async = true;
+                script.onload = () => resolve(window[globalName]);
+                script.onerror = () => {
+                    this.libraryPromises[globalName] = null;
+                    reject(new Error('Could not load the export library. Please try CSV instead.'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+
+        return this.libraryPromises[globalName];
+    }
+
+    // =========================================================================
+    // PRESETS
+    // =========================================================================
+
+    async loadPresets() {
+        if (this.presets) return this.presets;
+
+        const businessId = this.getBusinessId();
+        if (!businessId || !this.businessAPI) {
+            this.presets = [];
+            return this.presets;
+        }
+
+        try {
+            const settings = await this.businessAPI.getBusinessSettings(businessId);
+            this.presets = this.exportService.normalizePresets(settings?.[this.settingsKey]);
+        } catch (error) {
+            console.warn('⚠️ [LeadExportUseCase] Could not load export presets:', error);
+            this.presets = [];
+        }
+
+        return this.presets;
+    }
+
+    async savePresetFromModal() {
+        const name = this.modal.readPresetName();
+        if (!name) {
+            this.modal.showError('Give the preset a name');
+            return;
+        }
+
+        if ((this.presets || []).some(preset => preset.name.toLowerCase() === name.toLowerCase())) {
+            this.modal.showError(`A preset named "${name}" already exists`);
+            return;
+        }
+
+        const { format, columns } = this.modal.readSelection();
+        const preset = this.exportService.createPreset(name, columns, format, window.OsliraUserService?.getUserId?.());
+
+        try {
+            await this.persistPresets([...(this.presets || []), preset]);
+            this.modal.renderPresets(this.presets, preset.id);
+            window.OsliraApp?.showMessage?.(`Saved preset "${preset.name}"`, 'success');
+        } catch (error) {
+            console.error('❌ [LeadExportUseCase] Failed to save preset:', error);
+            this.modal.showError('Could not save the preset');
+        }
+    }
+
+    async deletePreset(presetId) {
+        try {
+            await this.persistPresets((this.presets || []).filter(preset => preset.id !== presetId));
+            this.modal.renderPresets(this.presets);
+        } catch (error) {
+            console.error('❌ [LeadExportUseCase] Failed to delete preset:', error);
+            this.modal.showError('Could not delete the preset');
+        }
+    }
+
+    async persistPresets(presets) {
+        const businessId = this.getBusinessId();
+        if (!businessId) throw new Error('No business selected');
+
+        const settings = await this.businessAPI.updateBusinessSettings(businessId, { [this.settingsKey]: presets });
+        this.presets = this.exportService.normalizePresets(settings?.[this.settingsKey] || presets);
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadExportUseCase = LeadExportUseCase;
+
+console.log('✅ [LeadExportUseCase] Loaded');
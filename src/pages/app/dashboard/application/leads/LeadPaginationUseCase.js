@@ -0,0 +1,334 @@
+// =============================================================================
+// LEAD PAGINATION USE CASE - Orchestration Layer
+// Path: /public/pages/app/dashboard/application/leads/LeadPaginationUseCase.js
+// Dependencies: LeadQueryService, LeadsAPI, LeadManager, LeadRenderer, StateManager, EventBus
+// =============================================================================
+
+/**
+ * @class LeadPaginationUseCase
+ * @description Server-side paging, sorting and filtering for the leads table
+ *
+ * Responsibilities:
+ * - Fetch one page at a time through LeadsAPI.fetchLeads / filterLeads (cursor based)
+ * - Remember page cursors so Previous / page numbers are cache hits in ApiClient
+ * - Publish the page as 'visibleLeads' (and as the loaded 'leads') and its metadata as 'leadsPagination'
+ * - Stand in for LeadManager's unpaged dashboard query while server mode is on
+ * - Reconcile realtime inserts / updates / deletes with the loaded page
+ */
+class LeadPaginationUseCase {
+    constructor() {
+        // Core dependencies
+        this.eventBus = window.OsliraEventBus;
+        this.stateManager = window.OsliraStateManager;
+
+        // Injected services
+        this.queryService = new window.LeadQueryService();
+
+        if (!this.eventBus || !this.stateManager) {
+            throw new Error('[LeadPaginationUseCase] Missing required Core dependencies');
+        }
+
+        this.enabled = false;
+        this.query = this.queryService.getDefaultQuery();
+        this.pageSize = 10;
+        this.currentPage = 1;
+
+        // cursors[n] is the cursor for page n + 1 (page 1 has no cursor)
+        this.cursors = [null];
+        this.total = null;
+        this.hasMore = false;
+        this.isLoading = false;
+
+        // Guards against out-of-order responses
+        this.queryVersion = 0;
+        this.requestId = 0;
+
+        this.realtimeTimeout = null;
+
+        console.log('🚀 [LeadPaginationUseCase] Initialized');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get leadsAPI() {
+        return window.OsliraLeadsAPI;
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        try {
+            this.setupEventListeners();
+
+            // Make available globally for the table, filters and saved views
+            window.leadPagination = this;
+            this.enabled = true;
+
+            this.pageSize = window.leadRenderer?.leadsPerPage || this.pageSize;
+
+            if (this.getBusinessId()) {
+                await this.loadPage(1);
+            }
+
+            console.log('✅ [LeadPaginationUseCase] Event listeners initialized');
+            return true;
+
+        } catch (error) {
+            console.error('❌ [LeadPaginationUseCase] Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    setupEventListeners() {
+        this.eventBus.on(window.DASHBOARD_EVENTS.BUSINESS_CHANGED, () => {
+            this.resetCursors();
+            this.loadPage(1);
+        });
+
+        // A full load that ran before paging took over - replace its rows with the page
+        this.eventBus.on(window.DASHBOARD_EVENTS.DATA_LOADED, ({ source } = {}) => {
+            if (source !== 'page') {
+                this.loadPage(this.currentPage, { fresh: true });
+            }
+        });
+
+        this.eventBus.on(window.DASHBOARD_EVENTS.REALTIME_UPDATE, (data) => {
+            this.handleRealtimeUpdate(data);
+        });
+
+        // Keep board/table moves in sync without refetching
+        this.eventBus.on(window.DASHBOARD_EVENTS.LEAD_STATUS_CHANGED, ({ leadId, status }) => {
+            const visibleLeads = this.stateManager.getState('visibleLeads') || [];
+            if (visibleLeads.some(lead => lead.id === leadId)) {
+                this.stateManager.setState('visibleLeads',
+                    visibleLeads.map(lead => lead.id === leadId ? { ...lead, status } : lead));
+                window.leadRenderer?.displayLeads();
+            }
+        });
+    }
+
+    isServerMode() {
+        return this.enabled;
+    }
+
+    getBusinessId() {
+        return this.stateManager.getState('business.selected')?.id ||
+               this.stateManager.getState('selectedBusiness')?.id ||
+               localStorage.getItem('selectedBusinessId');
+    }
+
+    // =========================================================================
+    // QUERY
+    // =========================================================================
+
+    /**
+     * Merge a partial query ({ sort, platform, filters, pageSize }) and reload from page 1
+     */
+    setQuery({ pageSize, ...query } = {}) {
+        this.query = { ...this.query, ...query };
+
+        if (Number.isFinite(pageSize) && pageSize > 0) {
+            this.pageSize = pageSize;
+        }
+
+        this.resetCursors();
+        return this.loadPage(1);
+    }
+
+    resetCursors() {
+        this.queryVersion++;
+        this.cursors = [null];
+        this.total = null;
+        this.hasMore = false;
+        this.currentPage = 1;
+    }
+
+    // =========================================================================
+    // PAGE LOADING
+    // =========================================================================
+
+    async goToPage(pageNumber) {
+        if (pageNumber < 1 || pageNumber > this.getTotalPages()) return;
+
+        // Walk forward to discover cursors for pages not visited yet
+        const version = this.queryVersion;
+        while (this.cursors.length < pageNumber && this.hasMore) {
+            await this.fetchPage(this.cursors.length);
+            if (version !== this.queryVersion) return;
+        }
+
+        if (pageNumber > this.cursors.length) return;
+
+        const tableContainer = document.querySelector('.leads-table-container');
+        if (tableContainer) {
+            tableContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+
+        await this.loadPage(pageNumber);
+    }
+
+    async fetchPage(pageNumber, { fresh = false } = {}) {
+        const businessId = this.getBusinessId();
+        if (!businessId) throw new Error('No business selected');
+
+        if (fresh) {
+            this.leadsAPI.clearLeadsCache();
+        }
+
+        const version = this.queryVersion;
+        const request = this.queryService.buildRequest(this.query);
+        const options = {
+            limit: this.pageSize,
+            cursor: this.cursors[pageNumber - 1] || null,
+            sortBy: request.sortBy,
+            sortOrder: request.sortOrder
+        };
+
+        const page = request.hasFilters
+            ? await this.leadsAPI.filterLeads(businessId, request.filters, options)
+            : await this.leadsAPI.fetchLeads(businessId, options);
+
+        // The query changed while this page was in flight
+        if (version !== this.queryVersion) return page;
+
+        if (page.nextCursor) {
+            this.cursors[pageNumber] = page.nextCursor;
+        } else {
+            this.cursors.length = pageNumber;
+        }
+
+        this.hasMore = !!page.nextCursor && page.hasMore !== false;
+        if (page.total !== null) this.total = page.total;
+
+        return page;
+    }
+
+    async loadPage(pageNumber, { fresh = false } = {}) {
+        if (!this.enabled) return;
+
+        const requestId = ++this.requestId;
+        this.isLoading = true;
+        this.publishPaginationState();
+
+        try {
+            const page = await this.fetchPage(pageNumber, { fresh });
+            if (requestId !== this.requestId) return;
+
+            const leads = window.LeadManager?.processLeadData
+                ? window.LeadManager.processLeadData(page.leads)
+                : page.leads;
+
+            this.currentPage = pageNumber;
+            this.isLoading = false;
+
+            // The page is the loaded lead set, so the pipeline, selection and export see the table's rows
+            this.stateManager.batchUpdate({
+                'visibleLeads': leads,
+                'leads': leads,
+                'allLeads': leads,
+                'filteredLeads': leads,
+                'leadsPagination': this.getPaginationState()
+            });
+
+            if (window.leadRenderer) {
+                window.leadRenderer.currentPage = pageNumber;
+                window.leadRenderer.displayLeads();
+            }
+
+            console.log(`✅ [LeadPaginationUseCase] Page ${pageNumber}: ${leads.length} leads${this.total !== null ? ` of ${this.total}` : ''}`);
+
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+
+            this.isLoading = false;
+            this.publishPaginationState();
+
+            console.error('❌ [LeadPaginationUseCase] Page load failed:', error);
+            window.OsliraApp?.showMessage?.(`Could not load leads: ${error.message}`, 'error');
+        }
+    }
+
+    getTotalPages() {
+        return this.queryService.calculateTotalPages({
+            total: this.total,
+            pageSize: this.pageSize,
+            knownPages: this.cursors.length
+        });
+    }
+
+    getPaginationState() {
+        return {
+            mode: 'server',
+            page: this.currentPage,
+            pageSize: this.pageSize,
+            total: this.total,
+            totalPages: this.getTotalPages(),
+            hasMore: this.hasMore,
+            isLoading: this.isLoading
+        };
+    }
+
+    publishPaginationState() {
+        this.stateManager.setState('leadsPagination', this.getPaginationState());
+    }
+
+    // =========================================================================
+    // REALTIME
+    // =========================================================================
+
+    handleRealtimeUpdate({ eventType, newRecord, oldRecord } = {}) {
+        if (!this.enabled) return;
+
+        const record = newRecord || oldRecord;
+        const pageLeadIds = (this.stateManager.getState('visibleLeads') || []).map(lead => lead.id);
+
+        const action = this.queryService.classifyRealtimeChange({
+            eventType,
+            leadId: record?.lead_id || record?.id,
+            pageLeadIds,
+            currentPage: this.currentPage,
+            query: this.query
+        });
+
+        // Any change makes cached pages stale
+        this.leadsAPI?.clearLeadsCache();
+
+        if (action === 'count' && this.total !== null) {
+            this.total = Math.max(0, this.total + (eventType === 'INSERT' ? 1 : -1));
+            this.publishPaginationState();
+            window.leadRenderer?.displayLeads();
+        }
+
+        if (action === 'refetch') {
+            // Inserts wait for the analysis run to land, like RealtimeManager's refresh
+            clearTimeout(this.realtimeTimeout);
+            this.realtimeTimeout = setTimeout(() => {
+                this.realtimeTimeout = null;
+                this.loadPage(this.currentPage);
+            }, eventType === 'INSERT' ? 3000 : 500);
+        }
+    }
+
+    // =========================================================================
+    // CLEANUP
+    // =========================================================================
+
+    cleanup() {
+        clearTimeout(this.realtimeTimeout);
+        this.enabled = false;
+        this.resetCursors();
+
+        console.log('🧹 [LeadPaginationUseCase] Cleanup completed');
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadPaginationUseCase = LeadPaginationUseCase;
+
+console.log('✅ [LeadPaginationUseCase] Loaded');
@@ -0,0 +1,341 @@
+// =============================================================================
+// LEAD PIPELINE USE CASE - Orchestration Layer
+// Path: /public/pages/app/dashboard/application/leads/LeadPipelineUseCase.js
+// Dependencies: LeadPipelineService, LeadPipelineRenderer, LeadService, LeadManager, StateManager, EventBus
+// =============================================================================
+
+/**
+ * @class LeadPipelineUseCase
+ * @description Orchestrates the Kanban board view of leads
+ *
+ * Responsibilities:
+ * - Table / board toggle, remembered per business
+ * - Per-business stage configuration (labels, visibility)
+ * - Drag-and-drop (and keyboard) moves persisted through LeadManager
+ * - Re-render the board when lead state changes
+ */
+class LeadPipelineUseCase {
+    constructor() {
+        // Core dependencies
+        this.eventBus = window.OsliraEventBus;
+        this.stateManager = window.OsliraStateManager;
+
+        // Injected services
+        this.pipelineService = new window.LeadPipelineService();
+        this.renderer = new window.LeadPipelineRenderer(new window.LeadService());
+
+        if (!this.eventBus || !this.stateManager) {
+            throw new Error('[LeadPipelineUseCase] Missing required Core dependencies');
+        }
+
+        this.viewMode = 'table';
+        this.stages = this.pipelineService.resolveStages();
+        this.pendingLeadIds = new Set();
+        this.draggedLeadId = null;
+        this.renderTimeout = null;
+
+        console.log('🚀 [LeadPipelineUseCase] Initialized');
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        try {
+            this.setupStateSubscriptions();
+            this.setupDragAndDrop();
+            this.setupKeyboardMoves();
+            this.exposeGlobalHandlers();
+            this.restoreForBusiness();
+
+            console.log('✅ [LeadPipelineUseCase] Event listeners initialized');
+            return true;
+
+        } catch (error) {
+            console.error('❌ [LeadPipelineUseCase] Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    setupStateSubscriptions() {
+        ['leads', 'filteredLeads'].forEach(key => {
+            this.stateManager.subscribe(key, () => {
+                if (this.viewMode === 'board') this.scheduleRender();
+            });
+        });
+
+        this.eventBus.on(window.DASHBOARD_EVENTS.BUSINESS_CHANGED, () => this.restoreForBusiness());
+    }
+
+    exposeGlobalHandlers() {
+        window.setLeadsView = (mode) => this.setViewMode(mode);
+
+        window.togglePipelineStageSettings = () => {
+            const panel = document.getElementById('pipeline-stage-settings');
+            if (!panel) return;
+
+            if (panel.classList.contains('hidden')) {
+                panel.innerHTML = this.renderer.renderStageSettings(this.stages);
+                panel.classList.remove('hidden');
+            } else {
+                panel.classList.add('hidden');
+            }
+        };
+
+        document.addEventListener('change', (e) => {
+            if (e.target.closest('#pipeline-stage-settings')) {
+                this.saveStageSettingsFromPanel();
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            const panel = document.getElementById('pipeline-stage-settings');
+            if (panel && !panel.classList.contains('hidden') &&
+                !e.target.closest('#pipeline-stage-settings') && !e.target.closest('#pipeline-stages-btn')) {
+                panel.classList.add('hidden');
+            }
+        });
+    }
+
+    // =========================================================================
+    // PER-BUSINESS PREFERENCES
+    // =========================================================================
+
+    getBusinessId() {
+        return this.stateManager.getState('business.selected')?.id ||
+               this.stateManager.getState('selectedBusiness')?.id ||
+               localStorage.getItem('selectedBusinessId') ||
+               'default';
+    }
+
+    getStorageKey(name) {
+        return `oslira_${name}_${this.getBusinessId()}`;
+    }
+
+    readPreference(name, fallback) {
+        try {
+            const stored = localStorage.getItem(this.getStorageKey(name));
+            return stored ? JSON.parse(stored) : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    writePreference(name, value) {
+        try {
+            localStorage.setItem(this.getStorageKey(name), JSON.stringify(value));
+        } catch (error) {
+            console.warn('⚠️ [LeadPipelineUseCase] Could not save preference:', name, error);
+        }
+    }
+
+    restoreForBusiness() {
+        this.stages = this.pipelineService.resolveStages(this.readPreference('pipeline_stages', []));
+        this.setViewMode(this.readPreference('leads_view', 'table'), { persist: false });
+    }
+
+    saveStageSettingsFromPanel() {
+        const panel = document.getElementById('pipeline-stage-settings');
+        if (!panel) return;
+
+        const overrides = this.stages.map(stage => ({
+            key: stage.key,
+            label: panel.querySelector(`[data-stage-label="${stage.key}"]`)?.value || stage.label,
+            visible: panel.querySelector(`[data-stage-visible="${stage.key}"]`)?.checked ?? stage.visible
+        }));
+
+        this.stages = this.pipelineService.resolveStages(overrides);
+        this.writePreference('pipeline_stages', overrides);
+        this.renderBoard();
+    }
+
+    // =========================================================================
+    // VIEW MODE
+    // =========================================================================
+
+    setViewMode(mode, { persist = true } = {}) {
+        this.viewMode = mode === 'board' ? 'board' : 'table';
+        const isBoard = this.viewMode === 'board';
+
+        document.querySelector('.leads-table-container')?.classList.toggle('hidden', isBoard);
+        document.getElementById('leads-table-footer')?.classList.toggle('hidden', isBoard);
+        document.querySelector('.leads-board-container')?.classList.toggle('hidden', !isBoard);
+        document.getElementById('pipeline-stages-btn')?.classList.toggle('hidden', !isBoard);
+
+        document.querySelectorAll('[data-leads-view]').forEach(button => {
+            const isActive = button.dataset.leadsView === this.viewMode;
+            button.setAttribute('aria-pressed', String(isActive));
+            button.classList.toggle('bg-white', isActive);
+            button.classList.toggle('shadow-sm', isActive);
+            button.classList.toggle('text-gray-900', isActive);
+            button.classList.toggle('text-gray-500', !isActive);
+        });
+
+        if (persist) {
+            this.writePreference('leads_view', this.viewMode);
+        }
+
+        if (isBoard) {
+            this.renderBoard();
+        }
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+
+    scheduleRender() {
+        clearTimeout(this.renderTimeout);
+        this.renderTimeout = setTimeout(() => {
+            this.renderTimeout = null;
+            this.renderBoard();
+        }, 50);
+    }
+
+    renderBoard() {
+        const container = document.querySelector('.leads-board-container');
+        if (!container || this.viewMode !== 'board') return;
+
+        const leads = this.stateManager.getState('filteredLeads') || this.stateManager.getState('leads') || [];
+
+        if (leads.length === 0) {
+            container.innerHTML = this.renderer.renderEmptyState();
+            return;
+        }
+
+        const columns = this.pipelineService.buildColumns(leads, this.stages);
+        container.innerHTML = this.renderer.renderBoard(columns, this.pendingLeadIds, this.canEditLeads());
+    }
+
+    // =========================================================================
+    // DRAG AND DROP
+    // =========================================================================
+
+    setupDragAndDrop() {
+        document.addEventListener('dragstart', (e) => {
+            const card = e.target.closest?.('.pipeline-card');
+            if (!card) return;
+
+            if (!this.canEditLeads()) {
+                e.preventDefault();
+                return;
+            }
+
+            this.draggedLeadId = card.dataset.leadId;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.draggedLeadId);
+            card.classList.add('opacity-50');
+        });
+
+        document.addEventListener('dragend', (e) => {
+            e.target.closest?.('.pipeline-card')?.classList.remove('opacity-50');
+            this.draggedLeadId = null;
+            this.clearDropHighlight();
+        });
+
+        document.addEventListener('dragover', (e) => {
+            const dropzone = e.target.closest?.('.pipeline-dropzone');
+            if (!dropzone || !this.draggedLeadId) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            this.clearDropHighlight();
+            dropzone.classList.add('bg-blue-50');
+        });
+
+        document.addEventListener('drop', (e) => {
+            const dropzone = e.target.closest?.('.pipeline-dropzone');
+            if (!dropzone) return;
+
+            e.preventDefault();
+            this.clearDropHighlight();
+
+            const leadId = e.dataTransfer.getData('text/plain') || this.draggedLeadId;
+            this.draggedLeadId = null;
+
+            if (leadId) {
+                this.moveLead(leadId, dropzone.dataset.stage);
+            }
+        });
+    }
+
+    clearDropHighlight() {
+        document.querySelectorAll('.pipeline-dropzone.bg-blue-50').forEach(zone => zone.classList.remove('bg-blue-50'));
+    }
+
+    /**
+     * Shift + ArrowLeft / ArrowRight moves a focused card to the neighbouring visible stage
+     */
+    setupKeyboardMoves() {
+        document.addEventListener('keydown', (e) => {
+            const card = e.target.closest?.('.pipeline-card');
+            if (!card || !e.shiftKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+            if (!this.canEditLeads()) return;
+
+            e.preventDefault();
+
+            const visibleStages = this.stages.filter(stage => stage.visible);
+            const currentStage = card.closest('.pipeline-dropzone')?.dataset.stage;
+            const index = visibleStages.findIndex(stage => stage.key === currentStage);
+            const target = visibleStages[index + (e.key === 'ArrowRight' ? 1 : -1)];
+
+            if (target) {
+                this.moveLead(card.dataset.leadId, target.key).then(() => {
+                    document.querySelector(`.pipeline-card[data-lead-id="${card.dataset.leadId}"]`)?.focus();
+                });
+            }
+        });
+    }
+
+    // =========================================================================
+    // STATUS CHANGES
+    // =========================================================================
+
+    canEditLeads() {
+        const userService = window.OsliraUserService;
+        return !userService || userService.canPerformAction('canEditLeads');
+    }
+
+    async moveLead(leadId, stageKey) {
+        if (!this.pipelineService.isValidStage(stageKey) || this.pendingLeadIds.has(leadId)) return;
+
+        const leads = this.stateManager.getState('leads') || [];
+        const lead = leads.find(l => l.id === leadId);
+        if (!lead || this.pipelineService.normalizeStatus(lead.status) === stageKey) return;
+
+        this.pendingLeadIds.add(leadId);
+
+        try {
+            await window.LeadManager.updateLeadStatus(leadId, stageKey);
+            console.log(`✅ [LeadPipelineUseCase] Moved @${lead.username} to ${stageKey}`);
+
+        } catch (error) {
+            console.error('❌ [LeadPipelineUseCase] Move failed:', error);
+            window.OsliraApp?.showMessage?.(`Could not move @${lead.username}: ${error.message}`, 'error');
+
+        } finally {
+            this.pendingLeadIds.delete(leadId);
+            this.renderBoard();
+        }
+    }
+
+    // =========================================================================
+    // CLEANUP
+    // =========================================================================
+
+    cleanup() {
+        clearTimeout(this.renderTimeout);
+        this.pendingLeadIds.clear();
+        this.draggedLeadId = null;
+
+        console.log('🧹 [LeadPipelineUseCase] Cleanup completed');
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadPipelineUseCase = LeadPipelineUseCase;
+
+console.log('✅ [LeadPipelineUseCase] Loaded');
@@ -0,0 +1,374 @@
+// =============================================================================
+// SAVED VIEWS USE CASE - Orchestration Layer
+// Path: /public/pages/app/dashboard/application/leads/SavedViewsUseCase.js
+// Dependencies: LeadViewState, BusinessAPI, UserService, FilterModal, LeadsTable, LeadRenderer, StateManager, EventBus
+// =============================================================================
+
+/**
+ * @class SavedViewsUseCase
+ * @description Named leads-table views (filters + sort + columns + page size)
+ *
+ * Responsibilities:
+ * - Store saved views per business in business settings (`saved_lead_views`)
+ * - Store each user's default view per business in user preferences (`default_lead_views`)
+ * - Mirror the live view state into the URL so a link opens the exact same list
+ * - Apply a view to FilterModal / LeadsTable / LeadRenderer
+ */
+class SavedViewsUseCase {
+    constructor() {
+        // Core dependencies
+        this.eventBus = window.OsliraEventBus;
+        this.stateManager = window.OsliraStateManager;
+
+        // Injected services
+        this.viewState = new window.LeadViewState();
+
+        if (!this.eventBus || !this.stateManager) {
+            throw new Error('[SavedViewsUseCase] Missing required Core dependencies');
+        }
+
+        this.settingsKey = 'saved_lead_views';
+        this.preferenceKey = 'default_lead_views';
+
+        this.views = [];
+        this.activeViewId = null;
+        this.currentState = this.viewState.getDefaultState();
+        this.loadedBusinessId = null;
+        this.isApplying = false;
+
+        console.log('🚀 [SavedViewsUseCase] Initialized');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get businessAPI() {
+        return window.OsliraBusinessAPI;
+    }
+
+    get userService() {
+        return window.OsliraUserService;
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        try {
+            this.setupEventListeners();
+
+            // Make available globally for the header switcher
+            window.savedViews = this;
+
+            await this.loadForBusiness();
+
+            console.log('✅ [SavedViewsUseCase] Event listeners initialized');
+            return true;
+
+        } catch (error) {
+            console.error('❌ [SavedViewsUseCase] Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    setupEventListeners() {
+        // Any manual change to the table makes the active view "modified"
+        ['filter:applied', 'filter:reset', 'leads:view-changed'].forEach(eventName => {
+            this.eventBus.on(eventName, () => {
+                if (!this.isApplying) this.syncFromControls();
+            });
+        });
+
+        this.eventBus.on(window.DASHBOARD_EVENTS.BUSINESS_CHANGED, () => this.loadForBusiness());
+
+        // Re-apply after every data load so filters/sort survive refreshes
+        // (server-side paging keeps its own query across reloads)
+        this.eventBus.on(window.DASHBOARD_EVENTS.DATA_LOADED, () => {
+            if (!window.leadPagination?.isServerMode()) {
+                this.applyState(this.currentState, { updateUrl: false });
+            }
+        });
+
+        window.addEventListener('popstate', () => this.applyFromUrl());
+    }
+
+    getBusinessId() {
+        return this.stateManager.getState('business.selected')?.id ||
+               this.stateManager.getState('selectedBusiness')?.id ||
+               localStorage.getItem('selectedBusinessId');
+    }
+
+    // =========================================================================
+    // LOADING
+    // =========================================================================
+
+    async loadForBusiness() {
+        const businessId = this.getBusinessId();
+        if (!businessId) return;
+
+        this.loadedBusinessId = businessId;
+
+        try {
+            const settings = await this.businessAPI.getBusinessSettings(businessId);
+            this.views = Array.isArray(settings?.[this.settingsKey]) ? settings[this.settingsKey] : [];
+        } catch (error) {
+            console.warn('⚠️ [SavedViewsUseCase] Could not load saved views:', error);
+            this.views = [];
+        }
+
+        // A link wins over the user's default view
+        if (!this.applyFromUrl()) {
+            const defaultView = this.getView(this.getDefaultViewId());
+            if (defaultView) {
+                this.applyView(defaultView.id);
+            } else {
+                this.activeViewId = null;
+                this.applyState(this.viewState.getDefaultState(), { updateUrl: false });
+            }
+        }
+
+        this.emitChanged();
+    }
+
+    applyFromUrl() {
+        const { state, viewId } = this.viewState.readFromSearch(window.location.search);
+        const view = this.getView(viewId);
+
+        if (!state && !view) return false;
+
+        this.activeViewId = view ? view.id : null;
+        this.applyState(state || view.state, { updateUrl: false });
+        this.emitChanged();
+
+        console.log(`🔗 [SavedViewsUseCase] Applied view from link${view ? `: ${view.name}` : ''}`);
+        return true;
+    }
+
+    // =========================================================================
+    // APPLYING STATE
+    // =========================================================================
+
+    /**
+     * Capture what the table controls currently show
+     */
+    readControls() {
+        const leadsTable = window.LeadsTable;
+
+        return this.viewState.normalize({
+            filters: window.FilterModal?.getFilters?.() || this.currentState.filters,
+            sort: leadsTable?.currentSort || this.currentState.sort,
+            platform: leadsTable?.currentPlatform || this.currentState.platform,
+            hiddenColumns: leadsTable?.hiddenColumns || this.currentState.hiddenColumns,
+            pageSize: window.leadRenderer?.leadsPerPage || this.currentState.pageSize
+        });
+    }
+
+    syncFromControls() {
+        this.currentState = this.readControls();
+        this.updateUrl();
+        this.emitChanged();
+    }
+
+    applyState(state, { updateUrl = true } = {}) {
+        const normalized = this.viewState.normalize(state);
+        this.currentState = normalized;
+        this.isApplying = true;
+
+        try {
+            const filterModal = window.FilterModal;
+            const leadsTable = window.LeadsTable;
+
+            filterModal?.setFilters?.(normalized.filters);
+            leadsTable?.setViewControls?.({ sort: normalized.sort, platform: normalized.platform });
+            leadsTable?.setHiddenColumns?.(normalized.hiddenColumns);
+            window.leadRenderer?.setPageSize?.(normalized.pageSize, { render: false });
+
+            // Server-side paging: one query for the whole view
+            if (window.leadPagination?.isServerMode()) {
+                window.leadPagination.setQuery({
+                    sort: normalized.sort,
+                    platform: normalized.platform,
+                    filters: normalized.filters,
+                    pageSize: normalized.pageSize
+                });
+            } else {
+                this.rebuildLoadedLeads(normalized);
+            }
+
+        } finally {
+            this.isApplying = false;
+        }
+
+        if (updateUrl) this.updateUrl();
+    }
+
+    /**
+     * Rebuild the visible list from loaded leads: platform → filters → sort
+     */
+    rebuildLoadedLeads(state) {
+        const filterModal = window.FilterModal;
+        const leadsTable = window.LeadsTable;
+
+        const allLeads = this.stateManager.getState('leads') || [];
+        let leads = state.platform === 'all'
+            ? allLeads
+            : allLeads.filter(lead => (lead.platform || '').toLowerCase() === state.platform);
+
+        if (filterModal?.filterLeads) {
+            leads = filterModal.filterLeads(leads, state.filters).leads;
+        }
+
+        if (leadsTable?.applySorting) {
+            leadsTable.applySorting(leads, state.sort);
+        } else {
+            this.stateManager.setState('filteredLeads', leads);
+        }
+    }
+
+    updateUrl() {
+        const search = this.viewState.applyToSearch(window.location.search, this.currentState, this.activeViewId);
+        const url = `${window.location.pathname}${search}${window.location.hash}`;
+
+        if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            window.history.replaceState(window.history.state, '', url);
+        }
+    }
+
+    // =========================================================================
+    // VIEW QUERIES
+    // =========================================================================
+
+    getViews() {
+        return [...this.views].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getView(viewId) {
+        return viewId ? this.views.find(view => view.id === viewId) || null : null;
+    }
+
+    getActiveView() {
+        return this.getView(this.activeViewId);
+    }
+
+    isModified() {
+        const view = this.getActiveView();
+        const baseline = view ? view.state : this.viewState.getDefaultState();
+        return !this.viewState.isEqual(this.currentState, baseline);
+    }
+
+    getDefaultViewId() {
+        const defaults = this.userService?.getPreference?.(this.preferenceKey, {}) || {};
+        return defaults[this.getBusinessId()] || null;
+    }
+
+    getShareUrl() {
+        const search = this.viewState.applyToSearch(window.location.search, this.currentState, this.activeViewId);
+        return `${window.location.origin}${window.location.pathname}${search}`;
+    }
+
+    // =========================================================================
+    // VIEW ACTIONS
+    // =========================================================================
+
+    applyView(viewId) {
+        const view = this.getView(viewId);
+
+        this.activeViewId = view ? view.id : null;
+        this.applyState(view ? view.state : this.viewState.getDefaultState());
+        this.emitChanged();
+    }
+
+    async saveCurrentAsView(name) {
+        if (!name || !name.trim()) {
+            throw new Error('View name is required');
+        }
+
+        if (this.views.some(view => view.name.toLowerCase() === name.trim().toLowerCase())) {
+            throw new Error(`A view named "${name.trim()}" already exists`);
+        }
+
+        const view = this.viewState.createView(name, this.currentState, this.userService?.getUserId?.());
+        await this.persistViews([...this.views, view]);
+
+        this.activeViewId = view.id;
+        this.updateUrl();
+        this.emitChanged();
+
+        return view;
+    }
+
+    async updateActiveView() {
+        const view = this.getActiveView();
+        if (!view) throw new Error('No saved view selected');
+
+        const updated = { ...view, state: this.viewState.normalize(this.currentState), updated_at: new Date().toISOString() };
+        await this.persistViews(this.views.map(v => v.id === view.id ? updated : v));
+
+        this.emitChanged();
+        return updated;
+    }
+
+    async deleteView(viewId) {
+        await this.persistViews(this.views.filter(view => view.id !== viewId));
+
+        if (this.getDefaultViewId() === viewId) {
+            await this.setDefaultView(null);
+        }
+
+        if (this.activeViewId === viewId) {
+            this.activeViewId = null;
+            this.updateUrl();
+        }
+
+        this.emitChanged();
+    }
+
+    async setDefaultView(viewId) {
+        const businessId = this.getBusinessId();
+        const defaults = { ...(this.userService?.getPreference?.(this.preferenceKey, {}) || {}) };
+
+        if (viewId) {
+            defaults[businessId] = viewId;
+        } else {
+            delete defaults[businessId];
+        }
+
+        await this.userService.setPreference(this.preferenceKey, defaults);
+        this.emitChanged();
+    }
+
+    async copyShareLink() {
+        const url = this.getShareUrl();
+        await navigator.clipboard.writeText(url);
+        return url;
+    }
+
+    async persistViews(views) {
+        const businessId = this.getBusinessId();
+        if (!businessId) throw new Error('No business selected');
+
+        const settings = await this.businessAPI.updateBusinessSettings(businessId, { [this.settingsKey]: views });
+        this.views = Array.isArray(settings?.[this.settingsKey]) ? settings[this.settingsKey] : views;
+    }
+
+    emitChanged() {
+        const activeView = this.getActiveView();
+
+        this.eventBus.emit(window.DASHBOARD_EVENTS.SAVED_VIEWS_CHANGED, {
+            views: this.getViews(),
+            activeViewId: this.activeViewId,
+            activeViewName: activeView?.name || null,
+            defaultViewId: this.getDefaultViewId(),
+            modified: this.isModified()
+        });
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.SavedViewsUseCase = SavedViewsUseCase;
+
+console.log('✅ [SavedViewsUseCase] Loaded');
@@ -0,0 +1,443 @@
+// =============================================================================
+// INSIGHTS USE CASE - Orchestration Layer
+// Path: /public/pages/app/dashboard/application/stats/InsightsUseCase.js
+// Dependencies: InsightsEngine, InsightRules, InsightsPanel, AnalyticsAPI, BusinessAPI, UserService, LeadsAPI, StateManager, EventBus
+// =============================================================================
+
+/**
+ * @class InsightsUseCase
+ * @description Dashboard insights from the InsightRules registry
+ *
+ * Responsibilities:
+ * - Re-evaluate insights when stats, leads, CRM sync or trends change
+ * - Load trends (AnalyticsAPI.getTrends) for the selected business
+ * - Store per-business rule thresholds in business settings (`insight_rules`)
+ * - Store each user's dismissed / snoozed insights per business (`dismissed_insights`)
+ * - Execute each insight's call-to-action against the real dashboard
+ */
+class InsightsUseCase {
+    constructor() {
+        // Core dependencies
+        this.eventBus = window.OsliraEventBus;
+        this.stateManager = window.OsliraStateManager;
+
+        // Injected services
+        this.engine = new window.InsightsEngine();
+        this.panel = new window.InsightsPanel();
+
+        if (!this.eventBus || !this.stateManager) {
+            throw new Error('[InsightsUseCase] Missing required Core dependencies');
+        }
+
+        this.settingsKey = 'insight_rules';
+        this.preferenceKey = 'dismissed_insights';
+
+        this.settings = {};
+        this.dismissals = {};
+        this.trends = {};
+        this.result = { insights: [], hidden: 0, activeKeys: [] };
+        this.loadedBusinessId = null;
+        this.runningKey = null;
+        this.evaluateTimeout = null;
+
+        // Role permission each action needs; actions the user can't run are hidden
+        this.actionPermissions = {
+            'reanalyze-leads': 'canSpendCredits'
+        };
+
+        // Call-to-action handlers keyed by insight action.type
+        this.actionHandlers = {
+            'reanalyze-leads': (params) => this.reanalyzeLeads(params.leadIds),
+            'filter-leads': (params) => this.showLeads(params),
+            'push-to-crm': (params) => window.crmSync?.pushLeads(params.leadIds, { source: 'insight' }),
+            'open-research': () => window.openResearchModal?.(),
+            'upgrade': () => window.open('https://oslira.com/upgrade', '_blank', 'noopener')
+        };
+
+        console.log('🚀 [InsightsUseCase] Initialized');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get analyticsAPI() {
+        return window.OsliraAnalyticsAPI;
+    }
+
+    get businessAPI() {
+        return window.OsliraBusinessAPI;
+    }
+
+    get leadsAPI() {
+        return window.OsliraLeadsAPI;
+    }
+
+    get userService() {
+        return window.OsliraUserService;
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        try {
+            this.setupEventListeners();
+            this.exposeGlobalHandlers();
+
+            // Make available globally for other dashboard modules
+            window.insights = this;
+
+            await this.loadForBusiness();
+
+            console.log('✅ [InsightsUseCase] Event listeners initialized');
+            return true;
+
+        } catch (error) {
+            console.error('❌ [InsightsUseCase] Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    setupEventListeners() {
+        this.stateManager.subscribe('stats', () => this.scheduleEvaluate());
+        this.stateManager.subscribe('leads', () => this.scheduleEvaluate());
+
+        this.eventBus.on(window.DASHBOARD_EVENTS.LEAD_CRM_SYNCED, () => this.scheduleEvaluate());
+        this.eventBus.on(window.DASHBOARD_EVENTS.CRM_CONNECTIONS_LOADED, () => this.scheduleEvaluate());
+        this.eventBus.on(window.DASHBOARD_EVENTS.ANALYSIS_COMPLETED, () => this.loadTrends().then(() => this.scheduleEvaluate()));
+        this.eventBus.on(window.DASHBOARD_EVENTS.BUSINESS_CHANGED, () => this.loadForBusiness());
+    }
+
+    exposeGlobalHandlers() {
+        window.runInsightAction = (key) => this.runAction(key);
+        window.dismissInsight = (key) => this.dismiss(key);
+        window.snoozeInsight = (key, days) => this.dismiss(key, days);
+        window.restoreInsights = () => this.restoreAll();
+        window.openInsightSettings = () => this.openSettings();
+        window.closeInsightSettings = () => this.closeSettings();
+        window.saveInsightSettings = () => this.saveSettings();
+        window.resetInsightSettings = () => this.openSettings({ settings: {} });
+    }
+
+    getBusinessId() {
+        return this.stateManager.getState('business.selected')?.id ||
+               this.stateManager.getState('selectedBusiness')?.id ||
+               localStorage.getItem('selectedBusinessId');
+    }
+
+    // =========================================================================
+    // LOADING
+    // =========================================================================
+
+    async loadForBusiness() {
+        const businessId = this.getBusinessId();
+        if (!businessId) return;
+
+        this.loadedBusinessId = businessId;
+        this.dismissals = this.userService?.getPreference?.(this.preferenceKey, {})?.[businessId] || {};
+
+        const [settings] = await Promise.all([
+            this.businessAPI.getBusinessSettings(businessId).catch(error => {
+                console.warn('⚠️ [InsightsUseCase] Could not load insight settings:', error);
+                return null;
+            }),
+            this.loadTrends()
+        ]);
+
+        // Switched again while loading
+        if (businessId !== this.getBusinessId()) return;
+
+        this.settings = settings?.[this.settingsKey] || {};
+        this.evaluate();
+    }
+
+    /**
+     * Daily series for two trend windows. A failed metric only disables the
+     * rules that need it.
+     */
+    async loadTrends() {
+        const businessId = this.getBusinessId();
+        if (!businessId || !this.analyticsAPI?.getTrends) {
+            this.trends = {};
+            return;
+        }
+
+        const startDate = new Date(Date.now() - this.engine.trendDays * 2 * 86400000).toISOString().split('T')[0];
+        const metrics = { leads: 'leads', score: 'average_score' };
+
+        const entries = await Promise.all(Object.entries(metrics).map(async ([key, metric]) => {
+            try {
+                return [key, await this.analyticsAPI.getTrends(businessId, { metric, interval: 'day', startDate })];
+            } catch (error) {
+                console.warn(`⚠️ [InsightsUseCase] Could not load ${metric} trend:`, error);
+                return [key, null];
+            }
+        }));
+
+        if (businessId === this.getBusinessId()) {
+            this.trends = Object.fromEntries(entries);
+        }
+    }
+
+    // =========================================================================
+    // EVALUATION
+    // =========================================================================
+
+    scheduleEvaluate() {
+        clearTimeout(this.evaluateTimeout);
+        this.evaluateTimeout = setTimeout(() => this.evaluate(), 300);
+    }
+
+    evaluate() {
+        const leads = this.stateManager.getState('leads') || [];
+        const context = this.engine.buildContext({
+            stats: this.stateManager.getState('stats') || {},
+            leads,
+            trends: this.trends,
+            capabilities: {
+                crm: window.crmSync?.getDefaultConnectionLabel?.() || null
+            }
+        });
+
+        this.result = this.engine.evaluate(context, { settings: this.settings, dismissals: this.dismissals });
+
+        // Only prune against a loaded lead list - an empty one would clear every dismissal
+        if (leads.length > 0) {
+            const pruned = this.engine.pruneDismissals(this.dismissals, this.result.activeKeys);
+            if (Object.keys(pruned).length !== Object.keys(this.dismissals).length) {
+                this.dismissals = pruned;
+                this.saveDismissals();
+            }
+        }
+
+        this.render();
+        this.panel.updateInsights(this.result.insights);
+        return this.result;
+    }
+
+    render() {
+        const container = document.getElementById('insights-panel');
+        if (!container) return;
+
+        // Render the shell once so an open settings form survives re-evaluation
+        if (!document.getElementById('insight-cards')) {
+            container.innerHTML = this.panel.renderInsightsPanel();
+        }
+
+        const insights = this.result.insights.map(insight =>
+            this.canRunAction(insight.action) ? insight : { ...insight, action: null }
+        );
+
+        document.getElementById('insight-cards').innerHTML =
+            this.panel.renderInsightCards({ ...this.result, insights }, { runningKey: this.runningKey });
+    }
+
+    canRunAction(action) {
+        const permission = this.actionPermissions[action?.type];
+        return !permission || !this.userService || this.userService.canPerformAction(permission);
+    }
+
+    findInsight(key) {
+        return this.result.insights.find(insight => insight.key === key) || null;
+    }
+
+    // =========================================================================
+    // CALLS TO ACTION
+    // =========================================================================
+
+    async runAction(key) {
+        const insight = this.findInsight(key);
+        const handler = this.actionHandlers[insight?.action?.type];
+        if (!handler || this.runningKey || !this.canRunAction(insight.action)) return;
+
+        this.runningKey = key;
+        this.render();
+
+        try {
+            await handler(insight.action.params || {}, insight);
+
+        } catch (error) {
+            console.error(`❌ [InsightsUseCase] Action ${insight.action.type} failed:`, error);
+            window.OsliraApp?.showMessage?.(error.message, 'error');
+
+        } finally {
+            this.runningKey = null;
+            this.render();
+        }
+    }
+
+    /**
+     * Re-analyze leads two at a time, patching each row as it finishes so the
+     * stale-lead insight shrinks while the batch runs
+     */
+    async reanalyzeLeads(leadIds = []) {
+        if (leadIds.length === 0) return;
+
+        try {
+            const leads = this.stateManager.getState('leads') || [];
+            window.AnalysisQueue?.assertCanReanalyze(
+                leadIds.map(leadId => leads.find(lead => lead.id === leadId) || { id: leadId }),
+                this.getBusinessId()
+            );
+        } catch (error) {
+            window.OsliraApp?.showMessage?.(error.message, 'error');
+            return;
+        }
+
+        if (!confirm(`Re-analyze ${leadIds.length} lead${leadIds.length === 1 ? '' : 's'}? Each re-analysis uses credits.`)) return;
+
+        const queue = [...leadIds];
+        let done = 0;
+        let failed = 0;
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const leadId = queue.shift();
+
+                try {
+                    const result = await this.leadsAPI.reanalyzeLead(leadId);
+
+                    window.LeadManager?.patchLeads?.({
+                        [leadId]: {
+                            last_updated_at: new Date().toISOString(),
+                            ...(result?.score != null ? { score: result.score } : {})
+                        }
+                    });
+                    window.leadActivity?.record?.(leadId, 'reanalysis', {
+                        run_id: result?.run_id || null,
+                        analysis_type: result?.analysis_type || null,
+                        source: 'insight'
+                    });
+                    done++;
+
+                } catch (error) {
+                    console.warn(`⚠️ [InsightsUseCase] Re-analysis failed for lead ${leadId}:`, error);
+                    failed++;
+                }
+            }
+        };
+
+        await Promise.all([worker(), worker()]);
+
+        window.OsliraApp?.showMessage?.(
+            failed > 0 ? `Re-analyzed ${done} leads, ${failed} failed` : `Re-analyzed ${done} leads`,
+            failed > 0 ? 'warning' : 'success'
+        );
+    }
+
+    showLeads({ filters = {}, sort = null } = {}) {
+        if (window.savedViews?.applyState) {
+            const current = window.savedViews.currentState || {};
+            window.savedViews.applyState({ ...current, filters, sort: sort || current.sort });
+        } else {
+            window.FilterModal?.setFilters?.(filters);
+        }
+
+        document.getElementById('leads-table-container')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    // =========================================================================
+    // DISMISS / SNOOZE (per user, per business)
+    // =========================================================================
+
+    async dismiss(key, snoozeDays = null) {
+        if (!this.result.activeKeys.includes(key)) return;
+
+        this.dismissals = { ...this.dismissals, [key]: this.engine.createDismissal({ snoozeDays }) };
+        this.evaluate();
+        await this.saveDismissals();
+    }
+
+    async restoreAll() {
+        this.dismissals = {};
+        this.evaluate();
+        await this.saveDismissals();
+    }
+
+    async saveDismissals() {
+        const businessId = this.loadedBusinessId;
+        if (!businessId || !this.userService?.setPreference) return;
+
+        try {
+            const all = { ...(this.userService.getPreference?.(this.preferenceKey, {}) || {}) };
+            if (Object.keys(this.dismissals).length > 0) {
+                all[businessId] = this.dismissals;
+            } else {
+                delete all[businessId];
+            }
+            await this.userService.setPreference(this.preferenceKey, all);
+
+        } catch (error) {
+            console.warn('⚠️ [InsightsUseCase] Could not save dismissed insights:', error);
+        }
+    }
+
+    // =========================================================================
+    // RULE SETTINGS (per business)
+    // =========================================================================
+
+    openSettings({ settings = this.settings, error = null } = {}) {
+        const container = document.getElementById('insight-settings');
+        if (!container) return;
+
+        container.innerHTML = this.panel.renderSettings(window.InsightRules.list(), this.engine, settings, error);
+    }
+
+    closeSettings() {
+        const container = document.getElementById('insight-settings');
+        if (container) container.innerHTML = '';
+    }
+
+    readSettingsForm() {
+        const settings = {};
+
+        document.querySelectorAll('[data-insight-rule]').forEach(fieldset => {
+            const entry = { enabled: fieldset.querySelector('[data-insight-enabled]')?.checked !== false };
+            fieldset.querySelectorAll('[data-insight-threshold]').forEach(input => {
+                if (input.value !== '') entry[input.dataset.insightThreshold] = Number(input.value);
+            });
+            settings[fieldset.dataset.insightRule] = entry;
+        });
+
+        return settings;
+    }
+
+    async saveSettings() {
+        const businessId = this.loadedBusinessId;
+        if (!businessId) return;
+
+        const settings = this.engine.compactSettings(this.readSettingsForm());
+        const submit = document.getElementById('insight-settings-submit');
+        if (submit) submit.disabled = true;
+
+        try {
+            await this.businessAPI.updateBusinessSettings(businessId, { [this.settingsKey]: settings });
+            this.settings = settings;
+            this.closeSettings();
+            this.evaluate();
+            window.OsliraApp?.showMessage?.('Insight rules saved', 'success');
+
+        } catch (error) {
+            console.error('❌ [InsightsUseCase] Failed to save insight rules:', error);
+            this.openSettings({ settings, error: `Could not save: ${error.message}` });
+        }
+    }
+
+    // =========================================================================
+    // CLEANUP
+    // =========================================================================
+
+    cleanup() {
+        clearTimeout(this.evaluateTimeout);
+        console.log('🧹 [InsightsUseCase] Cleanup completed');
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.InsightsUseCase = InsightsUseCase;
+
+console.log('✅ [InsightsUseCase] Loaded');
@@ -0,0 +1,550 @@
+// =============================================================================
+// MESSAGE TEMPLATE USE CASE - Orchestration Layer
+// Path: /public/pages/app/dashboard/application/templates/MessageTemplateUseCase.js
+// Dependencies: MessageTemplateService, TemplateModal, BusinessAPI, LeadManager, StateManager, EventBus
+// =============================================================================
+
+/**
+ * @class MessageTemplateUseCase
+ * @description Message template library for outreach messages
+ *
+ * Responsibilities:
+ * - Store templates per business in business settings (`message_templates`)
+ * - Edit templates and their A/B variants with a live preview against a lead
+ * - Apply a template to the selected leads (or one lead from the analysis modal),
+ *   writing each lead's outreach message with the variant it was assigned
+ */
+class MessageTemplateUseCase {
+    constructor() {
+        // Core dependencies
+        this.eventBus = window.OsliraEventBus;
+        this.stateManager = window.OsliraStateManager;
+
+        // Injected services
+        this.templateService = new window.MessageTemplateService();
+        this.modal = new window.TemplateModal(this.templateService);
+
+        if (!this.eventBus || !this.stateManager) {
+            throw new Error('[MessageTemplateUseCase] Missing required Core dependencies');
+        }
+
+        this.settingsKey = 'message_templates';
+        this.maxLeads = 200;
+        this.maxPreviewLeads = 50;
+        this.concurrency = 3;
+
+        this.templates = null;
+        this.draft = null;
+        this.errors = {};
+        this.leadIds = [];
+        this.previewLeadId = null;
+        this.payloadCache = new Map();
+        this.isApplying = false;
+
+        console.log('🚀 [MessageTemplateUseCase] Initialized');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get businessAPI() {
+        return window.OsliraBusinessAPI;
+    }
+
+    get businessId() {
+        return this.stateManager.getState('business.selected')?.id ||
+            this.stateManager.getState('selectedBusiness')?.id ||
+            localStorage.getItem('selectedBusinessId');
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        try {
+            this.setupEventListeners();
+            this.exposeGlobalHandlers();
+
+            // Make available globally for the table, modal and message editor
+            window.messageTemplates = this;
+
+            console.log('✅ [MessageTemplateUseCase] Event listeners initialized');
+            return true;
+
+        } catch (error) {
+            console.error('❌ [MessageTemplateUseCase] Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    setupEventListeners() {
+        // Templates are per business - reload on next open
+        this.eventBus.on(window.DASHBOARD_EVENTS.BUSINESS_CHANGED, () => {
+            this.templates = null;
+            this.payloadCache.clear();
+        });
+    }
+
+    exposeGlobalHandlers() {
+        window.openMessageTemplates = (leadId) => this.open(leadId ? [leadId] : null);
+        window.closeMessageTemplates = () => this.modal.close();
+        window.newMessageTemplate = () => this.selectTemplate(null);
+        window.selectMessageTemplate = (templateId) => this.selectTemplate(templateId);
+        window.selectTemplateVariant = (index) => this.selectVariant(index);
+        window.addTemplateVariant = () => this.addVariant();
+        window.removeTemplateVariant = (index) => this.removeVariant(index);
+        window.saveMessageTemplate = () => this.save();
+        window.deleteMessageTemplate = () => this.deleteTemplate();
+        window.applyMessageTemplate = () => this.apply();
+    }
+
+    // =========================================================================
+    // DIALOG
+    // =========================================================================
+
+    /**
+     * @param {Array|null} leadIds - Leads to apply to; defaults to the current selection
+     */
+    async open(leadIds = null) {
+        if (!this.businessAPI || !this.businessId) {
+            window.OsliraApp?.showMessage?.('Templates are not available right now', 'error');
+            return;
+        }
+
+        this.leadIds = leadIds || Array.from(this.stateManager.getState('selectedLeads') || new Set());
+
+        await this.loadTemplates();
+
+        const previewLeads = this.getPreviewLeads();
+        this.previewLeadId = previewLeads.some(lead => lead.id === this.previewLeadId)
+            ? this.previewLeadId
+            : previewLeads[0]?.id || null;
+
+        this.modal.open();
+        this.selectTemplate(this.draft?.id && this.templates.some(t => t.id === this.draft.id) ? this.draft.id : this.templates[0]?.id || null);
+    }
+
+    selectTemplate(templateId) {
+        const template = (this.templates || []).find(item => item.id === templateId);
+
+        this.draft = template
+            ? { id: template.id, name: template.name, variants: template.variants.map(variant => ({ ...variant })), activeVariant: 0 }
+            : { id: null, name: '', variants: this.templateService.normalizeVariants([{ body: '' }]), activeVariant: 0 };
+        this.errors = {};
+
+        this.modal.showError('');
+        this.render();
+    }
+
+    selectVariant(index) {
+        this.captureForm();
+        this.draft.activeVariant = index;
+        this.render();
+    }
+
+    addVariant() {
+        this.captureForm();
+        if (this.draft.variants.length >= this.templateService.maxVariants) return;
+
+        // Start from the current text so the variant only needs the part being tested
+        const current = this.draft.variants[this.draft.activeVariant];
+        this.draft.variants = this.templateService.normalizeVariants([...this.draft.variants, { body: current?.body || '' }]);
+        this.draft.activeVariant = this.draft.variants.length - 1;
+        this.render();
+    }
+
+    removeVariant(index) {
+        this.captureForm();
+        if (this.draft.variants.length <= 1) return;
+
+        this.draft.variants = this.templateService.normalizeVariants(this.draft.variants.filter((_, i) => i !== index));
+        this.draft.activeVariant = Math.min(this.draft.activeVariant, this.draft.variants.length - 1);
+        this.errors = {};
+        this.render();
+    }
+
+    onBodyInput(body) {
+        const variant = this.draft?.variants[this.draft.activeVariant];
+        if (!variant) return;
+
+        variant.body = body;
+        this.updatePreview();
+    }
+
+    async setPreviewLead(leadId) {
+        this.previewLeadId = leadId || null;
+        await this.updatePreview();
+    }
+
+    captureForm() {
+        if (!this.draft) return;
+
+        this.draft.name = this.modal.readName();
+
+        const body = this.modal.readBody();
+        const variant = this.draft.variants[this.draft.activeVariant];
+        if (variant && body !== null) variant.body = body;
+    }
+
+    render() {
+        const savedTemplate = (this.templates || []).find(template => template.id === this.draft.id);
+
+        this.modal.renderList(this.templates, this.draft.id);
+        this.modal.renderEditor(this.draft, {
+            errors: this.errors,
+            previewLeads: this.getPreviewLeads(),
+            previewLeadId: this.previewLeadId
+        });
+        this.modal.setActions({
+            canDelete: !!savedTemplate,
+            applyCount: this.leadIds.length,
+            isBusy: this.isApplying
+        });
+        this.updatePreview();
+    }
+
+    // =========================================================================
+    // PREVIEW
+    // =========================================================================
+
+    /**
+     * Leads the template is about to be applied to first, then the loaded rows
+     */
+    getPreviewLeads() {
+        const byId = this.getLeadsById();
+        const targets = this.leadIds.map(id => byId.get(id)).filter(Boolean);
+        const targetIds = new Set(targets.map(lead => lead.id));
+
+        return [...targets, ...this.getLoadedLeads().filter(lead => !targetIds.has(lead.id))]
+            .slice(0, this.maxPreviewLeads);
+    }
+
+    async updatePreview() {
+        const variant = this.draft?.variants[this.draft.activeVariant];
+        const lead = this.getLeadsById().get(this.previewLeadId);
+
+        if (!variant || !lead) {
+            this.modal.renderPreview({ text: variant?.body || '' });
+            return;
+        }
+
+        const needsPayload = this.templateService.needsPayload({ variants: [variant] });
+
+        if (needsPayload && !this.payloadCache.has(lead.id)) {
+            this.modal.renderPreview({ isLoading: true });
+            await this.withPayloads([lead]);
+
+            // The user may have moved on while the payload loaded
+            if (this.previewLeadId !== lead.id || this.draft?.variants[this.draft.activeVariant] !== variant) return;
+        }
+
+        const { text, missing } = this.templateService.render(
+            variant.body,
+            this.templateService.buildContext(this.payloadCache.get(lead.id) || lead, this.getRenderOptions())
+        );
+        // Assignment hashes the template id - unknown until the template is saved
+        const assigned = this.draft.id && this.draft.variants.length > 1
+            ? this.templateService.pickVariant({ id: this.draft.id, variants: this.draft.variants }, lead.id)
+            : null;
+
+        this.modal.renderPreview({ text, missing, assignedLabel: assigned?.label || null });
+    }
+
+    getRenderOptions() {
+        const business = this.stateManager.getState('business.selected') ||
+            this.stateManager.getState('selectedBusiness') || null;
+
+        return { business, sender: window.OsliraAuth?.user || null };
+    }
+
+    // =========================================================================
+    // APPLY
+    // =========================================================================
+
+    async apply() {
+        if (this.isApplying) return;
+
+        this.captureForm();
+
+        try {
+            window.LeadManager.assertCanEditLeads();
+        } catch (error) {
+            this.modal.showError(error.message);
+            return;
+        }
+
+        const template = (this.templates || []).find(item => item.id === this.draft.id);
+        if (!template || this.hasUnsavedChanges(template)) {
+            this.modal.showError('Save the template before applying it');
+            return;
+        }
+
+        if (this.leadIds.length === 0) {
+            this.modal.showError('Select leads to apply the template to');
+            return;
+        }
+
+        if (this.leadIds.length > this.maxLeads) {
+            this.modal.showError(`Apply to at most ${this.maxLeads} leads at a time`);
+            return;
+        }
+
+        this.isApplying = true;
+        this.modal.setActions({ canDelete: true, applyCount: this.leadIds.length, isBusy: true });
+        this.modal.showStatus('Filling in the template…');
+
+        try {
+            let leads = await this.collectLeads(this.leadIds);
+            if (this.templateService.needsPayload(template)) {
+                leads = await this.withPayloads(leads);
+            }
+
+            const options = this.getRenderOptions();
+            const rendered = leads.map(lead => ({ lead, ...this.templateService.renderForLead(template, lead, options) }));
+            const ready = rendered.filter(item => item.text && item.missing.length === 0);
+            const skipped = rendered.filter(item => !ready.includes(item));
+
+            const results = await this.runPool(ready, async ({ lead, text, variant }) => {
+                try {
+                    await window.LeadManager.updateLeadMessage(lead.id, text, {
+                        template_id: template.id,
+                        template_name: template.name,
+                        variant_id: variant.id,
+                        variant_label: variant.label
+                    });
+                    return { lead, text, variant };
+                } catch (error) {
+                    console.error(`❌ [MessageTemplateUseCase] Failed to update @${lead.username}:`, error);
+                    return { lead, error };
+                }
+            });
+
+            const applied = results.filter(result => !result.error);
+            window.LeadManager.patchLeads(Object.fromEntries(applied.map(({ lead, text, variant }) => [
+                lead.id,
+                { outreach_message: text, outreach_template: { template_id: template.id, variant_id: variant.id } }
+            ])));
+
+            this.reportResult(template, applied, skipped, results.length - applied.length);
+
+        } catch (error) {
+            console.error('❌ [MessageTemplateUseCase] Apply failed:', error);
+            this.modal.showError(error.message);
+
+        } finally {
+            this.isApplying = false;
+            this.modal.setActions({ canDelete: true, applyCount: this.leadIds.length, isBusy: false });
+        }
+    }
+
+    reportResult(template, applied, skipped, failed) {
+        const parts = [`Applied "${template.name}" to ${applied.length} lead${applied.length !== 1 ? 's' : ''}`];
+
+        if (skipped.length > 0) {
+            const tokens = [...new Set(skipped.flatMap(item => item.missing))];
+            parts.push(`${skipped.length} skipped${tokens.length > 0 ? ` (no value for ${tokens.slice(0, 3).join(', ')})` : ''}`);
+        }
+        if (failed > 0) parts.push(`${failed} failed`);
+
+        const message = parts.join(' · ');
+
+        if (applied.length > 0 && skipped.length === 0 && failed === 0) {
+            this.modal.close();
+            window.OsliraApp?.showMessage?.(message, 'success');
+
+            // The analysis modal (or its message editor) shows the message of the lead it was opened for
+            if (this.leadIds.length === 1) {
+                const outreachMessage = document.getElementById('outreachMessage');
+                if (outreachMessage) outreachMessage.textContent = applied[0].text;
+
+                const editor = document.querySelector(`[data-lead-id="${applied[0].lead.id}"] .outreach-message`);
+                if (editor) {
+                    const paragraph = document.createElement('p');
+                    paragraph.textContent = applied[0].text;
+                    editor.replaceChildren(paragraph);
+                }
+            }
+            return;
+        }
+
+        this.modal.showStatus(message);
+        window.OsliraApp?.showMessage?.(message, applied.length > 0 ? 'warning' : 'error');
+    }
+
+    hasUnsavedChanges(template) {
+        return template.name !== this.draft.name.trim() ||
+            template.variants.length !== this.draft.variants.length ||
+            template.variants.some((variant, index) => variant.body !== this.draft.variants[index].body);
+    }
+
+    // =========================================================================
+    // COLLECTING LEADS
+    // =========================================================================
+
+    getLoadedLeads() {
+        if (window.leadPagination?.isServerMode()) {
+            return this.stateManager.getState('visibleLeads') || [];
+        }
+
+        const filteredLeads = this.stateManager.getState('filteredLeads');
+        return filteredLeads || this.stateManager.getState('leads') || [];
+    }
+
+    getLeadsById() {
+        const byId = new Map();
+
+        [...(this.stateManager.getState('leads') || []), ...(this.stateManager.getState('visibleLeads') || [])]
+            .forEach(lead => byId.set(lead.id, lead));
+
+        return byId;
+    }
+
+    /**
+     * Selected leads from another page are not in state - load them
+     */
+    async collectLeads(leadIds) {
+        const byId = this.getLeadsById();
+
+        const leads = await this.runPool(leadIds, async (leadId) => {
+            if (byId.has(leadId)) return byId.get(leadId);
+
+            try {
+                const { lead } = await window.LeadManager.viewLead(leadId);
+                this.payloadCache.set(leadId, lead);
+                return lead;
+            } catch (error) {
+                console.warn(`⚠️ [MessageTemplateUseCase] Could not load lead ${leadId}:`, error.message);
+                return null;
+            }
+        });
+
+        return leads.filter(Boolean);
+    }
+
+    async withPayloads(leads) {
+        const exportService = this.templateService.exportService;
+
+        return this.runPool(leads, async (lead) => {
+            if (exportService.getPayload(lead)) return lead;
+            if (this.payloadCache.has(lead.id)) return this.payloadCache.get(lead.id);
+
+            try {
+                const { lead: details } = await window.LeadManager.viewLead(lead.id);
+                const enriched = { ...lead, runs: details.runs || lead.runs };
+                this.payloadCache.set(lead.id, enriched);
+                return enriched;
+            } catch (error) {
+                console.warn(`⚠️ [MessageTemplateUseCase] No analysis payload for @${lead.username}:`, error.message);
+                return lead;
+            }
+        });
+    }
+
+    async runPool(items, task) {
+        const results = new Array(items.length);
+        let index = 0;
+
+        const worker = async () => {
+            while (index < items.length) {
+                const position = index++;
+                results[position] = await task(items[position]);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, worker));
+        return results;
+    }
+
+    // =========================================================================
+    // TEMPLATES
+    // =========================================================================
+
+    async loadTemplates() {
+        if (this.templates) return this.templates;
+
+        try {
+            const settings = await this.businessAPI.getBusinessSettings(this.businessId);
+            this.templates = this.templateService.normalizeTemplates(settings?.[this.settingsKey]);
+        } catch (error) {
+            console.warn('⚠️ [MessageTemplateUseCase] Could not load message templates:', error);
+            this.templates = [];
+        }
+
+        return this.templates;
+    }
+
+    async save() {
+        this.captureForm();
+
+        const validation = this.templateService.validateTemplate(this.draft, this.templates);
+        this.errors = validation.errors;
+
+        if (!validation.valid) {
+            // Show the first variant with a problem
+            const invalidVariant = this.draft.variants.findIndex((_, index) => this.errors[`variant-${index}`]);
+            if (invalidVariant !== -1 && !this.errors[`variant-${this.draft.activeVariant}`]) {
+                this.draft.activeVariant = invalidVariant;
+            }
+            this.render();
+            this.modal.showError('Fix the highlighted fields');
+            return;
+        }
+
+        if (!this.draft.id && this.templates.length >= this.templateService.maxTemplates) {
+            this.modal.showError(`A business can keep at most ${this.templateService.maxTemplates} templates`);
+            return;
+        }
+
+        const existing = this.templates.find(template => template.id === this.draft.id);
+        const template = existing
+            ? { ...existing, name: this.draft.name.trim(), variants: this.templateService.normalizeVariants(this.draft.variants), updated_at: new Date().toISOString() }
+            : this.templateService.createTemplate(this.draft.name, this.draft.variants, window.OsliraUserService?.getUserId?.());
+
+        try {
+            await this.persistTemplates(existing
+                ? this.templates.map(item => item.id === template.id ? template : item)
+                : [...this.templates, template]);
+
+            const activeVariant = this.draft.activeVariant;
+            this.selectTemplate(template.id);
+            this.draft.activeVariant = Math.min(activeVariant, this.draft.variants.length - 1);
+            this.render();
+            this.modal.showStatus(`Saved "${template.name}"`);
+
+        } catch (error) {
+            console.error('❌ [MessageTemplateUseCase] Failed to save template:', error);
+            this.modal.showError('Could not save the template');
+        }
+    }
+
+    async deleteTemplate() {
+        const template = (this.templates || []).find(item => item.id === this.draft?.id);
+        if (!template || !confirm(`Delete the template "${template.name}"?`)) return;
+
+        try {
+            await this.persistTemplates(this.templates.filter(item => item.id !== template.id));
+            this.selectTemplate(this.templates[0]?.id || null);
+            this.modal.showStatus(`Deleted "${template.name}"`);
+        } catch (error) {
+            console.error('❌ [MessageTemplateUseCase] Failed to delete template:', error);
+            this.modal.showError('Could not delete the template');
+        }
+    }
+
+    async persistTemplates(templates) {
+        const businessId = this.businessId;
+        if (!businessId) throw new Error('No business selected');
+
+        const settings = await this.businessAPI.updateBusinessSettings(businessId, { [this.settingsKey]: templates });
+        this.templates = this.templateService.normalizeTemplates(settings?.[this.settingsKey] || templates);
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.MessageTemplateUseCase = MessageTemplateUseCase;
+
+console.log('✅ [MessageTemplateUseCase] Loaded');
@@ -26,11 +26,22 @@ const DASHBOARD_EVENTS = {
     DATA_ERROR: 'dashboard:data:error',
     DATA_REFRESH_REQUESTED: 'dashboard:data:refresh:requested',
     
+    // Lead Events
+    LEAD_STATUS_CHANGED: 'dashboard:lead:status:changed',
+    LEAD_MESSAGE_UPDATED: 'dashboard:lead:message:updated',
+    LEAD_ACTIVITY_ADDED: 'dashboard:lead:activity:added',
+    LEAD_CRM_SYNCED: 'dashboard:lead:crm:synced',
+    CRM_CONNECTIONS_LOADED: 'dashboard:crm:connections:loaded',
+    SAVED_VIEWS_CHANGED: 'dashboard:leads:views:changed',
+    
     // Analysis Events
     ANALYSIS_STARTED: 'dashboard:analysis:started',
     ANALYSIS_COMPLETED: 'dashboard:analysis:completed',
     ANALYSIS_FAILED: 'dashboard:analysis:failed',
     ANALYSIS_QUEUE_UPDATE: 'dashboard:analysis:queue:update',
+    ANALYSIS_QUEUE_RESTORED: 'dashboard:analysis:queue:restored',
+    ANALYSIS_BATCH_UPDATED: 'dashboard:analysis:batch:updated',
+    ANALYSIS_BATCH_FINISHED: 'dashboard:analysis:batch:finished',
     
     // Business Events
     BUSINESS_CHANGED: 'dashboard:business:changed',
@@ -553,4 +564,5 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = { DashboardEventSystem };
 } else {
     window.DashboardEventSystem = DashboardEventSystem;
+    window.DASHBOARD_EVENTS = DASHBOARD_EVENTS;
 }
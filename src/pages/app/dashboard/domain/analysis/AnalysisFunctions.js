@@ -14,6 +14,8 @@ class AnalysisFunctions {
         this.osliraAuth = window.OsliraAuth;
         this.isProcessing = false;
         this.bulkUsernames = [];
+        this.importParser = new window.LeadImportParser();
+        this.preflight = new window.BulkPreflight();
         
         console.log('🔍 [AnalysisFunctions] Initialized');
     }
@@ -532,11 +534,8 @@ class AnalysisFunctions {
                 return;
             }
             
-            // Read file content
-            const content = await this.readFileAsText(file);
-            
-            // Parse usernames
-            const usernames = this.parseUsernamesFromContent(content, file.type);
+            // Parse usernames (CSV / TSV / TXT / XLSX)
+            const usernames = await this.importParser.parseUsernamesFromFile(file);
             
             if (usernames.length === 0) {
                 throw new Error('No valid usernames found in file');
@@ -747,58 +746,25 @@ class AnalysisFunctions {
 
     validateFile(file) {
         const maxSize = 5 * 1024 * 1024; // 5MB
-        const allowedTypes = ['text/csv', 'text/plain', 'application/vnd.ms-excel'];
+        const allowedTypes = ['text/csv', 'text/plain', 'text/tab-separated-values', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'];
+        const allowedExtensions = ['.csv', '.tsv', '.txt', '.xlsx'];
         
         if (file.size > maxSize) {
             this.osliraAuth?.showMessage('File too large. Maximum size is 5MB.', 'error');
             return false;
         }
         
-        if (!allowedTypes.includes(file.type) && !file.name.endsWith('.csv') && !file.name.endsWith('.txt')) {
-            this.osliraAuth?.showMessage('Please upload a CSV or TXT file.', 'error');
+        if (!allowedTypes.includes(file.type) && !allowedExtensions.some(ext => file.name.toLowerCase().endsWith(ext))) {
+            this.osliraAuth?.showMessage('Please upload a CSV, TSV, TXT or XLSX file.', 'error');
             return false;
         }
         
         return true;
     }
 
-    async readFileAsText(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = (e) => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
-        });
-    }
-
-    parseUsernamesFromContent(content, fileType) {
-        const usernames = [];
-        const lines = content.split(/\r?\n/);
-        
-        lines.forEach(line => {
-            const cleanLine = line.trim();
-            if (cleanLine && !cleanLine.startsWith('#')) {
-                // Handle CSV format
-                if (fileType === 'text/csv' || cleanLine.includes(',')) {
-                    const columns = cleanLine.split(',');
-                    columns.forEach(col => {
-                        const username = this.cleanUsername(col.trim());
-                        if (username && this.isValidUsername(username)) {
-                            usernames.push(username);
-                        }
-                    });
-                } else {
-                    // Handle plain text
-                    const username = this.cleanUsername(cleanLine);
-                    if (username && this.isValidUsername(username)) {
-                        usernames.push(username);
-                    }
-                }
-            }
-        });
-        
-        // Remove duplicates
-        return [...new Set(usernames)];
+    parseUsernamesFromContent(content) {
+        // Single import pipeline shared with BulkModal / ModalManager / BulkUpload
+        return this.importParser.parseUsernames(content);
     }
 
     displayParsedUsernames(usernames, fileName) {
@@ -836,7 +802,7 @@ class AnalysisFunctions {
     calculateBulkCreditCost() {
         const analysisType = document.getElementById('bulk-analysis-type')?.value;
         const usernameCount = this.bulkUsernames?.length || 0;
-        const costPerAnalysis = analysisType === 'deep' ? 2 : 1;
+        const costPerAnalysis = this.preflight.getCostPerLead(analysisType);
         return usernameCount * costPerAnalysis;
     }
 
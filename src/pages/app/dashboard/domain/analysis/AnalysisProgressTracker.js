@@ -0,0 +1,246 @@
+// public/pages/dashboard/modules/analysis/analysis-progress-tracker.js
+
+/**
+ * ANALYSIS PROGRESS TRACKER MODULE
+ * Consumes real progress from the /v1/analyze worker (SSE stream or job-status polling)
+ * and maps worker stages onto the queue renderer. When the worker answers with a plain
+ * JSON result there is no progress to consume and the animator's stage estimate stays on.
+ */
+class AnalysisProgressTracker {
+    constructor(queue) {
+        this.queue = queue;
+        this.pollInterval = 1500;
+        this.maxPollDuration = 5 * 60 * 1000;
+
+        // Worker stage names -> stage keys used in queue.analysisStages
+        this.stageAliases = {
+            queued: 'scrape',
+            scrape: 'scrape',
+            scraping: 'scrape',
+            fetching_profile: 'scrape',
+            engagement: 'engagement',
+            analyzing: 'engagement',
+            analyzing_engagement: 'engagement',
+            scoring: 'scoring',
+            insights: 'insights',
+            ai_analysis: 'insights',
+            outreach: 'outreach',
+            generating_outreach: 'outreach',
+            saving: 'finalize',
+            finalizing: 'finalize',
+            finalize: 'finalize'
+        };
+    }
+
+    // ===============================================================================
+    // RESPONSE RESOLUTION
+    // ===============================================================================
+
+    /**
+     * Turn a successful /v1/analyze response into the final worker payload
+     * ({ success, data, error }), consuming any progress the worker offers on the way.
+     */
+    async resolveResponse(analysisId, response, connection) {
+        const contentType = response.headers.get('content-type') || '';
+
+        if (contentType.includes('text/event-stream') && response.body) {
+            console.log(`📡 [AnalysisProgressTracker] Consuming progress stream for ${analysisId}`);
+            return this.consumeEventStream(analysisId, response);
+        }
+
+        const data = await response.json();
+        const jobId = data?.job_id || data?.jobId;
+
+        if (jobId && (response.status === 202 || !data.data)) {
+            console.log(`📡 [AnalysisProgressTracker] Polling job ${jobId} for ${analysisId}`);
+            this.queue.updateAnalysis(analysisId, { jobId });
+            return this.pollJobStatus(analysisId, jobId, connection);
+        }
+
+        // No progress source - the stage estimate has been running all along
+        return data;
+    }
+
+    async consumeEventStream(analysisId, response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let finalPayload = null;
+
+        while (finalPayload === null) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // SSE events are separated by a blank line
+            const events = buffer.split(/\r?\n\r?\n/);
+            buffer = events.pop();
+
+            for (const rawEvent of events) {
+                const event = this.parseServerEvent(rawEvent);
+                if (!event) continue;
+
+                finalPayload = this.handleServerEvent(analysisId, event);
+                if (finalPayload !== null) break;
+            }
+        }
+
+        reader.cancel().catch(() => {});
+
+        if (finalPayload === null) {
+            throw new Error('Progress stream ended without a result');
+        }
+
+        return finalPayload;
+    }
+
+    parseServerEvent(rawEvent) {
+        let type = 'message';
+        const dataLines = [];
+
+        rawEvent.split(/\r?\n/).forEach(line => {
+            if (line.startsWith('event:')) {
+                type = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        });
+
+        if (dataLines.length === 0) return null;
+
+        try {
+            return { type, data: JSON.parse(dataLines.join('\n')) };
+        } catch (error) {
+            console.warn('⚠️ [AnalysisProgressTracker] Unparseable progress event:', rawEvent);
+            return null;
+        }
+    }
+
+    /**
+     * Returns the final payload for terminal events, null for progress events
+     */
+    handleServerEvent(analysisId, event) {
+        switch (event.type) {
+            case 'progress':
+            case 'message':
+                this.applyProgress(analysisId, event.data);
+                return null;
+            case 'complete':
+            case 'result':
+                return event.data;
+            case 'error':
+                return { success: false, error: event.data?.error || event.data?.message || 'Analysis failed' };
+            default:
+                return null;
+        }
+    }
+
+    // ===============================================================================
+    // JOB STATUS POLLING
+    // ===============================================================================
+
+    async pollJobStatus(analysisId, jobId, { workerUrl, authToken }) {
+        const startedAt = Date.now();
+
+        while (Date.now() - startedAt < this.maxPollDuration) {
+            await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+
+            // Stop polling once the user removed or cancelled the item
+            const analysis = this.queue.activeAnalyses.get(analysisId);
+            if (!analysis || analysis.status === 'failed') {
+                return { success: false, error: 'Analysis cancelled' };
+            }
+
+            const response = await fetch(`${workerUrl}/v1/analyze/${encodeURIComponent(jobId)}`, {
+                method: 'GET',
+                headers: { 'Authorization': `Bearer ${authToken}` }
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Network error' }));
+                throw new Error(errorData.error || `Job status failed: ${response.status}`);
+            }
+
+            const job = await response.json();
+
+            if (job.status === 'completed') {
+                return { success: true, data: job.result || job.data };
+            }
+
+            if (job.status === 'failed') {
+                return { success: false, error: job.error || 'Analysis failed' };
+            }
+
+            this.applyProgress(analysisId, job);
+        }
+
+        throw new Error('Analysis timeout while waiting for worker');
+    }
+
+    // ===============================================================================
+    // STAGE MAPPING
+    // ===============================================================================
+
+    applyProgress(analysisId, payload = {}) {
+        const analysis = this.queue.activeAnalyses.get(analysisId);
+        if (!analysis) return;
+
+        // First real update wins over the estimate for the rest of this run
+        if (analysis.progressSource !== 'server') {
+            analysis.progressSource = 'server';
+            this.queue.animator.stopStageBasedProgress(analysisId);
+        }
+
+        const stages = this.queue.analysisStages[analysis.analysisType];
+        const stageIndex = this.mapWorkerStage(analysis.analysisType, payload.stage);
+        const currentStage = stageIndex !== -1 ? stageIndex : analysis.currentStage;
+
+        let progress = Number(payload.progress);
+        if (!Number.isFinite(progress)) {
+            progress = Math.round(((currentStage + 1) / stages.length) * 100);
+        }
+        progress = Math.min(100, Math.max(0, progress));
+
+        const stageText = stages[currentStage]?.text.replace('@profile', `@${analysis.username}`);
+
+        this.queue.updateAnalysis(analysisId, {
+            status: 'analyzing',
+            currentStage,
+            message: stageIndex !== -1 ? stageText : (payload.message || analysis.message),
+            estimatedTimeRemaining: this.estimateTimeRemaining(analysis, progress, payload)
+        });
+
+        this.queue.updateAnalysis(analysisId, { progress });
+    }
+
+    mapWorkerStage(analysisType, workerStage) {
+        if (!workerStage) return -1;
+
+        const stageKey = this.stageAliases[String(workerStage).toLowerCase()];
+        const stages = this.queue.analysisStages[analysisType] || [];
+        return stages.findIndex(stage => stage.key === stageKey);
+    }
+
+    estimateTimeRemaining(analysis, progress, payload) {
+        if (Number.isFinite(payload.eta_ms)) return payload.eta_ms;
+        if (Number.isFinite(payload.eta_seconds)) return payload.eta_seconds * 1000;
+
+        // Extrapolate from observed pace once there is enough signal
+        const elapsed = Date.now() - analysis.startTime;
+        if (progress >= 5) {
+            return Math.max(0, Math.round(elapsed / progress * (100 - progress)));
+        }
+
+        return this.queue.calculateStageTimeRemaining(analysis, analysis.currentStage);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisProgressTracker;
+} else {
+    window.AnalysisProgressTracker = AnalysisProgressTracker;
+}
+
+console.log('✅ [AnalysisProgressTracker] Module loaded');
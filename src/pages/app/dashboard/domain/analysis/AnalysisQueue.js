@@ -29,35 +29,45 @@ class AnalysisQueue {
         // Throttle render
         this.renderThrottle = null;
 
+        // Progress-only updates are written to IndexedDB at most once per analysis per second
+        this.persistTimers = new Map();
+        this.persistDelay = 1000;
+
         // Initialize submodules
         this.renderer = new AnalysisQueueRenderer(this);
         this.animator = new AnalysisQueueAnimator(this);
+        this.store = new AnalysisQueueStore(this);
+        this.progressTracker = new AnalysisProgressTracker(this);
+        this.scheduler = new AnalysisScheduler(this);
+        this.preflight = new BulkPreflight();
 
         // Setup
         this.setupEventDelegation();
 
+        // Stage keys match worker stages (see AnalysisProgressTracker.stageAliases);
+        // durations are only used as the estimate when the worker sends no progress
         this.analysisStages = {
             light: [
-                { text: "🔍 Scanning profile...", duration: 8000, color: "text-blue-500" },
-                { text: "📊 Analyzing engagement...", duration: 5000, color: "text-amber-500" },
-                { text: "🎯 Calculating scores...", duration: 4500, color: "text-green-500" },
-                { text: "✨ Finalizing results...", duration: 3500, color: "text-purple-500" }
+                { key: 'scrape', text: "🔍 Scanning profile...", duration: 8000, color: "text-blue-500" },
+                { key: 'engagement', text: "📊 Analyzing engagement...", duration: 5000, color: "text-amber-500" },
+                { key: 'scoring', text: "🎯 Calculating scores...", duration: 4500, color: "text-green-500" },
+                { key: 'finalize', text: "✨ Finalizing results...", duration: 3500, color: "text-purple-500" }
             ],
             deep: [
-                { text: "🔍 Scanning @profile...", duration: 8000, color: "text-blue-500" },
-                { text: "📊 Deep engagement analysis...", duration: 6000, color: "text-amber-500" },
-                { text: "🎯 Advanced scoring...", duration: 6000, color: "text-green-500" },
-                { text: "🤖 Generating insights...", duration: 5500, color: "text-purple-500" },
-                { text: "✉️ Crafting outreach...", duration: 5500, color: "text-cyan-500" },
-                { text: "✨ Finalizing results...", duration: 5000, color: "text-indigo-500" }
+                { key: 'scrape', text: "🔍 Scanning @profile...", duration: 8000, color: "text-blue-500" },
+                { key: 'engagement', text: "📊 Deep engagement analysis...", duration: 6000, color: "text-amber-500" },
+                { key: 'scoring', text: "🎯 Advanced scoring...", duration: 6000, color: "text-green-500" },
+                { key: 'insights', text: "🤖 Generating insights...", duration: 5500, color: "text-purple-500" },
+                { key: 'outreach', text: "✉️ Crafting outreach...", duration: 5500, color: "text-cyan-500" },
+                { key: 'finalize', text: "✨ Finalizing results...", duration: 5000, color: "text-indigo-500" }
             ],
             xray: [
-                { text: "🔍 Deep profile scan...", duration: 8000, color: "text-blue-500" },
-                { text: "📊 X-Ray engagement analysis...", duration: 6000, color: "text-amber-500" },
-                { text: "🎯 Advanced scoring...", duration: 6000, color: "text-green-500" },
-                { text: "🤖 Generating insights...", duration: 5500, color: "text-purple-500" },
-                { text: "✉️ Crafting outreach...", duration: 5500, color: "text-cyan-500" },
-                { text: "✨ Finalizing results...", duration: 5000, color: "text-indigo-500" }
+                { key: 'scrape', text: "🔍 Deep profile scan...", duration: 8000, color: "text-blue-500" },
+                { key: 'engagement', text: "📊 X-Ray engagement analysis...", duration: 6000, color: "text-amber-500" },
+                { key: 'scoring', text: "🎯 Advanced scoring...", duration: 6000, color: "text-green-500" },
+                { key: 'insights', text: "🤖 Generating insights...", duration: 5500, color: "text-purple-500" },
+                { key: 'outreach', text: "✉️ Crafting outreach...", duration: 5500, color: "text-cyan-500" },
+                { key: 'finalize', text: "✨ Finalizing results...", duration: 5000, color: "text-indigo-500" }
             ]
         };
 
@@ -73,6 +83,25 @@ class AnalysisQueue {
 
             const action = button.dataset.action;
             const analysisId = button.dataset.analysisId;
+            const batchId = button.dataset.batchId;
+
+            // Batch controls from the queue footer
+            if (batchId) {
+                switch (action) {
+                    case 'batch-pause':
+                        this.scheduler.pauseBatch(batchId);
+                        break;
+                    case 'batch-resume':
+                        this.scheduler.resumeBatch(batchId);
+                        break;
+                    case 'batch-cancel':
+                        if (confirm('Cancel all remaining analyses in this batch?')) {
+                            this.scheduler.cancelBatch(batchId);
+                        }
+                        break;
+                }
+                return;
+            }
 
             if (!analysisId) return;
 
@@ -80,6 +109,15 @@ class AnalysisQueue {
                 case 'minimize':
                     this.toggleMinimize(analysisId);
                     break;
+                case 'retry':
+                    // Role and budget checks throw before anything is queued
+                    try {
+                        this.retryAnalysis(analysisId);
+                    } catch (error) {
+                        console.warn(`⚠️ [AnalysisQueue] Retry blocked for ${analysisId}:`, error.message);
+                        window.OsliraApp?.showMessage?.(error.message, 'error');
+                    }
+                    break;
                 case 'remove':
                     const analysis = this.activeAnalyses.get(analysisId);
                     if (analysis && (analysis.status === 'starting' || analysis.status === 'analyzing')) {
@@ -101,6 +139,137 @@ class AnalysisQueue {
     async init() {
         this.eventBus.on('dashboard:cleanup', this.cleanup.bind(this));
         console.log('✅ [AnalysisQueue] Event listeners initialized');
+
+        await this.restorePersistedQueue();
+    }
+
+    // ===============================================================================
+    // PERSISTENCE (DELEGATES TO STORE)
+    // ===============================================================================
+
+    async restorePersistedQueue() {
+        const records = await this.store.loadAll(this.getCurrentUserId());
+        if (records.length === 0) return;
+
+        const queuedIds = [];
+        const resumedJobIds = [];
+        let interruptedCount = 0;
+
+        records.sort((a, b) => a.startTime - b.startTime).forEach(record => {
+            // Completed items were already saved as leads - nothing left to show
+            if (record.status === 'completed') {
+                this.store.delete(record.id);
+                return;
+            }
+
+            const analysis = {
+                ...record,
+                progress: 0,
+                visualProgress: record.status === 'failed' ? 100 : 0,
+                estimatedTimeRemaining: this.getEstimatedDuration(record.analysisType),
+                isMinimized: false,
+                celebrationShown: false
+            };
+
+            // Worker jobs keep running server-side - pick the polling back up
+            if ((record.status === 'starting' || record.status === 'analyzing') && record.jobId) {
+                analysis.status = 'analyzing';
+                analysis.message = 'Reconnecting to analysis...';
+                resumedJobIds.push(analysis.id);
+            } else if (record.status === 'starting' || record.status === 'analyzing') {
+                // The request died with the page - the worker result is unknown, so offer a retry
+                analysis.status = 'failed';
+                analysis.interrupted = true;
+                analysis.message = 'Interrupted by page reload - retry to run again';
+                interruptedCount++;
+            }
+
+            if (analysis.status === 'queued') {
+                queuedIds.push(analysis.id);
+            }
+
+            this.activeAnalyses.set(analysis.id, analysis);
+            this.store.save(analysis);
+        });
+
+        if (this.activeAnalyses.size === 0) return;
+
+        this.stateManager.setState('analysisQueue', new Map(this.activeAnalyses));
+        this.showQueue();
+        this.renderQueue();
+
+        this.eventBus.emit(window.DASHBOARD_EVENTS.ANALYSIS_QUEUE_RESTORED, {
+            total: this.activeAnalyses.size,
+            queued: queuedIds.length,
+            interrupted: interruptedCount
+        });
+
+        console.log(`♻️ [AnalysisQueue] Restored ${this.activeAnalyses.size} analyses (${queuedIds.length} queued, ${interruptedCount} interrupted)`);
+
+        if (interruptedCount > 0) {
+            this.osliraAuth?.showMessage(
+                `${interruptedCount} ${interruptedCount === 1 ? 'analysis was' : 'analyses were'} interrupted - use Retry in the queue to run again`,
+                'warning'
+            );
+        }
+
+        resumedJobIds.forEach(analysisId => this.resumeAnalysisJob(analysisId));
+
+        if (queuedIds.length > 0) {
+            const resumingCount = queuedIds.filter(analysisId => this.activeAnalyses.get(analysisId).batchStatus !== 'paused').length;
+            if (resumingCount > 0) {
+                this.osliraAuth?.showMessage(`Resuming ${resumingCount} queued analyses`, 'info');
+            }
+
+            // Rebuild each batch - paused ones stay paused - so pause/resume/cancel and ETA work for restored items too
+            const idsByBatch = new Map();
+            queuedIds.forEach(analysisId => {
+                const batchId = this.activeAnalyses.get(analysisId).batchId || this.generateBatchId();
+                if (!idsByBatch.has(batchId)) idsByBatch.set(batchId, []);
+                idsByBatch.get(batchId).push(analysisId);
+            });
+            idsByBatch.forEach((analysisIds, batchId) => {
+                const first = this.activeAnalyses.get(analysisIds[0]);
+                this.runQueuedAnalyses(analysisIds, batchId, {
+                    priority: first.batchPriority,
+                    status: first.batchStatus
+                });
+            });
+        }
+    }
+
+    /**
+     * Status, job and batch changes are written straight away; progress ticks
+     * are coalesced into one trailing write with the latest state
+     */
+    persistAnalysis(analysisId, { immediate = true } = {}) {
+        if (!immediate) {
+            if (!this.persistTimers.has(analysisId)) {
+                this.persistTimers.set(analysisId, setTimeout(() => {
+                    this.persistTimers.delete(analysisId);
+                    this.persistAnalysis(analysisId);
+                }, this.persistDelay));
+            }
+            return;
+        }
+
+        this.cancelPendingPersist(analysisId);
+
+        const analysis = this.activeAnalyses.get(analysisId);
+        if (analysis) {
+            this.store.save(analysis);
+        }
+    }
+
+    cancelPendingPersist(analysisId) {
+        clearTimeout(this.persistTimers.get(analysisId));
+        this.persistTimers.delete(analysisId);
+    }
+
+    isStructuralUpdate(analysis, updates) {
+        return ['status', 'jobId', 'batchId', 'batchStatus'].some(
+            key => key in updates && updates[key] !== analysis[key]
+        );
     }
 
     // ===============================================================================
@@ -141,6 +310,9 @@ class AnalysisQueue {
 
                 <!-- Queue Items Container -->
                 <div id="analysis-queue-container" class="queue-items-scroll"></div>
+
+                <!-- Batch Controls Footer -->
+                <div id="analysis-queue-footer"></div>
             </div>
         `;
 
@@ -183,19 +355,29 @@ class AnalysisQueue {
     // QUEUE MANAGEMENT
     // ===============================================================================
 
-    addAnalysis(username, analysisType = 'light', businessId = null) {
+    addAnalysis(username, analysisType = 'light', businessId = null, options = {}) {
+        this.assertCanSpendCredits();
+
+        const budget = this.assertWithinCreditBudget(this.preflight.getCostPerLead(analysisType), businessId);
+        this.showCreditBudgetAlerts(budget.crossed);
+
         const analysisId = `analysis_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const cleanUsername = username.replace('@', '');
+        const status = options.status || 'starting';
 
         const analysis = {
             id: analysisId,
-            username: username.replace('@', ''),
+            username: cleanUsername,
             analysisType,
             businessId,
-            status: 'starting',
+            userId: this.getCurrentUserId(),
+            batchId: options.batchId || null,
+            requestData: options.requestData || this.buildRequestData(cleanUsername, analysisType, businessId),
+            status,
             progress: 0,
             currentStage: 0,
             totalStages: this.analysisStages[analysisType].length,
-            message: 'Initializing analysis...',
+            message: status === 'queued' ? 'Waiting in queue...' : 'Initializing analysis...',
             startTime: Date.now(),
             endTime: null,
             duration: null,
@@ -206,6 +388,7 @@ class AnalysisQueue {
 
         this.activeAnalyses.set(analysisId, analysis);
         this.stateManager.setState('analysisQueue', new Map(this.activeAnalyses));
+        this.store.save(analysis);
 
         this.showQueue();
         this.renderQueue();
@@ -221,6 +404,9 @@ class AnalysisQueue {
         const analysis = this.activeAnalyses.get(analysisId);
         if (!analysis) return;
 
+        // Decided before the merge - progress ticks resend an unchanged status every time
+        const immediate = this.isStructuralUpdate(analysis, updates);
+
         if (updates.progress !== undefined) {
             const oldTarget = analysis.targetProgress || 0;
             analysis.targetProgress = updates.progress;
@@ -242,11 +428,13 @@ class AnalysisQueue {
                 this.throttledRender();
             }
 
+            this.persistAnalysis(analysisId, { immediate });
             this.animator.emitProgressEventThrottled(analysisId, updates, analysis);
             return;
         }
 
         Object.assign(analysis, updates);
+        this.persistAnalysis(analysisId, { immediate });
 
         if (analysis.status === 'analyzing' && updates.progress !== undefined) {
             analysis.estimatedTimeRemaining = this.calculateTimeRemaining(analysis);
@@ -263,6 +451,7 @@ class AnalysisQueue {
         if (!analysis) return;
 
         this.animator.stopProgressAnimator(analysisId);
+        this.animator.stopStageBasedProgress(analysisId);
 
         analysis.status = success ? 'completed' : 'failed';
         analysis.targetProgress = 100;
@@ -278,13 +467,14 @@ class AnalysisQueue {
         }
 
         this.stateManager.setState('analysisQueue', new Map(this.activeAnalyses));
+        this.persistAnalysis(analysisId);
         this.renderQueue();
 
         this.eventBus.emit(window.DASHBOARD_EVENTS.ANALYSIS_COMPLETED, {
             analysisId, username: analysis.username, result
         });
 
-        setTimeout(() => {
+        analysis.removeTimer = setTimeout(() => {
             this.removeAnalysis(analysisId);
         }, this.autoHideDelay);
 
@@ -296,6 +486,11 @@ class AnalysisQueue {
         if (!analysis) return;
 
         console.log(`🚫 [AnalysisQueue] Cancelling analysis: ${analysisId}`);
+
+        // Stop the worker request and drop it from the scheduler
+        analysis.abortController?.abort();
+        this.scheduler.forget(analysisId);
+        this.animator.stopStageBasedProgress(analysisId);
         
         // Stop any running intervals
         if (analysis.progressInterval) {
@@ -323,6 +518,9 @@ class AnalysisQueue {
         if (!analysis) return;
 
         this.animator.stopProgressAnimator(analysisId);
+        clearTimeout(analysis.removeTimer);
+        this.cancelPendingPersist(analysisId);
+        this.store.delete(analysisId);
 
         const element = document.getElementById(`queue-item-${analysisId}`);
         if (element) {
@@ -371,6 +569,13 @@ class AnalysisQueue {
     async startSingleAnalysis(username, analysisType, businessId, requestData) {
         console.log('🚀 [AnalysisQueue] Starting single analysis:', { username, analysisType, businessId });
 
+        const supabaseClient = this.getSupabaseClient();
+        const analysisId = this.addAnalysis(username, analysisType, businessId, { requestData });
+
+        return this.executeAnalysis(analysisId, supabaseClient);
+    }
+
+    getSupabaseClient() {
         // Get supabase client with fallback
         let supabaseClient = this.supabase || window.OsliraAuth?.supabase;
 
@@ -388,9 +593,29 @@ class AnalysisQueue {
             }
         }
 
-        const analysisId = this.addAnalysis(username, analysisType, businessId);
+        return supabaseClient;
+    }
+
+    /**
+     * Run the worker request for an item already in the queue.
+     * Used for fresh analyses, queued bulk items, resumed items and retries.
+     */
+    async executeAnalysis(analysisId, supabaseClient = null) {
+        const analysis = this.activeAnalyses.get(analysisId);
+        if (!analysis) {
+            return { success: false, analysisId, error: 'Analysis not found in queue' };
+        }
+
+        const requestData = analysis.requestData;
+
+        if (analysis.status === 'queued') {
+            this.updateAnalysis(analysisId, { status: 'starting', message: 'Initializing analysis...', startTime: Date.now() });
+        }
         this.animator.startStageBasedProgress(analysisId);
 
+        const abortController = new AbortController();
+        analysis.abortController = abortController;
+
         try {
             // Get worker URL
             const workerUrl = window.OsliraConfig?.workerUrl || 
@@ -398,7 +623,8 @@ class AnalysisQueue {
                               'https://api.oslira.com';
 
             // Get auth token
-            const session = await supabaseClient.auth.getSession();
+            const client = supabaseClient || this.getSupabaseClient();
+            const session = await client.auth.getSession();
             const authToken = session?.data?.session?.access_token;
 
             if (!authToken) {
@@ -407,11 +633,13 @@ class AnalysisQueue {
 
             console.log('📡 [AnalysisQueue] Calling worker:', workerUrl);
 
-            // Call Cloudflare Worker
+            // Call Cloudflare Worker - it may answer with an SSE progress stream,
+            // a job id to poll, or the finished result
             const response = await fetch(`${workerUrl}/v1/analyze`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream, application/json',
                     'Authorization': `Bearer ${authToken}`
                 },
                 body: JSON.stringify({
@@ -419,132 +647,158 @@ class AnalysisQueue {
                     analysis_type: requestData.analysis_type,
                     business_id: requestData.business_id,
                     user_id: requestData.user_id
-                })
+                }),
+                signal: abortController.signal
             });
 
+            if (response.status === 429) {
+                const retryAfterMs = this.scheduler.parseRetryAfter(response.headers.get('Retry-After'));
+                return this.deferRateLimitedAnalysis(analysisId, retryAfterMs);
+            }
+
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({ error: 'Network error' }));
                 throw new Error(errorData.error || `Analysis failed: ${response.status}`);
             }
 
-            const data = await response.json();
-            const result = data?.data || data;
+            const data = await this.progressTracker.resolveResponse(analysisId, response, { workerUrl, authToken });
+            return await this.handleAnalysisResult(analysisId, data);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log(`🚫 [AnalysisQueue] Request aborted: ${analysisId}`);
+                return { success: false, analysisId, cancelled: true, error: 'Analysis cancelled' };
+            }
 
-            console.log('📥 [AnalysisQueue] Response data:', { 
-                status: response.status, 
-                success: data.success, 
-                error: data.error,
-                hasResult: !!result 
-            });
+            console.error('❌ [AnalysisQueue] Analysis exception:', error);
 
-            // Check for profile not found errors (backend returns 400 with specific error messages)
-            const isProfileNotFound = 
-                !data.success && 
-                data.error && 
-                (data.error.includes('does not exist') || 
-                 data.error.includes('not found') || 
-                 data.error.includes('Profile scraping failed: Instagram profile not found'));
-
-            if (isProfileNotFound) {
-                console.warn('⚠️ [AnalysisQueue] Profile not found');
-                const errorMsg = data.error || 'User does not exist. 1 token has been charged.';
-                this.completeAnalysis(analysisId, false, errorMsg);
-                return { success: false, analysisId, error: errorMsg };
-            }
+            this.completeAnalysis(analysisId, false, this.getErrorMessage(error));
+            return { success: false, analysisId, error: error.message };
+        } finally {
+            delete analysis.abortController;
+        }
+    }
 
-            if (result && data.success) {
-                this.completeAnalysis(analysisId, true, 'Analysis completed!');
-                
-                // Refresh credits after successful analysis
-                if (window.OsliraAuth?.refreshCredits) {
-                    await window.OsliraAuth.refreshCredits();
-                    console.log('💳 [AnalysisQueue] Credits refreshed after analysis');
-                }
+    /**
+     * Worker said 429 - put the item back in the scheduler instead of failing it
+     */
+    deferRateLimitedAnalysis(analysisId, retryAfterMs) {
+        const analysis = this.activeAnalyses.get(analysisId);
+        if (!analysis) return { success: false, analysisId, error: 'Analysis not found in queue' };
 
-                setTimeout(() => {
-                    this.eventBus.emit(window.DASHBOARD_EVENTS.DATA_REFRESH);
-                }, 1000);
+        this.animator.stopStageBasedProgress(analysisId);
+        this.animator.stopProgressAnimator(analysisId);
 
-                return { success: true, analysisId, result };
-            } else {
-                console.error('❌ [AnalysisQueue] Analysis failed:', result?.error || data.error);
-                this.completeAnalysis(analysisId, false, result?.error || data.error || 'Analysis failed');
-                return { success: false, analysisId, error: result?.error || data.error };
-            }
-        } catch (error) {
-            console.error('❌ [AnalysisQueue] Analysis exception:', error);
+        analysis.targetProgress = 0;
+        analysis.visualProgress = 0;
+        analysis.progressSource = null;
 
-            let errorMessage = 'Network error occurred';
-            if (error.message.includes('session')) {
-                errorMessage = 'Please refresh and log in again';
-            } else if (error.message.includes('timeout')) {
-                errorMessage = 'Analysis timed out - please try again';
-            } else if (error.message.includes('credits')) {
-                errorMessage = 'Insufficient credits for analysis';
-            } else {
-                errorMessage = error.message;
+        this.updateAnalysis(analysisId, {
+            status: 'queued',
+            currentStage: 0,
+            message: `Rate limited - retrying in ${Math.ceil(retryAfterMs / 1000)}s`
+        });
+
+        this.scheduler.requeue(analysisId, retryAfterMs);
+        return { success: false, analysisId, rateLimited: true, retryAfter: retryAfterMs };
+    }
+
+    /**
+     * Reattach to a worker job that was still running when the page unloaded
+     */
+    async resumeAnalysisJob(analysisId) {
+        const analysis = this.activeAnalyses.get(analysisId);
+        if (!analysis?.jobId) return;
+
+        try {
+            const workerUrl = window.OsliraConfig?.workerUrl || 
+                              window.OsliraEnv?.WORKER_URL || 
+                              'https://api.oslira.com';
+
+            const session = await this.getSupabaseClient().auth.getSession();
+            const authToken = session?.data?.session?.access_token;
+
+            if (!authToken) {
+                throw new Error('No authentication token available');
             }
 
-            this.completeAnalysis(analysisId, false, errorMessage);
+            console.log(`🔌 [AnalysisQueue] Resuming worker job ${analysis.jobId} for @${analysis.username}`);
+
+            const data = await this.progressTracker.pollJobStatus(analysisId, analysis.jobId, { workerUrl, authToken });
+            return await this.handleAnalysisResult(analysisId, data);
+        } catch (error) {
+            console.error('❌ [AnalysisQueue] Resumed job failed:', error);
+
+            this.completeAnalysis(analysisId, false, this.getErrorMessage(error));
             return { success: false, analysisId, error: error.message };
         }
     }
 
-    async startBulkAnalysis(leads, analysisType, businessId) {
-        console.log(`🚀 [AnalysisQueue] Starting bulk analysis: ${leads.length} leads (${analysisType})`);
-
-        const results = [];
-        const maxConcurrent = 3;
-
-        for (let i = 0; i < leads.length; i += maxConcurrent) {
-            const chunk = leads.slice(i, i + maxConcurrent);
-            const chunkPromises = chunk.map(async (lead) => {
-                const username = lead.username || lead;
-                const requestData = {
-                    username: username.replace('@', ''),
-                    analysis_type: analysisType,
-                    business_id: businessId,
-                    user_id: this.stateManager?.getState('user')?.id || window.OsliraAuth?.user?.id
-                };
-
-                try {
-                    const result = await this.startSingleAnalysis(username, analysisType, businessId, requestData);
-                    return {
-                        username,
-                        success: result.success,
-                        error: result.error,
-                        data: result.result
-                    };
-                } catch (error) {
-                    return {
-                        username,
-                        success: false,
-                        error: error.message
-                    };
-                }
-            });
+    async handleAnalysisResult(analysisId, data) {
+        const result = data?.data || data;
 
-            const chunkResults = await Promise.all(chunkPromises);
-            results.push(...chunkResults);
+        console.log('📥 [AnalysisQueue] Response data:', { 
+            success: data?.success, 
+            error: data?.error,
+            hasResult: !!result 
+        });
 
-            await new Promise(resolve => setTimeout(resolve, 1000));
+        // Check for profile not found errors (backend returns 400 with specific error messages)
+        const isProfileNotFound = 
+            !data.success && 
+            data.error && 
+            (data.error.includes('does not exist') || 
+             data.error.includes('not found') || 
+             data.error.includes('Profile scraping failed: Instagram profile not found'));
+
+        if (isProfileNotFound) {
+            console.warn('⚠️ [AnalysisQueue] Profile not found');
+            const errorMsg = data.error || 'User does not exist. 1 token has been charged.';
+            this.completeAnalysis(analysisId, false, errorMsg);
+            return { success: false, analysisId, error: errorMsg };
         }
 
-        const successCount = results.filter(r => r.success).length;
-        const failedCount = results.length - successCount;
+        if (result && data.success) {
+            this.completeAnalysis(analysisId, true, 'Analysis completed!', result);
+            
+            // Refresh credits after successful analysis
+            if (window.OsliraAuth?.refreshCredits) {
+                await window.OsliraAuth.refreshCredits();
+                console.log('💳 [AnalysisQueue] Credits refreshed after analysis');
+            }
 
-        console.log('✅ [AnalysisQueue] Bulk analysis completed');
-    
-        // Refresh credits after bulk analysis
-        if (window.OsliraAuth?.refreshCredits) {
-            await window.OsliraAuth.refreshCredits();
-            console.log('💳 [AnalysisQueue] Credits refreshed after bulk analysis');
+            setTimeout(() => {
+                this.eventBus.emit(window.DASHBOARD_EVENTS.DATA_REFRESH);
+            }, 1000);
+
+            return { success: true, analysisId, result };
+        } else {
+            console.error('❌ [AnalysisQueue] Analysis failed:', result?.error || data.error);
+            this.completeAnalysis(analysisId, false, result?.error || data.error || 'Analysis failed');
+            return { success: false, analysisId, error: result?.error || data.error };
+        }
+    }
+
+    getErrorMessage(error) {
+        if (error.message.includes('session')) {
+            return 'Please refresh and log in again';
+        } else if (error.message.includes('timeout')) {
+            return 'Analysis timed out - please try again';
+        } else if (error.message.includes('credits')) {
+            return 'Insufficient credits for analysis';
         }
+        return error.message;
+    }
 
-        this.eventBus.emit(window.DASHBOARD_EVENTS.DATA_REFRESH);
+    async startBulkAnalysis(leads, analysisType, businessId, options = {}) {
+        const batchId = this.enqueueBulkAnalysis(leads, analysisType, businessId, options);
+        const results = await this.scheduler.waitForBatch(batchId);
+
+        const successCount = results.filter(r => r.success).length;
+        const failedCount = results.length - successCount;
 
         return {
             success: true,
+            batchId,
             total: results.length,
             succeeded: successCount,
             failed: failedCount,
@@ -552,6 +806,42 @@ class AnalysisQueue {
         };
     }
 
+    /**
+     * Queue a bulk run and return its batch id without waiting for it to finish
+     */
+    enqueueBulkAnalysis(leads, analysisType, businessId, options = {}) {
+        console.log(`🚀 [AnalysisQueue] Starting bulk analysis: ${leads.length} leads (${analysisType})`);
+
+        // A hard-stop budget rejects the whole batch rather than queueing part of it
+        this.assertWithinCreditBudget(leads.length * this.preflight.getCostPerLead(analysisType), businessId);
+
+        // Enqueue everything up front so the whole batch is persisted before any request fires
+        const batchId = this.generateBatchId();
+        const analysisIds = leads.map(lead => {
+            const username = (lead.username || lead).replace('@', '');
+            return this.addAnalysis(username, analysisType, businessId, { status: 'queued', batchId });
+        });
+
+        this.runQueuedAnalyses(analysisIds, batchId, options);
+        return batchId;
+    }
+
+    runQueuedAnalyses(analysisIds, batchId, options = {}) {
+        return this.scheduler.createBatch(batchId, analysisIds, options);
+    }
+
+    async handleBatchFinished(batch) {
+        console.log(`✅ [AnalysisQueue] Bulk analysis ${batch.status}: ${batch.succeeded}/${batch.analysisIds.length} succeeded`);
+
+        // Refresh credits after bulk analysis
+        if (window.OsliraAuth?.refreshCredits) {
+            await window.OsliraAuth.refreshCredits();
+            console.log('💳 [AnalysisQueue] Credits refreshed after bulk analysis');
+        }
+
+        this.eventBus.emit(window.DASHBOARD_EVENTS.DATA_REFRESH);
+    }
+
     // ===============================================================================
     // INTERACTIONS
     // ===============================================================================
@@ -568,17 +858,34 @@ class AnalysisQueue {
         const analysis = this.activeAnalyses.get(analysisId);
         if (!analysis) return;
 
-        analysis.status = 'starting';
+        this.assertCanSpendCredits();
+
+        const budget = this.assertWithinCreditBudget(this.preflight.getCostPerLead(analysis.analysisType), analysis.businessId);
+        this.showCreditBudgetAlerts(budget.crossed);
+
+        clearTimeout(analysis.removeTimer);
+
+        analysis.status = 'queued';
         analysis.progress = 0;
+        analysis.targetProgress = 0;
+        analysis.visualProgress = 0;
         analysis.currentStage = 0;
-        analysis.message = 'Retrying analysis...';
+        analysis.message = 'Waiting in queue...';
         analysis.startTime = Date.now();
+        analysis.endTime = null;
+        analysis.duration = null;
+        analysis.interrupted = false;
+        analysis.jobId = null;
+        analysis.progressSource = null;
         analysis.celebrationShown = false;
 
+        this.persistAnalysis(analysisId);
         this.renderQueue();
-        this.animator.startStageBasedProgress(analysisId);
 
         console.log(`🔄 [AnalysisQueue] Retrying: @${analysis.username}`);
+
+        // Back through the scheduler so the concurrency limit and any rate-limit hold apply
+        this.scheduler.retry(analysisId);
     }
 
     clearCompleted() {
@@ -597,6 +904,102 @@ class AnalysisQueue {
     // UTILITIES
     // ===============================================================================
 
+    generateBatchId() {
+        return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Viewers in a shared workspace can read leads but not spend its credits
+     */
+    assertCanSpendCredits() {
+        const userService = window.OsliraUserService;
+        if (userService && !userService.canPerformAction('canSpendCredits')) {
+            throw new Error('Your role in this workspace cannot run analyses - ask an admin for analyst access');
+        }
+    }
+
+    /**
+     * Re-analyses call LeadsAPI.reanalyzeLead directly rather than going
+     * through the queue, but spend credits under the same rules. The budget is
+     * checked once for the whole set, like a bulk run.
+     * @param {Array} leads - Leads to re-analyze, each priced by its analysis_type
+     */
+    assertCanReanalyze(leads = [], businessId = null) {
+        this.assertCanSpendCredits();
+
+        const cost = leads.reduce((total, lead) => total + this.preflight.getCostPerLead(lead?.analysis_type), 0);
+        const budget = this.assertWithinCreditBudget(cost, businessId);
+        this.showCreditBudgetAlerts(budget.crossed);
+    }
+
+    /**
+     * Monthly credit budgets: a hard-stop budget rejects the spend, warn-mode
+     * budgets only report the alert thresholds it crosses
+     * @returns {Object} { crossed } thresholds to alert on
+     */
+    assertWithinCreditBudget(cost, businessId) {
+        const userService = window.OsliraUserService;
+        if (!userService?.checkCreditBudget) return { crossed: [] };
+
+        const result = userService.checkCreditBudget(cost, {
+            businessId,
+            pending: this.getPendingCreditCost(businessId)
+        });
+
+        if (result.blocked) {
+            const { label, spent, limit } = result.blocked;
+            throw new Error(`Monthly credit budget reached - this would take ${label} over its limit (${spent} of ${limit} credits used)`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Credits committed to analyses that haven't been charged yet
+     * @returns {Object} { business, user }
+     */
+    getPendingCreditCost(businessId) {
+        const pending = { business: 0, user: 0 };
+
+        this.activeAnalyses.forEach(analysis => {
+            if (!['queued', 'starting', 'analyzing'].includes(analysis.status)) return;
+
+            const cost = this.preflight.getCostPerLead(analysis.analysisType);
+            pending.user += cost;
+            if (analysis.businessId === businessId) {
+                pending.business += cost;
+            }
+        });
+
+        return pending;
+    }
+
+    showCreditBudgetAlerts(crossed) {
+        const settingsUrl = window.OsliraNav?.getUrl?.('settings-usage');
+
+        crossed.forEach(({ budget, label, limit, threshold }) => {
+            window.Alert?.warning({
+                title: 'Credit budget alert',
+                message: `This takes ${label} to ${threshold}% of its ${limit} monthly credits.`,
+                dedupeKey: `credit-budget-${budget.id}-${threshold}`,
+                actions: settingsUrl ? [{ label: 'Manage budgets', action: `redirect:${settingsUrl}` }] : []
+            });
+        });
+    }
+
+    getCurrentUserId() {
+        return this.stateManager?.getState('user')?.id || window.OsliraAuth?.user?.id || null;
+    }
+
+    buildRequestData(username, analysisType, businessId) {
+        return {
+            username: username.replace('@', ''),
+            analysis_type: analysisType,
+            business_id: businessId,
+            user_id: this.getCurrentUserId()
+        };
+    }
+
     getEstimatedDuration(analysisType) {
         const stages = this.analysisStages[analysisType];
         return stages.reduce((total, stage) => total + stage.duration, 0);
@@ -682,6 +1085,7 @@ class AnalysisQueue {
         const analyses = Array.from(this.activeAnalyses.values());
         return {
             total: analyses.length,
+            queued: analyses.filter(a => a.status === 'queued').length,
             analyzing: analyses.filter(a => a.status === 'analyzing').length,
             completed: analyses.filter(a => a.status === 'completed').length,
             failed: analyses.filter(a => a.status === 'failed').length
@@ -701,6 +1105,8 @@ class AnalysisQueue {
     // ===============================================================================
 
 cleanup() {
+        // Persisted items are kept on purpose - they are restored on the next dashboard boot
+        this.activeAnalyses.forEach(analysis => clearTimeout(analysis.removeTimer));
         this.activeAnalyses.clear();
 
         const wrapper = document.getElementById('analysis-queue-wrapper');
@@ -710,6 +1116,7 @@ cleanup() {
 
         // Styles handled by CSS file, no cleanup needed
         this.animator.cleanup();
+        this.scheduler.cleanup();
 
         console.log('🧹 [AnalysisQueue] Cleanup completed');
     }
@@ -9,6 +9,7 @@ class AnalysisQueueAnimator {
         this.queue = queue;
         this.progressAnimators = new Map();
         this.lastProgressEvent = new Map();
+        this.stageTimers = new Map();
     }
 
     // ===============================================================================
@@ -159,15 +160,19 @@ class AnalysisQueueAnimator {
     // STAGE-BASED PROGRESS (IMPROVED)
     // ===============================================================================
 
+    // Estimate only - AnalysisProgressTracker stops it as soon as the worker reports real progress
     startStageBasedProgress(analysisId) {
         const analysis = this.queue.activeAnalyses.get(analysisId);
         if (!analysis) return;
 
+        this.stopStageBasedProgress(analysisId);
+
         const stages = this.queue.analysisStages[analysis.analysisType];
         let currentStage = 0;
 
         const progressStage = () => {
             if (currentStage >= stages.length || analysis.status !== 'analyzing') return;
+            if (analysis.progressSource === 'server') return;
 
             const stage = stages[currentStage];
             const progressPerStage = 100 / stages.length;
@@ -194,15 +199,27 @@ class AnalysisQueueAnimator {
             // Move to next stage
             currentStage++;
             if (currentStage < stages.length) {
-                setTimeout(progressStage, stage.duration);
+                this.stageTimers.set(analysisId, setTimeout(progressStage, stage.duration));
+            } else {
+                this.stageTimers.delete(analysisId);
             }
         };
 
         // Start first stage
-        setTimeout(() => {
-            this.queue.updateAnalysis(analysisId, { status: 'analyzing' });
+        this.stageTimers.set(analysisId, setTimeout(() => {
+            if (analysis.status === 'starting') {
+                this.queue.updateAnalysis(analysisId, { status: 'analyzing' });
+            }
             progressStage();
-        }, 500);
+        }, 500));
+    }
+
+    stopStageBasedProgress(analysisId) {
+        const timer = this.stageTimers.get(analysisId);
+        if (timer) {
+            clearTimeout(timer);
+            this.stageTimers.delete(analysisId);
+        }
     }
 
     // ===============================================================================
@@ -310,6 +327,9 @@ class AnalysisQueueAnimator {
         this.progressAnimators.clear();
         this.lastProgressEvent.clear();
 
+        this.stageTimers.forEach(timer => clearTimeout(timer));
+        this.stageTimers.clear();
+
         const confettiStyles = document.getElementById('confetti-animation');
         if (confettiStyles) {
             confettiStyles.remove();
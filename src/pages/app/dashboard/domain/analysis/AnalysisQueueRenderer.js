@@ -21,6 +21,8 @@ class AnalysisQueueRenderer {
             (a, b) => b.startTime - a.startTime
         );
 
+        this.renderFooter();
+
         if (analyses.length === 0) {
             container.innerHTML = '<div class="p-4 text-center text-gray-500 text-sm">No active analyses</div>';
             this.queue.updateQueueBadge();
@@ -165,7 +167,7 @@ ${!analysis.isMinimized ? `
                         <p class="text-xs text-red-700 mt-1">${analysis.message || 'Analysis failed'}</p>
                     </div>
                     ${!analysis.message?.includes('does not exist') && !analysis.message?.includes('not found') ? `
-                        <button onclick="analysisQueue.retryAnalysis('${analysis.id}')"
+                        <button data-action="retry" data-analysis-id="${analysis.id}"
                                 class="ml-2 px-3 py-1.5 text-xs font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors flex-shrink-0">
                             Retry
                         </button>
@@ -178,9 +180,67 @@ ${!analysis.isMinimized ? `
         `;
     }
 
-    renderQueueFooter(totalCount, needsScroll) {
-        // Footer removed - queue shows all items with scroll
-        return '';
+    renderFooter() {
+        const footer = document.getElementById('analysis-queue-footer');
+        if (!footer) return;
+
+        footer.innerHTML = this.renderQueueFooter(this.queue.scheduler.getBatches());
+    }
+
+    renderQueueFooter(batches) {
+        if (!batches || batches.length === 0) return '';
+
+        return `
+<div class="border-t border-gray-200 bg-white/80 px-4 py-3 space-y-3">
+    ${batches.map(batch => this.renderBatchControls(batch)).join('')}
+</div>
+        `;
+    }
+
+    renderBatchControls(batch) {
+        const percentage = batch.total > 0 ? Math.round((batch.finished / batch.total) * 100) : 0;
+        const isDone = batch.status === 'completed' || batch.status === 'cancelled';
+        const isPaused = batch.status === 'paused';
+
+        let statusText;
+        if (batch.status === 'completed') {
+            statusText = `Done • ${batch.succeeded} succeeded${batch.failed ? `, ${batch.failed} failed` : ''}`;
+        } else if (batch.status === 'cancelled') {
+            statusText = `Cancelled • ${batch.finished} of ${batch.total} processed`;
+        } else if (isPaused) {
+            statusText = `Paused • ${batch.queued} waiting`;
+        } else if (batch.rateLimited) {
+            statusText = `Rate limited • waiting for the worker`;
+        } else {
+            statusText = `${batch.running} running • ~${this.formatElapsedTime(Math.round(batch.estimatedTimeRemaining / 1000))} left`;
+        }
+
+        return `
+    <div class="space-y-2" data-batch-id="${batch.id}">
+        <div class="flex items-center justify-between">
+            <div class="min-w-0">
+                <p class="text-sm font-semibold text-gray-900">Bulk run ${batch.finished}/${batch.total}</p>
+                <p class="text-xs text-gray-500 truncate">${statusText}</p>
+            </div>
+            ${!isDone ? `
+                <div class="flex items-center space-x-1 flex-shrink-0">
+                    <button data-action="${isPaused ? 'batch-resume' : 'batch-pause'}" data-batch-id="${batch.id}"
+                            class="px-2.5 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-200 rounded-md hover:bg-gray-50 transition-colors">
+                        ${isPaused ? 'Resume' : 'Pause'}
+                    </button>
+                    <button data-action="batch-cancel" data-batch-id="${batch.id}"
+                            class="px-2.5 py-1 text-xs font-medium text-red-700 bg-white border border-red-200 rounded-md hover:bg-red-50 transition-colors">
+                        Cancel
+                    </button>
+                </div>
+            ` : ''}
+        </div>
+        <div class="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+            <div class="h-full ${isPaused ? 'bg-gray-400' : 'bg-gradient-to-r from-blue-500 to-indigo-600'} rounded-full transition-all duration-300"
+                 style="width: ${percentage}%"></div>
+        </div>
+    </div>
+        `;
     }
 
     updateProgressBarDOM(analysisId, visualProgress) {
@@ -203,6 +263,17 @@ ${!analysis.isMinimized ? `
 
     getStatusConfig(status) {
         const configs = {
+            queued: {
+                icon: `<svg class="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 12h16M4 18h7"/>
+                </svg>`,
+                bgColor: 'bg-gradient-to-br from-gray-400 to-slate-500',
+                badgeColor: 'bg-gray-500',
+                progressBg: 'bg-gradient-to-r from-gray-400 to-slate-500',
+                textColor: 'text-gray-600',
+                typeColor: 'text-gray-700',
+                typeBg: 'bg-gray-100'
+            },
             starting: {
                 icon: `<svg class="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"/>
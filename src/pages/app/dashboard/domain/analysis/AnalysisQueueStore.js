@@ -0,0 +1,141 @@
+// public/pages/dashboard/modules/analysis/analysis-queue-store.js
+
+/**
+ * ANALYSIS QUEUE STORE MODULE
+ * Persists queue items to IndexedDB so pending/in-flight analyses survive reloads
+ */
+class AnalysisQueueStore {
+    constructor(queue) {
+        this.queue = queue;
+        this.dbName = 'oslira-analysis-queue';
+        this.storeName = 'analyses';
+        this.version = 1;
+        this.dbPromise = null;
+
+        // Only plain data is persisted - timers, RAF ids and visual state are rebuilt on load
+        this.persistedFields = [
+            'id', 'username', 'analysisType', 'businessId', 'userId', 'batchId', 'batchStatus', 'batchPriority', 'jobId',
+            'status', 'currentStage', 'totalStages', 'message', 'requestData',
+            'startTime', 'endTime', 'duration', 'targetProgress'
+        ];
+    }
+
+    // ===============================================================================
+    // DATABASE
+    // ===============================================================================
+
+    isSupported() {
+        return typeof window !== 'undefined' && !!window.indexedDB;
+    }
+
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('IndexedDB not supported'));
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('userId', 'userId', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    async runTransaction(mode, operation) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const store = transaction.objectStore(this.storeName);
+            const request = operation(store);
+
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // ===============================================================================
+    // PERSISTENCE
+    // ===============================================================================
+
+    serialize(analysis) {
+        const record = {};
+        this.persistedFields.forEach(field => {
+            if (analysis[field] !== undefined) {
+                record[field] = analysis[field];
+            }
+        });
+        record.updatedAt = Date.now();
+        return record;
+    }
+
+    async save(analysis) {
+        if (!analysis || !this.isSupported()) return;
+
+        try {
+            await this.runTransaction('readwrite', store => store.put(this.serialize(analysis)));
+        } catch (error) {
+            console.warn('⚠️ [AnalysisQueueStore] Failed to persist analysis:', analysis.id, error);
+        }
+    }
+
+    async delete(analysisId) {
+        if (!this.isSupported()) return;
+
+        try {
+            await this.runTransaction('readwrite', store => store.delete(analysisId));
+        } catch (error) {
+            console.warn('⚠️ [AnalysisQueueStore] Failed to delete analysis:', analysisId, error);
+        }
+    }
+
+    async loadAll(userId = null) {
+        if (!this.isSupported()) return [];
+
+        try {
+            const records = await this.runTransaction('readonly', store => store.getAll()) || [];
+
+            // Never rehydrate another account's queue on a shared browser
+            return userId ? records.filter(record => !record.userId || record.userId === userId) : records;
+        } catch (error) {
+            console.warn('⚠️ [AnalysisQueueStore] Failed to load persisted queue:', error);
+            return [];
+        }
+    }
+
+    async clear() {
+        if (!this.isSupported()) return;
+
+        try {
+            await this.runTransaction('readwrite', store => store.clear());
+            console.log('🧹 [AnalysisQueueStore] Persisted queue cleared');
+        } catch (error) {
+            console.warn('⚠️ [AnalysisQueueStore] Failed to clear persisted queue:', error);
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisQueueStore;
+} else {
+    window.AnalysisQueueStore = AnalysisQueueStore;
+}
+
+console.log('✅ [AnalysisQueueStore] Module loaded');
@@ -0,0 +1,404 @@
+// public/pages/dashboard/modules/analysis/analysis-scheduler.js
+
+/**
+ * ANALYSIS SCHEDULER MODULE
+ * Runs queued analyses with a per-plan concurrency limit, honours worker
+ * rate limits (429 / Retry-After) and tracks batches for pause/resume/cancel + ETA
+ */
+class AnalysisScheduler {
+    constructor(queue) {
+        this.queue = queue;
+
+        this.pending = [];
+        this.running = new Set();
+        this.batches = new Map();
+
+        this.defaultConcurrency = 3;
+        this.defaultRetryAfter = 30000;
+        this.rateLimitedUntil = 0;
+        this.dispatchTimer = null;
+        this.finishedBatchHideDelay = 12000;
+    }
+
+    // ===============================================================================
+    // CONFIGURATION
+    // ===============================================================================
+
+    getConcurrencyLimit() {
+        const permissions = window.OsliraUserService?.getUserPermissions?.();
+        const limit = permissions?.maxConcurrentAnalyses;
+        return Number.isFinite(limit) && limit > 0 ? limit : this.defaultConcurrency;
+    }
+
+    parseRetryAfter(headerValue) {
+        if (!headerValue) return this.defaultRetryAfter;
+
+        // Retry-After is either delay-seconds or an HTTP date
+        const seconds = Number(headerValue);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const retryAt = Date.parse(headerValue);
+        return Number.isNaN(retryAt) ? this.defaultRetryAfter : Math.max(0, retryAt - Date.now());
+    }
+
+    // ===============================================================================
+    // BATCHES
+    // ===============================================================================
+
+    createBatch(batchId, analysisIds, options = {}) {
+        const firstAnalysis = this.queue.activeAnalyses.get(analysisIds[0]);
+
+        const batch = {
+            id: batchId,
+            analysisIds: [...analysisIds],
+            analysisType: firstAnalysis?.analysisType || 'light',
+            priority: options.priority || 0,
+            status: options.status === 'paused' ? 'paused' : 'running',
+            startedAt: Date.now(),
+            pausedAt: options.status === 'paused' ? Date.now() : null,
+            pausedDuration: 0,
+            completedAt: null,
+            finished: 0,
+            succeeded: 0,
+            failed: 0,
+            results: [],
+            waiters: []
+        };
+
+        this.batches.set(batchId, batch);
+        analysisIds.forEach(analysisId => this.enqueue(analysisId, { batchId, priority: batch.priority }));
+        this.syncQueuedAnalyses(batch, batch.status === 'paused' ? { message: 'Paused' } : {});
+
+        console.log(`📦 [AnalysisScheduler] Batch ${batchId} created: ${analysisIds.length} items, ${batch.status}, concurrency ${this.getConcurrencyLimit()}`);
+
+        this.emitBatchUpdate(batch);
+        this.dispatch();
+        return batch;
+    }
+
+    waitForBatch(batchId) {
+        const batch = this.batches.get(batchId);
+        if (!batch) return Promise.resolve([]);
+        if (batch.completedAt) return Promise.resolve(batch.results);
+
+        return new Promise(resolve => batch.waiters.push(resolve));
+    }
+
+    pauseBatch(batchId) {
+        const batch = this.batches.get(batchId);
+        if (!batch || batch.status !== 'running') return;
+
+        batch.status = 'paused';
+        batch.pausedAt = Date.now();
+
+        this.syncQueuedAnalyses(batch, { message: 'Paused' });
+
+        console.log(`⏸️ [AnalysisScheduler] Batch ${batchId} paused`);
+        this.emitBatchUpdate(batch);
+    }
+
+    resumeBatch(batchId) {
+        const batch = this.batches.get(batchId);
+        if (!batch || batch.status !== 'paused') return;
+
+        batch.pausedDuration += Date.now() - batch.pausedAt;
+        batch.pausedAt = null;
+        batch.status = 'running';
+
+        this.syncQueuedAnalyses(batch, { message: 'Waiting in queue...' });
+
+        console.log(`▶️ [AnalysisScheduler] Batch ${batchId} resumed`);
+        this.emitBatchUpdate(batch);
+        this.dispatch();
+    }
+
+    /**
+     * Copy the batch's status and priority onto its waiting items so a reload
+     * rebuilds the batch as it was - a paused batch must not come back running
+     */
+    syncQueuedAnalyses(batch, updates = {}) {
+        this.getQueuedAnalyses(batch).forEach(analysis => {
+            this.queue.updateAnalysis(analysis.id, {
+                ...updates,
+                batchStatus: batch.status,
+                batchPriority: batch.priority
+            });
+        });
+    }
+
+    cancelBatch(batchId) {
+        const batch = this.batches.get(batchId);
+        if (!batch || batch.completedAt) return;
+
+        this.pending = this.pending.filter(entry => entry.batchId !== batchId);
+
+        batch.analysisIds.forEach(analysisId => {
+            const analysis = this.queue.activeAnalyses.get(analysisId);
+            if (!analysis) return;
+
+            if (analysis.status === 'queued') {
+                this.queue.removeAnalysis(analysisId);
+            } else if (analysis.status === 'starting' || analysis.status === 'analyzing') {
+                this.queue.cancelAnalysis(analysisId);
+            }
+        });
+
+        console.log(`🚫 [AnalysisScheduler] Batch ${batchId} cancelled`);
+        this.finishBatch(batch, 'cancelled');
+    }
+
+    finishBatch(batch, status) {
+        batch.status = status;
+        batch.completedAt = Date.now();
+
+        batch.waiters.forEach(resolve => resolve(batch.results));
+        batch.waiters = [];
+
+        this.emitBatchUpdate(batch);
+        this.queue.eventBus.emit(window.DASHBOARD_EVENTS.ANALYSIS_BATCH_FINISHED, {
+            batchId: batch.id,
+            status,
+            total: batch.analysisIds.length,
+            succeeded: batch.succeeded,
+            failed: batch.failed
+        });
+
+        this.queue.handleBatchFinished(batch);
+
+        setTimeout(() => {
+            this.batches.delete(batch.id);
+            this.queue.renderQueue();
+        }, this.finishedBatchHideDelay);
+    }
+
+    // ===============================================================================
+    // DISPATCH
+    // ===============================================================================
+
+    enqueue(analysisId, { batchId = null, priority = 0 } = {}) {
+        const username = this.queue.activeAnalyses.get(analysisId)?.username;
+        this.pending.push({ analysisId, batchId, priority, username, enqueuedAt: Date.now() });
+
+        // Higher priority first, FIFO within a priority
+        this.pending.sort((a, b) => (b.priority - a.priority) || (a.enqueuedAt - b.enqueuedAt));
+    }
+
+    /**
+     * Put a rate-limited item back at the front of its priority band and hold
+     * all dispatching until the worker's Retry-After has passed
+     */
+    requeue(analysisId, retryAfterMs) {
+        const existing = this.queue.activeAnalyses.get(analysisId);
+        const batchId = existing?.batchId && this.batches.has(existing.batchId) ? existing.batchId : null;
+        const priority = batchId ? this.batches.get(batchId).priority : 0;
+
+        this.rateLimitedUntil = Math.max(this.rateLimitedUntil, Date.now() + retryAfterMs);
+        this.pending.unshift({ analysisId, batchId, priority, username: existing?.username, enqueuedAt: 0 });
+        this.pending.sort((a, b) => (b.priority - a.priority) || (a.enqueuedAt - b.enqueuedAt));
+
+        console.warn(`⏳ [AnalysisScheduler] Rate limited - holding dispatch for ${Math.ceil(retryAfterMs / 1000)}s`);
+        this.dispatch();
+    }
+
+    /**
+     * Send a failed item back through the queue. While its batch is still open the
+     * earlier failure is taken back, so the retry counts toward the batch again
+     */
+    retry(analysisId) {
+        const analysis = this.queue.activeAnalyses.get(analysisId);
+        const batch = analysis?.batchId ? this.batches.get(analysis.batchId) : null;
+        const openBatch = batch && !batch.completedAt && batch.analysisIds.includes(analysisId) ? batch : null;
+
+        if (openBatch) {
+            const index = openBatch.results.findIndex(result => result.username === analysis.username && !result.success);
+            if (index !== -1) {
+                openBatch.results.splice(index, 1);
+                openBatch.finished--;
+                openBatch.failed--;
+            }
+
+            this.queue.updateAnalysis(analysisId, {
+                message: openBatch.status === 'paused' ? 'Paused' : 'Waiting in queue...',
+                batchStatus: openBatch.status,
+                batchPriority: openBatch.priority
+            });
+        }
+
+        this.enqueue(analysisId, { batchId: openBatch?.id || null, priority: openBatch?.priority || 0 });
+
+        if (openBatch) this.emitBatchUpdate(openBatch);
+        this.dispatch();
+    }
+
+    forget(analysisId) {
+        this.pending = this.pending.filter(entry => entry.analysisId !== analysisId);
+    }
+
+    dispatch() {
+        clearTimeout(this.dispatchTimer);
+        this.dispatchTimer = null;
+
+        const waitMs = this.rateLimitedUntil - Date.now();
+        if (waitMs > 0) {
+            this.dispatchTimer = setTimeout(() => this.dispatch(), waitMs);
+            return;
+        }
+
+        const limit = this.getConcurrencyLimit();
+
+        while (this.running.size < limit) {
+            const entry = this.takeNextEntry();
+            if (!entry) break;
+            this.run(entry);
+        }
+    }
+
+    takeNextEntry() {
+        for (let i = 0; i < this.pending.length; i++) {
+            const entry = this.pending[i];
+            const batch = entry.batchId ? this.batches.get(entry.batchId) : null;
+
+            if (batch && batch.status !== 'running') continue;
+
+            this.pending.splice(i, 1);
+
+            // Removed from the queue by the user while waiting
+            const analysis = this.queue.activeAnalyses.get(entry.analysisId);
+            if (!analysis || analysis.status !== 'queued') {
+                this.recordResult(entry, { success: false, error: 'Removed from queue' });
+                i--;
+                continue;
+            }
+
+            return entry;
+        }
+
+        return null;
+    }
+
+    async run(entry) {
+        this.running.add(entry.analysisId);
+
+        let result;
+        try {
+            result = await this.queue.executeAnalysis(entry.analysisId);
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        this.running.delete(entry.analysisId);
+
+        // Rate-limited items were requeued and will report when they actually finish
+        if (!result.rateLimited) {
+            this.recordResult(entry, result);
+        }
+
+        this.dispatch();
+    }
+
+    recordResult(entry, result) {
+        const batch = entry.batchId ? this.batches.get(entry.batchId) : null;
+        if (!batch || batch.completedAt) return;
+
+        batch.finished++;
+        if (result.success) {
+            batch.succeeded++;
+        } else {
+            batch.failed++;
+        }
+
+        batch.results.push({
+            username: entry.username,
+            success: result.success,
+            error: result.error,
+            data: result.result
+        });
+
+        if (batch.finished >= batch.analysisIds.length) {
+            this.finishBatch(batch, 'completed');
+        } else {
+            this.emitBatchUpdate(batch);
+        }
+    }
+
+    // ===============================================================================
+    // STATS & ETA
+    // ===============================================================================
+
+    getQueuedAnalyses(batch) {
+        return batch.analysisIds
+            .map(analysisId => this.queue.activeAnalyses.get(analysisId))
+            .filter(analysis => analysis && analysis.status === 'queued');
+    }
+
+    getBatchStats(batch) {
+        const total = batch.analysisIds.length;
+        const running = batch.analysisIds.filter(analysisId => this.running.has(analysisId)).length;
+
+        return {
+            id: batch.id,
+            status: batch.status,
+            total,
+            finished: batch.finished,
+            succeeded: batch.succeeded,
+            failed: batch.failed,
+            running,
+            queued: Math.max(0, total - batch.finished - running),
+            rateLimited: this.rateLimitedUntil > Date.now(),
+            estimatedTimeRemaining: this.getBatchEta(batch)
+        };
+    }
+
+    /**
+     * ETA from observed throughput (finished items per active millisecond, pauses
+     * excluded); before the first result lands, fall back to the stage estimate
+     */
+    getBatchEta(batch) {
+        const remaining = batch.analysisIds.length - batch.finished;
+        if (remaining <= 0 || batch.completedAt) return 0;
+
+        const now = Date.now();
+        const currentPause = batch.pausedAt ? now - batch.pausedAt : 0;
+        const activeElapsed = now - batch.startedAt - batch.pausedDuration - currentPause;
+
+        if (batch.finished > 0 && activeElapsed > 0) {
+            return Math.round(remaining * (activeElapsed / batch.finished));
+        }
+
+        const waves = Math.ceil(remaining / this.getConcurrencyLimit());
+        return waves * this.queue.getEstimatedDuration(batch.analysisType);
+    }
+
+    getBatches() {
+        return Array.from(this.batches.values()).map(batch => this.getBatchStats(batch));
+    }
+
+    emitBatchUpdate(batch) {
+        this.queue.eventBus.emit(window.DASHBOARD_EVENTS.ANALYSIS_BATCH_UPDATED, this.getBatchStats(batch));
+        this.queue.renderQueue();
+    }
+
+    // ===============================================================================
+    // CLEANUP
+    // ===============================================================================
+
+    cleanup() {
+        clearTimeout(this.dispatchTimer);
+        this.dispatchTimer = null;
+        this.pending = [];
+        this.running.clear();
+        this.batches.clear();
+        this.rateLimitedUntil = 0;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisScheduler;
+} else {
+    window.AnalysisScheduler = AnalysisScheduler;
+}
+
+console.log('✅ [AnalysisScheduler] Module loaded');
@@ -0,0 +1,222 @@
+// =============================================================================
+// BULK PREFLIGHT - Review Report Before A Bulk Run
+// Path: /public/pages/app/dashboard/domain/bulk/BulkPreflight.js
+// Dependencies: LeadValidation, OsliraLeadsAPI
+// =============================================================================
+
+/**
+ * Builds the review report shown before a bulk run spends credits:
+ * - usernames already analyzed for the selected business (LeadsAPI.searchLeads)
+ * - invalid handles (LeadValidation.validateInstagramUsername)
+ * - duplicates inside the uploaded file
+ * - exact credit cost for each analysis type, based on the rows left included
+ */
+class BulkPreflight {
+    constructor() {
+        this.validation = window.LeadValidation ? new window.LeadValidation() : null;
+        this.lookupConcurrency = 5;
+
+        this.creditCosts = {
+            light: 1,
+            deep: 2,
+            xray: 3
+        };
+    }
+
+    // =========================================================================
+    // CREDIT COSTS
+    // =========================================================================
+
+    getCostPerLead(analysisType) {
+        return this.creditCosts[analysisType] || this.creditCosts.light;
+    }
+
+    /**
+     * @returns {Object} { light: { perLead, total }, deep: {...}, xray: {...} }
+     */
+    getCostBreakdown(report) {
+        const count = this.getIncludedRows(report).length;
+        const breakdown = {};
+
+        Object.entries(this.creditCosts).forEach(([analysisType, perLead]) => {
+            breakdown[analysisType] = { perLead, total: perLead * count };
+        });
+
+        return breakdown;
+    }
+
+    // =========================================================================
+    // REPORT
+    // =========================================================================
+
+    /**
+     * @param {Object} importResult - { records, invalidRows, duplicateRows } from LeadImportParser.buildRecords
+     * @param {string} businessId - Selected business profile
+     * @returns {Promise<Object>} { rows, existingCheck }
+     */
+    async buildReport(importResult, businessId) {
+        const { records = [], invalidRows = [], duplicateRows = [] } = importResult;
+
+        const { existing, checked } = await this.findExistingLeads(
+            records.map(record => record.username),
+            businessId
+        );
+
+        const rows = [];
+
+        records.forEach(record => {
+            const lead = existing.get(record.username);
+
+            rows.push({
+                ...record,
+                status: lead ? 'existing' : 'new',
+                reason: lead ? this.describeExistingLead(lead) : null,
+                existingLead: lead || null,
+                included: !lead,
+                locked: false
+            });
+        });
+
+        invalidRows.forEach(row => {
+            rows.push({
+                username: row.value,
+                rowNumber: row.rowNumber,
+                status: 'invalid',
+                reason: this.describeInvalidValue(row.value),
+                included: false,
+                locked: true
+            });
+        });
+
+        duplicateRows.forEach(row => {
+            rows.push({
+                username: row.username,
+                rowNumber: row.rowNumber,
+                status: 'duplicate',
+                reason: `Same as row ${row.firstRowNumber}`,
+                included: false,
+                locked: true
+            });
+        });
+
+        rows.sort((a, b) => a.rowNumber - b.rowNumber);
+
+        return { rows, existingCheck: checked ? 'complete' : 'unavailable' };
+    }
+
+    setRowIncluded(report, rowNumber, included) {
+        const row = report.rows.find(r => r.rowNumber === rowNumber);
+        if (row && !row.locked) {
+            row.included = included;
+        }
+    }
+
+    setStatusIncluded(report, status, included) {
+        report.rows
+            .filter(row => row.status === status && !row.locked)
+            .forEach(row => { row.included = included; });
+    }
+
+    getIncludedRows(report) {
+        return report.rows.filter(row => row.included && !row.locked);
+    }
+
+    summarize(report) {
+        const summary = { total: report.rows.length, new: 0, existing: 0, invalid: 0, duplicate: 0, included: 0 };
+
+        report.rows.forEach(row => {
+            summary[row.status]++;
+            if (row.included && !row.locked) summary.included++;
+        });
+
+        return summary;
+    }
+
+    // =========================================================================
+    // EXISTING LEADS
+    // =========================================================================
+
+    /**
+     * Look each handle up for the business. A failed lookup never blocks the
+     * run - the report just says the check could not be completed.
+     * @returns {Promise<Object>} { existing: Map<username, lead>, checked }
+     */
+    async findExistingLeads(usernames, businessId) {
+        const existing = new Map();
+        const leadsAPI = window.OsliraLeadsAPI;
+
+        if (!leadsAPI || !businessId || usernames.length === 0) {
+            return { existing, checked: usernames.length === 0 };
+        }
+
+        let checked = true;
+        const pending = [...usernames];
+
+        const worker = async () => {
+            while (pending.length > 0) {
+                const username = pending.shift();
+
+                try {
+                    const results = await leadsAPI.searchLeads(businessId, username);
+                    const match = (results || []).find(lead =>
+                        String(lead.username || '').replace(/^@/, '').toLowerCase() === username
+                    );
+                    if (match) existing.set(username, match);
+                } catch (error) {
+                    checked = false;
+                }
+            }
+        };
+
+        await Promise.all(
+            Array.from({ length: Math.min(this.lookupConcurrency, usernames.length) }, worker)
+        );
+
+        if (!checked) {
+            console.warn('⚠️ [BulkPreflight] Some existing-lead lookups failed');
+        }
+
+        return { existing, checked };
+    }
+
+    describeExistingLead(lead) {
+        const parts = ['Already in your leads'];
+
+        if (lead.analysis_type) {
+            parts[0] = `Already analyzed (${lead.analysis_type})`;
+        }
+        if (lead.score !== undefined && lead.score !== null) {
+            parts.push(`score ${lead.score}`);
+        }
+        if (lead.created_at) {
+            parts.push(new Date(lead.created_at).toLocaleDateString());
+        }
+
+        return parts.join(' · ');
+    }
+
+    // =========================================================================
+    // INVALID HANDLES
+    // =========================================================================
+
+    describeInvalidValue(value) {
+        const raw = String(value || '').trim();
+        if (!raw) return 'Empty username cell';
+
+        const urlMatch = raw.match(/^(?:https?:\/\/)?(?:www\.|m\.)?(?:instagram\.com|instagr\.am)\/([^/?#\s]+)/i);
+        if (!urlMatch && /^(?:https?:\/\/|www\.)/i.test(raw)) {
+            return 'Not an Instagram profile URL';
+        }
+
+        const candidate = (urlMatch ? urlMatch[1] : raw).replace(/^@/, '');
+        const result = this.validation?.validateInstagramUsername(candidate);
+
+        return result && !result.isValid ? result.error : 'Not an Instagram profile';
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.BulkPreflight = BulkPreflight;
+console.log('✅ [BulkPreflight] Loaded');
@@ -11,6 +11,7 @@ class BulkUpload {
         this.uploadedUsernames = [];
         this.maxUsernames = 100;
         this.isProcessing = false;
+        this.importParser = new window.LeadImportParser();
         console.log('📁 [BulkUpload] Initialized');
     }
 
@@ -49,46 +50,23 @@ class BulkUpload {
     async handleFileUpload(file) {
         if (!file) return;
 
-        if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
-            this.showError('Please select a valid CSV file');
+        const allowedExtensions = ['.csv', '.tsv', '.txt', '.xlsx'];
+        if (file.type !== 'text/csv' && !allowedExtensions.some(ext => file.name.toLowerCase().endsWith(ext))) {
+            this.showError('Please select a CSV, TSV, TXT or XLSX file');
             return;
         }
 
         try {
-            const text = await this.readFileAsText(file);
-            const usernames = this.parseCsvUsernames(text);
-            this.displayUploadedUsernames(usernames);
+            const usernames = await this.importParser.parseUsernamesFromFile(file);
+            this.displayUploadedUsernames(usernames.slice(0, this.maxUsernames));
         } catch (error) {
             console.error('❌ [BulkUpload] File upload failed:', error);
             this.showError('Failed to read file. Please try again.');
         }
     }
 
-    readFileAsText(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = (e) => reject(e);
-            reader.readAsText(file);
-        });
-    }
-
     parseCsvUsernames(csvText) {
-        const lines = csvText.split('\n');
-        const usernames = [];
-
-        lines.forEach(line => {
-            const trimmed = line.trim();
-            if (trimmed && !trimmed.startsWith('#')) {
-                // Extract username (handle @ symbols)
-                const username = trimmed.replace(/[@,]/g, '').trim();
-                if (username && !usernames.includes(username)) {
-                    usernames.push(username);
-                }
-            }
-        });
-
-        return usernames.slice(0, this.maxUsernames);
+        return this.importParser.parseUsernames(csvText).slice(0, this.maxUsernames);
     }
 
     handleManualInput(text) {
@@ -173,16 +151,18 @@ class BulkUpload {
     }
 
     async processBulkAnalysis(usernames, businessId) {
-        console.log('📁 [BulkUpload] Processing bulk analysis:', { count: usernames.length, businessId });
-        
-        // This would integrate with the main dashboard analysis system
-        // Simulate API call
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        
-        // Trigger dashboard refresh
-        if (window.dashboard?._app?.refreshLeads) {
-            await window.dashboard._app.refreshLeads();
+        const analysisType = document.getElementById('bulk-analysis-type')?.value || 'light';
+        console.log('📁 [BulkUpload] Processing bulk analysis:', { count: usernames.length, businessId, analysisType });
+
+        const analysisQueue = window.AnalysisQueue;
+        if (!analysisQueue?.enqueueBulkAnalysis) {
+            throw new Error('Analysis queue not available');
         }
+
+        // The scheduler runs the batch in the background; progress, pause/resume
+        // and cancel live in the analysis queue footer
+        const leads = usernames.map(username => ({ username, platform: 'instagram' }));
+        return analysisQueue.enqueueBulkAnalysis(leads, analysisType, businessId);
     }
 
     setSubmitButtonLoading(isLoading) {
@@ -0,0 +1,386 @@
+// =============================================================================
+// LEAD IMPORT PARSER - Bulk Upload Import Pipeline
+// Path: /public/pages/app/dashboard/domain/bulk/LeadImportParser.js
+// Dependencies: LeadValidation, SheetJS (window.XLSX, loaded on demand for .xlsx)
+// =============================================================================
+
+/**
+ * Turns an uploaded CSV / TSV / TXT / XLSX file into lead import records:
+ * 1. Read the file into a grid of rows (quoted CSV aware)
+ * 2. Detect whether the first row is a header
+ * 3. Suggest a column mapping (username, notes, tags, source)
+ * 4. Build records from the grid + mapping the user confirmed
+ */
+class LeadImportParser {
+    constructor() {
+        this.validation = window.LeadValidation ? new window.LeadValidation() : null;
+        this.xlsxLibraryUrl = 'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js';
+
+        // Fields a column can be mapped to, with header names we recognise for each
+        this.fieldAliases = {
+            username: ['username', 'user name', 'handle', 'instagram', 'instagram username', 'instagram handle', 'ig', 'ig handle', 'profile', 'profile url', 'instagram url', 'url', 'account'],
+            notes: ['notes', 'note', 'comments', 'comment', 'description'],
+            tags: ['tags', 'tag', 'labels', 'label', 'category', 'categories'],
+            source: ['source', 'lead source', 'origin', 'campaign', 'list']
+        };
+    }
+
+    // =========================================================================
+    // FILE READING
+    // =========================================================================
+
+    detectFormat(fileName = '', mimeType = '') {
+        const name = fileName.toLowerCase();
+
+        if (name.endsWith('.xlsx') || mimeType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+            return 'xlsx';
+        }
+        if (name.endsWith('.tsv') || mimeType === 'text/tab-separated-values') {
+            return 'tsv';
+        }
+        if (name.endsWith('.txt') || mimeType === 'text/plain') {
+            return 'txt';
+        }
+        return 'csv';
+    }
+
+    async parseFile(file) {
+        const format = this.detectFormat(file.name, file.type);
+
+        const rows = format === 'xlsx'
+            ? await this.parseXlsx(await this.readFile(file, 'arrayBuffer'))
+            : this.parseText(await this.readFile(file, 'text'), format === 'tsv' ? '\t' : null);
+
+        return this.analyzeRows(rows, format);
+    }
+
+    readFile(file, as) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+
+            if (as === 'arrayBuffer') {
+                reader.readAsArrayBuffer(file);
+            } else {
+                reader.readAsText(file);
+            }
+        });
+    }
+
+    // =========================================================================
+    // DELIMITED TEXT
+    // =========================================================================
+
+    parseText(text, delimiter = null) {
+        const content = text.replace(/^\uFEFF/, '');
+        const separator = delimiter || this.detectDelimiter(content);
+
+        return this.parseDelimited(content, separator)
+            .map(row => row.map(cell => cell.trim()))
+            .filter(row => row.some(cell => cell.length > 0) && !row[0].startsWith('#'));
+    }
+
+    detectDelimiter(text) {
+        const sample = text.split(/\r?\n/).slice(0, 10).join('\n');
+        const candidates = [',', '\t', ';'];
+
+        // Count delimiters outside quotes; plain one-handle-per-line files have none
+        let best = ',';
+        let bestCount = 0;
+        candidates.forEach(candidate => {
+            const count = this.parseDelimited(sample, candidate)
+                .reduce((total, row) => total + row.length - 1, 0);
+            if (count > bestCount) {
+                best = candidate;
+                bestCount = count;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * RFC 4180 parser: quoted fields, escaped quotes ("") and newlines inside quotes
+     */
+    parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && cell.trim().length === 0) {
+                cell = '';
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell.length > 0 || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    // =========================================================================
+    // XLSX
+    // =========================================================================
+
+    async parseXlsx(arrayBuffer) {
+        const XLSX = await this.loadXlsxLibrary();
+        const workbook = XLSX.read(arrayBuffer, { type: 'array' });
+        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
+
+        if (!firstSheet) {
+            throw new Error('Spreadsheet has no sheets');
+        }
+
+        return XLSX.utils.sheet_to_json(firstSheet, { header: 1, defval: '', raw: false })
+            .map(row => row.map(cell => String(cell ?? '').trim()))
+            .filter(row => row.some(cell => cell.length > 0));
+    }
+
+    loadXlsxLibrary() {
+        if (window.XLSX) return Promise.resolve(window.XLSX);
+
+        if (!this.xlsxLoadPromise) {
+            this.xlsxLoadPromise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.xlsxLibraryUrl;
+                script.async = true;
+                script.onload = () => resolve(window.XLSX);
+                script.onerror = () => {
+                    this.xlsxLoadPromise = null;
+                    reject(new Error('Could not load the spreadsheet reader. Please export the sheet as CSV.'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+
+        return this.xlsxLoadPromise;
+    }
+
+    // =========================================================================
+    // HEADER DETECTION & COLUMN MAPPING
+    // =========================================================================
+
+    analyzeRows(rows, format = 'csv') {
+        if (rows.length === 0) {
+            throw new Error('File is empty');
+        }
+
+        const columnCount = Math.max(...rows.map(row => row.length));
+        const hasHeader = this.detectHeader(rows);
+        const dataRows = hasHeader ? rows.slice(1) : rows;
+        const headers = hasHeader
+            ? Array.from({ length: columnCount }, (_, i) => rows[0][i] || `Column ${i + 1}`)
+            : Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`);
+
+        return {
+            format,
+            hasHeader,
+            headers,
+            rows: dataRows,
+            mapping: this.suggestMapping(headers, dataRows, hasHeader)
+        };
+    }
+
+    detectHeader(rows) {
+        if (rows.length < 2) return false;
+
+        const firstRow = rows[0];
+
+        // A recognised header name is the strongest signal
+        if (firstRow.some(cell => this.matchField(cell) !== null)) {
+            return true;
+        }
+
+        // Otherwise: first row has no handles while the rest of the file does
+        const firstRowHandles = firstRow.filter(cell => this.extractUsername(cell)).length;
+        const laterRowHandles = rows.slice(1, 11).filter(row => row.some(cell => this.extractUsername(cell))).length;
+
+        return firstRowHandles === 0 && laterRowHandles > 0;
+    }
+
+    matchField(headerCell) {
+        const normalized = String(headerCell || '').toLowerCase().replace(/[_\-]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+        for (const [field, aliases] of Object.entries(this.fieldAliases)) {
+            if (aliases.includes(normalized)) return field;
+        }
+        return null;
+    }
+
+    /**
+     * @returns {Object} { username, notes, tags, source } -> column index or null
+     */
+    suggestMapping(headers, rows, hasHeader) {
+        const mapping = { username: null, notes: null, tags: null, source: null };
+
+        if (hasHeader) {
+            headers.forEach((header, index) => {
+                const field = this.matchField(header);
+                if (field && mapping[field] === null) {
+                    mapping[field] = index;
+                }
+            });
+        }
+
+        // No usable header - pick the column where most cells look like handles or profile URLs
+        if (mapping.username === null) {
+            let bestScore = 0;
+            headers.forEach((_, index) => {
+                const sample = rows.slice(0, 50);
+                const score = sample.filter(row => this.extractUsername(row[index])).length / (sample.length || 1);
+                if (score > bestScore) {
+                    bestScore = score;
+                    mapping.username = index;
+                }
+            });
+        }
+
+        return mapping;
+    }
+
+    // =========================================================================
+    // USERNAMES
+    // =========================================================================
+
+    /**
+     * Extract a valid handle from "@handle", "handle" or an Instagram profile URL.
+     * Returns null for anything else (names, emails, free text).
+     */
+    extractUsername(value) {
+        if (!value) return null;
+
+        let candidate = String(value).trim();
+        if (!candidate || (candidate.includes('@') && !candidate.startsWith('@'))) return null;
+
+        const urlMatch = candidate.match(/^(?:https?:\/\/)?(?:www\.|m\.)?(?:instagram\.com|instagr\.am)\/([^/?#\s]+)/i);
+        if (urlMatch) {
+            candidate = urlMatch[1];
+        } else if (/[\s/:]/.test(candidate)) {
+            return null;
+        }
+
+        candidate = candidate.replace(/^@/, '').toLowerCase();
+
+        const reserved = ['p', 'reel', 'reels', 'explore', 'stories', 'accounts', 'tv'];
+        if (reserved.includes(candidate)) return null;
+
+        const result = this.validation
+            ? this.validation.validateInstagramUsername(candidate)
+            : { isValid: /^[a-z0-9._]{1,30}$/.test(candidate) };
+
+        return result.isValid ? candidate : null;
+    }
+
+    // =========================================================================
+    // RECORDS
+    // =========================================================================
+
+    /**
+     * Build import records from parsed rows and the confirmed mapping.
+     * @returns {Object} { records, invalidRows, duplicateRows, duplicateCount }
+     */
+    buildRecords(parsed, mapping = parsed.mapping) {
+        if (mapping.username === null || mapping.username === undefined) {
+            throw new Error('Choose which column contains the Instagram username');
+        }
+
+        const records = [];
+        const invalidRows = [];
+        const duplicateRows = [];
+        const seen = new Map();
+        const rowOffset = parsed.hasHeader ? 2 : 1;
+
+        parsed.rows.forEach((row, index) => {
+            const rawUsername = row[mapping.username];
+            const username = this.extractUsername(rawUsername);
+
+            if (!username) {
+                invalidRows.push({ rowNumber: index + rowOffset, value: rawUsername || '' });
+                return;
+            }
+
+            if (seen.has(username)) {
+                duplicateRows.push({ rowNumber: index + rowOffset, username, firstRowNumber: seen.get(username) });
+                return;
+            }
+            seen.set(username, index + rowOffset);
+
+            records.push({
+                username,
+                notes: this.getCell(row, mapping.notes),
+                tags: this.splitTags(this.getCell(row, mapping.tags)),
+                source: this.getCell(row, mapping.source),
+                rowNumber: index + rowOffset
+            });
+        });
+
+        return { records, invalidRows, duplicateRows, duplicateCount: duplicateRows.length };
+    }
+
+    getCell(row, columnIndex) {
+        if (columnIndex === null || columnIndex === undefined) return null;
+        const value = row[columnIndex];
+        return value ? value : null;
+    }
+
+    splitTags(value) {
+        if (!value) return [];
+        return value.split(/[,;|]/).map(tag => tag.trim()).filter(Boolean);
+    }
+
+    /**
+     * Shortcuts for callers that only need the handles (auto-detected mapping)
+     */
+    parseUsernames(content) {
+        const rows = this.parseText(content);
+        if (rows.length === 0) return [];
+
+        return this.usernamesFromParsed(this.analyzeRows(rows));
+    }
+
+    async parseUsernamesFromFile(file) {
+        return this.usernamesFromParsed(await this.parseFile(file));
+    }
+
+    usernamesFromParsed(parsed) {
+        if (parsed.mapping.username === null) return [];
+        return this.buildRecords(parsed).records.map(record => record.username);
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadImportParser = LeadImportParser;
+console.log('✅ [LeadImportParser] Loaded');
@@ -65,17 +65,8 @@ class BusinessManager {
                 return cached.businesses;
             }
             
-            // Load from database
-            const { data: businesses, error } = await this.supabase
-                .from('business_profiles')
-                .select('*')
-                .eq('user_id', user.id)
-                .order('created_at', { ascending: true });
-                
-            if (error) {
-                console.error('❌ [BusinessManager] Failed to load businesses:', error);
-                throw error;
-            }
+            // Load from database - own businesses plus workspaces shared with the user
+            const businesses = await this.osliraAuth.fetchUserBusinesses();
             
             console.log(`📊 [BusinessManager] Loaded ${businesses?.length || 0} business profiles`);
             
@@ -115,6 +106,9 @@ class BusinessManager {
     }
     
     async setActiveBusinessFromStorage(businesses) {
+        // An accepted team invite lands here with ?business=<id>
+        this.applyBusinessFromUrl();
+        
         // Try to restore from localStorage
         const savedBusinessId = localStorage.getItem('selectedBusinessId');
         let selectedBusiness = null;
@@ -147,6 +141,17 @@ class BusinessManager {
         }
     }
     
+    applyBusinessFromUrl() {
+        const url = new URL(window.location.href);
+        const businessId = url.searchParams.get('business');
+        if (!businessId) return;
+        
+        localStorage.setItem('selectedBusinessId', businessId);
+        
+        url.searchParams.delete('business');
+        window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+    }
+    
     // ===============================================================================
     // BUSINESS SWITCHING
     // ===============================================================================
@@ -0,0 +1,241 @@
+// =============================================================================
+// CRM CONNECTOR - Connector Base Class & Registry
+// Path: /public/pages/app/dashboard/domain/crm/CRMConnector.js
+// Dependencies: None
+// =============================================================================
+
+/**
+ * @class CRMConnector
+ * @description Base for provider connectors (HubSpot, Pipedrive, Salesforce)
+ *
+ * A connector knows one CRM's object shape: which fields it accepts, how to
+ * search for an existing record and how to create / update one. It never
+ * performs HTTP itself - requests go through an injected transport:
+ *
+ *   transport({ method, path, query, body }) => Promise<{ status, data }>
+ *
+ * In the app the transport is CRMAPI.relay (credentials stay on the backend);
+ * the dev harness points it straight at a local mock CRM server.
+ *
+ * Subclasses set the descriptive fields in their constructor and implement the
+ * build* / parse* methods.
+ */
+class CRMConnector {
+    constructor(transport, options = {}) {
+        if (typeof transport !== 'function') {
+            throw new Error('[CRMConnector] A transport function is required');
+        }
+
+        this.transport = transport;
+
+        // Provider-specific keys for custom fields, e.g. Pipedrive's hashed field keys
+        this.fieldKeys = options.fieldKeys || {};
+
+        this.id = 'base';
+        this.label = 'CRM';
+        this.objectLabel = 'record';
+        this.credentialFields = [];
+        this.targetFields = [];
+        this.defaultMapping = {};
+        this.dedupeTarget = null;
+    }
+
+    // =========================================================================
+    // FIELDS
+    // =========================================================================
+
+    getTargetField(key) {
+        return this.targetFields.find(field => field.key === key) || null;
+    }
+
+    resolveFieldKey(target) {
+        return this.fieldKeys[target] || this.getTargetField(target)?.providerKey || target;
+    }
+
+    /**
+     * Record keyed by target field -> provider field names, empty values dropped
+     */
+    toProviderFields(record) {
+        return Object.entries(record).reduce((fields, [target, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                fields[this.resolveFieldKey(target)] = value;
+            }
+            return fields;
+        }, {});
+    }
+
+    /**
+     * "Jane van Doe" -> { first: 'Jane', last: 'van Doe' }
+     */
+    splitName(name) {
+        const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+        if (parts.length <= 1) return { first: '', last: parts[0] || '' };
+        return { first: parts[0], last: parts.slice(1).join(' ') };
+    }
+
+    // =========================================================================
+    // PUSH
+    // =========================================================================
+
+    /**
+     * Create or update the CRM record for a lead. A known external id is updated
+     * in place; otherwise the dedupe field is searched before creating, so a
+     * re-push never creates a duplicate.
+     * @param {Object} record - Values keyed by target field
+     * @param {Object} options - { externalId }
+     * @returns {Promise<Object>} { externalId, action: 'created' | 'updated' }
+     */
+    async push(record, { externalId = null } = {}) {
+        if (externalId) {
+            const response = await this.transport(this.buildUpdateRequest(externalId, record));
+
+            // Deleted in the CRM since the last push - fall through and recreate
+            if (response.status !== 404) {
+                this.assertOk(response, 'update');
+                return { externalId, action: 'updated' };
+            }
+        }
+
+        const existingId = await this.findExisting(record);
+        if (existingId) {
+            await this.request(this.buildUpdateRequest(existingId, record), 'update');
+            return { externalId: existingId, action: 'updated' };
+        }
+
+        const response = await this.request(this.buildCreateRequest(record), 'create');
+        const createdId = this.parseCreatedId(response.data);
+
+        if (!createdId) {
+            throw new Error(`${this.label} did not return an id for the new ${this.objectLabel}`);
+        }
+
+        return { externalId: String(createdId), action: 'created' };
+    }
+
+    async findExisting(record) {
+        const value = this.dedupeTarget ? record[this.dedupeTarget] : null;
+        if (!value) return null;
+
+        const response = await this.request(this.buildSearchRequest(value), 'search');
+        const id = this.parseSearchResult(response.data);
+        return id ? String(id) : null;
+    }
+
+    async testConnection() {
+        await this.request(this.buildPingRequest(), 'connect');
+        return true;
+    }
+
+    // =========================================================================
+    // TRANSPORT
+    // =========================================================================
+
+    async request(request, action) {
+        const response = await this.transport(request);
+        this.assertOk(response, action);
+        return response;
+    }
+
+    assertOk(response, action) {
+        const status = response?.status || 0;
+        if (status >= 200 && status < 300) return;
+
+        const error = new Error(`${this.label} ${action} failed (${status || 'no response'}): ${this.parseError(response?.data)}`);
+        error.status = status;
+        throw error;
+    }
+
+    parseError(data) {
+        return data?.message || data?.error || 'Unknown error';
+    }
+
+    // =========================================================================
+    // PROVIDER SHAPE (implemented by subclasses)
+    // =========================================================================
+
+    buildPingRequest() {
+        throw new Error(`[${this.constructor.name}] buildPingRequest not implemented`);
+    }
+
+    buildSearchRequest(value) {
+        throw new Error(`[${this.constructor.name}] buildSearchRequest not implemented`);
+    }
+
+    parseSearchResult(data) {
+        throw new Error(`[${this.constructor.name}] parseSearchResult not implemented`);
+    }
+
+    buildCreateRequest(record) {
+        throw new Error(`[${this.constructor.name}] buildCreateRequest not implemented`);
+    }
+
+    parseCreatedId(data) {
+        throw new Error(`[${this.constructor.name}] parseCreatedId not implemented`);
+    }
+
+    buildUpdateRequest(externalId, record) {
+        throw new Error(`[${this.constructor.name}] buildUpdateRequest not implemented`);
+    }
+}
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+/**
+ * Connector scripts register themselves here; consumers only ever ask the
+ * registry, so adding a CRM means adding one connector file.
+ */
+const CRMConnectorRegistry = {
+    connectors: {},
+    labels: {},
+
+    register(ConnectorClass) {
+        const probe = new ConnectorClass(() => Promise.resolve({ status: 200, data: null }));
+        this.connectors[probe.id] = ConnectorClass;
+        this.labels[probe.id] = probe.label;
+        console.log(`🔌 [CRMConnectorRegistry] Registered ${probe.label}`);
+    },
+
+    has(provider) {
+        return !!this.connectors[provider];
+    },
+
+    getLabel(provider) {
+        return this.labels[provider] || null;
+    },
+
+    create(provider, transport, options = {}) {
+        const ConnectorClass = this.connectors[provider];
+        if (!ConnectorClass) {
+            throw new Error(`Unknown CRM provider: ${provider}`);
+        }
+        return new ConnectorClass(transport, options);
+    },
+
+    /**
+     * Descriptive info for every provider, for forms and mapping editors
+     */
+    list() {
+        return Object.values(this.connectors).map(ConnectorClass => {
+            const connector = new ConnectorClass(() => Promise.resolve({ status: 200, data: null }));
+            return {
+                id: connector.id,
+                label: connector.label,
+                objectLabel: connector.objectLabel,
+                credentialFields: connector.credentialFields,
+                targetFields: connector.targetFields,
+                defaultMapping: connector.defaultMapping,
+                dedupeTarget: connector.dedupeTarget
+            };
+        });
+    }
+};
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.CRMConnector = CRMConnector;
+window.CRMConnectorRegistry = CRMConnectorRegistry;
+
+console.log('✅ [CRMConnector] Loaded');
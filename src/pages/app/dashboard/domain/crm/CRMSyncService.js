@@ -0,0 +1,170 @@
+// =============================================================================
+// CRM SYNC SERVICE - Pure Business Logic
+// Path: /public/pages/app/dashboard/domain/crm/CRMSyncService.js
+// Dependencies: LeadExportService (field catalogue), CRMConnectorRegistry
+// =============================================================================
+
+/**
+ * @class CRMSyncService
+ * @description Field mapping from lead + analysis fields to CRM fields, and sync status
+ *
+ * Mapping sources are the export column catalogue (LeadExportService), so
+ * anything that can be exported can be pushed - including analysis payload
+ * fields. A mapping is stored per connection as { targetField: columnKey }.
+ */
+class CRMSyncService {
+    constructor(exportService = new window.LeadExportService()) {
+        this.exportService = exportService;
+
+        this.statuses = {
+            synced: { label: 'Synced', className: 'bg-green-50 text-green-700 border-green-200' },
+            outdated: { label: 'Changed since sync', className: 'bg-amber-50 text-amber-700 border-amber-200' },
+            failed: { label: 'Sync failed', className: 'bg-red-50 text-red-700 border-red-200' }
+        };
+    }
+
+    // =========================================================================
+    // MAPPING
+    // =========================================================================
+
+    getSourceGroups() {
+        return this.exportService.getColumnsByGroup();
+    }
+
+    /**
+     * Connection mapping over the connector defaults; unknown targets and
+     * sources are dropped, an empty source switches a target off
+     */
+    resolveMapping(connector, savedMapping = null) {
+        const mapping = { ...connector.defaultMapping, ...(savedMapping || {}) };
+
+        return Object.entries(mapping).reduce((resolved, [target, source]) => {
+            if (connector.getTargetField(target) && source && this.exportService.getColumn(source)) {
+                resolved[target] = source;
+            }
+            return resolved;
+        }, {});
+    }
+
+    validateMapping(connector, mapping) {
+        const missing = connector.targetFields
+            .filter(field => field.required && !mapping[field.key])
+            .map(field => field.label);
+
+        return {
+            valid: missing.length === 0,
+            error: missing.length ? `Map a source for: ${missing.join(', ')}` : null
+        };
+    }
+
+    needsPayload(mapping) {
+        return this.exportService.needsPayload(Object.values(mapping));
+    }
+
+    // =========================================================================
+    // RECORDS
+    // =========================================================================
+
+    /**
+     * Lead -> { targetField: value }, using the same flattening as exports
+     */
+    buildRecord(lead, mapping) {
+        return Object.entries(mapping).reduce((record, [target, source]) => {
+            const column = this.exportService.getColumn(source);
+            const value = this.exportService.getRawValue(lead, column);
+
+            if (value !== null) {
+                record[target] = column.type === 'date'
+                    ? this.exportService.formatDate(value)
+                    : this.exportService.flatten(value);
+            }
+            return record;
+        }, {});
+    }
+
+    /**
+     * Required targets that came out empty for this lead
+     */
+    getMissingFields(connector, record) {
+        return connector.targetFields
+            .filter(field => field.required && (record[field.key] === undefined || record[field.key] === ''))
+            .map(field => field.label);
+    }
+
+    buildSyncRecord(lead, connection, result) {
+        return {
+            lead_id: lead.id,
+            connection_id: connection.id,
+            provider: connection.provider,
+            external_id: result.externalId || null,
+            status: result.error ? 'failed' : 'synced',
+            action: result.action || null,
+            error: result.error || null,
+            synced_at: new Date().toISOString()
+        };
+    }
+
+    // =========================================================================
+    // SYNC STATUS
+    // =========================================================================
+
+    /**
+     * CRM record id a lead was last pushed to on one connection
+     */
+    getExternalId(records, connectionId) {
+        return records.find(record => record.connection_id === connectionId && record.external_id)?.external_id || null;
+    }
+
+    /**
+     * Badge data for the table: the most recent record across connections
+     * @param {Object} lead - Lead (updated_at decides whether it changed since)
+     * @param {Array} records - Sync records for this lead
+     * @param {Object} connectionsById - For provider labels
+     * @returns {Object|null} { status, label, title, className }
+     */
+    summarize(lead, records = [], connectionsById = {}) {
+        if (!records || records.length === 0) return null;
+
+        const latest = [...records].sort((a, b) => new Date(b.synced_at) - new Date(a.synced_at))[0];
+        const provider = this.getProviderLabel(connectionsById[latest.connection_id]?.provider || latest.provider);
+
+        let status = latest.status === 'failed' ? 'failed' : 'synced';
+        const changedAt = new Date(lead.updated_at || 0).getTime();
+        if (status === 'synced' && changedAt > new Date(latest.synced_at).getTime()) {
+            status = 'outdated';
+        }
+
+        const when = new Date(latest.synced_at).toLocaleString();
+        const title = status === 'failed'
+            ? `${provider}: ${latest.error || 'push failed'} (${when})`
+            : `${provider} · pushed ${when}`;
+
+        return {
+            status,
+            provider,
+            label: status === 'synced' ? provider : this.statuses[status].label,
+            title,
+            className: this.statuses[status].className,
+            synced_at: latest.synced_at
+        };
+    }
+
+    getProviderLabel(provider) {
+        return window.CRMConnectorRegistry?.getLabel(provider) || provider || 'CRM';
+    }
+
+    /**
+     * Connection used by one-click pushes
+     */
+    getDefaultConnection(connections = []) {
+        const enabled = connections.filter(connection => connection.enabled !== false);
+        return enabled.find(connection => connection.is_default) || enabled[0] || null;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.CRMSyncService = CRMSyncService;
+
+console.log('✅ [CRMSyncService] Loaded');
@@ -0,0 +1,101 @@
+// =============================================================================
+// HUBSPOT CONNECTOR - Contacts via CRM v3 API
+// Path: /public/pages/app/dashboard/domain/crm/connectors/HubSpotConnector.js
+// Dependencies: CRMConnector
+// =============================================================================
+
+/**
+ * @class HubSpotConnector
+ * @description Pushes leads as HubSpot contacts, de-duplicated on the Instagram handle property
+ */
+class HubSpotConnector extends window.CRMConnector {
+    constructor(transport, options = {}) {
+        super(transport, options);
+
+        this.id = 'hubspot';
+        this.label = 'HubSpot';
+        this.objectLabel = 'contact';
+        this.credentialFields = [
+            { key: 'access_token', label: 'Private app access token', type: 'password' }
+        ];
+        this.targetFields = [
+            { key: 'name', label: 'Name (first / last)' },
+            { key: 'instagram_handle', label: 'Instagram handle', providerKey: 'oslira_instagram_handle', required: true, custom: true },
+            { key: 'website', label: 'Website', providerKey: 'website' },
+            { key: 'profile_url', label: 'Instagram URL', providerKey: 'oslira_profile_url', custom: true },
+            { key: 'followers', label: 'Followers', providerKey: 'oslira_followers', custom: true },
+            { key: 'score', label: 'Oslira score', providerKey: 'oslira_score', custom: true },
+            { key: 'summary', label: 'Analysis summary', providerKey: 'oslira_summary', custom: true },
+            { key: 'outreach_message', label: 'Outreach message', providerKey: 'oslira_outreach_message', custom: true }
+        ];
+        this.defaultMapping = {
+            name: 'full_name',
+            instagram_handle: 'username',
+            website: 'external_url',
+            profile_url: 'profile_url',
+            followers: 'followers',
+            score: 'score',
+            summary: 'summary',
+            outreach_message: 'outreach_message'
+        };
+        this.dedupeTarget = 'instagram_handle';
+
+        this.basePath = '/crm/v3/objects/contacts';
+    }
+
+    buildProperties(record) {
+        const { name, ...rest } = record;
+        const { first, last } = this.splitName(name);
+
+        return {
+            ...this.toProviderFields(rest),
+            ...(first ? { firstname: first } : {}),
+            ...(last ? { lastname: last } : {})
+        };
+    }
+
+    buildPingRequest() {
+        return { method: 'GET', path: this.basePath, query: { limit: 1 } };
+    }
+
+    buildSearchRequest(value) {
+        return {
+            method: 'POST',
+            path: `${this.basePath}/search`,
+            body: {
+                filterGroups: [{
+                    filters: [{ propertyName: this.resolveFieldKey(this.dedupeTarget), operator: 'EQ', value }]
+                }],
+                limit: 1
+            }
+        };
+    }
+
+    parseSearchResult(data) {
+        return data?.results?.[0]?.id || null;
+    }
+
+    buildCreateRequest(record) {
+        return { method: 'POST', path: this.basePath, body: { properties: this.buildProperties(record) } };
+    }
+
+    parseCreatedId(data) {
+        return data?.id || null;
+    }
+
+    buildUpdateRequest(externalId, record) {
+        return {
+            method: 'PATCH',
+            path: `${this.basePath}/${encodeURIComponent(externalId)}`,
+            body: { properties: this.buildProperties(record) }
+        };
+    }
+}
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+window.HubSpotConnector = HubSpotConnector;
+window.CRMConnectorRegistry.register(HubSpotConnector);
+
+console.log('✅ [HubSpotConnector] Loaded');
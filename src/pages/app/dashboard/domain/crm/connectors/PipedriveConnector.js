@@ -0,0 +1,96 @@
+// =============================================================================
+// PIPEDRIVE CONNECTOR - Persons via v1 API
+// Path: /public/pages/app/dashboard/domain/crm/connectors/PipedriveConnector.js
+// Dependencies: CRMConnector
+// =============================================================================
+
+/**
+ * @class PipedriveConnector
+ * @description Pushes leads as Pipedrive persons, de-duplicated on the Instagram handle field.
+ * Pipedrive custom fields are addressed by hashed keys - set them per connection (field_keys).
+ */
+class PipedriveConnector extends window.CRMConnector {
+    constructor(transport, options = {}) {
+        super(transport, options);
+
+        this.id = 'pipedrive';
+        this.label = 'Pipedrive';
+        this.objectLabel = 'person';
+        this.credentialFields = [
+            { key: 'api_token', label: 'API token', type: 'password' },
+            { key: 'company_domain', label: 'Company domain (yourcompany.pipedrive.com)', type: 'text' }
+        ];
+        this.targetFields = [
+            { key: 'name', label: 'Name', providerKey: 'name', required: true },
+            { key: 'instagram_handle', label: 'Instagram handle', required: true, custom: true },
+            { key: 'profile_url', label: 'Instagram URL', custom: true },
+            { key: 'followers', label: 'Followers', custom: true },
+            { key: 'score', label: 'Oslira score', custom: true },
+            { key: 'summary', label: 'Analysis summary', custom: true },
+            { key: 'outreach_message', label: 'Outreach message', custom: true }
+        ];
+        this.defaultMapping = {
+            name: 'full_name',
+            instagram_handle: 'username',
+            profile_url: 'profile_url',
+            followers: 'followers',
+            score: 'score',
+            summary: 'summary'
+        };
+        this.dedupeTarget = 'instagram_handle';
+    }
+
+    /**
+     * Pipedrive requires a name - fall back to the handle
+     */
+    buildPerson(record) {
+        return this.toProviderFields({
+            ...record,
+            name: record.name || record.instagram_handle
+        });
+    }
+
+    buildPingRequest() {
+        return { method: 'GET', path: '/v1/users/me' };
+    }
+
+    buildSearchRequest(value) {
+        return {
+            method: 'GET',
+            path: '/v1/persons/search',
+            query: { term: value, fields: 'custom_fields', exact_match: true, limit: 1 }
+        };
+    }
+
+    parseSearchResult(data) {
+        return data?.data?.items?.[0]?.item?.id || null;
+    }
+
+    buildCreateRequest(record) {
+        return { method: 'POST', path: '/v1/persons', body: this.buildPerson(record) };
+    }
+
+    parseCreatedId(data) {
+        return data?.data?.id || null;
+    }
+
+    buildUpdateRequest(externalId, record) {
+        return {
+            method: 'PUT',
+            path: `/v1/persons/${encodeURIComponent(externalId)}`,
+            body: this.buildPerson(record)
+        };
+    }
+
+    parseError(data) {
+        return data?.error || data?.error_info || super.parseError(data);
+    }
+}
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+window.PipedriveConnector = PipedriveConnector;
+window.CRMConnectorRegistry.register(PipedriveConnector);
+
+console.log('✅ [PipedriveConnector] Loaded');
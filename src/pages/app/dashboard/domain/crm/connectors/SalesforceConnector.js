@@ -0,0 +1,115 @@
+// =============================================================================
+// SALESFORCE CONNECTOR - Lead sObjects via REST API
+// Path: /public/pages/app/dashboard/domain/crm/connectors/SalesforceConnector.js
+// Dependencies: CRMConnector
+// =============================================================================
+
+/**
+ * @class SalesforceConnector
+ * @description Pushes leads as Salesforce Lead records, de-duplicated on Instagram_Handle__c
+ */
+class SalesforceConnector extends window.CRMConnector {
+    constructor(transport, options = {}) {
+        super(transport, options);
+
+        this.id = 'salesforce';
+        this.label = 'Salesforce';
+        this.objectLabel = 'lead';
+        this.credentialFields = [
+            { key: 'instance_url', label: 'Instance URL (https://yourorg.my.salesforce.com)', type: 'text' },
+            { key: 'access_token', label: 'Access token', type: 'password' }
+        ];
+        this.targetFields = [
+            { key: 'name', label: 'Name (first / last)', required: true },
+            { key: 'company', label: 'Company', providerKey: 'Company', required: true },
+            { key: 'instagram_handle', label: 'Instagram handle', providerKey: 'Instagram_Handle__c', required: true, custom: true },
+            { key: 'website', label: 'Website', providerKey: 'Website' },
+            { key: 'description', label: 'Description', providerKey: 'Description' },
+            { key: 'score', label: 'Oslira score', providerKey: 'Oslira_Score__c', custom: true },
+            { key: 'followers', label: 'Followers', providerKey: 'Instagram_Followers__c', custom: true },
+            { key: 'outreach_message', label: 'Outreach message', providerKey: 'Outreach_Message__c', custom: true }
+        ];
+        this.defaultMapping = {
+            name: 'full_name',
+            company: 'username',
+            instagram_handle: 'username',
+            website: 'external_url',
+            description: 'summary',
+            score: 'score',
+            followers: 'followers'
+        };
+        this.dedupeTarget = 'instagram_handle';
+
+        this.apiVersion = 'v59.0';
+        this.basePath = `/services/data/${this.apiVersion}`;
+    }
+
+    /**
+     * LastName is mandatory on Lead - the handle stands in for single-word names
+     */
+    buildLead(record) {
+        const { name, ...rest } = record;
+        const { first, last } = this.splitName(name);
+
+        return {
+            ...this.toProviderFields(rest),
+            ...(first ? { FirstName: first } : {}),
+            LastName: last || record.instagram_handle
+        };
+    }
+
+    escapeSOQL(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    }
+
+    buildPingRequest() {
+        return { method: 'GET', path: `${this.basePath}/limits` };
+    }
+
+    buildSearchRequest(value) {
+        const field = this.resolveFieldKey(this.dedupeTarget);
+        return {
+            method: 'GET',
+            path: `${this.basePath}/query`,
+            query: { q: `SELECT Id FROM Lead WHERE ${field} = '${this.escapeSOQL(value)}' LIMIT 1` }
+        };
+    }
+
+    parseSearchResult(data) {
+        return data?.records?.[0]?.Id || null;
+    }
+
+    buildCreateRequest(record) {
+        return { method: 'POST', path: `${this.basePath}/sobjects/Lead`, body: this.buildLead(record) };
+    }
+
+    parseCreatedId(data) {
+        return data?.id || null;
+    }
+
+    buildUpdateRequest(externalId, record) {
+        return {
+            method: 'PATCH',
+            path: `${this.basePath}/sobjects/Lead/${encodeURIComponent(externalId)}`,
+            body: this.buildLead(record)
+        };
+    }
+
+    /**
+     * Salesforce errors come back as an array of { message, errorCode }
+     */
+    parseError(data) {
+        if (Array.isArray(data)) {
+            return data.map(item => item.message || item.errorCode).join('; ') || 'Unknown error';
+        }
+        return super.parseError(data);
+    }
+}
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+window.SalesforceConnector = SalesforceConnector;
+window.CRMConnectorRegistry.register(SalesforceConnector);
+
+console.log('✅ [SalesforceConnector] Loaded');
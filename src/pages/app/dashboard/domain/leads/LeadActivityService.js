@@ -0,0 +1,290 @@
+// =============================================================================
+// LEAD ACTIVITY SERVICE - Pure Timeline Building
+// Path: /public/pages/app/dashboard/domain/leads/LeadActivityService.js
+// Dependencies: NONE (pure functions)
+// =============================================================================
+
+/**
+ * @class LeadActivityService
+ * @description Merges analysis runs and activity events (status changes,
+ * message edits, notes, re-analyses) into one newest-first lead timeline
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class LeadActivityService {
+    constructor() {
+        this.eventTypes = {
+            analysis: { label: 'Analyzed', icon: '🔍', color: 'blue' },
+            reanalysis: { label: 'Re-analyzed', icon: '🔄', color: 'indigo' },
+            status_change: { label: 'Status changed', icon: '📌', color: 'purple' },
+            message_edit: { label: 'Message edited', icon: '✏️', color: 'pink' },
+            note: { label: 'Note', icon: '📝', color: 'amber' },
+            campaign: { label: 'Campaign', icon: '📣', color: 'green' },
+            reply: { label: 'Reply', icon: '💬', color: 'teal' }
+        };
+
+        // Backend / legacy spellings → timeline types
+        this.typeAliases = {
+            run: 'analysis',
+            analyzed: 'analysis',
+            reanalyze: 'reanalysis',
+            reanalyzed: 'reanalysis',
+            status: 'status_change',
+            status_changed: 'status_change',
+            message: 'message_edit',
+            message_updated: 'message_edit',
+            outreach_message_edit: 'message_edit',
+            note_added: 'note',
+            comment: 'note',
+            campaign_sent: 'campaign',
+            campaign_replied: 'campaign',
+            reply_logged: 'reply',
+            reply_classified: 'reply'
+        };
+
+        this.maxNoteLength = 2000;
+
+        console.log('🕒 [LeadActivityService] Initialized');
+    }
+
+    // =========================================================================
+    // NORMALIZATION
+    // =========================================================================
+
+    normalizeType(type) {
+        const key = String(type || '').toLowerCase();
+        if (this.eventTypes[key]) return key;
+        return this.typeAliases[key] || null;
+    }
+
+    /**
+     * Actor can arrive as an object, a bare user id or flat fields on the event
+     */
+    normalizeActor(event = {}, currentUserId = null) {
+        const actor = event.actor && typeof event.actor === 'object' ? event.actor : {};
+        const id = actor.id || actor.user_id || event.actor_id || event.user_id ||
+                   (typeof event.actor === 'string' ? event.actor : null);
+        const name = actor.name || actor.full_name || actor.email || event.actor_name || event.actor_email || null;
+
+        if (!id && !name) {
+            return { id: null, name: 'Oslira', isSystem: true, isCurrentUser: false };
+        }
+
+        const isCurrentUser = !!id && id === currentUserId;
+        return { id, name: isCurrentUser ? 'You' : (name || 'Team member'), isSystem: false, isCurrentUser };
+    }
+
+    /**
+     * @param {Object} event - Raw event from LeadsAPI.getLeadActivity
+     * @returns {Object|null} { id, type, timestamp, actor, details, runId }
+     */
+    normalizeEvent(event, currentUserId = null) {
+        if (!event) return null;
+
+        const type = this.normalizeType(event.type || event.event_type);
+        const timestamp = event.created_at || event.timestamp || event.occurred_at;
+        if (!type || !timestamp || isNaN(new Date(timestamp).getTime())) return null;
+
+        const details = { ...(event.details || event.metadata || {}) };
+        if (type === 'note' && !details.text) {
+            details.text = event.note || event.text || event.content || '';
+        }
+
+        return {
+            id: event.id || event.activity_id || `${type}_${timestamp}`,
+            type,
+            timestamp: new Date(timestamp).toISOString(),
+            actor: this.normalizeActor(event, currentUserId),
+            details,
+            runId: event.run_id || details.run_id || null
+        };
+    }
+
+    /**
+     * Runs are newest-first from LeadManager.viewLead; the oldest one is the
+     * original analysis and every later run is a re-analysis.
+     */
+    runsToEvents(runs = [], currentUserId = null) {
+        const ordered = [...runs]
+            .filter(run => run && run.created_at)
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+        return ordered.map((run, index) => ({
+            id: `run_${run.run_id}`,
+            type: index === 0 ? 'analysis' : 'reanalysis',
+            timestamp: new Date(run.created_at).toISOString(),
+            actor: this.normalizeActor(run, currentUserId),
+            details: {
+                analysis_type: run.analysis_type,
+                score: run.overall_score ?? null,
+                previous_score: index > 0 ? ordered[index - 1].overall_score ?? null : null,
+                summary: run.summary_text || null
+            },
+            runId: run.run_id
+        }));
+    }
+
+    // =========================================================================
+    // TIMELINE
+    // =========================================================================
+
+    /**
+     * @param {Object} params - { runs, events, pending, currentUserId }
+     * @returns {Array} Newest-first timeline items
+     */
+    buildTimeline({ runs = [], events = [], pending = [], currentUserId = null } = {}) {
+        const normalizedEvents = events
+            .map(event => this.normalizeEvent(event, currentUserId))
+            .filter(Boolean);
+
+        // An API event for a run carries the actor - let it absorb the run's scores
+        const runEvents = this.runsToEvents(runs, currentUserId);
+        const eventsByRun = new Map(normalizedEvents.filter(e => e.runId).map(e => [e.runId, e]));
+
+        runEvents.forEach(runEvent => {
+            const apiEvent = eventsByRun.get(runEvent.runId);
+            if (apiEvent) {
+                apiEvent.details = { ...runEvent.details, ...apiEvent.details };
+                if (apiEvent.type === 'analysis' || apiEvent.type === 'reanalysis') {
+                    apiEvent.type = runEvent.type;
+                }
+            }
+        });
+
+        const items = [
+            ...normalizedEvents,
+            ...runEvents.filter(runEvent => !eventsByRun.has(runEvent.runId)),
+            ...pending.map(item => ({ ...item, isPending: true }))
+        ];
+
+        // Drop duplicates (pending note confirmed by the API, overlapping pages)
+        const seen = new Set();
+        const unique = items.filter(item => {
+            const key = item.id;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        return unique.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    /**
+     * Group items under local-day headings for rendering
+     * @returns {Array} [{ key: 'YYYY-MM-DD', items }]
+     */
+    groupByDay(items) {
+        const groups = [];
+        const byKey = new Map();
+
+        items.forEach(item => {
+            const date = new Date(item.timestamp);
+            const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+            if (!byKey.has(key)) {
+                const group = { key, items: [] };
+                byKey.set(key, group);
+                groups.push(group);
+            }
+            byKey.get(key).items.push(item);
+        });
+
+        return groups;
+    }
+
+    // =========================================================================
+    // DESCRIPTIONS
+    // =========================================================================
+
+    getTypeMeta(type) {
+        return this.eventTypes[type] || { label: 'Activity', icon: '•', color: 'slate' };
+    }
+
+    /**
+     * One-line summary for an item (no HTML)
+     */
+    describe(item) {
+        const d = item.details || {};
+
+        switch (item.type) {
+            case 'analysis':
+                return `${this.formatAnalysisType(d.analysis_type)} analysis${d.score != null ? ` · score ${d.score}` : ''}`;
+            case 'reanalysis': {
+                const change = d.score != null && d.previous_score != null ? d.score - d.previous_score : null;
+                const delta = change ? ` (${change > 0 ? '+' : ''}${change})` : '';
+                return `${this.formatAnalysisType(d.analysis_type)} re-analysis${d.score != null ? ` · score ${d.score}${delta}` : ''}`;
+            }
+            case 'status_change':
+                return `${this.formatStatus(d.from || d.previous_status)} → ${this.formatStatus(d.to || d.status)}`;
+            case 'message_edit':
+                if (d.template_name) {
+                    return `Outreach message set from "${d.template_name}"${d.variant ? ` (variant ${d.variant})` : ''}`;
+                }
+                return 'Outreach message updated';
+            case 'note':
+                return d.text || '';
+            case 'campaign': {
+                const campaign = d.campaign_name ? `"${d.campaign_name}"` : 'Campaign';
+                return d.state === 'replied'
+                    ? `${campaign} · replied${d.step ? ` after step ${d.step}` : ''}`
+                    : `${campaign} · ${d.step > 1 ? `follow-up ${d.step - 1}` : 'first message'} sent`;
+            }
+            case 'reply': {
+                const classification = d.classification ? this.formatStatus(d.classification) : null;
+                if (d.action === 'classified') {
+                    return classification ? `Reply marked ${classification.toLowerCase()}` : 'Reply classification cleared';
+                }
+                return `Reply logged${classification ? ` · ${classification.toLowerCase()}` : ''}${d.preview ? `: "${d.preview}"` : ''}`;
+            }
+            default:
+                return '';
+        }
+    }
+
+    formatAnalysisType(type) {
+        const labels = { light: 'Light', deep: 'Deep', xray: 'X-Ray' };
+        return labels[type] || 'Lead';
+    }
+
+    formatStatus(status) {
+        if (!status) return 'None';
+        return String(status).replace(/[_-]/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    }
+
+    // =========================================================================
+    // NOTES
+    // =========================================================================
+
+    validateNote(text) {
+        const note = String(text || '').trim();
+
+        if (!note) {
+            return { valid: false, error: 'Write something before saving the note' };
+        }
+        if (note.length > this.maxNoteLength) {
+            return { valid: false, error: `Notes are limited to ${this.maxNoteLength} characters` };
+        }
+        return { valid: true, note };
+    }
+
+    createPendingNote(text, currentUserId) {
+        return {
+            id: `pending_${Date.now().toString(36)}`,
+            type: 'note',
+            timestamp: new Date().toISOString(),
+            actor: { id: currentUserId, name: 'You', isSystem: false, isCurrentUser: true },
+            details: { text },
+            runId: null
+        };
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadActivityService = LeadActivityService;
+
+console.log('✅ [LeadActivityService] Loaded');
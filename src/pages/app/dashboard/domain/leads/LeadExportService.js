@@ -0,0 +1,315 @@
+// =============================================================================
+// LEAD EXPORT SERVICE - Pure Export Formatting
+// Path: /public/pages/app/dashboard/domain/leads/LeadExportService.js
+// Dependencies: NONE (pure functions)
+// =============================================================================
+
+/**
+ * @class LeadExportService
+ * @description Column catalogue (including nested deep / x-ray analysis fields),
+ * value flattening and CSV / JSON Lines / dossier serialization for lead exports
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class LeadExportService {
+    constructor() {
+        this.formats = {
+            csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8;' },
+            xlsx: { label: 'Excel (XLSX)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+            jsonl: { label: 'JSON Lines', extension: 'jsonl', mimeType: 'application/x-ndjson' },
+            pdf: { label: 'PDF dossier', extension: 'pdf', mimeType: 'application/pdf' }
+        };
+
+        this.groups = [
+            { key: 'profile', label: 'Profile' },
+            { key: 'scores', label: 'Scores' },
+            { key: 'analysis', label: 'Analysis' },
+            { key: 'personality', label: 'Personality' },
+            { key: 'xray', label: 'X-Ray intelligence' }
+        ];
+
+        // `paths` are tried in order (old and new lead shapes); payload columns
+        // read from the latest run's analysis payload
+        this.columns = [
+            { key: 'username', label: 'Username', group: 'profile', paths: ['username'] },
+            { key: 'full_name', label: 'Full Name', group: 'profile', paths: ['full_name', 'display_name'] },
+            { key: 'platform', label: 'Platform', group: 'profile', paths: ['platform', 'platform_type'] },
+            { key: 'followers', label: 'Followers Count', group: 'profile', paths: ['followers_count', 'follower_count'], type: 'number' },
+            { key: 'following', label: 'Following Count', group: 'profile', paths: ['following_count'], type: 'number' },
+            { key: 'posts', label: 'Posts Count', group: 'profile', paths: ['posts_count', 'post_count'], type: 'number' },
+            { key: 'bio', label: 'Bio', group: 'profile', paths: ['bio', 'bio_text'] },
+            { key: 'external_url', label: 'External URL', group: 'profile', paths: ['external_url', 'external_website_url'] },
+            { key: 'is_verified', label: 'Is Verified', group: 'profile', paths: ['is_verified', 'is_verified_account'], type: 'boolean' },
+            { key: 'is_business', label: 'Is Business Account', group: 'profile', paths: ['is_business_account'], type: 'boolean' },
+            { key: 'profile_url', label: 'Profile URL', group: 'profile', paths: ['profile_url'] },
+            { key: 'status', label: 'Status', group: 'profile', paths: ['status'] },
+            { key: 'date_added', label: 'Date Added', group: 'profile', paths: ['created_at', 'first_discovered_at'], type: 'date' },
+
+            { key: 'score', label: 'Overall Score', group: 'scores', paths: ['score', 'overall_score'], type: 'number' },
+            { key: 'niche_fit_score', label: 'Niche Fit Score', group: 'scores', paths: ['niche_fit_score'], type: 'number' },
+            { key: 'engagement_score', label: 'Engagement Score', group: 'scores', paths: ['engagement_score'], type: 'number' },
+            { key: 'confidence_level', label: 'Confidence', group: 'scores', paths: ['confidence_level'], type: 'number' },
+            { key: 'engagement_rate', label: 'Engagement Rate', group: 'scores', payloadPaths: ['engagement_breakdown.engagement_rate'], type: 'number' },
+
+            { key: 'analysis_type', label: 'Analysis Type', group: 'analysis', paths: ['analysis_type'] },
+            { key: 'summary', label: 'Summary', group: 'analysis', paths: ['quick_summary', 'summary_text'] },
+            { key: 'deep_summary', label: 'Deep Summary', group: 'analysis', payloadPaths: ['deep_summary'] },
+            { key: 'reasons', label: 'Reasons', group: 'analysis', payloadPaths: ['reasons'] },
+            { key: 'selling_points', label: 'Selling Points', group: 'analysis', payloadPaths: ['selling_points'] },
+            { key: 'outreach_message', label: 'Outreach Message', group: 'analysis', payloadPaths: ['outreach_message'] },
+            { key: 'audience_insights', label: 'Audience Insights', group: 'analysis', payloadPaths: ['audience_insights'] },
+
+            { key: 'disc_profile', label: 'DISC Profile', group: 'personality', payloadPaths: ['personality_profile.disc_profile'] },
+            { key: 'communication_style', label: 'Communication Style', group: 'personality', payloadPaths: ['personality_profile.communication_style'] },
+            { key: 'behavior_patterns', label: 'Behavior Patterns', group: 'personality', payloadPaths: ['personality_profile.behavior_patterns'] },
+            { key: 'motivation_drivers', label: 'Motivation Drivers', group: 'personality', payloadPaths: ['personality_profile.motivation_drivers'] },
+
+            { key: 'pain_points', label: 'Pain Points', group: 'xray', payloadPaths: ['copywriter_profile.pain_points'] },
+            { key: 'dreams_desires', label: 'Dreams & Desires', group: 'xray', payloadPaths: ['copywriter_profile.dreams_desires'] },
+            { key: 'demographics', label: 'Demographics', group: 'xray', payloadPaths: ['copywriter_profile.demographics'] },
+            { key: 'budget_tier', label: 'Budget Tier', group: 'xray', payloadPaths: ['commercial_intelligence.budget_tier'] },
+            { key: 'buying_stage', label: 'Buying Stage', group: 'xray', payloadPaths: ['commercial_intelligence.buying_stage'] },
+            { key: 'decision_role', label: 'Decision Role', group: 'xray', payloadPaths: ['commercial_intelligence.decision_role'] },
+            { key: 'objections', label: 'Objections', group: 'xray', payloadPaths: ['commercial_intelligence.objections'] },
+            { key: 'primary_angle', label: 'Primary Angle', group: 'xray', payloadPaths: ['persuasion_strategy.primary_angle'] },
+            { key: 'hook_style', label: 'Hook Style', group: 'xray', payloadPaths: ['persuasion_strategy.hook_style'] },
+            { key: 'proof_elements', label: 'Proof Elements', group: 'xray', payloadPaths: ['persuasion_strategy.proof_elements'] }
+        ];
+
+        // The columns the old hard-coded CSV export produced
+        this.defaultColumnKeys = [
+            'username', 'full_name', 'platform', 'followers', 'following', 'posts',
+            'score', 'niche_fit_score', 'engagement_score', 'analysis_type', 'bio',
+            'external_url', 'is_verified', 'is_business', 'profile_url', 'date_added', 'summary'
+        ];
+
+        this.maxPresets = 20;
+
+        console.log('📤 [LeadExportService] Initialized');
+    }
+
+    // =========================================================================
+    // COLUMN CATALOGUE
+    // =========================================================================
+
+    getColumn(key) {
+        return this.columns.find(column => column.key === key) || null;
+    }
+
+    getColumnsByGroup() {
+        return this.groups.map(group => ({
+            ...group,
+            columns: this.columns.filter(column => column.group === group.key)
+        }));
+    }
+
+    getDefaultColumnKeys() {
+        return [...this.defaultColumnKeys];
+    }
+
+    /**
+     * Keep known keys in the order given, drop duplicates
+     */
+    normalizeColumnKeys(keys) {
+        const known = new Set(this.columns.map(column => column.key));
+        const normalized = [...new Set((keys || []).filter(key => known.has(key)))];
+        return normalized.length > 0 ? normalized : this.getDefaultColumnKeys();
+    }
+
+    /**
+     * True when any selected column lives in the analysis payload, which the
+     * table's lead rows do not carry by default
+     */
+    needsPayload(columnKeys) {
+        return columnKeys.some(key => !!this.getColumn(key)?.payloadPaths);
+    }
+
+    // =========================================================================
+    // VALUE RESOLUTION
+    // =========================================================================
+
+    /**
+     * Latest run's analysis payload, whichever shape the lead arrived in
+     */
+    getPayload(lead) {
+        return lead?.runs?.[0]?.payloads?.[0]?.analysis_data ||
+               lead?.analysis_data ||
+               lead?.payload ||
+               null;
+    }
+
+    getPath(source, path) {
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+    }
+
+    /**
+     * Raw value for a column (arrays / objects kept as-is)
+     */
+    getRawValue(lead, column) {
+        const source = column.payloadPaths ? this.getPayload(lead) : lead;
+        const paths = column.payloadPaths || column.paths;
+
+        for (const path of paths) {
+            const value = this.getPath(source, path);
+            if (value !== undefined && value !== null && value !== '') return value;
+        }
+        return null;
+    }
+
+    /**
+     * Flat cell value for spreadsheet formats
+     */
+    getCellValue(lead, column) {
+        const value = this.getRawValue(lead, column);
+        if (value === null) {
+            return column.type === 'number' ? 0 : column.type === 'boolean' ? false : '';
+        }
+
+        if (column.type === 'date') return this.formatDate(value);
+        return this.flatten(value);
+    }
+
+    flatten(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.flatten(item)).filter(item => item !== '').join('; ');
+        }
+
+        if (value && typeof value === 'object') {
+            return Object.entries(value)
+                .map(([key, item]) => `${this.humanize(key)}: ${this.flatten(item)}`)
+                .join('; ');
+        }
+
+        return value ?? '';
+    }
+
+    humanize(key) {
+        return String(key).replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+    }
+
+    formatDate(value) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+    }
+
+    // =========================================================================
+    // SERIALIZATION
+    // =========================================================================
+
+    /**
+     * @returns {Object} { headers: string[], rows: Array<Array> }
+     */
+    buildTable(leads, columnKeys) {
+        const columns = this.normalizeColumnKeys(columnKeys).map(key => this.getColumn(key));
+
+        return {
+            headers: columns.map(column => column.label),
+            rows: leads.map(lead => columns.map(column => this.getCellValue(lead, column)))
+        };
+    }
+
+    toCSV({ headers, rows }) {
+        return [headers, ...rows]
+            .map(row => row.map(value => this.escapeCSV(value)).join(','))
+            .join('\n');
+    }
+
+    /**
+     * One JSON object per lead keyed by column key - nested analysis values stay structured
+     */
+    toJSONLines(leads, columnKeys) {
+        const columns = this.normalizeColumnKeys(columnKeys).map(key => this.getColumn(key));
+
+        return leads.map(lead => {
+            const record = {};
+            columns.forEach(column => {
+                const value = this.getRawValue(lead, column);
+                record[column.key] = column.type === 'date' && value ? this.formatDate(value) : value;
+            });
+            return JSON.stringify(record);
+        }).join('\n');
+    }
+
+    escapeCSV(value) {
+        if (typeof value !== 'string') return value;
+
+        // Spreadsheet apps run cells starting with these as formulas
+        const safe = /^[=+\-@]/.test(value) ? `'${value}` : value;
+
+        if (/[",\n\r]/.test(safe)) {
+            return '"' + safe.replace(/"/g, '""') + '"';
+        }
+        return safe;
+    }
+
+    /**
+     * Sections for one lead's PDF dossier - empty fields are skipped
+     * @returns {Object} { title, subtitle, sections: [{ heading, fields: [{ label, value }] }] }
+     */
+    buildDossier(lead, columnKeys) {
+        const selected = new Set(this.normalizeColumnKeys(columnKeys));
+
+        const sections = this.getColumnsByGroup()
+            .map(group => ({
+                heading: group.label,
+                fields: group.columns
+                    .filter(column => selected.has(column.key) && column.key !== 'username')
+                    .map(column => ({ label: column.label, value: String(this.getCellValue(lead, column)) }))
+                    .filter(field => field.value !== '' && field.value !== '0' && field.value !== 'false')
+            }))
+            .filter(section => section.fields.length > 0);
+
+        return {
+            title: `@${lead.username || 'unknown'}`,
+            subtitle: [lead.full_name || lead.display_name, lead.platform || lead.platform_type]
+                .filter(Boolean)
+                .join(' · '),
+            sections
+        };
+    }
+
+    buildFilename(scope, format, timestamp = new Date()) {
+        const stamp = timestamp.toISOString().slice(0, 19).replace(/:/g, '-');
+        const extension = this.formats[format]?.extension || format;
+        return `leads-export-${scope}-${stamp}.${extension}`;
+    }
+
+    // =========================================================================
+    // PRESETS
+    // =========================================================================
+
+    createPreset(name, columnKeys, format, userId) {
+        return {
+            id: `preset_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+            name: String(name).trim().slice(0, 60),
+            columns: this.normalizeColumnKeys(columnKeys),
+            format: this.formats[format] ? format : 'csv',
+            created_by: userId || null,
+            created_at: new Date().toISOString()
+        };
+    }
+
+    normalizePresets(presets) {
+        if (!Array.isArray(presets)) return [];
+
+        return presets
+            .filter(preset => preset && preset.id && preset.name)
+            .map(preset => ({
+                ...preset,
+                columns: this.normalizeColumnKeys(preset.columns),
+                format: this.formats[preset.format] ? preset.format : 'csv'
+            }))
+            .slice(0, this.maxPresets);
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadExportService = LeadExportService;
+
+console.log('✅ [LeadExportService] Loaded');
@@ -209,22 +209,35 @@ class LeadManager {
             
             console.log('📊 [LeadManager] Using business:', business.id, business.business_name);
             
-            // ✅ USE BACKEND ENDPOINT (not direct Supabase)
-            const leads = await this.leadsAPI.fetchDashboardLeads(business.id);
+            // Server paging owns the table - reload its page instead of a second, unpaged query
+            const pagination = window.leadPagination;
+            const serverMode = !!pagination?.isServerMode();
+            let processedLeads;
             
-            // Process and store leads
-            const processedLeads = this.processLeadData(leads);
-            
-            this.stateManager.batchUpdate({
-                'leads': processedLeads,
-                'allLeads': processedLeads,
-                'filteredLeads': processedLeads
-            });
+            if (serverMode) {
+                await pagination.loadPage(pagination.currentPage, { fresh: true });
+                processedLeads = this.stateManager.getState('leads') || [];
+            } else {
+                // ✅ USE BACKEND ENDPOINT (not direct Supabase)
+                const leads = await this.leadsAPI.fetchDashboardLeads(business.id);
+                
+                // Process and store leads
+                processedLeads = this.processLeadData(leads);
+                
+                this.stateManager.batchUpdate({
+                    'leads': processedLeads,
+                    'allLeads': processedLeads,
+                    'filteredLeads': processedLeads
+                });
+            }
             
             this.lastRefresh = Date.now();
             
             console.log(`✅ [LeadManager] Loaded ${processedLeads.length} leads via backend`);
-            this.eventBus.emit('dashboard:data:loaded', { count: processedLeads.length });
+            this.eventBus.emit('dashboard:data:loaded', {
+                count: processedLeads.length,
+                source: serverMode ? 'page' : 'dashboard'
+            });
             
             return processedLeads;
             
@@ -273,6 +286,7 @@ class LeadManager {
                 business_id: lead.business_id,
                 first_discovered_at: lead.first_discovered_at,
                 last_updated_at: lead.last_updated_at,
+                status: lead.status || 'new',
                 
                 // Backward compatibility aliases
                 profile_pic_url: lead.profile_picture_url,
@@ -593,6 +607,8 @@ class LeadManager {
     }
     
     async deleteLead(leadId) {
+        this.assertCanDeleteLeads();
+        
         try {
             console.log('🗑️ [LeadManager] Deleting lead:', leadId);
             
@@ -633,6 +649,8 @@ class LeadManager {
             throw new Error('No leads selected for deletion');
         }
         
+        this.assertCanDeleteLeads();
+        
         try {
             console.log(`🗑️ [LeadManager] Bulk deleting ${idsToDelete.length} leads`);
             
@@ -676,6 +694,113 @@ class LeadManager {
         }
     }
     
+    assertCanDeleteLeads() {
+        const userService = window.OsliraUserService;
+        if (userService && !userService.canPerformAction('canDeleteLeads')) {
+            throw new Error('Your role in this workspace cannot delete leads');
+        }
+    }
+    
+    assertCanEditLeads() {
+        const userService = window.OsliraUserService;
+        if (userService && !userService.canPerformAction('canEditLeads')) {
+            throw new Error('Your role in this workspace cannot edit leads');
+        }
+    }
+    
+    /**
+     * Move a lead to another pipeline stage. State is updated optimistically
+     * and rolled back if the API rejects the change.
+     */
+    async updateLeadStatus(leadId, status) {
+        this.assertCanEditLeads();
+        
+        const previousLeads = this.stateManager.getState('leads') || [];
+        const lead = previousLeads.find(l => l.id === leadId);
+        
+        if (!lead) {
+            throw new Error('Lead not found');
+        }
+        
+        const previousStatus = lead.status;
+        const applyStatus = (value) => {
+            const updatedLeads = (this.stateManager.getState('leads') || []).map(l => 
+                l.id === leadId ? { ...l, status: value } : l
+            );
+            const filteredLeads = (this.stateManager.getState('filteredLeads') || updatedLeads).map(l => 
+                l.id === leadId ? { ...l, status: value } : l
+            );
+            
+            this.stateManager.batchUpdate({
+                'leads': updatedLeads,
+                'allLeads': updatedLeads,
+                'filteredLeads': filteredLeads
+            });
+        };
+        
+        applyStatus(status);
+        
+        try {
+            await this.leadsAPI.updateLead(leadId, { status });
+            
+            this.eventBus.emit(window.DASHBOARD_EVENTS.LEAD_STATUS_CHANGED, { leadId, status, previousStatus });
+            console.log(`✅ [LeadManager] Lead ${leadId} moved: ${previousStatus} → ${status}`);
+            
+        } catch (error) {
+            applyStatus(previousStatus);
+            this.logger?.error('[LeadManager] Status update failed', { leadId, status, error: error.message });
+            throw error;
+        }
+    }
+    
+    /**
+     * Save an edited outreach message for a lead
+     * @param {Object} template - Optional { template_id, template_name, variant_id, variant_label } when set from a template
+     */
+    async updateLeadMessage(leadId, message, template = null) {
+        this.assertCanEditLeads();
+        
+        try {
+            await this.leadsAPI.updateLead(leadId, {
+                outreach_message: message,
+                outreach_template: template ? { template_id: template.template_id, variant_id: template.variant_id } : null
+            });
+            
+            this.eventBus.emit(window.DASHBOARD_EVENTS.LEAD_MESSAGE_UPDATED, { leadId, message, template });
+            console.log(`✅ [LeadManager] Outreach message updated for lead ${leadId}`);
+            
+        } catch (error) {
+            this.logger?.error('[LeadManager] Message update failed', { leadId, error: error.message });
+            throw error;
+        }
+    }
+    
+    /**
+     * Merge per-lead fields into every lead list in state
+     * @param {Object} patchesById - { [leadId]: { ...fields } }
+     */
+    patchLeads(patchesById) {
+        const apply = (leads) => leads && leads.map(lead => 
+            patchesById[lead.id] ? { ...lead, ...patchesById[lead.id] } : lead
+        );
+        
+        const updates = {};
+        
+        // Server-paged tables render from the current page only - patch it
+        // first so the re-render triggered by 'leads' already sees it
+        const visibleLeads = this.stateManager.getState('visibleLeads');
+        if (visibleLeads) {
+            updates['visibleLeads'] = apply(visibleLeads);
+        }
+        
+        const updatedLeads = apply(this.stateManager.getState('leads') || []);
+        updates['filteredLeads'] = apply(this.stateManager.getState('filteredLeads')) || updatedLeads;
+        updates['allLeads'] = updatedLeads;
+        updates['leads'] = updatedLeads;
+        
+        this.stateManager.batchUpdate(updates);
+    }
+    
     removeLeadFromState(leadId) {
         const currentLeads = this.stateManager.getState('leads');
         const updatedLeads = currentLeads.filter(lead => lead.id !== leadId);
@@ -0,0 +1,113 @@
+// =============================================================================
+// LEAD PIPELINE SERVICE - Pure Pipeline Logic
+// Path: /public/pages/app/dashboard/domain/leads/LeadPipelineService.js
+// Dependencies: NONE (pure functions)
+// =============================================================================
+
+/**
+ * @class LeadPipelineService
+ * @description Groups leads into pipeline stages by `status` and computes column stats
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class LeadPipelineService {
+    constructor() {
+        this.defaultStages = [
+            { key: 'new', label: 'New', color: 'slate', visible: true },
+            { key: 'contacted', label: 'Contacted', color: 'blue', visible: true },
+            { key: 'replied', label: 'Replied', color: 'indigo', visible: true },
+            { key: 'booked', label: 'Booked', color: 'purple', visible: true },
+            { key: 'won', label: 'Won', color: 'green', visible: true },
+            { key: 'lost', label: 'Lost', color: 'red', visible: true }
+        ];
+
+        console.log('📋 [LeadPipelineService] Initialized');
+    }
+
+    // =========================================================================
+    // STAGES
+    // =========================================================================
+
+    /**
+     * Merge saved per-business overrides ({ key, label, visible }) onto the defaults.
+     * Unknown keys are ignored so a stale config can never hide leads.
+     */
+    resolveStages(overrides = []) {
+        const overrideMap = new Map((overrides || []).map(stage => [stage.key, stage]));
+
+        return this.defaultStages.map(stage => {
+            const override = overrideMap.get(stage.key) || {};
+            return {
+                ...stage,
+                label: override.label?.trim() || stage.label,
+                visible: override.visible !== undefined ? !!override.visible : stage.visible
+            };
+        });
+    }
+
+    normalizeStatus(status) {
+        const key = String(status || '').toLowerCase();
+        return this.defaultStages.some(stage => stage.key === key) ? key : 'new';
+    }
+
+    isValidStage(stageKey) {
+        return this.defaultStages.some(stage => stage.key === stageKey);
+    }
+
+    // =========================================================================
+    // GROUPING & STATS
+    // =========================================================================
+
+    /**
+     * @returns {Array} [{ ...stage, leads, count, averageScore }] for visible stages
+     */
+    buildColumns(leads, stages) {
+        const grouped = new Map(stages.map(stage => [stage.key, []]));
+
+        (leads || []).forEach(lead => {
+            grouped.get(this.normalizeStatus(lead.status))?.push(lead);
+        });
+
+        return stages
+            .filter(stage => stage.visible)
+            .map(stage => {
+                const stageLeads = this.sortByScore(grouped.get(stage.key));
+                return {
+                    ...stage,
+                    leads: stageLeads,
+                    count: stageLeads.length,
+                    averageScore: this.calculateAverageScore(stageLeads)
+                };
+            });
+    }
+
+    sortByScore(leads) {
+        return [...leads].sort((a, b) => (b.score || 0) - (a.score || 0));
+    }
+
+    calculateAverageScore(leads) {
+        const scored = leads.filter(lead => Number.isFinite(lead.score) && lead.score > 0);
+        if (scored.length === 0) return null;
+
+        const total = scored.reduce((sum, lead) => sum + lead.score, 0);
+        return Math.round(total / scored.length);
+    }
+
+    /**
+     * Return a new leads array with one lead moved to another stage
+     */
+    applyStatusChange(leads, leadId, status) {
+        return (leads || []).map(lead => lead.id === leadId ? { ...lead, status } : lead);
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadPipelineService = LeadPipelineService;
+
+console.log('✅ [LeadPipelineService] Loaded');
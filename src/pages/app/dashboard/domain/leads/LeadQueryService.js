@@ -0,0 +1,160 @@
+// =============================================================================
+// LEAD QUERY SERVICE - Pure Query Building
+// Path: /public/pages/app/dashboard/domain/leads/LeadQueryService.js
+// Dependencies: NONE (pure functions)
+// =============================================================================
+
+/**
+ * @class LeadQueryService
+ * @description Translates the table's view state (sort value, platform, FilterModal
+ * filters) into LeadsAPI query parameters, and decides how realtime changes
+ * affect the currently loaded server page.
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class LeadQueryService {
+    constructor() {
+        // Table sort keys → backend columns
+        this.sortFields = {
+            date: 'last_updated_at',
+            score: 'overall_score',
+            followers: 'follower_count',
+            name: 'username'
+        };
+
+        console.log('🔎 [LeadQueryService] Initialized');
+    }
+
+    // =========================================================================
+    // QUERY BUILDING
+    // =========================================================================
+
+    getDefaultQuery() {
+        return { sort: 'date-desc', platform: 'all', filters: {} };
+    }
+
+    /**
+     * @param {Object} query - { sort: 'score-desc', platform: 'instagram', filters: FilterModal filters }
+     * @returns {Object} { sortBy, sortOrder, filters, hasFilters }
+     */
+    buildRequest(query = {}) {
+        const [sortKey, sortOrder] = (query.sort || 'date-desc').split('-');
+        const filters = this.toApiFilters(query.filters || {});
+
+        if (query.platform && query.platform !== 'all') {
+            filters.platform = query.platform;
+        }
+
+        return {
+            sortBy: this.sortFields[sortKey] || this.sortFields.date,
+            sortOrder: sortOrder === 'asc' ? 'asc' : 'desc',
+            filters,
+            hasFilters: Object.keys(filters).length > 0
+        };
+    }
+
+    /**
+     * FilterModal filters → backend filter object (only enabled filters)
+     */
+    toApiFilters(filters) {
+        const apiFilters = {};
+
+        if (filters.score?.enabled) {
+            Object.assign(apiFilters, this.toRange('score', filters.score.operator, Number(filters.score.value), Number(filters.score.max)));
+        }
+
+        if (filters.date?.enabled && filters.date.value) {
+            const { operator, value } = filters.date;
+            if (operator === 'before') apiFilters.updated_before = value;
+            if (operator === 'after') apiFilters.updated_after = value;
+            if (operator === 'on') apiFilters.updated_on = value;
+        }
+
+        if (filters.platform?.enabled && filters.platform.value !== 'all') {
+            apiFilters.platform = filters.platform.value.toLowerCase();
+        }
+
+        if (filters.analysisType?.enabled && filters.analysisType.value !== 'all') {
+            apiFilters.analysis_type = filters.analysisType.value;
+        }
+
+        if (filters.followerCount?.enabled) {
+            Object.assign(apiFilters, this.toRange('followers', filters.followerCount.operator, Number(filters.followerCount.value)));
+        }
+
+        if (filters.status?.enabled && filters.status.value !== 'all') {
+            apiFilters.status = filters.status.value;
+        }
+
+        return apiFilters;
+    }
+
+    /**
+     * "above 50" is exclusive in FilterModal, so map it to min = value + 1 for integer fields.
+     * "between" is inclusive on both ends.
+     */
+    toRange(field, operator, value, max = NaN) {
+        if (!Number.isFinite(value)) return {};
+
+        if (operator === 'above') return { [`min_${field}`]: value + 1 };
+        if (operator === 'below') return { [`max_${field}`]: value - 1 };
+        if (operator === 'equals') return { [`min_${field}`]: value, [`max_${field}`]: value };
+        if (operator === 'between' && Number.isFinite(max)) return { [`min_${field}`]: value, [`max_${field}`]: max };
+        return {};
+    }
+
+    // =========================================================================
+    // PAGE CURSORS
+    // =========================================================================
+
+    /**
+     * Total pages - when the API does not report a total, only pages whose
+     * cursor is already known are reachable (the last one acts as "Next").
+     */
+    calculateTotalPages({ total, pageSize, knownPages }) {
+        if (Number.isFinite(total)) {
+            return Math.max(1, Math.ceil(total / pageSize));
+        }
+        return Math.max(1, knownPages);
+    }
+
+    // =========================================================================
+    // REALTIME RECONCILIATION
+    // =========================================================================
+
+    /**
+     * Decide what a realtime change means for the loaded page.
+     * Keyset cursors stay valid across inserts, so only the visible page
+     * ever needs to be refetched.
+     *
+     * @returns {string} 'refetch' | 'count' | 'ignore'
+     */
+    classifyRealtimeChange({ eventType, leadId, pageLeadIds, currentPage, query }) {
+        const isOnPage = leadId && pageLeadIds.includes(leadId);
+
+        switch (eventType) {
+            case 'INSERT': {
+                // New leads land on page 1 only when sorted newest-first
+                const newestFirst = (query.sort || 'date-desc') === 'date-desc';
+                return currentPage === 1 && newestFirst ? 'refetch' : 'count';
+            }
+            case 'UPDATE':
+                return isOnPage ? 'refetch' : 'ignore';
+            case 'DELETE':
+                return isOnPage ? 'refetch' : 'count';
+            default:
+                return 'ignore';
+        }
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadQueryService = LeadQueryService;
+
+console.log('✅ [LeadQueryService] Loaded');
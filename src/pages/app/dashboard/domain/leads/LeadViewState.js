@@ -0,0 +1,177 @@
+// =============================================================================
+// LEAD VIEW STATE - Pure View Serialization
+// Path: /public/pages/app/dashboard/domain/leads/LeadViewState.js
+// Dependencies: NONE (pure functions)
+// =============================================================================
+
+/**
+ * @class LeadViewState
+ * @description Normalizes, compares and URL-encodes the leads table view state
+ * (filters + sort + platform + visible columns + page size)
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class LeadViewState {
+    constructor() {
+        this.urlParam = 'view';
+        this.pageSizes = [10, 25, 50, 100];
+        this.sortOptions = [
+            'date-desc', 'date-asc', 'score-desc', 'score-asc',
+            'followers-desc', 'followers-asc', 'name-asc', 'name-desc'
+        ];
+
+        // Columns that can be hidden - profile, selection and actions always show
+        this.columns = [
+            { key: 'platform', label: 'Platform' },
+            { key: 'score', label: 'Intelligence Score' },
+            { key: 'analysis', label: 'Analysis Type' },
+            { key: 'date', label: 'Date Updated' }
+        ];
+
+        // Must match FilterModal.getDefaultFilters() categories
+        this.filterCategories = ['score', 'date', 'platform', 'analysisType', 'followerCount', 'status'];
+    }
+
+    // =========================================================================
+    // NORMALIZATION
+    // =========================================================================
+
+    getDefaultState() {
+        return {
+            filters: {},
+            sort: 'date-desc',
+            platform: 'all',
+            hiddenColumns: [],
+            pageSize: 10
+        };
+    }
+
+    /**
+     * Coerce anything (saved JSON, decoded URL) into a valid view state.
+     * Only enabled filters are kept so views stay small and stable.
+     */
+    normalize(state = {}) {
+        const defaults = this.getDefaultState();
+        const filters = {};
+
+        Object.entries(state.filters || {}).forEach(([category, filter]) => {
+            if (this.filterCategories.includes(category) && filter && filter.enabled) {
+                filters[category] = { ...filter, enabled: true };
+            }
+        });
+
+        const columnKeys = this.columns.map(column => column.key);
+        const pageSize = parseInt(state.pageSize, 10);
+
+        return {
+            filters,
+            sort: this.sortOptions.includes(state.sort) ? state.sort : defaults.sort,
+            platform: typeof state.platform === 'string' && state.platform ? state.platform.toLowerCase() : defaults.platform,
+            hiddenColumns: [...new Set((state.hiddenColumns || []).filter(key => columnKeys.includes(key)))].sort(),
+            pageSize: this.pageSizes.includes(pageSize) ? pageSize : defaults.pageSize
+        };
+    }
+
+    isEqual(a, b) {
+        return JSON.stringify(this.normalize(a)) === JSON.stringify(this.normalize(b));
+    }
+
+    // =========================================================================
+    // URL ENCODING
+    // =========================================================================
+
+    /**
+     * Base64url-encoded JSON so the link survives chat apps and email clients
+     */
+    encode(state) {
+        const json = JSON.stringify(this.normalize(state));
+        const base64 = btoa(unescape(encodeURIComponent(json)));
+        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    decode(encoded) {
+        if (!encoded) return null;
+
+        try {
+            const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+            const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+            const json = decodeURIComponent(escape(atob(padded)));
+            return this.normalize(JSON.parse(json));
+        } catch (error) {
+            console.warn('⚠️ [LeadViewState] Ignoring malformed view parameter');
+            return null;
+        }
+    }
+
+    /**
+     * @returns {string} Search string with the view param set (or removed for the default state)
+     */
+    applyToSearch(search, state, viewId = null) {
+        const params = new URLSearchParams(search);
+
+        if (state && !this.isEqual(state, this.getDefaultState())) {
+            params.set(this.urlParam, this.encode(state));
+        } else {
+            params.delete(this.urlParam);
+        }
+
+        if (viewId) {
+            params.set('viewId', viewId);
+        } else {
+            params.delete('viewId');
+        }
+
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    readFromSearch(search) {
+        const params = new URLSearchParams(search);
+        return {
+            state: this.decode(params.get(this.urlParam)),
+            viewId: params.get('viewId')
+        };
+    }
+
+    // =========================================================================
+    // SAVED VIEWS
+    // =========================================================================
+
+    createView(name, state, userId) {
+        const now = new Date().toISOString();
+
+        return {
+            id: `view_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+            name: String(name).trim().slice(0, 60),
+            state: this.normalize(state),
+            created_by: userId || null,
+            created_at: now,
+            updated_at: now
+        };
+    }
+
+    describe(state) {
+        const normalized = this.normalize(state);
+        const parts = [];
+
+        const filterCount = Object.keys(normalized.filters).length;
+        if (filterCount > 0) parts.push(`${filterCount} filter${filterCount !== 1 ? 's' : ''}`);
+        if (normalized.platform !== 'all') parts.push(normalized.platform);
+        parts.push(normalized.sort.replace('-', ' '));
+        if (normalized.hiddenColumns.length > 0) parts.push(`${normalized.hiddenColumns.length} hidden column${normalized.hiddenColumns.length !== 1 ? 's' : ''}`);
+        parts.push(`${normalized.pageSize} per page`);
+
+        return parts.join(' · ');
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadViewState = LeadViewState;
+
+console.log('✅ [LeadViewState] Loaded');
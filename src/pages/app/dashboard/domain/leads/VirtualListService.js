@@ -0,0 +1,120 @@
+// =============================================================================
+// VIRTUAL LIST SERVICE - Pure Windowing & Row Diffing
+// Path: /public/pages/app/dashboard/domain/leads/VirtualListService.js
+// Dependencies: NONE (pure functions)
+// =============================================================================
+
+/**
+ * @class VirtualListService
+ * @description Computes which rows of a long list belong in the DOM and which
+ * existing rows can be kept, moved or must be re-rendered
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class VirtualListService {
+    constructor(options = {}) {
+        this.overscan = options.overscan ?? 6;
+        this.threshold = options.threshold ?? 40;
+
+        console.log('📜 [VirtualListService] Initialized');
+    }
+
+    // =========================================================================
+    // WINDOWING
+    // =========================================================================
+
+    shouldVirtualize(totalRows) {
+        return totalRows > this.threshold;
+    }
+
+    /**
+     * @param {Object} params - { scrollTop, viewportHeight, rowHeight, totalRows }
+     * @returns {Object} { start, end, paddingTop, paddingBottom } - end is exclusive
+     */
+    calculateWindow({ scrollTop, viewportHeight, rowHeight, totalRows }) {
+        if (totalRows === 0 || rowHeight <= 0) {
+            return { start: 0, end: 0, paddingTop: 0, paddingBottom: 0 };
+        }
+
+        const firstVisible = Math.floor(Math.max(0, scrollTop) / rowHeight);
+        const visibleCount = Math.ceil(viewportHeight / rowHeight) + 1;
+
+        const start = Math.max(0, Math.min(firstVisible - this.overscan, totalRows - 1));
+        const end = Math.min(totalRows, firstVisible + visibleCount + this.overscan);
+
+        return {
+            start,
+            end,
+            paddingTop: start * rowHeight,
+            paddingBottom: (totalRows - end) * rowHeight
+        };
+    }
+
+    /**
+     * Scroll offset that brings a row fully into view (or null if it already is)
+     */
+    getScrollTopForRow({ index, scrollTop, viewportHeight, rowHeight }) {
+        const rowTop = index * rowHeight;
+        const rowBottom = rowTop + rowHeight;
+
+        if (rowTop < scrollTop) return rowTop;
+        if (rowBottom > scrollTop + viewportHeight) return rowBottom - viewportHeight;
+        return null;
+    }
+
+    // =========================================================================
+    // KEYED DIFFING
+    // =========================================================================
+
+    /**
+     * @param {Map} currentSignatures - leadId → signature of rows in the DOM
+     * @param {Array} nextRows - [{ key, signature }] in display order
+     * @returns {Object} { keep: Set, render: Set, remove: Array }
+     */
+    diffRows(currentSignatures, nextRows) {
+        const keep = new Set();
+        const render = new Set();
+        const nextKeys = new Set();
+
+        nextRows.forEach(({ key, signature }) => {
+            nextKeys.add(key);
+            if (currentSignatures.get(key) === signature) {
+                keep.add(key);
+            } else {
+                render.add(key);
+            }
+        });
+
+        const remove = Array.from(currentSignatures.keys()).filter(key => !nextKeys.has(key));
+
+        return { keep, render, remove };
+    }
+
+    /**
+     * Clamp keyboard movement to the list bounds
+     */
+    getNavigationTarget(index, key, totalRows, pageStep = 10) {
+        const targets = {
+            ArrowDown: index + 1,
+            ArrowUp: index - 1,
+            PageDown: index + pageStep,
+            PageUp: index - pageStep,
+            Home: 0,
+            End: totalRows - 1
+        };
+
+        if (!(key in targets) || totalRows === 0) return null;
+        return Math.max(0, Math.min(totalRows - 1, targets[key]));
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.VirtualListService = VirtualListService;
+
+console.log('✅ [VirtualListService] Loaded');
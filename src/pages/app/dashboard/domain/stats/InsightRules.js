@@ -0,0 +1,320 @@
+// =============================================================================
+// INSIGHT RULES - Declarative Dashboard Insight Definitions
+// Path: /public/pages/app/dashboard/domain/stats/InsightRules.js
+// Dependencies: NONE (pure functions)
+// =============================================================================
+
+/**
+ * Each rule declares its tunable thresholds and an evaluate(context, thresholds)
+ * function that returns an insight or null. The context is built by
+ * InsightsEngine.buildContext:
+ *
+ *   { stats, leads, trends: { leads, score }, capabilities: { crm }, now, daysSince(date) }
+ *
+ * An insight is { type, icon, title, message, action?, variant? } where type is
+ * 'warning' | 'tip' | 'info' | 'success' and action is
+ * { type, label, params } - executed by InsightsUseCase's action handlers.
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ */
+const InsightRules = {
+    rules: [],
+
+    register(rule) {
+        if (!rule?.id || typeof rule.evaluate !== 'function') {
+            throw new Error('[InsightRules] A rule needs an id and an evaluate function');
+        }
+        this.rules = [...this.rules.filter(existing => existing.id !== rule.id), {
+            priority: 50,
+            thresholds: {},
+            ...rule
+        }];
+    },
+
+    get(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    },
+
+    list() {
+        return [...this.rules];
+    },
+
+    // Shared by the built-in rules
+
+    getLeadDate(lead) {
+        return lead.last_updated_at || lead.updated_at || lead.created_at || null;
+    },
+
+    pluralize(count, singular, plural = `${singular}s`) {
+        return `${count} ${count === 1 ? singular : plural}`;
+    }
+};
+
+// =============================================================================
+// BUILT-IN RULES
+// =============================================================================
+
+InsightRules.register({
+    id: 'credits-low',
+    label: 'Low credits',
+    priority: 100,
+    thresholds: {
+        credits: { label: 'Warn below (credits)', default: 10, min: 0, max: 1000 }
+    },
+    evaluate({ stats }, { credits }) {
+        const remaining = stats.creditsRemaining;
+        if (remaining == null || remaining >= credits) return null;
+
+        return {
+            type: 'warning',
+            icon: '⚠️',
+            title: 'Low credits',
+            message: `Only ${InsightRules.pluralize(remaining, 'credit')} remaining. Top up before your next batch stalls.`,
+            action: { type: 'upgrade', label: 'Get more credits' }
+        };
+    }
+});
+
+InsightRules.register({
+    id: 'stale-high-score',
+    label: 'Stale high-score leads',
+    priority: 90,
+    thresholds: {
+        minScore: { label: 'Minimum score', default: 80, min: 0, max: 100 },
+        staleDays: { label: 'Stale after (days)', default: 30, min: 1, max: 365 }
+    },
+    evaluate({ leads, daysSince }, { minScore, staleDays }) {
+        const stale = leads.filter(lead =>
+            (lead.score || 0) >= minScore &&
+            daysSince(InsightRules.getLeadDate(lead)) >= staleDays
+        );
+        if (stale.length === 0) return null;
+
+        return {
+            type: 'warning',
+            icon: '🔄',
+            title: 'High-score leads going stale',
+            message: `${InsightRules.pluralize(stale.length, 'lead')} scoring ${minScore}+ haven't been analyzed in ${staleDays}+ days. Profiles change - refresh them before outreach.`,
+            action: {
+                type: 'reanalyze-leads',
+                label: `Re-analyze ${InsightRules.pluralize(stale.length, 'lead')}`,
+                params: { leadIds: stale.map(lead => lead.id) }
+            }
+        };
+    }
+});
+
+InsightRules.register({
+    id: 'lead-volume-trend',
+    label: 'Lead volume drop',
+    priority: 80,
+    thresholds: {
+        dropPercent: { label: 'Warn on a drop of (%)', default: 30, min: 5, max: 100 }
+    },
+    evaluate({ trends }, { dropPercent }) {
+        const trend = trends.leads;
+        if (!trend || trend.previous === 0 || trend.changePercent > -dropPercent) return null;
+
+        return {
+            type: 'warning',
+            icon: '📉',
+            title: 'Lead volume is down',
+            message: `${trend.current} leads researched in the last ${trend.days} days, ${Math.abs(trend.changePercent)}% fewer than the ${trend.days} days before.`,
+            action: { type: 'open-research', label: 'Research new leads' }
+        };
+    }
+});
+
+InsightRules.register({
+    id: 'score-trend',
+    label: 'Average score trend',
+    priority: 70,
+    thresholds: {
+        points: { label: 'Change of (points)', default: 5, min: 1, max: 50 }
+    },
+    evaluate({ trends }, { points }) {
+        const trend = trends.score;
+        if (!trend || trend.previous === 0 || Math.abs(trend.change) < points) return null;
+
+        const up = trend.change > 0;
+        return {
+            variant: up ? 'up' : 'down',
+            type: up ? 'success' : 'warning',
+            icon: up ? '📈' : '🔍',
+            title: up ? 'Lead quality is improving' : 'Lead quality is slipping',
+            message: `Average score ${up ? 'rose' : 'fell'} ${Math.abs(Math.round(trend.change))} points over the last ${trend.days} days (${Math.round(trend.previous)} → ${Math.round(trend.current)}).`,
+            action: up ? null : { type: 'open-research', label: 'Refine targeting' }
+        };
+    }
+});
+
+InsightRules.register({
+    id: 'premium-not-in-crm',
+    label: 'Premium leads missing from the CRM',
+    priority: 65,
+    thresholds: {
+        minScore: { label: 'Minimum score', default: 80, min: 0, max: 100 }
+    },
+    evaluate({ leads, capabilities }, { minScore }) {
+        if (!capabilities.crm) return null;
+
+        const missing = leads.filter(lead => (lead.score || 0) >= minScore && !lead.crm_sync);
+        if (missing.length === 0) return null;
+
+        return {
+            type: 'tip',
+            icon: '🔗',
+            title: 'Premium leads not in your CRM',
+            message: `${InsightRules.pluralize(missing.length, 'lead')} scoring ${minScore}+ haven't been pushed to ${capabilities.crm} yet.`,
+            action: {
+                type: 'push-to-crm',
+                label: `Push ${missing.length} to ${capabilities.crm}`,
+                params: { leadIds: missing.map(lead => lead.id) }
+            }
+        };
+    }
+});
+
+InsightRules.register({
+    id: 'lead-quality',
+    label: 'Average lead quality',
+    priority: 60,
+    thresholds: {
+        excellent: { label: 'Excellent from (score)', default: 80, min: 0, max: 100 },
+        good: { label: 'Good from (score)', default: 60, min: 0, max: 100 }
+    },
+    evaluate({ stats }, { excellent, good }) {
+        const average = stats.averageScore || 0;
+        if (average <= 0) return null;
+
+        if (average >= excellent) {
+            return {
+                variant: 'excellent',
+                type: 'success',
+                icon: '🎯',
+                title: 'Excellent lead quality',
+                message: `Your average analysis score is ${average}/100. You're targeting high-quality leads!`,
+                action: {
+                    type: 'filter-leads',
+                    label: 'Show top leads',
+                    params: { filters: { score: { enabled: true, operator: 'above', value: excellent - 1 } }, sort: 'score-desc' }
+                }
+            };
+        }
+
+        if (average >= good) {
+            return {
+                variant: 'good',
+                type: 'info',
+                icon: '📈',
+                title: 'Good progress',
+                message: `Average score: ${average}/100. Consider focusing on higher-engagement profiles.`
+            };
+        }
+
+        return {
+            variant: 'low',
+            type: 'warning',
+            icon: '🔍',
+            title: 'Improve targeting',
+            message: `Average score: ${average}/100. Refine your lead selection criteria.`,
+            action: { type: 'open-research', label: 'Research better leads' }
+        };
+    }
+});
+
+InsightRules.register({
+    id: 'conversion-rate',
+    label: 'High-score rate',
+    priority: 55,
+    thresholds: {
+        score: { label: 'High score from', default: 75, min: 0, max: 100 },
+        high: { label: 'Great above (%)', default: 30, min: 0, max: 100 },
+        low: { label: 'Warn below (%)', default: 15, min: 0, max: 100 },
+        minAnalyses: { label: 'Minimum analyses', default: 5, min: 1, max: 1000 }
+    },
+    evaluate({ leads }, { score, high, low, minAnalyses }) {
+        const analyzed = leads.filter(lead => (lead.score || 0) > 0);
+        if (analyzed.length <= minAnalyses) return null;
+
+        const rate = Math.round((analyzed.filter(lead => lead.score >= score).length / analyzed.length) * 100);
+
+        if (rate >= high) {
+            return {
+                variant: 'high',
+                type: 'success',
+                icon: '✨',
+                title: 'High conversion rate',
+                message: `${rate}% of your analyses score ${score}+. Excellent targeting!`
+            };
+        }
+
+        if (rate < low) {
+            return {
+                variant: 'low',
+                type: 'warning',
+                icon: '⚠️',
+                title: 'Low conversion rate',
+                message: `Only ${rate}% of your analyses score ${score}+. Consider refining your targeting.`,
+                action: { type: 'open-research', label: 'Research new leads' }
+            };
+        }
+
+        return null;
+    }
+});
+
+InsightRules.register({
+    id: 'analysis-depth',
+    label: 'Analysis depth',
+    priority: 30,
+    thresholds: {
+        deepPercent: { label: 'Suggest below (% deep / x-ray)', default: 20, min: 0, max: 100 }
+    },
+    evaluate({ leads }, { deepPercent }) {
+        const analyzed = leads.filter(lead => lead.analysis_type);
+        if (analyzed.length === 0) return null;
+
+        const deep = analyzed.filter(lead => ['deep', 'xray'].includes(lead.analysis_type)).length;
+        if (Math.round((deep / analyzed.length) * 100) >= deepPercent) return null;
+
+        return {
+            type: 'tip',
+            icon: '💡',
+            title: 'Upgrade analysis depth',
+            message: 'Consider more deep / x-ray analyses for detailed insights and outreach messages.',
+            action: { type: 'open-research', label: 'Run a deep analysis' }
+        };
+    }
+});
+
+InsightRules.register({
+    id: 'no-recent-activity',
+    label: 'No recent activity',
+    priority: 20,
+    thresholds: {
+        days: { label: 'Quiet for (days)', default: 7, min: 1, max: 90 }
+    },
+    evaluate({ leads, daysSince }, { days }) {
+        if (leads.length === 0) return null;
+        if (leads.some(lead => daysSince(InsightRules.getLeadDate(lead)) < days)) return null;
+
+        return {
+            type: 'info',
+            icon: '📅',
+            title: 'No recent activity',
+            message: `No analyses in the past ${InsightRules.pluralize(days, 'day')}. Time to find new leads!`,
+            action: { type: 'open-research', label: 'Research a lead' }
+        };
+    }
+});
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.InsightRules = InsightRules;
+
+console.log('✅ [InsightRules] Loaded');
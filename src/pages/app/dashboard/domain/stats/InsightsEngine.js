@@ -0,0 +1,227 @@
+// =============================================================================
+// INSIGHTS ENGINE - Pure Insight Evaluation
+// Path: /public/pages/app/dashboard/domain/stats/InsightsEngine.js
+// Dependencies: InsightRules
+// =============================================================================
+
+/**
+ * @class InsightsEngine
+ * @description Evaluates the InsightRules registry against stats, trends and
+ * lead data, applying per-business rule settings and per-user dismissals
+ *
+ * Rule settings (business settings `insight_rules`):
+ *   { [ruleId]: { enabled: false, [threshold]: number } }
+ *
+ * Dismissals (user preference, per business):
+ *   { [insightKey]: { until: ISO | null, at: ISO } }
+ *   until = null  -> dismissed until the insight stops firing
+ *   until = ISO   -> snoozed until that date
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class InsightsEngine {
+    constructor(rules = window.InsightRules) {
+        this.rules = rules;
+        this.trendDays = 7;
+        this.maxVisible = 4;
+        this.typeOrder = { warning: 0, tip: 1, info: 2, success: 3 };
+    }
+
+    // =========================================================================
+    // CONTEXT
+    // =========================================================================
+
+    buildContext({ stats = {}, leads = [], trends = {}, capabilities = {}, now = new Date() } = {}) {
+        const nowMs = now.getTime();
+
+        return {
+            stats,
+            leads: (leads || []).filter(Boolean),
+            trends: {
+                leads: this.summarizeTrend(trends.leads, { aggregate: 'sum', now }),
+                score: this.summarizeTrend(trends.score, { aggregate: 'average', now })
+            },
+            capabilities,
+            now,
+            daysSince: (date) => {
+                const time = date ? new Date(date).getTime() : NaN;
+                return Number.isNaN(time) ? Infinity : Math.floor((nowMs - time) / 86400000);
+            }
+        };
+    }
+
+    /**
+     * Compare the last `trendDays` days with the ones before.
+     * Accepts the AnalyticsAPI.getTrends payload as an array of points or
+     * wrapped in { series | points | data }, with { date, value | count } per
+     * point. Days missing from a sparse series count as empty.
+     */
+    summarizeTrend(raw, { aggregate = 'sum', now = new Date() } = {}) {
+        const points = this.normalizeSeries(raw);
+        const days = this.trendDays;
+        if (points.length === 0) return null;
+
+        const windowMs = days * 86400000;
+        const age = (point) => now.getTime() - point.time;
+        const current = points.filter(point => age(point) < windowMs).map(point => point.value);
+        const previous = points.filter(point => age(point) >= windowMs && age(point) < windowMs * 2).map(point => point.value);
+
+        const reduce = (list) => {
+            const values = aggregate === 'average' ? list.filter(value => value > 0) : list;
+            if (values.length === 0) return 0;
+            const sum = values.reduce((total, value) => total + value, 0);
+            return aggregate === 'average' ? sum / values.length : sum;
+        };
+
+        const currentValue = reduce(current);
+        const previousValue = reduce(previous);
+
+        return {
+            days,
+            current: currentValue,
+            previous: previousValue,
+            change: currentValue - previousValue,
+            changePercent: previousValue === 0 ? 0 : Math.round(((currentValue - previousValue) / previousValue) * 100)
+        };
+    }
+
+    normalizeSeries(raw) {
+        const list = Array.isArray(raw) ? raw : (raw?.series || raw?.points || raw?.data || []);
+        if (!Array.isArray(list)) return [];
+
+        return list
+            .map(point => ({
+                time: new Date(point?.date || point?.period || point?.bucket || NaN).getTime(),
+                value: Number(point?.value ?? point?.count ?? 0) || 0
+            }))
+            .filter(point => !Number.isNaN(point.time));
+    }
+
+    // =========================================================================
+    // SETTINGS
+    // =========================================================================
+
+    isRuleEnabled(rule, settings = {}) {
+        return settings[rule.id]?.enabled !== false;
+    }
+
+    /**
+     * Defaults overlaid with the business's values, clamped to each threshold's range
+     */
+    resolveThresholds(rule, settings = {}) {
+        const overrides = settings[rule.id] || {};
+
+        return Object.entries(rule.thresholds || {}).reduce((resolved, [key, definition]) => {
+            const value = Number(overrides[key]);
+            resolved[key] = Number.isFinite(value)
+                ? Math.min(Math.max(value, definition.min ?? -Infinity), definition.max ?? Infinity)
+                : definition.default;
+            return resolved;
+        }, {});
+    }
+
+    /**
+     * Keep only values that differ from the defaults so saved settings stay small
+     * and pick up future default changes
+     */
+    compactSettings(settings = {}) {
+        return this.rules.list().reduce((compact, rule) => {
+            const resolved = this.resolveThresholds(rule, settings);
+            const entry = {};
+
+            Object.entries(resolved).forEach(([key, value]) => {
+                if (value !== rule.thresholds[key].default) entry[key] = value;
+            });
+            if (!this.isRuleEnabled(rule, settings)) entry.enabled = false;
+
+            if (Object.keys(entry).length > 0) compact[rule.id] = entry;
+            return compact;
+        }, {});
+    }
+
+    // =========================================================================
+    // EVALUATION
+    // =========================================================================
+
+    /**
+     * @returns {Object} { insights, hidden, activeKeys }
+     *   insights   - visible insights, most urgent first
+     *   hidden     - number of firing insights that are dismissed or snoozed
+     *   activeKeys - keys of every firing insight (for pruning dismissals)
+     */
+    evaluate(context, { settings = {}, dismissals = {} } = {}) {
+        const firing = [];
+
+        this.rules.list().forEach(rule => {
+            if (!this.isRuleEnabled(rule, settings)) return;
+
+            try {
+                const insight = rule.evaluate(context, this.resolveThresholds(rule, settings));
+                if (!insight) return;
+
+                firing.push({
+                    ...insight,
+                    ruleId: rule.id,
+                    key: insight.variant ? `${rule.id}:${insight.variant}` : rule.id,
+                    priority: rule.priority
+                });
+            } catch (error) {
+                console.warn(`⚠️ [InsightsEngine] Rule ${rule.id} failed:`, error);
+            }
+        });
+
+        const visible = firing
+            .filter(insight => !this.isSuppressed(dismissals[insight.key], context.now))
+            .sort((a, b) =>
+                (this.typeOrder[a.type] ?? 9) - (this.typeOrder[b.type] ?? 9) ||
+                b.priority - a.priority
+            );
+
+        return {
+            insights: visible.slice(0, this.maxVisible),
+            hidden: firing.length - visible.length,
+            activeKeys: firing.map(insight => insight.key)
+        };
+    }
+
+    // =========================================================================
+    // DISMISS / SNOOZE
+    // =========================================================================
+
+    isSuppressed(dismissal, now = new Date()) {
+        if (!dismissal) return false;
+        if (!dismissal.until) return true;
+        return new Date(dismissal.until).getTime() > now.getTime();
+    }
+
+    createDismissal({ snoozeDays = null, now = new Date() } = {}) {
+        return {
+            until: snoozeDays ? new Date(now.getTime() + snoozeDays * 86400000).toISOString() : null,
+            at: now.toISOString()
+        };
+    }
+
+    /**
+     * Drop expired snoozes, and dismissals of insights that no longer fire -
+     * if the condition comes back later it should be shown again
+     */
+    pruneDismissals(dismissals = {}, activeKeys = [], now = new Date()) {
+        return Object.entries(dismissals).reduce((kept, [key, dismissal]) => {
+            if (activeKeys.includes(key) && this.isSuppressed(dismissal, now)) {
+                kept[key] = dismissal;
+            }
+            return kept;
+        }, {});
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.InsightsEngine = InsightsEngine;
+
+console.log('✅ [InsightsEngine] Loaded');
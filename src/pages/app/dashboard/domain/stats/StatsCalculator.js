@@ -367,125 +367,6 @@ class StatsCalculator {
         return stats;
     }
     
-    // ===============================================================================
-    // INSIGHTS GENERATION
-    // ===============================================================================
-    
-    generateInsights(statsData) {
-        const insights = [];
-        
-        // Performance insights based on new metrics
-        if (statsData.averageScore > 0) {
-            if (statsData.averageScore >= 80) {
-                insights.push({
-                    type: 'success',
-                    icon: '🎯',
-                    title: 'Excellent Lead Quality',
-                    message: `Your average analysis score is ${statsData.averageScore}/100. You're targeting high-quality leads!`
-                });
-            } else if (statsData.averageScore >= 60) {
-                insights.push({
-                    type: 'info',
-                    icon: '📈',
-                    title: 'Good Progress',
-                    message: `Average score: ${statsData.averageScore}/100. Consider focusing on higher-engagement profiles.`
-                });
-            } else {
-                insights.push({
-                    type: 'warning',
-                    icon: '🔍',
-                    title: 'Improve Targeting',
-                    message: `Average score: ${statsData.averageScore}/100. Refine your lead selection criteria.`
-                });
-            }
-        }
-
-        // Conversion rate insights using new metrics
-        if (statsData.totalAnalyses > 5) {
-            if (statsData.conversionRate >= 30) {
-                insights.push({
-                    type: 'success',
-                    icon: '✨',
-                    title: 'High Conversion Rate',
-                    message: `${statsData.conversionRate}% of your analyses score 75+. Excellent targeting!`
-                });
-            } else if (statsData.conversionRate < 15) {
-                insights.push({
-                    type: 'warning',
-                    icon: '⚠️',
-                    title: 'Low Conversion Rate',
-                    message: `Only ${statsData.conversionRate}% score 75+. Consider refining your targeting.`
-                });
-            }
-        }
-
-        // Analysis depth insights
-        if (statsData.totalAnalyses > 0) {
-            const deepPercentage = Math.round(((statsData.deepAnalyses + statsData.xrayAnalyses) / statsData.totalAnalyses) * 100);
-            
-            if (deepPercentage < 20) {
-                insights.push({
-                    type: 'tip',
-                    icon: '💡',
-                    title: 'Upgrade Analysis Depth',
-                    message: 'Consider more deep/x-ray analyses for detailed insights and outreach messages.'
-                });
-            }
-        }
-
-        // Credits warning
-        if (statsData.creditsRemaining < 10) {
-            insights.push({
-                type: 'warning',
-                icon: '⚠️',
-                title: 'Low Credits',
-                message: `Only ${statsData.creditsRemaining} credits remaining. Consider upgrading your plan.`
-            });
-        }
-
-        // Activity insights
-        if (statsData.recentAnalyses === 0 && statsData.totalAnalyses > 0) {
-            insights.push({
-                type: 'info',
-                icon: '📅',
-                title: 'No Recent Activity',
-                message: 'No analyses in the past week. Time to find new leads!'
-            });
-        }
-
-        this.renderInsights(insights);
-        return insights;
-    }
-    
-    renderInsights(insights) {
-        const insightsContainer = document.getElementById('dashboard-insights');
-        if (!insightsContainer) return;
-        
-        if (insights.length === 0) {
-            insightsContainer.innerHTML = '';
-            return;
-        }
-        
-        const insightsHTML = insights.map(insight => `
-            <div class="insight-card ${insight.type}">
-                <div class="insight-icon">${insight.icon}</div>
-                <div class="insight-content">
-                    <h4>${insight.title}</h4>
-                    <p>${insight.message}</p>
-                </div>
-            </div>
-        `).join('');
-        
-        insightsContainer.innerHTML = `
-            <div class="insights-header">
-                <h3>📊 Dashboard Insights</h3>
-            </div>
-            <div class="insights-grid">
-                ${insightsHTML}
-            </div>
-        `;
-    }
-    
     // ===============================================================================
     // CACHE MANAGEMENT
     // ===============================================================================
@@ -579,8 +460,7 @@ class StatsCalculator {
         this.renderStats(stats);
         this.stateManager.setState('stats', stats);
         
-        // Generate insights
-        this.generateInsights(stats);
+        // Insights are evaluated from the 'stats' state by InsightsUseCase
     }
     
     handleDataLoaded(data) {
@@ -0,0 +1,350 @@
+// =============================================================================
+// MESSAGE TEMPLATE SERVICE - Pure Template Logic
+// Path: /public/pages/app/dashboard/domain/templates/MessageTemplateService.js
+// Dependencies: LeadExportService (payload lookup)
+// =============================================================================
+
+/**
+ * @class MessageTemplateService
+ * @description Outreach message templates: variable catalogue, validation,
+ * interpolation with fallbacks and A/B variant assignment
+ *
+ * Template syntax:
+ *   {{full_name}}                 - lead / analysis / business / sender value
+ *   {{selling_points[0]}}         - one item of a list value
+ *   {{first_name | there}}        - fallback when the value is missing
+ *
+ * A template is { id, name, variants: [{ id, label, body }] }. Each lead gets
+ * one variant, picked from a hash of the lead and template ids so re-applying
+ * a template keeps each lead on the same variant while the variants are unchanged.
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class MessageTemplateService {
+    constructor() {
+        this.exportService = new window.LeadExportService();
+
+        this.groups = [
+            { key: 'lead', label: 'Lead' },
+            { key: 'analysis', label: 'Analysis' },
+            { key: 'business', label: 'Your business' },
+            { key: 'sender', label: 'You' }
+        ];
+
+        // `paths` are tried in order; analysis variables read the latest run's payload
+        this.variables = [
+            { key: 'first_name', label: 'First name', group: 'lead', paths: ['full_name', 'display_name'], transform: 'first_word', example: 'Maya' },
+            { key: 'full_name', label: 'Full name', group: 'lead', paths: ['full_name', 'display_name'], example: 'Maya Chen' },
+            { key: 'username', label: 'Username', group: 'lead', paths: ['username'], example: 'maya.creates' },
+            { key: 'platform', label: 'Platform', group: 'lead', paths: ['platform', 'platform_type'], transform: 'capitalize', example: 'Instagram' },
+            { key: 'followers', label: 'Followers', group: 'lead', paths: ['followers_count', 'follower_count'], transform: 'compact_number', example: '12.4K' },
+            { key: 'bio', label: 'Bio', group: 'lead', paths: ['bio', 'bio_text'], example: 'Designer & illustrator' },
+
+            { key: 'selling_points', label: 'Selling points', group: 'analysis', payloadPaths: ['selling_points'], list: true, example: 'Strong engagement on tutorials' },
+            { key: 'pain_points', label: 'Pain points', group: 'analysis', payloadPaths: ['copywriter_profile.pain_points'], list: true, example: 'Inconsistent posting schedule' },
+            { key: 'primary_angle', label: 'Primary angle', group: 'analysis', payloadPaths: ['persuasion_strategy.primary_angle'], example: 'Time savings' },
+            { key: 'summary', label: 'Summary', group: 'analysis', payloadPaths: ['deep_summary', 'summary'], example: 'A growing design creator…' },
+
+            { key: 'business_name', label: 'Business name', group: 'business', paths: ['business_name', 'name'], example: 'Acme Studio' },
+            { key: 'preferred-cta', label: 'Preferred CTA', group: 'business', paths: ['call_to_action', 'preferred_cta'], example: 'Book a free call' },
+            { key: 'value_proposition', label: 'Value proposition', group: 'business', paths: ['value_proposition'], example: 'We grow creator brands' },
+            { key: 'target_audience', label: 'Target audience', group: 'business', paths: ['target_audience'], example: 'Design creators' },
+
+            { key: 'signature_name', label: 'Signature', group: 'sender', paths: ['signature_name', 'full_name', 'user_metadata.full_name'], example: 'Alex' }
+        ];
+
+        // Alternative spellings people type
+        this.aliases = {
+            'call_to_action': 'preferred-cta',
+            'preferred_cta': 'preferred-cta',
+            'name': 'full_name',
+            'handle': 'username',
+            'signature': 'signature_name'
+        };
+
+        this.tokenPattern = /\{\{\s*([a-zA-Z_][\w-]*)\s*(?:\[\s*(\d+)\s*\])?\s*(?:\|([^}]*))?\}\}/g;
+
+        this.maxTemplates = 50;
+        this.maxVariants = 4;
+        this.maxNameLength = 60;
+        this.maxBodyLength = 1000;
+        this.variantLabels = ['A', 'B', 'C', 'D'];
+
+        console.log('🧩 [MessageTemplateService] Initialized');
+    }
+
+    // =========================================================================
+    // CATALOGUE
+    // =========================================================================
+
+    getVariable(key) {
+        const resolved = this.aliases[key] || key;
+        return this.variables.find(variable => variable.key === resolved) || null;
+    }
+
+    getVariablesByGroup() {
+        return this.groups.map(group => ({
+            ...group,
+            variables: this.variables.filter(variable => variable.group === group.key)
+        }));
+    }
+
+    buildToken(variable, index = null) {
+        return `{{${variable.key}${variable.list ? `[${index ?? 0}]` : ''}}}`;
+    }
+
+    // =========================================================================
+    // TEMPLATES
+    // =========================================================================
+
+    createTemplate(name, variants, userId) {
+        return {
+            id: `tpl_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+            name: String(name).trim().slice(0, this.maxNameLength),
+            variants: this.normalizeVariants(variants),
+            created_by: userId || null,
+            created_at: new Date().toISOString()
+        };
+    }
+
+    normalizeTemplates(templates) {
+        if (!Array.isArray(templates)) return [];
+
+        return templates
+            .filter(template => template && template.id && template.name)
+            .map(template => ({ ...template, variants: this.normalizeVariants(template.variants) }))
+            .filter(template => template.variants.length > 0)
+            .slice(0, this.maxTemplates);
+    }
+
+    /**
+     * Labels follow position, ids stay with the text - reply stats are kept
+     * per variant id, so removing variant A must not hand its numbers to B
+     */
+    normalizeVariants(variants) {
+        const used = new Set();
+
+        return (Array.isArray(variants) ? variants : [])
+            .filter(variant => variant && typeof variant.body === 'string')
+            .slice(0, this.maxVariants)
+            .map((variant, index) => {
+                const id = variant.id && !used.has(variant.id)
+                    ? variant.id
+                    : `v${Date.now().toString(36)}${index}${Math.random().toString(36).slice(2, 5)}`;
+                used.add(id);
+
+                return { id, label: this.variantLabels[index], body: variant.body };
+            });
+    }
+
+    /**
+     * @param {Object} input - { name, variants: [{ id, body }] }
+     * @param {Array} templates - Existing templates, for the duplicate name check
+     * @returns {Object} { valid, errors } - variant errors are keyed `variant-<index>`
+     */
+    validateTemplate(input = {}, templates = []) {
+        const errors = {};
+        const name = (input.name || '').trim();
+        const variants = input.variants || [];
+
+        if (!name) {
+            errors.name = 'Give the template a name';
+        } else if (name.length > this.maxNameLength) {
+            errors.name = `Keep the name under ${this.maxNameLength} characters`;
+        } else if (templates.some(template => template.id !== input.id && template.name.toLowerCase() === name.toLowerCase())) {
+            errors.name = `A template named "${name}" already exists`;
+        }
+
+        if (variants.length === 0) {
+            errors.variants = 'Write at least one variant';
+        } else if (variants.length > this.maxVariants) {
+            errors.variants = `Use at most ${this.maxVariants} variants`;
+        }
+
+        variants.forEach((variant, index) => {
+            const error = this.validateBody(variant.body);
+            if (error) errors[`variant-${index}`] = error;
+        });
+
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    validateBody(body) {
+        const text = (body || '').trim();
+        if (!text) return 'The message is empty';
+        if (text.length > this.maxBodyLength) return `Keep the message under ${this.maxBodyLength} characters`;
+
+        const tokens = this.parseTokens(text);
+        const unknown = tokens.filter(token => !token.variable).map(token => token.name);
+        if (unknown.length > 0) {
+            return `Unknown variable${unknown.length > 1 ? 's' : ''}: ${[...new Set(unknown)].join(', ')}`;
+        }
+
+        const misindexed = tokens.filter(token => token.index !== null && !token.variable.list);
+        if (misindexed.length > 0) {
+            return `${misindexed[0].name} is not a list - remove the [${misindexed[0].index}]`;
+        }
+
+        // Anything left after removing valid tokens is a broken placeholder
+        if (/\{\{|\}\}/.test(text.replace(this.tokenPattern, ''))) {
+            return 'A {{ placeholder }} is not closed or is malformed';
+        }
+
+        return null;
+    }
+
+    parseTokens(body) {
+        return Array.from(String(body || '').matchAll(this.tokenPattern), match => ({
+            raw: match[0],
+            name: match[1],
+            index: match[2] !== undefined ? Number(match[2]) : null,
+            fallback: match[3] !== undefined ? this.cleanFallback(match[3]) : null,
+            variable: this.getVariable(match[1])
+        }));
+    }
+
+    /**
+     * `{{x | "hey there"}}` and `{{x | hey there}}` are the same fallback
+     */
+    cleanFallback(value) {
+        return value.trim().replace(/^(["'])(.*)\1$/, '$2');
+    }
+
+    // =========================================================================
+    // INTERPOLATION
+    // =========================================================================
+
+    /**
+     * @param {Object} lead - Lead row (with runs when analysis variables are used)
+     * @param {Object} options - { business, sender } - the selected business and the current user
+     */
+    buildContext(lead, { business = null, sender = null } = {}) {
+        return {
+            lead: lead || {},
+            analysis: this.exportService.getPayload(lead) || {},
+            business: business || {},
+            sender: sender || {}
+        };
+    }
+
+    resolveValue(variable, context, index = null) {
+        const source = variable.payloadPaths ? context.analysis : context[variable.group];
+        let value = null;
+
+        for (const path of variable.payloadPaths || variable.paths) {
+            const candidate = this.exportService.getPath(source || {}, path);
+            if (candidate !== undefined && candidate !== null && candidate !== '') {
+                value = candidate;
+                break;
+            }
+        }
+
+        if (variable.list) {
+            const items = Array.isArray(value) ? value : (value ? [value] : []);
+            value = index !== null ? items[index] : items.join(', ');
+        }
+
+        return this.transform(value, variable.transform);
+    }
+
+    transform(value, transform) {
+        if (value === undefined || value === null || value === '') return '';
+
+        const text = typeof value === 'object' ? (value.text || value.title || JSON.stringify(value)) : String(value);
+
+        switch (transform) {
+            case 'first_word':
+                return text.trim().split(/\s+/)[0] || '';
+            case 'capitalize':
+                return text.charAt(0).toUpperCase() + text.slice(1);
+            case 'compact_number': {
+                const number = Number(value);
+                if (!Number.isFinite(number)) return text;
+                if (number >= 1e6) return `${(number / 1e6).toFixed(1).replace(/\.0$/, '')}M`;
+                if (number >= 1e3) return `${(number / 1e3).toFixed(1).replace(/\.0$/, '')}K`;
+                return String(number);
+            }
+            default:
+                return text.trim();
+        }
+    }
+
+    /**
+     * @returns {Object} { text, missing } - missing lists the tokens that had
+     * no value and no fallback; they render as empty text
+     */
+    render(body, context) {
+        const missing = [];
+
+        const text = String(body || '').replace(this.tokenPattern, (raw, name, index, fallback) => {
+            const variable = this.getVariable(name);
+            if (!variable) return raw;
+
+            const value = this.resolveValue(variable, context, index !== undefined ? Number(index) : null);
+            if (value) return value;
+            if (fallback !== undefined) return this.cleanFallback(fallback);
+
+            missing.push(raw);
+            return '';
+        });
+
+        return {
+            text: text.replace(/[ \t]{2,}/g, ' ').replace(/ +([,.!?])/g, '$1').trim(),
+            missing: [...new Set(missing)]
+        };
+    }
+
+    /**
+     * Variant for a lead - stable for the same lead and the same set of variants
+     */
+    pickVariant(template, leadId) {
+        const variants = template.variants || [];
+        if (variants.length <= 1) return variants[0] || null;
+
+        return variants[this.hash(`${template.id}:${leadId}`) % variants.length];
+    }
+
+    hash(value) {
+        let hash = 2166136261;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Render a template for one lead
+     * @returns {Object} { variant, text, missing }
+     */
+    renderForLead(template, lead, options = {}) {
+        const variant = this.pickVariant(template, lead?.id);
+        if (!variant) return { variant: null, text: '', missing: [] };
+
+        return { variant, ...this.render(variant.body, this.buildContext(lead, options)) };
+    }
+
+    /**
+     * Whether rendering needs the analysis payload (not on table rows)
+     */
+    needsPayload(template) {
+        return (template.variants || []).some(variant =>
+            this.parseTokens(variant.body).some(token => token.variable?.payloadPaths));
+    }
+
+    describeVariants(template) {
+        const count = template.variants?.length || 0;
+        return count > 1 ? `${count} variants (A/B)` : '1 variant';
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.MessageTemplateService = MessageTemplateService;
+
+console.log('✅ [MessageTemplateService] Loaded');
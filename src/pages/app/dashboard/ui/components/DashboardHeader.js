@@ -16,6 +16,7 @@ class DashboardHeader {
         this.currentMode = 'single'; // 'single' or 'bulk'
         this.initialized = false;
         this.dropdownElement = null;
+        this.savedViewsState = { views: [], activeViewId: null, activeViewName: null, defaultViewId: null, modified: false };
         
         // Bind methods to preserve context
         this.toggleDropdown = this.toggleDropdown.bind(this);
@@ -24,6 +25,8 @@ class DashboardHeader {
         this.handleOutsideClick = this.handleOutsideClick.bind(this);
         this.handleMainButtonClick = this.handleMainButtonClick.bind(this);
         this.switchMode = this.switchMode.bind(this);
+        this.handleViewMenuClick = this.handleViewMenuClick.bind(this);
+        this.handleSavedViewsChanged = this.handleSavedViewsChanged.bind(this);
         
         console.log('🔧 [DashboardHeader] Instance created (Migrated System)');
     }
@@ -115,6 +118,17 @@ class DashboardHeader {
             
             <!-- Right Actions -->
             <div class="flex items-center space-x-4">
+                <!-- Saved Views Switcher -->
+                <div id="saved-view-switcher" class="relative" style="z-index: 100;">
+                    <button id="saved-view-btn" type="button" data-view-action="toggle" aria-haspopup="true" aria-expanded="false"
+                            class="px-4 py-3 bg-white border border-gray-200 rounded-xl text-sm font-medium text-gray-700 hover:bg-gray-50 transition-colors flex items-center space-x-2">
+                        <i data-feather="layers" class="w-4 h-4"></i>
+                        <span id="saved-view-name">All leads</span>
+                        <span id="saved-view-modified" class="hidden w-2 h-2 rounded-full bg-orange-400" title="Unsaved changes"></span>
+                    </button>
+                    <div id="saved-view-menu" class="hidden absolute right-0 mt-2 w-72 bg-white border border-gray-200 rounded-xl shadow-lg py-2"></div>
+                </div>
+                
                 <!-- Dynamic Research Button with Dropdown -->
                 <div class="relative" style="z-index: 100; isolation: isolate; position: relative;">
                     <!-- Unified Button Container -->
@@ -258,6 +272,15 @@ class DashboardHeader {
             console.log('✅ [DashboardHeader] Dropdown toggle handler attached');
         }
 
+        // Saved views switcher (button + menu share one delegated handler)
+        const viewSwitcher = document.getElementById('saved-view-switcher');
+        if (viewSwitcher) {
+            viewSwitcher.addEventListener('click', this.handleViewMenuClick);
+            document.addEventListener('click', this.handleViewMenuClick);
+            this.eventBus?.on(window.DASHBOARD_EVENTS.SAVED_VIEWS_CHANGED, this.handleSavedViewsChanged);
+            console.log('✅ [DashboardHeader] Saved views switcher attached');
+        }
+
         console.log('✅ [DashboardHeader] All event handlers setup complete');
     }
 
@@ -272,10 +295,142 @@ class DashboardHeader {
             dropdownButton.removeEventListener('click', this.toggleDropdown);
         }
 
+        const viewSwitcher = document.getElementById('saved-view-switcher');
+        if (viewSwitcher) {
+            viewSwitcher.removeEventListener('click', this.handleViewMenuClick);
+        }
+        document.removeEventListener('click', this.handleViewMenuClick);
+        this.eventBus?.off?.(window.DASHBOARD_EVENTS.SAVED_VIEWS_CHANGED, this.handleSavedViewsChanged);
+
         // Only remove if it was added
         document.removeEventListener('click', this.handleOutsideClick);
     }
 
+    // =========================================================================
+    // SAVED VIEWS SWITCHER
+    // =========================================================================
+
+    handleSavedViewsChanged(data) {
+        this.savedViewsState = { ...this.savedViewsState, ...data };
+
+        const nameEl = document.getElementById('saved-view-name');
+        if (nameEl) nameEl.textContent = data.activeViewName || 'All leads';
+
+        document.getElementById('saved-view-modified')?.classList.toggle('hidden', !data.modified);
+
+        const menu = document.getElementById('saved-view-menu');
+        if (menu && !menu.classList.contains('hidden')) {
+            menu.innerHTML = this.renderViewMenu();
+        }
+    }
+
+    renderViewMenu() {
+        const { views, activeViewId, defaultViewId, modified } = this.savedViewsState;
+        const escape = (text) => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const itemClass = 'w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50';
+
+        const viewItems = views.map(view => `
+            <div class="flex items-center group ${view.id === activeViewId ? 'bg-indigo-50' : ''}">
+                <button type="button" data-view-action="apply" data-view-id="${view.id}" class="${itemClass} flex-1 truncate">
+                    ${escape(view.name)}
+                    ${view.id === defaultViewId ? '<span class="ml-1 text-xs text-indigo-600">(default)</span>' : ''}
+                </button>
+                <button type="button" data-view-action="delete" data-view-id="${view.id}" title="Delete view"
+                        class="px-3 py-2 text-xs text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100">✕</button>
+            </div>
+        `).join('');
+
+        return `
+            <button type="button" data-view-action="apply" data-view-id="" class="${itemClass} ${!activeViewId ? 'bg-indigo-50' : ''}">All leads</button>
+            ${viewItems}
+            <div class="my-2 border-t border-gray-100"></div>
+            ${activeViewId && modified ? `<button type="button" data-view-action="update" class="${itemClass}">Save changes to view</button>` : ''}
+            <button type="button" data-view-action="save-as" class="${itemClass}">Save current as new view…</button>
+            ${activeViewId ? `
+                <button type="button" data-view-action="default" class="${itemClass}">
+                    ${activeViewId === defaultViewId ? 'Unset as my default' : 'Set as my default'}
+                </button>
+            ` : ''}
+            <button type="button" data-view-action="copy-link" class="${itemClass}">Copy link to this view</button>
+        `;
+    }
+
+    async handleViewMenuClick(event) {
+        const menu = document.getElementById('saved-view-menu');
+        const button = document.getElementById('saved-view-btn');
+        if (!menu || !button) return;
+
+        const actionEl = event.target.closest('[data-view-action]');
+
+        // Outside click closes the menu
+        if (!actionEl || !actionEl.closest('#saved-view-switcher')) {
+            if (event.currentTarget === document && !event.target.closest('#saved-view-switcher')) {
+                menu.classList.add('hidden');
+                button.setAttribute('aria-expanded', 'false');
+            }
+            return;
+        }
+
+        // Delegated on both the switcher and document - handle once
+        if (event.currentTarget === document) return;
+        event.stopPropagation();
+
+        const savedViews = window.savedViews;
+        const action = actionEl.dataset.viewAction;
+        const viewId = actionEl.dataset.viewId;
+
+        if (action === 'toggle') {
+            const willOpen = menu.classList.contains('hidden');
+            if (willOpen) menu.innerHTML = this.renderViewMenu();
+            menu.classList.toggle('hidden', !willOpen);
+            button.setAttribute('aria-expanded', String(willOpen));
+            return;
+        }
+
+        if (!savedViews) {
+            console.warn('⚠️ [DashboardHeader] Saved views not initialized');
+            return;
+        }
+
+        menu.classList.add('hidden');
+        button.setAttribute('aria-expanded', 'false');
+
+        try {
+            switch (action) {
+                case 'apply':
+                    savedViews.applyView(viewId || null);
+                    break;
+                case 'save-as': {
+                    const name = window.prompt('Name this view');
+                    if (name) await savedViews.saveCurrentAsView(name);
+                    break;
+                }
+                case 'update':
+                    await savedViews.updateActiveView();
+                    break;
+                case 'default': {
+                    const { activeViewId, defaultViewId } = this.savedViewsState;
+                    await savedViews.setDefaultView(activeViewId === defaultViewId ? null : activeViewId);
+                    break;
+                }
+                case 'delete': {
+                    const view = savedViews.getView(viewId);
+                    if (view && window.confirm(`Delete the view "${view.name}" for everyone on this business?`)) {
+                        await savedViews.deleteView(viewId);
+                    }
+                    break;
+                }
+                case 'copy-link':
+                    await savedViews.copyShareLink();
+                    window.OsliraApp?.showMessage?.('Link copied to clipboard', 'success');
+                    break;
+            }
+        } catch (error) {
+            console.error('❌ [DashboardHeader] Saved view action failed:', error);
+            window.OsliraApp?.showMessage?.(error.message, 'error');
+        }
+    }
+
     /**
      * Handle main button clicks
      */
@@ -1,8 +1,9 @@
 //public/pages/dashboard/modules/ui/insights-panel.js
 
 /**
- * INSIGHTS PANEL - Migrated to New System (No Container)
- * Handles AI-generated insights display and analytics
+ * INSIGHTS PANEL - Pure HTML for the dashboard insights panel
+ * Renders InsightsEngine results (cards with call-to-action, dismiss and
+ * snooze) and the per-business rule settings editor
  */
 class InsightsPanel {
     constructor() {
@@ -10,104 +11,144 @@ class InsightsPanel {
         this.eventBus = window.EventBus || window.OsliraEventBus;
         this.stateManager = window.StateManager || window.OsliraStateManager;
         this.osliraAuth = window.OsliraAuth;
-        
+
+        this.typeStyles = {
+            warning: 'bg-yellow-50 border-yellow-200',
+            tip: 'bg-purple-50 border-purple-200',
+            info: 'bg-blue-50 border-blue-200',
+            success: 'bg-green-50 border-green-200'
+        };
+        this.snoozeOptions = [
+            { days: 1, label: '1 day' },
+            { days: 7, label: '1 week' },
+            { days: 30, label: '30 days' }
+        ];
+
         console.log('💡 [InsightsPanel] Instance created (Migrated System)');
     }
 
     renderInsightsPanel() {
         return `
-<!-- AI-Generated Insights - Full Width -->
-<div class="mb-8">
-    <div class="glass-white rounded-2xl p-6">
-        <div class="flex items-center justify-between mb-6">
-            <h3 class="text-lg font-bold text-gray-800">AI-Generated Insights</h3>
-            <div class="w-8 h-8 bg-gradient-to-br from-indigo-500 to-purple-600 rounded-lg flex items-center justify-center">
-                <i data-feather="cpu" class="w-4 h-4 text-white"></i>
+<div class="bg-gradient-to-r from-blue-50 to-purple-50 rounded-xl p-6 border border-blue-100">
+    <div class="flex items-center justify-between mb-4">
+        <h3 class="text-lg font-bold text-gray-900">💡 Today's Insights</h3>
+        <button onclick="window.openInsightSettings()" class="text-xs text-gray-500 hover:text-gray-800" aria-label="Insight settings">⚙️ Settings</button>
+    </div>
+    <div id="insight-cards" aria-live="polite"></div>
+    <div id="insight-settings"></div>
+</div>`;
+    }
+
+    /**
+     * @param {Object} result - InsightsEngine.evaluate() output
+     * @param {Object} options - { runningKey } insight whose action is in flight
+     */
+    renderInsightCards({ insights = [], hidden = 0 } = {}, { runningKey = null } = {}) {
+        const restore = hidden > 0
+            ? `<button onclick="window.restoreInsights()" class="mt-3 text-xs text-gray-500 hover:text-gray-800">Show ${hidden} hidden insight${hidden === 1 ? '' : 's'}</button>`
+            : '';
+
+        if (insights.length === 0) {
+            return `<p class="text-gray-600">Nothing needs your attention right now.</p>${restore}`;
+        }
+
+        return `
+            <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                ${insights.map(insight => this.renderInsightCard(insight, insight.key === runningKey)).join('')}
             </div>
-        </div>
-        
-        <!-- Insights Grid Layout -->
-        <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
-            <!-- Insight 1 -->
-            <div class="p-4 bg-green-50 border border-green-200 rounded-xl">
-                <div class="flex items-start space-x-3">
-                    <i data-feather="trending-up" class="w-5 h-5 text-green-600 mt-0.5"></i>
-                    <div>
-                        <p class="text-sm font-medium text-gray-800">High Conversion Pattern</p>
-                        <p class="text-xs text-gray-600 mt-1">Leads with >10K followers have 20% higher response rate</p>
+            ${restore}
+        `;
+    }
+
+    renderInsightCard(insight, running = false) {
+        const key = window.OsliraValidationUtils.escapeHTML(insight.key);
+
+        return `
+            <div class="p-4 border rounded-xl flex flex-col ${this.typeStyles[insight.type] || this.typeStyles.info}" data-insight-key="${key}">
+                <div class="flex items-start space-x-3 flex-1">
+                    <span class="text-lg leading-none" aria-hidden="true">${insight.icon || '💡'}</span>
+                    <div class="min-w-0">
+                        <p class="text-sm font-medium text-gray-800">${window.OsliraValidationUtils.escapeHTML(insight.title)}</p>
+                        <p class="text-xs text-gray-600 mt-1">${window.OsliraValidationUtils.escapeHTML(insight.message)}</p>
                     </div>
                 </div>
-            </div>
-            
-            <!-- Insight 2 -->
-            <div class="p-4 bg-blue-50 border border-blue-200 rounded-xl">
-                <div class="flex items-start space-x-3">
-                    <i data-feather="clock" class="w-5 h-5 text-blue-600 mt-0.5"></i>
-                    <div>
-                        <p class="text-sm font-medium text-gray-800">Optimal Timing</p>
-                        <p class="text-xs text-gray-600 mt-1">Best time to contact: Weekday mornings 9-11 AM</p>
+                <div class="flex items-center justify-between gap-2 mt-3">
+                    ${insight.action ? `
+                        <button onclick="window.runInsightAction('${key}')" ${running ? 'disabled' : ''}
+                                class="px-3 py-1.5 text-xs font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+                            ${running ? 'Working…' : window.OsliraValidationUtils.escapeHTML(insight.action.label)}
+                        </button>
+                    ` : '<span></span>'}
+                    <div class="flex items-center gap-1 text-xs text-gray-500">
+                        <select onchange="if (this.value) window.snoozeInsight('${key}', Number(this.value))" aria-label="Snooze insight"
+                                class="bg-transparent border-0 text-xs text-gray-500 cursor-pointer hover:text-gray-800">
+                            <option value="">Snooze</option>
+                            ${this.snoozeOptions.map(option => `<option value="${option.days}">${option.label}</option>`).join('')}
+                        </select>
+                        <button onclick="window.dismissInsight('${key}')" class="px-1 hover:text-gray-800" title="Dismiss until this changes" aria-label="Dismiss insight">✕</button>
                     </div>
                 </div>
             </div>
-            
-            <!-- Insight 3 -->
-            <div class="p-4 bg-purple-50 border border-purple-200 rounded-xl">
-                <div class="flex items-start space-x-3">
-                    <i data-feather="users" class="w-5 h-5 text-purple-600 mt-0.5"></i>
-                    <div>
-                        <p class="text-sm font-medium text-gray-800">Platform Performance</p>
-                        <p class="text-xs text-gray-600 mt-1">LinkedIn leads convert 35% better than Twitter</p>
-                    </div>
+        `;
+    }
+
+    // =========================================================================
+    // RULE SETTINGS (per business)
+    // =========================================================================
+
+    renderSettings(rules, engine, settings = {}, error = null) {
+        return `
+            <form id="insight-settings-form" class="mt-6 p-4 bg-white border border-gray-200 rounded-xl space-y-4" onsubmit="event.preventDefault(); window.saveInsightSettings();" novalidate>
+                <div>
+                    <h4 class="text-sm font-semibold text-gray-900">Insight rules for this business</h4>
+                    <p class="text-xs text-gray-500">Thresholds apply to everyone on the business. Dismissed and snoozed insights are per user.</p>
                 </div>
-            </div>
-            
-            <!-- Insight 4 -->
-            <div class="p-4 bg-yellow-50 border border-yellow-200 rounded-xl">
-                <div class="flex items-start space-x-3">
-                    <i data-feather="alert-triangle" class="w-5 h-5 text-yellow-600 mt-0.5"></i>
-                    <div>
-                        <p class="text-sm font-medium text-gray-800">Nurturing Opportunity</p>
-                        <p class="text-xs text-gray-600 mt-1">5 low-score leads converted after follow-up</p>
-                    </div>
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    ${rules.map(rule => this.renderRuleSettings(rule, engine.resolveThresholds(rule, settings), engine.isRuleEnabled(rule, settings))).join('')}
                 </div>
-            </div>
-        </div>
-        
-        <!-- Performance Stats and AI Recommendation Row -->
-        <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
-            <!-- Weekly Performance -->
-            <div class="p-4 border border-gray-200 rounded-xl">
-                <h4 class="text-sm font-semibold text-gray-700 mb-3">This Week's Performance</h4>
-                <div class="space-y-2">
-                    <div class="flex justify-between items-center">
-                        <span class="text-xs text-gray-600">Response Rate</span>
-                        <span class="text-xs font-semibold text-green-600">↑ 6%</span>
-                    </div>
-                    <div class="flex justify-between items-center">
-                        <span class="text-xs text-gray-600">Avg Lead Score</span>
-                        <span class="text-xs font-semibold text-green-600">↑ 3.2</span>
-                    </div>
-                    <div class="flex justify-between items-center">
-                        <span class="text-xs text-gray-600">Conversion Rate</span>
-                        <span class="text-xs font-semibold text-yellow-600">→ 0%</span>
+                ${error ? `<p class="text-sm text-red-600" role="alert">${window.OsliraValidationUtils.escapeHTML(error)}</p>` : ''}
+                <div class="flex justify-between gap-2">
+                    <button type="button" onclick="window.resetInsightSettings()" class="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900">Reset to defaults</button>
+                    <div class="flex gap-2">
+                        <button type="button" onclick="window.closeInsightSettings()" class="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50">Cancel</button>
+                        <button type="submit" id="insight-settings-submit" class="px-3 py-1.5 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50">Save</button>
                     </div>
                 </div>
-            </div>
-            
-            <!-- AI Recommendation -->
-            <div class="p-4 bg-gradient-to-r from-indigo-500 to-purple-600 rounded-xl text-white">
-                <p class="text-sm font-semibold mb-2">💡 AI Recommendation</p>
-                <p class="text-sm">Focus on high-priority LinkedIn leads this week for maximum ROI. Data shows 35% better conversion rates compared to other platforms.</p>
-            </div>
-        </div>
-    </div>
-</div>`;
+            </form>
+        `;
+    }
+
+    renderRuleSettings(rule, thresholds, enabled) {
+        return `
+            <fieldset class="p-3 border border-gray-100 rounded-lg" data-insight-rule="${window.OsliraValidationUtils.escapeHTML(rule.id)}">
+                <legend class="px-1">
+                    <label class="flex items-center gap-2 text-sm font-medium text-gray-800">
+                        <input type="checkbox" data-insight-enabled ${enabled ? 'checked' : ''} class="w-4 h-4 text-indigo-600 border-gray-300 rounded">
+                        ${window.OsliraValidationUtils.escapeHTML(rule.label || rule.id)}
+                    </label>
+                </legend>
+                <div class="space-y-2 mt-1">
+                    ${Object.entries(rule.thresholds || {}).map(([key, definition]) => `
+                        <label class="flex items-center justify-between gap-3 text-xs text-gray-600">
+                            <span>${window.OsliraValidationUtils.escapeHTML(definition.label || key)}</span>
+                            <input type="number" data-insight-threshold="${key}" value="${thresholds[key]}"
+                                   ${definition.min != null ? `min="${definition.min}"` : ''} ${definition.max != null ? `max="${definition.max}"` : ''}
+                                   class="w-20 px-2 py-1 text-right border border-gray-200 rounded">
+                        </label>
+                    `).join('')}
+                </div>
+            </fieldset>
+        `;
     }
 
+    // =========================================================================
+    // UTILITIES
+    // =========================================================================
+
     updateInsights(insights) {
         // Update insights with real data when available
         console.log('📊 [InsightsPanel] Updating insights:', insights);
-        
+
         // Emit event for other components to respond
         if (this.eventBus) {
             this.eventBus.emit('insights:updated', { insights });
@@ -0,0 +1,152 @@
+// =============================================================================
+// LEAD ACTIVITY RENDERER - Pure HTML Generation
+// Path: /public/pages/app/dashboard/ui/components/LeadActivityRenderer.js
+// Dependencies: LeadActivityService (descriptions), LeadService (date formatting), ValidationUtils
+// =============================================================================
+
+/**
+ * @class LeadActivityRenderer
+ * @description Pure rendering for the lead modal's Activity tab - receives
+ * timeline items, returns HTML
+ *
+ * Rules:
+ * - NO business logic
+ * - NO state access (receives data as parameters)
+ * - NO API calls
+ * - Returns HTML strings only
+ */
+class LeadActivityRenderer {
+    constructor(activityService, leadService) {
+        this.activityService = activityService;
+        this.leadService = leadService;
+
+        // Full class names so Tailwind keeps them in the build
+        this.colorStyles = {
+            blue: 'bg-blue-100 text-blue-700',
+            indigo: 'bg-indigo-100 text-indigo-700',
+            purple: 'bg-purple-100 text-purple-700',
+            pink: 'bg-pink-100 text-pink-700',
+            amber: 'bg-amber-100 text-amber-700',
+            green: 'bg-green-100 text-green-700',
+            teal: 'bg-teal-100 text-teal-700',
+            slate: 'bg-slate-100 text-slate-700'
+        };
+
+        console.log('🎨 [LeadActivityRenderer] Initialized');
+    }
+
+    // =========================================================================
+    // TIMELINE
+    // =========================================================================
+
+    /**
+     * @param {Array} items - Newest-first timeline items
+     * @param {Object} options - { hasMore, isLoadingMore }
+     */
+    renderTimeline(items, { hasMore = false, isLoadingMore = false } = {}) {
+        if (items.length === 0) {
+            return this.renderEmpty();
+        }
+
+        const groups = this.activityService.groupByDay(items);
+
+        return `
+            <ol class="lead-activity-list space-y-6" aria-label="Lead activity">
+                ${groups.map(group => `
+                    <li>
+                        <h5 class="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-3">
+                            ${this.formatDay(group.key)}
+                        </h5>
+                        <ol class="relative border-l-2 border-gray-100 ml-3 space-y-4">
+                            ${group.items.map(item => this.renderItem(item)).join('')}
+                        </ol>
+                    </li>
+                `).join('')}
+            </ol>
+            ${hasMore ? `
+                <div class="text-center mt-6">
+                    <button onclick="loadMoreLeadActivity()" ${isLoadingMore ? 'disabled' : ''}
+                            class="px-4 py-2 text-sm font-medium text-indigo-600 bg-indigo-50 rounded-lg hover:bg-indigo-100 disabled:opacity-50">
+                        ${isLoadingMore ? 'Loading…' : 'Show older activity'}
+                    </button>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    renderItem(item) {
+        const meta = this.activityService.getTypeMeta(item.type);
+        const style = this.colorStyles[meta.color] || this.colorStyles.slate;
+        const description = this.activityService.describe(item);
+        const time = new Date(item.timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true });
+
+        return `
+            <li class="ml-6 ${item.isPending ? 'opacity-60' : ''}" data-activity-id="${window.OsliraValidationUtils.escapeHTML(item.id)}">
+                <span class="absolute -left-4 flex items-center justify-center w-8 h-8 rounded-full ring-4 ring-white ${style}" aria-hidden="true">
+                    ${meta.icon}
+                </span>
+                <div class="flex items-center justify-between">
+                    <p class="text-sm font-semibold text-gray-900">${meta.label}</p>
+                    <time class="text-xs text-gray-400" datetime="${item.timestamp}">${item.isPending ? 'Saving…' : time}</time>
+                </div>
+                ${item.type === 'note' ? `
+                    <p class="mt-1 text-sm text-gray-700 whitespace-pre-line bg-amber-50 border border-amber-100 rounded-lg p-3">${window.OsliraValidationUtils.escapeHTML(description)}</p>
+                ` : `
+                    <p class="mt-0.5 text-sm text-gray-600">${window.OsliraValidationUtils.escapeHTML(description)}</p>
+                `}
+                <p class="mt-1 text-xs text-gray-400">by ${window.OsliraValidationUtils.escapeHTML(item.actor?.name || 'Oslira')}</p>
+            </li>
+        `;
+    }
+
+    // =========================================================================
+    // STATES
+    // =========================================================================
+
+    renderLoading() {
+        return `
+            <div class="flex items-center justify-center py-12" role="status">
+                <div class="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+                <span class="sr-only">Loading activity</span>
+            </div>
+        `;
+    }
+
+    renderEmpty() {
+        return `
+            <div class="text-center py-12">
+                <p class="text-sm font-medium text-gray-700">No activity yet</p>
+                <p class="text-sm text-gray-500 mt-1">Notes, status moves and analysis runs will show up here.</p>
+            </div>
+        `;
+    }
+
+    renderError(message) {
+        return `
+            <div class="text-center py-12">
+                <p class="text-sm font-medium text-red-600">Could not load activity</p>
+                <p class="text-sm text-gray-500 mt-1">${window.OsliraValidationUtils.escapeHTML(message)}</p>
+                <button onclick="refreshLeadActivity()" class="mt-4 px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700">
+                    Try again
+                </button>
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // HELPERS
+    // =========================================================================
+
+    formatDay(dayKey) {
+        const formatted = this.leadService.formatDateProfessional(`${dayKey}T12:00:00`);
+        return formatted.date === 'Today' || formatted.date === 'Yesterday'
+            ? formatted.date
+            : new Date(`${dayKey}T12:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadActivityRenderer = LeadActivityRenderer;
+console.log('✅ [LeadActivityRenderer] Loaded');
@@ -0,0 +1,143 @@
+// =============================================================================
+// LEAD PIPELINE RENDERER - Pure HTML Generation
+// Path: /public/pages/app/dashboard/ui/components/LeadPipelineRenderer.js
+// Dependencies: LeadService (for formatting), ValidationUtils
+// =============================================================================
+
+/**
+ * @class LeadPipelineRenderer
+ * @description Pure rendering for the Kanban board - receives columns, returns HTML
+ *
+ * Rules:
+ * - NO business logic
+ * - NO state access (receives data as parameters)
+ * - NO API calls
+ * - Returns HTML strings only
+ */
+class LeadPipelineRenderer {
+    constructor(leadService) {
+        this.leadService = leadService;
+
+        // Full class names so Tailwind keeps them in the build
+        this.stageStyles = {
+            slate: { dot: 'bg-slate-400', header: 'border-slate-300', count: 'bg-slate-100 text-slate-700' },
+            blue: { dot: 'bg-blue-500', header: 'border-blue-300', count: 'bg-blue-100 text-blue-700' },
+            indigo: { dot: 'bg-indigo-500', header: 'border-indigo-300', count: 'bg-indigo-100 text-indigo-700' },
+            purple: { dot: 'bg-purple-500', header: 'border-purple-300', count: 'bg-purple-100 text-purple-700' },
+            green: { dot: 'bg-green-500', header: 'border-green-300', count: 'bg-green-100 text-green-700' },
+            red: { dot: 'bg-red-500', header: 'border-red-300', count: 'bg-red-100 text-red-700' }
+        };
+
+        console.log('🎨 [LeadPipelineRenderer] Initialized');
+    }
+
+    // =========================================================================
+    // BOARD
+    // =========================================================================
+
+    /**
+     * @param {boolean} canEdit - Cards are only draggable for roles that can edit leads
+     */
+    renderBoard(columns, pendingLeadIds = new Set(), canEdit = true) {
+        return `
+            <div class="pipeline-board flex space-x-4 overflow-x-auto p-6" role="list" aria-label="Lead pipeline">
+                ${columns.map(column => this.renderColumn(column, pendingLeadIds, canEdit)).join('')}
+            </div>
+        `;
+    }
+
+    renderColumn(column, pendingLeadIds, canEdit = true) {
+        const style = this.stageStyles[column.color] || this.stageStyles.slate;
+
+        return `
+            <div class="pipeline-column flex-shrink-0 w-72 flex flex-col bg-slate-50 rounded-xl"
+                 data-stage="${column.key}" role="listitem">
+                <div class="px-4 py-3 border-b-2 ${style.header}">
+                    <div class="flex items-center justify-between">
+                        <div class="flex items-center space-x-2">
+                            <span class="w-2.5 h-2.5 rounded-full ${style.dot}"></span>
+                            <h4 class="text-sm font-semibold text-slate-800">${window.OsliraValidationUtils.escapeHTML(column.label)}</h4>
+                        </div>
+                        <span class="px-2 py-0.5 text-xs font-semibold rounded-full ${style.count}">${column.count}</span>
+                    </div>
+                    <div class="text-xs text-slate-500 mt-1">
+                        ${column.averageScore !== null ? `Avg score ${column.averageScore}` : 'No scored leads'}
+                    </div>
+                </div>
+                <div class="pipeline-dropzone flex-1 p-3 space-y-2 min-h-[120px] transition-colors" data-stage="${column.key}">
+                    ${column.leads.length > 0
+                        ? column.leads.map(lead => this.renderCard(lead, pendingLeadIds.has(lead.id), canEdit)).join('')
+                        : '<div class="text-xs text-slate-400 text-center py-6">Drop leads here</div>'}
+                </div>
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // CARD
+    // =========================================================================
+
+    renderCard(lead, isPending = false, canEdit = true) {
+        const username = lead.username || 'unknown';
+        const score = lead.score || 0;
+        const scoreConfig = this.leadService.getScoreConfig(score);
+
+        return `
+            <div class="pipeline-card bg-white border border-slate-200 rounded-lg p-3 shadow-sm hover:shadow-md transition-all ${canEdit ? 'cursor-grab' : ''} ${isPending ? 'opacity-50' : ''}"
+                 draggable="${canEdit}" tabindex="0" data-lead-id="${lead.id}"
+                 aria-label="@${window.OsliraValidationUtils.escapeHTML(username)}, score ${score}">
+                <div class="flex items-center justify-between">
+                    <div class="flex items-center space-x-2 min-w-0">
+                        <div class="w-8 h-8 rounded-full bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center text-white text-sm font-bold flex-shrink-0">
+                            ${window.OsliraValidationUtils.escapeHTML(username.charAt(0).toUpperCase())}
+                        </div>
+                        <div class="min-w-0">
+                            <p class="text-sm font-semibold text-slate-900 truncate">@${window.OsliraValidationUtils.escapeHTML(username)}</p>
+                            ${lead.followers_count ? `<p class="text-xs text-slate-500">${this.leadService.formatNumber(lead.followers_count)} followers</p>` : ''}
+                        </div>
+                    </div>
+                    <span class="px-2 py-0.5 text-xs font-semibold rounded-full bg-gradient-to-r ${scoreConfig.gradient} text-white flex-shrink-0">${score}</span>
+                </div>
+                <button onclick="openLeadAnalysisModal('${lead.id}')"
+                        class="mt-2 text-xs font-medium text-blue-600 hover:text-blue-800">
+                    View analysis →
+                </button>
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // STAGE SETTINGS
+    // =========================================================================
+
+    renderStageSettings(stages) {
+        return `
+            <div class="p-4 space-y-2">
+                <p class="text-xs font-semibold text-slate-500 uppercase tracking-wider">Pipeline stages</p>
+                ${stages.map(stage => `
+                    <div class="flex items-center space-x-2">
+                        <input type="checkbox" data-stage-visible="${stage.key}" ${stage.visible ? 'checked' : ''}
+                               class="w-4 h-4 text-blue-600 border-gray-300 rounded">
+                        <input type="text" data-stage-label="${stage.key}" value="${window.OsliraValidationUtils.escapeHTML(stage.label)}" maxlength="24"
+                               class="flex-1 px-2 py-1 text-sm border border-gray-200 rounded focus:outline-none focus:ring-2 focus:ring-purple-500">
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderEmptyState() {
+        return `
+            <div class="px-6 py-12 text-center">
+                <h3 class="text-lg font-semibold text-gray-900">No leads in the pipeline</h3>
+                <p class="text-sm text-gray-500 mt-1">Analyze leads to start moving them through your stages.</p>
+            </div>
+        `;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadPipelineRenderer = LeadPipelineRenderer;
+console.log('✅ [LeadPipelineRenderer] Loaded');
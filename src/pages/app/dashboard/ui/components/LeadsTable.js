@@ -14,6 +14,15 @@ class LeadsTable {
         this.isExportDropdownOpen = false;
         this.hideTimeout = null;
         
+        // Current view controls (read by SavedViewsUseCase)
+        this.currentSort = 'date-desc';
+        this.currentPlatform = 'all';
+        this.hiddenColumns = [];
+        this.hideableColumns = new window.LeadViewState().columns;
+        
+        // Shared column catalogue / CSV formatting with the export dialog
+        this.exportService = new window.LeadExportService();
+        
         console.log('📊 [LeadsTable] Instance created (Migrated System)');
     }
 
@@ -30,6 +39,34 @@ class LeadsTable {
         <p class="text-sm text-gray-500 mt-1">Individual leads with AI-generated scores and status</p>
     </div>
     
+<div class="flex items-center space-x-3">
+<!-- Pipeline Stage Settings (board view only) -->
+<div class="relative">
+    <button id="pipeline-stages-btn" type="button" onclick="window.togglePipelineStageSettings()"
+            class="hidden px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors">
+        Stages
+    </button>
+    <div id="pipeline-stage-settings" class="hidden absolute right-0 mt-2 w-64 bg-white border border-gray-200 rounded-lg shadow-lg" style="z-index: 20;"></div>
+</div>
+
+<!-- Table / Board Toggle -->
+<div class="flex items-center p-1 bg-gray-100 rounded-lg" role="group" aria-label="Leads view">
+    <button type="button" data-leads-view="table" aria-pressed="true" onclick="window.setLeadsView('table')"
+            class="px-3 py-1.5 text-sm font-medium rounded-md transition-all bg-white shadow-sm text-gray-900">
+        Table
+    </button>
+    <button type="button" data-leads-view="board" aria-pressed="false" onclick="window.setLeadsView('board')"
+            class="px-3 py-1.5 text-sm font-medium rounded-md transition-all text-gray-500">
+        Board
+    </button>
+</div>
+
+<!-- Export Dialog (all leads matching the current filter by default) -->
+<button id="export-leads-btn" type="button" onclick="window.openExportModal('filter')"
+        class="px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors">
+    Export
+</button>
+
 <!-- Manual Refresh Button -->
 <button 
     id="manual-refresh-btn" 
@@ -45,6 +82,7 @@ class LeadsTable {
     </svg>
 </button>
 </div>
+</div>
 
 <!-- Filter Bar Below Header -->
 <div class="flex items-center space-x-3 pt-2">
@@ -60,10 +98,26 @@ class LeadsTable {
     
     <!-- Bulk Actions (Hidden by default, takes left space when shown) -->
     <div id="bulk-actions-bar" class="hidden flex items-center space-x-2 flex-shrink-0" style="transition: all 0.5s cubic-bezier(0.4, 0, 0.2, 1);">
-    <button id="delete-selected-btn" onclick="window.deleteSelectedLeads()" 
+    <button id="delete-selected-btn" data-permission="canDeleteLeads" onclick="window.deleteSelectedLeads()" 
             class="px-3 py-1.5 text-sm font-medium text-red-700 bg-white border border-red-200 rounded-lg hover:bg-red-50 transition-colors">
         Delete
     </button>
+    
+    <!-- Push to CRM (shown once a CRM is connected) -->
+    <button id="push-crm-btn" onclick="window.pushSelectedLeadsToCRM()" 
+            class="hidden px-3 py-1.5 text-sm font-medium text-indigo-700 bg-white border border-indigo-200 rounded-lg hover:bg-indigo-50 transition-colors">
+        Push to CRM
+    </button>
+    
+    <button id="add-campaign-btn" data-permission="canBulkEdit" onclick="window.addSelectedLeadsToCampaign()" 
+            class="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors">
+        Add to campaign
+    </button>
+    
+    <button id="apply-template-btn" data-permission="canBulkEdit" onclick="window.openMessageTemplates()" 
+            class="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors">
+        Apply template
+    </button>
                     
 
 <div class="relative z-50">
@@ -97,9 +151,12 @@ class LeadsTable {
             <button onclick="window.exportSelectedAsFormat('csv')" class="w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 rounded-t-lg">
                 Export as CSV
             </button>
-            <button onclick="window.exportSelectedAsFormat('json')" class="w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 rounded-b-lg">
+            <button onclick="window.exportSelectedAsFormat('json')" class="w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50">
                 Export as JSON
             </button>
+            <button onclick="window.openExportModal('selected')" class="w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 rounded-b-lg border-t border-gray-100">
+                More options…
+            </button>
         </div>
     </div>
 </div>
@@ -107,6 +164,22 @@ class LeadsTable {
 <!-- Right-side Filters - Always stay right -->
     <div class="flex items-center space-x-3" style="margin-left: auto;">
     
+                    <!-- Column Visibility -->
+                    <div class="relative">
+                        <button id="column-visibility-btn" type="button" onclick="window.toggleColumnVisibilityMenu()"
+                                class="px-3 py-2 bg-white border border-gray-200 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors">
+                            Columns
+                        </button>
+                        <div id="column-visibility-menu" class="hidden absolute right-0 mt-2 w-52 bg-white border border-gray-200 rounded-lg shadow-lg p-3 space-y-2" style="z-index: 20;">
+                            ${this.hideableColumns.map(column => `
+                                <label class="flex items-center space-x-2 text-sm text-gray-700 cursor-pointer">
+                                    <input type="checkbox" data-column-toggle="${column.key}" checked
+                                           class="w-4 h-4 text-blue-600 border-gray-300 rounded">
+                                    <span>${column.label}</span>
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
                     <!-- Platform Filter -->
                     <select id="platform-filter" class="px-3 py-2 bg-white border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500">
                         <option value="all">All Platforms</option>
@@ -132,12 +205,24 @@ class LeadsTable {
              <!-- Table will be dynamically created by lead-renderer.js -->
         </div>
         
+        <!-- Board Content - Kanban view rendered by LeadPipelineUseCase -->
+        <div class="leads-board-container hidden" style="position: relative; z-index: 1;"></div>
+        
         <!-- Table Footer with Pagination -->
-        <div class="p-4 border-t border-gray-100 bg-gray-50/50">
+        <div id="leads-table-footer" class="p-4 border-t border-gray-100 bg-gray-50/50">
             <div class="flex items-center justify-between">
-                <p class="text-sm text-gray-600">
-                    Showing <span class="font-medium" id="pagination-start">1-10</span> of <span class="font-medium" id="pagination-total">85</span> leads
-                </p>
+                <div class="flex items-center space-x-4">
+                    <p class="text-sm text-gray-600">
+                        Showing <span class="font-medium" id="pagination-start">1-10</span> of <span class="font-medium" id="pagination-total">85</span> leads
+                    </p>
+                    <select id="page-size-select" aria-label="Leads per page"
+                            class="px-2 py-1 bg-white border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500">
+                        <option value="10">10 / page</option>
+                        <option value="25">25 / page</option>
+                        <option value="50">50 / page</option>
+                        <option value="100">100 / page</option>
+                    </select>
+                </div>
                 <div class="flex items-center space-x-2" id="pagination-controls">
                     <!-- Pagination buttons will be rendered here -->
                 </div>
@@ -221,9 +306,17 @@ class LeadsTable {
             platformFilter.addEventListener('change', (e) => {
                 const platformValue = e.target.value.toLowerCase();
                 const platform = platformValue === 'all platforms' ? 'all' : platformValue;
+                this.currentPlatform = platform;
                 
                 console.log('🔍 [LeadsTable] Platform filter changed:', platform);
                 
+                // Server-side paging: let the backend filter
+                if (window.leadPagination?.isServerMode()) {
+                    window.leadPagination.setQuery({ platform });
+                    this.eventBus.emit('leads:view-changed', { platform });
+                    return;
+                }
+                
                 // Get current leads
                 const allLeads = this.stateManager.getState('leads') || [];
                 
@@ -247,6 +340,7 @@ class LeadsTable {
                 }
                 
                 console.log(`✅ [LeadsTable] Platform filter applied: ${filteredLeads.length} leads`);
+                this.eventBus.emit('leads:view-changed', { platform });
             });
         }
         
@@ -261,14 +355,100 @@ class LeadsTable {
                 const leads = this.stateManager.getState('filteredLeads') || this.stateManager.getState('leads') || [];
                 
                 this.applySorting(leads, sortValue);
+                this.eventBus.emit('leads:view-changed', { sort: sortValue });
             });
         }
         
+        // Page size handler
+        const pageSizeSelect = document.getElementById('page-size-select');
+        if (pageSizeSelect) {
+            pageSizeSelect.addEventListener('change', (e) => {
+                const pageSize = parseInt(e.target.value, 10);
+                window.leadRenderer?.setPageSize(pageSize);
+                this.eventBus.emit('leads:view-changed', { pageSize });
+            });
+        }
+        
+        // Column visibility handlers
+        window.toggleColumnVisibilityMenu = () => {
+            document.getElementById('column-visibility-menu')?.classList.toggle('hidden');
+        };
+        
+        const columnMenu = document.getElementById('column-visibility-menu');
+        if (columnMenu) {
+            columnMenu.addEventListener('change', () => {
+                const hidden = Array.from(columnMenu.querySelectorAll('[data-column-toggle]'))
+                    .filter(input => !input.checked)
+                    .map(input => input.dataset.columnToggle);
+                
+                this.setHiddenColumns(hidden);
+                this.eventBus.emit('leads:view-changed', { hiddenColumns: hidden });
+            });
+        }
+        
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#column-visibility-btn') && !e.target.closest('#column-visibility-menu')) {
+                document.getElementById('column-visibility-menu')?.classList.add('hidden');
+            }
+        });
+        
         console.log('✅ [LeadsTable] Filter handlers attached');
     }
 
+    /**
+     * Sync the sort / platform selects without triggering their change handlers
+     */
+    setViewControls({ sort, platform } = {}) {
+        if (sort) {
+            this.currentSort = sort;
+            const sortFilter = document.getElementById('sort-filter');
+            if (sortFilter) sortFilter.value = sort;
+        }
+        
+        if (platform) {
+            this.currentPlatform = platform;
+            const platformFilter = document.getElementById('platform-filter');
+            if (platformFilter) platformFilter.value = platform;
+        }
+        
+        const pageSizeSelect = document.getElementById('page-size-select');
+        if (pageSizeSelect && window.leadRenderer) {
+            pageSizeSelect.value = String(window.leadRenderer.leadsPerPage);
+        }
+    }
+
+    /**
+     * Hide table columns by key via a single injected stylesheet,
+     * so re-rendered rows pick it up without touching the renderer
+     */
+    setHiddenColumns(columnKeys = []) {
+        this.hiddenColumns = [...columnKeys];
+        
+        let style = document.getElementById('leads-column-visibility');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'leads-column-visibility';
+            document.head.appendChild(style);
+        }
+        
+        style.textContent = this.hiddenColumns
+            .map(key => `.leads-table-container [data-column="${key}"] { display: none; }`)
+            .join('\n');
+        
+        document.querySelectorAll('#column-visibility-menu [data-column-toggle]').forEach(input => {
+            input.checked = !this.hiddenColumns.includes(input.dataset.columnToggle);
+        });
+    }
+
     applySorting(leads, sortValue) {
         const [sortBy, sortOrder] = sortValue.split('-');
+        this.currentSort = sortValue;
+        
+        // Server-side paging: the backend sorts across all pages, not just the loaded one
+        if (window.leadPagination?.isServerMode()) {
+            window.leadPagination.setQuery({ sort: sortValue });
+            return;
+        }
         let sortedLeads = [...leads];
         
         // Use global LeadRenderer for sorting
@@ -362,8 +542,8 @@ class LeadsTable {
         };
 
         window.scheduleReport = () => {
-            console.log('📅 Opening scheduled report settings...');
-            alert('Scheduled reports feature coming soon!');
+            // Reports are built and scheduled on the analytics page
+            window.location.href = `${window.OsliraEnv.getAppUrl('/analytics')}?report=new`;
         };
 
         // Close dropdown when clicking outside
@@ -396,52 +576,10 @@ class LeadsTable {
             return;
         }
 
-        // Define CSV headers
-        const headers = [
-            'Username',
-            'Full Name',
-            'Platform',
-            'Followers Count',
-            'Following Count',
-            'Posts Count',
-            'Overall Score',
-            'Niche Fit Score',
-            'Engagement Score',
-            'Analysis Type',
-            'Bio',
-            'External URL',
-            'Is Verified',
-            'Is Business Account',
-            'Profile URL',
-            'Date Added',
-            'Summary'
-        ];
-
-        // Convert leads to CSV rows
-        const csvRows = leads.map(lead => [
-            this.escapeCSV(lead.username || ''),
-            this.escapeCSV(lead.full_name || lead.display_name || ''),
-            this.escapeCSV(lead.platform || ''),
-            lead.followers_count || lead.follower_count || 0,
-            lead.following_count || 0,
-            lead.posts_count || lead.post_count || 0,
-            lead.score || lead.overall_score || 0,
-            lead.niche_fit_score || 0,
-            lead.engagement_score || 0,
-            this.escapeCSV(lead.analysis_type || ''),
-            this.escapeCSV(lead.bio || lead.bio_text || ''),
-            this.escapeCSV(lead.external_url || lead.external_website_url || ''),
-            lead.is_verified || lead.is_verified_account || false,
-            lead.is_business_account || false,
-            this.escapeCSV(lead.profile_url || ''),
-            this.formatDate(lead.created_at || lead.first_discovered_at),
-            this.escapeCSV(lead.quick_summary || lead.summary_text || '')
-        ]);
-
-        // Combine headers and rows
-        const csvContent = [headers, ...csvRows]
-            .map(row => row.join(','))
-            .join('\n');
+        // Same default columns as the export dialog
+        const csvContent = this.exportService.toCSV(
+            this.exportService.buildTable(leads, this.exportService.getDefaultColumnKeys())
+        );
 
         // Create and download file
         const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -471,27 +609,6 @@ class LeadsTable {
         }
     }
 
-    escapeCSV(value) {
-        if (typeof value !== 'string') return value;
-        
-        // Escape quotes and wrap in quotes if contains comma, quote, or newline
-        if (value.includes('"') || value.includes(',') || value.includes('\n')) {
-            return '"' + value.replace(/"/g, '""') + '"';
-        }
-        return value;
-    }
-
-    formatDate(dateString) {
-        if (!dateString) return '';
-        
-        try {
-            const date = new Date(dateString);
-            return date.toISOString().slice(0, 10); // YYYY-MM-DD format
-        } catch (error) {
-            return dateString;
-        }
-    }
-
     showExportNotification(count, type) {
         // Create temporary notification
         const notification = document.createElement('div');
@@ -542,18 +659,16 @@ class LeadsTable {
         
         // Toggle all leads selection
         window.toggleAllLeadSelections = (isChecked) => {
-            const leads = this.stateManager.getState('filteredLeads') || this.stateManager.getState('leads') || [];
+            const leads = window.leadPagination?.isServerMode()
+                ? this.stateManager.getState('visibleLeads') || []
+                : this.stateManager.getState('filteredLeads') || this.stateManager.getState('leads') || [];
             const selectedLeads = new Set();
             
             if (isChecked) {
                 leads.forEach(lead => selectedLeads.add(lead.id));
             }
             
-            // Update all checkboxes
-            document.querySelectorAll('.lead-checkbox').forEach(checkbox => {
-                checkbox.checked = isChecked;
-            });
-            
+            // Row checkboxes follow state - LeadDisplayUseCase patches only the rows in the virtual window
             this.stateManager.setState('selectedLeads', selectedLeads);
             this.updateBulkActionsBar(selectedLeads.size);
             
@@ -703,6 +818,9 @@ class LeadsTable {
             this.hideTimeout = null;
         }
         
+        this.updatePushToCRMButton(count);
+        this.updateRoleActions();
+        
         if (count > 0) {
             // Hide filter button
             if (filterBtn) {
@@ -743,6 +861,32 @@ class LeadsTable {
         }
     }
 
+    updatePushToCRMButton(count) {
+        const pushButton = document.getElementById('push-crm-btn');
+        if (!pushButton) return;
+        
+        const crmLabel = window.crmSync?.getDefaultConnectionLabel?.();
+        pushButton.classList.toggle('hidden', !crmLabel || !this.canPerform('canBulkEdit'));
+        
+        if (crmLabel) {
+            pushButton.textContent = `Push ${count > 1 ? `${count} ` : ''}to ${crmLabel}`;
+        }
+    }
+
+    /**
+     * Hide bulk actions the user's role in the selected workspace doesn't allow
+     */
+    updateRoleActions() {
+        document.querySelectorAll('#bulk-actions-bar [data-permission]').forEach(button => {
+            button.classList.toggle('hidden', !this.canPerform(button.dataset.permission));
+        });
+    }
+
+    canPerform(action) {
+        const userService = window.OsliraUserService;
+        return !userService || userService.canPerformAction(action);
+    }
+
     updateBulkActionsToolbar(count) {
         const toolbar = document.getElementById('bulk-actions-toolbar');
         const selectionCount = document.getElementById('selection-count');
@@ -789,18 +933,9 @@ class LeadsTable {
     }
 
     convertToCSV(leads) {
-        const headers = ['Username', 'Full Name', 'Platform', 'Score', 'Followers', 'Analysis Type', 'Date Added'];
-        const rows = leads.map(lead => [
-            lead.username || '',
-            lead.full_name || lead.display_name || '',
-            lead.platform || 'instagram',
-            lead.score || 0,
-            lead.followers_count || lead.follower_count || 0,
-            lead.analysis_type || '',
-            this.formatDate(lead.created_at || lead.first_discovered_at)
-        ]);
-        
-        return [headers, ...rows].map(row => row.join(',')).join('\n');
+        return this.exportService.toCSV(
+            this.exportService.buildTable(leads, ['username', 'full_name', 'platform', 'score', 'followers', 'analysis_type', 'date_added'])
+        );
     }
 
     downloadJSON(leads) {
@@ -25,21 +25,55 @@ class LeadsTableRenderer {
     // =========================================================================
     
     render(leads, selectedLeads, renderCache, dateFormatCache) {
-        return leads.map(lead => {
-            // Check cache first
-            const cacheKey = `${lead.id}-${lead.updated_at || lead.created_at}`;
-            if (renderCache.has(cacheKey)) {
-                return renderCache.get(cacheKey);
-            }
-            
-            // Generate card HTML
-            const html = this.createLeadCard(lead, selectedLeads, dateFormatCache);
-            
-            // Store in cache
-            renderCache.set(cacheKey, html);
-            
-            return html;
-        }).join('');
+        return leads.map(lead => this.renderRow(lead, selectedLeads, renderCache, dateFormatCache)).join('');
+    }
+    
+    /**
+     * Single row HTML, cached by its signature
+     */
+    renderRow(lead, selectedLeads, renderCache, dateFormatCache) {
+        const isSelected = selectedLeads instanceof Set ? selectedLeads.has(lead.id) : false;
+        const cacheKey = this.getRowSignature(lead, isSelected);
+        
+        // Check cache first
+        if (renderCache.has(cacheKey)) {
+            return renderCache.get(cacheKey);
+        }
+        
+        // Generate card HTML
+        const html = this.createLeadCard(lead, selectedLeads, dateFormatCache);
+        
+        // Store in cache
+        renderCache.set(cacheKey, html);
+        
+        return html;
+    }
+    
+    /**
+     * Everything a row's HTML depends on - equal signatures mean the DOM row can be reused
+     */
+    getRowSignature(lead, isSelected) {
+        return [
+            lead.id,
+            lead.updated_at || lead.created_at,
+            lead.score || 0,
+            lead.analysis_type,
+            lead.platform,
+            lead.status,
+            lead.crm_sync ? `${lead.crm_sync.status}@${lead.crm_sync.synced_at}` : '',
+            isSelected ? 1 : 0
+        ].join('|');
+    }
+    
+    /**
+     * Placeholder row that keeps the scroll height of rows outside the virtual window
+     */
+    renderSpacerRow(position, height) {
+        return `
+            <tr data-spacer="${position}" aria-hidden="true">
+                <td colspan="7" style="height: ${height}px; padding: 0; border: 0;"></td>
+            </tr>
+        `;
     }
     
     // =========================================================================
@@ -67,7 +101,7 @@ class LeadsTableRenderer {
         
         return `
             <tr class="table-row hover:bg-gray-50 transition-all duration-200 ${isSelected ? 'bg-blue-50' : ''}" 
-                data-lead-id="${lead.id}">
+                data-lead-id="${lead.id}" data-row-signature="${this.getRowSignature(lead, isSelected)}">
                 
                 <!-- Checkbox -->
                 <td class="pl-6 pr-2 py-4 border-r border-slate-100/60 text-center" style="width: 50px;">
@@ -84,7 +118,7 @@ class LeadsTableRenderer {
                 </td>
                 
                 <!-- Platform -->
-                <td class="px-6 py-4 border-r border-slate-100/60" style="width: 160px;">
+                <td class="px-6 py-4 border-r border-slate-100/60" data-column="platform" style="width: 160px;">
                     <div class="flex items-center justify-center">
                         <div class="relative platform-hover-group">
                             <div class="absolute -inset-0.5 bg-gradient-to-r ${platformConfig.gradient} rounded-lg blur opacity-0 transition duration-300"></div>
@@ -101,12 +135,12 @@ class LeadsTableRenderer {
                 </td>
                 
                 <!-- Intelligence Score -->
-                <td class="px-6 py-4 border-r border-slate-100/60" style="width: 240px;">
+                <td class="px-6 py-4 border-r border-slate-100/60" data-column="score" style="width: 240px;">
                     ${this.renderScoreDisplay(score, scoreConfig)}
                 </td>
                 
                 <!-- Analysis Type -->
-                <td class="px-6 py-4 border-r border-slate-100/60" style="width: 180px;">
+                <td class="px-6 py-4 border-r border-slate-100/60" data-column="analysis" style="width: 180px;">
                     <div class="flex items-center justify-center">
                         <div class="relative analysis-hover-group">
                             <div class="absolute -inset-0.5 bg-gradient-to-r ${analysisConfig.gradient} rounded-lg blur opacity-0 transition duration-300"></div>
@@ -123,7 +157,7 @@ class LeadsTableRenderer {
                 </td>
                 
                 <!-- Date -->
-                <td class="px-6 py-4 border-r border-slate-100/60" style="width: 140px;">
+                <td class="px-6 py-4 border-r border-slate-100/60" data-column="date" style="width: 140px;">
                     <div class="text-center">
                         <div class="text-sm text-slate-900">${formattedDate.date}</div>
                         <div class="text-xs text-slate-500">${formattedDate.time}</div>
@@ -183,6 +217,7 @@ class LeadsTableRenderer {
                         <p class="text-sm font-semibold text-slate-900 truncate" title="@${username}">@${username}</p>
                         ${lead.account_type === 'business' ? 
                             '<span class="inline-flex items-center px-1.5 py-0.5 bg-orange-100 text-orange-700 text-xs font-medium rounded-md border border-orange-200 flex-shrink-0">Business</span>' : ''}
+                        ${this.renderCrmSyncBadge(lead.crm_sync)}
                     </div>
                     ${fullName ? `<div class="text-sm text-slate-600 truncate mb-0.5" title="${fullName}">${fullName}</div>` : ''}
                     ${lead.followers_count ? `<div class="text-xs text-slate-500">${this.leadService.formatNumber(lead.followers_count)} followers</div>` : ''}
@@ -191,6 +226,18 @@ class LeadsTableRenderer {
         `;
     }
     
+    /**
+     * CRM sync state attached by CRMSyncUseCase (crm_sync)
+     */
+    renderCrmSyncBadge(sync) {
+        if (!sync) return '';
+        
+        const title = String(sync.title || '').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+        const label = String(sync.label || '').replace(/</g, '&lt;');
+        
+        return `<span class="inline-flex items-center px-1.5 py-0.5 text-xs font-medium rounded-md border flex-shrink-0 ${sync.className}" title="${title}">${label}</span>`;
+    }
+    
     // =========================================================================
     // SCORE DISPLAY
     // =========================================================================
@@ -305,10 +352,10 @@ class LeadsTableRenderer {
                                    onchange="window.toggleAllLeadSelections && window.toggleAllLeadSelections(this.checked)">
                         </th>
                         <th class="pl-6 pr-6 py-4 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider border-r border-slate-200/40" style="width: 280px;">Lead Profile</th>
-                        <th class="px-6 py-4 text-center text-xs font-semibold text-slate-600 uppercase tracking-wider border-r border-slate-200/40" style="width: 160px;">Platform</th>
-                        <th class="px-6 py-4 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider border-r border-slate-200/40" style="width: 240px;">Intelligence Score</th>
-                        <th class="px-6 py-4 text-center text-xs font-semibold text-slate-600 uppercase tracking-wider border-r border-slate-200/40" style="width: 180px;">Analysis Type</th>
-                        <th class="px-6 py-4 text-center text-xs font-semibold text-slate-600 uppercase tracking-wider border-r border-slate-200/40" style="width: 140px;">Date Updated</th>
+                        <th class="px-6 py-4 text-center text-xs font-semibold text-slate-600 uppercase tracking-wider border-r border-slate-200/40" data-column="platform" style="width: 160px;">Platform</th>
+                        <th class="px-6 py-4 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider border-r border-slate-200/40" data-column="score" style="width: 240px;">Intelligence Score</th>
+                        <th class="px-6 py-4 text-center text-xs font-semibold text-slate-600 uppercase tracking-wider border-r border-slate-200/40" data-column="analysis" style="width: 180px;">Analysis Type</th>
+                        <th class="px-6 py-4 text-center text-xs font-semibold text-slate-600 uppercase tracking-wider border-r border-slate-200/40" data-column="date" style="width: 140px;">Date Updated</th>
                         <th class="px-6 py-4 text-center text-xs font-semibold text-slate-600 uppercase tracking-wider" style="width: 140px;">Actions</th>
                     </tr>
                 </thead>
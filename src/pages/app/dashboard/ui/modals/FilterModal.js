@@ -22,14 +22,25 @@ class FilterModal {
 
     getDefaultFilters() {
         return {
-            score: { enabled: false, operator: 'above', value: 50 },
+            score: { enabled: false, operator: 'above', value: 50, max: 100 },
             date: { enabled: false, operator: 'before', value: this.getTodayDate() },
             platform: { enabled: false, value: 'all' },
             analysisType: { enabled: false, value: 'all' },
-            followerCount: { enabled: false, operator: 'above', value: 1000 }
+            followerCount: { enabled: false, operator: 'above', value: 1000 },
+            status: { enabled: false, value: 'all' }
         };
     }
 
+    /**
+     * Pipeline stages for the status filter (default labels - the board's
+     * per-business labels are not loaded when the modal renders)
+     */
+    getStatusOptions() {
+        return window.LeadPipelineService
+            ? new window.LeadPipelineService().resolveStages()
+            : [];
+    }
+
     getTodayDate() {
         return new Date().toISOString().split('T')[0];
     }
@@ -81,27 +92,37 @@ class FilterModal {
         }
     }
 
-    applyFilters() {
-        const allLeads = this.stateManager.getState('leads') || [];
-        let filteredLeads = [...allLeads];
-        let activeFilters = [];
+    /**
+     * Apply a filter object to a list of leads without touching state
+     * @returns {Object} { leads, labels }
+     */
+    filterLeads(leads, filters = this.filters) {
+        const defaults = this.getDefaultFilters();
+        const active = {};
+        Object.keys(defaults).forEach(category => {
+            active[category] = { ...defaults[category], ...(filters[category] || {}) };
+        });
+
+        let filteredLeads = [...(leads || [])];
+        const labels = [];
 
         // Score filter
-        if (this.filters.score.enabled) {
-            const { operator, value } = this.filters.score;
+        if (active.score.enabled) {
+            const { operator, value, max } = active.score;
             filteredLeads = filteredLeads.filter(lead => {
                 const score = lead.score || 0;
                 if (operator === 'above') return score > value;
                 if (operator === 'below') return score < value;
                 if (operator === 'equals') return score === value;
+                if (operator === 'between') return score >= value && score <= max;
                 return true;
             });
-            activeFilters.push(`Score ${operator} ${value}`);
+            labels.push(operator === 'between' ? `Score ${value}-${max}` : `Score ${operator} ${value}`);
         }
 
         // Date filter
-        if (this.filters.date.enabled) {
-            const { operator, value } = this.filters.date;
+        if (active.date.enabled) {
+            const { operator, value } = active.date;
             const filterDate = new Date(value);
             filteredLeads = filteredLeads.filter(lead => {
                 const leadDate = new Date(lead.created_at || lead.scraped_at || Date.now());
@@ -110,28 +131,28 @@ class FilterModal {
                 if (operator === 'on') return leadDate.toDateString() === filterDate.toDateString();
                 return true;
             });
-            activeFilters.push(`Date ${operator} ${value}`);
+            labels.push(`Date ${operator} ${value}`);
         }
 
         // Platform filter
-        if (this.filters.platform.enabled && this.filters.platform.value !== 'all') {
+        if (active.platform.enabled && active.platform.value !== 'all') {
             filteredLeads = filteredLeads.filter(lead => 
-                (lead.platform || '').toLowerCase() === this.filters.platform.value.toLowerCase()
+                (lead.platform || '').toLowerCase() === active.platform.value.toLowerCase()
             );
-            activeFilters.push(`Platform: ${this.filters.platform.value}`);
+            labels.push(`Platform: ${active.platform.value}`);
         }
 
         // Analysis type filter
-        if (this.filters.analysisType.enabled && this.filters.analysisType.value !== 'all') {
+        if (active.analysisType.enabled && active.analysisType.value !== 'all') {
             filteredLeads = filteredLeads.filter(lead => 
-                (lead.analysis_type || 'quick') === this.filters.analysisType.value
+                (lead.analysis_type || 'quick') === active.analysisType.value
             );
-            activeFilters.push(`Analysis: ${this.filters.analysisType.value}`);
+            labels.push(`Analysis: ${active.analysisType.value}`);
         }
 
         // Follower count filter
-        if (this.filters.followerCount.enabled) {
-            const { operator, value } = this.filters.followerCount;
+        if (active.followerCount.enabled) {
+            const { operator, value } = active.followerCount;
             filteredLeads = filteredLeads.filter(lead => {
                 const followers = lead.followers_count || 0;
                 if (operator === 'above') return followers > value;
@@ -139,9 +160,45 @@ class FilterModal {
                 if (operator === 'equals') return followers === value;
                 return true;
             });
-            activeFilters.push(`Followers ${operator} ${value}`);
+            labels.push(`Followers ${operator} ${value}`);
         }
 
+        // Pipeline status filter
+        if (active.status.enabled && active.status.value !== 'all') {
+            filteredLeads = filteredLeads.filter(lead => (lead.status || 'new') === active.status.value);
+            labels.push(`Status: ${active.status.value}`);
+        }
+
+        return { leads: filteredLeads, labels };
+    }
+
+    getFilters() {
+        return JSON.parse(JSON.stringify(this.filters));
+    }
+
+    /**
+     * Load a saved filter object (e.g. from a saved view) into the modal
+     */
+    setFilters(filters = {}) {
+        const defaults = this.getDefaultFilters();
+        Object.keys(defaults).forEach(category => {
+            defaults[category] = { ...defaults[category], ...(filters[category] || {}) };
+        });
+
+        this.filters = defaults;
+        this.updateModalUI();
+    }
+
+    applyFilters() {
+        // Server-side paging: filter on the backend instead of the loaded leads
+        if (window.leadPagination?.isServerMode()) {
+            this.applyServerFilters();
+            return;
+        }
+        
+        const allLeads = this.stateManager.getState('leads') || [];
+        const { leads: filteredLeads, labels: activeFilters } = this.filterLeads(allLeads);
+
         // Auto-select filtered leads
         const selectedLeads = new Set(filteredLeads.map(lead => lead.id));
         this.stateManager.setState('selectedLeads', selectedLeads);
@@ -171,13 +228,38 @@ class FilterModal {
         if (this.eventBus) {
             this.eventBus.emit('filter:applied', {
                 count: selectedLeads.size,
-                filters: activeFilters
+                filters: activeFilters,
+                filterState: this.getFilters()
             });
         }
 
         console.log(`✅ [FilterModal] Applied filters: ${selectedLeads.size} leads selected`);
     }
 
+    async applyServerFilters() {
+        const { labels: activeFilters } = this.filterLeads([]);
+        
+        this.closeModal();
+        await window.leadPagination.setQuery({ filters: this.getFilters() });
+        
+        const total = window.leadPagination.total;
+        const message = activeFilters.length > 0
+            ? `${total !== null ? `${total} leads` : 'Leads'} matching: ${activeFilters.join(', ')}`
+            : 'Showing all leads';
+        
+        this.showNotification(message, 'success');
+        
+        if (this.eventBus) {
+            this.eventBus.emit('filter:applied', {
+                count: total,
+                filters: activeFilters,
+                filterState: this.getFilters()
+            });
+        }
+        
+        console.log(`✅ [FilterModal] Applied server filters: ${activeFilters.join(', ') || 'none'}`);
+    }
+
     resetFilters() {
         this.filters = this.getDefaultFilters();
         this.updateModalUI();
@@ -196,6 +278,7 @@ class FilterModal {
             'filter-score-enabled': this.filters.score.enabled,
             'filter-score-operator': this.filters.score.operator,
             'filter-score-value': this.filters.score.value,
+            'filter-score-max': this.filters.score.max,
             'filter-date-enabled': this.filters.date.enabled,
             'filter-date-operator': this.filters.date.operator,
             'filter-date-value': this.filters.date.value,
@@ -205,7 +288,9 @@ class FilterModal {
             'filter-analysis-value': this.filters.analysisType.value,
             'filter-followers-enabled': this.filters.followerCount.enabled,
             'filter-followers-operator': this.filters.followerCount.operator,
-            'filter-followers-value': this.filters.followerCount.value
+            'filter-followers-value': this.filters.followerCount.value,
+            'filter-status-enabled': this.filters.status.enabled,
+            'filter-status-value': this.filters.status.value
         };
 
         Object.entries(elements).forEach(([id, value]) => {
@@ -218,6 +303,11 @@ class FilterModal {
                 element.value = value;
             }
         });
+
+        const scoreDisplay = document.getElementById('score-display');
+        if (scoreDisplay) scoreDisplay.textContent = this.filters.score.value;
+
+        document.getElementById('filter-score-max')?.classList.toggle('hidden', this.filters.score.operator !== 'between');
     }
 
     showNotification(message, type = 'info') {
@@ -285,10 +375,11 @@ class FilterModal {
                     </label>
                 </div>
                 <div class="flex items-center space-x-3">
-                    <select id="filter-score-operator" class="px-4 py-2 bg-white border border-yellow-300 rounded-xl text-sm focus:ring-2 focus:ring-yellow-500 focus:border-transparent" onchange="window.updateFilterState('score', 'operator', this.value)">
+                    <select id="filter-score-operator" class="px-4 py-2 bg-white border border-yellow-300 rounded-xl text-sm focus:ring-2 focus:ring-yellow-500 focus:border-transparent" onchange="window.updateFilterState('score', 'operator', this.value); document.getElementById('filter-score-max').classList.toggle('hidden', this.value !== 'between')">
                         <option value="above">Above</option>
                         <option value="below">Below</option>
                         <option value="equals">Equals</option>
+                        <option value="between">Between</option>
                     </select>
                     <div class="relative flex-1">
                         <input type="range" id="filter-score-value" min="0" max="100" value="50" class="w-full h-2 bg-yellow-200 rounded-lg appearance-none cursor-pointer accent-yellow-500" oninput="window.updateFilterState('score', 'value', parseInt(this.value)); document.getElementById('score-display').textContent = this.value">
@@ -298,8 +389,9 @@ class FilterModal {
                             <span>100</span>
                         </div>
                     </div>
+                    <input type="number" id="filter-score-max" value="100" min="0" max="100" aria-label="Maximum score" class="hidden w-20 px-3 py-2 bg-white border border-yellow-300 rounded-xl text-sm focus:ring-2 focus:ring-yellow-500 focus:border-transparent" onchange="window.updateFilterState('score', 'max', parseInt(this.value))">
                 </div>
-                <p class="text-sm text-gray-600 mt-3 italic">Select leads whose score is above, below, or equal to your specified value</p>
+                <p class="text-sm text-gray-600 mt-3 italic">Select leads whose score is above, below, equal to or between your specified values</p>
             </div>
 
             <!-- Date Filter -->
@@ -381,6 +473,29 @@ class FilterModal {
                 <p class="text-sm text-gray-600 mt-3 italic">Filter by the depth of analysis performed</p>
             </div>
 
+            <!-- Pipeline Status Filter -->
+            <div class="mb-6 p-5 bg-gradient-to-br from-slate-50 to-gray-50 rounded-2xl border border-slate-200">
+                <div class="flex items-center justify-between mb-4">
+                    <div class="flex items-center space-x-3">
+                        <div class="w-10 h-10 bg-slate-500 rounded-xl flex items-center justify-center">
+                            <svg class="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2"/>
+                            </svg>
+                        </div>
+                        <h3 class="text-lg font-bold text-gray-900">Pipeline Status</h3>
+                    </div>
+                    <label class="relative inline-flex items-center cursor-pointer">
+                        <input type="checkbox" id="filter-status-enabled" class="sr-only peer" onchange="window.updateFilterState('status', 'enabled', this.checked)">
+                        <div class="w-11 h-6 bg-gray-300 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-slate-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-slate-500"></div>
+                    </label>
+                </div>
+                <select id="filter-status-value" class="w-full px-4 py-2 bg-white border border-slate-300 rounded-xl text-sm focus:ring-2 focus:ring-slate-500 focus:border-transparent" onchange="window.updateFilterState('status', 'value', this.value)">
+                    <option value="all">All Statuses</option>
+                    ${this.getStatusOptions().map(stage => `<option value="${stage.key}">${stage.label}</option>`).join('')}
+                </select>
+                <p class="text-sm text-gray-600 mt-3 italic">Filter by the lead's pipeline stage</p>
+            </div>
+
             <!-- Follower Count Filter -->
             <div class="mb-6 p-5 bg-gradient-to-br from-red-50 to-rose-50 rounded-2xl border border-red-200">
                 <div class="flex items-center justify-between mb-4">
@@ -74,7 +74,7 @@ class ModalBuilder {
                 <div class="relative ${isPremium ? 'premium-modal-glow' : ''}" style="animation: staggerReveal 0.6s ease-out;">
                     ${modalContent}
                 </div>
-                ${this.renderFooter()}
+                ${this.renderFooter(lead)}
             </div>
         `;
 
@@ -176,10 +176,12 @@ class ModalBuilder {
     // FOOTER RENDERING
     // ===============================================================================
     
-    renderFooter() {
+    renderFooter(lead = null) {
         return `
             <div class="p-6 border-t border-gray-200 bg-gray-50">
-                <div class="flex justify-end space-x-3">
+                <div class="flex justify-end items-center space-x-3">
+                    ${this.renderCrmPushAction(lead)}
+                    ${this.renderCampaignAction(lead)}
                     <button onclick="closeLeadAnalysisModal()" 
                             class="px-6 py-3 bg-gradient-to-r from-gray-500 to-gray-600 text-white rounded-xl font-semibold shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-300 interactive-button">
                         Close
@@ -189,6 +191,54 @@ class ModalBuilder {
         `;
     }
 
+    /**
+     * One-click push to the business's default CRM connection (CRMSyncUseCase)
+     */
+    renderCrmPushAction(lead) {
+        const crmLabel = window.crmSync?.getDefaultConnectionLabel?.();
+        const leadId = lead?.id || lead?.lead_id;
+        if (!crmLabel || !leadId) return '';
+        
+        const sync = window.crmSync.getLeads([leadId])[0]?.crm_sync;
+        
+        return `
+            <div id="lead-crm-push" data-lead-id="${leadId}" class="flex items-center space-x-3 mr-auto">
+                <button onclick="window.pushLeadToCRM('${leadId}')" 
+                        class="px-5 py-3 bg-white border border-indigo-200 text-indigo-700 rounded-xl font-semibold hover:bg-indigo-50 transition-colors disabled:opacity-50">
+                    ${sync ? `Update in ${crmLabel}` : `Push to ${crmLabel}`}
+                </button>
+                <span data-crm-status class="text-sm text-gray-500">${String(sync?.title || '').replace(/&/g, '&amp;').replace(/</g, '&lt;')}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Add the lead to an outreach campaign (CampaignAssignUseCase)
+     */
+    renderCampaignAction(lead) {
+        const leadId = lead?.id || lead?.lead_id;
+        if (!window.campaignAssign || !leadId) return '';
+        
+        return `
+            <button onclick="window.addLeadToCampaign('${leadId}')" 
+                    class="px-5 py-3 bg-white border border-gray-200 text-gray-700 rounded-xl font-semibold hover:bg-gray-50 transition-colors">
+                Add to campaign
+            </button>
+        `;
+    }
+
+    /**
+     * Hide lead actions the user's role in the selected workspace doesn't allow
+     */
+    applyRolePermissions(container) {
+        const userService = window.OsliraUserService;
+        if (!userService || !container) return;
+        
+        container.querySelectorAll('[data-permission]').forEach(element => {
+            element.classList.toggle('hidden', !userService.canPerformAction(element.dataset.permission));
+        });
+    }
+
     // ===============================================================================
     // CONTENT WRAPPER METHODS
     // ===============================================================================
@@ -380,6 +430,7 @@ window.loadLeadAnalysisData = async (leadId, container) => {
         // Render
         container.innerHTML = modalHTML;
         container.style.opacity = '1';
+        modalBuilder.applyRolePermissions(container);
         
         console.log('✅ [Global] Analysis loaded successfully');
         
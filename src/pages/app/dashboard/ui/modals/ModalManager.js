@@ -14,6 +14,8 @@ class ModalManager {
         // Modal state
         this.activeModals = new Set();
         this.bulkUsernames = [];
+        this.importParser = new window.LeadImportParser();
+        this.preflight = new window.BulkPreflight();
         
         console.log('🚀 [ModalManager] Initialized (Migrated System)');
     }
@@ -470,11 +472,8 @@ class ModalManager {
                 return;
             }
             
-            // Read file content
-            const content = await this.readFileAsText(file);
-            
-            // Parse usernames
-            const usernames = this.parseUsernamesFromContent(content, file.type);
+            // Parse usernames (CSV / TSV / TXT / XLSX)
+            const usernames = await this.importParser.parseUsernamesFromFile(file);
             
             if (usernames.length === 0) {
                 throw new Error('No valid usernames found in file');
@@ -503,7 +502,8 @@ class ModalManager {
     
     validateFile(file) {
         const maxSize = 5 * 1024 * 1024; // 5MB
-        const allowedTypes = ['text/csv', 'text/plain', 'application/vnd.ms-excel'];
+        const allowedTypes = ['text/csv', 'text/plain', 'text/tab-separated-values', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'];
+        const allowedExtensions = ['.csv', '.tsv', '.txt', '.xlsx'];
         
         if (file.size > maxSize) {
             if (window.OsliraApp) {
@@ -512,9 +512,9 @@ class ModalManager {
             return false;
         }
         
-        if (!allowedTypes.includes(file.type) && !file.name.endsWith('.csv') && !file.name.endsWith('.txt')) {
+        if (!allowedTypes.includes(file.type) && !allowedExtensions.some(ext => file.name.toLowerCase().endsWith(ext))) {
             if (window.OsliraApp) {
-                window.OsliraApp.showMessage('Please upload a CSV or TXT file.', 'error');
+                window.OsliraApp.showMessage('Please upload a CSV, TSV, TXT or XLSX file.', 'error');
             }
             return false;
         }
@@ -522,43 +522,9 @@ class ModalManager {
         return true;
     }
     
-    readFileAsText(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            
-            reader.onload = (e) => {
-                resolve(e.target.result);
-            };
-            
-            reader.onerror = () => {
-                reject(new Error('Failed to read file'));
-            };
-            
-            reader.readAsText(file);
-        });
-    }
-    
-    parseUsernamesFromContent(content, fileType) {
-        let lines = [];
-        
-        if (fileType === 'text/csv' || content.includes(',')) {
-            // Parse as CSV
-            lines = content.split('\n').map(line => {
-                // Take first column if CSV, otherwise whole line
-                return line.split(',')[0];
-            });
-        } else {
-            // Parse as plain text
-            lines = content.split('\n');
-        }
-        
-        // Clean and validate usernames
-        const usernames = lines
-            .map(line => this.cleanUsername(line))
-            .filter(username => username && this.isValidUsername(username))
-            .filter((username, index, arr) => arr.indexOf(username) === index); // Remove duplicates
-        
-        return usernames;
+    parseUsernamesFromContent(content) {
+        // Single import pipeline shared with BulkModal / AnalysisFunctions / BulkUpload
+        return this.importParser.parseUsernames(content);
     }
     
     cleanUsername(input) {
@@ -656,7 +622,7 @@ class ModalManager {
     calculateBulkCreditCost() {
         const analysisType = document.getElementById('bulk-analysis-type')?.value;
         const usernameCount = this.bulkUsernames?.length || 0;
-        const costPerAnalysis = analysisType === 'deep' ? 2 : 1;
+        const costPerAnalysis = this.preflight.getCostPerLead(analysisType);
         
         return usernameCount * costPerAnalysis;
     }
@@ -832,6 +798,13 @@ class ModalManager {
     editMessage(leadId) {
         console.log('✏️ [ModalManager] Editing message for lead:', leadId);
         
+        try {
+            window.LeadManager.assertCanEditLeads();
+        } catch (error) {
+            window.OsliraApp?.showMessage?.(error.message, 'error');
+            return;
+        }
+        
         const messageElement = document.querySelector(`[data-lead-id="${leadId}"] .outreach-message`);
         if (!messageElement) return;
         
@@ -853,6 +826,11 @@ class ModalManager {
             <button class="btn btn-secondary btn-small" onclick="window.ModalManager.cancelEditMessage('${leadId}')">
                 Cancel
             </button>
+            ${window.messageTemplates ? `
+            <button class="btn btn-secondary btn-small" onclick="window.openMessageTemplates('${leadId}')">
+                Use template
+            </button>
+            ` : ''}
         `;
         
         // Replace message content with editor
@@ -0,0 +1,60 @@
+// ===============================================================================
+// MODAL COMPONENTS - ACTIVITY
+// Lead timeline tab shared by every analysis type
+// ===============================================================================
+
+// Extends ModalComponents from core
+// Timeline items are loaded by LeadActivityUseCase when the tab is opened
+
+(async function() {
+
+    window._modalComponentExtensions = window._modalComponentExtensions || [];
+
+window._modalComponentExtensions.push(function() {
+
+this.registerComponent('activityTimeline', {
+    render: (lead, analysisData) => {
+        const leadId = lead.id || lead.lead_id;
+
+        return `
+            <div class="rounded-3xl bg-white p-8 shadow-2xl border border-gray-200/60 stagger-reveal" style="animation-delay: 0.1s;"
+                 id="lead-activity-panel" data-lead-id="${leadId}">
+                <div class="flex items-center justify-between mb-6">
+                    <div class="flex items-center space-x-4">
+                        <div class="p-4 bg-gradient-to-br from-slate-600 to-indigo-600 rounded-3xl shadow-xl">
+                            <svg class="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"/>
+                            </svg>
+                        </div>
+                        <h3 class="text-2xl font-bold bg-gradient-to-r from-slate-700 to-indigo-600 bg-clip-text text-transparent">Activity</h3>
+                    </div>
+                    <button onclick="reanalyzeLeadFromActivity('${leadId}')" id="lead-activity-reanalyze" data-permission="canSpendCredits"
+                            class="px-4 py-2 text-sm font-semibold text-indigo-700 bg-indigo-50 rounded-xl hover:bg-indigo-100 transition-colors disabled:opacity-50">
+                        Re-analyze
+                    </button>
+                </div>
+
+                <form onsubmit="event.preventDefault(); submitLeadNote('${leadId}')" data-permission="canEditLeads" class="mb-8">
+                    <label for="lead-note-input" class="sr-only">Add a note</label>
+                    <textarea id="lead-note-input" rows="3" maxlength="2000"
+                              placeholder="Add a note for your team…"
+                              class="w-full px-4 py-3 text-sm border border-gray-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent resize-none"></textarea>
+                    <div class="flex items-center justify-between mt-2">
+                        <p id="lead-note-error" class="text-xs text-red-600" role="alert"></p>
+                        <button type="submit" id="lead-note-submit"
+                                class="px-4 py-2 text-sm font-semibold text-white bg-gradient-to-r from-indigo-600 to-purple-600 rounded-xl shadow hover:shadow-lg transition-all disabled:opacity-50">
+                            Add note
+                        </button>
+                    </div>
+                </form>
+
+                <div id="lead-activity-timeline" aria-live="polite">
+                    <p class="text-sm text-gray-500 text-center py-8">Loading activity…</p>
+                </div>
+            </div>
+        `;
+    }
+});
+
+}); // Close extension function
+})();
@@ -182,7 +182,10 @@ return isDeepAnalysis ?
           }));
 
 if (tabs.length > 0) {
-    const tabSystem = window.TabSystem.create('modalContent', tabs, tabs[0].id);
+    // Tabs that load lazily (e.g. Activity) listen for this
+    const tabSystem = window.TabSystem.create('modalContent', tabs, tabs[0].id, (tabId, previousTabId) => {
+      window.OsliraEventBus?.emit('modal:tab-changed', { tabId, previousTabId, lead, analysisData });
+    });
         console.log('✅ [ModalComponents] Tab system initialized');
       }
     }
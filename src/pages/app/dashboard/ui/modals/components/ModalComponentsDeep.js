@@ -74,6 +74,12 @@ this.registerComponent('outreachMessage', {
                             </div>
                             <h3 class="text-2xl font-bold bg-gradient-to-r from-purple-600 to-pink-600 bg-clip-text text-transparent">Ready-to-Send Message</h3>
                         </div>
+                        <div class="flex items-center space-x-3">
+                        ${window.messageTemplates ? `
+                        <button onclick="window.openMessageTemplates('${lead.id}')" data-permission="canEditLeads" class="px-4 py-3 text-sm font-semibold text-purple-700 bg-white/80 border border-purple-200 rounded-2xl hover:bg-white transition-colors">
+                            Use template
+                        </button>
+                        ` : ''}
                         <!-- Keep your existing copy button styling -->
                         <button onclick="copyOutreachMessage()" class="group/btn relative overflow-hidden px-6 py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-2xl font-semibold shadow-xl hover:shadow-2xl transform hover:scale-105 transition-all duration-300 shimmer-effect">
                             <span class="relative z-10 flex items-center space-x-2">
@@ -83,6 +89,7 @@ this.registerComponent('outreachMessage', {
                                 <span>Copy Message</span>
                             </span>
                         </button>
+                        </div>
                     </div>
                     <div class="bg-white/90 backdrop-blur-sm rounded-2xl p-6 border-2 border-purple-200/50 shadow-inner">
                         <p class="text-gray-700 leading-relaxed text-lg font-light" id="outreachMessage">${outreachMessage}</p>
@@ -27,6 +27,13 @@ this.configs.set('light', {
             components: [
                 'personalityLockedLight'  // Show the locked card instead
             ]
+        },
+        {
+            id: 'activity',
+            label: 'Activity',
+            components: [
+                'activityTimeline'
+            ]
         }
     ]
 });
@@ -68,6 +75,13 @@ this.configs.set('deep', {
                 'communicationStyle',
                 'motivationDrivers'
             ]
+        },
+        {
+            id: 'activity',
+            label: 'Activity',
+            components: [
+                'activityTimeline'
+            ]
         }
     ]
 });
@@ -108,6 +122,13 @@ this.configs.set('xray', {
                 'communicationStyle',
                 'motivationDrivers'
             ]
+        },
+        {
+            id: 'activity',
+            label: 'Activity',
+            components: [
+                'activityTimeline'
+            ]
         }
     ]
 });
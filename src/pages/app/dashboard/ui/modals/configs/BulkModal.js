@@ -2,7 +2,7 @@
 
 /**
  * BULK MODAL - Migrated to New System (No Container)
- * Handles bulk CSV upload and analysis
+ * Handles bulk CSV / TSV / XLSX upload, column mapping, pre-flight review and analysis
  */
 class BulkModal {
     constructor() {
@@ -15,6 +15,19 @@ class BulkModal {
         this.parsedData = [];
         this.duplicateCount = 0;
         this.analysisType = 'light';
+        this.maxLeads = 50;
+        
+        // Import pipeline state (shared parser with the other upload entry points)
+        this.importParser = new window.LeadImportParser();
+        this.importData = null;
+        this.columnMapping = null;
+        this.importRecords = [];
+        this.invalidRows = [];
+        this.duplicateRows = [];
+        
+        // Pre-flight review (existing leads, invalid handles, duplicates, exact cost)
+        this.preflight = new window.BulkPreflight();
+        this.reviewReport = null;
         
         // Get real credits from user state
         this.currentCredits = this.getUserCredits();
@@ -49,11 +62,11 @@ renderBulkModal() {
                     </svg>
                 </button>
             </div>
-            <p class="text-gray-600">Upload a CSV with Instagram usernames to analyze multiple leads</p>
+            <p class="text-gray-600">Upload a CSV, TSV or Excel file with Instagram usernames or profile URLs to analyze multiple leads</p>
         </div>
 
         <!-- Content -->
-        <div class="px-8 pb-8 space-y-6">
+        <div id="bulk-upload-step" class="px-8 pb-8 space-y-6">
             
             <!-- Error Messages -->
             <div id="error-message" class="hidden p-4 bg-red-50 border border-red-200 rounded-xl">
@@ -70,8 +83,8 @@ renderBulkModal() {
             
             <!-- CSV Upload Section -->
             <div>
-                <label class="block text-sm font-medium text-gray-700 mb-3">Upload CSV File</label>
-                <input type="file" id="csvFile" accept=".csv" class="hidden">
+                <label class="block text-sm font-medium text-gray-700 mb-3">Upload File</label>
+                <input type="file" id="csvFile" accept=".csv,.tsv,.txt,.xlsx" class="hidden">
                 
                 <div id="csv-drop-zone" class="border-2 border-dashed border-gray-300 rounded-xl p-6 text-center hover:border-orange-400 transition-colors cursor-pointer">
                     <!-- Drop Placeholder - Initially Visible -->
@@ -79,7 +92,7 @@ renderBulkModal() {
                         <svg class="w-12 h-12 text-gray-400 mx-auto mb-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"/>
                         </svg>
-                        <div class="text-sm text-gray-600">Drop your CSV here</div>
+                        <div class="text-sm text-gray-600">Drop your CSV, TSV or XLSX here</div>
                         <div class="text-xs text-gray-500 mt-1">or click to browse</div>
                     </div>
                     
@@ -122,6 +135,9 @@ renderBulkModal() {
                 </div>
             </div>
             
+            <!-- Column Mapping - shown for files with more than one column -->
+            <div id="column-mapping" class="hidden"></div>
+            
             <!-- Analysis Type Selection -->
             <div>
                 <label class="block text-sm font-medium text-gray-700 mb-3">Analysis Type</label>
@@ -182,11 +198,17 @@ renderBulkModal() {
             
         </div>
         
+        <!-- Pre-flight Review - replaces the upload step before credits are spent -->
+        <div id="bulk-review-step" class="hidden px-8 pb-8"></div>
+        
         <!-- Footer -->
         <div class="px-8 pb-8 flex space-x-3">
             <button onclick="window.closeBulkModal()" class="flex-1 px-4 py-3 bg-gray-100 text-gray-700 font-medium rounded-xl hover:bg-gray-200 transition-colors">
                 Cancel
             </button>
+            <button id="bulk-back-btn" onclick="window.backToBulkUpload(event)" class="hidden flex-1 px-4 py-3 bg-gray-100 text-gray-700 font-medium rounded-xl hover:bg-gray-200 transition-colors">
+                Back
+            </button>
             <button id="bulk-submit-btn" onclick="window.submitBulkAnalysis(event)" disabled class="flex-1 px-4 py-3 bg-gray-400 text-white font-medium rounded-xl cursor-not-allowed">
                 Upload File First
             </button>
@@ -265,7 +287,16 @@ renderBulkModal() {
     
     window.submitBulkAnalysis = (event) => {
         event.preventDefault();
-        self.processBulkAnalysis();
+        if (self.reviewReport) {
+            self.processBulkAnalysis();
+        } else {
+            self.openReviewStep();
+        }
+    };
+    
+    window.backToBulkUpload = (event) => {
+        event.preventDefault();
+        self.closeReviewStep();
     };
     
     window.removeUploadedFile = (event) => {
@@ -278,87 +309,158 @@ renderBulkModal() {
     console.log('✅ [BulkModal] Event handlers attached');
 }
 
-    isValidUsername(username) {
-        const cleanUsername = username.replace(/^@/, '');
+    // ===============================================================================
+    // FILE IMPORT
+    // ===============================================================================
+
+    handleFileSelect(event) {
+        const file = event.target?.files?.[0];
+        if (!file) return;
+        
+        this.parseImportFile(file);
+    }
+
+    async parseImportFile(file) {
+        this.hideValidationBars();
         
-        if (cleanUsername.length === 0 || cleanUsername.length > 30) {
-            return false;
+        try {
+            const parsed = await this.importParser.parseFile(file);
+            
+            if (parsed.rows.length === 0) {
+                throw new Error('No rows found below the header');
+            }
+            
+            this.uploadedFile = file;
+            this.importData = parsed;
+            this.columnMapping = { ...parsed.mapping };
+            
+            if (parsed.headers.length > 1) {
+                this.renderColumnMapping();
+            } else {
+                this.hideColumnMapping();
+            }
+            
+            this.applyColumnMapping();
+            
+        } catch (error) {
+            console.error('❌ [BulkModal] File parsing failed:', error);
+            this.showValidationError('File processing failed', error.message);
+            this.resetFileInput();
         }
+    }
+
+    renderColumnMapping() {
+        const container = document.getElementById('column-mapping');
+        if (!container || !this.importData) return;
+        
+        const fields = [
+            { key: 'username', label: 'Instagram username / URL', required: true },
+            { key: 'notes', label: 'Notes' },
+            { key: 'tags', label: 'Tags' },
+            { key: 'source', label: 'Source' }
+        ];
+        
+        const sampleRow = this.importData.rows[0] || [];
+        
+        const options = (selectedIndex, required) => `
+            ${required ? '' : `<option value="" ${selectedIndex === null ? 'selected' : ''}>Don't import</option>`}
+            ${this.importData.headers.map((header, index) => `
+                <option value="${index}" ${selectedIndex === index ? 'selected' : ''}>
+                    ${window.OsliraValidationUtils.escapeHTML(header)}${sampleRow[index] ? ` — e.g. ${window.OsliraValidationUtils.escapeHTML(String(sampleRow[index]).slice(0, 24))}` : ''}
+                </option>
+            `).join('')}
+        `;
+        
+        container.innerHTML = `
+            <label class="block text-sm font-medium text-gray-700 mb-1">Map Columns</label>
+            <p class="text-xs text-gray-500 mb-3">
+                ${this.importData.hasHeader ? 'Header row detected.' : 'No header row detected - columns are numbered.'}
+                Choose which column holds each field.
+            </p>
+            <div class="space-y-2">
+                ${fields.map(field => `
+                    <div class="flex items-center justify-between space-x-3">
+                        <span class="text-sm text-gray-700 w-44 flex-shrink-0">
+                            ${field.label}${field.required ? ' <span class="text-red-500">*</span>' : ''}
+                        </span>
+                        <select data-mapping-field="${field.key}" class="flex-1 min-w-0 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:border-orange-400 focus:outline-none">
+                            ${options(this.columnMapping[field.key], field.required)}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        
+        container.querySelectorAll('select[data-mapping-field]').forEach(select => {
+            select.addEventListener('change', (e) => {
+                const value = e.target.value;
+                this.columnMapping[e.target.dataset.mappingField] = value === '' ? null : parseInt(value, 10);
+                this.applyColumnMapping();
+            });
+        });
         
-        const validCharsRegex = /^[a-zA-Z0-9._]+$/;
-        if (!validCharsRegex.test(cleanUsername)) {
-            return false;
+        container.classList.remove('hidden');
+    }
+
+    hideColumnMapping() {
+        const container = document.getElementById('column-mapping');
+        if (container) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
         }
+    }
+
+    applyColumnMapping() {
+        if (!this.importData) return;
         
-        if (cleanUsername.startsWith('.') || cleanUsername.endsWith('.') || cleanUsername.includes('..')) {
-            return false;
+        this.hideValidationBars();
+        
+        const { records, invalidRows, duplicateRows, duplicateCount } = this.importParser.buildRecords(this.importData, this.columnMapping);
+        
+        this.importRecords = records;
+        this.invalidRows = invalidRows;
+        this.duplicateRows = duplicateRows;
+        this.duplicateCount = duplicateCount;
+        this.parsedData = records.map(record => record.username);
+        
+        if (records.length === 0) {
+            this.showValidationError(
+                'No valid usernames found',
+                'Check that the username column contains Instagram handles or profile URLs.'
+            );
+            this.setSubmitDisabled('Upload File First');
+            return;
         }
         
-        return true;
+        if (records.length > this.maxLeads) {
+            this.showValidationError(
+                'Too many leads!',
+                `Maximum ${this.maxLeads} allowed, your file has ${records.length}. Please reduce your list.`
+            );
+            this.setSubmitDisabled(`Maximum ${this.maxLeads} Leads`);
+            return;
+        }
+        
+        this.displayUploadedFile(this.uploadedFile.name, records.length);
+        this.showValidationSuccess(records.length);
+        this.updateCostDisplay();
     }
 
-    parseCSVFile(file) {
-        this.hideValidationBars();
+    setSubmitDisabled(label) {
+        const submitBtn = document.getElementById('bulk-submit-btn');
+        if (!submitBtn) return;
         
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const csv = e.target.result;
-                const lines = csv.split('\n')
-                    .map(line => line.trim())
-                    .filter(line => line.length > 0);
-                
-                const invalidLines = lines.filter(line => {
-                    return line.includes(',') || line.includes('\t') || line.includes(';');
-                });
-                
-                if (invalidLines.length > 0) {
-                    this.showValidationError(
-                        'Invalid CSV format',
-                        'File should contain only usernames, one per line, no columns or separators.'
-                    );
-                    this.resetFileInput();
-                    return;
-                }
-                
-                const usernames = lines.map(line => line.replace(/^@/, '').trim());
-                
-                const invalidUsernames = usernames.filter(username => !this.isValidUsername(username));
-                if (invalidUsernames.length > 0) {
-                    this.showValidationError(
-                        'Invalid usernames detected',
-                        `${invalidUsernames.slice(0, 3).join(', ')}${invalidUsernames.length > 3 ? '...' : ''}. Only alphanumeric characters, periods, and underscores allowed.`
-                    );
-                    this.resetFileInput();
-                    return;
-                }
-                
-                if (usernames.length > 50) {
-                    this.showValidationError(
-                        'Too many leads!',
-                        `Maximum 50 allowed, you uploaded ${usernames.length}. Please reduce your list.`
-                    );
-                    this.resetFileInput();
-                    return;
-                }
-                
-                const uniqueUsernames = [...new Set(usernames)];
-                this.duplicateCount = usernames.length - uniqueUsernames.length;
-                
-                this.parsedData = uniqueUsernames;
-                this.uploadedFile = file;
-                
-                this.displayUploadedFile(file.name, uniqueUsernames.length);
-                this.showValidationSuccess(uniqueUsernames.length);
-                this.updateCostDisplay();
-                
-            } catch (error) {
-                console.error('❌ [BulkModal] CSV parsing failed:', error);
-                this.showValidationError('File processing failed', error.message);
-                this.resetFileInput();
-            }
-        };
-        reader.readAsText(file);
+        submitBtn.disabled = true;
+        submitBtn.textContent = label;
+        submitBtn.classList.add('bg-gray-400');
+        submitBtn.classList.remove('bg-gradient-to-r', 'from-orange-500', 'to-red-600');
+        
+        const calculationEl = document.getElementById('credit-calculation');
+        if (calculationEl) calculationEl.classList.add('hidden');
+    }
+
+    hasImportMetadata(leads) {
+        return leads.some(lead => lead.notes || lead.tags.length > 0 || lead.source);
     }
 
     displayUploadedFile(filename, count) {
@@ -419,7 +521,14 @@ renderBulkModal() {
         const successMessage = document.getElementById('success-message');
         
         if (successBar) successBar.classList.remove('hidden');
-        if (successMessage) successMessage.textContent = `${count} valid username${count !== 1 ? 's' : ''} found`;
+        if (successMessage) {
+            let message = `${count} valid username${count !== 1 ? 's' : ''} found`;
+            if (this.invalidRows.length > 0) {
+                const rowNumbers = this.invalidRows.slice(0, 5).map(row => row.rowNumber).join(', ');
+                message += ` · ${this.invalidRows.length} row${this.invalidRows.length !== 1 ? 's' : ''} skipped (row ${rowNumbers}${this.invalidRows.length > 5 ? '...' : ''})`;
+            }
+            successMessage.textContent = message;
+        }
     }
 
     showValidationError(title, details) {
@@ -447,6 +556,7 @@ renderBulkModal() {
         this.uploadedFile = null;
         this.parsedData = [];
         this.duplicateCount = 0;
+        this.resetImportState();
         
         const dropPlaceholder = document.getElementById('drop-placeholder');
         const fileDisplay = document.getElementById('file-display');
@@ -461,7 +571,17 @@ renderBulkModal() {
             fileDisplay.classList.add('hidden');
         }
         
-        this.updateCostDisplay();
+        this.setSubmitDisabled('Upload File First');
+    }
+
+    resetImportState() {
+        this.importData = null;
+        this.columnMapping = null;
+        this.importRecords = [];
+        this.invalidRows = [];
+        this.duplicateRows = [];
+        this.hideColumnMapping();
+        this.closeReviewStep();
     }
 
     showError(message) {
@@ -484,7 +604,7 @@ renderBulkModal() {
     updateCostDisplay() {
         if (this.parsedData.length === 0) return;
 
-        const costPerLead = this.analysisType === 'xray' ? 3 : (this.analysisType === 'deep' ? 2 : 1);
+        const costPerLead = this.preflight.getCostPerLead(this.analysisType);
         const totalCost = this.parsedData.length * costPerLead;
         const creditsAfter = this.currentCredits - totalCost;
 
@@ -511,7 +631,174 @@ renderBulkModal() {
             submitBtn.classList.remove('bg-gradient-to-r', 'from-orange-500', 'to-red-600');
         } else if (submitBtn && this.parsedData.length > 0) {
             submitBtn.disabled = false;
-            submitBtn.textContent = `Analyze ${this.parsedData.length} Profiles`;
+            submitBtn.textContent = `Review ${this.parsedData.length} Profiles`;
+            submitBtn.classList.remove('bg-gray-400');
+            submitBtn.classList.add('bg-gradient-to-r', 'from-orange-500', 'to-red-600');
+        }
+    }
+
+    // ===============================================================================
+    // PRE-FLIGHT REVIEW
+    // ===============================================================================
+
+    async openReviewStep() {
+        const businessId = this.stateManager?.getState('selectedBusiness')?.id;
+        
+        if (!businessId) {
+            this.showValidationError('No business profile selected', 'Please select a business profile');
+            return;
+        }
+        
+        this.setSubmitDisabled('Checking leads...');
+        
+        try {
+            this.reviewReport = await this.preflight.buildReport({
+                records: this.importRecords,
+                invalidRows: this.invalidRows,
+                duplicateRows: this.duplicateRows
+            }, businessId);
+        } catch (error) {
+            console.error('❌ [BulkModal] Pre-flight check failed:', error);
+            this.showValidationError('Pre-flight check failed', error.message);
+            this.updateCostDisplay();
+            return;
+        }
+        
+        document.getElementById('bulk-upload-step')?.classList.add('hidden');
+        document.getElementById('bulk-review-step')?.classList.remove('hidden');
+        document.getElementById('bulk-back-btn')?.classList.remove('hidden');
+        
+        this.renderReviewStep();
+    }
+
+    closeReviewStep() {
+        this.reviewReport = null;
+        
+        const reviewStep = document.getElementById('bulk-review-step');
+        if (reviewStep) {
+            reviewStep.innerHTML = '';
+            reviewStep.classList.add('hidden');
+        }
+        document.getElementById('bulk-upload-step')?.classList.remove('hidden');
+        document.getElementById('bulk-back-btn')?.classList.add('hidden');
+        
+        this.updateCostDisplay();
+    }
+
+    renderReviewStep() {
+        const container = document.getElementById('bulk-review-step');
+        if (!container || !this.reviewReport) return;
+        
+        const statusBadges = {
+            new: { label: 'New', className: 'bg-green-100 text-green-700' },
+            existing: { label: 'Existing', className: 'bg-amber-100 text-amber-700' },
+            invalid: { label: 'Invalid', className: 'bg-red-100 text-red-700' },
+            duplicate: { label: 'Duplicate', className: 'bg-gray-200 text-gray-600' }
+        };
+        
+        const summary = this.preflight.summarize(this.reviewReport);
+        
+        container.innerHTML = `
+            <div class="space-y-4">
+                <div class="grid grid-cols-4 gap-2 text-center">
+                    ${['new', 'existing', 'invalid', 'duplicate'].map(status => `
+                        <div class="p-2 rounded-xl ${statusBadges[status].className}">
+                            <div class="text-lg font-bold">${summary[status]}</div>
+                            <div class="text-xs">${statusBadges[status].label}</div>
+                        </div>
+                    `).join('')}
+                </div>
+                
+                ${this.reviewReport.existingCheck === 'unavailable' ? `
+                    <div class="p-3 text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded-xl">
+                        Some usernames could not be checked against your existing leads.
+                    </div>
+                ` : ''}
+                
+                ${summary.existing > 0 ? `
+                    <div class="flex items-center justify-between text-xs text-gray-600">
+                        <span>${summary.existing} already in your leads for this business</span>
+                        <span class="space-x-2">
+                            <button data-review-action="include-existing" class="font-medium text-orange-600 hover:underline">Re-analyze all</button>
+                            <button data-review-action="exclude-existing" class="font-medium text-gray-600 hover:underline">Skip all</button>
+                        </span>
+                    </div>
+                ` : ''}
+                
+                <div class="max-h-64 overflow-y-auto border border-gray-200 rounded-xl divide-y divide-gray-100">
+                    ${this.reviewReport.rows.map(row => `
+                        <label class="flex items-center px-3 py-2 space-x-3 ${row.locked ? 'opacity-60' : 'cursor-pointer hover:bg-gray-50'}">
+                            <input type="checkbox" data-review-row="${row.rowNumber}" ${row.included ? 'checked' : ''} ${row.locked ? 'disabled' : ''} class="rounded text-orange-500">
+                            <span class="w-10 text-xs text-gray-400">#${row.rowNumber}</span>
+                            <span class="flex-1 min-w-0">
+                                <span class="block text-sm font-medium text-gray-800 truncate">${row.status === 'invalid' ? window.OsliraValidationUtils.escapeHTML(row.username || '(empty)') : `@${window.OsliraValidationUtils.escapeHTML(row.username)}`}</span>
+                                ${row.reason ? `<span class="block text-xs text-gray-500 truncate">${window.OsliraValidationUtils.escapeHTML(row.reason)}</span>` : ''}
+                            </span>
+                            <span class="px-2 py-0.5 text-xs font-medium rounded-full ${statusBadges[row.status].className}">${statusBadges[row.status].label}</span>
+                        </label>
+                    `).join('')}
+                </div>
+                
+                <div id="review-cost" class="p-4 bg-gray-50 rounded-xl space-y-2"></div>
+            </div>
+        `;
+        
+        container.querySelectorAll('input[data-review-row]').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                this.preflight.setRowIncluded(this.reviewReport, parseInt(e.target.dataset.reviewRow, 10), e.target.checked);
+                this.updateReviewSummary();
+            });
+        });
+        
+        container.querySelectorAll('[data-review-action]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                const include = e.currentTarget.dataset.reviewAction === 'include-existing';
+                this.preflight.setStatusIncluded(this.reviewReport, 'existing', include);
+                this.renderReviewStep();
+            });
+        });
+        
+        this.updateReviewSummary();
+    }
+
+    updateReviewSummary() {
+        const costEl = document.getElementById('review-cost');
+        if (!costEl || !this.reviewReport) return;
+        
+        const includedCount = this.preflight.getIncludedRows(this.reviewReport).length;
+        const breakdown = this.preflight.getCostBreakdown(this.reviewReport);
+        const typeLabels = { light: 'Light', deep: 'Deep', xray: 'X-Ray' };
+        const selectedCost = breakdown[this.analysisType]?.total || 0;
+        const creditsAfter = this.currentCredits - selectedCost;
+        
+        costEl.innerHTML = `
+            <div class="flex justify-between text-sm">
+                <span class="text-gray-600">Profiles to analyze:</span>
+                <span class="font-medium text-gray-900">${includedCount}</span>
+            </div>
+            ${Object.entries(breakdown).map(([analysisType, cost]) => `
+                <div class="flex justify-between text-sm ${analysisType === this.analysisType ? 'font-semibold text-orange-600' : 'text-gray-500'}">
+                    <span>${typeLabels[analysisType] || analysisType} (${cost.perLead} credit${cost.perLead !== 1 ? 's' : ''} each)${analysisType === this.analysisType ? ' · selected' : ''}</span>
+                    <span>${cost.total.toLocaleString()}</span>
+                </div>
+            `).join('')}
+            <div class="pt-2 border-t border-gray-200 flex justify-between text-sm">
+                <span class="font-medium text-gray-700">Credits after:</span>
+                <span class="font-semibold ${creditsAfter >= 0 ? 'text-green-600' : 'text-red-600'}">${creditsAfter.toLocaleString()}</span>
+            </div>
+        `;
+        
+        const submitBtn = document.getElementById('bulk-submit-btn');
+        if (!submitBtn) return;
+        
+        if (includedCount === 0) {
+            this.setSubmitDisabled('Nothing Selected');
+        } else if (creditsAfter < 0) {
+            this.setSubmitDisabled('Insufficient Credits');
+        } else {
+            submitBtn.disabled = false;
+            submitBtn.textContent = `Analyze ${includedCount} Profiles (${selectedCost} credits)`;
             submitBtn.classList.remove('bg-gray-400');
             submitBtn.classList.add('bg-gradient-to-r', 'from-orange-500', 'to-red-600');
         }
@@ -527,15 +814,23 @@ renderBulkModal() {
                 return;
             }
             
-            if (!this.parsedData || this.parsedData.length === 0) {
-                this.showValidationError('No usernames', 'Please upload a CSV file with usernames');
+            const includedRows = this.reviewReport ? this.preflight.getIncludedRows(this.reviewReport) : [];
+            
+            if (includedRows.length === 0) {
+                this.showValidationError('No usernames', 'Include at least one username to analyze');
+                return;
+            }
+            
+            const totalCost = includedRows.length * this.preflight.getCostPerLead(analysisType);
+            if (totalCost > this.currentCredits) {
+                this.showValidationError('Insufficient credits', `This run needs ${totalCost} credits, you have ${this.currentCredits}`);
                 return;
             }
             
             console.log('📁 [BulkModal] Processing bulk analysis:', {
                 analysisType,
-                count: this.parsedData.length,
-                usernames: this.parsedData,
+                count: includedRows.length,
+                usernames: includedRows.map(row => row.username),
                 businessId
             });
 
@@ -549,12 +844,22 @@ renderBulkModal() {
                 throw new Error('Analysis queue not available');
             }
             
-            // Convert usernames to lead objects format
-            const leads = this.parsedData.map(username => ({
-                username: username,
-                platform: 'instagram'
+            // Convert reviewed rows to lead objects format (carrying mapped columns)
+            const leads = includedRows.map(row => ({
+                username: row.username,
+                platform: 'instagram',
+                notes: row.notes,
+                tags: row.tags,
+                source: row.source,
+                isNew: row.status === 'new'
             }));
             
+            // Save notes / tags / source up front so they are on the lead when analysis lands
+            const newLeads = leads.filter(lead => lead.isNew);
+            if (this.hasImportMetadata(newLeads)) {
+                await this.createImportedLeads(newLeads, businessId);
+            }
+            
             // Start bulk analysis
             await window.AnalysisQueue.startBulkAnalysis(
                 leads,
@@ -581,10 +886,36 @@ renderBulkModal() {
         }
     }
 
+    async createImportedLeads(leads, businessId) {
+        if (!window.OsliraLeadsAPI) {
+            console.warn('⚠️ [BulkModal] LeadsAPI not available, imported notes/tags/source not saved');
+            return;
+        }
+        
+        try {
+            await window.OsliraLeadsAPI.bulkCreateLeads(leads.map(lead => ({
+                business_id: businessId,
+                username: lead.username,
+                platform: lead.platform,
+                profile_url: `https://instagram.com/${lead.username}`,
+                notes: lead.notes,
+                tags: lead.tags,
+                source: lead.source || 'bulk_import'
+            })));
+            
+            console.log(`✅ [BulkModal] Created ${leads.length} imported leads`);
+        } catch (error) {
+            // Analysis still creates the leads - only the extra columns are lost
+            console.warn('⚠️ [BulkModal] Failed to save imported lead details:', error);
+            this.osliraAuth?.showMessage?.('Lead notes/tags could not be saved, analysis will continue', 'warning');
+        }
+    }
+
     resetModal() {
         this.uploadedFile = null;
         this.parsedData = [];
         this.duplicateCount = 0;
+        this.resetImportState();
         
         const csvFileEl = document.getElementById('csvFile');
         if (csvFileEl) csvFileEl.value = '';
@@ -0,0 +1,180 @@
+//public/pages/app/dashboard/ui/modals/configs/CampaignPickerModal.js
+
+/**
+ * CAMPAIGN PICKER MODAL
+ * Adds the selected leads (or one lead from the analysis modal) to an existing
+ * or a new outreach campaign. Mounts itself on first open; all actions go
+ * through CampaignAssignUseCase (window.campaignAssign).
+ */
+class CampaignPickerModal {
+    constructor() {
+        this.modalId = 'campaignPickerModal';
+
+        console.log('📣 [CampaignPickerModal] Instance created');
+    }
+
+    // ===============================================================================
+    // RENDERING
+    // ===============================================================================
+
+    renderCampaignPickerModal() {
+        return `
+<div id="${this.modalId}" class="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 hidden flex items-center justify-center"
+     role="dialog" aria-modal="true" aria-labelledby="campaign-picker-title">
+    <div class="bg-white rounded-3xl shadow-2xl max-w-lg w-full mx-6 overflow-hidden flex flex-col" style="max-height: 90vh;">
+
+        <!-- Header -->
+        <div class="p-8 pb-4 flex items-center justify-between">
+            <div>
+                <h2 id="campaign-picker-title" class="text-2xl font-bold text-gray-900">Add to Campaign</h2>
+                <p id="campaign-picker-subtitle" class="text-sm text-gray-600 mt-1"></p>
+            </div>
+            <button onclick="window.closeCampaignPicker()" class="p-2 hover:bg-gray-100 rounded-full transition-colors" aria-label="Close">
+                <svg class="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                </svg>
+            </button>
+        </div>
+
+        <div class="px-8 pb-6 overflow-y-auto">
+            <fieldset>
+                <legend class="sr-only">Campaign</legend>
+                <div id="campaign-picker-options" class="space-y-2"></div>
+            </fieldset>
+            <input id="campaign-picker-name" type="text" maxlength="80" placeholder="New campaign name"
+                   class="hidden mt-3 w-full px-3 py-2 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+            <p class="text-xs text-gray-500 mt-3">New campaigns start with the lead's analysis message and one generated follow-up - change the sequence on the Campaigns page.</p>
+        </div>
+
+        <!-- Footer -->
+        <div class="px-8 py-5 border-t border-gray-100 bg-gray-50 flex items-center justify-between">
+            <p id="campaign-picker-status" class="text-sm text-gray-600" aria-live="polite"></p>
+            <div class="flex items-center space-x-3">
+                <button onclick="window.closeCampaignPicker()" class="px-5 py-2.5 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-xl hover:bg-gray-50">
+                    Cancel
+                </button>
+                <button id="campaign-picker-submit" onclick="window.confirmCampaignPicker()"
+                        class="px-5 py-2.5 text-sm font-semibold text-white bg-gradient-to-r from-indigo-600 to-purple-600 rounded-xl shadow hover:shadow-lg disabled:opacity-50">
+                    Add
+                </button>
+            </div>
+        </div>
+    </div>
+</div>`;
+    }
+
+    renderOptions(campaigns, selectedId) {
+        const options = [
+            ...campaigns.map(campaign => ({
+                value: campaign.id,
+                label: campaign.name,
+                note: `${campaign.counts?.total || 0} lead${campaign.counts?.total !== 1 ? 's' : ''}${campaign.status === 'paused' ? ' · paused' : ''}`
+            })),
+            { value: 'new', label: 'New campaign', note: 'Name it below' }
+        ];
+
+        return options.map(option => `
+            <label class="block cursor-pointer">
+                <input type="radio" name="campaignPick" value="${window.OsliraValidationUtils.escapeHTML(option.value)}" class="sr-only peer"
+                       ${option.value === selectedId ? 'checked' : ''}>
+                <div class="p-3 border-2 border-gray-200 rounded-xl peer-checked:border-indigo-500 peer-checked:bg-indigo-50 transition-colors flex items-center justify-between">
+                    <span class="text-sm font-medium text-gray-900">${window.OsliraValidationUtils.escapeHTML(option.label)}</span>
+                    <span class="text-xs text-gray-500">${window.OsliraValidationUtils.escapeHTML(option.note)}</span>
+                </div>
+            </label>
+        `).join('');
+    }
+
+    // ===============================================================================
+    // LIFECYCLE
+    // ===============================================================================
+
+    mount() {
+        if (document.getElementById(this.modalId)) return;
+
+        document.body.insertAdjacentHTML('beforeend', this.renderCampaignPickerModal());
+        this.setupEventHandlers();
+    }
+
+    setupEventHandlers() {
+        const modal = document.getElementById(this.modalId);
+
+        modal.addEventListener('change', (e) => {
+            if (e.target.matches('input[name="campaignPick"]')) {
+                this.toggleNameInput();
+            }
+        });
+
+        modal.addEventListener('click', (e) => {
+            // Backdrop click closes
+            if (e.target === modal) this.close();
+        });
+
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    open({ campaigns, leadCount }) {
+        this.mount();
+
+        const active = campaigns.filter(campaign => campaign.status !== 'archived');
+        document.getElementById('campaign-picker-subtitle').textContent =
+            `${leadCount} lead${leadCount !== 1 ? 's' : ''} - leads already in the campaign are skipped`;
+        document.getElementById('campaign-picker-options').innerHTML = this.renderOptions(active, active[0]?.id || 'new');
+        document.getElementById('campaign-picker-name').value = '';
+        this.toggleNameInput();
+        this.showError('');
+        this.setBusy(false);
+
+        document.getElementById(this.modalId).classList.remove('hidden');
+        document.getElementById('campaign-picker-submit')?.focus();
+    }
+
+    close() {
+        document.getElementById(this.modalId)?.classList.add('hidden');
+    }
+
+    // ===============================================================================
+    // FORM STATE
+    // ===============================================================================
+
+    toggleNameInput() {
+        const isNew = this.readSelection().campaignId === 'new';
+        const input = document.getElementById('campaign-picker-name');
+
+        input?.classList.toggle('hidden', !isNew);
+        if (isNew) input?.focus();
+    }
+
+    readSelection() {
+        return {
+            campaignId: document.querySelector('input[name="campaignPick"]:checked')?.value || 'new',
+            name: (document.getElementById('campaign-picker-name')?.value || '').trim()
+        };
+    }
+
+    setBusy(isBusy) {
+        const button = document.getElementById('campaign-picker-submit');
+        if (button) {
+            button.disabled = isBusy;
+            button.textContent = isBusy ? 'Adding…' : 'Add';
+        }
+    }
+
+    showError(message) {
+        const status = document.getElementById('campaign-picker-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('text-red-600', !!message);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CampaignPickerModal;
+} else {
+    window.CampaignPickerModal = CampaignPickerModal;
+}
+
+console.log('📣 [CampaignPickerModal] Loaded successfully');
@@ -0,0 +1,294 @@
+//public/pages/app/dashboard/ui/modals/configs/ExportModal.js
+
+/**
+ * EXPORT MODAL
+ * Column picker, format choice, scope and per-business presets for lead exports.
+ * Mounts itself on first open; all actions go through LeadExportUseCase (window.leadExport).
+ */
+class ExportModal {
+    constructor(exportService) {
+        this.exportService = exportService;
+        this.modalId = 'exportModal';
+
+        console.log('📤 [ExportModal] Instance created');
+    }
+
+    // ===============================================================================
+    // RENDERING
+    // ===============================================================================
+
+    renderExportModal() {
+        return `
+<div id="${this.modalId}" class="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 hidden flex items-center justify-center"
+     role="dialog" aria-modal="true" aria-labelledby="export-modal-title">
+    <div class="bg-white rounded-3xl shadow-2xl max-w-3xl w-full mx-6 overflow-hidden flex flex-col" style="max-height: 90vh;">
+
+        <!-- Header -->
+        <div class="p-8 pb-4 flex items-center justify-between">
+            <div>
+                <h2 id="export-modal-title" class="text-2xl font-bold text-gray-900">Export Leads</h2>
+                <p class="text-sm text-gray-600 mt-1">Choose what to export, which columns and the file format</p>
+            </div>
+            <button onclick="window.closeExportModal()" class="p-2 hover:bg-gray-100 rounded-full transition-colors" aria-label="Close">
+                <svg class="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                </svg>
+            </button>
+        </div>
+
+        <div class="px-8 pb-6 overflow-y-auto space-y-6">
+            <!-- Scope -->
+            <fieldset>
+                <legend class="text-sm font-semibold text-gray-800 mb-2">Leads</legend>
+                <div id="export-scope-options" class="grid grid-cols-3 gap-3"></div>
+            </fieldset>
+
+            <!-- Format -->
+            <fieldset>
+                <legend class="text-sm font-semibold text-gray-800 mb-2">Format</legend>
+                <div class="grid grid-cols-4 gap-3">
+                    ${Object.entries(this.exportService.formats).map(([key, format]) => `
+                        <label class="cursor-pointer">
+                            <input type="radio" name="exportFormat" value="${key}" class="sr-only peer">
+                            <div class="p-3 text-center text-sm font-medium border-2 border-gray-200 rounded-xl peer-checked:border-indigo-500 peer-checked:bg-indigo-50 transition-colors">
+                                ${format.label}
+                            </div>
+                        </label>
+                    `).join('')}
+                </div>
+            </fieldset>
+
+            <!-- Presets -->
+            <div>
+                <div class="flex items-center justify-between mb-2">
+                    <span class="text-sm font-semibold text-gray-800">Presets</span>
+                    <div class="flex items-center space-x-2">
+                        <input id="export-preset-name" type="text" maxlength="60" placeholder="Preset name"
+                               class="px-3 py-1.5 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                        <button onclick="window.saveExportPreset()" class="px-3 py-1.5 text-sm font-medium text-indigo-700 bg-indigo-50 rounded-lg hover:bg-indigo-100">
+                            Save current
+                        </button>
+                    </div>
+                </div>
+                <div id="export-presets" class="flex flex-wrap gap-2"></div>
+            </div>
+
+            <!-- Columns -->
+            <div>
+                <div class="flex items-center justify-between mb-2">
+                    <span class="text-sm font-semibold text-gray-800">Columns <span id="export-column-count" class="font-normal text-gray-500"></span></span>
+                    <div class="space-x-3 text-sm">
+                        <button type="button" data-export-columns="all" class="text-indigo-600 hover:underline">All</button>
+                        <button type="button" data-export-columns="default" class="text-indigo-600 hover:underline">Default</button>
+                        <button type="button" data-export-columns="none" class="text-indigo-600 hover:underline">None</button>
+                    </div>
+                </div>
+                <div class="grid grid-cols-2 gap-4">
+                    ${this.exportService.getColumnsByGroup().map(group => `
+                        <fieldset class="border border-gray-100 rounded-xl p-3">
+                            <legend class="px-1 text-xs font-semibold uppercase tracking-wide text-gray-500">${group.label}</legend>
+                            ${group.columns.map(column => `
+                                <label class="flex items-center space-x-2 py-0.5 text-sm text-gray-700 cursor-pointer">
+                                    <input type="checkbox" data-export-column="${column.key}" class="w-4 h-4 text-indigo-600 border-gray-300 rounded">
+                                    <span>${column.label}</span>
+                                </label>
+                            `).join('')}
+                        </fieldset>
+                    `).join('')}
+                </div>
+                <p class="text-xs text-gray-500 mt-2">Personality, X-Ray and detailed analysis columns are filled for leads that had a deep or X-Ray analysis.</p>
+            </div>
+        </div>
+
+        <!-- Footer -->
+        <div class="px-8 py-5 border-t border-gray-100 bg-gray-50 flex items-center justify-between">
+            <p id="export-status" class="text-sm text-gray-600" aria-live="polite"></p>
+            <div class="flex items-center space-x-3">
+                <button onclick="window.closeExportModal()" class="px-5 py-2.5 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-xl hover:bg-gray-50">
+                    Cancel
+                </button>
+                <button id="export-submit-btn" onclick="window.runLeadExport()"
+                        class="px-5 py-2.5 text-sm font-semibold text-white bg-gradient-to-r from-indigo-600 to-purple-600 rounded-xl shadow hover:shadow-lg disabled:opacity-50">
+                    Export
+                </button>
+            </div>
+        </div>
+    </div>
+</div>`;
+    }
+
+    renderScopeOptions(scope, counts) {
+        const options = [
+            { key: 'filter', label: 'All matching filter', count: counts.filter },
+            { key: 'loaded', label: 'Loaded rows', count: counts.loaded },
+            { key: 'selected', label: 'Selected', count: counts.selected, disabled: counts.selected === 0 }
+        ];
+
+        return options.map(option => `
+            <label class="${option.disabled ? 'cursor-not-allowed opacity-50' : 'cursor-pointer'}">
+                <input type="radio" name="exportScope" value="${option.key}" class="sr-only peer"
+                       ${option.key === scope ? 'checked' : ''} ${option.disabled ? 'disabled' : ''}>
+                <div class="p-3 border-2 border-gray-200 rounded-xl peer-checked:border-indigo-500 peer-checked:bg-indigo-50 transition-colors">
+                    <div class="text-sm font-medium text-gray-900">${option.label}</div>
+                    <div class="text-xs text-gray-500">${option.count === null || option.count === undefined ? 'Fetched on export' : `${option.count} lead${option.count !== 1 ? 's' : ''}`}</div>
+                </div>
+            </label>
+        `).join('');
+    }
+
+    renderPresets(presets, activePresetId = null) {
+        const container = document.getElementById('export-presets');
+        if (!container) return;
+
+        if (!presets || presets.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-500">No presets yet - pick columns and save them for this business.</p>';
+            return;
+        }
+
+        container.innerHTML = presets.map(preset => `
+            <span class="inline-flex items-center rounded-full border ${preset.id === activePresetId ? 'border-indigo-400 bg-indigo-50' : 'border-gray-200 bg-white'}">
+                <button type="button" onclick="window.applyExportPreset('${preset.id}')"
+                        class="pl-3 pr-2 py-1 text-sm text-gray-700 hover:text-indigo-700"
+                        title="${window.OsliraValidationUtils.escapeHTML(`${preset.columns.length} columns · ${this.exportService.formats[preset.format].label}`)}">
+                    ${window.OsliraValidationUtils.escapeHTML(preset.name)}
+                </button>
+                <button type="button" onclick="window.deleteExportPreset('${preset.id}')"
+                        class="pr-2 text-gray-400 hover:text-red-600" aria-label="Delete preset ${window.OsliraValidationUtils.escapeHTML(preset.name)}">×</button>
+            </span>
+        `).join('');
+    }
+
+    // ===============================================================================
+    // LIFECYCLE
+    // ===============================================================================
+
+    mount() {
+        if (document.getElementById(this.modalId)) return;
+
+        document.body.insertAdjacentHTML('beforeend', this.renderExportModal());
+        this.setupEventHandlers();
+    }
+
+    setupEventHandlers() {
+        const modal = document.getElementById(this.modalId);
+
+        modal.addEventListener('change', (e) => {
+            if (e.target.matches('[data-export-column]')) {
+                this.updateColumnCount();
+            }
+        });
+
+        modal.addEventListener('click', (e) => {
+            const shortcut = e.target.closest('[data-export-columns]');
+            if (shortcut) {
+                const mode = shortcut.dataset.exportColumns;
+                const columns = mode === 'all'
+                    ? this.exportService.columns.map(column => column.key)
+                    : mode === 'default' ? this.exportService.getDefaultColumnKeys() : [];
+                this.setSelection({ columns });
+            }
+
+            // Backdrop click closes
+            if (e.target === modal) this.close();
+        });
+
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    open({ scope, counts, presets, format, columns }) {
+        this.mount();
+
+        document.getElementById('export-scope-options').innerHTML = this.renderScopeOptions(scope, counts);
+        this.renderPresets(presets);
+        this.setSelection({ format, columns });
+        this.showError('');
+        this.setBusy(false);
+
+        const modal = document.getElementById(this.modalId);
+        modal.classList.remove('hidden');
+        document.getElementById('export-submit-btn')?.focus();
+    }
+
+    close() {
+        document.getElementById(this.modalId)?.classList.add('hidden');
+    }
+
+    // ===============================================================================
+    // FORM STATE
+    // ===============================================================================
+
+    setSelection({ format, columns }) {
+        if (format) {
+            const radio = document.querySelector(`input[name="exportFormat"][value="${format}"]`);
+            if (radio) radio.checked = true;
+        }
+
+        if (columns) {
+            const selected = new Set(columns);
+            document.querySelectorAll('[data-export-column]').forEach(checkbox => {
+                checkbox.checked = selected.has(checkbox.dataset.exportColumn);
+            });
+            this.updateColumnCount();
+        }
+    }
+
+    /**
+     * Column order follows the catalogue so exports are stable across presets
+     */
+    readSelection() {
+        const checked = new Set(
+            Array.from(document.querySelectorAll('[data-export-column]:checked')).map(checkbox => checkbox.dataset.exportColumn)
+        );
+
+        return {
+            scope: document.querySelector('input[name="exportScope"]:checked')?.value || 'filter',
+            format: document.querySelector('input[name="exportFormat"]:checked')?.value || 'csv',
+            columns: this.exportService.columns.map(column => column.key).filter(key => checked.has(key))
+        };
+    }
+
+    readPresetName() {
+        const input = document.getElementById('export-preset-name');
+        const name = (input?.value || '').trim();
+        if (name && input) input.value = '';
+        return name;
+    }
+
+    updateColumnCount() {
+        const count = document.querySelectorAll('[data-export-column]:checked').length;
+        const label = document.getElementById('export-column-count');
+        if (label) label.textContent = `(${count} selected)`;
+    }
+
+    setBusy(isBusy, message = '') {
+        const button = document.getElementById('export-submit-btn');
+        const status = document.getElementById('export-status');
+
+        if (button) {
+            button.disabled = isBusy;
+            button.textContent = isBusy ? 'Exporting…' : 'Export';
+        }
+        if (status) {
+            status.classList.remove('text-red-600');
+            status.textContent = message;
+        }
+    }
+
+    showError(message) {
+        const status = document.getElementById('export-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('text-red-600', !!message);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportModal;
+} else {
+    window.ExportModal = ExportModal;
+}
+
+console.log('📤 [ExportModal] Loaded successfully');
@@ -0,0 +1,308 @@
+//public/pages/app/dashboard/ui/modals/configs/TemplateModal.js
+
+/**
+ * TEMPLATE MODAL
+ * Message template library: template list, variant editor with variable
+ * chips, live preview against a lead and apply to the selection.
+ * Mounts itself on first open; all actions go through MessageTemplateUseCase (window.messageTemplates).
+ */
+class TemplateModal {
+    constructor(templateService) {
+        this.templateService = templateService;
+        this.modalId = 'templateModal';
+
+        console.log('🧩 [TemplateModal] Instance created');
+    }
+
+    // ===============================================================================
+    // RENDERING
+    // ===============================================================================
+
+    renderTemplateModal() {
+        return `
+<div id="${this.modalId}" class="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 hidden flex items-center justify-center"
+     role="dialog" aria-modal="true" aria-labelledby="template-modal-title">
+    <div class="bg-white rounded-3xl shadow-2xl max-w-5xl w-full mx-6 overflow-hidden flex flex-col" style="max-height: 90vh;">
+
+        <!-- Header -->
+        <div class="p-8 pb-4 flex items-center justify-between">
+            <div>
+                <h2 id="template-modal-title" class="text-2xl font-bold text-gray-900">Message Templates</h2>
+                <p class="text-sm text-gray-600 mt-1">Reusable messages filled in from each lead's profile and analysis</p>
+            </div>
+            <button onclick="window.closeMessageTemplates()" class="p-2 hover:bg-gray-100 rounded-full transition-colors" aria-label="Close">
+                <svg class="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                </svg>
+            </button>
+        </div>
+
+        <div class="px-8 pb-6 overflow-y-auto grid grid-cols-3 gap-6">
+            <!-- Library -->
+            <div>
+                <div class="flex items-center justify-between mb-2">
+                    <span class="text-sm font-semibold text-gray-800">Library</span>
+                    <button onclick="window.newMessageTemplate()" class="text-sm font-medium text-indigo-600 hover:underline">+ New</button>
+                </div>
+                <div id="template-list" class="space-y-2"></div>
+            </div>
+
+            <!-- Editor -->
+            <div id="template-editor" class="col-span-2 space-y-4"></div>
+        </div>
+
+        <!-- Footer -->
+        <div class="px-8 py-5 border-t border-gray-100 bg-gray-50 flex items-center justify-between">
+            <p id="template-status" class="text-sm text-gray-600" aria-live="polite"></p>
+            <div class="flex items-center space-x-3">
+                <button id="template-delete-btn" onclick="window.deleteMessageTemplate()" class="px-5 py-2.5 text-sm font-medium text-red-600 hover:text-red-700">
+                    Delete
+                </button>
+                <button id="template-save-btn" onclick="window.saveMessageTemplate()" class="px-5 py-2.5 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-xl hover:bg-gray-50 disabled:opacity-50">
+                    Save template
+                </button>
+                <button id="template-apply-btn" onclick="window.applyMessageTemplate()"
+                        class="px-5 py-2.5 text-sm font-semibold text-white bg-gradient-to-r from-indigo-600 to-purple-600 rounded-xl shadow hover:shadow-lg disabled:opacity-50">
+                    Apply
+                </button>
+            </div>
+        </div>
+    </div>
+</div>`;
+    }
+
+    renderList(templates, activeId) {
+        const container = document.getElementById('template-list');
+        if (!container) return;
+
+        if (!templates || templates.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-500">No templates yet - write one and save it for this business.</p>';
+            return;
+        }
+
+        container.innerHTML = templates.map(template => `
+            <button type="button" onclick="window.selectMessageTemplate('${template.id}')"
+                    class="w-full p-3 text-left border-2 ${template.id === activeId ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 hover:border-gray-300'} rounded-xl transition-colors">
+                <span class="block text-sm font-medium text-gray-900 truncate">${window.OsliraValidationUtils.escapeHTML(template.name)}</span>
+                <span class="block text-xs text-gray-500">${this.templateService.describeVariants(template)}</span>
+            </button>
+        `).join('');
+    }
+
+    /**
+     * @param {Object} draft - { id, name, variants, activeVariant }
+     * @param {Object} options - { errors, previewLeads, previewLeadId }
+     */
+    renderEditor(draft, { errors = {}, previewLeads = [], previewLeadId = null } = {}) {
+        const container = document.getElementById('template-editor');
+        if (!container) return;
+
+        const active = draft.variants[draft.activeVariant] || draft.variants[0];
+
+        container.innerHTML = `
+            <div>
+                <label for="template-name" class="block text-sm font-semibold text-gray-800 mb-1">Name</label>
+                <input id="template-name" type="text" maxlength="${this.templateService.maxNameLength}" value="${window.OsliraValidationUtils.escapeHTML(draft.name)}" placeholder="Friendly intro"
+                       class="w-full px-3 py-2 text-sm border ${errors.name ? 'border-red-400' : 'border-gray-200'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                ${this.renderFieldError(errors.name)}
+            </div>
+
+            <div>
+                <div class="flex items-center justify-between mb-1">
+                    <div class="flex items-center space-x-1" role="tablist" aria-label="Variants">
+                        ${draft.variants.map((variant, index) => `
+                            <button type="button" role="tab" aria-selected="${index === draft.activeVariant}" onclick="window.selectTemplateVariant(${index})"
+                                    class="px-3 py-1 text-sm rounded-lg ${index === draft.activeVariant ? 'bg-indigo-600 text-white' : errors[`variant-${index}`] ? 'bg-red-50 text-red-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}">
+                                Variant ${this.templateService.variantLabels[index]}
+                            </button>
+                        `).join('')}
+                        ${draft.variants.length < this.templateService.maxVariants ? `
+                            <button type="button" onclick="window.addTemplateVariant()" class="px-2 py-1 text-sm text-indigo-600 hover:underline">+ A/B variant</button>
+                        ` : ''}
+                    </div>
+                    ${draft.variants.length > 1 ? `
+                        <button type="button" onclick="window.removeTemplateVariant(${draft.activeVariant})" class="text-sm text-gray-500 hover:text-red-600">Remove variant</button>
+                    ` : ''}
+                </div>
+                <textarea id="template-body" rows="6" maxlength="${this.templateService.maxBodyLength}"
+                          aria-label="Variant ${this.templateService.variantLabels[draft.activeVariant]} message"
+                          placeholder="Hi {{first_name | there}}, loved your post about {{selling_points[0]}}…"
+                          class="w-full px-3 py-2 text-sm font-mono border ${errors[`variant-${draft.activeVariant}`] ? 'border-red-400' : 'border-gray-200'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">${window.OsliraValidationUtils.escapeHTML(active?.body || '')}</textarea>
+                ${this.renderFieldError(errors[`variant-${draft.activeVariant}`] || errors.variants)}
+                ${draft.variants.length > 1 ? '<p class="text-xs text-gray-500 mt-1">Each lead gets one variant, split evenly. Campaigns using this template report replies per variant.</p>' : ''}
+            </div>
+
+            <div>
+                <span class="block text-sm font-semibold text-gray-800 mb-1">Insert variable</span>
+                <div class="space-y-2">
+                    ${this.templateService.getVariablesByGroup().map(group => `
+                        <div class="flex flex-wrap items-center gap-1.5">
+                            <span class="w-24 text-xs font-semibold uppercase tracking-wide text-gray-500">${group.label}</span>
+                            ${group.variables.map(variable => `
+                                <button type="button" data-template-variable="${variable.key}" title="${window.OsliraValidationUtils.escapeHTML(`${this.templateService.buildToken(variable)} · e.g. ${variable.example}`)}"
+                                        class="px-2 py-0.5 text-xs font-medium text-indigo-700 bg-indigo-50 rounded-full hover:bg-indigo-100">${variable.label}</button>
+                            `).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+                <p class="text-xs text-gray-500 mt-2">Add a fallback for values a lead may not have: <code>{{first_name | there}}</code>. Leads with a missing value and no fallback are skipped when applying.</p>
+            </div>
+
+            <div class="p-4 bg-gray-50 border border-gray-200 rounded-xl">
+                <div class="flex items-center justify-between mb-2">
+                    <label for="template-preview-lead" class="text-sm font-semibold text-gray-800">Preview</label>
+                    <select id="template-preview-lead" class="max-w-xs px-2 py-1 text-sm border border-gray-200 rounded-lg" ${previewLeads.length === 0 ? 'disabled' : ''}>
+                        ${previewLeads.length === 0 ? '<option value="">No leads loaded</option>' : ''}
+                        ${previewLeads.map(lead => `
+                            <option value="${window.OsliraValidationUtils.escapeHTML(lead.id)}" ${lead.id === previewLeadId ? 'selected' : ''}>@${window.OsliraValidationUtils.escapeHTML(lead.username)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div id="template-preview" aria-live="polite"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * @param {Object} preview - { text, missing, assignedLabel, isLoading }
+     */
+    renderPreview({ text = '', missing = [], assignedLabel = null, isLoading = false } = {}) {
+        const container = document.getElementById('template-preview');
+        if (!container) return;
+
+        if (isLoading) {
+            container.innerHTML = '<p class="text-sm text-gray-500">Loading the lead\'s analysis…</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="text-sm text-gray-800 whitespace-pre-line">${text ? window.OsliraValidationUtils.escapeHTML(text) : '<span class="text-gray-400">Nothing to preview yet</span>'}</p>
+            ${missing.length > 0 ? `
+                <p class="text-xs text-amber-700 mt-2" role="alert">No value for ${missing.map(token => `<code>${window.OsliraValidationUtils.escapeHTML(token)}</code>`).join(', ')} - add a fallback or this lead is skipped</p>
+            ` : ''}
+            ${assignedLabel ? `<p class="text-xs text-gray-500 mt-2">This lead gets variant ${assignedLabel} when the template is applied</p>` : ''}
+        `;
+    }
+
+    renderFieldError(message) {
+        return message ? `<p class="text-xs text-red-600 mt-1" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>` : '';
+    }
+
+    // ===============================================================================
+    // LIFECYCLE
+    // ===============================================================================
+
+    mount() {
+        if (document.getElementById(this.modalId)) return;
+
+        document.body.insertAdjacentHTML('beforeend', this.renderTemplateModal());
+        this.setupEventHandlers();
+    }
+
+    setupEventHandlers() {
+        const modal = document.getElementById(this.modalId);
+
+        modal.addEventListener('input', (e) => {
+            if (e.target.id === 'template-body') {
+                window.messageTemplates?.onBodyInput(e.target.value);
+            }
+        });
+
+        modal.addEventListener('change', (e) => {
+            if (e.target.id === 'template-preview-lead') {
+                window.messageTemplates?.setPreviewLead(e.target.value);
+            }
+        });
+
+        modal.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-template-variable]');
+            if (chip) {
+                const variable = this.templateService.getVariable(chip.dataset.templateVariable);
+                this.insertAtCursor(this.templateService.buildToken(variable));
+            }
+
+            // Backdrop click closes
+            if (e.target === modal) this.close();
+        });
+
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    open() {
+        this.mount();
+        this.showError('');
+        document.getElementById(this.modalId).classList.remove('hidden');
+    }
+
+    close() {
+        document.getElementById(this.modalId)?.classList.add('hidden');
+    }
+
+    // ===============================================================================
+    // FORM STATE
+    // ===============================================================================
+
+    insertAtCursor(token) {
+        const textarea = document.getElementById('template-body');
+        if (!textarea) return;
+
+        const start = textarea.selectionStart ?? textarea.value.length;
+        const end = textarea.selectionEnd ?? start;
+        textarea.value = `${textarea.value.slice(0, start)}${token}${textarea.value.slice(end)}`;
+        textarea.focus();
+        textarea.setSelectionRange(start + token.length, start + token.length);
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    readName() {
+        return document.getElementById('template-name')?.value || '';
+    }
+
+    readBody() {
+        return document.getElementById('template-body')?.value ?? null;
+    }
+
+    /**
+     * @param {Object} state - { canDelete, canSave, applyCount, isBusy }
+     */
+    setActions({ canDelete = false, applyCount = 0, isBusy = false }) {
+        const deleteButton = document.getElementById('template-delete-btn');
+        const saveButton = document.getElementById('template-save-btn');
+        const applyButton = document.getElementById('template-apply-btn');
+
+        if (deleteButton) deleteButton.classList.toggle('hidden', !canDelete);
+        if (saveButton) saveButton.disabled = isBusy;
+        if (applyButton) {
+            applyButton.disabled = isBusy || applyCount === 0;
+            applyButton.textContent = isBusy
+                ? 'Applying…'
+                : `Apply to ${applyCount} lead${applyCount !== 1 ? 's' : ''}`;
+        }
+    }
+
+    showStatus(message) {
+        const status = document.getElementById('template-status');
+        if (!status) return;
+
+        status.classList.remove('text-red-600');
+        status.textContent = message;
+    }
+
+    showError(message) {
+        const status = document.getElementById('template-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('text-red-600', !!message);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateModal;
+} else {
+    window.TemplateModal = TemplateModal;
+}
+
+console.log('🧩 [TemplateModal] Loaded successfully');
@@ -0,0 +1,111 @@
+// =============================================================================
+// INTEGRATIONS APP - New Loader.js System Integration
+// Path: /public/pages/app/integrations/IntegrationsApp.js
+// =============================================================================
+
+class IntegrationsApp {
+    constructor() {
+        this.isInitialized = false;
+        this.components = {};
+        console.log('🎯 [IntegrationsApp] Instance created');
+    }
+
+    // =========================================================================
+    // MAIN INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        try {
+            console.log('🚀 [IntegrationsApp] Starting initialization...');
+
+            // Wait for scripts to load
+            window.addEventListener('oslira:scripts:loaded', async () => {
+                await this.initialize();
+            });
+
+        } catch (error) {
+            console.error('❌ [IntegrationsApp] Initialization failed:', error);
+        }
+    }
+
+    async initialize() {
+        console.log('⚙️ [IntegrationsApp] Initializing components...');
+
+        try {
+            // Step 1: Manually render the sidebar (DOMContentLoaded already fired)
+            await this.renderSidebar();
+
+            // Step 2: CRM connections and field mapping
+            await this.initializeCRM();
+
+            // Step 3: Webhook endpoints and delivery log
+            await this.initializeWebhooks();
+
+            // Step 4: Mark as initialized
+            this.isInitialized = true;
+            console.log('✅ [IntegrationsApp] Initialization complete');
+
+        } catch (error) {
+            console.error('❌ [IntegrationsApp] Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // SIDEBAR INITIALIZATION
+    // =========================================================================
+
+    async renderSidebar() {
+        console.log('📱 [IntegrationsApp] Rendering sidebar...');
+
+        // Wait for global sidebarManager instance to be available
+        let attempts = 0;
+        while (!window.sidebarManager && attempts < 50) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            attempts++;
+        }
+
+        if (!window.sidebarManager) {
+            throw new Error('SidebarManager not available');
+        }
+
+        await window.sidebarManager.render('#sidebar-container');
+        this.components.sidebar = window.sidebarManager;
+
+        if (this.components.sidebar.setActiveMenuItem) {
+            this.components.sidebar.setActiveMenuItem('integrations');
+        }
+
+        console.log('✅ [IntegrationsApp] Sidebar rendered');
+    }
+
+    // =========================================================================
+    // CRM
+    // =========================================================================
+
+    async initializeCRM() {
+        console.log('🔗 [IntegrationsApp] Initializing CRM connections...');
+
+        this.components.crm = new window.CRMConnectionsManager();
+        await this.components.crm.init();
+    }
+
+    // =========================================================================
+    // WEBHOOKS
+    // =========================================================================
+
+    async initializeWebhooks() {
+        console.log('🪝 [IntegrationsApp] Initializing webhooks...');
+
+        this.components.webhooks = new window.WebhookManager();
+        await this.components.webhooks.init();
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.IntegrationsApp = new IntegrationsApp();
+window.IntegrationsApp.init();
+
+console.log('✅ [IntegrationsApp] Loaded and auto-initialized');
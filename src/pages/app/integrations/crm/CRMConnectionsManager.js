@@ -0,0 +1,320 @@
+// =============================================================================
+// CRM CONNECTIONS MANAGER - Orchestration Layer
+// Path: /public/pages/app/integrations/crm/CRMConnectionsManager.js
+// Dependencies: CRMConnectionsRenderer, CRMSyncService, CRMConnectorRegistry, CRMAPI, StateManager
+// =============================================================================
+
+/**
+ * @class CRMConnectionsManager
+ * @description CRM section of the integrations page
+ *
+ * Responsibilities:
+ * - Connect / disconnect CRMs per business (CRMAPI)
+ * - Edit the field mapping from lead + analysis fields to CRM fields
+ * - Test a connection through the relay with the provider's connector
+ * - Choose the default connection used by one-click pushes on the dashboard
+ */
+class CRMConnectionsManager {
+    constructor() {
+        this.syncService = new window.CRMSyncService();
+        this.renderer = new window.CRMConnectionsRenderer(this.syncService);
+
+        this.connections = [];
+        this.providers = window.CRMConnectorRegistry.list();
+
+        console.log('🔗 [CRMConnectionsManager] Instance created');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get crmAPI() {
+        return window.OsliraCRMAPI;
+    }
+
+    /**
+     * Base URL overrides send stored CRM credentials to any host, so they're
+     * only offered on development deployments - pointing at the mock CRM server
+     */
+    get allowBaseUrl() {
+        return !!window.OsliraEnv?.IS_DEVELOPMENT;
+    }
+
+    get businessId() {
+        return window.OsliraStateManager?.getState('business.selected')?.id ||
+            localStorage.getItem('selectedBusinessId');
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        this.exposeGlobalHandlers();
+
+        window.OsliraEventBus?.on?.('business:changed', () => {
+            this.closePanel();
+            this.loadConnections();
+        });
+
+        await this.loadConnections();
+        console.log('✅ [CRMConnectionsManager] Initialized');
+    }
+
+    exposeGlobalHandlers() {
+        window.openCRMConnectForm = (provider) => this.openConnectForm(provider);
+        window.saveCRMConnection = () => this.saveConnection();
+        window.closeCRMPanel = () => this.closePanel();
+        window.editCRMMapping = (connectionId) => this.openMapping(connectionId);
+        window.saveCRMMapping = () => this.saveMapping();
+        window.resetCRMMapping = () => this.resetMapping();
+        window.testCRMConnection = (connectionId) => this.testConnection(connectionId);
+        window.toggleCRMConnection = (connectionId, enabled) => this.updateConnection(connectionId, { enabled });
+        window.makeDefaultCRMConnection = (connectionId) => this.makeDefault(connectionId);
+        window.disconnectCRM = (connectionId) => this.disconnect(connectionId);
+    }
+
+    // =========================================================================
+    // CONNECTIONS
+    // =========================================================================
+
+    async loadConnections() {
+        const list = document.getElementById('crm-connection-list');
+        if (!list) return;
+
+        if (!this.businessId || !this.crmAPI) {
+            list.innerHTML = this.renderer.renderError('Select a business to manage its CRM connections.');
+            return;
+        }
+
+        list.innerHTML = this.renderer.renderLoading('Loading CRM connections…');
+
+        try {
+            this.connections = await this.crmAPI.listConnections(this.businessId);
+            this.renderList();
+
+        } catch (error) {
+            console.error('❌ [CRMConnectionsManager] Failed to load connections:', error);
+            list.innerHTML = this.renderer.renderError(`Could not load CRM connections: ${error.message}`);
+        }
+    }
+
+    renderList() {
+        const list = document.getElementById('crm-connection-list');
+        if (list) list.innerHTML = this.renderer.renderConnectionList(this.connections, this.providers);
+    }
+
+    findConnection(connectionId) {
+        return this.connections.find(connection => connection.id === connectionId) || null;
+    }
+
+    async updateConnection(connectionId, updates) {
+        try {
+            const updated = await this.crmAPI.updateConnection(this.businessId, connectionId, updates);
+            this.connections = this.connections.map(connection =>
+                connection.id === connectionId ? { ...connection, ...updates, ...updated } : connection
+            );
+            return true;
+
+        } catch (error) {
+            console.error('❌ [CRMConnectionsManager] Update failed:', error);
+            window.OsliraApp?.showMessage?.(`Could not update the connection: ${error.message}`, 'error');
+            return false;
+
+        } finally {
+            this.renderList();
+        }
+    }
+
+    async makeDefault(connectionId) {
+        if (await this.updateConnection(connectionId, { is_default: true })) {
+            // Only one default per business - the backend clears the others
+            this.connections = this.connections.map(connection => ({ ...connection, is_default: connection.id === connectionId }));
+            this.renderList();
+        }
+    }
+
+    async disconnect(connectionId) {
+        const connection = this.findConnection(connectionId);
+        const label = this.syncService.getProviderLabel(connection?.provider);
+        if (!connection || !confirm(`Disconnect ${label}? Records already pushed stay in ${label}.`)) return;
+
+        try {
+            await this.crmAPI.deleteConnection(this.businessId, connectionId);
+            this.connections = this.connections.filter(item => item.id !== connectionId);
+            this.closePanel();
+            this.renderList();
+            window.OsliraApp?.showMessage?.(`${label} disconnected`, 'success');
+
+        } catch (error) {
+            console.error('❌ [CRMConnectionsManager] Disconnect failed:', error);
+            window.OsliraApp?.showMessage?.(`Could not disconnect ${label}: ${error.message}`, 'error');
+        }
+    }
+
+    createConnector(connection) {
+        const transport = (request) => this.crmAPI.relay(this.businessId, connection.id, request);
+        return window.CRMConnectorRegistry.create(connection.provider, transport, {
+            fieldKeys: connection.field_keys || {}
+        });
+    }
+
+    async testConnection(connectionId) {
+        const connection = this.findConnection(connectionId);
+        if (!connection) return;
+
+        const label = this.syncService.getProviderLabel(connection.provider);
+
+        try {
+            await this.createConnector(connection).testConnection();
+            window.OsliraApp?.showMessage?.(`${label} connection works`, 'success');
+
+        } catch (error) {
+            console.error('❌ [CRMConnectionsManager] Connection test failed:', error);
+            window.OsliraApp?.showMessage?.(error.message, 'error');
+        }
+    }
+
+    // =========================================================================
+    // PANEL (connect form / mapping editor)
+    // =========================================================================
+
+    getPanel() {
+        return document.getElementById('crm-panel');
+    }
+
+    closePanel() {
+        this.mappingConnectionId = null;
+        const panel = this.getPanel();
+        if (panel) panel.innerHTML = '';
+    }
+
+    openConnectForm(providerId = null, error = null) {
+        const provider = this.providers.find(item => item.id === providerId) || this.providers[0];
+        const panel = this.getPanel();
+        if (!provider || !panel) return;
+
+        this.mappingConnectionId = null;
+        panel.innerHTML = this.renderer.renderConnectForm(provider, this.providers, error, {
+            allowBaseUrl: this.allowBaseUrl
+        });
+        panel.querySelector('[data-crm-credential]')?.focus();
+    }
+
+    async saveConnection() {
+        const provider = document.getElementById('crm-provider')?.value;
+        const credentials = {};
+        document.querySelectorAll('[data-crm-credential]').forEach(input => {
+            credentials[input.dataset.crmCredential] = input.value.trim();
+        });
+        const baseUrl = this.allowBaseUrl
+            ? (document.getElementById('crm-base-url')?.value || '').trim()
+            : '';
+
+        const missing = Object.entries(credentials).filter(([, value]) => !value).map(([key]) => key);
+        if (missing.length > 0) {
+            this.openConnectForm(provider, 'Fill in all credential fields');
+            return;
+        }
+
+        if (baseUrl && !/^https?:\/\/[^\s]+$/i.test(baseUrl)) {
+            this.openConnectForm(provider, 'The base URL override must be a full http(s) URL');
+            return;
+        }
+
+        const submit = document.getElementById('crm-connect-submit');
+        if (submit) submit.disabled = true;
+
+        try {
+            const connection = await this.crmAPI.createConnection(this.businessId, {
+                provider,
+                credentials,
+                ...(baseUrl ? { base_url: baseUrl } : {}),
+                is_default: !this.connections.some(item => item.enabled !== false)
+            });
+
+            this.connections = [...this.connections, connection];
+            this.renderList();
+
+            // Straight into mapping - the defaults are a starting point
+            this.openMapping(connection.id);
+            window.OsliraApp?.showMessage?.(`${this.syncService.getProviderLabel(provider)} connected`, 'success');
+
+        } catch (error) {
+            console.error('❌ [CRMConnectionsManager] Connect failed:', error);
+            this.openConnectForm(provider, error.message);
+        }
+    }
+
+    openMapping(connectionId, { mapping = null, error = null } = {}) {
+        const connection = this.findConnection(connectionId);
+        const panel = this.getPanel();
+        if (!connection || !panel) return;
+
+        const connector = this.createConnector(connection);
+        this.mappingConnectionId = connectionId;
+        panel.innerHTML = this.renderer.renderMappingEditor(
+            connection,
+            connector,
+            mapping || this.syncService.resolveMapping(connector, connection.field_mapping),
+            error
+        );
+    }
+
+    readMappingForm() {
+        const mapping = {};
+        const fieldKeys = {};
+
+        document.querySelectorAll('[data-crm-target]').forEach(select => {
+            // Empty values are kept so a default can be switched off
+            mapping[select.dataset.crmTarget] = select.value;
+        });
+        document.querySelectorAll('[data-crm-field-key]').forEach(input => {
+            const value = input.value.trim();
+            if (value) fieldKeys[input.dataset.crmFieldKey] = value;
+        });
+
+        return { mapping, fieldKeys };
+    }
+
+    async saveMapping() {
+        const connection = this.findConnection(this.mappingConnectionId);
+        if (!connection) return;
+
+        const { mapping, fieldKeys } = this.readMappingForm();
+        const connector = this.createConnector(connection);
+        const resolved = this.syncService.resolveMapping(connector, mapping);
+        const check = this.syncService.validateMapping(connector, resolved);
+
+        if (!check.valid) {
+            this.openMapping(connection.id, { mapping: resolved, error: check.error });
+            return;
+        }
+
+        const submit = document.getElementById('crm-mapping-submit');
+        if (submit) submit.disabled = true;
+
+        if (await this.updateConnection(connection.id, { field_mapping: mapping, field_keys: fieldKeys })) {
+            this.closePanel();
+            window.OsliraApp?.showMessage?.('Field mapping saved', 'success');
+        } else if (submit) {
+            submit.disabled = false;
+        }
+    }
+
+    resetMapping() {
+        const connection = this.findConnection(this.mappingConnectionId);
+        if (!connection) return;
+
+        const connector = this.createConnector(connection);
+        this.openMapping(connection.id, { mapping: { ...connector.defaultMapping } });
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.CRMConnectionsManager = CRMConnectionsManager;
+
+console.log('✅ [CRMConnectionsManager] Loaded');
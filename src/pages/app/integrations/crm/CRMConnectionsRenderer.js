@@ -0,0 +1,196 @@
+// =============================================================================
+// CRM CONNECTIONS RENDERER - Pure HTML Generation
+// Path: /public/pages/app/integrations/crm/CRMConnectionsRenderer.js
+// Dependencies: CRMSyncService, CRMConnectorRegistry (provider descriptions), ValidationUtils
+// =============================================================================
+
+/**
+ * @class CRMConnectionsRenderer
+ * @description Connection list, connect form and field mapping editor
+ */
+class CRMConnectionsRenderer {
+    constructor(syncService) {
+        this.syncService = syncService;
+    }
+
+    // =========================================================================
+    // CONNECTIONS
+    // =========================================================================
+
+    renderConnectionList(connections, providers) {
+        if (!connections || connections.length === 0) {
+            return `
+                <div class="grid grid-cols-3 gap-3">
+                    ${providers.map(provider => `
+                        <button onclick="window.openCRMConnectForm('${provider.id}')"
+                                class="p-4 text-left bg-white border border-gray-200 rounded-2xl hover:border-indigo-300 hover:shadow-sm transition">
+                            <span class="block text-sm font-semibold text-gray-900">${window.OsliraValidationUtils.escapeHTML(provider.label)}</span>
+                            <span class="block text-xs text-gray-500 mt-1">Push leads as ${window.OsliraValidationUtils.escapeHTML(provider.objectLabel)}s</span>
+                        </button>
+                    `).join('')}
+                </div>
+            `;
+        }
+
+        return `<div class="space-y-3">${connections.map(connection => this.renderConnection(connection)).join('')}</div>`;
+    }
+
+    renderConnection(connection) {
+        const enabled = connection.enabled !== false;
+        const label = this.syncService.getProviderLabel(connection.provider);
+
+        return `
+            <div class="p-4 bg-white border border-gray-200 rounded-2xl">
+                <div class="flex items-start justify-between gap-4">
+                    <div class="min-w-0">
+                        <div class="flex items-center gap-2">
+                            <span class="w-2 h-2 rounded-full ${enabled ? 'bg-green-500' : 'bg-gray-300'}" aria-hidden="true"></span>
+                            <span class="text-sm font-semibold text-gray-900">${window.OsliraValidationUtils.escapeHTML(label)}</span>
+                            ${connection.is_default ? '<span class="px-2 py-0.5 text-xs font-medium text-indigo-700 bg-indigo-50 rounded-full">Default</span>' : ''}
+                            ${connection.account_name ? `<span class="text-sm text-gray-500">${window.OsliraValidationUtils.escapeHTML(connection.account_name)}</span>` : ''}
+                        </div>
+                        ${connection.base_url ? `<p class="text-xs text-amber-700 mt-1">Sending to ${window.OsliraValidationUtils.escapeHTML(connection.base_url)}</p>` : ''}
+                    </div>
+                    <label class="flex items-center gap-2 text-sm text-gray-600 cursor-pointer shrink-0">
+                        <input type="checkbox" ${enabled ? 'checked' : ''} onchange="window.toggleCRMConnection('${connection.id}', this.checked)"
+                               class="w-4 h-4 text-indigo-600 border-gray-300 rounded">
+                        ${enabled ? 'Active' : 'Paused'}
+                    </label>
+                </div>
+                <div class="flex flex-wrap items-center gap-2 mt-4 text-sm">
+                    <button onclick="window.editCRMMapping('${connection.id}')" class="px-3 py-1.5 font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200">Field mapping</button>
+                    <button onclick="window.testCRMConnection('${connection.id}')" class="px-3 py-1.5 font-medium text-indigo-700 bg-indigo-50 rounded-lg hover:bg-indigo-100">Test connection</button>
+                    <span class="flex-1"></span>
+                    ${connection.is_default ? '' : `<button onclick="window.makeDefaultCRMConnection('${connection.id}')" class="px-3 py-1.5 text-gray-600 hover:text-gray-900">Make default</button>`}
+                    <button onclick="window.disconnectCRM('${connection.id}')" class="px-3 py-1.5 text-red-600 hover:text-red-700">Disconnect</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // CONNECT FORM
+    // =========================================================================
+
+    /**
+     * @param {Object} options - { allowBaseUrl }: the base URL override is a
+     * development tool and only rendered there
+     */
+    renderConnectForm(provider, providers, error = null, { allowBaseUrl = false } = {}) {
+        return `
+            <form id="crm-connect-form" class="p-5 bg-gray-50 border border-gray-200 rounded-2xl space-y-4" onsubmit="event.preventDefault(); window.saveCRMConnection();" novalidate>
+                <div>
+                    <label for="crm-provider" class="block text-sm font-medium text-gray-800 mb-1">CRM</label>
+                    <select id="crm-provider" onchange="window.openCRMConnectForm(this.value)" class="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg">
+                        ${providers.map(item => `<option value="${item.id}" ${item.id === provider.id ? 'selected' : ''}>${window.OsliraValidationUtils.escapeHTML(item.label)}</option>`).join('')}
+                    </select>
+                </div>
+                ${provider.credentialFields.map(field => `
+                    <div>
+                        <label for="crm-credential-${field.key}" class="block text-sm font-medium text-gray-800 mb-1">${window.OsliraValidationUtils.escapeHTML(field.label)}</label>
+                        <input id="crm-credential-${field.key}" data-crm-credential="${field.key}" type="${field.type === 'password' ? 'password' : 'text'}" autocomplete="off"
+                               class="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                    </div>
+                `).join('')}
+                ${allowBaseUrl ? `
+                <details>
+                    <summary class="text-sm text-gray-600 cursor-pointer">Advanced</summary>
+                    <label for="crm-base-url" class="block text-sm font-medium text-gray-800 mt-3 mb-1">API base URL override</label>
+                    <input id="crm-base-url" type="url" placeholder="http://localhost:4010/${provider.id}"
+                           class="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                    <p class="text-xs text-gray-500 mt-1">Leave empty for ${window.OsliraValidationUtils.escapeHTML(provider.label)}. Point it at a mock CRM server to try the connector without touching real data.</p>
+                </details>
+                ` : ''}
+                ${error ? `<p class="text-sm text-red-600" role="alert">${window.OsliraValidationUtils.escapeHTML(error)}</p>` : ''}
+                <div class="flex justify-end gap-2">
+                    <button type="button" onclick="window.closeCRMPanel()" class="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-xl hover:bg-gray-50">Cancel</button>
+                    <button type="submit" id="crm-connect-submit" class="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50">Connect ${window.OsliraValidationUtils.escapeHTML(provider.label)}</button>
+                </div>
+            </form>
+        `;
+    }
+
+    // =========================================================================
+    // FIELD MAPPING
+    // =========================================================================
+
+    /**
+     * One row per CRM field: source column select, plus the provider field
+     * key for custom fields (HubSpot property names, Pipedrive hashes, Salesforce __c)
+     */
+    renderMappingEditor(connection, connector, mapping, error = null) {
+        const sourceGroups = this.syncService.getSourceGroups();
+
+        return `
+            <form id="crm-mapping-form" class="p-5 bg-gray-50 border border-gray-200 rounded-2xl space-y-4" onsubmit="event.preventDefault(); window.saveCRMMapping();" novalidate>
+                <input type="hidden" id="crm-mapping-connection" value="${window.OsliraValidationUtils.escapeHTML(connection.id)}">
+                <div>
+                    <h3 class="text-base font-semibold text-gray-900">${window.OsliraValidationUtils.escapeHTML(connector.label)} field mapping</h3>
+                    <p class="text-xs text-gray-500">Leads are matched on <strong>${window.OsliraValidationUtils.escapeHTML(connector.getTargetField(connector.dedupeTarget)?.label || connector.dedupeTarget)}</strong>, so pushing a lead again updates its ${window.OsliraValidationUtils.escapeHTML(connector.objectLabel)} instead of creating a duplicate.</p>
+                </div>
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-xs uppercase tracking-wide text-gray-500">
+                            <th class="py-2 font-semibold">${window.OsliraValidationUtils.escapeHTML(connector.label)} field</th>
+                            <th class="py-2 font-semibold">Oslira source</th>
+                            <th class="py-2 font-semibold">Field key</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${connector.targetFields.map(field => `
+                            <tr class="border-t border-gray-200">
+                                <td class="py-2 pr-3 text-gray-800">${window.OsliraValidationUtils.escapeHTML(field.label)}${field.required ? ' <span class="text-red-500" title="Required">*</span>' : ''}</td>
+                                <td class="py-2 pr-3">
+                                    <select data-crm-target="${field.key}" class="w-full px-2 py-1.5 border border-gray-200 rounded-lg">
+                                        <option value="">- Not synced -</option>
+                                        ${sourceGroups.map(group => `
+                                            <optgroup label="${window.OsliraValidationUtils.escapeHTML(group.label)}">
+                                                ${group.columns.map(column => `
+                                                    <option value="${column.key}" ${mapping[field.key] === column.key ? 'selected' : ''}>${window.OsliraValidationUtils.escapeHTML(column.label)}</option>
+                                                `).join('')}
+                                            </optgroup>
+                                        `).join('')}
+                                    </select>
+                                </td>
+                                <td class="py-2">
+                                    ${field.custom ? `
+                                        <input data-crm-field-key="${field.key}" type="text" value="${window.OsliraValidationUtils.escapeHTML(connection.field_keys?.[field.key] || '')}"
+                                               placeholder="${window.OsliraValidationUtils.escapeHTML(field.providerKey || 'custom field key')}"
+                                               class="w-full px-2 py-1.5 border border-gray-200 rounded-lg font-mono text-xs">
+                                    ` : `<code class="text-xs text-gray-500">${window.OsliraValidationUtils.escapeHTML(field.providerKey || field.key)}</code>`}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${error ? `<p class="text-sm text-red-600" role="alert">${window.OsliraValidationUtils.escapeHTML(error)}</p>` : ''}
+                <div class="flex justify-between gap-2">
+                    <button type="button" onclick="window.resetCRMMapping()" class="px-4 py-2 text-sm text-gray-600 hover:text-gray-900">Reset to defaults</button>
+                    <div class="flex gap-2">
+                        <button type="button" onclick="window.closeCRMPanel()" class="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-xl hover:bg-gray-50">Cancel</button>
+                        <button type="submit" id="crm-mapping-submit" class="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50">Save mapping</button>
+                    </div>
+                </div>
+            </form>
+        `;
+    }
+
+    renderLoading(label = 'Loading…') {
+        return `<p class="py-8 text-center text-sm text-gray-500">${window.OsliraValidationUtils.escapeHTML(label)}</p>`;
+    }
+
+    renderError(message) {
+        return `
+            <div class="p-4 text-sm text-red-700 bg-red-50 border border-red-200 rounded-2xl" role="alert">
+                ${window.OsliraValidationUtils.escapeHTML(message)}
+            </div>
+        `;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.CRMConnectionsRenderer = CRMConnectionsRenderer;
+
+console.log('✅ [CRMConnectionsRenderer] Loaded');
@@ -0,0 +1,391 @@
+// =============================================================================
+// WEBHOOK MANAGER - Orchestration Layer
+// Path: /public/pages/app/integrations/webhooks/WebhookManager.js
+// Dependencies: WebhookService, WebhookRenderer, WebhooksAPI, StateManager
+// =============================================================================
+
+/**
+ * @class WebhookManager
+ * @description Webhook section of the integrations page
+ *
+ * Responsibilities:
+ * - Load and render the business's endpoints (WebhooksAPI.listWebhooks)
+ * - Create / edit / pause / delete endpoints and rotate their signing secret
+ * - Show the delivery log for one endpoint with retry / replay
+ * - Send test events
+ */
+class WebhookManager {
+    constructor() {
+        this.webhookService = new window.WebhookService();
+        this.renderer = new window.WebhookRenderer(this.webhookService);
+
+        this.webhooks = [];
+        this.editingId = null;
+        this.isFormOpen = false;
+        this.formErrors = {};
+        this.secret = null;
+        this.resetDeliveries(null);
+
+        console.log('🪝 [WebhookManager] Instance created');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get webhooksAPI() {
+        return window.OsliraWebhooksAPI;
+    }
+
+    get businessId() {
+        return window.OsliraStateManager?.getState('business.selected')?.id ||
+            localStorage.getItem('selectedBusinessId');
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        this.exposeGlobalHandlers();
+
+        const docs = document.getElementById('webhook-event-docs');
+        if (docs) docs.innerHTML = this.renderer.renderEventDocs();
+
+        window.OsliraEventBus?.on?.('business:changed', () => {
+            this.resetDeliveries(null);
+            this.secret = null;
+            this.closeForm();
+            this.loadWebhooks();
+        });
+
+        await this.loadWebhooks();
+        console.log('✅ [WebhookManager] Initialized');
+    }
+
+    exposeGlobalHandlers() {
+        window.openWebhookForm = () => this.openForm();
+        window.editWebhook = (webhookId) => this.openForm(webhookId);
+        window.cancelWebhookForm = () => this.closeForm();
+        window.saveWebhook = () => this.saveWebhook();
+        window.toggleWebhook = (webhookId, enabled) => this.toggleWebhook(webhookId, enabled);
+        window.deleteWebhook = (webhookId) => this.deleteWebhook(webhookId);
+        window.rotateWebhookSecret = (webhookId) => this.rotateSecret(webhookId);
+        window.copyWebhookSecret = () => this.copySecret();
+        window.dismissWebhookSecret = () => this.showSecret(null);
+        window.sendWebhookTest = (webhookId) => this.sendTestEvent(webhookId);
+        window.showWebhookDeliveries = (webhookId) => this.showDeliveries(webhookId);
+        window.filterWebhookDeliveries = (status) => this.filterDeliveries(status);
+        window.refreshWebhookDeliveries = () => this.loadDeliveries();
+        window.loadMoreWebhookDeliveries = () => this.loadMoreDeliveries();
+        window.redeliverWebhook = (deliveryId) => this.redeliver(deliveryId);
+    }
+
+    // =========================================================================
+    // ENDPOINTS
+    // =========================================================================
+
+    async loadWebhooks() {
+        const list = document.getElementById('webhook-list');
+        if (!list) return;
+
+        if (!this.businessId || !this.webhooksAPI) {
+            list.innerHTML = this.renderer.renderError('Select a business to manage its webhooks.');
+            return;
+        }
+
+        list.innerHTML = this.renderer.renderLoading('Loading endpoints…');
+
+        try {
+            this.webhooks = await this.webhooksAPI.listWebhooks(this.businessId);
+            this.renderList();
+
+        } catch (error) {
+            console.error('❌ [WebhookManager] Failed to load webhooks:', error);
+            list.innerHTML = this.renderer.renderError(`Could not load webhooks: ${error.message}`);
+        }
+    }
+
+    renderList() {
+        const list = document.getElementById('webhook-list');
+        if (list) {
+            list.innerHTML = this.renderer.renderEndpointList(this.webhooks, { selectedId: this.deliveries.webhookId });
+        }
+    }
+
+    findWebhook(webhookId) {
+        return this.webhooks.find(webhook => webhook.id === webhookId) || null;
+    }
+
+    replaceWebhook(updated) {
+        this.webhooks = this.webhooks.map(webhook => webhook.id === updated.id ? { ...webhook, ...updated } : webhook);
+    }
+
+    // =========================================================================
+    // FORM
+    // =========================================================================
+
+    openForm(webhookId = null) {
+        this.editingId = webhookId;
+        this.isFormOpen = true;
+        this.formErrors = {};
+        this.renderForm();
+        document.getElementById('webhook-url')?.focus();
+    }
+
+    closeForm() {
+        this.editingId = null;
+        this.isFormOpen = false;
+        this.formErrors = {};
+        this.renderForm();
+    }
+
+    renderForm(values = null) {
+        const container = document.getElementById('webhook-form-container');
+        if (!container) return;
+
+        container.innerHTML = this.isFormOpen
+            ? this.renderer.renderForm(values || this.findWebhook(this.editingId), this.formErrors)
+            : '';
+    }
+
+    readForm() {
+        return {
+            id: document.getElementById('webhook-form-id')?.value || null,
+            url: document.getElementById('webhook-url')?.value || '',
+            description: document.getElementById('webhook-description')?.value || '',
+            events: Array.from(document.querySelectorAll('[data-webhook-event]:checked')).map(input => input.dataset.webhookEvent)
+        };
+    }
+
+    async saveWebhook() {
+        const input = this.readForm();
+        const validation = this.webhookService.validateWebhook(input);
+
+        this.formErrors = validation.errors;
+        if (!validation.valid) {
+            this.renderForm(input);
+            return;
+        }
+
+        const submit = document.getElementById('webhook-form-submit');
+        if (submit) submit.disabled = true;
+
+        try {
+            if (input.id) {
+                const updated = await this.webhooksAPI.updateWebhook(this.businessId, input.id, validation.webhook);
+                this.replaceWebhook({ id: input.id, ...validation.webhook, ...updated });
+                window.OsliraApp?.showMessage?.('Webhook updated', 'success');
+
+            } else {
+                const created = await this.webhooksAPI.createWebhook(this.businessId, { ...validation.webhook, enabled: true });
+                const { secret, ...webhook } = created;
+                this.webhooks = [...this.webhooks, webhook];
+                this.showSecret(secret);
+            }
+
+            this.closeForm();
+            this.renderList();
+
+        } catch (error) {
+            console.error('❌ [WebhookManager] Failed to save webhook:', error);
+            this.formErrors = { url: error.message };
+            this.renderForm(input);
+        }
+    }
+
+    async toggleWebhook(webhookId, enabled) {
+        try {
+            const updated = await this.webhooksAPI.updateWebhook(this.businessId, webhookId, { enabled });
+            this.replaceWebhook({ id: webhookId, enabled, ...updated });
+
+        } catch (error) {
+            console.error('❌ [WebhookManager] Failed to toggle webhook:', error);
+            window.OsliraApp?.showMessage?.(`Could not ${enabled ? 'enable' : 'pause'} the endpoint: ${error.message}`, 'error');
+        }
+
+        this.renderList();
+    }
+
+    async deleteWebhook(webhookId) {
+        const webhook = this.findWebhook(webhookId);
+        if (!webhook || !confirm(`Delete the endpoint ${webhook.url}? Pending deliveries will be dropped.`)) return;
+
+        try {
+            await this.webhooksAPI.deleteWebhook(this.businessId, webhookId);
+            this.webhooks = this.webhooks.filter(item => item.id !== webhookId);
+
+            if (this.deliveries.webhookId === webhookId) {
+                this.resetDeliveries(null);
+                this.renderDeliveries();
+            }
+
+            this.renderList();
+            window.OsliraApp?.showMessage?.('Webhook deleted', 'success');
+
+        } catch (error) {
+            console.error('❌ [WebhookManager] Failed to delete webhook:', error);
+            window.OsliraApp?.showMessage?.(`Could not delete the endpoint: ${error.message}`, 'error');
+        }
+    }
+
+    // =========================================================================
+    // SIGNING SECRET
+    // =========================================================================
+
+    async rotateSecret(webhookId) {
+        if (!confirm('Rotate the signing secret? The current secret stops working immediately.')) return;
+
+        try {
+            const { secret } = await this.webhooksAPI.rotateSecret(this.businessId, webhookId);
+            this.showSecret(secret);
+
+        } catch (error) {
+            console.error('❌ [WebhookManager] Failed to rotate secret:', error);
+            window.OsliraApp?.showMessage?.(`Could not rotate the secret: ${error.message}`, 'error');
+        }
+    }
+
+    showSecret(secret) {
+        this.secret = secret || null;
+
+        const container = document.getElementById('webhook-secret');
+        if (container) {
+            container.innerHTML = this.secret ? this.renderer.renderSecret(this.secret) : '';
+        }
+    }
+
+    async copySecret() {
+        if (!this.secret) return;
+
+        try {
+            await navigator.clipboard.writeText(this.secret);
+            window.OsliraApp?.showMessage?.('Secret copied', 'success');
+        } catch (error) {
+            window.OsliraApp?.showMessage?.('Copy failed - select the secret and copy it manually', 'error');
+        }
+    }
+
+    // =========================================================================
+    // TEST EVENTS
+    // =========================================================================
+
+    async sendTestEvent(webhookId) {
+        const eventType = document.getElementById(`webhook-test-event-${webhookId}`)?.value ||
+            this.webhookService.getEventTypes()[0];
+
+        try {
+            const delivery = await this.webhooksAPI.sendTestEvent(this.businessId, webhookId, eventType);
+            const status = this.webhookService.getDeliveryStatus(delivery);
+
+            window.OsliraApp?.showMessage?.(
+                `Test ${eventType}: ${status.label} (${this.webhookService.formatResponse(delivery)})`,
+                delivery?.status === 'failed' ? 'error' : 'success'
+            );
+
+            await this.showDeliveries(webhookId);
+
+        } catch (error) {
+            console.error('❌ [WebhookManager] Test event failed:', error);
+            window.OsliraApp?.showMessage?.(`Test event failed: ${error.message}`, 'error');
+        }
+    }
+
+    // =========================================================================
+    // DELIVERY LOG
+    // =========================================================================
+
+    resetDeliveries(webhookId, statusFilter = '') {
+        this.deliveries = {
+            webhookId,
+            items: [],
+            nextCursor: null,
+            hasMore: false,
+            isLoadingMore: false,
+            statusFilter,
+            requestId: (this.deliveries?.requestId || 0) + 1
+        };
+    }
+
+    showDeliveries(webhookId) {
+        this.resetDeliveries(webhookId);
+        this.renderList();
+        return this.loadDeliveries();
+    }
+
+    filterDeliveries(status) {
+        this.resetDeliveries(this.deliveries.webhookId, status);
+        return this.loadDeliveries();
+    }
+
+    loadMoreDeliveries() {
+        if (!this.deliveries.hasMore || this.deliveries.isLoadingMore) return;
+
+        this.deliveries.isLoadingMore = true;
+        this.renderDeliveries();
+        return this.loadDeliveries({ append: true });
+    }
+
+    async loadDeliveries({ append = false } = {}) {
+        const { webhookId, statusFilter } = this.deliveries;
+        const container = document.getElementById('webhook-deliveries');
+        if (!webhookId || !container) return;
+
+        const requestId = this.deliveries.requestId;
+        if (!append) container.innerHTML = this.renderer.renderLoading('Loading deliveries…');
+
+        try {
+            const page = await this.webhooksAPI.getDeliveries(this.businessId, webhookId, {
+                cursor: append ? this.deliveries.nextCursor : null,
+                status: statusFilter || null
+            });
+
+            if (requestId !== this.deliveries.requestId) return;
+
+            this.deliveries.items = append ? [...this.deliveries.items, ...page.deliveries] : page.deliveries;
+            this.deliveries.nextCursor = page.nextCursor;
+            this.deliveries.hasMore = page.hasMore;
+            this.deliveries.isLoadingMore = false;
+            this.renderDeliveries();
+
+        } catch (error) {
+            if (requestId !== this.deliveries.requestId) return;
+
+            console.error('❌ [WebhookManager] Failed to load deliveries:', error);
+            this.deliveries.isLoadingMore = false;
+            container.innerHTML = this.renderer.renderError(`Could not load deliveries: ${error.message}`);
+        }
+    }
+
+    renderDeliveries() {
+        const container = document.getElementById('webhook-deliveries');
+        if (!container) return;
+
+        const webhook = this.findWebhook(this.deliveries.webhookId);
+        container.innerHTML = webhook
+            ? this.renderer.renderDeliveries(webhook, this.deliveries.items, this.deliveries)
+            : '';
+    }
+
+    async redeliver(deliveryId) {
+        const { webhookId } = this.deliveries;
+        if (!webhookId) return;
+
+        try {
+            await this.webhooksAPI.redeliver(this.businessId, webhookId, deliveryId);
+            window.OsliraApp?.showMessage?.('Delivery queued again', 'success');
+            await this.filterDeliveries(this.deliveries.statusFilter);
+
+        } catch (error) {
+            console.error('❌ [WebhookManager] Redeliver failed:', error);
+            window.OsliraApp?.showMessage?.(`Could not resend the delivery: ${error.message}`, 'error');
+        }
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.WebhookManager = WebhookManager;
+
+console.log('✅ [WebhookManager] Loaded');
@@ -0,0 +1,264 @@
+// =============================================================================
+// WEBHOOK RENDERER - Pure HTML Generation
+// Path: /public/pages/app/integrations/webhooks/WebhookRenderer.js
+// Dependencies: WebhookService, ValidationUtils
+// =============================================================================
+
+/**
+ * @class WebhookRenderer
+ * @description Endpoint list, endpoint form, one-time secret panel and delivery log
+ */
+class WebhookRenderer {
+    constructor(webhookService) {
+        this.webhookService = webhookService;
+    }
+
+    // =========================================================================
+    // ENDPOINTS
+    // =========================================================================
+
+    renderEndpointList(webhooks, { selectedId = null } = {}) {
+        if (!webhooks || webhooks.length === 0) {
+            return `
+                <div class="text-center py-12 border-2 border-dashed border-gray-200 rounded-2xl">
+                    <p class="text-gray-900 font-medium">No webhook endpoints yet</p>
+                    <p class="text-sm text-gray-500 mt-1">Send analysis and lead events to your own systems as they happen.</p>
+                    <button onclick="window.openWebhookForm()" class="mt-4 px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700">
+                        Add endpoint
+                    </button>
+                </div>
+            `;
+        }
+
+        return `<div class="space-y-3">${webhooks.map(webhook => this.renderEndpoint(webhook, webhook.id === selectedId)).join('')}</div>`;
+    }
+
+    renderEndpoint(webhook, isSelected) {
+        const enabled = webhook.enabled !== false;
+        const events = (webhook.events || []).map(type => `
+            <span class="px-2 py-0.5 text-xs font-medium text-indigo-700 bg-indigo-50 rounded-full">${window.OsliraValidationUtils.escapeHTML(type)}</span>
+        `).join('');
+
+        return `
+            <div class="p-4 bg-white border ${isSelected ? 'border-indigo-400 ring-1 ring-indigo-200' : 'border-gray-200'} rounded-2xl" data-webhook-id="${window.OsliraValidationUtils.escapeHTML(webhook.id)}">
+                <div class="flex items-start justify-between gap-4">
+                    <div class="min-w-0">
+                        <div class="flex items-center gap-2">
+                            <span class="w-2 h-2 rounded-full ${enabled ? 'bg-green-500' : 'bg-gray-300'}" aria-hidden="true"></span>
+                            <code class="text-sm font-medium text-gray-900 truncate">${window.OsliraValidationUtils.escapeHTML(webhook.url)}</code>
+                        </div>
+                        ${webhook.description ? `<p class="text-sm text-gray-500 mt-1">${window.OsliraValidationUtils.escapeHTML(webhook.description)}</p>` : ''}
+                        <div class="flex flex-wrap gap-1.5 mt-2">${events}</div>
+                    </div>
+                    <label class="flex items-center gap-2 text-sm text-gray-600 cursor-pointer shrink-0">
+                        <input type="checkbox" ${enabled ? 'checked' : ''} onchange="window.toggleWebhook('${webhook.id}', this.checked)"
+                               class="w-4 h-4 text-indigo-600 border-gray-300 rounded">
+                        ${enabled ? 'Active' : 'Paused'}
+                    </label>
+                </div>
+                <div class="flex flex-wrap items-center gap-2 mt-4 text-sm">
+                    <button onclick="window.showWebhookDeliveries('${webhook.id}')" class="px-3 py-1.5 font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200">Deliveries</button>
+                    <select id="webhook-test-event-${webhook.id}" class="px-2 py-1.5 border border-gray-200 rounded-lg" aria-label="Test event type">
+                        ${(webhook.events || this.webhookService.getEventTypes()).map(type => `
+                            <option value="${window.OsliraValidationUtils.escapeHTML(type)}">${window.OsliraValidationUtils.escapeHTML(this.webhookService.getEventLabel(type))}</option>
+                        `).join('')}
+                    </select>
+                    <button onclick="window.sendWebhookTest('${webhook.id}')" class="px-3 py-1.5 font-medium text-indigo-700 bg-indigo-50 rounded-lg hover:bg-indigo-100">Send test event</button>
+                    <span class="flex-1"></span>
+                    <button onclick="window.editWebhook('${webhook.id}')" class="px-3 py-1.5 text-gray-600 hover:text-gray-900">Edit</button>
+                    <button onclick="window.rotateWebhookSecret('${webhook.id}')" class="px-3 py-1.5 text-gray-600 hover:text-gray-900">Rotate secret</button>
+                    <button onclick="window.deleteWebhook('${webhook.id}')" class="px-3 py-1.5 text-red-600 hover:text-red-700">Delete</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // FORM
+    // =========================================================================
+
+    renderForm(webhook = null, errors = {}) {
+        const selected = new Set(webhook?.events || []);
+
+        return `
+            <form id="webhook-form" class="p-5 bg-gray-50 border border-gray-200 rounded-2xl space-y-4" onsubmit="event.preventDefault(); window.saveWebhook();" novalidate>
+                <input type="hidden" id="webhook-form-id" value="${window.OsliraValidationUtils.escapeHTML(webhook?.id || '')}">
+                <div>
+                    <label for="webhook-url" class="block text-sm font-medium text-gray-800 mb-1">Endpoint URL</label>
+                    <input id="webhook-url" type="url" value="${window.OsliraValidationUtils.escapeHTML(webhook?.url || '')}" placeholder="https://example.com/webhooks/oslira"
+                           class="w-full px-3 py-2 text-sm border ${errors.url ? 'border-red-400' : 'border-gray-200'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                    ${this.renderFieldError(errors.url)}
+                </div>
+                <div>
+                    <label for="webhook-description" class="block text-sm font-medium text-gray-800 mb-1">Description <span class="font-normal text-gray-500">(optional)</span></label>
+                    <input id="webhook-description" type="text" maxlength="${this.webhookService.maxDescriptionLength}" value="${window.OsliraValidationUtils.escapeHTML(webhook?.description || '')}"
+                           class="w-full px-3 py-2 text-sm border ${errors.description ? 'border-red-400' : 'border-gray-200'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                    ${this.renderFieldError(errors.description)}
+                </div>
+                <fieldset>
+                    <legend class="text-sm font-medium text-gray-800 mb-2">Events</legend>
+                    <div class="grid grid-cols-2 gap-2">
+                        ${Object.entries(this.webhookService.events).map(([type, event]) => `
+                            <label class="flex items-start gap-2 p-3 bg-white border border-gray-200 rounded-xl cursor-pointer">
+                                <input type="checkbox" data-webhook-event="${type}" ${selected.has(type) ? 'checked' : ''} class="mt-0.5 w-4 h-4 text-indigo-600 border-gray-300 rounded">
+                                <span>
+                                    <span class="block text-sm font-medium text-gray-900">${event.label} <code class="text-xs text-gray-500">${type}</code></span>
+                                    <span class="block text-xs text-gray-500">${event.description}</span>
+                                </span>
+                            </label>
+                        `).join('')}
+                    </div>
+                    ${this.renderFieldError(errors.events)}
+                </fieldset>
+                <div class="flex justify-end gap-2">
+                    <button type="button" onclick="window.cancelWebhookForm()" class="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-xl hover:bg-gray-50">Cancel</button>
+                    <button type="submit" id="webhook-form-submit" class="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                        ${webhook?.id ? 'Save changes' : 'Add endpoint'}
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+
+    renderFieldError(message) {
+        return message ? `<p class="text-xs text-red-600 mt-1" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>` : '';
+    }
+
+    // =========================================================================
+    // SIGNING SECRET
+    // =========================================================================
+
+    /**
+     * Secrets are only returned on create / rotate, so this is the one chance to copy it
+     */
+    renderSecret(secret) {
+        return `
+            <div class="p-5 bg-amber-50 border border-amber-200 rounded-2xl" role="status">
+                <div class="flex items-start justify-between gap-4">
+                    <div class="min-w-0">
+                        <p class="text-sm font-semibold text-amber-900">Signing secret - copy it now, it won't be shown again</p>
+                        <code id="webhook-secret-value" class="block mt-2 px-3 py-2 text-sm bg-white border border-amber-200 rounded-lg break-all">${window.OsliraValidationUtils.escapeHTML(secret)}</code>
+                    </div>
+                    <div class="flex gap-2 shrink-0">
+                        <button onclick="window.copyWebhookSecret()" class="px-3 py-1.5 text-sm font-medium text-amber-900 bg-amber-100 rounded-lg hover:bg-amber-200">Copy</button>
+                        <button onclick="window.dismissWebhookSecret()" class="px-3 py-1.5 text-sm text-amber-800 hover:text-amber-950">Done</button>
+                    </div>
+                </div>
+                <p class="text-xs text-amber-800 mt-3">
+                    Every request carries a <code>${this.webhookService.signatureHeader}</code> header. Verify it before trusting the payload:
+                </p>
+                <pre class="mt-2 p-3 text-xs bg-gray-900 text-gray-100 rounded-lg overflow-x-auto">${window.OsliraValidationUtils.escapeHTML(this.webhookService.getVerificationSnippet())}</pre>
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // DELIVERY LOG
+    // =========================================================================
+
+    renderDeliveries(webhook, deliveries, { hasMore = false, isLoadingMore = false, statusFilter = '' } = {}) {
+        const summary = this.webhookService.summarizeDeliveries(deliveries);
+
+        return `
+            <div class="flex items-center justify-between mb-3">
+                <div>
+                    <h3 class="text-base font-semibold text-gray-900">Deliveries</h3>
+                    <p class="text-xs text-gray-500 truncate">${window.OsliraValidationUtils.escapeHTML(webhook.url)}${summary.successRate !== null ? ` · ${summary.successRate}% delivered` : ''}</p>
+                </div>
+                <div class="flex items-center gap-2">
+                    <select onchange="window.filterWebhookDeliveries(this.value)" class="px-2 py-1.5 text-sm border border-gray-200 rounded-lg" aria-label="Filter deliveries">
+                        <option value="" ${!statusFilter ? 'selected' : ''}>All</option>
+                        ${Object.entries(this.webhookService.deliveryStatuses).map(([status, meta]) => `
+                            <option value="${status}" ${status === statusFilter ? 'selected' : ''}>${meta.label}</option>
+                        `).join('')}
+                    </select>
+                    <button onclick="window.refreshWebhookDeliveries()" class="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900">Refresh</button>
+                </div>
+            </div>
+            ${deliveries.length === 0
+                ? '<p class="py-8 text-center text-sm text-gray-500">No deliveries yet - send a test event to try the endpoint.</p>'
+                : `<ul class="divide-y divide-gray-100 border border-gray-200 rounded-2xl bg-white">${deliveries.map(delivery => this.renderDelivery(delivery)).join('')}</ul>`}
+            ${hasMore ? `
+                <div class="text-center mt-3">
+                    <button onclick="window.loadMoreWebhookDeliveries()" ${isLoadingMore ? 'disabled' : ''} class="text-sm text-indigo-600 hover:underline disabled:opacity-50">
+                        ${isLoadingMore ? 'Loading…' : 'Load older deliveries'}
+                    </button>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    renderDelivery(delivery) {
+        const status = this.webhookService.getDeliveryStatus(delivery);
+
+        return `
+            <li class="px-4 py-3">
+                <div class="flex items-center gap-3">
+                    <span class="px-2 py-0.5 text-xs font-medium rounded-full ${status.className}">${status.label}</span>
+                    <span class="text-sm font-medium text-gray-900">${window.OsliraValidationUtils.escapeHTML(delivery.event_type || delivery.event || '')}</span>
+                    ${delivery.is_test ? '<span class="text-xs text-gray-400">test</span>' : ''}
+                    <span class="text-xs text-gray-500">${window.OsliraValidationUtils.escapeHTML(this.webhookService.formatResponse(delivery))}</span>
+                    ${delivery.attempt > 1 ? `<span class="text-xs text-gray-400">attempt ${delivery.attempt}</span>` : ''}
+                    <span class="flex-1"></span>
+                    <time class="text-xs text-gray-500" datetime="${window.OsliraValidationUtils.escapeHTML(delivery.created_at || '')}">${this.formatTimestamp(delivery.created_at)}</time>
+                    ${this.webhookService.canRedeliver(delivery) ? `
+                        <button onclick="window.redeliverWebhook('${delivery.id}')" class="text-xs font-medium text-indigo-600 hover:underline">
+                            ${this.webhookService.getRedeliverLabel(delivery)}
+                        </button>
+                    ` : ''}
+                </div>
+                ${delivery.payload ? `
+                    <details class="mt-2">
+                        <summary class="text-xs text-gray-500 cursor-pointer">Payload</summary>
+                        <pre class="mt-1 p-3 text-xs bg-gray-50 rounded-lg overflow-x-auto">${window.OsliraValidationUtils.escapeHTML(JSON.stringify(delivery.payload, null, 2))}</pre>
+                    </details>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    renderLoading(label = 'Loading…') {
+        return `<p class="py-8 text-center text-sm text-gray-500">${window.OsliraValidationUtils.escapeHTML(label)}</p>`;
+    }
+
+    renderError(message) {
+        return `
+            <div class="p-4 text-sm text-red-700 bg-red-50 border border-red-200 rounded-2xl" role="alert">
+                ${window.OsliraValidationUtils.escapeHTML(message)}
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // EVENT DOCS
+    // =========================================================================
+
+    renderEventDocs() {
+        return Object.keys(this.webhookService.events).map(type => `
+            <details class="border border-gray-200 rounded-xl bg-white">
+                <summary class="px-4 py-2 text-sm font-medium text-gray-800 cursor-pointer"><code>${type}</code></summary>
+                <pre class="mx-4 mb-3 p-3 text-xs bg-gray-50 rounded-lg overflow-x-auto">${window.OsliraValidationUtils.escapeHTML(JSON.stringify(this.webhookService.buildSamplePayload(type), null, 2))}</pre>
+            </details>
+        `).join('');
+    }
+
+    // =========================================================================
+    // UTILITIES
+    // =========================================================================
+
+    formatTimestamp(timestamp) {
+        if (!timestamp) return '';
+
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) return '';
+
+        return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.WebhookRenderer = WebhookRenderer;
+
+console.log('✅ [WebhookRenderer] Loaded');
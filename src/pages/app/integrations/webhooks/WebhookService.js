@@ -0,0 +1,288 @@
+// =============================================================================
+// WEBHOOK SERVICE - Pure Business Logic
+// Path: /public/pages/app/integrations/webhooks/WebhookService.js
+// Dependencies: None
+// =============================================================================
+
+/**
+ * @class WebhookService
+ * @description Event catalogue, endpoint validation and delivery formatting
+ *
+ * Payloads are delivered and signed by the backend. Each request carries an
+ * `Oslira-Signature: t=<unix seconds>,v1=<hex>` header where v1 is
+ * HMAC-SHA256(secret, `${t}.${rawBody}`). This class only describes that
+ * contract for the UI - it never sees a payload after it leaves the browser.
+ */
+class WebhookService {
+    constructor() {
+        this.events = {
+            'analysis.completed': {
+                label: 'Analysis completed',
+                description: 'A light, deep or X-Ray analysis finished and its score is available',
+                sample: {
+                    lead_id: 'lead_123',
+                    run_id: 'run_456',
+                    username: 'example.creator',
+                    analysis_type: 'deep',
+                    overall_score: 82,
+                    niche_fit_score: 78,
+                    engagement_score: 85
+                }
+            },
+            'lead.created': {
+                label: 'Lead created',
+                description: 'A new Instagram profile was added to the business',
+                sample: {
+                    lead_id: 'lead_123',
+                    username: 'example.creator',
+                    full_name: 'Example Creator',
+                    followers_count: 48200,
+                    profile_url: 'https://instagram.com/example.creator'
+                }
+            },
+            'lead.status_changed': {
+                label: 'Lead status changed',
+                description: 'A lead moved to another pipeline stage',
+                sample: {
+                    lead_id: 'lead_123',
+                    username: 'example.creator',
+                    previous_status: 'new',
+                    status: 'contacted'
+                }
+            },
+            'report.generated': {
+                label: 'Report generated',
+                description: 'A scheduled analytics report finished - sent to the endpoints chosen on that report',
+                sample: {
+                    report_id: 'report_123',
+                    run_id: 'reportrun_456',
+                    name: 'Weekly pipeline summary',
+                    format: 'csv',
+                    period_start: '2026-10-12',
+                    period_end: '2026-10-18',
+                    download_url: 'https://app.oslira.com/analytics/reports/runs/reportrun_456/download',
+                    expires_at: '2026-10-26T09:00:00.000Z'
+                }
+            },
+            'credits.low': {
+                label: 'Credits low',
+                description: 'The account balance dropped below the low-credit threshold',
+                sample: {
+                    credits_remaining: 8,
+                    threshold: 10,
+                    plan: 'pro'
+                }
+            },
+            'credits.budget_alert': {
+                label: 'Credit budget alert',
+                description: 'A monthly credit budget crossed an alert threshold - sent to the endpoints chosen in Usage settings',
+                sample: {
+                    budget_id: 'budget_123',
+                    scope: 'business',
+                    target_id: 'business_123',
+                    target_name: 'Example Studio',
+                    monthly_limit: 500,
+                    spent: 400,
+                    threshold: 80,
+                    mode: 'warn'
+                }
+            }
+        };
+
+        this.deliveryStatuses = {
+            pending: { label: 'Pending', className: 'bg-gray-100 text-gray-700' },
+            retrying: { label: 'Retrying', className: 'bg-amber-100 text-amber-800' },
+            succeeded: { label: 'Delivered', className: 'bg-green-100 text-green-800' },
+            failed: { label: 'Failed', className: 'bg-red-100 text-red-700' }
+        };
+
+        this.maxDescriptionLength = 120;
+        this.signatureHeader = 'Oslira-Signature';
+    }
+
+    // =========================================================================
+    // EVENT CATALOGUE
+    // =========================================================================
+
+    getEventTypes() {
+        return Object.keys(this.events);
+    }
+
+    getEventLabel(type) {
+        return this.events[type]?.label || type;
+    }
+
+    /**
+     * Example of the envelope the backend sends, for the docs panel
+     */
+    buildSamplePayload(type) {
+        const event = this.events[type];
+        if (!event) return null;
+
+        return {
+            id: 'evt_0000000000',
+            type,
+            created_at: new Date(0).toISOString(),
+            business_id: 'business_123',
+            data: event.sample
+        };
+    }
+
+    // =========================================================================
+    // VALIDATION
+    // =========================================================================
+
+    /**
+     * Validate an endpoint form before it is sent
+     * @param {Object} input - { url, events, description }
+     * @returns {Object} { valid, errors, webhook }
+     */
+    validateWebhook(input = {}) {
+        const errors = {};
+        const url = (input.url || '').trim();
+        const description = (input.description || '').trim();
+        const events = (input.events || []).filter(type => this.events[type]);
+
+        const urlError = this.validateUrl(url);
+        if (urlError) errors.url = urlError;
+
+        if (events.length === 0) {
+            errors.events = 'Choose at least one event';
+        }
+
+        if (description.length > this.maxDescriptionLength) {
+            errors.description = `Keep the description under ${this.maxDescriptionLength} characters`;
+        }
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors,
+            webhook: { url, events, description }
+        };
+    }
+
+    validateUrl(url) {
+        if (!url) return 'Endpoint URL is required';
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return 'Enter a full URL, e.g. https://example.com/webhooks/oslira';
+        }
+
+        if (parsed.protocol !== 'https:') {
+            return 'Endpoints must use HTTPS';
+        }
+
+        if (parsed.username || parsed.password) {
+            return 'Credentials in the URL are not allowed - verify the signature instead';
+        }
+
+        if (this.isPrivateHost(parsed.hostname)) {
+            return 'Endpoints must be publicly reachable';
+        }
+
+        return null;
+    }
+
+    isPrivateHost(hostname) {
+        const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+        if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) {
+            return true;
+        }
+
+        // IPv6 loopback, unique-local and link-local
+        if (host.includes(':')) {
+            return host === '::1' || /^(fc|fd|fe80)/.test(host);
+        }
+
+        const octets = host.split('.').map(Number);
+        if (octets.length !== 4 || octets.some(octet => !Number.isInteger(octet))) {
+            return false;
+        }
+
+        const [a, b] = octets;
+        return a === 10 || a === 127 || a === 0 ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168);
+    }
+
+    // =========================================================================
+    // DELIVERIES
+    // =========================================================================
+
+    getDeliveryStatus(delivery) {
+        return this.deliveryStatuses[delivery?.status] || this.deliveryStatuses.pending;
+    }
+
+    /**
+     * Failed deliveries are retried, delivered ones replayed - both resend
+     * the original payload with a fresh signature
+     */
+    getRedeliverLabel(delivery) {
+        return delivery?.status === 'failed' ? 'Retry' : 'Replay';
+    }
+
+    canRedeliver(delivery) {
+        return delivery?.status === 'failed' || delivery?.status === 'succeeded';
+    }
+
+    formatResponse(delivery) {
+        if (!delivery) return '';
+
+        const code = delivery.response_status;
+        const duration = delivery.duration_ms;
+
+        if (!code) return delivery.error || 'No response';
+
+        return duration !== null && duration !== undefined ? `HTTP ${code} · ${duration} ms` : `HTTP ${code}`;
+    }
+
+    /**
+     * Endpoint health from its most recent deliveries
+     */
+    summarizeDeliveries(deliveries = []) {
+        const finished = deliveries.filter(delivery => delivery.status === 'succeeded' || delivery.status === 'failed');
+        const failed = finished.filter(delivery => delivery.status === 'failed').length;
+
+        return {
+            total: finished.length,
+            failed,
+            successRate: finished.length ? Math.round(((finished.length - failed) / finished.length) * 100) : null
+        };
+    }
+
+    // =========================================================================
+    // SIGNING SECRETS
+    // =========================================================================
+
+    /**
+     * Node snippet shown next to a freshly issued secret
+     */
+    getVerificationSnippet() {
+        return [
+            "const crypto = require('crypto');",
+            '',
+            'function verifyOsliraSignature(rawBody, header, secret) {',
+            "    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));",
+            "    const expected = crypto.createHmac('sha256', secret)",
+            '        .update(`${parts.t}.${rawBody}`)',
+            "        .digest('hex');",
+            '    const received = Buffer.from(parts.v1 || \'\');',
+            '    const fresh = Math.abs(Date.now() / 1000 - Number(parts.t)) < 300;',
+            '    return fresh && received.length === expected.length &&',
+            '        crypto.timingSafeEqual(Buffer.from(expected), received);',
+            '}'
+        ].join('\n');
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.WebhookService = WebhookService;
+
+console.log('✅ [WebhookService] Loaded');
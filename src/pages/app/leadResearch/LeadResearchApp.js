@@ -0,0 +1,97 @@
+// =============================================================================
+// LEAD RESEARCH APP - New Loader.js System Integration
+// Path: /public/pages/app/leadResearch/LeadResearchApp.js
+// =============================================================================
+
+class LeadResearchApp {
+    constructor() {
+        this.isInitialized = false;
+        this.components = {};
+        console.log('🎯 [LeadResearchApp] Instance created');
+    }
+
+    // =========================================================================
+    // MAIN INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        try {
+            console.log('🚀 [LeadResearchApp] Starting initialization...');
+
+            // Wait for scripts to load
+            window.addEventListener('oslira:scripts:loaded', async () => {
+                await this.initialize();
+            });
+
+        } catch (error) {
+            console.error('❌ [LeadResearchApp] Initialization failed:', error);
+        }
+    }
+
+    async initialize() {
+        console.log('⚙️ [LeadResearchApp] Initializing components...');
+
+        try {
+            // Step 1: Manually render the sidebar (DOMContentLoaded already fired)
+            await this.renderSidebar();
+
+            // Step 2: Seed form, candidates and queue bar
+            await this.initializeDiscovery();
+
+            // Step 3: Mark as initialized
+            this.isInitialized = true;
+            console.log('✅ [LeadResearchApp] Initialization complete');
+
+        } catch (error) {
+            console.error('❌ [LeadResearchApp] Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // SIDEBAR INITIALIZATION
+    // =========================================================================
+
+    async renderSidebar() {
+        console.log('📱 [LeadResearchApp] Rendering sidebar...');
+
+        // Wait for global sidebarManager instance to be available
+        let attempts = 0;
+        while (!window.sidebarManager && attempts < 50) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            attempts++;
+        }
+
+        if (!window.sidebarManager) {
+            throw new Error('SidebarManager not available');
+        }
+
+        await window.sidebarManager.render('#sidebar-container');
+        this.components.sidebar = window.sidebarManager;
+
+        if (this.components.sidebar.setActiveMenuItem) {
+            this.components.sidebar.setActiveMenuItem('leads');
+        }
+
+        console.log('✅ [LeadResearchApp] Sidebar rendered');
+    }
+
+    // =========================================================================
+    // LEAD DISCOVERY
+    // =========================================================================
+
+    async initializeDiscovery() {
+        console.log('🔎 [LeadResearchApp] Initializing lead discovery...');
+
+        this.components.discovery = new window.LeadDiscoveryManager();
+        await this.components.discovery.init();
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadResearchApp = new LeadResearchApp();
+window.LeadResearchApp.init();
+
+console.log('✅ [LeadResearchApp] Loaded and auto-initialized');
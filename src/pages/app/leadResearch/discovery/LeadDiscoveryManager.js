@@ -0,0 +1,352 @@
+// =============================================================================
+// LEAD DISCOVERY MANAGER - Orchestration Layer
+// Path: /public/pages/app/leadResearch/discovery/LeadDiscoveryManager.js
+// Dependencies: LeadDiscoveryService, LeadDiscoveryRenderer, BulkPreflight, AnalysisQueue, LeadsAPI, BusinessAPI, StateManager
+// =============================================================================
+
+/**
+ * @class LeadDiscoveryManager
+ * @description Lead research page
+ *
+ * Responsibilities:
+ * - Take seed hashtags, competitor accounts and keywords (pre-filled from the
+ *   business's onboarding target audience)
+ * - Ask the worker for candidate profiles (LeadsAPI.discoverLeads) and page through them
+ * - Let the user pick candidates and an analysis type, with the credit cost up front
+ * - Queue the picks into AnalysisQueue as one batch
+ */
+class LeadDiscoveryManager {
+    constructor() {
+        this.discoveryService = new window.LeadDiscoveryService();
+        this.renderer = new window.LeadDiscoveryRenderer(this.discoveryService);
+        this.preflight = new window.BulkPreflight();
+
+        this.values = { hashtags: '', accounts: '', keywords: '' };
+        this.errors = {};
+        this.hasSuggestedKeywords = false;
+        this.seeds = null;
+
+        this.candidates = [];
+        this.selected = new Set();
+        this.queued = new Set();
+        this.nextCursor = null;
+        this.hasMore = false;
+        this.isSearching = false;
+        this.isLoadingMore = false;
+        this.isQueuing = false;
+        this.searchToken = 0;
+
+        this.analysisType = 'light';
+
+        console.log('🔎 [LeadDiscoveryManager] Instance created');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get leadsAPI() {
+        return window.OsliraLeadsAPI;
+    }
+
+    get businessAPI() {
+        return window.OsliraBusinessAPI;
+    }
+
+    get analysisQueue() {
+        return window.AnalysisQueue;
+    }
+
+    get businessId() {
+        return window.OsliraStateManager?.getState('business.selected')?.id ||
+            localStorage.getItem('selectedBusinessId');
+    }
+
+    get availableCredits() {
+        const credits = window.OsliraAuth?.user?.credits;
+        return Number.isFinite(credits) ? credits : null;
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        this.exposeGlobalHandlers();
+
+        window.OsliraEventBus?.on?.('business:changed', () => this.reset());
+        window.addEventListener('auth:credits-updated', () => this.renderQueueBar());
+
+        await this.prefillKeywords();
+        this.renderForm();
+        this.renderResults();
+
+        console.log('✅ [LeadDiscoveryManager] Initialized');
+    }
+
+    exposeGlobalHandlers() {
+        window.discoverLeads = () => this.search();
+        window.loadMoreDiscoveryCandidates = () => this.loadMore();
+        window.toggleDiscoveryCandidate = (username) => this.toggleCandidate(username);
+        window.toggleAllDiscoveryCandidates = () => this.toggleAll();
+        window.setDiscoveryAnalysisType = (analysisType) => this.setAnalysisType(analysisType);
+        window.queueDiscoveryCandidates = () => this.queueSelected();
+    }
+
+    /**
+     * Start the keyword seeds from the niche and target audience given in onboarding
+     */
+    async prefillKeywords() {
+        let business = window.OsliraStateManager?.getState('business.selected') || null;
+
+        if (!business?.target_audience && this.businessId && this.businessAPI) {
+            try {
+                business = await this.businessAPI.getBusiness(this.businessId);
+            } catch (error) {
+                console.warn('⚠️ [LeadDiscoveryManager] Could not load the business profile:', error.message);
+            }
+        }
+
+        const keywords = business ? this.discoveryService.suggestKeywords(business) : [];
+        this.values.keywords = keywords.join(', ');
+        this.hasSuggestedKeywords = keywords.length > 0;
+    }
+
+    async reset() {
+        this.searchToken++;
+        this.values = { hashtags: '', accounts: '', keywords: '' };
+        this.errors = {};
+        this.seeds = null;
+        this.candidates = [];
+        this.selected.clear();
+        this.queued.clear();
+        this.isSearching = false;
+
+        await this.prefillKeywords();
+        this.renderForm();
+        this.renderResults();
+    }
+
+    // =========================================================================
+    // SEARCH
+    // =========================================================================
+
+    readForm() {
+        return {
+            hashtags: document.getElementById('discovery-hashtags')?.value || '',
+            accounts: document.getElementById('discovery-accounts')?.value || '',
+            keywords: document.getElementById('discovery-keywords')?.value || ''
+        };
+    }
+
+    async search() {
+        if (this.isSearching) return;
+
+        this.values = this.readForm();
+        const validation = this.discoveryService.validateSeeds(this.values);
+        this.errors = validation.errors;
+
+        if (!validation.valid) {
+            this.renderForm();
+            return;
+        }
+
+        if (!this.businessId || !this.leadsAPI) {
+            this.errors = { form: 'Select a business to research leads for' };
+            this.renderForm();
+            return;
+        }
+
+        this.seeds = validation.seeds;
+        this.candidates = [];
+        this.selected.clear();
+        this.isSearching = true;
+        this.renderForm();
+
+        const results = document.getElementById('discovery-results');
+        if (results) results.innerHTML = this.renderer.renderLoading('Finding candidates…');
+
+        await this.fetchPage();
+
+        this.isSearching = false;
+        this.renderForm();
+    }
+
+    async loadMore() {
+        if (!this.hasMore || this.isLoadingMore || !this.seeds) return;
+
+        this.isLoadingMore = true;
+        this.renderResults();
+
+        await this.fetchPage(this.nextCursor);
+
+        this.isLoadingMore = false;
+        this.renderResults();
+    }
+
+    async fetchPage(cursor = null) {
+        const token = ++this.searchToken;
+
+        try {
+            const page = await this.leadsAPI.discoverLeads(this.businessId, this.seeds, { cursor });
+            if (token !== this.searchToken) return;
+
+            this.candidates = this.discoveryService.mergeCandidates(this.candidates, page.candidates);
+            this.nextCursor = page.nextCursor;
+            this.hasMore = page.hasMore;
+            this.renderResults();
+
+        } catch (error) {
+            if (token !== this.searchToken) return;
+
+            console.error('❌ [LeadDiscoveryManager] Discovery failed:', error);
+            if (cursor) {
+                window.OsliraApp?.showMessage?.(`Could not load more candidates: ${error.message}`, 'error');
+            } else {
+                const results = document.getElementById('discovery-results');
+                if (results) results.innerHTML = this.renderer.renderError(`Could not find candidates: ${error.message}`);
+            }
+        }
+    }
+
+    // =========================================================================
+    // SELECTION
+    // =========================================================================
+
+    toggleCandidate(username) {
+        if (this.selected.has(username)) {
+            this.selected.delete(username);
+        } else {
+            const candidate = this.candidates.find(item => item.username === username);
+            if (!candidate || this.discoveryService.getUnavailableReason(candidate, this.queued)) return;
+            this.selected.add(username);
+        }
+
+        this.renderResults();
+    }
+
+    toggleAll() {
+        const selectable = this.discoveryService.getSelectableUsernames(this.candidates, this.queued);
+        const allSelected = selectable.every(username => this.selected.has(username));
+
+        this.selected = allSelected ? new Set() : new Set(selectable);
+        this.renderResults();
+    }
+
+    setAnalysisType(analysisType) {
+        this.analysisType = analysisType;
+        this.renderQueueBar();
+    }
+
+    getEstimate() {
+        return this.discoveryService.estimateCost(
+            this.selected.size,
+            this.preflight.getCostPerLead(this.analysisType),
+            this.availableCredits
+        );
+    }
+
+    // =========================================================================
+    // QUEUE
+    // =========================================================================
+
+    /**
+     * Hand the selection to the analysis queue as one batch; the queue's footer
+     * shows progress and lets the user pause or cancel it
+     */
+    queueSelected() {
+        if (this.isQueuing || this.selected.size === 0) return;
+
+        if (!this.analysisQueue?.enqueueBulkAnalysis) {
+            window.OsliraApp?.showMessage?.('The analysis queue is not available - reload the page and try again', 'error');
+            return;
+        }
+
+        const estimate = this.getEstimate();
+        if (!estimate.isAffordable) {
+            window.OsliraApp?.showMessage?.(`You need ${estimate.total} credits but have ${estimate.available} left`, 'error');
+            return;
+        }
+
+        const usernames = Array.from(this.selected);
+        this.isQueuing = true;
+        this.renderQueueBar();
+
+        try {
+            const leads = usernames.map(username => ({ username, platform: 'instagram' }));
+            this.analysisQueue.enqueueBulkAnalysis(leads, this.analysisType, this.businessId);
+
+            usernames.forEach(username => this.queued.add(username));
+            this.selected.clear();
+            window.OsliraApp?.showMessage?.(
+                `Queued ${usernames.length} analys${usernames.length === 1 ? 'is' : 'es'} - results appear on your dashboard as they finish`,
+                'success'
+            );
+
+        } catch (error) {
+            console.error('❌ [LeadDiscoveryManager] Failed to queue analyses:', error);
+            window.OsliraApp?.showMessage?.(`Could not queue the analyses: ${error.message}`, 'error');
+        }
+
+        this.isQueuing = false;
+        this.renderResults();
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+
+    renderForm() {
+        const container = document.getElementById('discovery-form');
+        if (container) {
+            container.innerHTML = this.renderer.renderSeedForm(this.values, {
+                errors: this.errors,
+                isSearching: this.isSearching,
+                hasSuggestedKeywords: this.hasSuggestedKeywords
+            });
+        }
+    }
+
+    renderResults() {
+        const container = document.getElementById('discovery-results');
+        if (!container) return;
+
+        if (!this.seeds) {
+            container.innerHTML = this.renderer.renderIntro();
+        } else {
+            container.innerHTML = this.renderer.renderCandidates(this.candidates, {
+                selected: this.selected,
+                queued: this.queued,
+                hasMore: this.hasMore,
+                isLoadingMore: this.isLoadingMore
+            });
+        }
+
+        this.renderQueueBar();
+    }
+
+    renderQueueBar() {
+        const container = document.getElementById('discovery-queue-bar');
+        if (!container) return;
+
+        const costs = {};
+        this.renderer.analysisTypes.forEach(type => {
+            costs[type.key] = this.preflight.getCostPerLead(type.key);
+        });
+
+        container.innerHTML = this.renderer.renderQueueBar({
+            count: this.selected.size,
+            analysisType: this.analysisType,
+            costs,
+            estimate: this.getEstimate(),
+            isQueuing: this.isQueuing
+        });
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadDiscoveryManager = LeadDiscoveryManager;
+
+console.log('✅ [LeadDiscoveryManager] Loaded');
@@ -0,0 +1,223 @@
+// =============================================================================
+// LEAD DISCOVERY RENDERER - Pure HTML Generation
+// Path: /public/pages/app/leadResearch/discovery/LeadDiscoveryRenderer.js
+// Dependencies: LeadDiscoveryService, ValidationUtils
+// =============================================================================
+
+/**
+ * @class LeadDiscoveryRenderer
+ * @description Seed form, candidate previews and the queue bar with its credit estimate
+ */
+class LeadDiscoveryRenderer {
+    constructor(discoveryService) {
+        this.discoveryService = discoveryService;
+
+        // Same wording as the dashboard's research modal
+        this.analysisTypes = [
+            { key: 'light', label: 'Light', description: 'Basic profile metrics' },
+            { key: 'deep', label: 'Deep', description: 'Detailed insights + outreach template' },
+            { key: 'xray', label: 'X-Ray', description: 'Complete psychological profile' }
+        ];
+    }
+
+    // =========================================================================
+    // SEED FORM
+    // =========================================================================
+
+    /**
+     * @param {Object} values - { hashtags, accounts, keywords } as text
+     * @param {Object} options - { errors, isSearching, hasSuggestedKeywords }
+     */
+    renderSeedForm(values = {}, { errors = {}, isSearching = false, hasSuggestedKeywords = false } = {}) {
+        return `
+            <form class="p-6 bg-white border border-gray-200 rounded-2xl space-y-4" onsubmit="event.preventDefault(); window.discoverLeads();" novalidate>
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    ${this.renderSeedField('hashtags', values.hashtags, {
+                        placeholder: '#veganbaking, #homebakery',
+                        hint: 'Profiles posting under these tags',
+                        error: errors.hashtags
+                    })}
+                    ${this.renderSeedField('accounts', values.accounts, {
+                        placeholder: '@competitor, instagram.com/another',
+                        hint: 'Profiles similar to these accounts or engaging with them',
+                        error: errors.accounts
+                    })}
+                    ${this.renderSeedField('keywords', values.keywords, {
+                        placeholder: 'plant-based chef, meal prep',
+                        hint: hasSuggestedKeywords ? 'Pre-filled from your target audience - edit freely' : 'Words that appear in their bio',
+                        error: errors.keywords
+                    })}
+                </div>
+                <div class="flex items-center justify-between gap-4">
+                    ${errors.form ? `<p class="text-sm text-red-600" role="alert">${window.OsliraValidationUtils.escapeHTML(errors.form)}</p>` : '<p class="text-xs text-gray-500">Finding candidates is free - credits are only used when you queue an analysis.</p>'}
+                    <button type="submit" ${isSearching ? 'disabled' : ''} class="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50 shrink-0">
+                        ${isSearching ? 'Searching…' : 'Find leads'}
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+
+    renderSeedField(type, value = '', { placeholder, hint, error }) {
+        const config = this.discoveryService.seedTypes[type];
+
+        return `
+            <div>
+                <label for="discovery-${type}" class="block text-sm font-medium text-gray-800 mb-1">${config.label}</label>
+                <textarea id="discovery-${type}" rows="3" placeholder="${window.OsliraValidationUtils.escapeHTML(placeholder)}"
+                          aria-describedby="discovery-${type}-hint"
+                          class="w-full px-3 py-2 text-sm border ${error ? 'border-red-400' : 'border-gray-200'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">${window.OsliraValidationUtils.escapeHTML(value)}</textarea>
+                ${error
+                    ? `<p id="discovery-${type}-hint" class="text-xs text-red-600 mt-1" role="alert">${window.OsliraValidationUtils.escapeHTML(error)}</p>`
+                    : `<p id="discovery-${type}-hint" class="text-xs text-gray-500 mt-1">${window.OsliraValidationUtils.escapeHTML(hint)} · up to ${config.max}</p>`}
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // CANDIDATES
+    // =========================================================================
+
+    /**
+     * @param {Array} candidates - Normalized candidates
+     * @param {Object} options - { selected, queued, hasMore, isLoadingMore }
+     */
+    renderCandidates(candidates, { selected = new Set(), queued = new Set(), hasMore = false, isLoadingMore = false } = {}) {
+        if (candidates.length === 0) {
+            return '<p class="py-10 text-center text-sm text-gray-500">No candidates found. Try broader hashtags or another competitor account.</p>';
+        }
+
+        const selectable = this.discoveryService.getSelectableUsernames(candidates, queued);
+        const allSelected = selectable.length > 0 && selectable.every(username => selected.has(username));
+
+        return `
+            <div class="flex items-center justify-between mb-3">
+                <p class="text-sm text-gray-600">${candidates.length} candidate${candidates.length !== 1 ? 's' : ''}</p>
+                ${selectable.length > 0 ? `
+                    <button onclick="window.toggleAllDiscoveryCandidates()" class="text-sm font-medium text-indigo-600 hover:underline">
+                        ${allSelected ? 'Clear selection' : `Select all ${selectable.length}`}
+                    </button>
+                ` : ''}
+            </div>
+            <ul class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-3">
+                ${candidates.map(candidate => this.renderCandidate(candidate, {
+                    isSelected: selected.has(candidate.username),
+                    unavailableReason: this.discoveryService.getUnavailableReason(candidate, queued)
+                })).join('')}
+            </ul>
+            ${hasMore ? `
+                <button onclick="window.loadMoreDiscoveryCandidates()" ${isLoadingMore ? 'disabled' : ''}
+                        class="mt-4 w-full py-2 text-sm font-medium text-indigo-600 hover:bg-indigo-50 rounded-lg disabled:opacity-50">
+                    ${isLoadingMore ? 'Loading…' : 'Show more candidates'}
+                </button>
+            ` : ''}
+        `;
+    }
+
+    renderCandidate(candidate, { isSelected, unavailableReason }) {
+        const username = window.OsliraValidationUtils.escapeHTML(candidate.username);
+        const initial = window.OsliraValidationUtils.escapeHTML((candidate.full_name || candidate.username).charAt(0).toUpperCase());
+
+        return `
+            <li>
+                <label class="flex gap-3 h-full p-4 bg-white border ${isSelected ? 'border-indigo-400 ring-1 ring-indigo-200' : 'border-gray-200'} rounded-xl ${unavailableReason ? 'opacity-60' : 'cursor-pointer hover:border-indigo-300'}">
+                    <input type="checkbox" class="mt-1 shrink-0" aria-label="Select @${username}"
+                           ${isSelected ? 'checked' : ''} ${unavailableReason ? 'disabled' : ''}
+                           onchange="window.toggleDiscoveryCandidate('${username}')">
+                    ${candidate.profile_pic_url
+                        ? `<img src="${window.OsliraValidationUtils.escapeHTML(candidate.profile_pic_url)}" alt="" loading="lazy" referrerpolicy="no-referrer" class="w-10 h-10 rounded-full object-cover shrink-0">`
+                        : `<span class="w-10 h-10 rounded-full bg-gray-100 text-gray-500 flex items-center justify-center text-sm font-semibold shrink-0">${initial}</span>`}
+                    <div class="min-w-0 flex-1">
+                        <div class="flex items-center gap-1.5">
+                            <a href="https://instagram.com/${username}" target="_blank" rel="noopener noreferrer" class="text-sm font-semibold text-gray-900 truncate hover:underline">@${username}</a>
+                            ${candidate.is_verified ? '<span class="text-indigo-500 text-xs" title="Verified">✓</span>' : ''}
+                        </div>
+                        ${candidate.full_name ? `<p class="text-xs text-gray-600 truncate">${window.OsliraValidationUtils.escapeHTML(candidate.full_name)}</p>` : ''}
+                        <p class="text-xs text-gray-500 mt-1">
+                            ${this.discoveryService.formatCount(candidate.followers_count)} followers · ${this.discoveryService.formatCount(candidate.posts_count)} posts
+                        </p>
+                        ${candidate.bio ? `<p class="text-xs text-gray-700 mt-2 line-clamp-2">${window.OsliraValidationUtils.escapeHTML(candidate.bio)}</p>` : ''}
+                        <div class="flex flex-wrap gap-1 mt-2">
+                            ${unavailableReason ? `<span class="px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-700">${unavailableReason}</span>` : ''}
+                            ${candidate.matched_seeds.slice(0, 3).map(seed => `
+                                <span class="px-2 py-0.5 text-xs rounded-full bg-indigo-50 text-indigo-700">${window.OsliraValidationUtils.escapeHTML(this.discoveryService.formatSeed(seed))}</span>
+                            `).join('')}
+                        </div>
+                    </div>
+                </label>
+            </li>
+        `;
+    }
+
+    // =========================================================================
+    // QUEUE BAR
+    // =========================================================================
+
+    /**
+     * @param {Object} options - { count, analysisType, costs, estimate, isQueuing }
+     */
+    renderQueueBar({ count = 0, analysisType = 'light', costs = {}, estimate = null, isQueuing = false } = {}) {
+        if (count === 0) return '';
+
+        return `
+            <div class="flex flex-wrap items-center justify-between gap-4 p-4 bg-white border border-indigo-200 rounded-2xl shadow-lg">
+                <fieldset class="flex flex-wrap items-center gap-2">
+                    <legend class="sr-only">Analysis type</legend>
+                    <span class="text-sm font-medium text-gray-800 mr-1">${count} selected</span>
+                    ${this.analysisTypes.map(type => `
+                        <label class="cursor-pointer" title="${window.OsliraValidationUtils.escapeHTML(type.description)}">
+                            <input type="radio" name="discoveryAnalysisType" value="${type.key}" class="sr-only peer"
+                                   ${type.key === analysisType ? 'checked' : ''} onchange="window.setDiscoveryAnalysisType('${type.key}')">
+                            <span class="inline-block px-3 py-1 text-xs font-medium rounded-full border border-gray-200 text-gray-600 peer-checked:border-indigo-400 peer-checked:bg-indigo-50 peer-checked:text-indigo-700">
+                                ${type.label} · ${costs[type.key]} credit${costs[type.key] !== 1 ? 's' : ''}
+                            </span>
+                        </label>
+                    `).join('')}
+                </fieldset>
+                <div class="flex items-center gap-4">
+                    ${estimate ? this.renderEstimate(estimate) : ''}
+                    <button onclick="window.queueDiscoveryCandidates()" ${isQueuing || (estimate && !estimate.isAffordable) ? 'disabled' : ''}
+                            class="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                        ${isQueuing ? 'Queuing…' : `Analyze ${count} lead${count !== 1 ? 's' : ''}`}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderEstimate(estimate) {
+        if (!estimate.isAffordable) {
+            return `<p class="text-sm text-red-600" role="alert">${estimate.total} credits needed · ${estimate.available} left</p>`;
+        }
+
+        return `
+            <p class="text-sm text-gray-600">
+                <span class="font-semibold text-gray-900">${estimate.total} credit${estimate.total !== 1 ? 's' : ''}</span>
+                ${estimate.remaining !== null ? `· ${estimate.remaining} left after` : ''}
+            </p>
+        `;
+    }
+
+    // =========================================================================
+    // STATES
+    // =========================================================================
+
+    renderIntro() {
+        return '<p class="py-10 text-center text-sm text-gray-500">Add a few hashtags, competitor accounts or keywords to find profiles worth analyzing.</p>';
+    }
+
+    renderLoading(message) {
+        return `<p class="py-10 text-center text-sm text-gray-500">${window.OsliraValidationUtils.escapeHTML(message)}</p>`;
+    }
+
+    renderError(message) {
+        return `<p class="py-10 text-center text-sm text-red-600" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>`;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadDiscoveryRenderer = LeadDiscoveryRenderer;
+
+console.log('✅ [LeadDiscoveryRenderer] Loaded');
@@ -0,0 +1,255 @@
+// =============================================================================
+// LEAD DISCOVERY SERVICE - Pure Business Logic
+// Path: /public/pages/app/leadResearch/discovery/LeadDiscoveryService.js
+// Dependencies: LeadImportParser (username extraction)
+// =============================================================================
+
+/**
+ * @class LeadDiscoveryService
+ * @description Seed inputs, candidate profiles proposed by the worker and
+ * what queuing a selection costs
+ *
+ * Seeds are { hashtags, accounts, keywords }. A candidate is
+ * { username, full_name, profile_pic_url, bio, followers_count, posts_count,
+ * is_private, is_verified, matched_seeds: [{ type, value }], existing_lead_id }.
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class LeadDiscoveryService {
+    constructor() {
+        this.importParser = new window.LeadImportParser();
+
+        this.seedTypes = {
+            hashtags: { label: 'Hashtags', max: 10 },
+            accounts: { label: 'Competitor accounts', max: 10 },
+            keywords: { label: 'Niche keywords', max: 10 }
+        };
+
+        this.maxKeywordLength = 40;
+        this.suggestedKeywordCount = 6;
+
+        // Words that say nothing about a niche when pulled from the target audience description
+        this.stopWords = new Set([
+            'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'into',
+            'is', 'it', 'its', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'them', 'they', 'this',
+            'to', 'who', 'with', 'want', 'wants', 'need', 'needs', 'looking', 'people', 'businesses',
+            'business', 'owners', 'small', 'large', 'those', 'these', 'help', 'helps', 'like',
+            'about', 'more', 'most', 'very', 'also', 'such', 'other', 'some', 'any', 'all', 'etc'
+        ]);
+    }
+
+    // =========================================================================
+    // SEEDS
+    // =========================================================================
+
+    getEmptySeeds() {
+        return { hashtags: [], accounts: [], keywords: [] };
+    }
+
+    /**
+     * Comma / space / newline separated text → hashtag list
+     */
+    parseHashtags(text) {
+        return this.unique(this.splitList(text, /[\s,]+/)
+            .map(value => value.replace(/^#+/, '').toLowerCase())
+            .filter(value => /^[\p{L}\p{N}_]{1,100}$/u.test(value)));
+    }
+
+    /**
+     * @handles or profile URLs → usernames; anything unrecognised is reported back
+     * @returns {Object} { accounts, invalid }
+     */
+    parseAccounts(text) {
+        const accounts = [];
+        const invalid = [];
+
+        this.splitList(text, /[\s,]+/).forEach(value => {
+            const username = this.importParser.extractUsername(value);
+            if (username) accounts.push(username);
+            else invalid.push(value);
+        });
+
+        return { accounts: this.unique(accounts), invalid };
+    }
+
+    /**
+     * Keywords are phrases, so only commas and newlines separate them
+     */
+    parseKeywords(text) {
+        return this.unique(this.splitList(text, /[,\n]+/)
+            .map(value => value.replace(/\s+/g, ' ').toLowerCase())
+            .filter(value => value.length <= this.maxKeywordLength));
+    }
+
+    /**
+     * Starting keywords from the business profile: its niche, then the most
+     * telling words of the onboarding target audience description
+     */
+    suggestKeywords(business = {}) {
+        const niche = String(business.business_niche || business.industry || '').replace(/[_-]+/g, ' ').trim().toLowerCase();
+        const words = String(business.target_audience || '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}'-]+/u)
+            .map(word => word.replace(/^['-]+|['-]+$/g, ''))
+            .filter(word => word.length >= 4 && !this.stopWords.has(word));
+
+        // Most frequent first; ties keep the order they were written in
+        const counts = new Map();
+        words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+        const ranked = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+
+        return this.unique([niche, ...ranked].filter(Boolean)).slice(0, this.suggestedKeywordCount);
+    }
+
+    /**
+     * @param {Object} input - { hashtags, accounts, keywords } as typed
+     * @returns {Object} { valid, errors, seeds }
+     */
+    validateSeeds(input = {}) {
+        const errors = {};
+        const { accounts, invalid } = this.parseAccounts(input.accounts);
+        const seeds = {
+            hashtags: this.parseHashtags(input.hashtags),
+            accounts,
+            keywords: this.parseKeywords(input.keywords)
+        };
+
+        if (invalid.length > 0) {
+            errors.accounts = `Not an Instagram handle: ${invalid.slice(0, 3).join(', ')}${invalid.length > 3 ? '…' : ''}`;
+        }
+
+        Object.entries(this.seedTypes).forEach(([type, config]) => {
+            if (!errors[type] && seeds[type].length > config.max) {
+                errors[type] = `Use at most ${config.max} ${config.label.toLowerCase()}`;
+            }
+        });
+
+        if (Object.values(seeds).every(list => list.length === 0)) {
+            errors.form = 'Add at least one hashtag, account or keyword';
+        }
+
+        return { valid: Object.keys(errors).length === 0, errors, seeds };
+    }
+
+    formatSeeds(seeds = {}) {
+        return {
+            hashtags: (seeds.hashtags || []).map(tag => `#${tag}`).join(', '),
+            accounts: (seeds.accounts || []).map(username => `@${username}`).join(', '),
+            keywords: (seeds.keywords || []).join(', ')
+        };
+    }
+
+    // =========================================================================
+    // CANDIDATES
+    // =========================================================================
+
+    normalizeCandidate(candidate = {}) {
+        return {
+            ...candidate,
+            username: String(candidate.username || '').replace(/^@/, '').toLowerCase(),
+            full_name: candidate.full_name || '',
+            bio: candidate.bio || candidate.biography || '',
+            followers_count: Number(candidate.followers_count) || 0,
+            posts_count: Number(candidate.posts_count) || 0,
+            is_private: !!candidate.is_private,
+            is_verified: !!candidate.is_verified,
+            matched_seeds: Array.isArray(candidate.matched_seeds) ? candidate.matched_seeds : [],
+            existing_lead_id: candidate.existing_lead_id || null
+        };
+    }
+
+    /**
+     * Append a page of candidates, skipping usernames already shown
+     */
+    mergeCandidates(current, incoming) {
+        const seen = new Set(current.map(candidate => candidate.username));
+        const added = incoming
+            .map(candidate => this.normalizeCandidate(candidate))
+            .filter(candidate => candidate.username && !seen.has(candidate.username) && seen.add(candidate.username));
+
+        return [...current, ...added];
+    }
+
+    /**
+     * Why a candidate can't be queued, or null when it can
+     */
+    getUnavailableReason(candidate, queuedUsernames = new Set()) {
+        if (queuedUsernames.has(candidate.username)) return 'Queued';
+        if (candidate.existing_lead_id) return 'Already a lead';
+        if (candidate.is_private) return 'Private account';
+        return null;
+    }
+
+    getSelectableUsernames(candidates, queuedUsernames = new Set()) {
+        return candidates
+            .filter(candidate => !this.getUnavailableReason(candidate, queuedUsernames))
+            .map(candidate => candidate.username);
+    }
+
+    // =========================================================================
+    // CREDITS
+    // =========================================================================
+
+    /**
+     * @param {number} count - Candidates to queue
+     * @param {number} perLead - Credits per analysis of the chosen type
+     * @param {number|null} available - Credits left, null when unknown
+     * @returns {Object} { perLead, total, available, remaining, isAffordable }
+     */
+    estimateCost(count, perLead, available = null) {
+        const total = count * perLead;
+        const hasBalance = Number.isFinite(available);
+
+        return {
+            perLead,
+            total,
+            available: hasBalance ? available : null,
+            remaining: hasBalance ? available - total : null,
+            isAffordable: !hasBalance || total <= available
+        };
+    }
+
+    // =========================================================================
+    // FORMATTING
+    // =========================================================================
+
+    formatCount(value) {
+        const number = Number(value) || 0;
+        if (number >= 1000000) return `${(number / 1000000).toFixed(number >= 10000000 ? 0 : 1).replace(/\.0$/, '')}M`;
+        if (number >= 1000) return `${(number / 1000).toFixed(number >= 10000 ? 0 : 1).replace(/\.0$/, '')}k`;
+        return String(number);
+    }
+
+    formatSeed(seed = {}) {
+        switch (seed.type) {
+            case 'hashtag':
+                return `#${seed.value}`;
+            case 'account':
+                return `Similar to @${seed.value}`;
+            default:
+                return seed.value || '';
+        }
+    }
+
+    splitList(text, separator) {
+        return String(text || '')
+            .split(separator)
+            .map(value => value.trim())
+            .filter(Boolean);
+    }
+
+    unique(values) {
+        return Array.from(new Set(values));
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.LeadDiscoveryService = LeadDiscoveryService;
+
+console.log('✅ [LeadDiscoveryService] Loaded');
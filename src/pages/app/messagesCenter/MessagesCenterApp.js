@@ -0,0 +1,97 @@
+// =============================================================================
+// MESSAGES CENTER APP - New Loader.js System Integration
+// Path: /public/pages/app/messagesCenter/MessagesCenterApp.js
+// =============================================================================
+
+class MessagesCenterApp {
+    constructor() {
+        this.isInitialized = false;
+        this.components = {};
+        console.log('🎯 [MessagesCenterApp] Instance created');
+    }
+
+    // =========================================================================
+    // MAIN INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        try {
+            console.log('🚀 [MessagesCenterApp] Starting initialization...');
+
+            // Wait for scripts to load
+            window.addEventListener('oslira:scripts:loaded', async () => {
+                await this.initialize();
+            });
+
+        } catch (error) {
+            console.error('❌ [MessagesCenterApp] Initialization failed:', error);
+        }
+    }
+
+    async initialize() {
+        console.log('⚙️ [MessagesCenterApp] Initializing components...');
+
+        try {
+            // Step 1: Manually render the sidebar (DOMContentLoaded already fired)
+            await this.renderSidebar();
+
+            // Step 2: Thread list, open thread and reply import
+            await this.initializeInbox();
+
+            // Step 3: Mark as initialized
+            this.isInitialized = true;
+            console.log('✅ [MessagesCenterApp] Initialization complete');
+
+        } catch (error) {
+            console.error('❌ [MessagesCenterApp] Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    // =========================================================================
+    // SIDEBAR INITIALIZATION
+    // =========================================================================
+
+    async renderSidebar() {
+        console.log('📱 [MessagesCenterApp] Rendering sidebar...');
+
+        // Wait for global sidebarManager instance to be available
+        let attempts = 0;
+        while (!window.sidebarManager && attempts < 50) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            attempts++;
+        }
+
+        if (!window.sidebarManager) {
+            throw new Error('SidebarManager not available');
+        }
+
+        await window.sidebarManager.render('#sidebar-container');
+        this.components.sidebar = window.sidebarManager;
+
+        if (this.components.sidebar.setActiveMenuItem) {
+            this.components.sidebar.setActiveMenuItem('messages');
+        }
+
+        console.log('✅ [MessagesCenterApp] Sidebar rendered');
+    }
+
+    // =========================================================================
+    // INBOX
+    // =========================================================================
+
+    async initializeInbox() {
+        console.log('💬 [MessagesCenterApp] Initializing inbox...');
+
+        this.components.inbox = new window.InboxManager();
+        await this.components.inbox.init();
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.MessagesCenterApp = new MessagesCenterApp();
+window.MessagesCenterApp.init();
+
+console.log('✅ [MessagesCenterApp] Loaded and auto-initialized');
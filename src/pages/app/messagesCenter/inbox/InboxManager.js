@@ -0,0 +1,727 @@
+// =============================================================================
+// INBOX MANAGER - Orchestration Layer
+// Path: /public/pages/app/messagesCenter/inbox/InboxManager.js
+// Dependencies: InboxService, InboxRenderer, InboxRealtime, MessagesAPI, LeadsAPI, StateManager, EventBus
+// =============================================================================
+
+/**
+ * @class InboxManager
+ * @description Messages center inbox
+ *
+ * Responsibilities:
+ * - List one thread per lead (MessagesAPI.listThreads) with filters, search and paging
+ * - Show a lead's drafts, sent messages and logged replies as one thread
+ * - Log pasted replies and import them in bulk, classify and delete them
+ * - Move the lead forward in the pipeline and log the reply on its timeline
+ * - Keep the list and the open thread live through InboxRealtime
+ */
+class InboxManager {
+    constructor() {
+        this.inboxService = new window.InboxService();
+        this.renderer = new window.InboxRenderer(this.inboxService);
+        this.realtime = new window.InboxRealtime();
+
+        this.threads = [];
+        this.filter = 'all';
+        this.search = '';
+        this.nextCursor = null;
+        this.hasMore = false;
+        this.isLoadingMore = false;
+        this.listToken = 0;
+
+        this.lead = null;
+        this.messages = [];
+        this.threadToken = 0;
+        this.busyIds = new Set();
+
+        this.composer = this.getEmptyComposer();
+        this.importState = { isOpen: false, text: '', preview: null, result: null, error: null, isImporting: false };
+
+        this.searchTimeout = null;
+        this.refreshTimeout = null;
+        this.searchDebounceMs = 300;
+        this.refreshDebounceMs = 1000;
+        this.concurrency = 3;
+
+        console.log('💬 [InboxManager] Instance created');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get messagesAPI() {
+        return window.OsliraMessagesAPI;
+    }
+
+    get leadsAPI() {
+        return window.OsliraLeadsAPI;
+    }
+
+    get eventBus() {
+        return window.OsliraEventBus;
+    }
+
+    get businessId() {
+        return window.OsliraStateManager?.getState('business.selected')?.id ||
+            localStorage.getItem('selectedBusinessId');
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        this.exposeGlobalHandlers();
+        this.setupEventListeners();
+        this.renderListControls();
+        this.renderConnection('disconnected');
+
+        await this.loadThreads();
+
+        // Deep link from a lead ("Open in inbox") or a reload
+        const leadId = new URLSearchParams(window.location.search).get('lead');
+        if (leadId) {
+            await this.openThread(leadId);
+        } else {
+            this.renderThread();
+        }
+
+        this.realtime.start(this.businessId);
+
+        console.log('✅ [InboxManager] Initialized');
+    }
+
+    exposeGlobalHandlers() {
+        window.filterInboxThreads = (filter) => this.setFilter(filter);
+        window.searchInboxThreads = (search) => this.setSearch(search);
+        window.loadMoreInboxThreads = () => this.loadMore();
+        window.openInboxThread = (leadId) => this.openThread(leadId);
+        window.onInboxReplyInput = () => this.onReplyInput();
+        window.onInboxClassificationPick = () => this.onClassificationPick();
+        window.logInboxReply = () => this.logReply();
+        window.classifyInboxReply = (messageId, classification) => this.classifyReply(messageId, classification);
+        window.deleteInboxReply = (messageId) => this.deleteReply(messageId);
+        window.copyInboxDraft = () => this.copyDraft();
+        window.openInboxImport = () => this.openImport();
+        window.closeInboxImport = () => this.closeImport();
+        window.loadInboxImportFile = (input) => this.loadImportFile(input);
+        window.previewInboxImport = () => this.previewImport();
+        window.runInboxImport = () => this.runImport();
+    }
+
+    setupEventListeners() {
+        if (!this.eventBus) return;
+
+        this.eventBus.on(window.INBOX_EVENTS.MESSAGE_CHANGED, (payload) => this.handleMessageChanged(payload));
+        this.eventBus.on(window.INBOX_EVENTS.REFRESH, () => this.scheduleRefresh());
+        this.eventBus.on(window.INBOX_EVENTS.CONNECTION_CHANGED, ({ status }) => this.renderConnection(status));
+
+        this.eventBus.on('business:changed', () => {
+            this.closeImport();
+            this.selectThread(null);
+            this.loadThreads();
+            this.realtime.start(this.businessId);
+        });
+
+        window.addEventListener('beforeunload', () => this.realtime.stop());
+    }
+
+    // =========================================================================
+    // THREAD LIST
+    // =========================================================================
+
+    /**
+     * @param {Object} options - append: next page; silent: keep the current list on screen while reloading
+     */
+    async loadThreads({ append = false, silent = false } = {}) {
+        const container = document.getElementById('inbox-thread-items');
+        if (!container) return;
+
+        if (!this.businessId || !this.messagesAPI) {
+            this.threads = [];
+            container.innerHTML = this.renderer.renderError('Select a business to see its conversations.');
+            return;
+        }
+
+        const token = ++this.listToken;
+        if (!append && !silent) {
+            container.innerHTML = this.renderer.renderLoading('Loading conversations…');
+        }
+
+        try {
+            const { threads, nextCursor, hasMore } = await this.messagesAPI.listThreads(this.businessId, {
+                filter: this.filter,
+                search: this.search,
+                cursor: append ? this.nextCursor : null
+            });
+            if (token !== this.listToken) return;
+
+            const normalized = threads.map(thread => this.inboxService.normalizeThread(thread));
+            this.threads = append ? [...this.threads, ...normalized] : normalized;
+            this.nextCursor = nextCursor;
+            this.hasMore = hasMore;
+            this.renderList();
+
+        } catch (error) {
+            if (token !== this.listToken) return;
+
+            console.error('❌ [InboxManager] Failed to load threads:', error);
+            if (silent) return;
+
+            if (append) {
+                window.OsliraApp?.showMessage?.(`Could not load more conversations: ${error.message}`, 'error');
+                this.renderList();
+            } else {
+                container.innerHTML = this.renderer.renderError(`Could not load conversations: ${error.message}`);
+            }
+        }
+    }
+
+    async loadMore() {
+        if (!this.hasMore || this.isLoadingMore) return;
+
+        this.isLoadingMore = true;
+        this.renderList();
+
+        await this.loadThreads({ append: true });
+
+        this.isLoadingMore = false;
+        this.renderList();
+    }
+
+    renderListControls() {
+        const container = document.getElementById('inbox-threads');
+        if (container) {
+            container.innerHTML = this.renderer.renderListControls({ filter: this.filter, search: this.search });
+        }
+    }
+
+    renderList() {
+        const container = document.getElementById('inbox-thread-items');
+        if (container) {
+            container.innerHTML = this.renderer.renderThreadList(this.threads, {
+                selectedId: this.lead?.id,
+                hasMore: this.hasMore,
+                isLoadingMore: this.isLoadingMore
+            });
+        }
+    }
+
+    setFilter(filter) {
+        if (filter === this.filter) return;
+
+        this.filter = filter;
+        this.renderListControls();
+        this.loadThreads();
+    }
+
+    setSearch(search) {
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => {
+            this.search = search.trim();
+            this.loadThreads();
+        }, this.searchDebounceMs);
+    }
+
+    findThread(leadId) {
+        return this.threads.find(thread => thread.lead_id === leadId) || null;
+    }
+
+    /**
+     * Keep the open thread's list entry in step; drop it when it no longer matches the filter
+     */
+    syncListEntry() {
+        if (!this.lead) return;
+
+        const thread = this.inboxService.summarizeThread(this.findThread(this.lead.id), this.lead, this.getTimeline());
+        const inList = this.inboxService.matchesFilter(thread, this.filter) && this.inboxService.matchesSearch(thread, this.search);
+
+        this.threads = inList
+            ? this.inboxService.upsertThread(this.threads, thread)
+            : this.threads.filter(item => item.lead_id !== thread.lead_id);
+        this.renderList();
+    }
+
+    // =========================================================================
+    // THREAD
+    // =========================================================================
+
+    async openThread(leadId) {
+        const container = document.getElementById('inbox-thread');
+        if (!container) return;
+
+        const thread = this.findThread(leadId);
+        this.selectThread({ id: leadId, ...(thread?.lead || {}) });
+        container.innerHTML = this.renderer.renderLoading('Loading conversation…');
+
+        await this.fetchThread(leadId);
+
+        if (thread?.unread_count > 0 && this.lead?.id === leadId) {
+            this.markRead(leadId);
+        }
+    }
+
+    /**
+     * Load (or reload) a thread; the composer keeps what the user has typed
+     */
+    async fetchThread(leadId) {
+        const container = document.getElementById('inbox-thread');
+        const token = ++this.threadToken;
+
+        try {
+            const { lead, messages } = await this.messagesAPI.getThread(this.businessId, leadId);
+            if (token !== this.threadToken) return;
+
+            this.lead = { ...this.lead, ...lead };
+            this.messages = messages.map(message => this.inboxService.normalizeMessage(message));
+            this.renderThread();
+
+        } catch (error) {
+            if (token !== this.threadToken) return;
+
+            console.error('❌ [InboxManager] Failed to load thread:', error);
+            container.innerHTML = this.renderer.renderError(`Could not load the conversation: ${error.message}`);
+        }
+    }
+
+    selectThread(lead) {
+        this.lead = lead;
+        this.messages = [];
+        this.busyIds.clear();
+        this.composer = this.getEmptyComposer();
+        this.threadToken++;
+
+        const url = new URL(window.location.href);
+        if (lead?.id) url.searchParams.set('lead', lead.id);
+        else url.searchParams.delete('lead');
+        window.history.replaceState(null, '', url);
+
+        if (!lead) this.renderThread();
+        this.renderList();
+    }
+
+    async markRead(leadId) {
+        try {
+            await this.messagesAPI.markThreadRead(this.businessId, leadId);
+            this.threads = this.threads.map(thread => thread.lead_id === leadId ? { ...thread, unread_count: 0 } : thread);
+            this.renderList();
+        } catch (error) {
+            console.warn('⚠️ [InboxManager] Could not mark thread read:', error.message);
+        }
+    }
+
+    getTimeline() {
+        return this.inboxService.buildTimeline(this.lead || {}, this.messages);
+    }
+
+    findMessage(messageId) {
+        return this.messages.find(message => message.id === messageId) || null;
+    }
+
+    renderThread() {
+        const container = document.getElementById('inbox-thread');
+        if (!container) return;
+
+        if (!this.lead) {
+            container.innerHTML = this.renderer.renderEmptyThread();
+            return;
+        }
+
+        this.readComposer();
+        const hadFocus = document.activeElement?.id === 'inbox-reply-body';
+
+        container.innerHTML = this.renderer.renderThread(this.lead, this.getTimeline(), {
+            composer: this.composer,
+            busyIds: this.busyIds
+        });
+
+        if (hadFocus) document.getElementById('inbox-reply-body')?.focus();
+    }
+
+    async copyDraft() {
+        const draft = this.getTimeline().find(message => message.kind === 'draft');
+        if (!draft) return;
+
+        try {
+            await navigator.clipboard.writeText(draft.body);
+            window.OsliraApp?.showMessage?.('Draft copied', 'success');
+        } catch (error) {
+            window.OsliraApp?.showMessage?.('Copy failed - select the message and copy it manually', 'warning');
+        }
+    }
+
+    // =========================================================================
+    // REPLY COMPOSER
+    // =========================================================================
+
+    getEmptyComposer() {
+        return {
+            body: '',
+            classification: null,
+            received_at: this.inboxService.toDateTimeInput(new Date()),
+            errors: {},
+            isSaving: false,
+            suggestion: null,
+            isClassificationPicked: false
+        };
+    }
+
+    readComposer() {
+        const body = document.getElementById('inbox-reply-body');
+        if (!body) return;
+
+        this.composer.body = body.value;
+        this.composer.received_at = document.getElementById('inbox-reply-date')?.value || '';
+        this.composer.classification = document.querySelector('input[name="inboxReplyClassification"]:checked')?.value || null;
+    }
+
+    /**
+     * Preselect the suggested classification until the user picks one themselves
+     */
+    onReplyInput() {
+        const body = document.getElementById('inbox-reply-body')?.value || '';
+        const suggestion = this.inboxService.suggestClassification(body);
+
+        this.composer.suggestion = suggestion;
+        const label = document.getElementById('inbox-reply-suggestion');
+        if (label) label.innerHTML = this.renderer.renderSuggestion(suggestion);
+
+        if (!this.composer.isClassificationPicked) {
+            const radio = document.querySelector(`input[name="inboxReplyClassification"][value="${suggestion || ''}"]`);
+            if (radio) radio.checked = true;
+        }
+    }
+
+    onClassificationPick() {
+        this.composer.isClassificationPicked = true;
+    }
+
+    async logReply() {
+        if (!this.lead || this.composer.isSaving) return;
+
+        this.readComposer();
+        const validation = this.inboxService.validateReply(this.composer);
+        this.composer.errors = validation.errors;
+        if (!validation.valid) {
+            this.renderThread();
+            return;
+        }
+
+        const lead = this.lead;
+        this.composer.isSaving = true;
+        this.renderThread();
+
+        try {
+            const message = await this.messagesAPI.logReply(this.businessId, lead.id, { ...validation.reply, source: 'paste' });
+            if (this.lead?.id !== lead.id) return;
+
+            // Realtime may have reloaded the thread with this reply already in it
+            this.messages = [
+                ...this.messages.filter(item => item.id !== message?.id),
+                this.inboxService.normalizeMessage({ direction: 'inbound', ...validation.reply, source: 'paste', ...message })
+            ];
+            this.composer = this.getEmptyComposer();
+            this.renderThread();
+            this.syncListEntry();
+
+            await this.syncLead(lead.id, 'reply_logged', validation.reply.classification, {
+                action: 'logged',
+                preview: this.inboxService.getPreview(validation.reply.body)
+            });
+
+        } catch (error) {
+            if (this.lead?.id !== lead.id) return;
+
+            console.error('❌ [InboxManager] Failed to log reply:', error);
+            this.composer.isSaving = false;
+            this.composer.errors = { body: `Could not log the reply: ${error.message}` };
+            this.renderThread();
+        }
+    }
+
+    // =========================================================================
+    // CLASSIFICATION
+    // =========================================================================
+
+    /**
+     * Clicking the current classification clears it
+     */
+    async classifyReply(messageId, classification) {
+        const message = this.findMessage(messageId);
+        if (!message || this.busyIds.has(messageId)) return;
+
+        const leadId = this.lead.id;
+        const next = message.classification === classification ? null : classification;
+
+        this.busyIds.add(messageId);
+        this.renderThread();
+
+        try {
+            const updated = await this.messagesAPI.classifyMessage(this.businessId, messageId, next);
+            if (this.lead?.id !== leadId) return;
+
+            this.replaceMessage(messageId, { ...(updated || {}), classification: next });
+            this.busyIds.delete(messageId);
+            this.renderThread();
+            this.syncListEntry();
+
+            await this.syncLead(leadId, 'reply_classified', next, { action: 'classified' });
+
+        } catch (error) {
+            console.error('❌ [InboxManager] Failed to classify reply:', error);
+            window.OsliraApp?.showMessage?.(`Could not classify the reply: ${error.message}`, 'error');
+            this.busyIds.delete(messageId);
+            this.renderThread();
+        }
+    }
+
+    async deleteReply(messageId) {
+        const message = this.findMessage(messageId);
+        if (!message || this.busyIds.has(messageId) || !confirm('Delete this reply? The lead\'s status is not changed.')) return;
+
+        const leadId = this.lead.id;
+
+        try {
+            await this.messagesAPI.deleteMessage(this.businessId, messageId);
+            if (this.lead?.id !== leadId) return;
+
+            this.messages = this.messages.filter(item => item.id !== messageId);
+            this.renderThread();
+            this.syncListEntry();
+
+        } catch (error) {
+            console.error('❌ [InboxManager] Failed to delete reply:', error);
+            window.OsliraApp?.showMessage?.(`Could not delete the reply: ${error.message}`, 'error');
+        }
+    }
+
+    replaceMessage(messageId, updates) {
+        this.messages = this.messages.map(message => message.id === messageId
+            ? this.inboxService.normalizeMessage({ ...message, ...updates })
+            : message);
+    }
+
+    /**
+     * Move the lead forward in the pipeline and put the reply on its timeline.
+     * The reply is already saved, so failures here only warn.
+     */
+    async syncLead(leadId, activityType, classification, details = {}) {
+        if (!this.leadsAPI) return;
+
+        const currentStatus = this.lead?.id === leadId ? this.lead.status : this.findThread(leadId)?.lead?.status;
+        const status = this.inboxService.getLeadStatusUpdate(currentStatus, classification);
+
+        const [statusResult] = await Promise.allSettled([
+            status ? this.leadsAPI.updateLead(leadId, { status }) : null,
+            this.leadsAPI.logLeadActivity(leadId, activityType, { classification, ...details })
+        ]);
+
+        if (status && statusResult.status === 'fulfilled') {
+            this.updateLeadStatus(leadId, status);
+        } else if (status) {
+            console.warn('⚠️ [InboxManager] Lead status update failed:', statusResult.reason?.message);
+        }
+    }
+
+    updateLeadStatus(leadId, status) {
+        this.threads = this.threads.map(thread => thread.lead_id === leadId
+            ? { ...thread, lead: { ...thread.lead, status } }
+            : thread);
+
+        if (this.lead?.id === leadId) {
+            this.lead = { ...this.lead, status };
+            this.renderThread();
+        }
+    }
+
+    // =========================================================================
+    // IMPORT
+    // =========================================================================
+
+    openImport() {
+        this.importState = { isOpen: true, text: '', preview: null, result: null, error: null, isImporting: false };
+        this.renderImport();
+        document.getElementById('inbox-import-text')?.focus();
+    }
+
+    closeImport() {
+        this.importState = { isOpen: false, text: '', preview: null, result: null, error: null, isImporting: false };
+        this.renderImport();
+    }
+
+    renderImport() {
+        const container = document.getElementById('inbox-import');
+        if (container) {
+            container.innerHTML = this.renderer.renderImport(this.importState);
+        }
+    }
+
+    loadImportFile(input) {
+        const file = input.files?.[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const textarea = document.getElementById('inbox-import-text');
+            if (textarea) textarea.value = reader.result;
+            this.previewImport();
+        };
+        reader.onerror = () => {
+            this.importState = { ...this.importState, error: 'Could not read the file' };
+            this.renderImport();
+        };
+        reader.readAsText(file);
+    }
+
+    previewImport() {
+        const text = document.getElementById('inbox-import-text')?.value || '';
+
+        try {
+            const preview = this.inboxService.parseImport(text);
+            this.importState = { ...this.importState, text, preview, result: null, error: preview.replies.length === 0 ? 'No valid rows found' : null };
+        } catch (error) {
+            this.importState = { ...this.importState, text, preview: null, result: null, error: error.message };
+        }
+
+        this.renderImport();
+    }
+
+    async runImport() {
+        const { preview, isImporting } = this.importState;
+        if (!preview?.replies.length || isImporting) return;
+
+        this.importState = { ...this.importState, isImporting: true, error: null };
+        this.renderImport();
+
+        try {
+            const result = await this.messagesAPI.importReplies(this.businessId, preview.replies);
+            this.importState = { ...this.importState, isImporting: false, result };
+            this.renderImport();
+
+            await this.syncImportedLeads(result.messages || []);
+            this.loadThreads();
+            if (this.lead && (result.messages || []).some(message => message.lead_id === this.lead.id)) {
+                this.fetchThread(this.lead.id);
+            }
+
+        } catch (error) {
+            console.error('❌ [InboxManager] Failed to import replies:', error);
+            this.importState = { ...this.importState, isImporting: false, error: `Could not import replies: ${error.message}` };
+            this.renderImport();
+        }
+    }
+
+    /**
+     * Status and timeline for each lead that got replies - the latest reply decides the status
+     */
+    async syncImportedLeads(messages) {
+        const latestByLead = new Map();
+        messages
+            .map(message => this.inboxService.normalizeMessage(message))
+            .sort((a, b) => this.inboxService.toTime(a.occurred_at) - this.inboxService.toTime(b.occurred_at))
+            .forEach(message => latestByLead.set(message.lead_id, message));
+
+        await this.runPool(Array.from(latestByLead.values()), async (message) => {
+            const status = this.inboxService.getLeadStatusUpdate(message.lead?.status, message.classification);
+
+            const [statusResult] = await Promise.allSettled([
+                status ? this.leadsAPI.updateLead(message.lead_id, { status }) : null,
+                this.leadsAPI.logLeadActivity(message.lead_id, 'reply_logged', {
+                    classification: message.classification,
+                    action: 'logged',
+                    source: 'import',
+                    preview: this.inboxService.getPreview(message.body)
+                })
+            ]);
+
+            if (status && statusResult.status === 'fulfilled') {
+                this.updateLeadStatus(message.lead_id, status);
+            }
+        });
+    }
+
+    async runPool(items, task) {
+        const results = new Array(items.length);
+        let index = 0;
+
+        const worker = async () => {
+            while (index < items.length) {
+                const position = index++;
+                results[position] = await task(items[position]);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, worker));
+        return results;
+    }
+
+    // =========================================================================
+    // REALTIME
+    // =========================================================================
+
+    /**
+     * A lead_messages row changed - possibly our own write echoing back
+     */
+    handleMessageChanged({ eventType, newRecord, oldRecord }) {
+        const record = eventType === 'DELETE' ? oldRecord : newRecord;
+        const leadId = record?.lead_id;
+        if (!leadId) return;
+
+        if (leadId === this.lead?.id) {
+            const known = this.findMessage(record.id);
+            const isEcho = eventType === 'DELETE'
+                ? !known
+                : known && known.classification === (record.classification || null);
+
+            if (!isEcho) {
+                this.fetchThread(leadId);
+                if (eventType === 'INSERT' && record.direction === 'inbound') this.markRead(leadId);
+            }
+            return;
+        }
+
+        const thread = this.findThread(leadId);
+        if (eventType === 'INSERT' && thread) {
+            const message = this.inboxService.normalizeMessage(record);
+            const isInbound = message.direction === 'inbound';
+
+            this.threads = this.inboxService.upsertThread(this.threads, {
+                ...thread,
+                last_message: message,
+                updated_at: message.occurred_at,
+                needs_review: thread.needs_review || (isInbound && !message.classification),
+                unread_count: thread.unread_count + (isInbound ? 1 : 0)
+            });
+            this.renderList();
+            return;
+        }
+
+        // Unknown thread, reclassification or deletion elsewhere - the server decides the list
+        this.scheduleRefresh();
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimeout);
+        this.refreshTimeout = setTimeout(() => {
+            if (this.isLoadingMore) return;
+
+            this.loadThreads({ silent: true });
+            if (this.lead) this.fetchThread(this.lead.id);
+        }, this.refreshDebounceMs);
+    }
+
+    renderConnection(status) {
+        const container = document.getElementById('inbox-connection');
+        if (container) {
+            container.innerHTML = this.renderer.renderConnection(status);
+        }
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.InboxManager = InboxManager;
+
+console.log('✅ [InboxManager] Loaded');
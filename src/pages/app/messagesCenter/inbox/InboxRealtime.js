@@ -0,0 +1,227 @@
+// =============================================================================
+// INBOX REALTIME - Live Message Updates
+// Path: /public/pages/app/messagesCenter/inbox/InboxRealtime.js
+// Dependencies: OsliraAuth (Supabase client), EventBus
+// =============================================================================
+
+/**
+ * @class InboxRealtime
+ * @description Subscribes to the business's lead_messages rows with the same
+ * channel / retry / polling-fallback pattern as the dashboard's RealtimeManager
+ *
+ * Emits on the EventBus:
+ * - INBOX_EVENTS.MESSAGE_CHANGED { eventType, newRecord, oldRecord } per row change
+ * - INBOX_EVENTS.REFRESH { reason } when polling or returning to the tab
+ */
+const INBOX_EVENTS = {
+    MESSAGE_CHANGED: 'inbox:message:changed',
+    REFRESH: 'inbox:refresh',
+    CONNECTION_CHANGED: 'inbox:connection:changed'
+};
+
+class InboxRealtime {
+    constructor() {
+        this.eventBus = window.OsliraEventBus;
+        this.osliraAuth = window.OsliraAuth;
+
+        this.channel = null;
+        this.businessId = null;
+        this.isRealtimeActive = false;
+        this.pollingInterval = null;
+        this.connectionTimeout = null;
+        this.retryTimeout = null;
+        this.connectionAttempts = 0;
+        this.maxConnectionAttempts = 3;
+        this.pollingIntervalMs = 60000; // 60 seconds
+        this.connectionTimeoutMs = 10000;
+
+        // Bind methods for event listeners
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+
+        console.log('🚀 [InboxRealtime] Initialized');
+    }
+
+    get supabase() {
+        return this.osliraAuth?.supabase || window.OsliraAuth?.supabase;
+    }
+
+    // =========================================================================
+    // SUBSCRIPTION
+    // =========================================================================
+
+    async start(businessId) {
+        await this.stop();
+
+        this.businessId = businessId;
+        if (!businessId) return;
+
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this.subscribe();
+    }
+
+    subscribe() {
+        const supabase = this.supabase;
+        if (!supabase || !this.osliraAuth?.user) {
+            console.warn('⚠️ [InboxRealtime] No Supabase session, using polling');
+            this.startPolling();
+            return;
+        }
+
+        const businessId = this.businessId;
+        console.log(`🔗 [InboxRealtime] Subscribing to lead_messages for business: ${businessId}`);
+
+        this.channel = supabase
+            .channel(`lead-messages-${businessId}`)
+            .on(
+                'postgres_changes',
+                {
+                    event: '*',
+                    schema: 'public',
+                    table: 'lead_messages',
+                    filter: `business_id=eq.${businessId}`
+                },
+                (payload) => {
+                    // Late events from a previous business
+                    if (businessId !== this.businessId) return;
+
+                    this.eventBus.emit(INBOX_EVENTS.MESSAGE_CHANGED, {
+                        eventType: payload.eventType,
+                        newRecord: payload.new,
+                        oldRecord: payload.old
+                    });
+                }
+            )
+            .subscribe((status) => {
+                console.log(`📡 [InboxRealtime] Subscription status: ${status}`);
+
+                switch (status) {
+                    case 'SUBSCRIBED':
+                        this.isRealtimeActive = true;
+                        this.connectionAttempts = 0;
+                        this.clearConnectionTimeout();
+                        this.stopPolling();
+                        this.eventBus.emit(INBOX_EVENTS.CONNECTION_CHANGED, { status: 'connected' });
+                        break;
+
+                    case 'CHANNEL_ERROR':
+                    case 'TIMED_OUT':
+                    case 'CLOSED':
+                        if (businessId !== this.businessId || !this.channel) return;
+
+                        this.isRealtimeActive = false;
+                        this.eventBus.emit(INBOX_EVENTS.CONNECTION_CHANGED, { status: 'disconnected' });
+                        this.handleConnectionFailure();
+                        break;
+                }
+            });
+
+        this.connectionTimeout = setTimeout(() => {
+            if (!this.isRealtimeActive) {
+                console.warn('⚠️ [InboxRealtime] Connection timeout, using polling');
+                this.unsubscribe().then(() => this.startPolling());
+            }
+        }, this.connectionTimeoutMs);
+    }
+
+    handleConnectionFailure() {
+        this.connectionAttempts++;
+
+        this.unsubscribe().then(() => {
+            if (this.connectionAttempts < this.maxConnectionAttempts) {
+                // Exponential backoff with maximum delay
+                const retryDelay = Math.min(1000 * Math.pow(2, this.connectionAttempts), 30000);
+                console.log(`🔄 [InboxRealtime] Retrying connection (${this.connectionAttempts}/${this.maxConnectionAttempts})...`);
+                this.retryTimeout = setTimeout(() => this.subscribe(), retryDelay);
+            } else {
+                console.warn('⚠️ [InboxRealtime] Max connection attempts reached, using polling');
+                this.startPolling();
+            }
+        });
+    }
+
+    async unsubscribe() {
+        this.clearConnectionTimeout();
+
+        if (this.channel) {
+            const channel = this.channel;
+            this.channel = null;
+
+            try {
+                await channel.unsubscribe();
+            } catch (error) {
+                console.warn('⚠️ [InboxRealtime] Unsubscribe warning:', error);
+            }
+        }
+
+        this.isRealtimeActive = false;
+    }
+
+    clearConnectionTimeout() {
+        if (this.connectionTimeout) {
+            clearTimeout(this.connectionTimeout);
+            this.connectionTimeout = null;
+        }
+    }
+
+    // =========================================================================
+    // POLLING FALLBACK
+    // =========================================================================
+
+    startPolling() {
+        this.stopPolling();
+
+        this.pollingInterval = setInterval(() => {
+            if (!document.hidden && !this.isRealtimeActive) {
+                this.eventBus.emit(INBOX_EVENTS.REFRESH, { reason: 'polling' });
+            }
+        }, this.pollingIntervalMs);
+
+        this.eventBus.emit(INBOX_EVENTS.CONNECTION_CHANGED, { status: 'polling' });
+        console.log(`✅ [InboxRealtime] Polling started (${this.pollingIntervalMs}ms intervals)`);
+    }
+
+    stopPolling() {
+        if (this.pollingInterval) {
+            clearInterval(this.pollingInterval);
+            this.pollingInterval = null;
+        }
+    }
+
+    handleVisibilityChange() {
+        if (document.hidden) return;
+
+        // Changes made while the tab was hidden may have been missed
+        this.eventBus.emit(INBOX_EVENTS.REFRESH, { reason: 'page_visible' });
+    }
+
+    // =========================================================================
+    // CLEANUP
+    // =========================================================================
+
+    async stop() {
+        if (this.retryTimeout) {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+        }
+
+        await this.unsubscribe();
+        this.stopPolling();
+        this.connectionAttempts = 0;
+        this.businessId = null;
+
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    getConnectionStatus() {
+        if (this.isRealtimeActive) return 'connected';
+        return this.pollingInterval ? 'polling' : 'disconnected';
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.INBOX_EVENTS = INBOX_EVENTS;
+window.InboxRealtime = InboxRealtime;
+
+console.log('✅ [InboxRealtime] Loaded');
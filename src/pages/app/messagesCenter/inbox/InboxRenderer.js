@@ -0,0 +1,318 @@
+// =============================================================================
+// INBOX RENDERER - Pure HTML Generation
+// Path: /public/pages/app/messagesCenter/inbox/InboxRenderer.js
+// Dependencies: InboxService, ValidationUtils
+// =============================================================================
+
+/**
+ * @class InboxRenderer
+ * @description Thread list, one lead's thread with reply classification,
+ * the reply composer and the reply import panel
+ */
+class InboxRenderer {
+    constructor(inboxService) {
+        this.inboxService = inboxService;
+
+        this.connectionLabels = {
+            connected: { label: 'Live', className: 'bg-green-500' },
+            polling: { label: 'Refreshing every minute', className: 'bg-amber-500' },
+            disconnected: { label: 'Offline', className: 'bg-gray-400' }
+        };
+    }
+
+    // =========================================================================
+    // THREAD LIST
+    // =========================================================================
+
+    renderListControls({ filter = 'all', search = '' } = {}) {
+        return `
+            <div class="space-y-3 mb-4">
+                <input id="inbox-search" type="search" value="${window.OsliraValidationUtils.escapeHTML(search)}" placeholder="Search @username or name" aria-label="Search threads" oninput="window.searchInboxThreads(this.value)"
+                       class="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                <div class="flex flex-wrap gap-1.5" role="tablist" aria-label="Filter threads">
+                    ${this.inboxService.filters.map(option => `
+                        <button role="tab" aria-selected="${option.key === filter}" onclick="window.filterInboxThreads('${option.key}')"
+                                class="px-2.5 py-1 text-xs rounded-full border ${option.key === filter ? 'border-indigo-400 bg-indigo-50 text-indigo-700' : 'border-gray-200 text-gray-600 hover:bg-gray-50'}">
+                            ${option.label}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+            <div id="inbox-thread-items"></div>
+        `;
+    }
+
+    renderThreadList(threads, { selectedId = null, hasMore = false, isLoadingMore = false, now = new Date() } = {}) {
+        if (threads.length === 0) {
+            return '<p class="py-10 text-center text-sm text-gray-500">No conversations here. Leads appear once they have a drafted or sent message.</p>';
+        }
+
+        return `
+            <ul class="space-y-2">
+                ${threads.map(thread => this.renderThreadItem(thread, thread.lead_id === selectedId, now)).join('')}
+            </ul>
+            ${hasMore ? `
+                <button onclick="window.loadMoreInboxThreads()" ${isLoadingMore ? 'disabled' : ''}
+                        class="mt-3 w-full py-2 text-sm font-medium text-indigo-600 hover:bg-indigo-50 rounded-lg disabled:opacity-50">
+                    ${isLoadingMore ? 'Loading…' : 'Load more'}
+                </button>
+            ` : ''}
+        `;
+    }
+
+    renderThreadItem(thread, isSelected, now) {
+        const lead = thread.lead || {};
+        const last = thread.last_message;
+        const preview = last
+            ? `${last.direction === 'outbound' ? (last.kind === 'draft' ? 'Draft: ' : 'You: ') : ''}${this.inboxService.getPreview(last.body)}`
+            : 'No messages yet';
+
+        return `
+            <li>
+                <button onclick="window.openInboxThread('${window.OsliraValidationUtils.escapeHTML(thread.lead_id)}')" aria-current="${isSelected}"
+                        class="w-full p-3 text-left bg-white border ${isSelected ? 'border-indigo-400 ring-1 ring-indigo-200' : 'border-gray-200'} rounded-xl hover:border-indigo-300">
+                    <div class="flex items-center justify-between gap-2">
+                        <span class="text-sm ${thread.unread_count > 0 ? 'font-semibold' : 'font-medium'} text-gray-900 truncate">@${window.OsliraValidationUtils.escapeHTML(lead.username || 'unknown')}</span>
+                        <span class="text-xs text-gray-500 shrink-0">${this.inboxService.formatTime(thread.updated_at, now)}</span>
+                    </div>
+                    <p class="text-xs text-gray-600 mt-1 truncate">${window.OsliraValidationUtils.escapeHTML(preview)}</p>
+                    <div class="flex items-center gap-1.5 mt-2">
+                        ${thread.classification ? this.renderClassificationBadge(thread.classification) : ''}
+                        ${thread.needs_review ? '<span class="px-2 py-0.5 text-xs font-medium rounded-full bg-indigo-100 text-indigo-700">To classify</span>' : ''}
+                        ${thread.unread_count > 0 ? `<span class="px-2 py-0.5 text-xs font-medium rounded-full bg-indigo-600 text-white">${thread.unread_count} new</span>` : ''}
+                    </div>
+                </button>
+            </li>
+        `;
+    }
+
+    renderClassificationBadge(key) {
+        const classification = this.inboxService.getClassification(key);
+        if (!classification) return '';
+
+        return `<span class="px-2 py-0.5 text-xs font-medium rounded-full ${classification.className}">${classification.label}</span>`;
+    }
+
+    // =========================================================================
+    // THREAD
+    // =========================================================================
+
+    /**
+     * @param {Object} lead - Thread lead
+     * @param {Array} timeline - InboxService.buildTimeline output
+     * @param {Object} options - { composer, busyIds, now }
+     */
+    renderThread(lead, timeline, { composer = {}, busyIds = new Set(), now = new Date() } = {}) {
+        const profileUrl = this.inboxService.getProfileUrl(lead);
+
+        return `
+            <div class="flex flex-col h-full">
+                <div class="flex items-start justify-between gap-4 pb-4 border-b border-gray-200">
+                    <div class="min-w-0">
+                        <h2 class="text-lg font-semibold text-gray-900 truncate">@${window.OsliraValidationUtils.escapeHTML(lead.username || 'unknown')}</h2>
+                        <p class="text-sm text-gray-500">
+                            ${window.OsliraValidationUtils.escapeHTML(lead.display_name || lead.full_name || '')}
+                            ${lead.status ? ` · ${window.OsliraValidationUtils.escapeHTML(this.formatStatus(lead.status))}` : ''}
+                        </p>
+                    </div>
+                    ${profileUrl ? `
+                        <a href="${window.OsliraValidationUtils.escapeHTML(profileUrl)}" target="_blank" rel="noopener noreferrer" class="text-sm font-medium text-indigo-600 hover:underline shrink-0">Open profile</a>
+                    ` : ''}
+                </div>
+
+                <ol class="flex-1 py-4 space-y-3" aria-label="Messages with @${window.OsliraValidationUtils.escapeHTML(lead.username || '')}">
+                    ${timeline.length === 0
+                        ? '<li class="py-8 text-center text-sm text-gray-500">Nothing sent yet.</li>'
+                        : timeline.map(message => this.renderMessage(message, busyIds.has(message.id), now)).join('')}
+                </ol>
+
+                ${this.renderComposer(composer)}
+            </div>
+        `;
+    }
+
+    renderMessage(message, isBusy, now) {
+        const isInbound = message.direction === 'inbound';
+        const isDraft = message.kind === 'draft';
+        const bubbleClass = isInbound
+            ? 'bg-white border border-gray-200'
+            : isDraft ? 'bg-gray-50 border border-dashed border-gray-300' : 'bg-indigo-600 text-white';
+
+        return `
+            <li class="flex ${isInbound ? 'justify-start' : 'justify-end'}">
+                <div class="max-w-[80%] space-y-1">
+                    <div class="px-4 py-3 rounded-2xl ${bubbleClass}">
+                        <p class="text-sm whitespace-pre-line">${window.OsliraValidationUtils.escapeHTML(message.body)}</p>
+                    </div>
+                    <div class="flex flex-wrap items-center gap-2 text-xs text-gray-500 ${isInbound ? '' : 'justify-end'}">
+                        <span>${window.OsliraValidationUtils.escapeHTML(this.inboxService.getSourceLabel(message))}</span>
+                        ${message.occurred_at ? `<span>· ${this.inboxService.formatTime(message.occurred_at, now)}</span>` : ''}
+                        ${isDraft ? `<button onclick="window.copyInboxDraft()" class="font-medium text-indigo-600 hover:underline">Copy</button>` : ''}
+                    </div>
+                    ${isInbound ? this.renderClassificationControls(message, isBusy) : ''}
+                </div>
+            </li>
+        `;
+    }
+
+    renderClassificationControls(message, isBusy) {
+        return `
+            <div class="flex flex-wrap items-center gap-1.5" role="group" aria-label="Classify reply">
+                ${Object.entries(this.inboxService.classifications).map(([key, classification]) => `
+                    <button onclick="window.classifyInboxReply('${window.OsliraValidationUtils.escapeHTML(message.id)}', '${key}')" ${isBusy ? 'disabled' : ''} aria-pressed="${message.classification === key}"
+                            class="px-2.5 py-1 text-xs font-medium rounded-full border ${message.classification === key ? `${classification.className} border-transparent` : 'border-gray-200 text-gray-600 hover:bg-gray-50'} disabled:opacity-50">
+                        ${classification.label}
+                    </button>
+                `).join('')}
+                <button onclick="window.deleteInboxReply('${window.OsliraValidationUtils.escapeHTML(message.id)}')" ${isBusy ? 'disabled' : ''} class="px-2 py-1 text-xs text-gray-400 hover:text-red-600 disabled:opacity-50">Delete</button>
+            </div>
+        `;
+    }
+
+    /**
+     * @param {Object} composer - { body, classification, received_at, errors, isSaving, suggestion }
+     */
+    renderComposer({ body = '', classification = null, received_at = '', errors = {}, isSaving = false, suggestion = null } = {}) {
+        return `
+            <form class="pt-4 border-t border-gray-200 space-y-3" onsubmit="event.preventDefault(); window.logInboxReply();" novalidate>
+                <div>
+                    <label for="inbox-reply-body" class="block text-sm font-medium text-gray-800 mb-1">Log a reply</label>
+                    <textarea id="inbox-reply-body" rows="3" oninput="window.onInboxReplyInput()" maxlength="${this.inboxService.maxReplyLength}" placeholder="Paste what the lead wrote back"
+                              class="w-full px-3 py-2 text-sm border ${errors.body ? 'border-red-400' : 'border-gray-200'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">${window.OsliraValidationUtils.escapeHTML(body)}</textarea>
+                    ${this.renderFieldError(errors.body)}
+                </div>
+                <div class="flex flex-wrap items-end justify-between gap-3">
+                    <fieldset>
+                        <legend class="text-xs text-gray-500 mb-1">
+                            Classification <span id="inbox-reply-suggestion">${this.renderSuggestion(suggestion)}</span>
+                        </legend>
+                        <div class="flex flex-wrap gap-1.5">
+                            ${[['', 'Unclassified'], ...Object.entries(this.inboxService.classifications).map(([key, item]) => [key, item.label])].map(([key, label]) => `
+                                <label class="cursor-pointer">
+                                    <input type="radio" name="inboxReplyClassification" value="${key}" onchange="window.onInboxClassificationPick()" class="sr-only peer" ${(classification || '') === key ? 'checked' : ''}>
+                                    <span class="inline-block px-2.5 py-1 text-xs font-medium rounded-full border border-gray-200 text-gray-600 peer-checked:border-indigo-400 peer-checked:bg-indigo-50 peer-checked:text-indigo-700">${label}</span>
+                                </label>
+                            `).join('')}
+                        </div>
+                    </fieldset>
+                    <div class="flex items-end gap-2">
+                        <div>
+                            <label for="inbox-reply-date" class="block text-xs text-gray-500 mb-1">Received</label>
+                            <input id="inbox-reply-date" type="datetime-local" value="${window.OsliraValidationUtils.escapeHTML(received_at)}"
+                                   class="px-2 py-1.5 text-sm border ${errors.received_at ? 'border-red-400' : 'border-gray-200'} rounded-lg">
+                        </div>
+                        <button type="submit" ${isSaving ? 'disabled' : ''} class="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+                            ${isSaving ? 'Saving…' : 'Log reply'}
+                        </button>
+                    </div>
+                </div>
+                ${this.renderFieldError(errors.received_at)}
+                <p class="text-xs text-gray-500">Logging a reply moves the lead to Replied (or Lost if not interested) and adds it to the lead's timeline.</p>
+            </form>
+        `;
+    }
+
+    renderSuggestion(key) {
+        const classification = this.inboxService.getClassification(key);
+        return classification ? `(suggested: ${classification.label.toLowerCase()})` : '';
+    }
+
+    // =========================================================================
+    // IMPORT
+    // =========================================================================
+
+    /**
+     * @param {Object} state - { isOpen, text, preview, result, error, isImporting }
+     */
+    renderImport({ isOpen = false, text = '', preview = null, result = null, error = null, isImporting = false } = {}) {
+        if (!isOpen) return '';
+
+        return `
+            <div class="p-5 bg-gray-50 border border-gray-200 rounded-2xl space-y-3">
+                <div class="flex items-center justify-between">
+                    <h2 class="text-sm font-semibold text-gray-900">Import replies</h2>
+                    <button onclick="window.closeInboxImport()" class="text-sm text-gray-500 hover:text-gray-700">Close</button>
+                </div>
+                <p class="text-xs text-gray-500">One reply per row: username, message, and optionally the date and a classification (interested, not now, not interested). Paste from a spreadsheet or upload a CSV.</p>
+                <textarea id="inbox-import-text" rows="5" placeholder="username,message,date&#10;maya.creates,&quot;Sounds great, tell me more!&quot;,2026-03-04"
+                          class="w-full px-3 py-2 text-sm font-mono border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">${window.OsliraValidationUtils.escapeHTML(text)}</textarea>
+                <div class="flex flex-wrap items-center justify-between gap-3">
+                    <label class="text-sm font-medium text-indigo-600 cursor-pointer hover:underline">
+                        Upload CSV
+                        <input id="inbox-import-file" type="file" accept=".csv,.tsv,.txt,text/csv,text/plain" onchange="window.loadInboxImportFile(this)" class="sr-only">
+                    </label>
+                    <div class="flex items-center gap-2">
+                        <button onclick="window.previewInboxImport()" class="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50">Check</button>
+                        <button onclick="window.runInboxImport()" ${!preview || preview.replies.length === 0 || isImporting ? 'disabled' : ''}
+                                class="px-3 py-1.5 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+                            ${isImporting ? 'Importing…' : `Import ${preview?.replies.length || ''} repl${preview?.replies.length === 1 ? 'y' : 'ies'}`}
+                        </button>
+                    </div>
+                </div>
+                ${error ? `<p class="text-sm text-red-600" role="alert">${window.OsliraValidationUtils.escapeHTML(error)}</p>` : ''}
+                ${preview && !result ? this.renderImportPreview(preview) : ''}
+                ${result ? this.renderImportResult(result) : ''}
+            </div>
+        `;
+    }
+
+    renderImportPreview(preview) {
+        const counts = Object.keys(this.inboxService.classifications)
+            .map(key => [key, preview.replies.filter(reply => reply.classification === key).length])
+            .filter(([, count]) => count > 0);
+
+        return `
+            <div class="text-sm text-gray-700" aria-live="polite">
+                <p>${preview.replies.length} repl${preview.replies.length === 1 ? 'y' : 'ies'} ready${counts.length > 0 ? ` - ${counts.map(([key, count]) => `${count} ${this.inboxService.getClassification(key).label.toLowerCase()}`).join(', ')}` : ''}</p>
+                ${preview.invalidRows.length > 0 ? `<p class="text-amber-700">Skipping row${preview.invalidRows.length > 1 ? 's' : ''} ${preview.invalidRows.slice(0, 10).join(', ')}${preview.invalidRows.length > 10 ? '…' : ''} - no valid username or message</p>` : ''}
+            </div>
+        `;
+    }
+
+    renderImportResult(result) {
+        const unmatched = result.unmatched || [];
+
+        return `
+            <div class="text-sm text-gray-700" aria-live="polite">
+                <p class="font-medium text-green-700">Imported ${result.imported} repl${result.imported === 1 ? 'y' : 'ies'}${result.duplicates ? ` · ${result.duplicates} already logged` : ''}</p>
+                ${unmatched.length > 0 ? `<p class="text-amber-700">No lead found for ${unmatched.slice(0, 10).map(username => `@${window.OsliraValidationUtils.escapeHTML(username)}`).join(', ')}${unmatched.length > 10 ? '…' : ''}</p>` : ''}
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // STATES
+    // =========================================================================
+
+    renderConnection(status) {
+        const config = this.connectionLabels[status] || this.connectionLabels.disconnected;
+        return `<span class="inline-flex items-center gap-1.5 text-xs text-gray-500"><span class="w-2 h-2 rounded-full ${config.className}"></span>${config.label}</span>`;
+    }
+
+    renderEmptyThread() {
+        return '<p class="py-16 text-center text-sm text-gray-500">Choose a conversation to read it and log replies.</p>';
+    }
+
+    renderLoading(message) {
+        return `<p class="py-10 text-center text-sm text-gray-500">${window.OsliraValidationUtils.escapeHTML(message)}</p>`;
+    }
+
+    renderError(message) {
+        return `<p class="py-10 text-center text-sm text-red-600" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>`;
+    }
+
+    renderFieldError(message) {
+        return message ? `<p class="text-xs text-red-600 mt-1" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>` : '';
+    }
+
+    formatStatus(status) {
+        return String(status).replace(/[_-]/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.InboxRenderer = InboxRenderer;
+
+console.log('✅ [InboxRenderer] Loaded');
@@ -0,0 +1,422 @@
+// =============================================================================
+// INBOX SERVICE - Pure Business Logic
+// Path: /public/pages/app/messagesCenter/inbox/InboxService.js
+// Dependencies: LeadImportParser (delimited text parsing, username extraction)
+// =============================================================================
+
+/**
+ * @class InboxService
+ * @description Message threads, reply classification, the lead status a
+ * reply implies and reply import parsing
+ *
+ * A thread is one lead's outreach: { lead, last_message, classification,
+ * unread_count, needs_review, updated_at }. Its messages are
+ * [{ id, direction, kind, body, source, campaign_name, classification, occurred_at }]
+ * where direction is 'outbound' (sent) or 'inbound' (a reply the user logged).
+ * The lead's current outreach message is shown as a draft at the end of the
+ * thread until a sent message with the same text exists.
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class InboxService {
+    constructor() {
+        this.importParser = new window.LeadImportParser();
+
+        this.classifications = {
+            interested: { label: 'Interested', className: 'bg-green-100 text-green-800', leadStatus: 'replied' },
+            not_now: { label: 'Not now', className: 'bg-amber-100 text-amber-800', leadStatus: 'replied' },
+            not_interested: { label: 'Not interested', className: 'bg-red-100 text-red-700', leadStatus: 'lost' }
+        };
+
+        this.filters = [
+            { key: 'all', label: 'All' },
+            { key: 'needs_review', label: 'To classify' },
+            { key: 'interested', label: 'Interested' },
+            { key: 'not_now', label: 'Not now' },
+            { key: 'not_interested', label: 'Not interested' },
+            { key: 'awaiting', label: 'Awaiting reply' },
+            { key: 'drafts', label: 'Drafts' }
+        ];
+
+        this.sourceLabels = {
+            analysis: 'Draft from analysis',
+            template: 'Draft from template',
+            campaign: 'Campaign',
+            manual: 'Sent',
+            paste: 'Pasted',
+            import: 'Imported'
+        };
+
+        // Checked in order - "not interested" contains "interested"
+        this.classificationHints = [
+            ['not_interested', /\b(not interested|no thanks|no thank you|not for (me|us)|unsubscribe|stop (messaging|contacting)|remove me|don'?t (contact|message))\b/i],
+            ['not_now', /\b(not (right )?now|maybe later|later this|next (week|month|quarter|year)|too busy|circle back|check back|reach out (again )?in|after the holidays)\b/i],
+            ['interested', /\b(interested|sounds (good|great)|tell me more|let'?s (talk|chat)|book a|schedule|how much|pricing|send (me )?(more|details|info)|love to|happy to chat)\b/i]
+        ];
+
+        this.importAliases = {
+            username: this.importParser.fieldAliases.username,
+            body: ['message', 'reply', 'text', 'body', 'content', 'response', 'dm'],
+            received_at: ['date', 'received', 'received at', 'time', 'timestamp', 'replied at'],
+            classification: ['classification', 'outcome', 'result', 'label', 'status']
+        };
+
+        // Pipeline order from LeadPipelineService - replies only ever move a lead forward
+        this.statusOrder = ['new', 'contacted', 'replied', 'booked', 'won', 'lost'];
+
+        this.maxReplyLength = 2000;
+        this.maxImportRows = 500;
+        this.previewLength = 90;
+    }
+
+    // =========================================================================
+    // THREADS
+    // =========================================================================
+
+    normalizeThread(thread = {}) {
+        const lead = thread.lead || {};
+
+        return {
+            ...thread,
+            lead_id: thread.lead_id || lead.id,
+            lead,
+            last_message: thread.last_message ? this.normalizeMessage(thread.last_message) : null,
+            classification: this.classifications[thread.classification] ? thread.classification : null,
+            unread_count: Math.max(0, parseInt(thread.unread_count, 10) || 0),
+            needs_review: !!thread.needs_review,
+            updated_at: thread.updated_at || thread.last_message?.occurred_at || lead.created_at || null
+        };
+    }
+
+    normalizeMessage(message = {}) {
+        const direction = message.direction === 'inbound' ? 'inbound' : 'outbound';
+
+        return {
+            ...message,
+            direction,
+            kind: message.kind || (direction === 'inbound' ? 'reply' : 'sent'),
+            body: message.body || '',
+            source: message.source || (direction === 'inbound' ? 'paste' : 'manual'),
+            classification: this.classifications[message.classification] ? message.classification : null,
+            occurred_at: message.occurred_at || message.received_at || message.sent_at || message.created_at || null
+        };
+    }
+
+    /**
+     * Newest activity first; thread updates from realtime replace the old entry
+     */
+    upsertThread(threads, thread) {
+        const normalized = this.normalizeThread(thread);
+
+        return [normalized, ...threads.filter(item => item.lead_id !== normalized.lead_id)]
+            .sort((a, b) => this.toTime(b.updated_at) - this.toTime(a.updated_at));
+    }
+
+    /**
+     * Client-side twin of the server filter, for threads changed by realtime
+     */
+    matchesFilter(thread, filter) {
+        switch (filter) {
+            case 'needs_review':
+                return thread.needs_review;
+            case 'interested':
+            case 'not_now':
+            case 'not_interested':
+                return thread.classification === filter;
+            case 'awaiting':
+                return thread.last_message?.direction === 'outbound' && thread.last_message.kind === 'sent';
+            case 'drafts':
+                return !thread.last_message || thread.last_message.kind === 'draft';
+            default:
+                return true;
+        }
+    }
+
+    matchesSearch(thread, search) {
+        const term = (search || '').trim().replace(/^@/, '').toLowerCase();
+        if (!term) return true;
+
+        const lead = thread.lead || {};
+        return [lead.username, lead.display_name, lead.full_name]
+            .some(value => String(value || '').toLowerCase().includes(term));
+    }
+
+    /**
+     * Messages oldest-first, with the lead's unsent outreach message as a trailing draft
+     */
+    buildTimeline(lead = {}, messages = []) {
+        const timeline = messages
+            .map(message => this.normalizeMessage(message))
+            .sort((a, b) => this.toTime(a.occurred_at) - this.toTime(b.occurred_at));
+
+        const draft = (lead.outreach_message || '').trim();
+        const alreadySent = timeline.some(message =>
+            message.direction === 'outbound' && this.normalizeText(message.body) === this.normalizeText(draft));
+
+        if (draft && !alreadySent) {
+            timeline.push({
+                id: `draft_${lead.id}`,
+                direction: 'outbound',
+                kind: 'draft',
+                body: draft,
+                source: lead.outreach_template ? 'template' : 'analysis',
+                classification: null,
+                occurred_at: null
+            });
+        }
+
+        return timeline;
+    }
+
+    /**
+     * Latest reply's classification - what the thread is filed under
+     */
+    getThreadClassification(timeline) {
+        const replies = timeline.filter(message => message.direction === 'inbound');
+        return replies.length > 0 ? replies[replies.length - 1].classification : null;
+    }
+
+    /**
+     * List entry for a thread after its messages changed locally
+     */
+    summarizeThread(thread, lead, timeline) {
+        const replies = timeline.filter(message => message.direction === 'inbound');
+        const last = timeline[timeline.length - 1] || null;
+        const lastSent = [...timeline].reverse().find(message => message.kind !== 'draft');
+
+        return this.normalizeThread({
+            ...thread,
+            lead_id: lead.id,
+            lead: { ...(thread?.lead || {}), ...lead },
+            last_message: last,
+            classification: this.getThreadClassification(timeline),
+            needs_review: replies.some(message => !message.classification),
+            unread_count: 0,
+            updated_at: lastSent?.occurred_at || thread?.updated_at || null
+        });
+    }
+
+    getSourceLabel(message) {
+        if (message.source === 'campaign' && message.campaign_name) {
+            return `${message.campaign_name}${message.step_index > 0 ? ` · follow-up ${message.step_index}` : ''}`;
+        }
+        return this.sourceLabels[message.source] || (message.direction === 'inbound' ? 'Reply' : 'Sent');
+    }
+
+    // =========================================================================
+    // CLASSIFICATION
+    // =========================================================================
+
+    getClassification(key) {
+        return this.classifications[key] || null;
+    }
+
+    /**
+     * Best guess from the reply text, preselected when logging - the user confirms it
+     */
+    suggestClassification(body) {
+        const text = String(body || '');
+        const match = this.classificationHints.find(([, pattern]) => pattern.test(text));
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Free text from an import column → classification key or null
+     */
+    normalizeClassification(value) {
+        const text = String(value || '').toLowerCase().replace(/[_\-]+/g, ' ').trim();
+        if (!text) return null;
+
+        if (/^(not interested|no|negative|declined|lost)$/.test(text)) return 'not_interested';
+        if (/^(not now|later|maybe|follow up later|snoozed?)$/.test(text)) return 'not_now';
+        if (/^(interested|yes|positive|hot|warm)$/.test(text)) return 'interested';
+        return null;
+    }
+
+    /**
+     * Lead status a reply implies, or null when the lead is already at or past it.
+     * A won lead is never moved; "not interested" closes anything else as lost.
+     */
+    getLeadStatusUpdate(currentStatus, classification = null) {
+        const current = String(currentStatus || 'new').toLowerCase();
+        const target = this.classifications[classification]?.leadStatus || 'replied';
+
+        if (current === 'won' || current === target) return null;
+
+        const currentIndex = this.statusOrder.indexOf(current);
+        return this.statusOrder.indexOf(target) > Math.max(currentIndex, 0) ? target : null;
+    }
+
+    // =========================================================================
+    // REPLIES
+    // =========================================================================
+
+    /**
+     * @param {Object} input - { body, received_at }
+     * @returns {Object} { valid, errors, reply }
+     */
+    validateReply(input = {}, now = new Date()) {
+        const errors = {};
+        const body = (input.body || '').trim();
+        const receivedAt = input.received_at ? new Date(input.received_at) : now;
+
+        if (!body) {
+            errors.body = 'Paste the reply';
+        } else if (body.length > this.maxReplyLength) {
+            errors.body = `Keep the reply under ${this.maxReplyLength} characters`;
+        }
+
+        if (Number.isNaN(receivedAt.getTime())) {
+            errors.received_at = 'Enter a valid date';
+        } else if (receivedAt.getTime() > now.getTime() + 60 * 1000) {
+            errors.received_at = 'The reply can\'t be from the future';
+        }
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors,
+            reply: {
+                body,
+                received_at: Number.isNaN(receivedAt.getTime()) ? null : receivedAt.toISOString(),
+                classification: this.classifications[input.classification] ? input.classification : null
+            }
+        };
+    }
+
+    // =========================================================================
+    // IMPORT
+    // =========================================================================
+
+    /**
+     * Parse pasted or uploaded rows of username, reply text and optional date / classification
+     * @param {string} text - CSV / TSV content
+     * @returns {Object} { replies, invalidRows } - invalidRows are 1-based row numbers
+     */
+    parseImport(text, now = new Date()) {
+        const rows = this.importParser.parseText(text || '');
+        if (rows.length === 0) {
+            throw new Error('Nothing to import');
+        }
+
+        const mapping = this.detectImportColumns(rows[0]);
+        const hasHeader = mapping !== null;
+        const columns = mapping || { username: 0, body: 1, received_at: 2, classification: 3 };
+        const dataRows = hasHeader ? rows.slice(1) : rows;
+
+        if (columns.username === null || columns.body === null) {
+            throw new Error('Include a username column and a message column');
+        }
+        if (dataRows.length > this.maxImportRows) {
+            throw new Error(`Import at most ${this.maxImportRows} replies at a time`);
+        }
+
+        const replies = [];
+        const invalidRows = [];
+
+        dataRows.forEach((row, index) => {
+            const username = this.importParser.extractUsername(row[columns.username]);
+            const validation = this.validateReply({
+                body: row[columns.body],
+                received_at: columns.received_at !== null ? row[columns.received_at] || null : null
+            }, now);
+
+            if (!username || !validation.valid) {
+                invalidRows.push(index + (hasHeader ? 2 : 1));
+                return;
+            }
+
+            const classification = columns.classification !== null
+                ? this.normalizeClassification(row[columns.classification])
+                : null;
+
+            replies.push({
+                username,
+                body: validation.reply.body,
+                received_at: validation.reply.received_at,
+                classification: classification || this.suggestClassification(validation.reply.body)
+            });
+        });
+
+        return { replies, invalidRows };
+    }
+
+    /**
+     * Column indexes from a header row, or null when the first row is data
+     */
+    detectImportColumns(headerRow) {
+        const mapping = { username: null, body: null, received_at: null, classification: null };
+
+        headerRow.forEach((cell, index) => {
+            const normalized = String(cell || '').toLowerCase().replace(/[_\-]+/g, ' ').replace(/\s+/g, ' ').trim();
+            Object.entries(this.importAliases).forEach(([field, aliases]) => {
+                if (mapping[field] === null && aliases.includes(normalized)) {
+                    mapping[field] = index;
+                }
+            });
+        });
+
+        return Object.values(mapping).some(index => index !== null) ? mapping : null;
+    }
+
+    // =========================================================================
+    // FORMATTING
+    // =========================================================================
+
+    getPreview(body) {
+        const text = String(body || '').replace(/\s+/g, ' ').trim();
+        return text.length > this.previewLength ? `${text.slice(0, this.previewLength - 1)}…` : text;
+    }
+
+    formatTime(value, now = new Date()) {
+        const time = this.toTime(value);
+        if (!time) return '';
+
+        const minutes = Math.floor((now.getTime() - time) / 60000);
+        if (minutes < 1) return 'Just now';
+        if (minutes < 60) return `${minutes}m ago`;
+        if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+
+        const date = new Date(time);
+        const yesterday = new Date(now);
+        yesterday.setDate(now.getDate() - 1);
+        if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
+
+        return date.toLocaleDateString(undefined, {
+            month: 'short',
+            day: 'numeric',
+            ...(date.getFullYear() !== now.getFullYear() ? { year: 'numeric' } : {})
+        });
+    }
+
+    /**
+     * Value for a datetime-local input, in the user's timezone
+     */
+    toDateTimeInput(date = new Date()) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    getProfileUrl(lead = {}) {
+        return lead.profile_url || (lead.username ? `https://instagram.com/${lead.username}` : null);
+    }
+
+    normalizeText(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    toTime(value) {
+        const time = value ? new Date(value).getTime() : 0;
+        return Number.isNaN(time) ? 0 : time;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.InboxService = InboxService;
+
+console.log('✅ [InboxService] Loaded');
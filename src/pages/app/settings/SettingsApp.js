@@ -7,6 +7,17 @@ class SettingsApp {
     constructor() {
         this.isInitialized = false;
         this.components = {};
+        
+        // Tab pages with content of their own, by OsliraEnv page name
+        // (a list when several sections of a page have their own manager)
+        this.tabManagers = {
+            'settings-profile': 'ProfileManager',
+            'settings-account': 'AccountManager',
+            'settings-billing': 'BillingManager',
+            'settings-usage': ['UsageManager', 'BudgetManager'],
+            'settings-team': 'TeamManager'
+        };
+        
         console.log('🎯 [SettingsApp] Instance created');
     }
     
@@ -41,7 +52,10 @@ class SettingsApp {
             // Step 3: Initialize settings navigation (tabs)
             await this.initializeSettingsTabs();
             
-            // Step 4: Mark as initialized
+            // Step 4: Initialize the active tab's content
+            await this.initializeTabContent();
+            
+            // Step 5: Mark as initialized
             this.isInitialized = true;
             console.log('✅ [SettingsApp] Initialization complete');
             
@@ -119,6 +133,23 @@ class SettingsApp {
         console.log('✅ [SettingsApp] Settings tabs initialized');
     }
     
+    async initializeTabContent() {
+        const managerNames = [].concat(this.tabManagers[window.OsliraEnv?.currentPage] || []);
+        this.components.tabContent = [];
+        
+        for (const managerName of managerNames) {
+            if (!window[managerName]) {
+                throw new Error(`${managerName} not available`);
+            }
+            
+            const manager = new window[managerName]();
+            await manager.init();
+            this.components.tabContent.push(manager);
+            
+            console.log(`✅ [SettingsApp] ${managerName} initialized`);
+        }
+    }
+    
     setActiveTab() {
         const currentPath = window.location.pathname;
         const tabs = document.querySelectorAll('.settings-tab');
@@ -0,0 +1,334 @@
+// =============================================================================
+// ACCOUNT MANAGER - Orchestration Layer
+// Path: /public/pages/app/settings/account/AccountManager.js
+// Dependencies: AccountService, AccountRenderer, FormValidator, UserService, AuthManager, EnvDetector, NavigationHelper
+// =============================================================================
+
+/**
+ * @class AccountManager
+ * @description Account tab in settings
+ *
+ * Responsibilities:
+ * - Email change, confirmed from a link Supabase sends to the new address
+ * - Password change, or a set-password email for Google-only accounts
+ * - Connect and disconnect Google sign-in
+ * - Data export and account deletion with a grace period
+ * - Sections re-render on their own so one action never clears another form
+ */
+class AccountManager {
+    constructor() {
+        this.accountService = new window.AccountService();
+        this.renderer = new window.AccountRenderer(this.accountService);
+
+        this.profile = null;
+        this.methods = null;
+        this.exportResult = null;
+        this.busyAction = null;
+
+        console.log('🔐 [AccountManager] Instance created');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get userService() {
+        return window.OsliraUserService;
+    }
+
+    get authUser() {
+        return window.OsliraAuth?.user || null;
+    }
+
+    get email() {
+        return this.authUser?.email || this.profile?.email || '';
+    }
+
+    /**
+     * Auth callback URL that brings the user back to this tab
+     */
+    get callbackUrl() {
+        const url = new URL(window.OsliraEnv.getAuthUrl('/auth/callback'));
+        url.searchParams.set('return_to', window.OsliraNav?.getUrl?.('settings-account') || window.location.href);
+        return url.toString();
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        this.exposeGlobalHandlers();
+
+        await this.load();
+
+        console.log('✅ [AccountManager] Initialized');
+    }
+
+    exposeGlobalHandlers() {
+        window.sendPasswordSetupEmail = () => this.sendPasswordSetupEmail();
+        window.linkGoogleAccount = () => this.linkGoogle();
+        window.unlinkGoogleAccount = () => this.unlinkGoogle();
+        window.requestAccountExport = () => this.requestExport();
+        window.cancelAccountDeletion = () => this.cancelDeletion();
+    }
+
+    // =========================================================================
+    // LOADING
+    // =========================================================================
+
+    async load() {
+        const container = document.getElementById('account-content');
+        if (!container) return;
+
+        container.innerHTML = this.renderer.renderLoading();
+
+        if (!this.userService || !this.authUser) {
+            container.innerHTML = this.renderer.renderError('Your account is unavailable right now');
+            return;
+        }
+
+        try {
+            const [profile, identities] = await Promise.all([
+                this.userService.loadUserProfile(),
+                this.loadIdentities()
+            ]);
+
+            this.profile = profile || {};
+            this.methods = this.accountService.getSignInMethods(identities);
+
+            container.innerHTML = this.renderer.renderLayout();
+            this.renderEmail();
+            this.renderPassword();
+            this.renderConnections();
+            this.renderDataExport();
+            this.renderDeletion();
+
+        } catch (error) {
+            console.error('❌ [AccountManager] Failed to load account:', error);
+            container.innerHTML = this.renderer.renderError(`Could not load your account: ${error.message}`);
+        }
+    }
+
+    async loadIdentities() {
+        try {
+            return await this.userService.getIdentities();
+        } catch (error) {
+            console.warn('⚠️ [AccountManager] Identities unavailable:', error);
+            return null;
+        }
+    }
+
+    // =========================================================================
+    // EMAIL
+    // =========================================================================
+
+    renderEmail() {
+        const form = this.renderSection('account-email', this.renderer.renderEmail({
+            email: this.email,
+            pendingEmail: this.authUser?.new_email || null
+        }), 'email-form');
+        if (!form) return;
+
+        const validator = new window.OsliraFormValidator(form);
+        validator.addRule('new_email', 'custom', (value) =>
+            this.accountService.validateNewEmail(value, this.email)
+        );
+
+        form.addEventListener('validation:success', (event) => this.submit(form, async () => {
+            await this.userService.changeEmail(event.detail.data.new_email, this.callbackUrl);
+            this.renderEmail();
+            window.OsliraApp?.showMessage?.('Check your new inbox for a confirmation link', 'success');
+        }, 'Could not change your email'));
+    }
+
+    // =========================================================================
+    // PASSWORD
+    // =========================================================================
+
+    renderPassword() {
+        const form = this.renderSection('account-password', this.renderer.renderPassword(this.methods), 'password-form');
+        if (!form) return;
+
+        // Passwords are checked untrimmed; FormValidator hands rules a trimmed value
+        const validator = new window.OsliraFormValidator(form);
+        validator.addRule('new_password', 'custom', (value, field) => {
+            try {
+                this.userService.validatePassword(field.value);
+                return true;
+            } catch (error) {
+                return error.message;
+            }
+        });
+        validator.addRule('confirm_password', 'custom', (value, field) =>
+            this.accountService.validatePasswordConfirmation(field.value, form.elements.new_password.value)
+        );
+
+        form.addEventListener('validation:success', () => this.submit(form, async () => {
+            await this.userService.changePassword(form.elements.current_password.value, form.elements.new_password.value);
+            this.renderPassword();
+            window.OsliraApp?.showMessage?.('Password changed', 'success');
+        }, 'Could not change your password'));
+    }
+
+    async sendPasswordSetupEmail() {
+        await this.runAction('password-setup', async () => {
+            await this.userService.requestPasswordReset(this.email);
+            window.OsliraApp?.showMessage?.(`We sent a link to ${this.email}`, 'success');
+        }, 'Could not send the email');
+    }
+
+    // =========================================================================
+    // CONNECTED ACCOUNTS
+    // =========================================================================
+
+    renderConnections() {
+        this.renderSection('account-connections', this.renderer.renderConnections(this.methods));
+    }
+
+    /**
+     * Leaves for Google; the auth callback brings the user back here
+     */
+    async linkGoogle() {
+        await this.runAction('link-google', async () => {
+            await this.userService.linkGoogleIdentity(this.callbackUrl);
+        }, 'Could not connect Google');
+    }
+
+    async unlinkGoogle() {
+        if (!this.methods?.canUnlinkGoogle) return;
+        if (!confirm('Disconnect Google? You\'ll sign in with your email and password instead.')) return;
+
+        await this.runAction('unlink-google', async () => {
+            await this.userService.unlinkIdentity(this.methods.google);
+            this.methods = this.accountService.getSignInMethods(await this.loadIdentities());
+            this.renderConnections();
+            this.renderPassword();
+            window.OsliraApp?.showMessage?.('Google disconnected', 'success');
+        }, 'Could not disconnect Google');
+    }
+
+    // =========================================================================
+    // DATA EXPORT
+    // =========================================================================
+
+    renderDataExport() {
+        this.renderSection('account-data', this.renderer.renderDataExport(this.exportResult));
+    }
+
+    async requestExport() {
+        await this.runAction('export', async () => {
+            const result = await this.userService.requestDataExport();
+            this.exportResult = this.accountService.normalizeExport(result);
+            this.renderDataExport();
+        }, 'Could not request your export');
+    }
+
+    // =========================================================================
+    // DELETION
+    // =========================================================================
+
+    renderDeletion() {
+        const form = this.renderSection('account-deletion', this.renderer.renderDeletion({
+            status: this.accountService.getDeletionStatus(this.profile),
+            email: this.email
+        }), 'delete-account-form');
+        if (!form) return;
+
+        const validator = new window.OsliraFormValidator(form);
+        validator.addRule('confirmation', 'custom', (value) =>
+            this.accountService.validateDeletionConfirmation(value, this.email)
+        );
+
+        form.addEventListener('validation:success', () => this.submit(form, async () => {
+            const result = await this.userService.deleteAccount();
+            this.profile = {
+                ...this.profile,
+                deleted_at: result?.deleted_at || new Date().toISOString(),
+                purge_at: result?.purge_at || null
+            };
+
+            const status = this.accountService.getDeletionStatus(this.profile);
+            this.renderDeletion();
+            window.OsliraApp?.showMessage?.(`Your account will be deleted on ${this.accountService.formatDate(status.purgeAt)}`, 'warning');
+        }, 'Could not delete your account'));
+    }
+
+    async cancelDeletion() {
+        await this.runAction('cancel-deletion', async () => {
+            const profile = await this.userService.cancelAccountDeletion();
+            this.profile = { ...this.profile, ...(profile || {}), deleted_at: null, purge_at: null };
+            this.renderDeletion();
+            window.OsliraApp?.showMessage?.('Your account will be kept', 'success');
+        }, 'Could not cancel the deletion');
+    }
+
+    // =========================================================================
+    // HELPERS
+    // =========================================================================
+
+    /**
+     * @returns {HTMLFormElement|null} The section's form, when it rendered one
+     */
+    renderSection(sectionId, html, formId = null) {
+        const section = document.getElementById(sectionId);
+        if (!section) return null;
+
+        section.innerHTML = html;
+        return formId ? document.getElementById(formId) : null;
+    }
+
+    /**
+     * Run a validated form's action; failures keep what was typed and show the
+     * error above the submit button
+     */
+    async submit(form, action, failureMessage) {
+        const button = form.querySelector('button[type="submit"]');
+        if (button?.disabled) return;
+
+        const label = button?.textContent;
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Saving…';
+        }
+        form.querySelector('[data-form-error]')?.remove();
+
+        try {
+            await action();
+
+        } catch (error) {
+            console.error(`❌ [AccountManager] ${failureMessage}:`, error);
+
+            if (button) {
+                button.disabled = false;
+                button.textContent = label;
+            }
+            button?.insertAdjacentHTML('beforebegin', this.renderer.renderFormError(`${failureMessage}: ${error.message}`));
+        }
+    }
+
+    /**
+     * Run a button action once at a time
+     */
+    async runAction(name, action, failureMessage) {
+        if (this.busyAction) return;
+        this.busyAction = name;
+
+        try {
+            await action();
+
+        } catch (error) {
+            console.error(`❌ [AccountManager] ${failureMessage}:`, error);
+            window.OsliraApp?.showMessage?.(`${failureMessage}: ${error.message}`, 'error');
+        }
+
+        this.busyAction = null;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.AccountManager = AccountManager;
+
+console.log('✅ [AccountManager] Loaded');
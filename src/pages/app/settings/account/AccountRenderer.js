@@ -0,0 +1,254 @@
+// =============================================================================
+// ACCOUNT RENDERER - Pure HTML Generation
+// Path: /public/pages/app/settings/account/AccountRenderer.js
+// Dependencies: AccountService, ValidationUtils
+// =============================================================================
+
+/**
+ * @class AccountRenderer
+ * @description Email, password, connected accounts, data export and account
+ * deletion sections for the Account tab
+ *
+ * Forms carry their rules as attributes for FormValidator, which adds its own
+ * field errors.
+ */
+class AccountRenderer {
+    constructor(accountService) {
+        this.accountService = accountService;
+        this.inputClass = 'mt-1 w-full px-3 py-2 text-sm bg-white border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500';
+        this.primaryButtonClass = 'px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50';
+        this.secondaryButtonClass = 'px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-xl hover:bg-gray-50 disabled:opacity-50';
+    }
+
+    renderLayout() {
+        return `
+            <div class="space-y-6">
+                <div id="account-email"></div>
+                <div id="account-password"></div>
+                <div id="account-connections"></div>
+                <div id="account-data"></div>
+                <div id="account-deletion"></div>
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // EMAIL
+    // =========================================================================
+
+    /**
+     * @param {Object} data - { email, pendingEmail }
+     */
+    renderEmail({ email = '', pendingEmail = null }) {
+        return `
+            <form id="email-form" class="p-6 bg-white border border-gray-200 rounded-2xl">
+                <h3 class="text-base font-semibold text-gray-900">Email address</h3>
+                <p class="text-sm text-gray-600 mt-1">You sign in and get receipts at <span class="font-medium text-gray-900">${window.OsliraValidationUtils.escapeHTML(email)}</span>.</p>
+
+                ${pendingEmail ? `
+                    <p class="mt-4 p-3 text-sm text-amber-800 bg-amber-50 rounded-xl">
+                        Waiting for you to confirm <span class="font-medium">${window.OsliraValidationUtils.escapeHTML(pendingEmail)}</span>. Follow the link we sent to switch over.
+                    </p>
+                ` : ''}
+
+                <div class="mt-4 md:max-w-md">
+                    <label for="account-new-email" class="block text-sm font-medium text-gray-700">New email</label>
+                    <input id="account-new-email" name="new_email" type="email" required maxlength="${this.accountService.maxEmailLength}" autocomplete="email"
+                           data-validation="new-email" data-error-required="Enter your new email"
+                           class="${this.inputClass}">
+                </div>
+
+                <button type="submit" class="mt-5 ${this.primaryButtonClass}">Send confirmation link</button>
+            </form>
+        `;
+    }
+
+    // =========================================================================
+    // PASSWORD
+    // =========================================================================
+
+    /**
+     * Accounts created with Google have no password until they set one by email
+     * @param {Object|null} methods - AccountService.getSignInMethods
+     */
+    renderPassword(methods) {
+        if (methods && !methods.hasPassword) {
+            return `
+                <section class="p-6 bg-white border border-gray-200 rounded-2xl">
+                    <h3 class="text-base font-semibold text-gray-900">Password</h3>
+                    <p class="text-sm text-gray-600 mt-1">You sign in with Google, so there's no password on this account yet.</p>
+                    <button onclick="window.sendPasswordSetupEmail()" class="mt-4 ${this.secondaryButtonClass}">Email me a link to set one</button>
+                </section>
+            `;
+        }
+
+        return `
+            <form id="password-form" class="p-6 bg-white border border-gray-200 rounded-2xl">
+                <h3 class="text-base font-semibold text-gray-900">Password</h3>
+                <p class="text-sm text-gray-600 mt-1">At least 8 characters, with upper and lower case letters and a number.</p>
+
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+                    <div>
+                        <label for="account-current-password" class="block text-sm font-medium text-gray-700">Current password</label>
+                        <input id="account-current-password" name="current_password" type="password" required autocomplete="current-password"
+                               data-error-required="Enter your current password"
+                               class="${this.inputClass}">
+                    </div>
+                    <div>
+                        <label for="account-new-password" class="block text-sm font-medium text-gray-700">New password</label>
+                        <input id="account-new-password" name="new_password" type="password" required autocomplete="new-password"
+                               data-validation="password" data-error-required="Enter a new password"
+                               class="${this.inputClass}">
+                    </div>
+                    <div>
+                        <label for="account-confirm-password" class="block text-sm font-medium text-gray-700">Confirm new password</label>
+                        <input id="account-confirm-password" name="confirm_password" type="password" required autocomplete="new-password"
+                               data-validation="password-confirmation" data-error-required="Type the new password again"
+                               class="${this.inputClass}">
+                    </div>
+                </div>
+
+                <button type="submit" class="mt-5 ${this.primaryButtonClass}">Change password</button>
+            </form>
+        `;
+    }
+
+    // =========================================================================
+    // CONNECTED ACCOUNTS
+    // =========================================================================
+
+    renderConnections(methods) {
+        if (!methods) {
+            return `
+                <section class="p-6 bg-white border border-gray-200 rounded-2xl">
+                    <h3 class="text-base font-semibold text-gray-900">Connected accounts</h3>
+                    <p class="mt-2 text-sm text-red-600" role="alert">Your sign-in methods couldn't be loaded. Reload the page to try again.</p>
+                </section>
+            `;
+        }
+
+        const googleEmail = this.accountService.getIdentityEmail(methods.google);
+
+        return `
+            <section class="p-6 bg-white border border-gray-200 rounded-2xl">
+                <h3 class="text-base font-semibold text-gray-900">Connected accounts</h3>
+                <div class="flex items-center justify-between gap-4 mt-4">
+                    <div class="min-w-0">
+                        <p class="text-sm font-medium text-gray-900">Google</p>
+                        <p class="text-xs text-gray-500 truncate">
+                            ${methods.google ? `Connected${googleEmail ? ` as ${window.OsliraValidationUtils.escapeHTML(googleEmail)}` : ''}` : 'Sign in with your Google account'}
+                        </p>
+                    </div>
+                    ${methods.google ? `
+                        <button onclick="window.unlinkGoogleAccount()" ${methods.canUnlinkGoogle ? '' : 'disabled title="Set a password first so you can still sign in"'} class="shrink-0 ${this.secondaryButtonClass}">
+                            Disconnect
+                        </button>
+                    ` : `
+                        <button onclick="window.linkGoogleAccount()" class="shrink-0 ${this.secondaryButtonClass}">Connect</button>
+                    `}
+                </div>
+            </section>
+        `;
+    }
+
+    // =========================================================================
+    // DATA EXPORT
+    // =========================================================================
+
+    /**
+     * @param {Object|null} result - AccountService.normalizeExport, once requested
+     */
+    renderDataExport(result = null) {
+        let status = '';
+        if (result?.isReady) {
+            status = `
+                <p class="mt-4 text-sm text-gray-700">
+                    Your export is ready: <a href="${window.OsliraValidationUtils.escapeHTML(result.downloadUrl)}" class="font-medium text-indigo-600 hover:underline" rel="noopener">Download</a>
+                    ${result.expiresAt ? `<span class="text-gray-500">(link expires ${this.accountService.formatDate(result.expiresAt)})</span>` : ''}
+                </p>
+            `;
+        } else if (result) {
+            status = '<p class="mt-4 text-sm text-gray-700">We\'re preparing your export and will email you a download link when it\'s ready.</p>';
+        }
+
+        return `
+            <section class="p-6 bg-white border border-gray-200 rounded-2xl">
+                <h3 class="text-base font-semibold text-gray-900">Export your data</h3>
+                <p class="text-sm text-gray-600 mt-1">Your profile, businesses, leads, analyses and credit history as JSON and CSV files.</p>
+                ${status}
+                <button onclick="window.requestAccountExport()" class="mt-4 ${this.secondaryButtonClass}">${result ? 'Request another export' : 'Request export'}</button>
+            </section>
+        `;
+    }
+
+    // =========================================================================
+    // DELETION
+    // =========================================================================
+
+    /**
+     * @param {Object} data - { status: AccountService.getDeletionStatus, email }
+     */
+    renderDeletion({ status, email = '' }) {
+        if (status.isScheduled) {
+            return `
+                <section class="p-6 bg-red-50 border border-red-200 rounded-2xl">
+                    <h3 class="text-base font-semibold text-red-800">Your account is scheduled for deletion</h3>
+                    <p class="text-sm text-red-700 mt-1">
+                        Everything will be erased on ${this.accountService.formatDate(status.purgeAt)}
+                        (${status.daysLeft} day${status.daysLeft === 1 ? '' : 's'} from now). Until then you can change your mind.
+                    </p>
+                    <button onclick="window.cancelAccountDeletion()" class="mt-4 ${this.secondaryButtonClass}">Keep my account</button>
+                </section>
+            `;
+        }
+
+        return `
+            <form id="delete-account-form" class="p-6 bg-white border border-red-200 rounded-2xl">
+                <h3 class="text-base font-semibold text-red-700">Delete account</h3>
+                <p class="text-sm text-gray-600 mt-1">
+                    Your businesses, leads and analyses are erased ${this.accountService.deletionGraceDays} days after you confirm.
+                    Cancel any paid plan in Billing first; teammates lose access to workspaces you own.
+                </p>
+
+                <div class="mt-4 md:max-w-md">
+                    <label for="account-delete-confirmation" class="block text-sm font-medium text-gray-700">
+                        Type <span class="font-semibold">${window.OsliraValidationUtils.escapeHTML(email)}</span> to confirm
+                    </label>
+                    <input id="account-delete-confirmation" name="confirmation" type="text" required autocomplete="off"
+                           data-validation="deletion-confirmation" data-error-required="Type your email to confirm"
+                           class="${this.inputClass}">
+                </div>
+
+                <button type="submit" class="mt-5 px-4 py-2 text-sm font-semibold text-white bg-red-600 rounded-xl hover:bg-red-700 disabled:opacity-50">
+                    Delete my account
+                </button>
+            </form>
+        `;
+    }
+
+    // =========================================================================
+    // STATES
+    // =========================================================================
+
+    /**
+     * Server failures, shown above the submit button without re-rendering the form
+     */
+    renderFormError(message) {
+        return `<p class="text-sm text-red-600 mt-3" role="alert" data-form-error>${window.OsliraValidationUtils.escapeHTML(message)}</p>`;
+    }
+
+    renderLoading() {
+        return '<p class="py-10 text-center text-sm text-gray-500">Loading your account…</p>';
+    }
+
+    renderError(message) {
+        return `<p class="py-10 text-center text-sm text-red-600" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>`;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.AccountRenderer = AccountRenderer;
+
+console.log('✅ [AccountRenderer] Loaded');
@@ -0,0 +1,137 @@
+// =============================================================================
+// ACCOUNT SERVICE - Pure Business Logic
+// Path: /public/pages/app/settings/account/AccountService.js
+// Dependencies: None
+// =============================================================================
+
+/**
+ * @class AccountService
+ * @description Field rules, sign-in methods, data export and deletion state
+ * for the Account tab
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class AccountService {
+    constructor() {
+        // The worker's grace period, for the copy shown before deletion is requested
+        this.deletionGraceDays = 30;
+
+        this.maxEmailLength = 254;
+    }
+
+    // =========================================================================
+    // FIELD RULES
+    // =========================================================================
+
+    /**
+     * Custom FormValidator rules return true or the error message
+     */
+    validateNewEmail(value, currentEmail) {
+        const email = String(value || '').trim().toLowerCase();
+
+        if (email && email === String(currentEmail || '').toLowerCase()) {
+            return 'That is already your email';
+        }
+
+        return true;
+    }
+
+    validatePasswordConfirmation(value, password) {
+        return value === password ? true : 'Passwords don\'t match';
+    }
+
+    validateDeletionConfirmation(value, email) {
+        return String(value || '').trim().toLowerCase() === String(email || '').toLowerCase()
+            ? true
+            : 'Type your email exactly as shown';
+    }
+
+    // =========================================================================
+    // SIGN-IN METHODS
+    // =========================================================================
+
+    /**
+     * @param {Array|null} identities - Supabase identities, null when they couldn't load
+     * @returns {Object|null} { hasPassword, google, canUnlinkGoogle }
+     */
+    getSignInMethods(identities) {
+        if (!Array.isArray(identities)) return null;
+
+        const google = identities.find(identity => identity.provider === 'google') || null;
+
+        return {
+            hasPassword: identities.some(identity => identity.provider === 'email'),
+            google,
+            // Supabase won't unlink the only way in
+            canUnlinkGoogle: !!google && identities.length > 1
+        };
+    }
+
+    getIdentityEmail(identity) {
+        return identity?.identity_data?.email || identity?.email || '';
+    }
+
+    // =========================================================================
+    // DATA EXPORT & DELETION
+    // =========================================================================
+
+    /**
+     * @param {Object} result - Worker response: { status, download_url, expires_at }
+     * @returns {Object} { isReady, downloadUrl, expiresAt }
+     */
+    normalizeExport(result = {}) {
+        const downloadUrl = this.isHttpsUrl(result?.download_url) ? result.download_url : null;
+
+        return {
+            isReady: !!downloadUrl,
+            downloadUrl,
+            expiresAt: result?.expires_at || null
+        };
+    }
+
+    /**
+     * @param {Object} profile - users row; soft-deleted rows carry deleted_at and purge_at
+     * @returns {Object} { isScheduled, purgeAt, daysLeft }
+     */
+    getDeletionStatus(profile = {}, now = new Date()) {
+        if (!profile?.deleted_at) {
+            return { isScheduled: false, purgeAt: null, daysLeft: null };
+        }
+
+        const purgeAt = profile.purge_at
+            ? new Date(profile.purge_at)
+            : new Date(new Date(profile.deleted_at).getTime() + this.deletionGraceDays * 24 * 60 * 60 * 1000);
+
+        return {
+            isScheduled: true,
+            purgeAt,
+            daysLeft: Math.max(0, Math.ceil((purgeAt - now) / (24 * 60 * 60 * 1000)))
+        };
+    }
+
+    isHttpsUrl(url) {
+        try {
+            return new URL(url).protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    formatDate(value) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) return '';
+
+        return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.AccountService = AccountService;
+
+console.log('✅ [AccountService] Loaded');
@@ -0,0 +1,445 @@
+// =============================================================================
+// BILLING MANAGER - Orchestration Layer
+// Path: /public/pages/app/settings/billing/BillingManager.js
+// Dependencies: BillingService, BillingRenderer, AuthAPI, UserService, AuthManager, EnvDetector
+// =============================================================================
+
+/**
+ * @class BillingManager
+ * @description Billing tab in settings
+ *
+ * Responsibilities:
+ * - Show the current plan from AuthAPI.getSubscription
+ * - Upgrade/downgrade: Stripe Checkout for free users, a proration preview
+ *   then an in-place switch for subscribers
+ * - Invoice history with PDF links and the card on file (updated in the Stripe portal)
+ * - Cancellation with a retention step, and undoing a scheduled cancellation
+ */
+class BillingManager {
+    constructor() {
+        this.billingService = new window.BillingService();
+        this.renderer = new window.BillingRenderer(this.billingService);
+
+        this.subscription = null;
+        this.card = null;
+        this.invoices = [];
+        this.hasMoreInvoices = false;
+        this.isLoadingMoreInvoices = false;
+
+        this.pendingPlanKey = null;
+        this.pendingChange = null;
+        this.cancellation = null;
+        this.isBusy = false;
+        this.loadToken = 0;
+
+        console.log('💳 [BillingManager] Instance created');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get authAPI() {
+        return window.OsliraAuthAPI;
+    }
+
+    get userId() {
+        return window.OsliraAuth?.user?.id || null;
+    }
+
+    get isProduction() {
+        return !!window.OsliraEnv?.IS_PRODUCTION;
+    }
+
+    get customerId() {
+        return this.subscription?.stripe_customer_id || window.OsliraAuth?.user?.stripe_customer_id || null;
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        this.exposeGlobalHandlers();
+        this.handleCheckoutReturn();
+
+        window.OsliraEventBus?.on?.('business:changed', () => this.load());
+
+        await this.load();
+
+        console.log('✅ [BillingManager] Initialized');
+    }
+
+    exposeGlobalHandlers() {
+        window.selectBillingPlan = (planKey) => this.selectPlan(planKey);
+        window.confirmBillingPlanChange = () => this.confirmPlanChange();
+        window.cancelBillingPlanChange = () => this.clearPlanChange();
+        window.openBillingPortal = () => this.openPortal();
+        window.loadMoreInvoices = () => this.loadMoreInvoices();
+        window.startBillingCancellation = () => this.startCancellation();
+        window.setBillingCancelReason = (reason) => this.setCancelReason(reason);
+        window.acceptBillingRetentionOffer = () => this.acceptRetentionOffer();
+        window.confirmBillingCancellation = () => this.confirmCancellation();
+        window.abortBillingCancellation = () => this.abortCancellation();
+        window.resumeSubscription = () => this.resume();
+    }
+
+    /**
+     * Stripe Checkout sends the user back with ?checkout=success
+     */
+    handleCheckoutReturn() {
+        const url = new URL(window.location.href);
+        if (url.searchParams.get('checkout') !== 'success') return;
+
+        url.searchParams.delete('checkout');
+        window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+
+        this.authAPI?.clearBillingCache?.();
+        window.OsliraAuth?.refreshCredits?.();
+        window.OsliraApp?.showMessage?.('Your plan is active - thanks for subscribing!', 'success');
+    }
+
+    /**
+     * Settings pages don't run the dashboard's business loader, so fall back to
+     * the businesses AuthManager loaded (they carry the user's role)
+     */
+    async resolveBusiness() {
+        const selected = window.OsliraStateManager?.getState('business.selected');
+        if (selected) return selected;
+
+        const businesses = await window.OsliraAuth?.waitForBusinesses?.() || [];
+        const savedId = localStorage.getItem('selectedBusinessId');
+
+        return businesses.find(business => business.id === savedId) || businesses[0] || null;
+    }
+
+    // =========================================================================
+    // LOADING
+    // =========================================================================
+
+    async load() {
+        const token = ++this.loadToken;
+        const container = document.getElementById('billing-content');
+        if (!container) return;
+
+        container.innerHTML = this.renderer.renderLoading();
+
+        if (!this.userId || !this.authAPI) {
+            container.innerHTML = this.renderer.renderError('Sign in again to manage billing');
+            return;
+        }
+
+        // In a workspace shared with the user, its owner's plan pays for everything
+        const business = await this.resolveBusiness();
+        if (token !== this.loadToken) return;
+
+        const permissions = window.OsliraUserService?.getUserPermissions?.(business || undefined);
+        if (permissions && !permissions.canManageBilling) {
+            container.innerHTML = this.renderer.renderNotice(
+                'Billing is managed by the workspace owner',
+                `${business?.business_name || 'This workspace'} uses its owner's plan and credits. Switch to your own business to manage your plan.`
+            );
+            return;
+        }
+
+        try {
+            const subscription = await this.authAPI.getSubscription(this.userId);
+            if (token !== this.loadToken) return;
+
+            this.subscription = this.billingService.normalizeSubscription(subscription);
+            this.pendingChange = null;
+            this.cancellation = null;
+            this.render();
+
+        } catch (error) {
+            if (token !== this.loadToken) return;
+
+            console.error('❌ [BillingManager] Failed to load subscription:', error);
+            container.innerHTML = this.renderer.renderError(`Could not load your plan: ${error.message}`);
+            return;
+        }
+
+        // Invoices and the card are extras - the plan stays usable if either fails
+        const [invoices, card] = await Promise.allSettled([
+            this.authAPI.getInvoices(this.userId),
+            this.authAPI.getPaymentMethod(this.userId)
+        ]);
+        if (token !== this.loadToken) return;
+
+        if (invoices.status === 'fulfilled') {
+            this.invoices = invoices.value.invoices.map(invoice => this.billingService.normalizeInvoice(invoice));
+            this.hasMoreInvoices = invoices.value.hasMore;
+        } else {
+            console.warn('⚠️ [BillingManager] Invoices unavailable:', invoices.reason?.message);
+        }
+
+        if (card.status === 'fulfilled') {
+            this.card = this.billingService.formatCard(card.value);
+        } else {
+            console.warn('⚠️ [BillingManager] Payment method unavailable:', card.reason?.message);
+        }
+
+        this.render();
+    }
+
+    async loadMoreInvoices() {
+        if (!this.hasMoreInvoices || this.isLoadingMoreInvoices) return;
+
+        this.isLoadingMoreInvoices = true;
+        this.render();
+
+        try {
+            const lastId = this.invoices[this.invoices.length - 1]?.id;
+            const page = await this.authAPI.getInvoices(this.userId, { startingAfter: lastId });
+
+            this.invoices = [...this.invoices, ...page.invoices.map(invoice => this.billingService.normalizeInvoice(invoice))];
+            this.hasMoreInvoices = page.hasMore;
+
+        } catch (error) {
+            console.error('❌ [BillingManager] Failed to load invoices:', error);
+            window.OsliraApp?.showMessage?.(`Could not load older invoices: ${error.message}`, 'error');
+        }
+
+        this.isLoadingMoreInvoices = false;
+        this.render();
+    }
+
+    // =========================================================================
+    // PLAN CHANGES
+    // =========================================================================
+
+    async selectPlan(planKey) {
+        if (this.isBusy || !this.subscription) return;
+
+        const priceId = this.billingService.getPriceId(planKey, this.isProduction);
+        if (!priceId) return;
+
+        this.cancellation = null;
+        this.pendingPlanKey = planKey;
+        this.isBusy = true;
+        this.render();
+
+        try {
+            if (this.subscription.isPaid) {
+                await this.previewPlanChange(planKey, priceId);
+            } else {
+                await this.startCheckout(priceId);
+            }
+
+        } catch (error) {
+            console.error('❌ [BillingManager] Plan selection failed:', error);
+            window.OsliraApp?.showMessage?.(`Could not change your plan: ${error.message}`, 'error');
+        }
+
+        this.pendingPlanKey = null;
+        this.isBusy = false;
+        this.render();
+    }
+
+    async previewPlanChange(planKey, priceId) {
+        const preview = await this.authAPI.previewPlanChange(this.userId, priceId);
+
+        this.pendingChange = {
+            plan: this.billingService.getPlan(planKey),
+            priceId,
+            direction: this.billingService.getChangeDirection(this.subscription.planKey, planKey),
+            preview: this.billingService.normalizePreview(preview)
+        };
+    }
+
+    /**
+     * No subscription yet - Stripe Checkout collects the card
+     */
+    async startCheckout(priceId) {
+        const billingUrl = window.OsliraEnv.getAppUrl('/settings/billing');
+        const session = await this.authAPI.createCheckoutSession(this.userId, priceId, {
+            successUrl: `${billingUrl}?checkout=success`,
+            cancelUrl: billingUrl
+        });
+
+        if (session?.url) {
+            window.location.href = session.url;
+            return;
+        }
+
+        const publishableKey = window.OsliraConfig?.getStripePublishableKey?.();
+        if (!session?.sessionId || !publishableKey || typeof window.Stripe !== 'function') {
+            throw new Error('Checkout is not available right now');
+        }
+
+        const { error } = await window.Stripe(publishableKey).redirectToCheckout({ sessionId: session.sessionId });
+        if (error) throw error;
+    }
+
+    async confirmPlanChange() {
+        if (this.isBusy || !this.pendingChange) return;
+
+        const { plan, priceId, preview } = this.pendingChange;
+        this.isBusy = true;
+        this.render();
+
+        try {
+            const subscription = await this.authAPI.changePlan(this.userId, priceId, preview.prorationDate);
+
+            this.subscription = this.billingService.normalizeSubscription(subscription);
+            this.pendingChange = null;
+            window.OsliraAuth?.refreshCredits?.();
+            window.OsliraApp?.showMessage?.(`You're now on ${plan.name}`, 'success');
+
+        } catch (error) {
+            console.error('❌ [BillingManager] Plan change failed:', error);
+            window.OsliraApp?.showMessage?.(`Could not switch to ${plan.name}: ${error.message}`, 'error');
+        }
+
+        this.isBusy = false;
+        this.render();
+    }
+
+    clearPlanChange() {
+        this.pendingChange = null;
+        this.render();
+    }
+
+    async openPortal() {
+        if (!this.customerId) return;
+
+        try {
+            const url = await this.authAPI.createPortalSession(
+                this.customerId,
+                window.OsliraEnv.getAppUrl('/settings/billing')
+            );
+            window.location.href = url;
+
+        } catch (error) {
+            console.error('❌ [BillingManager] Portal failed:', error);
+            window.OsliraApp?.showMessage?.('Unable to open billing management. Please try again.', 'error');
+        }
+    }
+
+    // =========================================================================
+    // CANCELLATION
+    // =========================================================================
+
+    startCancellation() {
+        this.pendingChange = null;
+        this.cancellation = { reason: null, comment: '' };
+        this.render();
+    }
+
+    setCancelReason(reason) {
+        if (!this.cancellation) return;
+
+        this.cancellation = { reason, comment: this.readCancelComment() };
+        this.render();
+    }
+
+    readCancelComment() {
+        return document.getElementById('billing-cancel-comment')?.value || this.cancellation?.comment || '';
+    }
+
+    async acceptRetentionOffer() {
+        const offer = this.billingService.getRetentionOffer(this.cancellation?.reason, this.subscription?.planKey);
+        if (!offer) return;
+
+        await this.selectPlan(offer.plan.key);
+    }
+
+    async confirmCancellation() {
+        if (this.isBusy || !this.cancellation?.reason) return;
+
+        this.cancellation.comment = this.readCancelComment();
+        this.isBusy = true;
+        this.render();
+
+        try {
+            const subscription = await this.authAPI.cancelSubscription(this.userId, this.cancellation);
+
+            this.subscription = this.billingService.normalizeSubscription(subscription);
+            this.cancellation = null;
+            window.OsliraApp?.showMessage?.(
+                `Your subscription ends on ${this.billingService.formatDate(this.subscription.periodEnd)}`,
+                'success'
+            );
+
+        } catch (error) {
+            console.error('❌ [BillingManager] Cancellation failed:', error);
+            window.OsliraApp?.showMessage?.(`Could not cancel your subscription: ${error.message}`, 'error');
+        }
+
+        this.isBusy = false;
+        this.render();
+    }
+
+    abortCancellation() {
+        this.cancellation = null;
+        this.render();
+    }
+
+    async resume() {
+        if (this.isBusy) return;
+
+        this.isBusy = true;
+        this.render();
+
+        try {
+            const subscription = await this.authAPI.resumeSubscription(this.userId);
+
+            this.subscription = this.billingService.normalizeSubscription(subscription);
+            window.OsliraApp?.showMessage?.('Your plan will keep renewing', 'success');
+
+        } catch (error) {
+            console.error('❌ [BillingManager] Resume failed:', error);
+            window.OsliraApp?.showMessage?.(`Could not resume your subscription: ${error.message}`, 'error');
+        }
+
+        this.isBusy = false;
+        this.render();
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+
+    render() {
+        const container = document.getElementById('billing-content');
+        if (!container || !this.subscription) return;
+
+        const sections = [this.renderer.renderCurrentPlan(this.subscription, { isBusy: this.isBusy })];
+
+        if (this.pendingChange) {
+            sections.push(this.renderer.renderPlanChangePreview(this.pendingChange.plan, this.pendingChange.preview, {
+                direction: this.pendingChange.direction,
+                isBusy: this.isBusy
+            }));
+        }
+
+        sections.push(
+            this.renderer.renderPlans(this.subscription, { pendingPlanKey: this.pendingPlanKey, isBusy: this.isBusy }),
+            this.renderer.renderPaymentMethod(this.card, { canManage: !!this.customerId }),
+            this.renderer.renderInvoices(this.invoices, {
+                hasMore: this.hasMoreInvoices,
+                isLoadingMore: this.isLoadingMoreInvoices
+            })
+        );
+
+        if (this.cancellation) {
+            sections.push(this.renderer.renderCancellation({
+                ...this.cancellation,
+                offer: this.billingService.getRetentionOffer(this.cancellation.reason, this.subscription.planKey),
+                periodEnd: this.subscription.periodEnd,
+                isBusy: this.isBusy
+            }));
+        } else if (this.subscription.isPaid && !this.subscription.isCancelScheduled) {
+            sections.push(this.renderer.renderCancelLink());
+        }
+
+        container.innerHTML = `<div class="space-y-6">${sections.join('')}</div>`;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.BillingManager = BillingManager;
+
+console.log('✅ [BillingManager] Loaded');
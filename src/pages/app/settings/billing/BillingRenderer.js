@@ -0,0 +1,293 @@
+// =============================================================================
+// BILLING RENDERER - Pure HTML Generation
+// Path: /public/pages/app/settings/billing/BillingRenderer.js
+// Dependencies: BillingService, ValidationUtils
+// =============================================================================
+
+/**
+ * @class BillingRenderer
+ * @description Current plan, plan picker with proration preview, payment method,
+ * invoice history and the cancellation flow for the Billing tab
+ */
+class BillingRenderer {
+    constructor(billingService) {
+        this.billingService = billingService;
+    }
+
+    // =========================================================================
+    // CURRENT PLAN
+    // =========================================================================
+
+    renderCurrentPlan(subscription, { isBusy = false } = {}) {
+        const plan = this.billingService.getPlan(subscription.planKey);
+
+        let renewal = '';
+        if (subscription.isCancelScheduled) {
+            renewal = `<p class="text-sm text-red-600 mt-1">Cancels on ${this.billingService.formatDate(subscription.periodEnd)} - you keep your credits until then</p>`;
+        } else if (subscription.isPaid && subscription.periodEnd) {
+            renewal = `<p class="text-sm text-gray-600 mt-1">Renews on ${this.billingService.formatDate(subscription.periodEnd)}</p>`;
+        }
+
+        return `
+            <section class="flex flex-wrap items-center justify-between gap-4 p-6 bg-white border border-gray-200 rounded-2xl">
+                <div>
+                    <p class="text-xs font-medium uppercase tracking-wide text-gray-500">Current plan</p>
+                    <h3 class="text-xl font-semibold text-gray-900 mt-1">
+                        ${plan.name}
+                        ${subscription.status === 'past_due' ? '<span class="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-red-50 text-red-700">Payment failed</span>' : ''}
+                    </h3>
+                    <p class="text-sm text-gray-600 mt-1">${plan.credits} credits a month · ${subscription.creditsRemaining} left this period</p>
+                    ${renewal}
+                </div>
+                ${subscription.isCancelScheduled ? `
+                    <button onclick="window.resumeSubscription()" ${isBusy ? 'disabled' : ''} class="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                        Keep my plan
+                    </button>
+                ` : ''}
+            </section>
+        `;
+    }
+
+    // =========================================================================
+    // PLAN PICKER
+    // =========================================================================
+
+    renderPlans(subscription, { pendingPlanKey = null, isBusy = false } = {}) {
+        return `
+            <section>
+                <h3 class="text-base font-semibold text-gray-900 mb-3">Change plan</h3>
+                <div class="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 gap-3">
+                    ${this.billingService.plans.filter(plan => plan.key !== 'free').map(plan => this.renderPlanCard(plan, {
+                        direction: this.billingService.getChangeDirection(subscription.planKey, plan.key),
+                        isPending: plan.key === pendingPlanKey,
+                        isBusy
+                    })).join('')}
+                </div>
+            </section>
+        `;
+    }
+
+    renderPlanCard(plan, { direction, isPending, isBusy }) {
+        const labels = { upgrade: 'Upgrade', downgrade: 'Downgrade', current: 'Current plan' };
+
+        let action;
+        if (plan.isContactSales) {
+            action = `<a href="mailto:sales@oslira.com?subject=Enterprise%20Plan%20Inquiry" class="block w-full py-2 text-center text-sm font-medium text-indigo-600 border border-indigo-200 rounded-lg hover:bg-indigo-50">Contact sales</a>`;
+        } else if (direction === 'current') {
+            action = `<span class="block w-full py-2 text-center text-sm font-medium text-gray-500 bg-gray-50 rounded-lg">${labels.current}</span>`;
+        } else {
+            action = `
+                <button onclick="window.selectBillingPlan('${plan.key}')" ${isBusy ? 'disabled' : ''}
+                        class="w-full py-2 text-sm font-medium rounded-lg disabled:opacity-50 ${direction === 'upgrade' ? 'text-white bg-indigo-600 hover:bg-indigo-700' : 'text-gray-700 border border-gray-200 hover:bg-gray-50'}">
+                    ${isPending ? 'Loading…' : labels[direction]}
+                </button>
+            `;
+        }
+
+        return `
+            <div class="flex flex-col p-5 bg-white border ${direction === 'current' ? 'border-indigo-400 ring-1 ring-indigo-200' : 'border-gray-200'} rounded-2xl">
+                <p class="text-sm font-semibold text-gray-900">${plan.name}</p>
+                <p class="mt-2 text-2xl font-bold text-gray-900">${plan.price === null ? 'Custom' : `$${plan.price}<span class="text-sm font-normal text-gray-500">/month</span>`}</p>
+                <p class="mt-1 text-sm text-gray-600 flex-1">${plan.isContactSales ? `${plan.credits}+` : plan.credits} credits a month</p>
+                <div class="mt-4">${action}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Confirmation step for an active subscriber switching plans
+     */
+    renderPlanChangePreview(plan, preview, { direction, isBusy = false } = {}) {
+        const total = preview.isCredit
+            ? `${this.billingService.formatMoney(-preview.amountDue, preview.currency)} credit on your next invoice`
+            : `${this.billingService.formatMoney(preview.amountDue, preview.currency)} due today`;
+
+        return `
+            <section class="p-6 bg-white border border-indigo-200 rounded-2xl" aria-live="polite">
+                <h3 class="text-base font-semibold text-gray-900">${direction === 'upgrade' ? 'Upgrade' : 'Downgrade'} to ${plan.name}</h3>
+                <p class="text-sm text-gray-600 mt-1">You're charged only for the rest of this billing period.</p>
+                ${preview.lines.length > 0 ? `
+                    <ul class="mt-4 divide-y divide-gray-100 text-sm">
+                        ${preview.lines.map(line => `
+                            <li class="flex justify-between gap-4 py-2">
+                                <span class="text-gray-700">${window.OsliraValidationUtils.escapeHTML(line.description)}</span>
+                                <span class="text-gray-900 tabular-nums">${this.billingService.formatMoney(line.amount, preview.currency)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                <p class="mt-4 text-base font-semibold text-gray-900">${total}</p>
+                ${preview.nextPaymentAt ? `<p class="text-sm text-gray-600">Then $${plan.price}/month from ${this.billingService.formatDate(preview.nextPaymentAt)}</p>` : ''}
+                <div class="flex gap-3 mt-5">
+                    <button onclick="window.confirmBillingPlanChange()" ${isBusy ? 'disabled' : ''} class="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                        ${isBusy ? 'Switching…' : `Switch to ${plan.name}`}
+                    </button>
+                    <button onclick="window.cancelBillingPlanChange()" ${isBusy ? 'disabled' : ''} class="px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-100 rounded-xl">Not now</button>
+                </div>
+            </section>
+        `;
+    }
+
+    // =========================================================================
+    // PAYMENT METHOD
+    // =========================================================================
+
+    renderPaymentMethod(card, { canManage = false } = {}) {
+        return `
+            <section class="flex flex-wrap items-center justify-between gap-4 p-6 bg-white border border-gray-200 rounded-2xl">
+                <div>
+                    <h3 class="text-base font-semibold text-gray-900">Payment method</h3>
+                    ${card
+                        ? `<p class="text-sm text-gray-700 mt-1">${window.OsliraValidationUtils.escapeHTML(card.label)}${card.expires ? ` · expires ${card.expires}` : ''}</p>`
+                        : '<p class="text-sm text-gray-500 mt-1">No card on file</p>'}
+                </div>
+                ${canManage ? `
+                    <button onclick="window.openBillingPortal()" class="px-4 py-2 text-sm font-medium text-gray-700 border border-gray-200 rounded-xl hover:bg-gray-50">
+                        Update
+                    </button>
+                ` : ''}
+            </section>
+        `;
+    }
+
+    // =========================================================================
+    // INVOICES
+    // =========================================================================
+
+    renderInvoices(invoices, { hasMore = false, isLoadingMore = false } = {}) {
+        return `
+            <section class="bg-white border border-gray-200 rounded-2xl">
+                <h3 class="px-6 pt-5 pb-3 text-base font-semibold text-gray-900">Invoices</h3>
+                ${invoices.length === 0 ? '<p class="px-6 pb-5 text-sm text-gray-500">No invoices yet.</p>' : `
+                    <table class="w-full text-sm">
+                        <thead>
+                            <tr class="text-left text-xs uppercase tracking-wide text-gray-500">
+                                <th class="px-6 py-2 font-medium">Date</th>
+                                <th class="px-6 py-2 font-medium">Number</th>
+                                <th class="px-6 py-2 font-medium text-right">Amount</th>
+                                <th class="px-6 py-2 font-medium">Status</th>
+                                <th class="px-6 py-2"><span class="sr-only">Download</span></th>
+                            </tr>
+                        </thead>
+                        <tbody class="divide-y divide-gray-100">
+                            ${invoices.map(invoice => this.renderInvoiceRow(invoice)).join('')}
+                        </tbody>
+                    </table>
+                `}
+                ${hasMore ? `
+                    <button onclick="window.loadMoreInvoices()" ${isLoadingMore ? 'disabled' : ''}
+                            class="w-full py-3 text-sm font-medium text-indigo-600 border-t border-gray-100 hover:bg-indigo-50 rounded-b-2xl disabled:opacity-50">
+                        ${isLoadingMore ? 'Loading…' : 'Show older invoices'}
+                    </button>
+                ` : ''}
+            </section>
+        `;
+    }
+
+    renderInvoiceRow(invoice) {
+        const statusStyles = {
+            paid: 'bg-green-50 text-green-700',
+            open: 'bg-amber-50 text-amber-700',
+            uncollectible: 'bg-red-50 text-red-700',
+            void: 'bg-gray-100 text-gray-600'
+        };
+
+        return `
+            <tr>
+                <td class="px-6 py-3 text-gray-900">${this.billingService.formatDate(invoice.date)}</td>
+                <td class="px-6 py-3 text-gray-600">${window.OsliraValidationUtils.escapeHTML(invoice.number)}</td>
+                <td class="px-6 py-3 text-right text-gray-900 tabular-nums">${this.billingService.formatMoney(invoice.amount, invoice.currency)}</td>
+                <td class="px-6 py-3">
+                    <span class="px-2 py-0.5 text-xs font-medium rounded-full ${statusStyles[invoice.status] || statusStyles.void}">${window.OsliraValidationUtils.escapeHTML(invoice.status)}</span>
+                </td>
+                <td class="px-6 py-3 text-right">
+                    ${invoice.pdfUrl ? `<a href="${window.OsliraValidationUtils.escapeHTML(invoice.pdfUrl)}" target="_blank" rel="noopener noreferrer" class="text-indigo-600 hover:underline">PDF</a>` : ''}
+                    ${!invoice.pdfUrl && invoice.hostedUrl ? `<a href="${window.OsliraValidationUtils.escapeHTML(invoice.hostedUrl)}" target="_blank" rel="noopener noreferrer" class="text-indigo-600 hover:underline">View</a>` : ''}
+                </td>
+            </tr>
+        `;
+    }
+
+    // =========================================================================
+    // CANCELLATION
+    // =========================================================================
+
+    renderCancelLink() {
+        return `
+            <div class="text-right">
+                <button onclick="window.startBillingCancellation()" class="text-sm text-gray-500 hover:text-red-600 hover:underline">Cancel subscription</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Retention step: ask why, offer a cheaper plan when that would help, then confirm
+     * @param {Object} options - { reason, comment, offer, periodEnd, isBusy }
+     */
+    renderCancellation({ reason = null, comment = '', offer = null, periodEnd = null, isBusy = false } = {}) {
+        return `
+            <section class="p-6 bg-white border border-red-200 rounded-2xl">
+                <h3 class="text-base font-semibold text-gray-900">Before you go</h3>
+                <fieldset class="mt-3 space-y-2">
+                    <legend class="text-sm text-gray-600 mb-2">What's the main reason you're cancelling?</legend>
+                    ${this.billingService.cancelReasons.map(item => `
+                        <label class="flex items-center gap-2 text-sm text-gray-800 cursor-pointer">
+                            <input type="radio" name="cancelReason" value="${item.key}" ${item.key === reason ? 'checked' : ''}
+                                   onchange="window.setBillingCancelReason('${item.key}')">
+                            ${window.OsliraValidationUtils.escapeHTML(item.label)}
+                        </label>
+                    `).join('')}
+                </fieldset>
+                <label for="billing-cancel-comment" class="block text-sm text-gray-600 mt-4 mb-1">Anything we could do better? (optional)</label>
+                <textarea id="billing-cancel-comment" rows="2" class="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">${window.OsliraValidationUtils.escapeHTML(comment)}</textarea>
+                ${offer ? `
+                    <div class="mt-4 p-4 bg-indigo-50 rounded-xl">
+                        <p class="text-sm text-indigo-900">
+                            <span class="font-semibold">${offer.plan.name}</span> is $${offer.plan.price}/month for ${offer.plan.credits} credits - keep your leads and history for less.
+                        </p>
+                        <button onclick="window.acceptBillingRetentionOffer()" ${isBusy ? 'disabled' : ''} class="mt-3 px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                            Switch to ${offer.plan.name} instead
+                        </button>
+                    </div>
+                ` : ''}
+                <p class="text-sm text-gray-600 mt-4">
+                    Your plan stays active${periodEnd ? ` until ${this.billingService.formatDate(periodEnd)}` : ' until the end of this period'}, then moves to Free.
+                </p>
+                <div class="flex gap-3 mt-4">
+                    <button onclick="window.confirmBillingCancellation()" ${!reason || isBusy ? 'disabled' : ''} class="px-4 py-2 text-sm font-semibold text-white bg-red-600 rounded-xl hover:bg-red-700 disabled:opacity-50">
+                        ${isBusy ? 'Cancelling…' : 'Cancel subscription'}
+                    </button>
+                    <button onclick="window.abortBillingCancellation()" ${isBusy ? 'disabled' : ''} class="px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-100 rounded-xl">Keep my plan</button>
+                </div>
+            </section>
+        `;
+    }
+
+    // =========================================================================
+    // STATES
+    // =========================================================================
+
+    renderNotice(title, message) {
+        return `
+            <div class="p-6 bg-white border border-gray-200 rounded-2xl">
+                <h3 class="text-base font-semibold text-gray-900">${window.OsliraValidationUtils.escapeHTML(title)}</h3>
+                <p class="text-sm text-gray-600 mt-1">${window.OsliraValidationUtils.escapeHTML(message)}</p>
+            </div>
+        `;
+    }
+
+    renderLoading() {
+        return '<p class="py-10 text-center text-sm text-gray-500">Loading billing…</p>';
+    }
+
+    renderError(message) {
+        return `<p class="py-10 text-center text-sm text-red-600" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>`;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.BillingRenderer = BillingRenderer;
+
+console.log('✅ [BillingRenderer] Loaded');
@@ -0,0 +1,191 @@
+// =============================================================================
+// BILLING SERVICE - Pure Business Logic
+// Path: /public/pages/app/settings/billing/BillingService.js
+// Dependencies: None
+// =============================================================================
+
+/**
+ * @class BillingService
+ * @description Plan catalogue, the user's subscription, proration previews,
+ * invoices and the cancellation retention step
+ *
+ * Amounts from Stripe are in the smallest currency unit (cents).
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class BillingService {
+    constructor() {
+        // Same plans and prices as the pricing page
+        this.plans = [
+            { key: 'free', name: 'Free', price: 0, credits: 25 },
+            { key: 'starter', name: 'Starter', price: 15, credits: 100 },
+            { key: 'professional', name: 'Professional', price: 30, credits: 300 },
+            { key: 'agency', name: 'Agency', price: 80, credits: 1000 },
+            { key: 'enterprise', name: 'Enterprise', price: null, credits: 5000, isContactSales: true }
+        ];
+
+        this.priceIds = {
+            test: {
+                starter: 'price_1SCmaBJzvcRSqGG3RGL3WrRC',
+                professional: 'price_1SCmafJzvcRSqGG3tzSaS6o1',
+                agency: 'price_1SCmb3JzvcRSqGG3xTcq7w7E'
+            },
+            live: {
+                starter: 'price_1SCmN0JzvcRSqGG33DY89imT',
+                professional: 'price_1SCmNaJzvcRSqGG3VAcbi4Og',
+                agency: 'price_1SCmPWJzvcRSqGG35tZjdior'
+            }
+        };
+
+        this.cancelReasons = [
+            { key: 'too_expensive', label: 'It costs too much', offer: 'downgrade' },
+            { key: 'not_using', label: 'I don\'t use it enough', offer: 'downgrade' },
+            { key: 'missing_features', label: 'It\'s missing something I need', offer: null },
+            { key: 'switching', label: 'I\'m switching to another tool', offer: null },
+            { key: 'other', label: 'Something else', offer: null }
+        ];
+    }
+
+    // =========================================================================
+    // PLANS
+    // =========================================================================
+
+    getPlan(planKey) {
+        return this.plans.find(plan => plan.key === planKey) || this.plans[0];
+    }
+
+    getPriceId(planKey, isProduction = false) {
+        return this.priceIds[isProduction ? 'live' : 'test'][planKey] || null;
+    }
+
+    /**
+     * @returns {string} 'current', 'upgrade' or 'downgrade'
+     */
+    getChangeDirection(currentPlanKey, targetPlanKey) {
+        if (currentPlanKey === targetPlanKey) return 'current';
+
+        const order = this.plans.map(plan => plan.key);
+        return order.indexOf(targetPlanKey) > order.indexOf(currentPlanKey) ? 'upgrade' : 'downgrade';
+    }
+
+    // =========================================================================
+    // SUBSCRIPTION
+    // =========================================================================
+
+    /**
+     * Subscription rows name the plan plan_type (older rows: plan)
+     */
+    normalizeSubscription(subscription) {
+        const isActive = ['active', 'trialing', 'past_due'].includes(subscription?.status);
+        const planKey = isActive ? String(subscription.plan_type || subscription.plan || 'free').toLowerCase() : 'free';
+
+        return {
+            ...(subscription || {}),
+            planKey: this.plans.some(plan => plan.key === planKey) ? planKey : 'free',
+            status: subscription?.status || 'none',
+            isPaid: isActive && planKey !== 'free',
+            creditsRemaining: Number(subscription?.credits_remaining) || 0,
+            periodEnd: subscription?.current_period_end || null,
+            isCancelScheduled: !!subscription?.cancel_at_period_end
+        };
+    }
+
+    /**
+     * @param {Object} preview - Worker response: { amount_due, currency, proration_date, next_payment_at, lines }
+     * @returns {Object} { amountDue, currency, prorationDate, nextPaymentAt, lines: [{ description, amount }], isCredit }
+     */
+    normalizePreview(preview = {}) {
+        const amountDue = Number(preview.amount_due) || 0;
+
+        return {
+            amountDue,
+            currency: preview.currency || 'usd',
+            prorationDate: preview.proration_date || null,
+            nextPaymentAt: preview.next_payment_at || null,
+            lines: (preview.lines || []).map(line => ({
+                description: line.description || '',
+                amount: Number(line.amount) || 0
+            })),
+            isCredit: amountDue < 0
+        };
+    }
+
+    // =========================================================================
+    // RETENTION
+    // =========================================================================
+
+    /**
+     * What to offer before cancelling: a cheaper paid plan when price or
+     * usage is the reason and there is one below the current plan
+     * @returns {Object|null} { type: 'downgrade', plan }
+     */
+    getRetentionOffer(reasonKey, currentPlanKey) {
+        const reason = this.cancelReasons.find(item => item.key === reasonKey);
+        if (reason?.offer !== 'downgrade') return null;
+
+        const paidPlans = this.plans.filter(plan => plan.price > 0);
+        const currentIndex = paidPlans.findIndex(plan => plan.key === currentPlanKey);
+        if (currentIndex <= 0) return null;
+
+        return { type: 'downgrade', plan: paidPlans[currentIndex - 1] };
+    }
+
+    // =========================================================================
+    // INVOICES & PAYMENT METHOD
+    // =========================================================================
+
+    normalizeInvoice(invoice = {}) {
+        return {
+            id: invoice.id,
+            number: invoice.number || invoice.id || '',
+            date: invoice.created ? new Date(invoice.created * 1000).toISOString() : invoice.date || null,
+            amount: Number(invoice.amount_paid ?? invoice.total) || 0,
+            currency: invoice.currency || 'usd',
+            status: invoice.status || 'open',
+            // Only Stripe-hosted links are rendered
+            pdfUrl: this.isSafeUrl(invoice.invoice_pdf) ? invoice.invoice_pdf : null,
+            hostedUrl: this.isSafeUrl(invoice.hosted_invoice_url) ? invoice.hosted_invoice_url : null
+        };
+    }
+
+    formatCard(paymentMethod) {
+        if (!paymentMethod?.last4) return null;
+
+        const brand = String(paymentMethod.brand || 'Card');
+        return {
+            label: `${brand.charAt(0).toUpperCase()}${brand.slice(1)} ending in ${paymentMethod.last4}`,
+            expires: paymentMethod.exp_month && paymentMethod.exp_year
+                ? `${String(paymentMethod.exp_month).padStart(2, '0')}/${String(paymentMethod.exp_year).slice(-2)}`
+                : null
+        };
+    }
+
+    // =========================================================================
+    // FORMATTING
+    // =========================================================================
+
+    formatMoney(amount, currency = 'usd') {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(amount / 100);
+    }
+
+    formatDate(date) {
+        if (!date) return '';
+        const value = typeof date === 'number' ? date * 1000 : date;
+        return new Date(value).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+    }
+
+    isSafeUrl(url) {
+        return typeof url === 'string' && url.startsWith('https://');
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.BillingService = BillingService;
+
+console.log('✅ [BillingService] Loaded');
@@ -0,0 +1,229 @@
+// =============================================================================
+// PROFILE MANAGER - Orchestration Layer
+// Path: /public/pages/app/settings/profile/ProfileManager.js
+// Dependencies: ProfileService, ProfileRenderer, FormValidator, UserService, AuthManager
+// =============================================================================
+
+/**
+ * @class ProfileManager
+ * @description Profile tab in settings
+ *
+ * Responsibilities:
+ * - Name, signature name (the dashboard greeting), avatar and timezone
+ * - Email notification preferences
+ * - Each form is validated by FormValidator and re-rendered on its own, so
+ *   saving one never throws away unsaved edits in the other
+ */
+class ProfileManager {
+    constructor() {
+        this.profileService = new window.ProfileService();
+        this.renderer = new window.ProfileRenderer(this.profileService);
+
+        this.profile = null;
+        this.preferences = null;
+        this.avatarPreviewUrl = null;
+
+        console.log('👤 [ProfileManager] Instance created');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get userService() {
+        return window.OsliraUserService;
+    }
+
+    get email() {
+        return this.profile?.email || window.OsliraAuth?.user?.email || '';
+    }
+
+    get browserTimezone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        this.exposeGlobalHandlers();
+
+        await this.load();
+
+        console.log('✅ [ProfileManager] Initialized');
+    }
+
+    exposeGlobalHandlers() {
+        window.previewProfileAvatar = (input) => this.previewAvatar(input);
+    }
+
+    // =========================================================================
+    // LOADING
+    // =========================================================================
+
+    async load() {
+        const container = document.getElementById('profile-content');
+        if (!container) return;
+
+        container.innerHTML = this.renderer.renderLoading();
+
+        if (!this.userService) {
+            container.innerHTML = this.renderer.renderError('Your profile is unavailable right now');
+            return;
+        }
+
+        try {
+            const [profile, preferences] = await Promise.all([
+                this.userService.loadUserProfile(),
+                this.userService.loadUserPreferences().catch(error => {
+                    console.warn('⚠️ [ProfileManager] Preferences unavailable:', error);
+                    return null;
+                })
+            ]);
+
+            this.profile = profile || {};
+            this.preferences = preferences;
+
+            container.innerHTML = this.renderer.renderLayout();
+            this.renderDetails();
+            this.renderNotifications();
+
+        } catch (error) {
+            console.error('❌ [ProfileManager] Failed to load profile:', error);
+            container.innerHTML = this.renderer.renderError(`Could not load your profile: ${error.message}`);
+        }
+    }
+
+    // =========================================================================
+    // DETAILS
+    // =========================================================================
+
+    renderDetails() {
+        const section = document.getElementById('profile-details');
+        if (!section) return;
+
+        section.innerHTML = this.renderer.renderDetails({
+            profile: { ...this.profile, timezone: this.profile.timezone || this.browserTimezone },
+            email: this.email,
+            timezones: this.profileService.getTimezones(
+                Intl.supportedValuesOf?.('timeZone'),
+                this.profile.timezone || this.browserTimezone
+            )
+        });
+
+        const form = document.getElementById('profile-form');
+        const validator = new window.OsliraFormValidator(form);
+
+        validator.addRule('avatar', 'custom', (value, field) =>
+            this.profileService.validateAvatar(field.files?.[0] || null)
+        );
+
+        form.addEventListener('validation:success', () => this.saveDetails(form));
+    }
+
+    previewAvatar(input) {
+        const file = input.files?.[0];
+        const preview = document.getElementById('profile-avatar-preview');
+        if (!file || !preview || this.profileService.validateAvatar(file) !== true) return;
+
+        if (this.avatarPreviewUrl) URL.revokeObjectURL(this.avatarPreviewUrl);
+        this.avatarPreviewUrl = URL.createObjectURL(file);
+
+        preview.innerHTML = `<img src="${this.avatarPreviewUrl}" alt="" class="w-full h-full object-cover">`;
+    }
+
+    /**
+     * Read the form directly: FormValidator's data flattens the file input
+     */
+    saveDetails(form) {
+        return this.submit(form, async () => {
+            const file = form.elements.avatar?.files?.[0] || null;
+            const data = {
+                full_name: form.elements.full_name.value,
+                signature_name: form.elements.signature_name.value,
+                timezone: form.elements.timezone.value
+            };
+
+            const avatarUrl = file ? await this.userService.uploadAvatar(file) : null;
+            const updates = this.profileService.buildProfileUpdates(data, this.profile, avatarUrl);
+
+            if (Object.keys(updates).length > 0) {
+                const updated = await this.userService.updateUserProfile(updates);
+                this.profile = { ...this.profile, ...updates, ...(updated || {}) };
+            }
+
+            this.renderDetails();
+            window.OsliraApp?.showMessage?.('Profile saved', 'success');
+        }, 'Could not save your profile');
+    }
+
+    // =========================================================================
+    // NOTIFICATIONS
+    // =========================================================================
+
+    renderNotifications() {
+        const section = document.getElementById('profile-notifications');
+        if (!section) return;
+
+        section.innerHTML = this.renderer.renderNotifications(
+            this.preferences ? this.profileService.getNotificationSettings(this.preferences) : null
+        );
+
+        const form = document.getElementById('notifications-form');
+        if (!form) return;
+
+        new window.OsliraFormValidator(form);
+        form.addEventListener('validation:success', (event) => this.saveNotifications(form, event.detail.data));
+    }
+
+    saveNotifications(form, data) {
+        return this.submit(form, async () => {
+            const preferences = this.profileService.buildNotificationPreferences(data, this.preferences);
+            this.preferences = await this.userService.updateUserPreferences(preferences) || preferences;
+
+            this.renderNotifications();
+            window.OsliraApp?.showMessage?.('Notification settings saved', 'success');
+        }, 'Could not save your notification settings');
+    }
+
+    // =========================================================================
+    // HELPERS
+    // =========================================================================
+
+    /**
+     * Run a validated form's action; failures keep what was typed and show the
+     * error above the submit button
+     */
+    async submit(form, action, failureMessage) {
+        const button = form.querySelector('button[type="submit"]');
+        if (button?.disabled) return;
+
+        const label = button?.textContent;
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Saving…';
+        }
+        form.querySelector('[data-form-error]')?.remove();
+
+        try {
+            await action();
+
+        } catch (error) {
+            console.error(`❌ [ProfileManager] ${failureMessage}:`, error);
+
+            if (button) {
+                button.disabled = false;
+                button.textContent = label;
+            }
+            button?.insertAdjacentHTML('beforebegin', this.renderer.renderFormError(`${failureMessage}: ${error.message}`));
+        }
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.ProfileManager = ProfileManager;
+
+console.log('✅ [ProfileManager] Loaded');
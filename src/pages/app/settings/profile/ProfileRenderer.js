@@ -0,0 +1,173 @@
+// =============================================================================
+// PROFILE RENDERER - Pure HTML Generation
+// Path: /public/pages/app/settings/profile/ProfileRenderer.js
+// Dependencies: ProfileService, ValidationUtils
+// =============================================================================
+
+/**
+ * @class ProfileRenderer
+ * @description Personal details and notification forms for the Profile tab
+ *
+ * Forms carry their rules as attributes for FormValidator, which adds its own
+ * field errors.
+ */
+class ProfileRenderer {
+    constructor(profileService) {
+        this.profileService = profileService;
+        this.inputClass = 'mt-1 w-full px-3 py-2 text-sm bg-white border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500';
+    }
+
+    renderLayout() {
+        return `
+            <div class="space-y-6">
+                <div id="profile-details"></div>
+                <div id="profile-notifications"></div>
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // DETAILS
+    // =========================================================================
+
+    /**
+     * @param {Object} data - { profile, email, timezones }
+     */
+    renderDetails({ profile = {}, email = '', timezones = [] }) {
+        const { limits } = this.profileService;
+        const greetingName = this.profileService.getGreetingName({
+            signatureName: profile.signature_name,
+            fullName: profile.full_name,
+            email
+        });
+
+        return `
+            <form id="profile-form" class="p-6 bg-white border border-gray-200 rounded-2xl">
+                <h3 class="text-base font-semibold text-gray-900">Personal details</h3>
+
+                <div class="flex items-center gap-4 mt-5">
+                    ${this.renderAvatar(profile.avatar_url, profile.full_name || email)}
+                    <div class="min-w-0">
+                        <label for="profile-avatar" class="block text-sm font-medium text-gray-700">Profile picture</label>
+                        <input id="profile-avatar" name="avatar" type="file" accept="${this.profileService.avatarTypes.join(',')}" data-validation="avatar"
+                               onchange="window.previewProfileAvatar(this)"
+                               class="mt-1 block text-sm text-gray-600 file:mr-3 file:px-3 file:py-1.5 file:text-sm file:font-medium file:border-0 file:rounded-lg file:bg-gray-100 file:text-gray-700 hover:file:bg-gray-200">
+                        <p class="mt-1 text-xs text-gray-500">PNG, JPEG or WebP, up to ${this.profileService.maxAvatarBytes / (1024 * 1024)} MB</p>
+                    </div>
+                </div>
+
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mt-5">
+                    <div>
+                        <label for="profile-full-name" class="block text-sm font-medium text-gray-700">Full name</label>
+                        <input id="profile-full-name" name="full_name" type="text" required maxlength="${limits.fullName}" autocomplete="name"
+                               value="${window.OsliraValidationUtils.escapeHTML(profile.full_name)}" data-error-required="Enter your name"
+                               class="${this.inputClass}">
+                    </div>
+                    <div>
+                        <label for="profile-signature-name" class="block text-sm font-medium text-gray-700">Signature name</label>
+                        <input id="profile-signature-name" name="signature_name" type="text" maxlength="${limits.signatureName}"
+                               value="${window.OsliraValidationUtils.escapeHTML(profile.signature_name)}" placeholder="${window.OsliraValidationUtils.escapeHTML(profile.full_name || '')}"
+                               class="${this.inputClass}">
+                        <p class="mt-1 text-xs text-gray-500">How the dashboard greets you - currently "${window.OsliraValidationUtils.escapeHTML(greetingName)}"</p>
+                    </div>
+                    <div>
+                        <label for="profile-email" class="block text-sm font-medium text-gray-700">Email</label>
+                        <input id="profile-email" type="email" value="${window.OsliraValidationUtils.escapeHTML(email)}" disabled
+                               class="${this.inputClass} text-gray-500 bg-gray-50">
+                        <p class="mt-1 text-xs text-gray-500">Change it under Account</p>
+                    </div>
+                    <div>
+                        <label for="profile-timezone" class="block text-sm font-medium text-gray-700">Timezone</label>
+                        <select id="profile-timezone" name="timezone" required class="${this.inputClass}">
+                            ${timezones.map(timezone => `
+                                <option value="${window.OsliraValidationUtils.escapeHTML(timezone)}" ${timezone === profile.timezone ? 'selected' : ''}>${window.OsliraValidationUtils.escapeHTML(timezone.replace(/_/g, ' '))}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+
+                <button type="submit" class="mt-5 px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                    Save profile
+                </button>
+            </form>
+        `;
+    }
+
+    renderAvatar(avatarUrl, name) {
+        return `
+            <div id="profile-avatar-preview" class="w-16 h-16 shrink-0 rounded-full overflow-hidden bg-indigo-100 text-indigo-700 flex items-center justify-center text-lg font-semibold">
+                ${avatarUrl
+                    ? `<img src="${window.OsliraValidationUtils.escapeHTML(avatarUrl)}" alt="" class="w-full h-full object-cover">`
+                    : window.OsliraValidationUtils.escapeHTML(this.profileService.getInitials(name))}
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // NOTIFICATIONS
+    // =========================================================================
+
+    /**
+     * @param {Object|null} settings - { [optionKey]: boolean }, null when they couldn't load
+     */
+    renderNotifications(settings) {
+        if (!settings) {
+            return `
+                <section class="p-6 bg-white border border-gray-200 rounded-2xl">
+                    <h3 class="text-base font-semibold text-gray-900">Email notifications</h3>
+                    <p class="mt-2 text-sm text-red-600" role="alert">Your notification settings couldn't be loaded. Reload the page to try again.</p>
+                </section>
+            `;
+        }
+
+        return `
+            <form id="notifications-form" class="p-6 bg-white border border-gray-200 rounded-2xl">
+                <h3 class="text-base font-semibold text-gray-900">Email notifications</h3>
+                <p class="text-sm text-gray-600 mt-1">Receipts and security notices are always sent.</p>
+
+                <div class="mt-4 space-y-3">
+                    ${this.profileService.notificationOptions.map(option => `
+                        <label class="flex items-start gap-3">
+                            <input type="checkbox" name="${option.key}" ${settings[option.key] ? 'checked' : ''}
+                                   class="mt-0.5 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500">
+                            <span>
+                                <span class="block text-sm font-medium text-gray-900">${option.label}</span>
+                                <span class="block text-xs text-gray-500">${option.description}</span>
+                            </span>
+                        </label>
+                    `).join('')}
+                </div>
+
+                <button type="submit" class="mt-5 px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                    Save notifications
+                </button>
+            </form>
+        `;
+    }
+
+    // =========================================================================
+    // STATES
+    // =========================================================================
+
+    /**
+     * Server failures, shown above the submit button without re-rendering the form
+     */
+    renderFormError(message) {
+        return `<p class="text-sm text-red-600 mt-3" role="alert" data-form-error>${window.OsliraValidationUtils.escapeHTML(message)}</p>`;
+    }
+
+    renderLoading() {
+        return '<p class="py-10 text-center text-sm text-gray-500">Loading your profile…</p>';
+    }
+
+    renderError(message) {
+        return `<p class="py-10 text-center text-sm text-red-600" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>`;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.ProfileRenderer = ProfileRenderer;
+
+console.log('✅ [ProfileRenderer] Loaded');
@@ -0,0 +1,160 @@
+// =============================================================================
+// PROFILE SERVICE - Pure Business Logic
+// Path: /public/pages/app/settings/profile/ProfileService.js
+// Dependencies: None
+// =============================================================================
+
+/**
+ * @class ProfileService
+ * @description Field rules, timezones and notification options for the
+ * Profile tab
+ *
+ * Profiles are rows of the users table: { full_name, signature_name,
+ * avatar_url, timezone, email }. Notification settings live in the user's
+ * preferences under `notifications`.
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class ProfileService {
+    constructor() {
+        this.limits = { fullName: 100, signatureName: 50 };
+
+        this.avatarTypes = ['image/png', 'image/jpeg', 'image/webp'];
+        this.maxAvatarBytes = 2 * 1024 * 1024;
+
+        this.notificationOptions = [
+            { key: 'analysis_complete', label: 'Analyses finished', description: 'When a bulk analysis you started is done', default: true },
+            { key: 'weekly_digest', label: 'Weekly digest', description: 'New leads, replies and credit spend, every Monday', default: true },
+            { key: 'team_activity', label: 'Team activity', description: 'Accepted invites and role changes in your workspaces', default: true },
+            { key: 'product_updates', label: 'Product updates', description: 'New features and tips, at most once a month', default: false }
+        ];
+
+        // For browsers without Intl.supportedValuesOf
+        this.fallbackTimezones = [
+            'UTC', 'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York',
+            'America/Sao_Paulo', 'Europe/London', 'Europe/Paris', 'Europe/Berlin', 'Africa/Johannesburg',
+            'Asia/Dubai', 'Asia/Kolkata', 'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney', 'Pacific/Auckland'
+        ];
+    }
+
+    // =========================================================================
+    // PROFILE
+    // =========================================================================
+
+    /**
+     * @param {string[]|null} supported - Intl.supportedValuesOf('timeZone'), when available
+     * @param {string} current - Always offered, even if the list doesn't have it
+     */
+    getTimezones(supported, current) {
+        const timezones = Array.isArray(supported) && supported.length > 0
+            ? [...supported]
+            : [...this.fallbackTimezones];
+
+        if (!timezones.includes('UTC')) timezones.unshift('UTC');
+        if (current && !timezones.includes(current)) timezones.unshift(current);
+
+        return timezones;
+    }
+
+    /**
+     * Custom FormValidator rule for the avatar input
+     * @param {File|null} file
+     * @returns {true|string} true, or the error message
+     */
+    validateAvatar(file) {
+        if (!file) return true;
+
+        if (!this.avatarTypes.includes(file.type)) {
+            return 'Use a PNG, JPEG or WebP image';
+        }
+
+        if (file.size > this.maxAvatarBytes) {
+            return `Images can be up to ${this.maxAvatarBytes / (1024 * 1024)} MB`;
+        }
+
+        return true;
+    }
+
+    /**
+     * Only the fields that changed, so an untouched form saves nothing
+     * @param {Object} data - FormValidator data: { full_name, signature_name, timezone }
+     * @param {Object} profile - Current profile
+     * @param {string|null} avatarUrl - Freshly uploaded avatar
+     * @returns {Object} Updates for UserService.updateUserProfile
+     */
+    buildProfileUpdates(data = {}, profile = {}, avatarUrl = null) {
+        const next = {
+            full_name: String(data.full_name || '').trim(),
+            signature_name: String(data.signature_name || '').trim() || null,
+            timezone: data.timezone || profile.timezone || 'UTC'
+        };
+
+        const updates = {};
+        Object.entries(next).forEach(([key, value]) => {
+            if (value !== (profile[key] ?? null)) updates[key] = value;
+        });
+
+        if (avatarUrl) updates.avatar_url = avatarUrl;
+
+        return updates;
+    }
+
+    /**
+     * What the dashboard greets the user with - same order as
+     * DashboardHeader.getUserSignatureName
+     */
+    getGreetingName({ signatureName, fullName, email } = {}) {
+        return signatureName || fullName || String(email || '').split('@')[0] || 'there';
+    }
+
+    getInitials(name) {
+        const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+        if (parts.length === 0) return '?';
+
+        return parts.slice(0, 2).map(part => part[0]).join('').toUpperCase();
+    }
+
+    // =========================================================================
+    // NOTIFICATIONS
+    // =========================================================================
+
+    /**
+     * @param {Object} preferences - UserService preferences
+     * @returns {Object} { [optionKey]: boolean }
+     */
+    getNotificationSettings(preferences = {}) {
+        const saved = preferences.notifications || {};
+
+        return Object.fromEntries(this.notificationOptions.map(option => [
+            option.key,
+            typeof saved[option.key] === 'boolean' ? saved[option.key] : option.default
+        ]));
+    }
+
+    /**
+     * Unchecked boxes are missing from form data
+     * @param {Object} data - FormValidator data
+     * @param {Object} preferences - Current preferences, kept as they are
+     * @returns {Object} Full preferences for UserService.updateUserPreferences
+     */
+    buildNotificationPreferences(data = {}, preferences = {}) {
+        return {
+            ...preferences,
+            notifications: Object.fromEntries(this.notificationOptions.map(option => [
+                option.key,
+                Object.prototype.hasOwnProperty.call(data, option.key)
+            ]))
+        };
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.ProfileService = ProfileService;
+
+console.log('✅ [ProfileService] Loaded');
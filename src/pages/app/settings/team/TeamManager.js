@@ -0,0 +1,268 @@
+// =============================================================================
+// TEAM MANAGER - Orchestration Layer
+// Path: /public/pages/app/settings/team/TeamManager.js
+// Dependencies: TeamService, TeamRenderer, BusinessAPI, UserService, AuthManager, StateManager
+// =============================================================================
+
+/**
+ * @class TeamManager
+ * @description Team tab in settings
+ *
+ * Responsibilities:
+ * - Resolve the workspace being managed and the user's role in it
+ * - List members and pending invites (BusinessAPI team endpoints)
+ * - Invite by email with a role, revoke invites, change roles, remove members
+ * - Explain why the team can't be managed when the plan or role doesn't allow it
+ */
+class TeamManager {
+    constructor() {
+        this.teamService = new window.TeamService();
+        this.renderer = new window.TeamRenderer(this.teamService);
+
+        this.business = null;
+        this.members = [];
+        this.invites = [];
+        this.canManage = false;
+
+        this.inviteValues = { email: '', role: 'analyst' };
+        this.inviteErrors = {};
+        this.isInviting = false;
+        this.loadToken = 0;
+
+        console.log('👥 [TeamManager] Instance created');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get businessAPI() {
+        return window.OsliraBusinessAPI;
+    }
+
+    get userService() {
+        return window.OsliraUserService;
+    }
+
+    get currentUserId() {
+        return window.OsliraAuth?.user?.id || null;
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        this.exposeGlobalHandlers();
+
+        window.OsliraEventBus?.on?.('business:changed', () => this.load());
+
+        await this.load();
+
+        console.log('✅ [TeamManager] Initialized');
+    }
+
+    exposeGlobalHandlers() {
+        window.inviteTeamMember = () => this.invite();
+        window.revokeTeamInvite = (inviteId) => this.revokeInvite(inviteId);
+        window.changeTeamMemberRole = (memberId, role) => this.changeRole(memberId, role);
+        window.removeTeamMember = (memberId) => this.removeMember(memberId);
+    }
+
+    /**
+     * Settings pages don't run the dashboard's business loader, so fall back to
+     * the businesses AuthManager loaded (they carry the user's role)
+     */
+    async resolveBusiness() {
+        const selected = window.OsliraStateManager?.getState('business.selected');
+        if (selected) return selected;
+
+        const businesses = await window.OsliraAuth?.waitForBusinesses?.() || [];
+        const savedId = localStorage.getItem('selectedBusinessId');
+
+        return businesses.find(business => business.id === savedId) || businesses[0] || null;
+    }
+
+    // =========================================================================
+    // LOADING
+    // =========================================================================
+
+    async load() {
+        const token = ++this.loadToken;
+        const container = document.getElementById('team-content');
+        if (!container) return;
+
+        container.innerHTML = this.renderer.renderLoading();
+
+        const business = await this.resolveBusiness();
+        if (token !== this.loadToken) return;
+
+        if (!business || !this.businessAPI || !this.userService) {
+            container.innerHTML = this.renderer.renderError('Select a business to manage its team');
+            return;
+        }
+
+        this.business = business;
+        const role = this.userService.getBusinessRole(business);
+        this.canManage = this.userService.getUserPermissions(business).canManageTeam;
+
+        // Role allows it but the plan doesn't - only the owner can upgrade
+        if (!this.canManage && this.userService.getRolePermissions(role).canManageTeam) {
+            container.innerHTML = this.renderer.renderNotice(
+                'Team workspaces are part of the Enterprise plan',
+                'Upgrade to invite teammates, share this workspace\'s leads and spend from one credit pool.',
+                role === 'owner' ? { label: 'View plans', target: 'settings-billing' } : null
+            );
+            return;
+        }
+
+        try {
+            const [members, invites] = await Promise.all([
+                this.businessAPI.getTeamMembers(business.id),
+                this.canManage ? this.businessAPI.getTeamInvites(business.id) : []
+            ]);
+            if (token !== this.loadToken) return;
+
+            this.members = this.teamService.sortMembers(members);
+            this.invites = invites;
+            this.render();
+
+        } catch (error) {
+            if (token !== this.loadToken) return;
+
+            console.error('❌ [TeamManager] Failed to load team:', error);
+            container.innerHTML = this.renderer.renderError(`Could not load your team: ${error.message}`);
+        }
+    }
+
+    // =========================================================================
+    // INVITES
+    // =========================================================================
+
+    async invite() {
+        if (this.isInviting || !this.canManage) return;
+
+        this.inviteValues = {
+            email: document.getElementById('team-invite-email')?.value || '',
+            role: document.getElementById('team-invite-role')?.value || ''
+        };
+
+        const validation = this.teamService.validateInvite(this.inviteValues, {
+            members: this.members,
+            invites: this.invites
+        });
+        this.inviteErrors = validation.errors;
+
+        if (!validation.valid) {
+            this.render();
+            return;
+        }
+
+        this.isInviting = true;
+        this.render();
+
+        try {
+            await this.businessAPI.inviteTeamMember(this.business.id, validation.invite);
+
+            this.invites = await this.businessAPI.getTeamInvites(this.business.id);
+            this.inviteValues = { email: '', role: validation.invite.role };
+            window.OsliraApp?.showMessage?.(`Invite sent to ${validation.invite.email}`, 'success');
+
+        } catch (error) {
+            console.error('❌ [TeamManager] Invite failed:', error);
+            this.inviteErrors = { form: `Could not send the invite: ${error.message}` };
+        }
+
+        this.isInviting = false;
+        this.render();
+    }
+
+    async revokeInvite(inviteId) {
+        const invite = this.invites.find(item => item.id === inviteId);
+        if (!invite || !confirm(`Revoke the invite for ${invite.email}?`)) return;
+
+        try {
+            await this.businessAPI.revokeTeamInvite(this.business.id, inviteId);
+
+            this.invites = this.invites.filter(item => item.id !== inviteId);
+            this.render();
+
+        } catch (error) {
+            console.error('❌ [TeamManager] Revoke failed:', error);
+            window.OsliraApp?.showMessage?.(`Could not revoke the invite: ${error.message}`, 'error');
+        }
+    }
+
+    // =========================================================================
+    // MEMBERS
+    // =========================================================================
+
+    async changeRole(memberId, role) {
+        const member = this.members.find(item => item.id === memberId);
+        if (!member || member.role === role || !this.teamService.isAssignableRole(role)) return;
+
+        try {
+            await this.businessAPI.updateTeamMemberRole(this.business.id, memberId, role);
+
+            this.members = this.teamService.sortMembers(
+                this.members.map(item => item.id === memberId ? { ...item, role } : item)
+            );
+            window.OsliraApp?.showMessage?.(
+                `${member.full_name || member.email} is now ${this.teamService.getRoleLabel(role).toLowerCase()}`,
+                'success'
+            );
+
+        } catch (error) {
+            console.error('❌ [TeamManager] Role change failed:', error);
+            window.OsliraApp?.showMessage?.(`Could not change the role: ${error.message}`, 'error');
+        }
+
+        // Re-render either way so a failed change puts the select back
+        this.render();
+    }
+
+    async removeMember(memberId) {
+        const member = this.members.find(item => item.id === memberId);
+        if (!member || !confirm(`Remove ${member.full_name || member.email} from this workspace? They lose access right away.`)) return;
+
+        try {
+            await this.businessAPI.removeTeamMember(this.business.id, memberId);
+
+            this.members = this.members.filter(item => item.id !== memberId);
+            this.render();
+
+        } catch (error) {
+            console.error('❌ [TeamManager] Remove failed:', error);
+            window.OsliraApp?.showMessage?.(`Could not remove the member: ${error.message}`, 'error');
+        }
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+
+    render() {
+        const container = document.getElementById('team-content');
+        if (!container) return;
+
+        container.innerHTML = this.renderer.renderTeam({
+            members: this.members,
+            invites: this.invites,
+            canManage: this.canManage,
+            context: {
+                currentUserId: this.currentUserId,
+                currentRole: this.userService.getBusinessRole(this.business)
+            },
+            inviteValues: this.inviteValues,
+            inviteErrors: this.inviteErrors,
+            isInviting: this.isInviting
+        });
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.TeamManager = TeamManager;
+
+console.log('✅ [TeamManager] Loaded');
@@ -0,0 +1,181 @@
+// =============================================================================
+// TEAM RENDERER - Pure HTML Generation
+// Path: /public/pages/app/settings/team/TeamRenderer.js
+// Dependencies: TeamService, ValidationUtils
+// =============================================================================
+
+/**
+ * @class TeamRenderer
+ * @description Invite form, member list and pending invites for the Team tab
+ */
+class TeamRenderer {
+    constructor(teamService) {
+        this.teamService = teamService;
+    }
+
+    /**
+     * @param {Object} data - { members, invites, canManage, context, inviteValues, inviteErrors, isInviting }
+     */
+    renderTeam({ members = [], invites = [], canManage = false, context = {}, inviteValues = {}, inviteErrors = {}, isInviting = false }) {
+        return `
+            <div class="space-y-6">
+                ${canManage ? this.renderInviteForm(inviteValues, inviteErrors, isInviting) : ''}
+                ${this.renderMembers(members, canManage, context)}
+                ${canManage ? this.renderInvites(invites) : ''}
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // INVITE FORM
+    // =========================================================================
+
+    renderInviteForm(values = {}, errors = {}, isInviting = false) {
+        const selectedRole = values.role || 'analyst';
+
+        return `
+            <form class="p-6 bg-white border border-gray-200 rounded-2xl" onsubmit="event.preventDefault(); window.inviteTeamMember();" novalidate>
+                <h3 class="text-base font-semibold text-gray-900 mb-4">Invite a teammate</h3>
+                <div class="flex flex-col md:flex-row gap-3">
+                    <div class="flex-1">
+                        <label for="team-invite-email" class="sr-only">Email</label>
+                        <input id="team-invite-email" type="email" value="${window.OsliraValidationUtils.escapeHTML(values.email)}" placeholder="teammate@company.com"
+                               class="w-full px-3 py-2 text-sm border ${errors.email ? 'border-red-400' : 'border-gray-200'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                        ${errors.email ? `<p class="text-xs text-red-600 mt-1" role="alert">${window.OsliraValidationUtils.escapeHTML(errors.email)}</p>` : ''}
+                    </div>
+                    <div>
+                        <label for="team-invite-role" class="sr-only">Role</label>
+                        ${this.renderRoleSelect('team-invite-role', selectedRole)}
+                        ${errors.role ? `<p class="text-xs text-red-600 mt-1" role="alert">${window.OsliraValidationUtils.escapeHTML(errors.role)}</p>` : ''}
+                    </div>
+                    <button type="submit" ${isInviting ? 'disabled' : ''} class="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50 shrink-0">
+                        ${isInviting ? 'Sending…' : 'Send invite'}
+                    </button>
+                </div>
+                ${errors.form ? `<p class="text-sm text-red-600 mt-3" role="alert">${window.OsliraValidationUtils.escapeHTML(errors.form)}</p>` : ''}
+                <ul class="mt-4 space-y-1">
+                    ${this.teamService.assignableRoles.map(role => `
+                        <li class="text-xs text-gray-500"><span class="font-medium text-gray-700">${role.label}</span> - ${window.OsliraValidationUtils.escapeHTML(role.description)}</li>
+                    `).join('')}
+                </ul>
+            </form>
+        `;
+    }
+
+    renderRoleSelect(id, selectedRole, attributes = '') {
+        return `
+            <select id="${id}" ${attributes} class="px-3 py-2 text-sm bg-white border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                ${this.teamService.assignableRoles.map(role => `
+                    <option value="${role.key}" ${role.key === selectedRole ? 'selected' : ''}>${role.label}</option>
+                `).join('')}
+            </select>
+        `;
+    }
+
+    // =========================================================================
+    // MEMBERS
+    // =========================================================================
+
+    renderMembers(members, canManage, context) {
+        return `
+            <section class="bg-white border border-gray-200 rounded-2xl">
+                <h3 class="px-6 pt-5 pb-3 text-base font-semibold text-gray-900">Members <span class="text-sm font-normal text-gray-500">${members.length}</span></h3>
+                <ul class="divide-y divide-gray-100">
+                    ${members.map(member => this.renderMember(member, canManage && this.teamService.canManageMember(member, context), context)).join('')}
+                </ul>
+            </section>
+        `;
+    }
+
+    renderMember(member, canManageMember, context) {
+        const name = member.full_name || member.email;
+        const isYou = member.user_id === context.currentUserId;
+
+        return `
+            <li class="flex items-center justify-between gap-4 px-6 py-3">
+                <div class="min-w-0">
+                    <p class="text-sm font-medium text-gray-900 truncate">${window.OsliraValidationUtils.escapeHTML(name)}${isYou ? ' <span class="text-gray-500 font-normal">(you)</span>' : ''}</p>
+                    ${member.full_name ? `<p class="text-xs text-gray-500 truncate">${window.OsliraValidationUtils.escapeHTML(member.email)}</p>` : ''}
+                </div>
+                <div class="flex items-center gap-3 shrink-0">
+                    ${canManageMember ? `
+                        <label for="team-role-${window.OsliraValidationUtils.escapeHTML(member.id)}" class="sr-only">Role for ${window.OsliraValidationUtils.escapeHTML(name)}</label>
+                        ${this.renderRoleSelect(`team-role-${window.OsliraValidationUtils.escapeHTML(member.id)}`, member.role, `onchange="window.changeTeamMemberRole('${window.OsliraValidationUtils.escapeHTML(member.id)}', this.value)"`)}
+                        <button onclick="window.removeTeamMember('${window.OsliraValidationUtils.escapeHTML(member.id)}')" class="text-sm font-medium text-red-600 hover:underline">Remove</button>
+                    ` : `
+                        <span class="px-2 py-0.5 text-xs font-medium rounded-full ${member.role === 'owner' ? 'bg-indigo-50 text-indigo-700' : 'bg-gray-100 text-gray-700'}">${this.teamService.getRoleLabel(member.role)}</span>
+                    `}
+                </div>
+            </li>
+        `;
+    }
+
+    // =========================================================================
+    // PENDING INVITES
+    // =========================================================================
+
+    renderInvites(invites) {
+        if (invites.length === 0) return '';
+
+        return `
+            <section class="bg-white border border-gray-200 rounded-2xl">
+                <h3 class="px-6 pt-5 pb-3 text-base font-semibold text-gray-900">Pending invites <span class="text-sm font-normal text-gray-500">${invites.length}</span></h3>
+                <ul class="divide-y divide-gray-100">
+                    ${invites.map(invite => this.renderInvite(invite)).join('')}
+                </ul>
+            </section>
+        `;
+    }
+
+    renderInvite(invite) {
+        const isExpired = this.teamService.isInviteExpired(invite);
+
+        return `
+            <li class="flex items-center justify-between gap-4 px-6 py-3">
+                <div class="min-w-0">
+                    <p class="text-sm text-gray-900 truncate">${window.OsliraValidationUtils.escapeHTML(invite.email)}</p>
+                    <p class="text-xs ${isExpired ? 'text-red-600' : 'text-gray-500'}">
+                        ${this.teamService.getRoleLabel(invite.role)} · ${isExpired ? 'Expired' : `Sent ${this.teamService.formatDate(invite.created_at)}`}
+                    </p>
+                </div>
+                <button onclick="window.revokeTeamInvite('${window.OsliraValidationUtils.escapeHTML(invite.id)}')" class="text-sm font-medium text-gray-600 hover:text-red-600 shrink-0">Revoke</button>
+            </li>
+        `;
+    }
+
+    // =========================================================================
+    // STATES
+    // =========================================================================
+
+    /**
+     * Shown instead of the team when the plan or the role doesn't allow managing it
+     */
+    renderNotice(title, message, action = null) {
+        return `
+            <div class="p-6 bg-white border border-gray-200 rounded-2xl">
+                <h3 class="text-base font-semibold text-gray-900">${window.OsliraValidationUtils.escapeHTML(title)}</h3>
+                <p class="text-sm text-gray-600 mt-1">${window.OsliraValidationUtils.escapeHTML(message)}</p>
+                ${action ? `
+                    <button onclick="window.OsliraNav?.navigateTo('${action.target}')" class="mt-4 px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700">
+                        ${window.OsliraValidationUtils.escapeHTML(action.label)}
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderLoading() {
+        return '<p class="py-10 text-center text-sm text-gray-500">Loading your team…</p>';
+    }
+
+    renderError(message) {
+        return `<p class="py-10 text-center text-sm text-red-600" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>`;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.TeamRenderer = TeamRenderer;
+
+console.log('✅ [TeamRenderer] Loaded');
@@ -0,0 +1,127 @@
+// =============================================================================
+// TEAM SERVICE - Pure Business Logic
+// Path: /public/pages/app/settings/team/TeamService.js
+// Dependencies: None
+// =============================================================================
+
+/**
+ * @class TeamService
+ * @description Workspace members, pending invites and the roles they can hold
+ *
+ * A member is { id, user_id, email, full_name, role, joined_at }.
+ * An invite is { id, email, role, created_at, expires_at }.
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class TeamService {
+    constructor() {
+        // Owner is not in the list - a workspace has exactly one and it can't be granted
+        this.assignableRoles = [
+            { key: 'admin', label: 'Admin', description: 'Everything except billing, including managing the team' },
+            { key: 'analyst', label: 'Analyst', description: 'Runs analyses and edits leads, but cannot delete or bulk edit' },
+            { key: 'viewer', label: 'Viewer', description: 'Read-only access to leads and results' }
+        ];
+
+        this.roleOrder = ['owner', 'admin', 'analyst', 'viewer'];
+    }
+
+    // =========================================================================
+    // ROLES
+    // =========================================================================
+
+    getRoleLabel(role) {
+        if (role === 'owner') return 'Owner';
+        return this.assignableRoles.find(item => item.key === role)?.label || 'Viewer';
+    }
+
+    isAssignableRole(role) {
+        return this.assignableRoles.some(item => item.key === role);
+    }
+
+    /**
+     * Whether the current user may change or remove a member. Nobody can touch
+     * the owner or themselves, and admins can't demote other admins.
+     */
+    canManageMember(member, { currentUserId, currentRole }) {
+        if (member.role === 'owner' || member.user_id === currentUserId) return false;
+        if (currentRole === 'owner') return true;
+        return currentRole === 'admin' && member.role !== 'admin';
+    }
+
+    // =========================================================================
+    // MEMBERS & INVITES
+    // =========================================================================
+
+    normalizeMember(member = {}) {
+        return {
+            ...member,
+            email: member.email || '',
+            full_name: member.full_name || member.name || '',
+            role: member.role || 'viewer',
+            joined_at: member.joined_at || member.created_at || null
+        };
+    }
+
+    /**
+     * Owner first, then by role, then alphabetically
+     */
+    sortMembers(members) {
+        return members
+            .map(member => this.normalizeMember(member))
+            .sort((a, b) =>
+                this.roleOrder.indexOf(a.role) - this.roleOrder.indexOf(b.role) ||
+                (a.full_name || a.email).localeCompare(b.full_name || b.email)
+            );
+    }
+
+    /**
+     * @param {Object} input - { email, role } as typed
+     * @param {Object} context - { members, invites } already in the workspace
+     * @returns {Object} { valid, errors, invite }
+     */
+    validateInvite(input = {}, { members = [], invites = [] } = {}) {
+        const errors = {};
+        const email = String(input.email || '').trim().toLowerCase();
+        const role = input.role;
+
+        if (!email) {
+            errors.email = 'Enter an email address';
+        } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            errors.email = 'That doesn\'t look like an email address';
+        } else if (members.some(member => (member.email || '').toLowerCase() === email)) {
+            errors.email = 'Already a member of this workspace';
+        } else if (invites.some(invite => (invite.email || '').toLowerCase() === email)) {
+            errors.email = 'Already invited - revoke the pending invite to send a new one';
+        }
+
+        if (!this.isAssignableRole(role)) {
+            errors.role = 'Choose a role';
+        }
+
+        return { valid: Object.keys(errors).length === 0, errors, invite: { email, role } };
+    }
+
+    isInviteExpired(invite, now = Date.now()) {
+        return !!invite.expires_at && new Date(invite.expires_at).getTime() < now;
+    }
+
+    // =========================================================================
+    // FORMATTING
+    // =========================================================================
+
+    formatDate(date) {
+        if (!date) return '';
+        return new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.TeamService = TeamService;
+
+console.log('✅ [TeamService] Loaded');
@@ -0,0 +1,358 @@
+// =============================================================================
+// BUDGET MANAGER - Orchestration Layer
+// Path: /public/pages/app/settings/usage/BudgetManager.js
+// Dependencies: BudgetService, BudgetRenderer, AuthAPI, BusinessAPI, WebhooksAPI, UserService, AuthManager, StateManager
+// =============================================================================
+
+/**
+ * @class BudgetManager
+ * @description Budgets, alerts and auto top-up section of the Usage tab
+ *
+ * Responsibilities:
+ * - Load the credit pool's budgets through UserService, which the dashboard's
+ *   AnalysisQueue checks before every analysis
+ * - Create, update and remove per-business and per-teammate monthly budgets
+ * - Save alert thresholds and delivery (email, registry webhooks) and auto top-up
+ * - Read-only for everyone but the owner of the pool
+ */
+class BudgetManager {
+    constructor() {
+        this.budgetService = new window.BudgetService();
+        this.renderer = new window.BudgetRenderer(this.budgetService);
+
+        this.business = null;
+        this.settings = null;
+        this.targets = { businesses: [], members: [] };
+        this.webhooks = [];
+        this.canManage = false;
+        this.hasCard = false;
+
+        this.values = {};
+        this.errors = {};
+        this.savingSection = null;
+        this.loadToken = 0;
+
+        console.log('🎯 [BudgetManager] Instance created');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get authAPI() {
+        return window.OsliraAuthAPI;
+    }
+
+    get businessAPI() {
+        return window.OsliraBusinessAPI;
+    }
+
+    get userService() {
+        return window.OsliraUserService;
+    }
+
+    get poolUserId() {
+        return window.OsliraAuth?.getCreditPoolUserId?.() || null;
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        this.exposeGlobalHandlers();
+
+        window.OsliraEventBus?.on?.('business:changed', () => this.load());
+
+        await this.load();
+
+        console.log('✅ [BudgetManager] Initialized');
+    }
+
+    exposeGlobalHandlers() {
+        window.saveCreditBudget = () => this.saveBudget();
+        window.deleteCreditBudget = (budgetId) => this.deleteBudget(budgetId);
+        window.saveCreditAlerts = () => this.saveAlerts();
+        window.saveAutoTopUp = () => this.saveAutoTopUp();
+    }
+
+    /**
+     * Settings pages don't run the dashboard's business loader, so fall back to
+     * the businesses AuthManager loaded (they carry the user's role)
+     */
+    async resolveBusiness() {
+        const selected = window.OsliraStateManager?.getState('business.selected');
+        if (selected) return selected;
+
+        const businesses = await window.OsliraAuth?.waitForBusinesses?.() || [];
+        const savedId = localStorage.getItem('selectedBusinessId');
+
+        return businesses.find(business => business.id === savedId) || businesses[0] || null;
+    }
+
+    // =========================================================================
+    // LOADING
+    // =========================================================================
+
+    async load() {
+        const token = ++this.loadToken;
+        const container = document.getElementById('usage-budgets-content');
+        if (!container) return;
+
+        container.innerHTML = this.renderer.renderLoading();
+
+        const business = await this.resolveBusiness();
+        if (token !== this.loadToken) return;
+
+        if (!business || !this.authAPI || !this.userService) {
+            container.innerHTML = '';
+            return;
+        }
+
+        this.business = business;
+        const permissions = this.userService.getUserPermissions(business);
+        this.canManage = permissions.canManageBilling;
+
+        try {
+            const [settings, targets, hasCard, webhooks] = await Promise.all([
+                this.userService.loadCreditBudgets({ refresh: true }),
+                this.loadTargets(business, permissions.canManageTeam),
+                this.canManage ? this.loadHasCard() : false,
+                this.loadWebhooks()
+            ]);
+            if (token !== this.loadToken) return;
+
+            if (!settings) {
+                throw new Error('Budgets are unavailable right now');
+            }
+
+            this.settings = settings;
+            this.targets = targets;
+            this.hasCard = hasCard;
+            this.webhooks = webhooks;
+            this.errors = {};
+            this.values = {
+                budget: { target: '', monthlyLimit: '', mode: 'warn' },
+                alerts: { ...settings.alerts },
+                topUp: { ...settings.autoTopUp }
+            };
+            this.render();
+
+        } catch (error) {
+            if (token !== this.loadToken) return;
+
+            console.error('❌ [BudgetManager] Failed to load budgets:', error);
+            container.innerHTML = this.renderer.renderError(`Could not load your budgets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Businesses the pool pays for, and teammates when the plan has a team
+     */
+    async loadTargets(business, hasTeam) {
+        const businesses = await this.loadPoolBusinesses();
+
+        let members = [];
+        if (hasTeam && this.businessAPI) {
+            try {
+                members = await this.businessAPI.getTeamMembers(business.id);
+            } catch (error) {
+                console.warn('⚠️ [BudgetManager] Team members unavailable:', error);
+            }
+        }
+
+        return {
+            businesses: businesses.map(item => ({ id: item.id, name: item.business_name || 'Untitled business' })),
+            members: members
+                .filter(member => member.user_id)
+                .map(member => ({ id: member.user_id, name: member.full_name || member.email }))
+        };
+    }
+
+    async loadPoolBusinesses() {
+        const businesses = await window.OsliraAuth?.waitForBusinesses?.() || [];
+        const poolUserId = this.poolUserId;
+
+        return businesses.filter(item => (item.user_id || poolUserId) === poolUserId);
+    }
+
+    /**
+     * Alerts belong to the whole credit pool, so endpoints come from the webhook
+     * registry of every business the pool pays for, not just the selected one
+     * @returns {Promise<Array|null>} null when any registry couldn't load
+     */
+    async loadWebhooks() {
+        if (!window.OsliraWebhooksAPI) return null;
+
+        try {
+            const businesses = await this.loadPoolBusinesses();
+            const lists = await Promise.all(businesses.map(async item => {
+                const webhooks = await window.OsliraWebhooksAPI.listWebhooks(item.id);
+                return (webhooks || []).map(webhook => ({ ...webhook, businessName: item.business_name || 'Untitled business' }));
+            }));
+            return lists.flat();
+        } catch (error) {
+            console.warn('⚠️ [BudgetManager] Webhooks unavailable:', error);
+            return null;
+        }
+    }
+
+    async loadHasCard() {
+        try {
+            const paymentMethod = await this.authAPI.getPaymentMethod(this.poolUserId);
+            return !!paymentMethod?.last4;
+        } catch (error) {
+            console.warn('⚠️ [BudgetManager] Payment method unavailable:', error);
+            return false;
+        }
+    }
+
+    // =========================================================================
+    // BUDGETS
+    // =========================================================================
+
+    async saveBudget() {
+        if (this.savingSection || !this.canManage) return;
+
+        this.values.budget = {
+            target: document.getElementById('budget-target')?.value || '',
+            monthlyLimit: document.getElementById('budget-limit')?.value || '',
+            mode: document.getElementById('budget-mode')?.value || ''
+        };
+
+        const validation = this.budgetService.validateBudget(this.values.budget, this.settings.budgets);
+        this.errors.budget = validation.errors;
+
+        if (!validation.valid) {
+            this.render();
+            return;
+        }
+
+        await this.save('budget', async () => {
+            await this.authAPI.saveCreditBudget(this.poolUserId, validation.budget);
+            this.values.budget = { target: '', monthlyLimit: '', mode: validation.budget.mode };
+            return validation.budget.id ? 'Budget updated' : 'Budget added';
+        });
+    }
+
+    async deleteBudget(budgetId) {
+        if (this.savingSection || !this.canManage) return;
+        if (!confirm('Remove this budget? Spending it covered will no longer be capped.')) return;
+
+        await this.save('budget', async () => {
+            await this.authAPI.deleteCreditBudget(this.poolUserId, budgetId);
+            return 'Budget removed';
+        });
+    }
+
+    // =========================================================================
+    // ALERTS & AUTO TOP-UP
+    // =========================================================================
+
+    async saveAlerts() {
+        if (this.savingSection || !this.canManage) return;
+
+        this.values.alerts = {
+            thresholds: [...document.querySelectorAll('input[name="budget-threshold"]:checked')].map(input => Number(input.value)),
+            lowBalance: document.getElementById('alert-low-balance')?.value ?? '',
+            email: !!document.getElementById('alert-email')?.checked,
+            // Without the registry there are no checkboxes - keep what was saved
+            webhookIds: this.webhooks
+                ? [...document.querySelectorAll('[data-alert-webhook]:checked')].map(input => input.dataset.alertWebhook)
+                : this.values.alerts.webhookIds || []
+        };
+
+        const validation = this.budgetService.validateAlerts(this.values.alerts, { webhooks: this.webhooks });
+        this.errors.alerts = validation.errors;
+
+        if (!validation.valid) {
+            this.render();
+            return;
+        }
+
+        await this.save('alerts', async () => {
+            await this.authAPI.updateCreditAlerts(this.poolUserId, validation.alerts);
+            return 'Alerts saved';
+        });
+    }
+
+    async saveAutoTopUp() {
+        if (this.savingSection || !this.canManage) return;
+
+        this.values.topUp = {
+            enabled: !!document.getElementById('topup-enabled')?.checked,
+            threshold: document.getElementById('topup-threshold')?.value || '',
+            packId: document.getElementById('topup-pack')?.value || ''
+        };
+
+        const validation = this.budgetService.validateAutoTopUp(this.values.topUp, {
+            packs: this.settings.packs,
+            hasCard: this.hasCard
+        });
+        this.errors.topUp = validation.errors;
+
+        if (!validation.valid) {
+            this.render();
+            return;
+        }
+
+        await this.save('topUp', async () => {
+            await this.authAPI.updateAutoTopUp(this.poolUserId, validation.settings);
+            return validation.settings.enabled ? 'Auto top-up is on' : 'Auto top-up is off';
+        });
+    }
+
+    /**
+     * Run a write, then reload the shared settings so the dashboard's budget
+     * check sees the change
+     * @param {string} section - 'budget', 'alerts' or 'topUp'
+     * @param {Function} action - Resolves to the success message
+     */
+    async save(section, action) {
+        this.savingSection = section;
+        this.render();
+
+        try {
+            const message = await action();
+
+            this.settings = await this.userService.loadCreditBudgets({ refresh: true }) || this.settings;
+            this.errors[section] = {};
+            window.OsliraApp?.showMessage?.(message, 'success');
+
+        } catch (error) {
+            console.error(`❌ [BudgetManager] Saving ${section} failed:`, error);
+            this.errors[section] = { form: `Could not save: ${error.message}` };
+        }
+
+        this.savingSection = null;
+        this.render();
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+
+    render() {
+        const container = document.getElementById('usage-budgets-content');
+        if (!container || !this.settings) return;
+
+        container.innerHTML = this.renderer.renderBudgets({
+            settings: this.settings,
+            targets: this.targets,
+            webhooks: this.webhooks,
+            integrationsUrl: window.OsliraEnv?.getAppUrl?.('/integrations') || '/integrations',
+            canManage: this.canManage,
+            hasCard: this.hasCard,
+            values: this.values,
+            errors: this.errors,
+            savingSection: this.savingSection
+        });
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.BudgetManager = BudgetManager;
+
+console.log('✅ [BudgetManager] Loaded');
@@ -0,0 +1,302 @@
+// =============================================================================
+// BUDGET RENDERER - Pure HTML Generation
+// Path: /public/pages/app/settings/usage/BudgetRenderer.js
+// Dependencies: BudgetService, ValidationUtils
+// =============================================================================
+
+/**
+ * @class BudgetRenderer
+ * @description Monthly budgets, credit alerts and auto top-up forms for the Usage tab
+ */
+class BudgetRenderer {
+    constructor(budgetService) {
+        this.budgetService = budgetService;
+    }
+
+    /**
+     * @param {Object} data - { settings, targets: { businesses, members }, webhooks, integrationsUrl,
+     *   canManage, hasCard, values: { budget, alerts, topUp }, errors: { budget, alerts, topUp }, savingSection }
+     */
+    renderBudgets({ settings, targets, webhooks = [], integrationsUrl = '/integrations', canManage = false, hasCard = false, values = {}, errors = {}, savingSection = null }) {
+        return `
+            <div class="space-y-6">
+                ${canManage ? '' : `
+                    <p class="p-4 text-sm text-gray-600 bg-gray-50 rounded-xl">Only the workspace owner can change budgets, alerts and auto top-up.</p>
+                `}
+                ${this.renderBudgetList(settings, targets, canManage, values.budget, errors.budget, savingSection === 'budget')}
+                ${this.renderAlerts(values.alerts, errors.alerts, canManage, savingSection === 'alerts', { webhooks, integrationsUrl })}
+                ${this.renderAutoTopUp(settings.packs, values.topUp, errors.topUp, { canManage, hasCard, isSaving: savingSection === 'topUp' })}
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // BUDGETS
+    // =========================================================================
+
+    renderBudgetList(settings, targets, canManage, values = {}, errors = {}, isSaving = false) {
+        return `
+            <section class="bg-white border border-gray-200 rounded-2xl">
+                <div class="px-6 pt-5 pb-3">
+                    <h3 class="text-base font-semibold text-gray-900">Monthly budgets</h3>
+                    <p class="text-sm text-gray-600 mt-1">Cap what a business or teammate can spend each calendar month.</p>
+                </div>
+                ${settings.budgets.length === 0 ? '<p class="px-6 pb-4 text-sm text-gray-500">No budgets yet.</p>' : `
+                    <ul class="divide-y divide-gray-100">
+                        ${settings.budgets.map(budget => this.renderBudget(budget, settings.spend, targets, canManage)).join('')}
+                    </ul>
+                `}
+                ${canManage ? this.renderBudgetForm(targets, values, errors, isSaving) : ''}
+            </section>
+        `;
+    }
+
+    renderBudget(budget, spend, targets, canManage) {
+        const usage = this.budgetService.getBudgetUsage(budget, spend);
+        const name = this.getTargetName(budget, targets);
+
+        return `
+            <li class="px-6 py-3">
+                <div class="flex items-center justify-between gap-4">
+                    <div class="min-w-0">
+                        <p class="text-sm font-medium text-gray-900 truncate">${window.OsliraValidationUtils.escapeHTML(name)}</p>
+                        <p class="text-xs text-gray-500">${budget.scope === 'user' ? 'Teammate' : 'Business'} · ${this.budgetService.getModeLabel(budget.mode)}</p>
+                    </div>
+                    <div class="flex items-center gap-4 shrink-0">
+                        <span class="text-sm tabular-nums ${usage.isOver ? 'text-red-600' : 'text-gray-700'}">${usage.spent} / ${budget.monthlyLimit}</span>
+                        ${canManage ? `<button onclick="window.deleteCreditBudget('${window.OsliraValidationUtils.escapeHTML(budget.id)}')" class="text-sm font-medium text-gray-600 hover:text-red-600">Remove</button>` : ''}
+                    </div>
+                </div>
+                <div class="mt-2 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                    <div class="h-full rounded-full ${usage.isOver ? 'bg-red-500' : usage.percent >= 80 ? 'bg-amber-500' : 'bg-indigo-500'}" style="width: ${Math.min(usage.percent, 100).toFixed(1)}%"></div>
+                </div>
+            </li>
+        `;
+    }
+
+    renderBudgetForm(targets, values = {}, errors = {}, isSaving = false) {
+        const selectClass = 'px-3 py-2 text-sm bg-white border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+        return `
+            <form class="px-6 py-5 border-t border-gray-100" onsubmit="event.preventDefault(); window.saveCreditBudget();" novalidate>
+                <div class="flex flex-col md:flex-row gap-3">
+                    <div class="flex-1">
+                        <label for="budget-target" class="sr-only">Applies to</label>
+                        <select id="budget-target" class="w-full ${selectClass}">
+                            <option value="">Applies to…</option>
+                            <optgroup label="Businesses">
+                                ${targets.businesses.map(business => this.renderTargetOption('business', business, values.target)).join('')}
+                            </optgroup>
+                            ${targets.members.length > 0 ? `
+                                <optgroup label="Teammates">
+                                    ${targets.members.map(member => this.renderTargetOption('user', member, values.target)).join('')}
+                                </optgroup>
+                            ` : ''}
+                        </select>
+                        ${this.renderFieldError(errors.target)}
+                    </div>
+                    <div>
+                        <label for="budget-limit" class="sr-only">Credits per month</label>
+                        <input id="budget-limit" type="number" min="1" step="1" value="${window.OsliraValidationUtils.escapeHTML(values.monthlyLimit)}" placeholder="Credits / month"
+                               class="w-full md:w-40 px-3 py-2 text-sm border ${errors.monthlyLimit ? 'border-red-400' : 'border-gray-200'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                        ${this.renderFieldError(errors.monthlyLimit)}
+                    </div>
+                    <div>
+                        <label for="budget-mode" class="sr-only">At the limit</label>
+                        <select id="budget-mode" class="${selectClass}">
+                            ${this.budgetService.modes.map(mode => `
+                                <option value="${mode.key}" ${mode.key === (values.mode || 'warn') ? 'selected' : ''}>${mode.label}</option>
+                            `).join('')}
+                        </select>
+                        ${this.renderFieldError(errors.mode)}
+                    </div>
+                    <button type="submit" ${isSaving ? 'disabled' : ''} class="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50 shrink-0">
+                        ${isSaving ? 'Saving…' : 'Save budget'}
+                    </button>
+                </div>
+                ${this.renderFormError(errors.form)}
+                <ul class="mt-3 space-y-1">
+                    ${this.budgetService.modes.map(mode => `
+                        <li class="text-xs text-gray-500"><span class="font-medium text-gray-700">${mode.label}</span> - ${mode.description}</li>
+                    `).join('')}
+                </ul>
+            </form>
+        `;
+    }
+
+    renderTargetOption(scope, target, selectedValue) {
+        const value = this.budgetService.toTargetValue(scope, target.id);
+        return `<option value="${window.OsliraValidationUtils.escapeHTML(value)}" ${value === selectedValue ? 'selected' : ''}>${window.OsliraValidationUtils.escapeHTML(target.name)}</option>`;
+    }
+
+    getTargetName(budget, targets) {
+        if (budget.scope === 'user') {
+            return targets.members.find(member => member.id === budget.targetId)?.name || 'Former teammate';
+        }
+        return targets.businesses.find(business => business.id === budget.targetId)?.name || 'Deleted business';
+    }
+
+    // =========================================================================
+    // ALERTS
+    // =========================================================================
+
+    /**
+     * @param {Object} options - { webhooks } from the registry, null when they couldn't load
+     */
+    renderAlerts(values = {}, errors = {}, canManage = false, isSaving = false, { webhooks = [], integrationsUrl = '/integrations' } = {}) {
+        const disabled = canManage ? '' : 'disabled';
+
+        return `
+            <form class="p-6 bg-white border border-gray-200 rounded-2xl" onsubmit="event.preventDefault(); window.saveCreditAlerts();" novalidate>
+                <h3 class="text-base font-semibold text-gray-900">Alerts</h3>
+                <p class="text-sm text-gray-600 mt-1">Shown in the app, and sent by email or webhook when a budget or your balance crosses a threshold.</p>
+
+                <fieldset class="mt-4">
+                    <legend class="text-sm font-medium text-gray-700">Budget thresholds</legend>
+                    <div class="flex flex-wrap gap-4 mt-2">
+                        ${this.budgetService.thresholdOptions.map(threshold => `
+                            <label class="flex items-center gap-2 text-sm text-gray-700">
+                                <input type="checkbox" name="budget-threshold" value="${threshold}" ${(values.thresholds || []).includes(threshold) ? 'checked' : ''} ${disabled}
+                                       class="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500">
+                                ${threshold}%
+                            </label>
+                        `).join('')}
+                    </div>
+                </fieldset>
+
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                    <div>
+                        <label for="alert-low-balance" class="block text-sm font-medium text-gray-700">Low balance (credits)</label>
+                        <input id="alert-low-balance" type="number" min="1" step="1" value="${window.OsliraValidationUtils.escapeHTML(values.lowBalance ?? '')}" placeholder="Off" ${disabled}
+                               class="mt-1 w-full px-3 py-2 text-sm border ${errors.lowBalance ? 'border-red-400' : 'border-gray-200'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                        ${this.renderFieldError(errors.lowBalance)}
+                    </div>
+                </div>
+
+                ${this.renderAlertWebhooks(values.webhookIds || [], webhooks, disabled, integrationsUrl)}
+
+                <label class="flex items-center gap-2 mt-4 text-sm text-gray-700">
+                    <input id="alert-email" type="checkbox" ${values.email ? 'checked' : ''} ${disabled}
+                           class="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500">
+                    Email the workspace owner
+                </label>
+
+                ${this.renderFormError(errors.form)}
+                ${canManage ? `
+                    <button type="submit" ${isSaving ? 'disabled' : ''} class="mt-4 px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                        ${isSaving ? 'Saving…' : 'Save alerts'}
+                    </button>
+                ` : ''}
+            </form>
+        `;
+    }
+
+    renderAlertWebhooks(selectedIds, webhooks, disabled, integrationsUrl) {
+        let options;
+        if (!webhooks) {
+            options = '<p class="text-xs text-gray-500">Webhook endpoints couldn\'t be loaded - your current choice is kept.</p>';
+        } else if (webhooks.length === 0) {
+            options = `<p class="text-xs text-gray-500">No webhook endpoints yet - add one on the <a href="${window.OsliraValidationUtils.escapeHTML(integrationsUrl)}" class="text-indigo-600 hover:underline">integrations page</a>.</p>`;
+        } else {
+            options = `<div class="space-y-1">${webhooks.map(webhook => `
+                <label class="flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" data-alert-webhook="${window.OsliraValidationUtils.escapeHTML(webhook.id)}" ${selectedIds.includes(webhook.id) ? 'checked' : ''} ${disabled}
+                           class="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500">
+                    <span class="truncate">${window.OsliraValidationUtils.escapeHTML(webhook.description || webhook.url)}</span>
+                    ${webhook.businessName ? `<span class="text-xs text-gray-400 shrink-0">${window.OsliraValidationUtils.escapeHTML(webhook.businessName)}</span>` : ''}
+                    ${webhook.enabled === false ? '<span class="text-xs text-gray-400">paused</span>' : ''}
+                </label>
+            `).join('')}</div>`;
+        }
+
+        return `
+            <fieldset class="mt-4">
+                <legend class="text-sm font-medium text-gray-700">Send to webhooks <span class="font-normal text-gray-500">(as a <code>credits.budget_alert</code> event)</span></legend>
+                <div class="mt-2">${options}</div>
+            </fieldset>
+        `;
+    }
+
+    // =========================================================================
+    // AUTO TOP-UP
+    // =========================================================================
+
+    renderAutoTopUp(packs = [], values = {}, errors = {}, { canManage = false, hasCard = false, isSaving = false } = {}) {
+        const disabled = canManage ? '' : 'disabled';
+
+        return `
+            <form class="p-6 bg-white border border-gray-200 rounded-2xl" onsubmit="event.preventDefault(); window.saveAutoTopUp();" novalidate>
+                <h3 class="text-base font-semibold text-gray-900">Auto top-up</h3>
+                <p class="text-sm text-gray-600 mt-1">Buy a credit pack with the card on file when the balance drops below a threshold.</p>
+
+                ${packs.length === 0 ? '<p class="mt-4 text-sm text-gray-500">Credit packs aren\'t available right now.</p>' : `
+                    <label class="flex items-center gap-2 mt-4 text-sm text-gray-700">
+                        <input id="topup-enabled" type="checkbox" ${values.enabled ? 'checked' : ''} ${disabled}
+                               class="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500">
+                        Top up automatically
+                    </label>
+
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                        <div>
+                            <label for="topup-threshold" class="block text-sm font-medium text-gray-700">When the balance drops below</label>
+                            <input id="topup-threshold" type="number" min="1" step="1" value="${window.OsliraValidationUtils.escapeHTML(values.threshold || '')}" placeholder="Credits" ${disabled}
+                                   class="mt-1 w-full px-3 py-2 text-sm border ${errors.threshold ? 'border-red-400' : 'border-gray-200'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                            ${this.renderFieldError(errors.threshold)}
+                        </div>
+                        <div>
+                            <label for="topup-pack" class="block text-sm font-medium text-gray-700">Buy</label>
+                            <select id="topup-pack" ${disabled} class="mt-1 w-full px-3 py-2 text-sm bg-white border ${errors.packId ? 'border-red-400' : 'border-gray-200'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                                <option value="">Pick a pack…</option>
+                                ${packs.map(pack => `
+                                    <option value="${window.OsliraValidationUtils.escapeHTML(pack.id)}" ${pack.id === values.packId ? 'selected' : ''}>${window.OsliraValidationUtils.escapeHTML(this.budgetService.formatPack(pack))}</option>
+                                `).join('')}
+                            </select>
+                            ${this.renderFieldError(errors.packId)}
+                        </div>
+                    </div>
+
+                    ${canManage && !hasCard ? `
+                        <p class="mt-4 text-sm text-gray-600">
+                            No card on file.
+                            <button type="button" onclick="window.OsliraNav?.navigateTo('settings-billing')" class="font-medium text-indigo-600 hover:underline">Add one in Billing</button>
+                        </p>
+                    ` : ''}
+
+                    ${this.renderFormError(errors.form)}
+                    ${canManage ? `
+                        <button type="submit" ${isSaving ? 'disabled' : ''} class="mt-4 px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                            ${isSaving ? 'Saving…' : 'Save auto top-up'}
+                        </button>
+                    ` : ''}
+                `}
+            </form>
+        `;
+    }
+
+    // =========================================================================
+    // STATES
+    // =========================================================================
+
+    renderFieldError(message) {
+        return message ? `<p class="text-xs text-red-600 mt-1" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>` : '';
+    }
+
+    renderFormError(message) {
+        return message ? `<p class="text-sm text-red-600 mt-3" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>` : '';
+    }
+
+    renderLoading() {
+        return '<p class="py-10 text-center text-sm text-gray-500">Loading budgets…</p>';
+    }
+
+    renderError(message) {
+        return `<p class="py-10 text-center text-sm text-red-600" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>`;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.BudgetRenderer = BudgetRenderer;
+
+console.log('✅ [BudgetRenderer] Loaded');
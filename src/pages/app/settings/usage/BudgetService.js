@@ -0,0 +1,209 @@
+// =============================================================================
+// BUDGET SERVICE - Pure Business Logic
+// Path: /public/pages/app/settings/usage/BudgetService.js
+// Dependencies: None
+// =============================================================================
+
+/**
+ * @class BudgetService
+ * @description Form rules for monthly credit budgets, credit alerts and auto
+ * top-up on the Usage tab
+ *
+ * Settings come in normalized by UserService.normalizeCreditBudgets; the
+ * validate* methods return payloads in the worker's snake_case shape.
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class BudgetService {
+    constructor() {
+        this.modes = [
+            { key: 'warn', label: 'Warn', description: 'Alert at the thresholds below, keep running analyses' },
+            { key: 'hard_stop', label: 'Hard stop', description: 'Block analyses that would go over the limit' }
+        ];
+
+        this.thresholdOptions = [50, 80, 90, 100];
+
+        this.maxMonthlyLimit = 1000000;
+    }
+
+    // =========================================================================
+    // BUDGETS
+    // =========================================================================
+
+    /**
+     * Target selects combine scope and id, e.g. 'business:abc' or 'user:xyz'
+     */
+    toTargetValue(scope, targetId) {
+        return `${scope}:${targetId}`;
+    }
+
+    parseTargetValue(value) {
+        const [scope, ...rest] = String(value || '').split(':');
+        const targetId = rest.join(':');
+
+        if (!['business', 'user'].includes(scope) || !targetId) return null;
+        return { scope, targetId };
+    }
+
+    /**
+     * Saving a budget for a target that already has one updates it
+     * @param {Object} values - { target, monthlyLimit, mode }
+     * @param {Array} budgets - Existing normalized budgets
+     * @returns {Object} { valid, errors, budget }
+     */
+    validateBudget(values = {}, budgets = []) {
+        const errors = {};
+        const target = this.parseTargetValue(values.target);
+        const monthlyLimit = Number(values.monthlyLimit);
+
+        if (!target) {
+            errors.target = 'Pick a business or teammate';
+        }
+
+        if (!Number.isInteger(monthlyLimit) || monthlyLimit < 1) {
+            errors.monthlyLimit = 'Enter a whole number of credits';
+        } else if (monthlyLimit > this.maxMonthlyLimit) {
+            errors.monthlyLimit = `Limits go up to ${this.maxMonthlyLimit.toLocaleString('en-US')} credits`;
+        }
+
+        if (!this.modes.some(mode => mode.key === values.mode)) {
+            errors.mode = 'Pick what happens at the limit';
+        }
+
+        if (Object.keys(errors).length > 0) {
+            return { valid: false, errors, budget: null };
+        }
+
+        const existing = budgets.find(budget => budget.scope === target.scope && budget.targetId === target.targetId);
+
+        return {
+            valid: true,
+            errors,
+            budget: {
+                ...(existing ? { id: existing.id } : {}),
+                scope: target.scope,
+                target_id: target.targetId,
+                monthly_limit: monthlyLimit,
+                mode: values.mode
+            }
+        };
+    }
+
+    /**
+     * @returns {Object} { spent, percent, isOver }
+     */
+    getBudgetUsage(budget, spend = {}) {
+        const spent = Number(spend[budget.scope]?.[budget.targetId]) || 0;
+        const percent = budget.monthlyLimit > 0 ? (spent / budget.monthlyLimit) * 100 : 0;
+
+        return { spent, percent, isOver: spent >= budget.monthlyLimit };
+    }
+
+    getModeLabel(modeKey) {
+        return this.modes.find(mode => mode.key === modeKey)?.label || modeKey;
+    }
+
+    // =========================================================================
+    // ALERTS
+    // =========================================================================
+
+    /**
+     * Webhook alerts go to endpoints from the pool's webhook registries, as
+     * credits.budget_alert events - never to a URL typed in here
+     * @param {Object} values - { thresholds: [percent], lowBalance, email, webhookIds }
+     * @param {Object} context - { webhooks } endpoints of every pool business; null when they couldn't load
+     * @returns {Object} { valid, errors, alerts }
+     */
+    validateAlerts(values = {}, { webhooks = [] } = {}) {
+        const errors = {};
+        const thresholds = (values.thresholds || [])
+            .map(Number)
+            .filter(threshold => this.thresholdOptions.includes(threshold))
+            .sort((a, b) => a - b);
+        const lowBalanceText = String(values.lowBalance ?? '').trim();
+        const lowBalance = lowBalanceText === '' ? null : Number(lowBalanceText);
+        const webhookIds = [...new Set(values.webhookIds || [])].filter(id =>
+            !Array.isArray(webhooks) || webhooks.some(webhook => webhook.id === id)
+        );
+
+        if (lowBalance !== null && (!Number.isInteger(lowBalance) || lowBalance < 1)) {
+            errors.lowBalance = 'Enter a whole number of credits, or leave it empty to turn it off';
+        }
+
+        if (Object.keys(errors).length > 0) {
+            return { valid: false, errors, alerts: null };
+        }
+
+        return {
+            valid: true,
+            errors,
+            alerts: {
+                thresholds,
+                low_balance: lowBalance,
+                email: !!values.email,
+                webhook_ids: webhookIds
+            }
+        };
+    }
+
+    // =========================================================================
+    // AUTO TOP-UP
+    // =========================================================================
+
+    /**
+     * @param {Object} values - { enabled, threshold, packId }
+     * @param {Object} context - { packs, hasCard }
+     * @returns {Object} { valid, errors, settings }
+     */
+    validateAutoTopUp(values = {}, { packs = [], hasCard = false } = {}) {
+        const errors = {};
+        const threshold = Number(values.threshold);
+        const enabled = !!values.enabled;
+
+        if (enabled) {
+            if (!hasCard) {
+                errors.form = 'Add a card in Billing before turning on auto top-up';
+            }
+            if (!Number.isInteger(threshold) || threshold < 1) {
+                errors.threshold = 'Enter a whole number of credits';
+            }
+            if (!packs.some(pack => pack.id === values.packId)) {
+                errors.packId = 'Pick a credit pack';
+            }
+        }
+
+        if (Object.keys(errors).length > 0) {
+            return { valid: false, errors, settings: null };
+        }
+
+        return {
+            valid: true,
+            errors,
+            settings: {
+                enabled,
+                threshold: enabled ? threshold : null,
+                pack_id: enabled ? values.packId : null
+            }
+        };
+    }
+
+    /**
+     * @param {Object} pack - Worker pack: { id, credits, amount, currency } (amount in cents)
+     */
+    formatPack(pack) {
+        const price = new Intl.NumberFormat('en-US', { style: 'currency', currency: String(pack.currency || 'usd').toUpperCase() })
+            .format((Number(pack.amount) || 0) / 100);
+        return `${Number(pack.credits) || 0} credits · ${price}`;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.BudgetService = BudgetService;
+
+console.log('✅ [BudgetService] Loaded');
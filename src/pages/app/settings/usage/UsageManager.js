@@ -0,0 +1,253 @@
+// =============================================================================
+// USAGE MANAGER - Orchestration Layer
+// Path: /public/pages/app/settings/usage/UsageManager.js
+// Dependencies: UsageService, UsageRenderer, ChartRenderer, AuthAPI, UserService, AuthManager, StateManager
+// =============================================================================
+
+/**
+ * @class UsageManager
+ * @description Usage tab in settings
+ *
+ * Responsibilities:
+ * - Load the credit ledger of the workspace's credit pool for a period
+ * - Owners see every business the pool pays for (filterable); teammates
+ *   only see the business they were invited to
+ * - Daily spend, breakdowns by analysis type and teammate, run-out projection
+ * - CSV export of the loaded ledger
+ */
+class UsageManager {
+    constructor() {
+        this.usageService = new window.UsageService();
+        this.renderer = new window.UsageRenderer(
+            this.usageService,
+            new window.ChartRenderer(this.usageService)
+        );
+
+        this.range = this.usageService.resolveRange('30d');
+        this.business = null;
+        this.businesses = [];
+        this.businessFilter = null;
+        this.entries = [];
+        this.isTruncated = false;
+
+        this.pageSize = 500;
+        this.maxPages = 10;
+        this.visibleCount = 50;
+        this.loadToken = 0;
+
+        console.log('📊 [UsageManager] Instance created');
+    }
+
+    // =========================================================================
+    // LAZY GETTERS
+    // =========================================================================
+
+    get authAPI() {
+        return window.OsliraAuthAPI;
+    }
+
+    get userService() {
+        return window.OsliraUserService;
+    }
+
+    get currentUserId() {
+        return window.OsliraAuth?.user?.id || null;
+    }
+
+    get balance() {
+        return window.OsliraAuth?.user?.credits || 0;
+    }
+
+    // =========================================================================
+    // INITIALIZATION
+    // =========================================================================
+
+    async init() {
+        this.exposeGlobalHandlers();
+
+        window.OsliraEventBus?.on?.('business:changed', () => {
+            this.businessFilter = null;
+            this.load();
+        });
+        window.addEventListener('auth:credits-updated', () => this.render());
+
+        await this.load();
+
+        console.log('✅ [UsageManager] Initialized');
+    }
+
+    exposeGlobalHandlers() {
+        window.setUsageRange = (preset) => this.setRange(preset);
+        window.setUsageBusiness = (businessId) => this.setBusinessFilter(businessId);
+        window.showMoreUsageEntries = () => this.showMore();
+        window.exportUsageLedger = () => this.exportLedger();
+    }
+
+    /**
+     * Settings pages don't run the dashboard's business loader, so fall back to
+     * the businesses AuthManager loaded (they carry the user's role)
+     */
+    async resolveBusiness() {
+        const selected = window.OsliraStateManager?.getState('business.selected');
+        if (selected) return selected;
+
+        const businesses = await window.OsliraAuth?.waitForBusinesses?.() || [];
+        const savedId = localStorage.getItem('selectedBusinessId');
+
+        return businesses.find(business => business.id === savedId) || businesses[0] || null;
+    }
+
+    // =========================================================================
+    // LOADING
+    // =========================================================================
+
+    async load() {
+        const token = ++this.loadToken;
+        const container = document.getElementById('usage-content');
+        if (!container) return;
+
+        container.innerHTML = this.renderer.renderLoading();
+
+        const business = await this.resolveBusiness();
+        if (token !== this.loadToken) return;
+
+        if (!business || !this.authAPI || !this.userService) {
+            container.innerHTML = this.renderer.renderError('Select a business to see its usage');
+            return;
+        }
+
+        this.business = business;
+        const isOwner = this.userService.getBusinessRole(business) === 'owner';
+
+        // Same pool AuthManager charges: the owner's subscription
+        const poolUserId = isOwner ? this.currentUserId : business.user_id;
+
+        if (isOwner) {
+            const businesses = await window.OsliraAuth?.waitForBusinesses?.() || [];
+            this.businesses = businesses.filter(item => !item.role || item.role === 'owner');
+        } else {
+            this.businesses = [];
+        }
+        if (token !== this.loadToken) return;
+
+        try {
+            const { entries, isTruncated } = await this.fetchLedger(poolUserId, {
+                startDate: this.range.startDate,
+                endDate: this.range.endDate,
+                businessId: isOwner ? this.businessFilter : business.id
+            });
+            if (token !== this.loadToken) return;
+
+            this.entries = entries.map(entry => this.usageService.normalizeEntry(entry));
+            this.isTruncated = isTruncated;
+            this.visibleCount = 50;
+            this.render();
+
+        } catch (error) {
+            if (token !== this.loadToken) return;
+
+            console.error('❌ [UsageManager] Failed to load usage:', error);
+            container.innerHTML = this.renderer.renderError(`Could not load your usage: ${error.message}`);
+        }
+    }
+
+    /**
+     * Follow the ledger cursor until the period is complete or maxPages is hit
+     */
+    async fetchLedger(poolUserId, options) {
+        const entries = [];
+        let cursor = null;
+
+        for (let page = 0; page < this.maxPages; page++) {
+            const result = await this.authAPI.getCreditLedger(poolUserId, {
+                ...options,
+                cursor,
+                limit: this.pageSize
+            });
+
+            entries.push(...result.entries);
+            cursor = result.nextCursor;
+            if (!cursor) break;
+        }
+
+        return { entries, isTruncated: !!cursor };
+    }
+
+    // =========================================================================
+    // FILTERS
+    // =========================================================================
+
+    setRange(preset) {
+        this.range = this.usageService.resolveRange(preset);
+        this.load();
+    }
+
+    setBusinessFilter(businessId) {
+        this.businessFilter = businessId || null;
+        this.load();
+    }
+
+    showMore() {
+        this.visibleCount += 50;
+        this.render();
+    }
+
+    // =========================================================================
+    // EXPORT
+    // =========================================================================
+
+    exportLedger() {
+        if (this.entries.length === 0) return;
+
+        this.downloadFile(
+            '\uFEFF' + this.usageService.toCSV(this.entries),
+            this.usageService.getExportFilename(this.range),
+            'text/csv;charset=utf-8;'
+        );
+    }
+
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+
+    render() {
+        const container = document.getElementById('usage-content');
+        if (!container || !this.business) return;
+
+        const summary = this.usageService.summarize(this.entries, this.range);
+
+        container.innerHTML = this.renderer.renderUsage({
+            range: this.range,
+            businesses: this.businesses,
+            businessId: this.businessFilter,
+            balance: this.balance,
+            summary,
+            projection: this.usageService.projectRunOut(this.balance, summary.spent, this.range),
+            entries: this.entries,
+            visibleCount: this.visibleCount,
+            isTruncated: this.isTruncated
+        });
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.UsageManager = UsageManager;
+
+console.log('✅ [UsageManager] Loaded');
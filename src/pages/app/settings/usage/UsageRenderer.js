@@ -0,0 +1,216 @@
+// =============================================================================
+// USAGE RENDERER - Pure HTML Generation
+// Path: /public/pages/app/settings/usage/UsageRenderer.js
+// Dependencies: UsageService, ChartRenderer (analytics workspace), ValidationUtils
+// =============================================================================
+
+/**
+ * @class UsageRenderer
+ * @description Filters, spend summary, daily spend chart, breakdowns and the
+ * credit ledger for the Usage tab
+ */
+class UsageRenderer {
+    constructor(usageService, chartRenderer) {
+        this.usageService = usageService;
+        this.chartRenderer = chartRenderer;
+    }
+
+    /**
+     * @param {Object} data - { range, businesses, businessId, balance, summary, projection,
+     *   entries, visibleCount, isTruncated }
+     */
+    renderUsage({ range, businesses = [], businessId = null, balance = 0, summary, projection, entries = [], visibleCount = 50, isTruncated = false }) {
+        return `
+            <div class="space-y-6">
+                ${this.renderFilters(range, businesses, businessId, entries.length > 0)}
+                ${this.renderSummary(balance, summary, projection, range)}
+                ${this.renderDailySpend(summary, range)}
+                <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    ${this.renderBreakdown('By analysis type', summary.byType)}
+                    ${this.renderBreakdown('By teammate', summary.byUser)}
+                </div>
+                ${this.renderLedger(entries, visibleCount, isTruncated)}
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // FILTERS
+    // =========================================================================
+
+    /**
+     * The business filter is only offered when the pool pays for several businesses
+     */
+    renderFilters(range, businesses, businessId, canExport) {
+        return `
+            <div class="flex flex-wrap items-center gap-3">
+                <label for="usage-range" class="sr-only">Period</label>
+                <select id="usage-range" onchange="window.setUsageRange(this.value)" class="px-3 py-2 text-sm bg-white border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                    ${this.usageService.rangePresets.map(preset => `
+                        <option value="${preset.key}" ${preset.key === range.preset ? 'selected' : ''}>${preset.label}</option>
+                    `).join('')}
+                </select>
+                ${businesses.length > 1 ? `
+                    <label for="usage-business" class="sr-only">Business</label>
+                    <select id="usage-business" onchange="window.setUsageBusiness(this.value)" class="px-3 py-2 text-sm bg-white border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                        <option value="" ${!businessId ? 'selected' : ''}>All businesses</option>
+                        ${businesses.map(business => `
+                            <option value="${window.OsliraValidationUtils.escapeHTML(business.id)}" ${business.id === businessId ? 'selected' : ''}>${window.OsliraValidationUtils.escapeHTML(business.business_name || business.name || 'Untitled business')}</option>
+                        `).join('')}
+                    </select>
+                ` : ''}
+                <button onclick="window.exportUsageLedger()" ${canExport ? '' : 'disabled'} class="ml-auto px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-xl hover:bg-gray-50 disabled:opacity-50">
+                    Export CSV
+                </button>
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // SUMMARY
+    // =========================================================================
+
+    renderSummary(balance, summary, projection, range) {
+        let runOut = { value: 'No recent spend', note: 'Nothing was spent in this period' };
+        if (projection) {
+            runOut = {
+                value: projection.days === 0 ? 'Today' : this.usageService.formatDate(projection.date),
+                note: `At ${this.usageService.formatValue(projection.burnRate)} credits a day`
+            };
+        }
+
+        return `
+            <div class="grid grid-cols-2 xl:grid-cols-4 gap-3">
+                ${this.renderStat('Balance', this.usageService.formatValue(balance), 'Credits left in this workspace')}
+                ${this.renderStat('Spent', this.usageService.formatValue(summary.spent), `${summary.analyses} analyses in the last ${range.days} days`)}
+                ${this.renderStat('Added', this.usageService.formatValue(summary.added), 'Renewals, purchases and refunds')}
+                ${this.renderStat('Projected run-out', runOut.value, runOut.note)}
+            </div>
+        `;
+    }
+
+    renderStat(label, value, note) {
+        return `
+            <div class="p-5 bg-white border border-gray-200 rounded-2xl">
+                <p class="text-xs font-medium uppercase tracking-wide text-gray-500">${label}</p>
+                <p class="mt-1 text-2xl font-semibold text-gray-900 tabular-nums">${window.OsliraValidationUtils.escapeHTML(value)}</p>
+                <p class="mt-1 text-xs text-gray-500">${window.OsliraValidationUtils.escapeHTML(note)}</p>
+            </div>
+        `;
+    }
+
+    // =========================================================================
+    // CHART & BREAKDOWNS
+    // =========================================================================
+
+    renderDailySpend(summary, range) {
+        return `
+            <section class="p-6 bg-white border border-gray-200 rounded-2xl">
+                <h3 class="text-base font-semibold text-gray-900 mb-4">Daily spend</h3>
+                ${summary.spent > 0 ? this.chartRenderer.render({
+                    id: 'usage-daily-spend',
+                    kind: 'line',
+                    title: 'Credits spent per day',
+                    format: 'number',
+                    segments: summary.dailySpend
+                }) : '<p class="py-12 text-center text-sm text-gray-500">No credits spent in this period</p>'}
+            </section>
+        `;
+    }
+
+    renderBreakdown(title, groups) {
+        return `
+            <section class="bg-white border border-gray-200 rounded-2xl">
+                <h3 class="px-6 pt-5 pb-3 text-base font-semibold text-gray-900">${title}</h3>
+                ${groups.length === 0 ? '<p class="px-6 pb-5 text-sm text-gray-500">No spend in this period.</p>' : `
+                    <ul class="px-6 pb-5 space-y-3">
+                        ${groups.map(group => `
+                            <li>
+                                <div class="flex justify-between gap-4 text-sm">
+                                    <span class="text-gray-900 truncate">${window.OsliraValidationUtils.escapeHTML(group.label)}</span>
+                                    <span class="text-gray-600 tabular-nums shrink-0">${this.usageService.formatValue(group.credits)} credits · ${this.usageService.formatValue(group.share, 'percent')}</span>
+                                </div>
+                                <div class="mt-1 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                                    <div class="h-full bg-indigo-500 rounded-full" style="width: ${group.share.toFixed(1)}%"></div>
+                                </div>
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+            </section>
+        `;
+    }
+
+    // =========================================================================
+    // LEDGER
+    // =========================================================================
+
+    renderLedger(entries, visibleCount, isTruncated) {
+        return `
+            <section class="bg-white border border-gray-200 rounded-2xl">
+                <h3 class="px-6 pt-5 pb-3 text-base font-semibold text-gray-900">Credit ledger <span class="text-sm font-normal text-gray-500">${entries.length}${isTruncated ? '+' : ''}</span></h3>
+                ${isTruncated ? '<p class="px-6 pb-3 text-xs text-amber-700">Only the most recent entries are shown. Pick a shorter period to see everything.</p>' : ''}
+                ${entries.length === 0 ? '<p class="px-6 pb-5 text-sm text-gray-500">No credit activity in this period.</p>' : `
+                    <div class="overflow-x-auto">
+                        <table class="w-full text-sm">
+                            <thead>
+                                <tr class="text-left text-xs uppercase tracking-wide text-gray-500">
+                                    <th class="px-6 py-2 font-medium">Date</th>
+                                    <th class="px-6 py-2 font-medium">Activity</th>
+                                    <th class="px-6 py-2 font-medium">Business</th>
+                                    <th class="px-6 py-2 font-medium">User</th>
+                                    <th class="px-6 py-2 font-medium text-right">Credits</th>
+                                    <th class="px-6 py-2 font-medium text-right">Balance</th>
+                                </tr>
+                            </thead>
+                            <tbody class="divide-y divide-gray-100">
+                                ${entries.slice(0, visibleCount).map(entry => this.renderLedgerRow(entry)).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `}
+                ${entries.length > visibleCount ? `
+                    <button onclick="window.showMoreUsageEntries()" class="w-full py-3 text-sm font-medium text-indigo-600 border-t border-gray-100 hover:bg-indigo-50 rounded-b-2xl">
+                        Show more
+                    </button>
+                ` : ''}
+            </section>
+        `;
+    }
+
+    renderLedgerRow(entry) {
+        const activity = entry.reason === 'analysis'
+            ? `${entry.analysisTypeLabel} analysis${entry.username ? ` · @${window.OsliraValidationUtils.escapeHTML(entry.username)}` : ''}`
+            : window.OsliraValidationUtils.escapeHTML(entry.reasonLabel);
+
+        return `
+            <tr>
+                <td class="px-6 py-3 text-gray-600 whitespace-nowrap">${this.usageService.formatDateTime(entry.createdAt)}</td>
+                <td class="px-6 py-3 text-gray-900">${activity}</td>
+                <td class="px-6 py-3 text-gray-600">${window.OsliraValidationUtils.escapeHTML(entry.businessName)}</td>
+                <td class="px-6 py-3 text-gray-600">${window.OsliraValidationUtils.escapeHTML(entry.userName)}</td>
+                <td class="px-6 py-3 text-right tabular-nums ${entry.isDebit ? 'text-gray-900' : 'text-green-700'}">${entry.isDebit ? '' : '+'}${entry.amount}</td>
+                <td class="px-6 py-3 text-right text-gray-600 tabular-nums">${entry.balanceAfter ?? ''}</td>
+            </tr>
+        `;
+    }
+
+    // =========================================================================
+    // STATES
+    // =========================================================================
+
+    renderLoading() {
+        return '<p class="py-10 text-center text-sm text-gray-500">Loading your usage…</p>';
+    }
+
+    renderError(message) {
+        return `<p class="py-10 text-center text-sm text-red-600" role="alert">${window.OsliraValidationUtils.escapeHTML(message)}</p>`;
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.UsageRenderer = UsageRenderer;
+
+console.log('✅ [UsageRenderer] Loaded');
@@ -0,0 +1,253 @@
+// =============================================================================
+// USAGE SERVICE - Pure Business Logic
+// Path: /public/pages/app/settings/usage/UsageService.js
+// Dependencies: None
+// =============================================================================
+
+/**
+ * @class UsageService
+ * @description Credit ledger normalization, spend breakdowns, the run-out
+ * projection and CSV export for the Usage tab
+ *
+ * Ledger amounts are signed: debits are negative, purchases/grants positive.
+ * Days are UTC calendar days, the same as the analytics workspace.
+ *
+ * Rules:
+ * - NO DOM access
+ * - NO state access
+ * - NO API calls
+ * - Pure functions only - data in, data out
+ */
+class UsageService {
+    constructor() {
+        this.rangePresets = [
+            { key: '7d', label: 'Last 7 days', days: 7 },
+            { key: '30d', label: 'Last 30 days', days: 30 },
+            { key: '90d', label: 'Last 90 days', days: 90 }
+        ];
+
+        this.analysisTypes = {
+            light: 'Light',
+            deep: 'Deep',
+            xray: 'X-Ray'
+        };
+
+        this.reasons = {
+            analysis: 'Analysis',
+            refund: 'Refund',
+            purchase: 'Credit purchase',
+            renewal: 'Plan renewal',
+            grant: 'Bonus credits',
+            adjustment: 'Adjustment'
+        };
+
+        this.csvColumns = [
+            { key: 'createdAt', label: 'Date' },
+            { key: 'reasonLabel', label: 'Type' },
+            { key: 'amount', label: 'Credits' },
+            { key: 'balanceAfter', label: 'Balance after' },
+            { key: 'analysisTypeLabel', label: 'Analysis' },
+            { key: 'username', label: 'Username' },
+            { key: 'businessName', label: 'Business' },
+            { key: 'userName', label: 'User' }
+        ];
+    }
+
+    // =========================================================================
+    // DATE RANGES
+    // =========================================================================
+
+    toDateString(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    parseDate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+        const date = new Date(`${value}T00:00:00Z`);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * @returns {Object} { preset, startDate, endDate, days } with inclusive YYYY-MM-DD dates
+     */
+    resolveRange(preset = '30d', now = new Date()) {
+        const selected = this.rangePresets.find(item => item.key === preset) || this.rangePresets[1];
+        const today = this.parseDate(this.toDateString(now));
+        const start = new Date(today.getTime() - (selected.days - 1) * 86400000);
+
+        return {
+            preset: selected.key,
+            startDate: this.toDateString(start),
+            endDate: this.toDateString(today),
+            days: selected.days
+        };
+    }
+
+    // =========================================================================
+    // LEDGER
+    // =========================================================================
+
+    /**
+     * @param {Object} entry - Worker row: { id, created_at, amount, reason, analysis_type,
+     *   username, business_id, business_name, user_id, user_name, user_email, balance_after }
+     */
+    normalizeEntry(entry = {}) {
+        const amount = Number(entry.amount) || 0;
+        const analysisType = this.analysisTypes[entry.analysis_type] ? entry.analysis_type : null;
+        const reason = this.reasons[entry.reason] ? entry.reason : (analysisType ? 'analysis' : 'adjustment');
+        const createdAt = entry.created_at || null;
+
+        return {
+            id: entry.id,
+            createdAt,
+            date: createdAt ? this.toDateString(new Date(createdAt)) : null,
+            amount,
+            isDebit: amount < 0,
+            reason,
+            reasonLabel: this.reasons[reason],
+            analysisType,
+            analysisTypeLabel: analysisType ? this.analysisTypes[analysisType] : '',
+            username: entry.username || '',
+            businessId: entry.business_id || null,
+            businessName: entry.business_name || '',
+            userId: entry.user_id || null,
+            userName: entry.user_name || entry.user_email || '',
+            balanceAfter: entry.balance_after ?? null
+        };
+    }
+
+    /**
+     * @param {Array} entries - Normalized entries
+     * @param {Object} range - From resolveRange
+     * @returns {Object} { spent, added, analyses, dailySpend, byType, byUser }
+     */
+    summarize(entries, range) {
+        const debits = entries.filter(entry => entry.isDebit);
+        const spent = debits.reduce((sum, entry) => sum - entry.amount, 0);
+
+        return {
+            spent,
+            added: entries.filter(entry => !entry.isDebit).reduce((sum, entry) => sum + entry.amount, 0),
+            analyses: debits.filter(entry => entry.reason === 'analysis').length,
+            dailySpend: this.getDailySpend(debits, range),
+            byType: this.groupSpend(debits, spent, entry => entry.analysisType || entry.reason,
+                entry => entry.analysisTypeLabel || entry.reasonLabel),
+            byUser: this.groupSpend(debits, spent, entry => entry.userId || 'unknown',
+                entry => entry.userName || 'Unknown user')
+        };
+    }
+
+    /**
+     * One segment per day of the range, days without spend included
+     */
+    getDailySpend(debits, range) {
+        const totals = {};
+        debits.forEach(entry => {
+            if (entry.date) totals[entry.date] = (totals[entry.date] || 0) - entry.amount;
+        });
+
+        const start = this.parseDate(range.startDate);
+        return Array.from({ length: range.days }, (_, index) => {
+            const date = this.toDateString(new Date(start.getTime() + index * 86400000));
+            return { label: date, value: totals[date] || 0 };
+        });
+    }
+
+    /**
+     * @returns {Array} [{ key, label, credits, count, share }] largest first
+     */
+    groupSpend(debits, total, getKey, getLabel) {
+        const groups = new Map();
+
+        debits.forEach(entry => {
+            const key = getKey(entry);
+            const group = groups.get(key) || { key, label: getLabel(entry), credits: 0, count: 0 };
+            group.credits -= entry.amount;
+            group.count += 1;
+            groups.set(key, group);
+        });
+
+        return [...groups.values()]
+            .map(group => ({ ...group, share: total > 0 ? (group.credits / total) * 100 : 0 }))
+            .sort((a, b) => b.credits - a.credits);
+    }
+
+    // =========================================================================
+    // PROJECTION
+    // =========================================================================
+
+    /**
+     * When the balance runs out at the range's average daily spend
+     * @returns {Object|null} { burnRate, days, date } - null when nothing was spent
+     */
+    projectRunOut(balance, spent, range, now = new Date()) {
+        const burnRate = spent / range.days;
+        if (!(burnRate > 0)) return null;
+
+        const days = Math.max(Math.floor((Number(balance) || 0) / burnRate), 0);
+        return {
+            burnRate,
+            days,
+            date: new Date(now.getTime() + days * 86400000).toISOString()
+        };
+    }
+
+    // =========================================================================
+    // EXPORT
+    // =========================================================================
+
+    toCSV(entries) {
+        const rows = entries.map(entry => this.csvColumns.map(column => entry[column.key] ?? ''));
+
+        return [this.csvColumns.map(column => column.label), ...rows]
+            .map(row => row.map(value => this.escapeCSV(value)).join(','))
+            .join('\n');
+    }
+
+    escapeCSV(value) {
+        if (typeof value !== 'string') return value;
+
+        // Spreadsheet apps run cells starting with these as formulas
+        const safe = /^[=+\-@]/.test(value) ? `'${value}` : value;
+
+        if (/[",\n\r]/.test(safe)) {
+            return '"' + safe.replace(/"/g, '""') + '"';
+        }
+        return safe;
+    }
+
+    getExportFilename(range) {
+        return `oslira-credit-ledger-${range.startDate}-to-${range.endDate}.csv`;
+    }
+
+    // =========================================================================
+    // FORMATTING
+    // =========================================================================
+
+    /**
+     * Also used by ChartRenderer for axis and bar labels
+     */
+    formatValue(value, format = 'number') {
+        if (value == null || Number.isNaN(value)) return '–';
+        if (format === 'percent') return `${Math.round(value)}%`;
+        if (Math.abs(value) >= 1000) return `${(value / 1000).toFixed(1)}K`;
+        return String(Math.round(value * 10) / 10);
+    }
+
+    formatDate(date) {
+        if (!date) return '';
+        return new Date(date).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+    }
+
+    formatDateTime(date) {
+        if (!date) return '';
+        return new Date(date).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+}
+
+// =============================================================================
+// GLOBAL EXPORT
+// =============================================================================
+window.UsageService = UsageService;
+
+console.log('✅ [UsageService] Loaded');
@@ -88,10 +88,24 @@ class AuthApp {
     async setupLoginPage() {
         console.log('🏠 [AuthApp] Setting up login page...');
         
+        // Team invite links land here as ?invite=<token> - keep the token through
+        // the Google round trip so AuthCallbackApp can accept it
+        const inviteToken = new URLSearchParams(window.location.search).get('invite');
+        if (inviteToken) {
+            sessionStorage.setItem('oslira_pending_invite', inviteToken);
+        }
+        
         // ====================================================================
         // CRITICAL FIX: Call isAuthenticated() as METHOD not property
         // ====================================================================
         if (window.OsliraAuth.isAuthenticated()) {
+            // Already signed in - the callback page reuses the session and accepts the invite
+            if (inviteToken) {
+                console.log('✅ [AuthApp] User already authenticated, accepting invite...');
+                window.location.href = window.OsliraEnv.getAuthUrl('/auth/callback');
+                return;
+            }
+            
             console.log('✅ [AuthApp] User already authenticated, redirecting...');
             window.location.href = window.OsliraEnv.getAppUrl('/dashboard');
             return;
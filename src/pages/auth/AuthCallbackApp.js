@@ -12,8 +12,9 @@
  * 1. Wait for oslira:scripts:loaded event
  * 2. Initialize AuthManager if needed
  * 3. Let AuthManager process OAuth callback
- * 4. Determine destination (onboarding vs dashboard)
- * 5. Use AuthManager to navigate with session transfer
+ * 4. Accept a pending team invite, if the user came from one
+ * 5. Determine destination (invited workspace vs onboarding vs dashboard)
+ * 6. Use AuthManager to navigate with session transfer
  * 
  * Features:
  * - Automatic OAuth processing
@@ -122,17 +123,24 @@ class AuthCallbackApp {
             console.log('📊 [AuthCallbackApp] Needs onboarding:', result.needsOnboarding);
             
             // ====================================================================
-            // STEP 2: Determine destination path
-            // Priority: return_to > onboarding > dashboard
+            // STEP 2: Accept a pending team invite
+            // Returns: { business_id, role } or null
             // ====================================================================
             
-            const destinationPath = this.getRedirectPath(result);
+            const invite = await this.acceptPendingInvite();
+            
+            // ====================================================================
+            // STEP 3: Determine destination path
+            // Priority: return_to > invited workspace > onboarding > dashboard
+            // ====================================================================
+            
+            const destinationPath = this.getRedirectPath(result, invite);
             
             console.log('🔐 [AuthCallbackApp] Destination path:', destinationPath);
             this.updateStatus('Success! Redirecting...');
             
             // ====================================================================
-            // STEP 3: Use AuthManager to navigate with session transfer
+            // STEP 4: Use AuthManager to navigate with session transfer
             // This handles cross-subdomain token passing automatically
             // ====================================================================
             
@@ -146,6 +154,48 @@ class AuthCallbackApp {
         }
     }
     
+    // =========================================================================
+    // TEAM INVITES
+    // =========================================================================
+    
+    /**
+     * Accept the invite token saved by AuthApp (or passed straight to this page)
+     * A failed invite never blocks sign-in - the user just lands on their own dashboard
+     */
+    async acceptPendingInvite() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const token = urlParams.get('invite') || sessionStorage.getItem('oslira_pending_invite');
+        
+        if (!token) {
+            return null;
+        }
+        
+        sessionStorage.removeItem('oslira_pending_invite');
+        
+        if (!window.OsliraBusinessAPI) {
+            console.warn('⚠️ [AuthCallbackApp] BusinessAPI not available, skipping invite');
+            return null;
+        }
+        
+        try {
+            this.updateStatus('Joining your team...');
+            
+            const invite = await window.OsliraBusinessAPI.acceptTeamInvite(token);
+            
+            console.log('✅ [AuthCallbackApp] Invite accepted:', invite);
+            return invite;
+            
+        } catch (error) {
+            console.warn('⚠️ [AuthCallbackApp] Invite could not be accepted:', error);
+            
+            // Leave the reason on screen long enough to read
+            this.updateStatus(`Could not join the team: ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, 2500));
+            
+            return null;
+        }
+    }
+    
     // =========================================================================
     // REDIRECT LOGIC
     // =========================================================================
@@ -154,7 +204,7 @@ class AuthCallbackApp {
      * Determine where to redirect user after successful auth
      * Returns PATH only (not full URL) - AuthManager handles URL building
      */
-    getRedirectPath(result) {
+    getRedirectPath(result, invite = null) {
         console.log('🔐 [AuthCallbackApp] Determining redirect path...');
         
         // Priority 1: Check URL for return_to parameter
@@ -176,13 +226,20 @@ class AuthCallbackApp {
             }
         }
         
-        // Priority 2: Check if user needs onboarding
+        // Priority 2: Open the workspace the user was just invited to
+        // Invited users work in someone else's business, so they skip onboarding
+        if (invite?.business_id) {
+            console.log('✅ [AuthCallbackApp] Opening invited workspace');
+            return `/dashboard?business=${encodeURIComponent(invite.business_id)}`;
+        }
+        
+        // Priority 3: Check if user needs onboarding
         if (result.needsOnboarding) {
             console.log('✅ [AuthCallbackApp] User needs onboarding');
             return '/onboarding';
         }
         
-        // Priority 3: Default to dashboard
+        // Priority 4: Default to dashboard
         console.log('✅ [AuthCallbackApp] Redirecting to dashboard');
         return '/dashboard';
     }